@@ -0,0 +1,317 @@
+using System.Net.Mail;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using ChargingStationAPI.Data;
+using ChargingStationAPI.Helpers;
+using ChargingStationAPI.Models;
+using ChargingStationAPI.Services;
+
+namespace ChargingStationAPI.Controllers;
+
+[ApiController]
+[Authorize(Roles = UserRoles.Admin)] // Alert rules are managed by admins
+[Route("api")] // Base route for all endpoints in this controller
+[Produces("application/json")] // All responses return JSON
+public class AlertRulesController : ControllerBase
+{
+    private const double MaxThresholdHours = 24 * 30; // Longest DownTooLong threshold (30 days)
+
+    private readonly ApplicationDbContext _context; // Database context for data access
+    private readonly AlertNotifier _notifier; // Delivers test alerts
+    private readonly ILogger<AlertRulesController> _logger; // Logger for error tracking
+
+    public AlertRulesController(ApplicationDbContext context, AlertNotifier notifier, ILogger<AlertRulesController> logger)
+    {
+        _context = context;
+        _notifier = notifier;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// getAlertRules - Get all alert rules, by name
+    /// </summary>
+    [HttpGet("getAlertRules", Name = "GetAlertRules")]
+    [ProducesResponseType(typeof(IEnumerable<AlertRule>), StatusCodes.Status200OK)]
+    public async Task<ActionResult<IEnumerable<AlertRule>>> GetAlertRules()
+    {
+        try
+        {
+            var rules = await _context.AlertRules
+                .AsNoTracking()
+                .OrderBy(r => r.Name)
+                .ThenBy(r => r.Id)
+                .ToListAsync();
+
+            return Ok(rules);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error retrieving alert rules");
+            return StatusCode(500, "An error occurred while retrieving alert rules");
+        }
+    }
+
+    /// <summary>
+    /// addAlertRule - Add new
+    /// </summary>
+    [HttpPost("addAlertRule", Name = "AddAlertRule")]
+    [ProducesResponseType(typeof(AlertRule), StatusCodes.Status201Created)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<AlertRule>> AddAlertRule(AlertRule rule)
+    {
+        try
+        {
+            NormalizeRule(rule);
+            var validationError = ValidateRule(rule);
+            if (validationError != null)
+            {
+                return BadRequest(validationError);
+            }
+
+            var now = DateTime.UtcNow;
+            rule.Id = 0;
+            rule.CreatedAt = now;
+            rule.CreatedBy = RequestValues.UserName(User);
+            rule.UpdatedAt = now;
+
+            _context.AlertRules.Add(rule);
+            await _context.SaveChangesAsync();
+
+            return CreatedAtAction(nameof(GetAlertRules), null, rule);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error creating alert rule");
+            return StatusCode(500, "An error occurred while creating the alert rule");
+        }
+    }
+
+    /// <summary>
+    /// updateAlertRuleById - Update by id
+    /// Conditions the rule already alerted on do not alert again until they clear
+    /// </summary>
+    [HttpPut("updateAlertRuleById/{id}", Name = "UpdateAlertRuleById")]
+    [ProducesResponseType(typeof(AlertRule), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<AlertRule>> UpdateAlertRuleById(int id, AlertRule rule)
+    {
+        try
+        {
+            if (id != rule.Id)
+            {
+                return BadRequest("ID in URL does not match ID in request body.");
+            }
+
+            NormalizeRule(rule);
+            var validationError = ValidateRule(rule);
+            if (validationError != null)
+            {
+                return BadRequest(validationError);
+            }
+
+            var existing = await _context.AlertRules.FirstOrDefaultAsync(r => r.Id == id);
+            if (existing == null)
+            {
+                return NotFound($"Alert rule with ID {id} not found.");
+            }
+
+            // A new condition starts from scratch
+            if (existing.Type != rule.Type)
+            {
+                await _context.AlertIncidents.Where(i => i.AlertRuleId == id).ExecuteDeleteAsync();
+            }
+
+            existing.Name = rule.Name;
+            existing.Type = rule.Type;
+            existing.Statuses = rule.Statuses;
+            existing.ThresholdHours = rule.ThresholdHours;
+            existing.ThresholdPercent = rule.ThresholdPercent;
+            existing.PinCodePrefix = rule.PinCodePrefix;
+            existing.EmailRecipients = rule.EmailRecipients;
+            existing.NotifyInApp = rule.NotifyInApp;
+            existing.Enabled = rule.Enabled;
+            existing.UpdatedAt = DateTime.UtcNow;
+
+            await _context.SaveChangesAsync();
+
+            return Ok(existing);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error updating alert rule with ID {Id}", id);
+            return StatusCode(500, "An error occurred while updating the alert rule");
+        }
+    }
+
+    /// <summary>
+    /// deleteAlertRuleById - Delete by id
+    /// Notifications it sent are kept
+    /// </summary>
+    [HttpDelete("deleteAlertRuleById/{id}", Name = "DeleteAlertRuleById")]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<IActionResult> DeleteAlertRuleById(int id)
+    {
+        try
+        {
+            var rule = await _context.AlertRules.FindAsync(id);
+            if (rule == null)
+            {
+                return NotFound($"Alert rule with ID {id} not found.");
+            }
+
+            _context.AlertRules.Remove(rule);
+            await _context.SaveChangesAsync();
+
+            return NoContent();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error deleting alert rule with ID {Id}", id);
+            return StatusCode(500, "An error occurred while deleting the alert rule");
+        }
+    }
+
+    /// <summary>
+    /// testAlertRuleById - Send a test alert through the rule's channels (notifications and email)
+    /// </summary>
+    /// <returns>The email errors, empty when every message was sent</returns>
+    [HttpPost("testAlertRuleById/{id}", Name = "TestAlertRuleById")]
+    [ProducesResponseType(typeof(AlertTestResult), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<AlertTestResult>> TestAlertRuleById(int id)
+    {
+        try
+        {
+            var rule = await _context.AlertRules.AsNoTracking().FirstOrDefaultAsync(r => r.Id == id);
+            if (rule == null)
+            {
+                return NotFound($"Alert rule with ID {id} not found.");
+            }
+
+            var alert = new Alert(
+                rule,
+                null,
+                "Test alert",
+                $"This is a test of the alert rule \"{rule.Name}\", sent by {RequestValues.UserName(User)}.");
+            var errors = await _notifier.DeliverAsync(new[] { alert });
+
+            return Ok(new AlertTestResult
+            {
+                NotifiedInApp = rule.NotifyInApp,
+                EmailedTo = errors.Count == 0 ? rule.EmailRecipients : new List<string>(),
+                EmailErrors = errors,
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error testing alert rule with ID {Id}", id);
+            return StatusCode(500, "An error occurred while testing the alert rule");
+        }
+    }
+
+    /// <summary>
+    /// Trim text, use canonical type and status spellings, and drop fields the rule type does not use
+    /// </summary>
+    private static void NormalizeRule(AlertRule rule)
+    {
+        rule.Name = rule.Name?.Trim() ?? string.Empty;
+        rule.Type = AlertRuleTypes.Normalize(rule.Type) ?? rule.Type ?? string.Empty;
+        rule.Statuses = (rule.Statuses ?? new List<string>())
+            .Select(s => StationStatuses.Normalize(s) ?? s)
+            .Distinct()
+            .ToList();
+        rule.PinCodePrefix = string.IsNullOrWhiteSpace(rule.PinCodePrefix) ? null : rule.PinCodePrefix.Trim();
+        rule.EmailRecipients = (rule.EmailRecipients ?? new List<string>())
+            .Select(e => e.Trim())
+            .Where(e => e.Length > 0)
+            .Distinct(StringComparer.OrdinalIgnoreCase)
+            .ToList();
+
+        if (rule.Type == AlertRuleTypes.AvailabilityBelow)
+        {
+            rule.Statuses = new List<string>();
+        }
+
+        if (rule.Type != AlertRuleTypes.DownTooLong)
+        {
+            rule.ThresholdHours = null;
+        }
+
+        if (rule.Type != AlertRuleTypes.AvailabilityBelow)
+        {
+            rule.ThresholdPercent = null;
+        }
+    }
+
+    /// <summary>
+    /// Validate a normalized rule
+    /// </summary>
+    /// <returns>Error message, or null when the rule is valid</returns>
+    private static string? ValidateRule(AlertRule rule)
+    {
+        if (string.IsNullOrEmpty(rule.Name))
+        {
+            return "Name is required.";
+        }
+
+        if (rule.Name.Length > AlertRule.MaxNameLength)
+        {
+            return $"Name must be at most {AlertRule.MaxNameLength} characters.";
+        }
+
+        if (!AlertRuleTypes.All.Contains(rule.Type))
+        {
+            return $"Type must be one of: {string.Join(", ", AlertRuleTypes.All)}.";
+        }
+
+        if (rule.Type != AlertRuleTypes.AvailabilityBelow)
+        {
+            if (rule.Statuses.Count == 0)
+            {
+                return "Choose at least one status.";
+            }
+
+            var unknown = rule.Statuses.FirstOrDefault(s => !StationStatuses.All.Contains(s));
+            if (unknown != null)
+            {
+                return $"Unknown status '{unknown}'.";
+            }
+        }
+
+        if (rule.Type == AlertRuleTypes.DownTooLong && rule.ThresholdHours is not (> 0 and <= MaxThresholdHours))
+        {
+            return $"ThresholdHours must be more than 0 and at most {MaxThresholdHours}.";
+        }
+
+        if (rule.Type == AlertRuleTypes.AvailabilityBelow && rule.ThresholdPercent is not (> 0 and <= 100))
+        {
+            return "ThresholdPercent must be more than 0 and at most 100.";
+        }
+
+        if (rule.PinCodePrefix?.Length > AlertRule.MaxPinCodePrefixLength)
+        {
+            return $"PinCodePrefix must be at most {AlertRule.MaxPinCodePrefixLength} characters.";
+        }
+
+        if (rule.EmailRecipients.Count > AlertRule.MaxEmailRecipients)
+        {
+            return $"A rule may email at most {AlertRule.MaxEmailRecipients} addresses.";
+        }
+
+        var invalidEmail = rule.EmailRecipients.FirstOrDefault(e => e.Length > AlertRule.MaxEmailLength || !MailAddress.TryCreate(e, out _));
+        if (invalidEmail != null)
+        {
+            return $"'{invalidEmail}' is not a valid email address.";
+        }
+
+        if (!rule.NotifyInApp && rule.EmailRecipients.Count == 0)
+        {
+            return "Send the alert in the app, by email, or both.";
+        }
+
+        return null;
+    }
+}
@@ -0,0 +1,344 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Identity;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.IdentityModel.JsonWebTokens;
+using ChargingStationAPI.Data;
+using ChargingStationAPI.Models;
+using ChargingStationAPI.Services;
+
+namespace ChargingStationAPI.Controllers;
+
+[ApiController]
+[Route("api/auth")] // Base route for sign-in and user management
+[Produces("application/json")] // All responses return JSON
+public class AuthController : ControllerBase
+{
+    private const int MinPasswordLength = 8;
+
+    private readonly ApplicationDbContext _context; // Database context for data access
+    private readonly TokenService _tokenService; // Issues access and refresh tokens
+    private readonly IPasswordHasher<AppUser> _passwordHasher; // Hashes and verifies passwords
+    private readonly ILogger<AuthController> _logger; // Logger for error tracking
+
+    public AuthController(
+        ApplicationDbContext context,
+        TokenService tokenService,
+        IPasswordHasher<AppUser> passwordHasher,
+        ILogger<AuthController> logger)
+    {
+        _context = context;
+        _tokenService = tokenService;
+        _passwordHasher = passwordHasher;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// login - Sign in with username and password
+    /// </summary>
+    [AllowAnonymous]
+    [HttpPost("login", Name = "Login")]
+    [ProducesResponseType(typeof(AuthResponse), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+    public async Task<ActionResult<AuthResponse>> Login(LoginRequest request)
+    {
+        try
+        {
+            var username = request.Username?.Trim().ToLowerInvariant() ?? string.Empty;
+            var user = await _context.Users.FirstOrDefaultAsync(u => u.Username == username);
+
+            if (user == null || !user.IsActive ||
+                _passwordHasher.VerifyHashedPassword(user, user.PasswordHash, request.Password ?? string.Empty) == PasswordVerificationResult.Failed)
+            {
+                return Unauthorized("Invalid username or password.");
+            }
+
+            return Ok(await IssueTokensAsync(user));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error signing in");
+            return StatusCode(500, "An error occurred while signing in");
+        }
+    }
+
+    /// <summary>
+    /// refresh - Exchange a refresh token for new tokens (the old refresh token stops working)
+    /// </summary>
+    [AllowAnonymous]
+    [HttpPost("refresh", Name = "RefreshToken")]
+    [ProducesResponseType(typeof(AuthResponse), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+    public async Task<ActionResult<AuthResponse>> Refresh(RefreshRequest request)
+    {
+        try
+        {
+            var hash = TokenService.HashToken(request.RefreshToken ?? string.Empty);
+            var stored = await _context.RefreshTokens.FirstOrDefaultAsync(t => t.TokenHash == hash);
+            if (stored == null || stored.RevokedAt != null || stored.ExpiresAt <= DateTime.UtcNow)
+            {
+                return Unauthorized("Session expired. Please sign in again.");
+            }
+
+            var user = await _context.Users.FindAsync(stored.UserId);
+            if (user == null || !user.IsActive)
+            {
+                return Unauthorized("Session expired. Please sign in again.");
+            }
+
+            // Rotate: each refresh token can be used once
+            stored.RevokedAt = DateTime.UtcNow;
+            return Ok(await IssueTokensAsync(user));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error refreshing token");
+            return StatusCode(500, "An error occurred while refreshing the session");
+        }
+    }
+
+    /// <summary>
+    /// logout - Revoke a refresh token
+    /// </summary>
+    [AllowAnonymous]
+    [HttpPost("logout", Name = "Logout")]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    public async Task<IActionResult> Logout(RefreshRequest request)
+    {
+        try
+        {
+            var hash = TokenService.HashToken(request.RefreshToken ?? string.Empty);
+            var stored = await _context.RefreshTokens.FirstOrDefaultAsync(t => t.TokenHash == hash);
+            if (stored != null && stored.RevokedAt == null)
+            {
+                stored.RevokedAt = DateTime.UtcNow;
+                await _context.SaveChangesAsync();
+            }
+
+            return NoContent();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error signing out");
+            return StatusCode(500, "An error occurred while signing out");
+        }
+    }
+
+    /// <summary>
+    /// me - Get the signed-in user
+    /// </summary>
+    [Authorize]
+    [HttpGet("me", Name = "GetCurrentUser")]
+    [ProducesResponseType(typeof(UserInfo), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+    public async Task<ActionResult<UserInfo>> Me()
+    {
+        try
+        {
+            var user = await FindCurrentUserAsync();
+            if (user == null || !user.IsActive)
+            {
+                return Unauthorized("Session expired. Please sign in again.");
+            }
+
+            return Ok(UserInfo.From(user));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error retrieving current user");
+            return StatusCode(500, "An error occurred while retrieving the current user");
+        }
+    }
+
+    /// <summary>
+    /// users - Get all user accounts (Admin only)
+    /// </summary>
+    [Authorize(Roles = UserRoles.Admin)]
+    [HttpGet("users", Name = "GetUsers")]
+    [ProducesResponseType(typeof(IEnumerable<UserInfo>), StatusCodes.Status200OK)]
+    public async Task<ActionResult<IEnumerable<UserInfo>>> GetUsers()
+    {
+        try
+        {
+            var users = await _context.Users
+                .AsNoTracking()
+                .OrderBy(u => u.Username)
+                .ToListAsync();
+
+            return Ok(users.Select(UserInfo.From));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error retrieving users");
+            return StatusCode(500, "An error occurred while retrieving users");
+        }
+    }
+
+    /// <summary>
+    /// users - Create a user account (Admin only)
+    /// </summary>
+    [Authorize(Roles = UserRoles.Admin)]
+    [HttpPost("users", Name = "CreateUser")]
+    [ProducesResponseType(typeof(UserInfo), StatusCodes.Status201Created)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status409Conflict)]
+    public async Task<ActionResult<UserInfo>> CreateUser(CreateUserRequest request)
+    {
+        try
+        {
+            var username = request.Username?.Trim().ToLowerInvariant() ?? string.Empty;
+            if (username.Length == 0 || username.Length > 100)
+            {
+                return BadRequest("Username is required and must be at most 100 characters.");
+            }
+
+            var role = UserRoles.Normalize(request.Role);
+            if (role == null)
+            {
+                return BadRequest($"Role must be one of: {string.Join(", ", UserRoles.All)}.");
+            }
+
+            if (string.IsNullOrEmpty(request.Password) || request.Password.Length < MinPasswordLength)
+            {
+                return BadRequest($"Password must be at least {MinPasswordLength} characters.");
+            }
+
+            if (await _context.Users.AnyAsync(u => u.Username == username))
+            {
+                return Conflict($"User '{username}' already exists.");
+            }
+
+            var user = new AppUser
+            {
+                Username = username,
+                DisplayName = string.IsNullOrWhiteSpace(request.DisplayName) ? null : request.DisplayName.Trim(),
+                Role = role,
+            };
+            user.PasswordHash = _passwordHasher.HashPassword(user, request.Password);
+
+            _context.Users.Add(user);
+            await _context.SaveChangesAsync();
+
+            return CreatedAtAction(nameof(GetUsers), null, UserInfo.From(user));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error creating user");
+            return StatusCode(500, "An error occurred while creating the user");
+        }
+    }
+
+    /// <summary>
+    /// users/{id} - Update a user's name, password, role or active flag (Admin only)
+    /// </summary>
+    [Authorize(Roles = UserRoles.Admin)]
+    [HttpPut("users/{id}", Name = "UpdateUser")]
+    [ProducesResponseType(typeof(UserInfo), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<UserInfo>> UpdateUser(int id, UpdateUserRequest request)
+    {
+        try
+        {
+            var user = await _context.Users.FindAsync(id);
+            if (user == null)
+            {
+                return NotFound($"User with ID {id} not found.");
+            }
+
+            string? role = null;
+            if (request.Role != null)
+            {
+                role = UserRoles.Normalize(request.Role);
+                if (role == null)
+                {
+                    return BadRequest($"Role must be one of: {string.Join(", ", UserRoles.All)}.");
+                }
+            }
+
+            if (request.Password != null && request.Password.Length < MinPasswordLength)
+            {
+                return BadRequest($"Password must be at least {MinPasswordLength} characters.");
+            }
+
+            // Admins cannot lock themselves out
+            var isSelf = User.FindFirst(JwtRegisteredClaimNames.Sub)?.Value == user.Id.ToString();
+            if (isSelf && ((role != null && role != UserRoles.Admin) || request.IsActive == false))
+            {
+                return BadRequest("You cannot remove your own admin role or deactivate yourself.");
+            }
+
+            if (request.DisplayName != null)
+            {
+                user.DisplayName = string.IsNullOrWhiteSpace(request.DisplayName) ? null : request.DisplayName.Trim();
+            }
+
+            if (role != null)
+            {
+                user.Role = role;
+            }
+
+            if (request.IsActive.HasValue)
+            {
+                user.IsActive = request.IsActive.Value;
+            }
+
+            // A new password or deactivation ends the user's existing sessions
+            if (request.Password != null || request.IsActive == false)
+            {
+                if (request.Password != null)
+                {
+                    user.PasswordHash = _passwordHasher.HashPassword(user, request.Password);
+                }
+
+                var activeTokens = await _context.RefreshTokens
+                    .Where(t => t.UserId == user.Id && t.RevokedAt == null)
+                    .ToListAsync();
+                activeTokens.ForEach(t => t.RevokedAt = DateTime.UtcNow);
+            }
+
+            await _context.SaveChangesAsync();
+            return Ok(UserInfo.From(user));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error updating user with ID {Id}", id);
+            return StatusCode(500, "An error occurred while updating the user");
+        }
+    }
+
+    /// <summary>
+    /// Issue an access token and a stored refresh token for a user
+    /// </summary>
+    private async Task<AuthResponse> IssueTokensAsync(AppUser user)
+    {
+        var (accessToken, accessExpiresAt) = _tokenService.CreateAccessToken(user);
+        var (refreshToken, refreshHash, refreshExpiresAt) = _tokenService.CreateRefreshToken();
+
+        _context.RefreshTokens.Add(new RefreshToken
+        {
+            UserId = user.Id,
+            TokenHash = refreshHash,
+            ExpiresAt = refreshExpiresAt,
+        });
+        await _context.SaveChangesAsync();
+
+        return new AuthResponse
+        {
+            AccessToken = accessToken,
+            AccessTokenExpiresAt = accessExpiresAt,
+            RefreshToken = refreshToken,
+            RefreshTokenExpiresAt = refreshExpiresAt,
+            User = UserInfo.From(user),
+        };
+    }
+
+    /// <summary>
+    /// User account for the access token on this request
+    /// </summary>
+    private async Task<AppUser?> FindCurrentUserAsync()
+    {
+        var subject = User.FindFirst(JwtRegisteredClaimNames.Sub)?.Value;
+        return int.TryParse(subject, out var userId) ? await _context.Users.FindAsync(userId) : null;
+    }
+}
@@ -0,0 +1,338 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using ChargingStationAPI.Data;
+using ChargingStationAPI.Helpers;
+using ChargingStationAPI.Models;
+
+namespace ChargingStationAPI.Controllers;
+
+[ApiController]
+[Authorize] // Every endpoint needs a signed-in user; recording sessions needs an editor role
+[Route("api")] // Base route for all endpoints in this controller
+[Produces("application/json")] // All responses return JSON
+public class ChargingSessionsController : ControllerBase
+{
+    private const int MaxAnalyticsDays = 366; // Longest range one analytics request may cover
+    private const int MaxUtcOffsetMinutes = 14 * 60; // Time zones range from UTC-12 to UTC+14
+    private static readonly TimeSpan MaxSessionLength = TimeSpan.FromDays(7); // Longer sessions are data entry mistakes
+    private static readonly TimeSpan ClockSkew = TimeSpan.FromMinutes(5); // Allowed for sessions reported as just stopped
+
+    private readonly ApplicationDbContext _context; // Database context for data access
+    private readonly ILogger<ChargingSessionsController> _logger; // Logger for error tracking
+
+    public ChargingSessionsController(ApplicationDbContext context, ILogger<ChargingSessionsController> logger)
+    {
+        _context = context;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// getChargingSessions - Get a page of charging sessions, newest first
+    /// </summary>
+    [HttpGet("getChargingSessions", Name = "GetChargingSessions")]
+    [ProducesResponseType(typeof(ChargingSessionPage), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<ChargingSessionPage>> GetChargingSessions([FromQuery] SessionQueryParameters query)
+    {
+        try
+        {
+            if (query.Page < 1)
+            {
+                return BadRequest("Page must be 1 or greater.");
+            }
+
+            if (query.PageSize < 1 || query.PageSize > SessionQueryParameters.MaxPageSize)
+            {
+                return BadRequest($"PageSize must be between 1 and {SessionQueryParameters.MaxPageSize}.");
+            }
+
+            // Joining the stations leaves out sessions of stations in the recycle bin
+            var sessions = _context.ChargingSessions
+                .AsNoTracking()
+                .Join(_context.ChargingStations, s => s.ChargingStationId, st => st.Id, (s, st) => new { Session = s, st.StationName });
+
+            if (query.StationId.HasValue)
+            {
+                sessions = sessions.Where(x => x.Session.ChargingStationId == query.StationId.Value);
+            }
+
+            if (query.From.HasValue)
+            {
+                var from = RequestValues.AsUtc(query.From.Value);
+                sessions = sessions.Where(x => x.Session.StartedAt >= from);
+            }
+
+            if (query.To.HasValue)
+            {
+                var to = RequestValues.AsUtc(query.To.Value);
+                sessions = sessions.Where(x => x.Session.StartedAt < to);
+            }
+
+            var totalCount = await sessions.CountAsync();
+            var rows = await sessions
+                .OrderByDescending(x => x.Session.StartedAt)
+                .ThenByDescending(x => x.Session.Id)
+                .Skip((query.Page - 1) * query.PageSize)
+                .Take(query.PageSize)
+                .ToListAsync();
+
+            return Ok(new ChargingSessionPage
+            {
+                Items = rows.Select(x =>
+                {
+                    x.Session.StationName = x.StationName;
+                    return x.Session;
+                }).ToList(),
+                Page = query.Page,
+                PageSize = query.PageSize,
+                TotalCount = totalCount,
+                TotalPages = (int)Math.Ceiling(totalCount / (double)query.PageSize),
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error retrieving charging sessions");
+            return StatusCode(500, "An error occurred while retrieving charging sessions");
+        }
+    }
+
+    /// <summary>
+    /// recordChargingSession - Record a completed session that was not reported over OCPP
+    /// </summary>
+    [Authorize(Roles = UserRoles.Editors)]
+    [HttpPost("recordChargingSession", Name = "RecordChargingSession")]
+    [ProducesResponseType(typeof(ChargingSession), StatusCodes.Status201Created)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<ChargingSession>> RecordChargingSession(ChargingSession session)
+    {
+        try
+        {
+            var station = await _context.ChargingStations
+                .AsNoTracking()
+                .Where(s => s.Id == session.ChargingStationId)
+                .Select(s => new { s.Id, s.StationName })
+                .FirstOrDefaultAsync();
+            if (station == null)
+            {
+                return NotFound($"Charging station with ID {session.ChargingStationId} not found.");
+            }
+
+            var validationError = ValidateSession(session);
+            if (validationError != null)
+            {
+                return BadRequest(validationError);
+            }
+
+            // Only the charger sets transaction and meter fields
+            session.Id = 0;
+            session.StartedAt = RequestValues.AsUtc(session.StartedAt);
+            session.StoppedAt = RequestValues.AsUtc(session.StoppedAt!.Value);
+            session.EnergyKwh = Math.Round(session.EnergyKwh!.Value, 3);
+            session.IdTag = string.IsNullOrWhiteSpace(session.IdTag) ? null : session.IdTag.Trim();
+            session.StopReason = string.IsNullOrWhiteSpace(session.StopReason) ? null : session.StopReason.Trim();
+            session.OcppTransactionId = null;
+            session.MeterStartWh = null;
+            session.RecordedBy = RequestValues.UserName(User);
+
+            _context.ChargingSessions.Add(session);
+            await _context.SaveChangesAsync();
+
+            session.StationName = station.StationName;
+            return CreatedAtAction(nameof(GetChargingSessions), new { stationId = station.Id }, session);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error recording charging session");
+            return StatusCode(500, "An error occurred while recording the charging session");
+        }
+    }
+
+    /// <summary>
+    /// getSessionAnalytics - Get session counts, energy and length for the stations matching the
+    /// dashboard filters, per local day, per station and by weekday and hour of start
+    /// </summary>
+    [HttpGet("getSessionAnalytics", Name = "GetSessionAnalytics")]
+    [ProducesResponseType(typeof(SessionAnalytics), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<SessionAnalytics>> GetSessionAnalytics(
+        [FromQuery] StationQueryParameters filters,
+        [FromQuery] DateTime? from,
+        [FromQuery] DateTime? to,
+        [FromQuery] int utcOffsetMinutes = 0)
+    {
+        try
+        {
+            // Default to the last 30 days
+            var rangeEnd = to.HasValue ? RequestValues.AsUtc(to.Value) : DateTime.UtcNow;
+            var rangeStart = from.HasValue ? RequestValues.AsUtc(from.Value) : rangeEnd.AddDays(-30);
+
+            if (rangeStart >= rangeEnd)
+            {
+                return BadRequest("From must be earlier than To.");
+            }
+
+            if (rangeEnd - rangeStart > TimeSpan.FromDays(MaxAnalyticsDays))
+            {
+                return BadRequest($"The range may cover at most {MaxAnalyticsDays} days.");
+            }
+
+            if (Math.Abs(utcOffsetMinutes) > MaxUtcOffsetMinutes)
+            {
+                return BadRequest($"UtcOffsetMinutes must be between -{MaxUtcOffsetMinutes} and {MaxUtcOffsetMinutes}.");
+            }
+
+            var filterError = StationFilters.Validate(filters);
+            if (filterError != null)
+            {
+                return BadRequest(filterError);
+            }
+
+            var candidates = await StationFilters.Apply(_context.ChargingStations.AsNoTracking(), filters)
+                .Select(s => new { s.Id, s.StationName, s.Latitude, s.Longitude })
+                .ToListAsync();
+
+            // The bounding box of a proximity filter is exact only after the distance check
+            var stations = candidates
+                .Where(s => !filters.RadiusKm.HasValue ||
+                    (s.Latitude.HasValue && s.Longitude.HasValue &&
+                     GeoDistance.HaversineKm(filters.Lat!.Value, filters.Lng!.Value, s.Latitude.Value, s.Longitude.Value) <= filters.RadiusKm))
+                .ToDictionary(s => s.Id, s => s.StationName);
+            var stationIds = stations.Keys.ToList();
+
+            var sessions = await _context.ChargingSessions
+                .AsNoTracking()
+                .Where(s => stationIds.Contains(s.ChargingStationId) && s.StartedAt >= rangeStart && s.StartedAt < rangeEnd)
+                .Select(s => new { s.ChargingStationId, s.StartedAt, s.StoppedAt, s.EnergyKwh })
+                .ToListAsync();
+
+            // Days and hours are counted in the viewer's time zone
+            var offset = TimeSpan.FromMinutes(utcOffsetMinutes);
+            var result = new SessionAnalytics
+            {
+                From = rangeStart,
+                To = rangeEnd,
+                UtcOffsetMinutes = utcOffsetMinutes,
+                Sessions = sessions.Count,
+                CompletedSessions = sessions.Count(s => s.StoppedAt.HasValue),
+                EnergyKwh = Math.Round(sessions.Sum(s => s.EnergyKwh ?? 0), 2),
+                AverageDurationMinutes = AverageMinutes(sessions.Select(s => (s.StartedAt, s.StoppedAt))),
+                StartsByWeekdayHour = Enumerable.Range(0, 7).Select(_ => new int[24]).ToArray(),
+            };
+
+            var byDay = sessions
+                .GroupBy(s => DateOnly.FromDateTime(s.StartedAt + offset))
+                .ToDictionary(g => g.Key, g => g.ToList());
+            var lastDay = DateOnly.FromDateTime(rangeEnd.AddTicks(-1) + offset);
+            for (var day = DateOnly.FromDateTime(rangeStart + offset); day <= lastDay; day = day.AddDays(1))
+            {
+                var daySessions = byDay.GetValueOrDefault(day);
+                result.Days.Add(new SessionDay
+                {
+                    Date = day,
+                    Sessions = daySessions?.Count ?? 0,
+                    EnergyKwh = Math.Round(daySessions?.Sum(s => s.EnergyKwh ?? 0) ?? 0, 2),
+                });
+            }
+
+            foreach (var session in sessions)
+            {
+                var localStart = session.StartedAt + offset;
+                var weekday = ((int)localStart.DayOfWeek + 6) % 7; // Monday first
+                result.StartsByWeekdayHour[weekday][localStart.Hour]++;
+            }
+
+            result.Stations = sessions
+                .GroupBy(s => s.ChargingStationId)
+                .Select(g => new StationSessionStats
+                {
+                    StationId = g.Key,
+                    StationName = stations[g.Key],
+                    Sessions = g.Count(),
+                    EnergyKwh = Math.Round(g.Sum(s => s.EnergyKwh ?? 0), 2),
+                    AverageDurationMinutes = AverageMinutes(g.Select(s => (s.StartedAt, s.StoppedAt))),
+                })
+                .OrderByDescending(s => s.EnergyKwh)
+                .ThenByDescending(s => s.Sessions)
+                .ThenBy(s => s.StationName)
+                .ToList();
+
+            return Ok(result);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error retrieving session analytics");
+            return StatusCode(500, "An error occurred while retrieving session analytics");
+        }
+    }
+
+    /// <summary>
+    /// Validate a manually recorded session
+    /// </summary>
+    /// <returns>Error message, or null when the session is valid</returns>
+    private static string? ValidateSession(ChargingSession session)
+    {
+        if (session.ConnectorId < 1)
+        {
+            return "ConnectorId must be 1 or greater.";
+        }
+
+        if (session.StartedAt == default)
+        {
+            return "StartedAt is required.";
+        }
+
+        if (!session.StoppedAt.HasValue)
+        {
+            return "StoppedAt is required; running sessions are reported by the charger.";
+        }
+
+        var startedAt = RequestValues.AsUtc(session.StartedAt);
+        var stoppedAt = RequestValues.AsUtc(session.StoppedAt.Value);
+        if (stoppedAt <= startedAt)
+        {
+            return "StoppedAt must be later than StartedAt.";
+        }
+
+        if (stoppedAt - startedAt > MaxSessionLength)
+        {
+            return $"A session may last at most {MaxSessionLength.TotalDays} days.";
+        }
+
+        if (stoppedAt > DateTime.UtcNow + ClockSkew)
+        {
+            return "StoppedAt cannot be in the future.";
+        }
+
+        if (session.EnergyKwh is not (>= 0 and <= ChargingSession.MaxEnergyKwh))
+        {
+            return $"EnergyKwh is required and must be between 0 and {ChargingSession.MaxEnergyKwh}.";
+        }
+
+        if (session.IdTag?.Trim().Length > 20)
+        {
+            return "IdTag must be at most 20 characters.";
+        }
+
+        if (session.StopReason?.Trim().Length > 30)
+        {
+            return "StopReason must be at most 30 characters.";
+        }
+
+        return null;
+    }
+
+    /// <summary>
+    /// Average length of the completed sessions among the given start and stop times
+    /// </summary>
+    /// <returns>Minutes rounded to one decimal, or null when none has stopped</returns>
+    private static double? AverageMinutes(IEnumerable<(DateTime StartedAt, DateTime? StoppedAt)> sessions)
+    {
+        var minutes = sessions
+            .Where(s => s.StoppedAt.HasValue)
+            .Select(s => (s.StoppedAt!.Value - s.StartedAt).TotalMinutes)
+            .ToList();
+        return minutes.Count == 0 ? null : Math.Round(minutes.Average(), 1);
+    }
+}
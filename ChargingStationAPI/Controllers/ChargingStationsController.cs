@@ -1,22 +1,49 @@
+using System.Text.RegularExpressions;
+using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.EntityFrameworkCore;
 using ChargingStationAPI.Data;
+using ChargingStationAPI.Helpers;
 using ChargingStationAPI.Models;
+using ChargingStationAPI.Services;
 
 namespace ChargingStationAPI.Controllers;
 
 [ApiController]
+[Authorize] // Every endpoint needs a signed-in user; writes need an editor role
 [Route("api")] // Base route for all endpoints in this controller
 [Produces("application/json")] // All responses return JSON
 public class ChargingStationsController : ControllerBase
 {
     private readonly ApplicationDbContext _context; // Database context for data access
     private readonly ILogger<ChargingStationsController> _logger; // Logger for error tracking
+    private readonly ImageStorageService _imageStorage; // Disk storage for uploaded station images
+    private readonly StationEventHub _events; // Pushes changes to connected dashboards
 
-    public ChargingStationsController(ApplicationDbContext context, ILogger<ChargingStationsController> logger)
+    // Sort keys accepted by queryChargingStations ("-" prefix for descending)
+    private static readonly string[] SortOptions = { "name", "-name", "createdAt", "-createdAt", "status", "-status", "distance" };
+
+    // Bucket sizes accepted by getStatusTimeSeries, and the most buckets one request may produce
+    private static readonly string[] TimeSeriesIntervals = { "hour", "day", "week" };
+    private const int MaxTimeSeriesBuckets = 1000;
+    private const int MaxPhotos = 30; // Upper bound for one station's gallery
+
+    // Indian postal PIN: six digits, the first one non-zero
+    private static readonly Regex PinCodePattern = new(@"^[1-9][0-9]{5}$", RegexOptions.Compiled);
+
+    // OCPP charge point identity: used as the last segment of the charger's WebSocket URL
+    private static readonly Regex ChargePointIdPattern = new(@"^[A-Za-z0-9._-]{1,48}$", RegexOptions.Compiled);
+
+    public ChargingStationsController(
+        ApplicationDbContext context,
+        ILogger<ChargingStationsController> logger,
+        ImageStorageService imageStorage,
+        StationEventHub events)
     {
         _context = context;
         _logger = logger;
+        _imageStorage = imageStorage;
+        _events = events;
     }
 
     /// <summary>
@@ -31,6 +58,9 @@ public class ChargingStationsController : ControllerBase
             // Fetch all stations ordered by name, using AsNoTracking for read-only performance
             var stations = await _context.ChargingStations
                 .AsNoTracking()
+                .Include(s => s.Connectors)
+                .Include(s => s.Photos.OrderBy(p => p.SortOrder))
+                .Include(s => s.ChargePointConnectors.OrderBy(c => c.ConnectorId))
                 .OrderBy(s => s.StationName)
                 .ToListAsync();
 
@@ -43,6 +73,114 @@ public class ChargingStationsController : ControllerBase
         }
     }
 
+    /// <summary>
+    /// queryChargingStations - Get a filtered, sorted page of data with total counts
+    /// </summary>
+    [HttpGet("queryChargingStations", Name = "QueryChargingStations")]
+    [ProducesResponseType(typeof(StationPage), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<StationPage>> QueryChargingStations([FromQuery] StationQueryParameters query)
+    {
+        try
+        {
+            // Validate paging, sorting and proximity parameters
+            if (query.Page < 1)
+            {
+                return BadRequest("Page must be 1 or greater.");
+            }
+
+            if (query.PageSize < 1 || query.PageSize > StationQueryParameters.MaxPageSize)
+            {
+                return BadRequest($"PageSize must be between 1 and {StationQueryParameters.MaxPageSize}.");
+            }
+
+            var sort = string.IsNullOrWhiteSpace(query.Sort) ? "name" : query.Sort.Trim();
+            if (!SortOptions.Contains(sort, StringComparer.OrdinalIgnoreCase))
+            {
+                return BadRequest($"Sort must be one of: {string.Join(", ", SortOptions)}.");
+            }
+
+            var filterError = StationFilters.Validate(query);
+            if (filterError != null)
+            {
+                return BadRequest(filterError);
+            }
+
+            var hasOrigin = query.Lat.HasValue && query.Lng.HasValue;
+
+            var sortByDistance = sort.Equals("distance", StringComparison.OrdinalIgnoreCase);
+            if (sortByDistance && !hasOrigin)
+            {
+                return BadRequest("Sorting by distance requires Lat and Lng.");
+            }
+
+            var stations = StationFilters.Apply(_context.ChargingStations.AsNoTracking(), query);
+            var result = new StationPage
+            {
+                Page = query.Page,
+                PageSize = query.PageSize,
+                TotalStations = await _context.ChargingStations.CountAsync(),
+            };
+
+            if (query.RadiusKm.HasValue || sortByDistance)
+            {
+                // Proximity query: measure distances in memory on a lightweight projection,
+                // then load only the stations on the requested page
+                var measured = await MeasureDistancesAsync(stations, query.Lat!.Value, query.Lng!.Value, query.RadiusKm);
+
+                result.TotalCount = measured.Count;
+                result.StatusCounts = measured
+                    .GroupBy(m => m.Status ?? "Unknown")
+                    .ToDictionary(g => g.Key, g => g.Count());
+
+                var pageIds = SortMeasured(measured, sort)
+                    .Skip((query.Page - 1) * query.PageSize)
+                    .Take(query.PageSize)
+                    .Select(m => m.Id)
+                    .ToList();
+
+                var pageStations = await _context.ChargingStations
+                    .AsNoTracking()
+                    .Include(s => s.Connectors)
+                    .Include(s => s.Photos.OrderBy(p => p.SortOrder))
+                    .Include(s => s.ChargePointConnectors.OrderBy(c => c.ConnectorId))
+                    .Where(s => pageIds.Contains(s.Id))
+                    .ToListAsync();
+
+                // Restore the sorted order lost by the IN query
+                result.Items = pageStations.OrderBy(s => pageIds.IndexOf(s.Id)).ToList();
+            }
+            else
+            {
+                result.TotalCount = await stations.CountAsync();
+
+                var statusCounts = await stations
+                    .GroupBy(s => s.Status)
+                    .Select(g => new { Status = g.Key, Count = g.Count() })
+                    .ToListAsync();
+                result.StatusCounts = statusCounts
+                    .GroupBy(c => c.Status ?? "Unknown")
+                    .ToDictionary(g => g.Key, g => g.Sum(c => c.Count));
+
+                result.Items = await ApplySort(stations, sort)
+                    .Include(s => s.Connectors)
+                    .Include(s => s.Photos.OrderBy(p => p.SortOrder))
+                    .Include(s => s.ChargePointConnectors.OrderBy(c => c.ConnectorId))
+                    .Skip((query.Page - 1) * query.PageSize)
+                    .Take(query.PageSize)
+                    .ToListAsync();
+            }
+
+            result.TotalPages = (int)Math.Ceiling(result.TotalCount / (double)query.PageSize);
+            return Ok(result);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error querying charging stations");
+            return StatusCode(500, "An error occurred while querying charging stations");
+        }
+    }
+
     /// <summary>
     /// GetChargingStationById - Get single data
     /// </summary>
@@ -56,6 +194,9 @@ public class ChargingStationsController : ControllerBase
             // Find station by ID, return null if not found
             var station = await _context.ChargingStations
                 .AsNoTracking()
+                .Include(s => s.Connectors)
+                .Include(s => s.Photos.OrderBy(p => p.SortOrder))
+                .Include(s => s.ChargePointConnectors.OrderBy(c => c.ConnectorId))
                 .FirstOrDefaultAsync(s => s.Id == id);
 
             if (station == null)
@@ -63,6 +204,7 @@ public class ChargingStationsController : ControllerBase
                 return NotFound($"Charging station with ID {id} not found.");
             }
 
+            Response.Headers.ETag = ETagFor(station);
             return Ok(station);
         }
         catch (Exception ex)
@@ -72,9 +214,314 @@ public class ChargingStationsController : ControllerBase
         }
     }
 
+    /// <summary>
+    /// getStationStatusHistory - Get status changes for a station, newest first
+    /// </summary>
+    [HttpGet("getStationStatusHistory/{id}", Name = "GetStationStatusHistory")]
+    [ProducesResponseType(typeof(IEnumerable<StationStatusChange>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<IEnumerable<StationStatusChange>>> GetStationStatusHistory(int id)
+    {
+        try
+        {
+            if (!await _context.ChargingStations.AnyAsync(s => s.Id == id))
+            {
+                return NotFound($"Charging station with ID {id} not found.");
+            }
+
+            var history = await _context.StationStatusChanges
+                .AsNoTracking()
+                .Where(c => c.ChargingStationId == id)
+                .OrderByDescending(c => c.ChangedAt)
+                .ThenByDescending(c => c.Id)
+                .ToListAsync();
+
+            return Ok(history);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error retrieving status history for charging station with ID {Id}", id);
+            return StatusCode(500, "An error occurred while retrieving the status history");
+        }
+    }
+
+    /// <summary>
+    /// getStationAuditLog - Get create, update and delete entries for a station, newest first
+    /// Entries stay available after the station is deleted
+    /// </summary>
+    [HttpGet("getStationAuditLog/{id}", Name = "GetStationAuditLog")]
+    [ProducesResponseType(typeof(IEnumerable<AuditEntry>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<IEnumerable<AuditEntry>>> GetStationAuditLog(int id)
+    {
+        try
+        {
+            var entries = await _context.AuditEntries
+                .AsNoTracking()
+                .Include(e => e.Changes)
+                .Where(e => e.ChargingStationId == id)
+                .OrderByDescending(e => e.Timestamp)
+                .ThenByDescending(e => e.Id)
+                .ToListAsync();
+
+            if (entries.Count == 0 && !await _context.ChargingStations.IgnoreQueryFilters().AnyAsync(s => s.Id == id))
+            {
+                return NotFound($"Charging station with ID {id} not found.");
+            }
+
+            return Ok(entries);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error retrieving audit log for charging station with ID {Id}", id);
+            return StatusCode(500, "An error occurred while retrieving the audit log");
+        }
+    }
+
+    /// <summary>
+    /// getAuditLog - Get a page of audit entries for all stations, newest first
+    /// Optional filters: stationId, action, actor, from, to
+    /// </summary>
+    [HttpGet("getAuditLog", Name = "GetAuditLog")]
+    [ProducesResponseType(typeof(AuditPage), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<AuditPage>> GetAuditLog([FromQuery] AuditQueryParameters query)
+    {
+        try
+        {
+            if (query.Page < 1)
+            {
+                return BadRequest("Page must be 1 or greater.");
+            }
+
+            if (query.PageSize < 1 || query.PageSize > AuditQueryParameters.MaxPageSize)
+            {
+                return BadRequest($"PageSize must be between 1 and {AuditQueryParameters.MaxPageSize}.");
+            }
+
+            var action = AuditActions.Normalize(query.Action);
+            if (!string.IsNullOrWhiteSpace(query.Action) && action == null)
+            {
+                return BadRequest($"Action must be one of: {string.Join(", ", AuditActions.All)}.");
+            }
+
+            var entries = _context.AuditEntries.AsNoTracking();
+
+            if (query.StationId.HasValue)
+            {
+                entries = entries.Where(e => e.ChargingStationId == query.StationId.Value);
+            }
+
+            if (action != null)
+            {
+                entries = entries.Where(e => e.Action == action);
+            }
+
+            if (!string.IsNullOrWhiteSpace(query.Actor))
+            {
+                var pattern = $"%{StationFilters.EscapeLikePattern(query.Actor.Trim())}%";
+                entries = entries.Where(e => EF.Functions.ILike(e.Actor, pattern));
+            }
+
+            if (query.From.HasValue)
+            {
+                var from = RequestValues.AsUtc(query.From.Value);
+                entries = entries.Where(e => e.Timestamp >= from);
+            }
+
+            if (query.To.HasValue)
+            {
+                var to = RequestValues.AsUtc(query.To.Value);
+                entries = entries.Where(e => e.Timestamp < to);
+            }
+
+            var totalCount = await entries.CountAsync();
+            var items = await entries
+                .Include(e => e.Changes)
+                .OrderByDescending(e => e.Timestamp)
+                .ThenByDescending(e => e.Id)
+                .Skip((query.Page - 1) * query.PageSize)
+                .Take(query.PageSize)
+                .ToListAsync();
+
+            return Ok(new AuditPage
+            {
+                Items = items,
+                Page = query.Page,
+                PageSize = query.PageSize,
+                TotalCount = totalCount,
+                TotalPages = (int)Math.Ceiling(totalCount / (double)query.PageSize),
+            });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error retrieving audit log");
+            return StatusCode(500, "An error occurred while retrieving the audit log");
+        }
+    }
+
+    /// <summary>
+    /// getStatusTimeSeries - Get station status history aggregated into hour, day or week buckets (UTC),
+    /// with availability and downtime per bucket and per station
+    /// </summary>
+    [HttpGet("getStatusTimeSeries", Name = "GetStatusTimeSeries")]
+    [ProducesResponseType(typeof(StatusTimeSeries), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<StatusTimeSeries>> GetStatusTimeSeries(
+        [FromQuery] DateTime? from,
+        [FromQuery] DateTime? to,
+        [FromQuery] string? interval,
+        [FromQuery] int? stationId)
+    {
+        try
+        {
+            // Default to the last 7 days in daily buckets
+            var rangeEnd = to.HasValue ? RequestValues.AsUtc(to.Value) : DateTime.UtcNow;
+            var rangeStart = from.HasValue ? RequestValues.AsUtc(from.Value) : rangeEnd.AddDays(-7);
+            var bucketSize = string.IsNullOrWhiteSpace(interval) ? "day" : interval.Trim().ToLowerInvariant();
+
+            if (!TimeSeriesIntervals.Contains(bucketSize))
+            {
+                return BadRequest($"Interval must be one of: {string.Join(", ", TimeSeriesIntervals)}.");
+            }
+
+            if (rangeStart >= rangeEnd)
+            {
+                return BadRequest("From must be earlier than To.");
+            }
+
+            var bucketStarts = new List<DateTime>();
+            for (var start = AlignToInterval(rangeStart, bucketSize); start < rangeEnd; start = NextInterval(start, bucketSize))
+            {
+                if (bucketStarts.Count == MaxTimeSeriesBuckets)
+                {
+                    return BadRequest($"The range produces more than {MaxTimeSeriesBuckets} buckets; use a larger interval.");
+                }
+                bucketStarts.Add(start);
+            }
+
+            var stationsQuery = _context.ChargingStations.AsNoTracking();
+            if (stationId.HasValue)
+            {
+                stationsQuery = stationsQuery.Where(s => s.Id == stationId.Value);
+            }
+
+            var stations = await stationsQuery
+                .Select(s => new { s.Id, s.StationName, s.Status, s.CreatedAt })
+                .ToListAsync();
+
+            if (stationId.HasValue && stations.Count == 0)
+            {
+                return NotFound($"Charging station with ID {stationId} not found.");
+            }
+
+            var changes = (await _context.StationStatusChanges
+                    .AsNoTracking()
+                    .Where(c => c.ChangedAt < rangeEnd && (!stationId.HasValue || c.ChargingStationId == stationId.Value))
+                    .ToListAsync())
+                .ToLookup(c => c.ChargingStationId);
+
+            var timelines = stations.ToDictionary(
+                s => s.Id,
+                s => StatusTimeline.Build(s.CreatedAt, s.Status, changes[s.Id]));
+
+            // Time after now has not happened yet, so it counts as neither up nor down
+            var now = DateTime.UtcNow;
+            var measuredEnd = rangeEnd < now ? rangeEnd : now;
+
+            var result = new StatusTimeSeries
+            {
+                From = rangeStart,
+                To = rangeEnd,
+                Interval = bucketSize,
+            };
+
+            foreach (var start in bucketStarts)
+            {
+                var end = NextInterval(start, bucketSize);
+                var windowStart = start > rangeStart ? start : rangeStart;
+                var windowEnd = end < measuredEnd ? end : measuredEnd;
+                var snapshotAt = (end < measuredEnd ? end : measuredEnd).AddTicks(-1);
+
+                var bucket = new StatusTimeBucket { Start = start, End = end };
+                var up = TimeSpan.Zero;
+                var down = TimeSpan.Zero;
+
+                foreach (var timeline in timelines.Values)
+                {
+                    var (exists, status) = start < measuredEnd
+                        ? StatusTimeline.StatusAt(timeline, snapshotAt)
+                        : (false, null);
+                    if (exists)
+                    {
+                        var key = status ?? "Unknown";
+                        bucket.StatusCounts[key] = bucket.StatusCounts.GetValueOrDefault(key) + 1;
+                        bucket.Total++;
+                        if (StationStatuses.IsAvailable(status))
+                        {
+                            bucket.Available++;
+                        }
+                        else if (StationStatuses.IsInService(status))
+                        {
+                            bucket.Unavailable++;
+                        }
+                    }
+
+                    if (windowStart < windowEnd)
+                    {
+                        var (stationUp, stationDown) = StatusTimeline.Uptime(timeline, windowStart, windowEnd);
+                        up += stationUp;
+                        down += stationDown;
+                    }
+                }
+
+                bucket.AvailabilityPercent = StatusTimeline.AvailabilityPercent(up, down);
+                bucket.DowntimeHours = Math.Round(down.TotalHours, 2);
+                result.Buckets.Add(bucket);
+            }
+
+            // Per-station and overall totals for the whole range
+            var totalUp = TimeSpan.Zero;
+            var totalDown = TimeSpan.Zero;
+            foreach (var station in stations)
+            {
+                var (stationUp, stationDown) = rangeStart < measuredEnd
+                    ? StatusTimeline.Uptime(timelines[station.Id], rangeStart, measuredEnd)
+                    : (TimeSpan.Zero, TimeSpan.Zero);
+                totalUp += stationUp;
+                totalDown += stationDown;
+
+                result.Stations.Add(new StationAvailability
+                {
+                    StationId = station.Id,
+                    StationName = station.StationName,
+                    CurrentStatus = station.Status,
+                    AvailabilityPercent = StatusTimeline.AvailabilityPercent(stationUp, stationDown),
+                    DowntimeHours = Math.Round(stationDown.TotalHours, 2),
+                });
+            }
+
+            result.AvailabilityPercent = StatusTimeline.AvailabilityPercent(totalUp, totalDown);
+            result.DowntimeHours = Math.Round(totalDown.TotalHours, 2);
+            result.Stations = result.Stations
+                .OrderBy(s => s.AvailabilityPercent ?? double.MaxValue)
+                .ThenBy(s => s.StationName)
+                .ToList();
+
+            return Ok(result);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error retrieving status time series");
+            return StatusCode(500, "An error occurred while retrieving the status time series");
+        }
+    }
+
     /// <summary>
     /// AddChargingStation - Add new
     /// </summary>
+    [Authorize(Roles = UserRoles.Editors)]
     [HttpPost("AddChargingStation", Name = "AddChargingStation")]
     [ProducesResponseType(typeof(ChargingStation), StatusCodes.Status201Created)]
     [ProducesResponseType(StatusCodes.Status400BadRequest)]
@@ -82,15 +529,25 @@ public class ChargingStationsController : ControllerBase
     {
         try
         {
-            // Validate required fields
-            if (string.IsNullOrWhiteSpace(station.StationName))
+            // Validate required fields, coordinates and connectors
+            var validationError = ValidateStation(station);
+            if (validationError != null)
+            {
+                return BadRequest(validationError);
+            }
+
+            NormalizeStation(station);
+            ApplyThumbnails(station);
+
+            var chargePointError = await ValidateChargePointIdAsync(station.ChargePointId, null);
+            if (chargePointError != null)
             {
-                return BadRequest("StationName is required.");
+                return BadRequest(chargePointError);
             }
 
-            if (string.IsNullOrWhiteSpace(station.LocationAddress))
+            if (!await TariffExistsAsync(station.TariffId))
             {
-                return BadRequest("LocationAddress is required.");
+                return BadRequest($"Tariff with ID {station.TariffId} not found.");
             }
 
             // Set creation timestamp if not provided
@@ -103,6 +560,16 @@ public class ChargingStationsController : ControllerBase
             _context.ChargingStations.Add(station);
             await _context.SaveChangesAsync();
 
+            // Start the status history with the initial status, and audit the new field values
+            if (station.Status != null)
+            {
+                RecordStatusChange(station.Id, null, station.Status, station.StatusNote);
+            }
+            RecordAudit(station, AuditActions.Created, StationAudit.Diff(null, StationAudit.Snapshot(station)));
+            await _context.SaveChangesAsync();
+            station.StatusNote = null;
+            PublishEvent(StationEventTypes.Created, station);
+
             return CreatedAtAction(
                 nameof(GetChargingStationById),
                 new { id = station.Id },
@@ -116,87 +583,891 @@ public class ChargingStationsController : ControllerBase
     }
 
     /// <summary>
-    /// updateChargingStationById - Update data
+    /// importChargingStations - Add many stations at once
+    /// Each station is validated like AddChargingStation; invalid stations and duplicates
+    /// (same name and address as an existing or earlier station) are reported per row
     /// </summary>
-    [HttpPut("updateChargingStationById/{id}", Name = "UpdateChargingStationById")]
-    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    [Authorize(Roles = UserRoles.Editors)]
+    [HttpPost("importChargingStations", Name = "ImportChargingStations")]
+    [ProducesResponseType(typeof(StationImportResult), StatusCodes.Status200OK)]
     [ProducesResponseType(StatusCodes.Status400BadRequest)]
-    [ProducesResponseType(StatusCodes.Status404NotFound)]
-    public async Task<IActionResult> UpdateChargingStationById(int id, ChargingStation station)
+    public async Task<ActionResult<StationImportResult>> ImportChargingStations(StationImportRequest request)
     {
         try
         {
-            // Validate that URL ID matches request body ID
-            if (id != station.Id)
+            if (request.Stations.Count == 0)
             {
-                return BadRequest("ID in URL does not match ID in request body.");
+                return BadRequest("Stations must contain at least one station.");
+            }
+
+            if (request.Stations.Count > StationImportRequest.MaxStations)
+            {
+                return BadRequest($"At most {StationImportRequest.MaxStations} stations can be imported at once.");
             }
 
-            // Validate required fields
-            if (string.IsNullOrWhiteSpace(station.StationName))
+            // Name and address of every live station, for duplicate checks
+            var existingKeys = (await _context.ChargingStations
+                    .AsNoTracking()
+                    .Select(s => new { s.StationName, s.LocationAddress })
+                    .ToListAsync())
+                .Select(s => DuplicateKey(s.StationName, s.LocationAddress))
+                .ToHashSet();
+
+            var result = new StationImportResult();
+            var created = new List<(int Index, ChargingStation Station)>();
+
+            for (var index = 0; index < request.Stations.Count; index++)
             {
-                return BadRequest("StationName is required.");
+                var station = request.Stations[index];
+                var validationError = ValidateStation(station);
+                if (validationError != null)
+                {
+                    result.Rows.Add(new StationImportRowResult
+                    {
+                        Index = index,
+                        Outcome = StationImportOutcomes.Invalid,
+                        Error = validationError,
+                    });
+                    continue;
+                }
+
+                // Adding the key also catches repeats within the batch
+                if (!existingKeys.Add(DuplicateKey(station.StationName, station.LocationAddress)) && request.SkipDuplicates)
+                {
+                    result.Rows.Add(new StationImportRowResult
+                    {
+                        Index = index,
+                        Outcome = StationImportOutcomes.Duplicate,
+                        Error = "A station with this name and address already exists.",
+                    });
+                    continue;
+                }
+
+                NormalizeStation(station);
+                ApplyThumbnails(station);
+                station.Id = 0;
+                station.ChargePointId = null; // Chargers are linked by editing a station
+                station.TariffId = null; // Imported stations are priced by connector type
+                station.CreatedAt = DateTime.UtcNow;
+                _context.ChargingStations.Add(station);
+                created.Add((index, station));
             }
 
-            if (string.IsNullOrWhiteSpace(station.LocationAddress))
+            await _context.SaveChangesAsync();
+
+            // Start the status history and audit log of each new station
+            foreach (var (index, station) in created)
             {
-                return BadRequest("LocationAddress is required.");
+                if (station.Status != null)
+                {
+                    RecordStatusChange(station.Id, null, station.Status, station.StatusNote);
+                }
+                RecordAudit(station, AuditActions.Created, StationAudit.Diff(null, StationAudit.Snapshot(station)));
+
+                result.Rows.Add(new StationImportRowResult
+                {
+                    Index = index,
+                    Outcome = StationImportOutcomes.Created,
+                    StationId = station.Id,
+                });
             }
+            await _context.SaveChangesAsync();
 
-            // Find existing station to update
-            var existingStation = await _context.ChargingStations.FindAsync(id);
-            if (existingStation == null)
+            foreach (var (_, station) in created)
             {
-                return NotFound($"Charging station with ID {id} not found.");
+                station.StatusNote = null;
+                PublishEvent(StationEventTypes.Created, station);
             }
 
-            // Update all station properties
-            existingStation.StationName = station.StationName;
-            existingStation.LocationAddress = station.LocationAddress;
-            existingStation.PinCode = station.PinCode;
-            existingStation.ConnectorType = station.ConnectorType;
-            existingStation.Status = station.Status;
-            existingStation.ImageUrl = station.ImageUrl;
-            existingStation.LocationLink = station.LocationLink;
+            result.Rows = result.Rows.OrderBy(r => r.Index).ToList();
+            result.Created = created.Count;
+            result.Duplicates = result.Rows.Count(r => r.Outcome == StationImportOutcomes.Duplicate);
+            result.Invalid = result.Rows.Count(r => r.Outcome == StationImportOutcomes.Invalid);
 
-            // Save changes to database
-            await _context.SaveChangesAsync();
-            return NoContent();
+            return Ok(result);
         }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "Error updating charging station with ID {Id}", id);
-            return StatusCode(500, "An error occurred while updating the charging station");
+            _logger.LogError(ex, "Error importing charging stations");
+            return StatusCode(500, "An error occurred while importing the charging stations");
         }
     }
 
     /// <summary>
-    /// deleteChargingStationById - Delete data
+    /// uploadStationImage - Store an image (multipart "file") and return its URL and thumbnail URL
+    /// The image is scaled down, re-encoded as JPEG and stripped of metadata
     /// </summary>
-    [HttpDelete("deleteChargingStationById/{id}", Name = "DeleteChargingStationById")]
-    [ProducesResponseType(StatusCodes.Status204NoContent)]
-    [ProducesResponseType(StatusCodes.Status404NotFound)]
-    public async Task<IActionResult> DeleteChargingStationById(int id)
+    [Authorize(Roles = UserRoles.Editors)]
+    [HttpPost("uploadStationImage", Name = "UploadStationImage")]
+    [Consumes("multipart/form-data")]
+    [RequestSizeLimit(20 * 1024 * 1024)]
+    [ProducesResponseType(typeof(StoredImage), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<StoredImage>> UploadStationImage(IFormFile? file, CancellationToken cancellationToken)
     {
         try
         {
-            // Find station to delete
-            var station = await _context.ChargingStations.FindAsync(id);
-            if (station == null)
+            if (file == null || file.Length == 0)
             {
-                return NotFound($"Charging station with ID {id} not found.");
+                return BadRequest("An image file is required.");
             }
 
-            // Remove station from database
-            _context.ChargingStations.Remove(station);
-            await _context.SaveChangesAsync();
+            if (file.Length > _imageStorage.Settings.MaxUploadBytes)
+            {
+                return BadRequest($"Images must be at most {_imageStorage.Settings.MaxUploadBytes / (1024 * 1024)} MB.");
+            }
 
-            return NoContent();
+            await using var stream = file.OpenReadStream();
+            return Ok(await _imageStorage.SaveAsync(stream, cancellationToken));
+        }
+        catch (SixLabors.ImageSharp.ImageFormatException)
+        {
+            return BadRequest("File is not a supported image (JPEG, PNG, GIF, BMP, WebP or TIFF).");
         }
         catch (Exception ex)
         {
-            _logger.LogError(ex, "Error deleting charging station with ID {Id}", id);
-            return StatusCode(500, "An error occurred while deleting the charging station");
+            _logger.LogError(ex, "Error uploading station image");
+            return StatusCode(500, "An error occurred while uploading the image");
         }
     }
+
+    /// <summary>
+    /// updateChargingStationById - Update data
+    /// Send the station's ETag (its Version) as If-Match; an edit based on an older
+    /// version is rejected with 409 Conflict and the current station, and an update
+    /// without If-Match with 428 Precondition Required (If-Match: * skips the check)
+    /// </summary>
+    [Authorize(Roles = UserRoles.Editors)]
+    [HttpPut("updateChargingStationById/{id}", Name = "UpdateChargingStationById")]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(typeof(StationConflict), StatusCodes.Status409Conflict)]
+    [ProducesResponseType(StatusCodes.Status428PreconditionRequired)]
+    public async Task<IActionResult> UpdateChargingStationById(int id, ChargingStation station)
+    {
+        try
+        {
+            // Validate that URL ID matches request body ID
+            if (id != station.Id)
+            {
+                return BadRequest("ID in URL does not match ID in request body.");
+            }
+
+            // Without the version the edit started from, a newer edit would be silently overwritten
+            var ifMatch = Request.Headers.IfMatch.ToString();
+            if (string.IsNullOrWhiteSpace(ifMatch))
+            {
+                return StatusCode(StatusCodes.Status428PreconditionRequired,
+                    "If-Match with the ETag returned for the station is required to update it.");
+            }
+
+            if (!TryParseIfMatch(ifMatch, out var expectedVersion))
+            {
+                return BadRequest("If-Match must be the ETag returned for the station.");
+            }
+
+            // Validate required fields, coordinates and connectors
+            var validationError = ValidateStation(station);
+            if (validationError != null)
+            {
+                return BadRequest(validationError);
+            }
+
+            NormalizeStation(station);
+
+            var chargePointError = await ValidateChargePointIdAsync(station.ChargePointId, id);
+            if (chargePointError != null)
+            {
+                return BadRequest(chargePointError);
+            }
+
+            if (!await TariffExistsAsync(station.TariffId))
+            {
+                return BadRequest($"Tariff with ID {station.TariffId} not found.");
+            }
+
+            // Find existing station (with connectors) to update
+            var existingStation = await _context.ChargingStations
+                .Include(s => s.Connectors)
+                .Include(s => s.Photos.OrderBy(p => p.SortOrder))
+                .Include(s => s.ChargePointConnectors.OrderBy(c => c.ConnectorId))
+                .FirstOrDefaultAsync(s => s.Id == id);
+            if (existingStation == null)
+            {
+                return NotFound($"Charging station with ID {id} not found.");
+            }
+
+            // Someone else saved an edit since this one was started
+            if (expectedVersion.HasValue && expectedVersion.Value != existingStation.Version)
+            {
+                return await StationConflictAsync(existingStation);
+            }
+
+            // Record a status history entry when the status changes
+            if (!string.Equals(existingStation.Status, station.Status, StringComparison.Ordinal))
+            {
+                RecordStatusChange(id, existingStation.Status, station.Status, station.StatusNote);
+            }
+
+            var before = StationAudit.Snapshot(existingStation);
+            var previousStatus = existingStation.Status;
+
+            // Update all station properties
+            existingStation.StationName = station.StationName;
+            existingStation.LocationAddress = station.LocationAddress;
+            existingStation.PinCode = station.PinCode;
+            existingStation.ConnectorType = station.ConnectorType;
+            existingStation.Status = station.Status;
+            var previousImageUrls = ImageUrlsOf(existingStation);
+            existingStation.ImageUrl = station.ImageUrl;
+            existingStation.LocationLink = station.LocationLink;
+            existingStation.Latitude = station.Latitude;
+            existingStation.Longitude = station.Longitude;
+            existingStation.TariffId = station.TariffId;
+
+            // Live state reported by a previously linked charger no longer applies
+            if (!string.Equals(existingStation.ChargePointId, station.ChargePointId, StringComparison.Ordinal))
+            {
+                existingStation.ChargePointId = station.ChargePointId;
+                existingStation.ChargePointConnected = false;
+                existingStation.ChargePointVendor = null;
+                existingStation.ChargePointModel = null;
+                _context.ChargePointConnectors.RemoveRange(existingStation.ChargePointConnectors);
+                existingStation.ChargePointConnectors.Clear();
+            }
+
+            // Replace the connector set and gallery with the submitted ones
+            _context.StationConnectors.RemoveRange(existingStation.Connectors);
+            existingStation.Connectors = station.Connectors;
+            _context.StationPhotos.RemoveRange(existingStation.Photos);
+            existingStation.Photos = station.Photos;
+            ApplyThumbnails(existingStation);
+
+            // Audit the fields that actually changed
+            var changes = StationAudit.Diff(before, StationAudit.Snapshot(existingStation));
+            if (changes.Count > 0)
+            {
+                RecordAudit(existingStation, AuditActions.Updated, changes);
+                existingStation.Version++;
+            }
+
+            // Save changes to database, then drop uploads that are no longer used
+            await _context.SaveChangesAsync();
+            foreach (var removedUrl in previousImageUrls.Except(ImageUrlsOf(existingStation)))
+            {
+                _imageStorage.Delete(removedUrl);
+            }
+
+            if (changes.Count > 0)
+            {
+                var statusChanged = !string.Equals(previousStatus, existingStation.Status, StringComparison.Ordinal);
+                PublishEvent(
+                    statusChanged ? StationEventTypes.StatusChanged : StationEventTypes.Updated,
+                    existingStation,
+                    statusChanged ? previousStatus : null);
+            }
+            Response.Headers.ETag = ETagFor(existingStation);
+            return NoContent();
+        }
+        catch (DbUpdateConcurrencyException)
+        {
+            // Another edit was saved between loading the station and saving this one
+            _context.ChangeTracker.Clear();
+            var current = await _context.ChargingStations
+                .AsNoTracking()
+                .Include(s => s.Connectors)
+                .Include(s => s.Photos.OrderBy(p => p.SortOrder))
+                .Include(s => s.ChargePointConnectors.OrderBy(c => c.ConnectorId))
+                .FirstOrDefaultAsync(s => s.Id == id);
+            return current == null
+                ? NotFound($"Charging station with ID {id} not found.")
+                : await StationConflictAsync(current);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error updating charging station with ID {Id}", id);
+            return StatusCode(500, "An error occurred while updating the charging station");
+        }
+    }
+
+    /// <summary>
+    /// deleteChargingStationById - Move to the recycle bin
+    /// The station is hidden from all queries until it is restored or purged
+    /// </summary>
+    [Authorize(Roles = UserRoles.Admin)]
+    [HttpDelete("deleteChargingStationById/{id}", Name = "DeleteChargingStationById")]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<IActionResult> DeleteChargingStationById(int id)
+    {
+        try
+        {
+            // Find station to delete
+            var station = await _context.ChargingStations.FindAsync(id);
+            if (station == null)
+            {
+                return NotFound($"Charging station with ID {id} not found.");
+            }
+
+            // Archive the station; its data stays until it is purged
+            station.DeletedAt = DateTime.UtcNow;
+            station.DeletedBy = RequestValues.UserName(User);
+            RecordAudit(station, AuditActions.Deleted, new List<AuditFieldChange>());
+            await _context.SaveChangesAsync();
+            PublishEvent(StationEventTypes.Deleted, station, includeStation: false);
+
+            return NoContent();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error deleting charging station with ID {Id}", id);
+            return StatusCode(500, "An error occurred while deleting the charging station");
+        }
+    }
+
+    /// <summary>
+    /// getDeletedChargingStations - Get stations in the recycle bin, most recently deleted first
+    /// </summary>
+    [Authorize(Roles = UserRoles.Admin)]
+    [HttpGet("getDeletedChargingStations", Name = "GetDeletedChargingStations")]
+    [ProducesResponseType(typeof(IEnumerable<ChargingStation>), StatusCodes.Status200OK)]
+    public async Task<ActionResult<IEnumerable<ChargingStation>>> GetDeletedChargingStations()
+    {
+        try
+        {
+            var stations = await _context.ChargingStations
+                .IgnoreQueryFilters()
+                .AsNoTracking()
+                .Include(s => s.Connectors)
+                .Include(s => s.Photos.OrderBy(p => p.SortOrder))
+                .Include(s => s.ChargePointConnectors.OrderBy(c => c.ConnectorId))
+                .Where(s => s.DeletedAt != null)
+                .OrderByDescending(s => s.DeletedAt)
+                .ToListAsync();
+
+            return Ok(stations);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error retrieving deleted charging stations");
+            return StatusCode(500, "An error occurred while retrieving the recycle bin");
+        }
+    }
+
+    /// <summary>
+    /// restoreChargingStationById - Bring a station back from the recycle bin
+    /// </summary>
+    [Authorize(Roles = UserRoles.Admin)]
+    [HttpPost("restoreChargingStationById/{id}", Name = "RestoreChargingStationById")]
+    [ProducesResponseType(typeof(ChargingStation), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<ChargingStation>> RestoreChargingStationById(int id)
+    {
+        try
+        {
+            var station = await FindDeletedStationAsync(id);
+            if (station == null)
+            {
+                return NotFound($"Deleted charging station with ID {id} not found.");
+            }
+
+            station.DeletedAt = null;
+            station.DeletedBy = null;
+            RecordAudit(station, AuditActions.Restored, new List<AuditFieldChange>());
+            await _context.SaveChangesAsync();
+            PublishEvent(StationEventTypes.Restored, station);
+
+            return Ok(station);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error restoring charging station with ID {Id}", id);
+            return StatusCode(500, "An error occurred while restoring the charging station");
+        }
+    }
+
+    /// <summary>
+    /// purgeChargingStationById - Permanently delete a station from the recycle bin
+    /// Its last field values are kept in the audit log
+    /// </summary>
+    [Authorize(Roles = UserRoles.Admin)]
+    [HttpDelete("purgeChargingStationById/{id}", Name = "PurgeChargingStationById")]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<IActionResult> PurgeChargingStationById(int id)
+    {
+        try
+        {
+            var station = await FindDeletedStationAsync(id);
+            if (station == null)
+            {
+                return NotFound($"Deleted charging station with ID {id} not found.");
+            }
+
+            // Remove station from database (connectors, photos and status history cascade)
+            RecordAudit(station, AuditActions.Purged, StationAudit.Diff(StationAudit.Snapshot(station), null));
+            _context.ChargingStations.Remove(station);
+            await _context.SaveChangesAsync();
+            foreach (var imageUrl in ImageUrlsOf(station))
+            {
+                _imageStorage.Delete(imageUrl);
+            }
+
+            return NoContent();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error purging charging station with ID {Id}", id);
+            return StatusCode(500, "An error occurred while purging the charging station");
+        }
+    }
+
+    /// <summary>
+    /// Validate station fields shared by create and update
+    /// </summary>
+    /// <returns>Error message, or null when the station is valid</returns>
+    private static string? ValidateStation(ChargingStation station)
+    {
+        if (string.IsNullOrWhiteSpace(station.StationName))
+        {
+            return "StationName is required.";
+        }
+
+        if (string.IsNullOrWhiteSpace(station.LocationAddress))
+        {
+            return "LocationAddress is required.";
+        }
+
+        // Pin code is optional, but must be a 6-digit PIN not starting with 0
+        if (!string.IsNullOrWhiteSpace(station.PinCode) && !PinCodePattern.IsMatch(station.PinCode.Trim()))
+        {
+            return "PinCode must be a 6-digit PIN code not starting with 0.";
+        }
+
+        // Status is optional, but must be a known lifecycle status
+        if (station.Status != null && StationStatuses.Normalize(station.Status) == null)
+        {
+            return $"Status must be one of: {string.Join(", ", StationStatuses.All)}.";
+        }
+
+        // Images are uploaded separately; the station only keeps the URL
+        if (ImageStorageService.IsDataUrl(station.ImageUrl))
+        {
+            return "ImageUrl must be a URL; upload images with uploadStationImage.";
+        }
+
+        if (station.ImageUrl?.Length > 2048)
+        {
+            return "ImageUrl must be at most 2048 characters.";
+        }
+
+        if (station.Photos.Count > MaxPhotos)
+        {
+            return $"A station can have at most {MaxPhotos} photos.";
+        }
+
+        foreach (var photo in station.Photos)
+        {
+            if (string.IsNullOrWhiteSpace(photo.ImageUrl))
+            {
+                return "Each photo needs an ImageUrl.";
+            }
+
+            if (ImageStorageService.IsDataUrl(photo.ImageUrl))
+            {
+                return "Photo ImageUrl must be a URL; upload images with uploadStationImage.";
+            }
+
+            if (photo.ImageUrl.Length > 2048)
+            {
+                return "Photo ImageUrl must be at most 2048 characters.";
+            }
+
+            if (photo.Caption?.Length > StationPhoto.MaxCaptionLength)
+            {
+                return $"Photo Caption must be at most {StationPhoto.MaxCaptionLength} characters.";
+            }
+        }
+
+        if (station.StatusNote?.Length > 1000)
+        {
+            return "StatusNote must be at most 1000 characters.";
+        }
+
+        if (!string.IsNullOrWhiteSpace(station.ChargePointId) && !ChargePointIdPattern.IsMatch(station.ChargePointId.Trim()))
+        {
+            return "ChargePointId must be 1-48 letters, digits, dots, dashes or underscores.";
+        }
+
+        // Coordinates are optional, but must be given as a pair and be in range
+        if (station.Latitude.HasValue != station.Longitude.HasValue)
+        {
+            return "Latitude and Longitude must be provided together.";
+        }
+
+        if (station.Latitude is < -90 or > 90)
+        {
+            return "Latitude must be between -90 and 90.";
+        }
+
+        if (station.Longitude is < -180 or > 180)
+        {
+            return "Longitude must be between -180 and 180.";
+        }
+
+        // Each connector group needs a known type, AC/DC, a power rating and a count
+        foreach (var connector in station.Connectors)
+        {
+            if (!ConnectorTypes.IsKnown(connector.ConnectorType))
+            {
+                return $"ConnectorType must be one of: {string.Join(", ", ConnectorTypes.All)}.";
+            }
+
+            if (!ConnectorTypes.PowerTypes.Contains(connector.PowerType?.ToUpperInvariant()))
+            {
+                return "Connector PowerType must be AC or DC.";
+            }
+
+            if (connector.MaxPowerKw <= 0 || connector.MaxPowerKw > 1000)
+            {
+                return "Connector MaxPowerKw must be greater than 0 and at most 1000.";
+            }
+
+            if (connector.Count < 1 || connector.Count > 100)
+            {
+                return "Connector Count must be between 1 and 100.";
+            }
+
+            if (!ConnectorStatuses.All.Contains(connector.Status))
+            {
+                return $"Connector Status must be one of: {string.Join(", ", ConnectorStatuses.All)}.";
+            }
+        }
+
+        return null;
+    }
+
+    /// <summary>
+    /// Prepare submitted status, connectors and photos for saving
+    /// Uses the canonical status spelling, clears client-sent connector and photo keys, archive fields, version
+    /// and live charger state,
+    /// keeps the legacy ConnectorType in sync with the first connector
+    /// and the cover ImageUrl in sync with the first photo
+    /// </summary>
+    private static void NormalizeStation(ChargingStation station)
+    {
+        station.Status = StationStatuses.Normalize(station.Status);
+        station.StatusNote = string.IsNullOrWhiteSpace(station.StatusNote) ? null : station.StatusNote.Trim();
+        station.PinCode = string.IsNullOrWhiteSpace(station.PinCode) ? null : station.PinCode.Trim();
+        station.DeletedAt = null; // Only the delete and restore endpoints archive stations
+        station.DeletedBy = null;
+        station.Version = 1; // Only updates bump the version (new stations start at 1)
+        station.ChargePointId = string.IsNullOrWhiteSpace(station.ChargePointId) ? null : station.ChargePointId.Trim();
+        station.ChargePointConnected = false; // Live charger state only comes from OCPP
+        station.ChargePointLastSeenAt = null;
+        station.ChargePointVendor = null;
+        station.ChargePointModel = null;
+        station.ChargePointConnectors = new();
+
+        foreach (var connector in station.Connectors)
+        {
+            connector.Id = 0;
+            connector.ChargingStationId = 0;
+            connector.PowerType = connector.PowerType.ToUpperInvariant();
+        }
+
+        if (station.Connectors.Count > 0)
+        {
+            station.ConnectorType = station.Connectors[0].ConnectorType;
+        }
+
+        // Clients that only send ImageUrl get a one-photo gallery
+        if (station.Photos.Count == 0 && !string.IsNullOrWhiteSpace(station.ImageUrl))
+        {
+            station.Photos.Add(new StationPhoto { ImageUrl = station.ImageUrl });
+        }
+
+        for (var i = 0; i < station.Photos.Count; i++)
+        {
+            var photo = station.Photos[i];
+            photo.Id = 0;
+            photo.ChargingStationId = 0;
+            photo.ImageUrl = photo.ImageUrl.Trim();
+            photo.Caption = string.IsNullOrWhiteSpace(photo.Caption) ? null : photo.Caption.Trim();
+            photo.SortOrder = i;
+        }
+
+        station.ImageUrl = station.Photos.Count > 0 ? station.Photos[0].ImageUrl : null;
+    }
+
+    /// <summary>
+    /// Set the thumbnail URLs of the cover image and each photo
+    /// </summary>
+    private void ApplyThumbnails(ChargingStation station)
+    {
+        station.ThumbnailUrl = _imageStorage.GetThumbnailUrl(station.ImageUrl);
+        foreach (var photo in station.Photos)
+        {
+            photo.ThumbnailUrl = _imageStorage.GetThumbnailUrl(photo.ImageUrl);
+        }
+    }
+
+    /// <summary>
+    /// Every image URL a station refers to (cover and photos)
+    /// </summary>
+    private static HashSet<string> ImageUrlsOf(ChargingStation station)
+    {
+        var urls = station.Photos.Select(p => p.ImageUrl).ToHashSet(StringComparer.Ordinal);
+        if (!string.IsNullOrEmpty(station.ImageUrl))
+        {
+            urls.Add(station.ImageUrl);
+        }
+        return urls;
+    }
+
+    /// <summary>
+    /// Queue an append-only status history entry for the current user
+    /// </summary>
+    private void RecordStatusChange(int stationId, string? fromStatus, string? toStatus, string? note)
+    {
+        _context.StationStatusChanges.Add(new StationStatusChange
+        {
+            ChargingStationId = stationId,
+            FromStatus = fromStatus,
+            ToStatus = toStatus,
+            ChangedBy = RequestValues.UserName(User),
+            ChangedAt = DateTime.UtcNow,
+            Note = note,
+        });
+    }
+
+    /// <summary>
+    /// Key used to spot duplicate stations: name and address, case- and spacing-insensitive
+    /// </summary>
+    private static string DuplicateKey(string? stationName, string? locationAddress)
+    {
+        static string Clean(string? value) =>
+            string.Join(' ', (value ?? string.Empty).Split((char[]?)null, StringSplitOptions.RemoveEmptyEntries)).ToLowerInvariant();
+
+        return $"{Clean(stationName)}|{Clean(locationAddress)}";
+    }
+
+    /// <summary>
+    /// Find a station (with connectors) that is in the recycle bin
+    /// </summary>
+    private Task<ChargingStation?> FindDeletedStationAsync(int id)
+    {
+        return _context.ChargingStations
+            .IgnoreQueryFilters()
+            .Include(s => s.Connectors)
+            .Include(s => s.Photos.OrderBy(p => p.SortOrder))
+            .Include(s => s.ChargePointConnectors.OrderBy(c => c.ConnectorId))
+            .FirstOrDefaultAsync(s => s.Id == id && s.DeletedAt != null);
+    }
+
+    /// <summary>
+    /// Queue an append-only audit entry for the current user
+    /// </summary>
+    private void RecordAudit(ChargingStation station, string action, List<AuditFieldChange> changes)
+    {
+        _context.AuditEntries.Add(new AuditEntry
+        {
+            ChargingStationId = station.Id,
+            StationName = station.StationName,
+            Action = action,
+            Actor = RequestValues.UserName(User),
+            Timestamp = DateTime.UtcNow,
+            Changes = changes,
+        });
+    }
+
+    /// <summary>
+    /// Check that no other station (including ones in the recycle bin) uses a charge point id
+    /// </summary>
+    /// <returns>Error message, or null when the id is free</returns>
+    private async Task<string?> ValidateChargePointIdAsync(string? chargePointId, int? stationId)
+    {
+        if (chargePointId == null)
+        {
+            return null;
+        }
+
+        var owner = await _context.ChargingStations
+            .IgnoreQueryFilters()
+            .AsNoTracking()
+            .Where(s => s.ChargePointId == chargePointId && s.Id != stationId)
+            .Select(s => new { s.StationName, s.DeletedAt })
+            .FirstOrDefaultAsync();
+        if (owner == null)
+        {
+            return null;
+        }
+
+        return owner.DeletedAt == null
+            ? $"Charge point {chargePointId} is already linked to {owner.StationName}."
+            : $"Charge point {chargePointId} is linked to {owner.StationName} in the recycle bin.";
+    }
+
+    /// <summary>
+    /// Check that an assigned tariff exists (no tariff is always valid)
+    /// </summary>
+    private async Task<bool> TariffExistsAsync(int? tariffId)
+    {
+        return tariffId == null || await _context.Tariffs.AnyAsync(t => t.Id == tariffId);
+    }
+
+    /// <summary>
+    /// ETag header value for a station's current version
+    /// </summary>
+    private static string ETagFor(ChargingStation station) => $"\"{station.Version}\"";
+
+    /// <summary>
+    /// Read the version from an If-Match header ("3", W/"3" or *)
+    /// </summary>
+    /// <returns>False when the header is malformed; version is null for *, which matches any version</returns>
+    private static bool TryParseIfMatch(string header, out int? version)
+    {
+        version = null;
+        var value = header.Trim();
+        if (value == "*")
+        {
+            return true;
+        }
+
+        if (value.StartsWith("W/", StringComparison.Ordinal))
+        {
+            value = value[2..];
+        }
+        if (int.TryParse(value.Trim('"'), out var parsed))
+        {
+            version = parsed;
+            return true;
+        }
+        return false;
+    }
+
+    /// <summary>
+    /// 409 Conflict with the saved station and who last edited it, so the client can merge
+    /// </summary>
+    private async Task<IActionResult> StationConflictAsync(ChargingStation current)
+    {
+        var lastEdit = await _context.AuditEntries
+            .AsNoTracking()
+            .Where(e => e.ChargingStationId == current.Id)
+            .OrderByDescending(e => e.Timestamp)
+            .FirstOrDefaultAsync();
+
+        Response.Headers.ETag = ETagFor(current);
+        return Conflict(new StationConflict
+        {
+            Message = $"{current.StationName} was changed by {lastEdit?.Actor ?? "someone else"} after you started editing it.",
+            Current = current,
+            ChangedBy = lastEdit?.Actor,
+            ChangedAt = lastEdit?.Timestamp,
+        });
+    }
+
+    /// <summary>
+    /// Push a saved change to connected dashboards
+    /// </summary>
+    private void PublishEvent(string type, ChargingStation station, string? previousStatus = null, bool includeStation = true)
+    {
+        _events.Publish(new StationEvent
+        {
+            Type = type,
+            StationId = station.Id,
+            Station = includeStation ? station : null,
+            PreviousStatus = previousStatus,
+            Actor = RequestValues.UserName(User),
+            Timestamp = DateTime.UtcNow,
+        });
+    }
+
+    /// <summary>
+    /// Start of the hour, day or week (Monday) containing a UTC time
+    /// </summary>
+    private static DateTime AlignToInterval(DateTime value, string interval)
+    {
+        var day = DateTime.SpecifyKind(value.Date, DateTimeKind.Utc);
+        return interval switch
+        {
+            "hour" => day.AddHours(value.Hour),
+            "week" => day.AddDays(-(((int)day.DayOfWeek + 6) % 7)),
+            _ => day,
+        };
+    }
+
+    /// <summary>
+    /// Start of the next hour, day or week bucket
+    /// </summary>
+    private static DateTime NextInterval(DateTime start, string interval)
+    {
+        return interval switch
+        {
+            "hour" => start.AddHours(1),
+            "week" => start.AddDays(7),
+            _ => start.AddDays(1),
+        };
+    }
+
+    // Lightweight station projection used for in-memory distance sorting
+    private sealed record MeasuredStation(int Id, string StationName, string? Status, DateTime CreatedAt, double? DistanceKm);
+
+    /// <summary>
+    /// Order stations in the database by a validated sort key
+    /// </summary>
+    private static IQueryable<ChargingStation> ApplySort(IQueryable<ChargingStation> stations, string sort)
+    {
+        return sort.ToLowerInvariant() switch
+        {
+            "-name" => stations.OrderByDescending(s => s.StationName).ThenByDescending(s => s.Id),
+            "createdat" => stations.OrderBy(s => s.CreatedAt).ThenBy(s => s.Id),
+            "-createdat" => stations.OrderByDescending(s => s.CreatedAt).ThenByDescending(s => s.Id),
+            "status" => stations.OrderBy(s => s.Status).ThenBy(s => s.StationName).ThenBy(s => s.Id),
+            "-status" => stations.OrderByDescending(s => s.Status).ThenBy(s => s.StationName).ThenBy(s => s.Id),
+            _ => stations.OrderBy(s => s.StationName).ThenBy(s => s.Id),
+        };
+    }
+
+    /// <summary>
+    /// Project filtered stations and compute their distance from the origin
+    /// Stations without coordinates are kept (distance null) unless a radius is given
+    /// </summary>
+    private static async Task<List<MeasuredStation>> MeasureDistancesAsync(
+        IQueryable<ChargingStation> stations, double lat, double lng, double? radiusKm)
+    {
+        var candidates = await stations
+            .Select(s => new { s.Id, s.StationName, s.Status, s.CreatedAt, s.Latitude, s.Longitude })
+            .ToListAsync();
+
+        return candidates
+            .Select(c => new MeasuredStation(
+                c.Id,
+                c.StationName,
+                c.Status,
+                c.CreatedAt,
+                c.Latitude.HasValue && c.Longitude.HasValue
+                    ? GeoDistance.HaversineKm(lat, lng, c.Latitude.Value, c.Longitude.Value)
+                    : null))
+            .Where(m => !radiusKm.HasValue || (m.DistanceKm.HasValue && m.DistanceKm <= radiusKm))
+            .ToList();
+    }
+
+    /// <summary>
+    /// Order measured stations in memory by a validated sort key
+    /// </summary>
+    private static IEnumerable<MeasuredStation> SortMeasured(IEnumerable<MeasuredStation> measured, string sort)
+    {
+        return sort.ToLowerInvariant() switch
+        {
+            "distance" => measured.OrderBy(m => m.DistanceKm ?? double.MaxValue).ThenBy(m => m.StationName).ThenBy(m => m.Id),
+            "-name" => measured.OrderByDescending(m => m.StationName).ThenByDescending(m => m.Id),
+            "createdat" => measured.OrderBy(m => m.CreatedAt).ThenBy(m => m.Id),
+            "-createdat" => measured.OrderByDescending(m => m.CreatedAt).ThenByDescending(m => m.Id),
+            "status" => measured.OrderBy(m => m.Status).ThenBy(m => m.StationName).ThenBy(m => m.Id),
+            "-status" => measured.OrderByDescending(m => m.Status).ThenBy(m => m.StationName).ThenBy(m => m.Id),
+            _ => measured.OrderBy(m => m.StationName).ThenBy(m => m.Id),
+        };
+    }
 }
@@ -0,0 +1,342 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using ChargingStationAPI.Data;
+using ChargingStationAPI.Helpers;
+using ChargingStationAPI.Models;
+
+namespace ChargingStationAPI.Controllers;
+
+[ApiController]
+[Authorize] // Every endpoint needs a signed-in user; scheduling needs an editor role
+[Route("api")] // Base route for all endpoints in this controller
+[Produces("application/json")] // All responses return JSON
+public class MaintenanceWindowsController : ControllerBase
+{
+    private const int MaxOccurrenceRangeDays = 93; // Longest range one getMaintenanceOccurrences request may cover
+
+    private readonly ApplicationDbContext _context; // Database context for data access
+    private readonly ILogger<MaintenanceWindowsController> _logger; // Logger for error tracking
+
+    public MaintenanceWindowsController(ApplicationDbContext context, ILogger<MaintenanceWindowsController> logger)
+    {
+        _context = context;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// getMaintenanceWindows - Get maintenance windows, by first start
+    /// Stations in the recycle bin are left out of each window's StationIds
+    /// </summary>
+    [HttpGet("getMaintenanceWindows", Name = "GetMaintenanceWindows")]
+    [ProducesResponseType(typeof(IEnumerable<MaintenanceWindow>), StatusCodes.Status200OK)]
+    public async Task<ActionResult<IEnumerable<MaintenanceWindow>>> GetMaintenanceWindows(int? stationId)
+    {
+        try
+        {
+            var query = _context.MaintenanceWindows.AsNoTracking();
+            if (stationId.HasValue)
+            {
+                query = query.Where(w => w.StationIds.Contains(stationId.Value));
+            }
+
+            var windows = await query
+                .OrderBy(w => w.StartsAt)
+                .ThenBy(w => w.Id)
+                .ToListAsync();
+
+            await DropMissingStationsAsync(windows);
+            return Ok(windows);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error retrieving maintenance windows");
+            return StatusCode(500, "An error occurred while retrieving maintenance windows");
+        }
+    }
+
+    /// <summary>
+    /// getMaintenanceOccurrences - Occurrences of all windows that overlap [from, to), in time order
+    /// Defaults to the next 7 days; occurrences with no remaining stations are left out
+    /// </summary>
+    [HttpGet("getMaintenanceOccurrences", Name = "GetMaintenanceOccurrences")]
+    [ProducesResponseType(typeof(IEnumerable<MaintenanceOccurrence>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<IEnumerable<MaintenanceOccurrence>>> GetMaintenanceOccurrences(DateTime? from, DateTime? to, int? stationId)
+    {
+        try
+        {
+            var rangeStart = from.HasValue ? RequestValues.AsUtc(from.Value) : DateTime.UtcNow;
+            var rangeEnd = to.HasValue ? RequestValues.AsUtc(to.Value) : rangeStart.AddDays(7);
+            if (rangeEnd <= rangeStart)
+            {
+                return BadRequest("'to' must be after 'from'.");
+            }
+
+            if ((rangeEnd - rangeStart).TotalDays > MaxOccurrenceRangeDays)
+            {
+                return BadRequest($"The range may cover at most {MaxOccurrenceRangeDays} days.");
+            }
+
+            // Windows that start before the range ends and may still run inside it
+            var earliestRecurringStart = rangeStart - MaintenanceWindow.MaxDuration;
+            var query = _context.MaintenanceWindows
+                .AsNoTracking()
+                .Where(w => w.StartsAt < rangeEnd)
+                .Where(w => (w.Recurrence == MaintenanceRecurrences.None && w.EndsAt > rangeStart)
+                    || (w.Recurrence != MaintenanceRecurrences.None && (w.RecurUntil == null || w.RecurUntil >= earliestRecurringStart)));
+            if (stationId.HasValue)
+            {
+                query = query.Where(w => w.StationIds.Contains(stationId.Value));
+            }
+
+            var windows = await query.ToListAsync();
+            await DropMissingStationsAsync(windows);
+
+            var occurrences = windows
+                .Where(w => w.StationIds.Count > 0)
+                .SelectMany(w => MaintenanceSchedule.Between(w, rangeStart, rangeEnd).Select(o => new MaintenanceOccurrence
+                {
+                    WindowId = w.Id,
+                    Reason = w.Reason,
+                    Recurrence = w.Recurrence,
+                    StartsAt = o.Start,
+                    EndsAt = o.End,
+                    StationIds = w.StationIds,
+                }))
+                .OrderBy(o => o.StartsAt)
+                .ThenBy(o => o.WindowId)
+                .ToList();
+
+            return Ok(occurrences);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error retrieving maintenance occurrences");
+            return StatusCode(500, "An error occurred while retrieving maintenance occurrences");
+        }
+    }
+
+    /// <summary>
+    /// addMaintenanceWindow - Add new
+    /// </summary>
+    [Authorize(Roles = UserRoles.Editors)]
+    [HttpPost("addMaintenanceWindow", Name = "AddMaintenanceWindow")]
+    [ProducesResponseType(typeof(MaintenanceWindow), StatusCodes.Status201Created)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<MaintenanceWindow>> AddMaintenanceWindow(MaintenanceWindow window)
+    {
+        try
+        {
+            NormalizeWindow(window);
+            var validationError = ValidateWindow(window) ?? await ValidateStationsAsync(window);
+            if (validationError != null)
+            {
+                return BadRequest(validationError);
+            }
+
+            if (window.Recurrence == MaintenanceRecurrences.None && window.EndsAt <= DateTime.UtcNow)
+            {
+                return BadRequest("The window has already ended.");
+            }
+
+            var now = DateTime.UtcNow;
+            window.Id = 0;
+            window.CreatedAt = now;
+            window.CreatedBy = RequestValues.UserName(User);
+            window.UpdatedAt = now;
+
+            _context.MaintenanceWindows.Add(window);
+            await _context.SaveChangesAsync();
+
+            return CreatedAtAction(nameof(GetMaintenanceWindows), null, window);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error creating maintenance window");
+            return StatusCode(500, "An error occurred while creating the maintenance window");
+        }
+    }
+
+    /// <summary>
+    /// updateMaintenanceWindowById - Update by id
+    /// Stations already held by the window are released at the next scheduler check if it no longer covers them
+    /// </summary>
+    [Authorize(Roles = UserRoles.Editors)]
+    [HttpPut("updateMaintenanceWindowById/{id}", Name = "UpdateMaintenanceWindowById")]
+    [ProducesResponseType(typeof(MaintenanceWindow), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<MaintenanceWindow>> UpdateMaintenanceWindowById(int id, MaintenanceWindow window)
+    {
+        try
+        {
+            if (id != window.Id)
+            {
+                return BadRequest("ID in URL does not match ID in request body.");
+            }
+
+            NormalizeWindow(window);
+            var validationError = ValidateWindow(window) ?? await ValidateStationsAsync(window);
+            if (validationError != null)
+            {
+                return BadRequest(validationError);
+            }
+
+            var existing = await _context.MaintenanceWindows.FirstOrDefaultAsync(w => w.Id == id);
+            if (existing == null)
+            {
+                return NotFound($"Maintenance window with ID {id} not found.");
+            }
+
+            existing.Reason = window.Reason;
+            existing.StartsAt = window.StartsAt;
+            existing.EndsAt = window.EndsAt;
+            existing.Recurrence = window.Recurrence;
+            existing.RecurUntil = window.RecurUntil;
+            existing.StationIds = window.StationIds;
+            existing.UpdatedAt = DateTime.UtcNow;
+
+            await _context.SaveChangesAsync();
+
+            return Ok(existing);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error updating maintenance window with ID {Id}", id);
+            return StatusCode(500, "An error occurred while updating the maintenance window");
+        }
+    }
+
+    /// <summary>
+    /// deleteMaintenanceWindowById - Delete by id
+    /// Stations the window holds in Maintenance get their status back at the next scheduler check
+    /// </summary>
+    [Authorize(Roles = UserRoles.Admin)]
+    [HttpDelete("deleteMaintenanceWindowById/{id}", Name = "DeleteMaintenanceWindowById")]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<IActionResult> DeleteMaintenanceWindowById(int id)
+    {
+        try
+        {
+            var window = await _context.MaintenanceWindows.FindAsync(id);
+            if (window == null)
+            {
+                return NotFound($"Maintenance window with ID {id} not found.");
+            }
+
+            _context.MaintenanceWindows.Remove(window);
+            await _context.SaveChangesAsync();
+
+            return NoContent();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error deleting maintenance window with ID {Id}", id);
+            return StatusCode(500, "An error occurred while deleting the maintenance window");
+        }
+    }
+
+    /// <summary>
+    /// Trim the reason, use UTC times and the canonical recurrence, and drop repeated station ids
+    /// </summary>
+    private static void NormalizeWindow(MaintenanceWindow window)
+    {
+        window.Reason = window.Reason?.Trim() ?? string.Empty;
+        window.StartsAt = RequestValues.AsUtc(window.StartsAt);
+        window.EndsAt = RequestValues.AsUtc(window.EndsAt);
+        window.Recurrence = MaintenanceRecurrences.Normalize(window.Recurrence) ?? window.Recurrence ?? string.Empty;
+        window.RecurUntil = window.Recurrence == MaintenanceRecurrences.None || !window.RecurUntil.HasValue
+            ? null
+            : RequestValues.AsUtc(window.RecurUntil.Value);
+        window.StationIds = (window.StationIds ?? new List<int>()).Distinct().ToList();
+    }
+
+    /// <summary>
+    /// Validate a normalized window's fields
+    /// </summary>
+    /// <returns>Error message, or null when the window is valid</returns>
+    private static string? ValidateWindow(MaintenanceWindow window)
+    {
+        if (string.IsNullOrEmpty(window.Reason))
+        {
+            return "Reason is required.";
+        }
+
+        if (window.Reason.Length > MaintenanceWindow.MaxReasonLength)
+        {
+            return $"Reason must be at most {MaintenanceWindow.MaxReasonLength} characters.";
+        }
+
+        if (!MaintenanceRecurrences.All.Contains(window.Recurrence))
+        {
+            return $"Recurrence must be one of: {string.Join(", ", MaintenanceRecurrences.All)}.";
+        }
+
+        var duration = window.EndsAt - window.StartsAt;
+        if (duration <= TimeSpan.Zero)
+        {
+            return "EndsAt must be after StartsAt.";
+        }
+
+        if (duration > MaintenanceWindow.MaxDuration)
+        {
+            return $"A window may last at most {MaintenanceWindow.MaxDuration.TotalDays} days.";
+        }
+
+        var period = MaintenanceSchedule.ShortestPeriod(window.Recurrence);
+        if (period.HasValue && duration >= period.Value)
+        {
+            return $"A {window.Recurrence.ToLowerInvariant()} window must be shorter than {period.Value.TotalDays} day(s) so occurrences do not overlap.";
+        }
+
+        if (window.RecurUntil.HasValue && window.RecurUntil.Value < window.StartsAt)
+        {
+            return "RecurUntil must not be before StartsAt.";
+        }
+
+        if (window.StationIds.Count == 0)
+        {
+            return "Choose at least one station.";
+        }
+
+        if (window.StationIds.Count > MaintenanceWindow.MaxStations)
+        {
+            return $"A window may cover at most {MaintenanceWindow.MaxStations} stations.";
+        }
+
+        return null;
+    }
+
+    /// <summary>
+    /// Check that every station of a window exists (and is not in the recycle bin)
+    /// </summary>
+    /// <returns>Error message, or null when all stations exist</returns>
+    private async Task<string?> ValidateStationsAsync(MaintenanceWindow window)
+    {
+        var found = await _context.ChargingStations
+            .Where(s => window.StationIds.Contains(s.Id))
+            .Select(s => s.Id)
+            .ToListAsync();
+        var missing = window.StationIds.Except(found).ToList();
+        return missing.Count == 0 ? null : $"Charging station(s) not found: {string.Join(", ", missing)}.";
+    }
+
+    /// <summary>
+    /// Remove ids of stations that were deleted since the windows were saved
+    /// </summary>
+    private async Task DropMissingStationsAsync(List<MaintenanceWindow> windows)
+    {
+        var ids = windows.SelectMany(w => w.StationIds).Distinct().ToList();
+        var existing = (await _context.ChargingStations
+            .Where(s => ids.Contains(s.Id))
+            .Select(s => s.Id)
+            .ToListAsync()).ToHashSet();
+
+        foreach (var window in windows)
+        {
+            window.StationIds = window.StationIds.Where(existing.Contains).ToList();
+        }
+    }
+}
@@ -0,0 +1,143 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.IdentityModel.JsonWebTokens;
+using ChargingStationAPI.Data;
+using ChargingStationAPI.Models;
+
+namespace ChargingStationAPI.Controllers;
+
+[ApiController]
+[Authorize] // Every user sees only their own notifications
+[Route("api")] // Base route for all endpoints in this controller
+[Produces("application/json")] // All responses return JSON
+public class NotificationsController : ControllerBase
+{
+    private const int DefaultLimit = 50; // Notifications returned when no limit is given
+    private const int MaxLimit = 200; // Most notifications one request may return
+
+    private readonly ApplicationDbContext _context; // Database context for data access
+    private readonly ILogger<NotificationsController> _logger; // Logger for error tracking
+
+    public NotificationsController(ApplicationDbContext context, ILogger<NotificationsController> logger)
+    {
+        _context = context;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// getNotifications - Newest notifications of the current user, with their unread count
+    /// </summary>
+    [HttpGet("getNotifications", Name = "GetNotifications")]
+    [ProducesResponseType(typeof(NotificationPage), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+    public async Task<ActionResult<NotificationPage>> GetNotifications(bool unreadOnly = false, int limit = DefaultLimit)
+    {
+        try
+        {
+            var userId = GetCurrentUserId();
+            if (userId == null)
+            {
+                return Unauthorized();
+            }
+
+            var query = _context.Notifications.AsNoTracking().Where(n => n.UserId == userId);
+            var unreadCount = await query.CountAsync(n => n.ReadAt == null);
+            if (unreadOnly)
+            {
+                query = query.Where(n => n.ReadAt == null);
+            }
+
+            var items = await query
+                .OrderByDescending(n => n.CreatedAt)
+                .ThenByDescending(n => n.Id)
+                .Take(Math.Clamp(limit, 1, MaxLimit))
+                .ToListAsync();
+
+            return Ok(new NotificationPage { Items = items, UnreadCount = unreadCount });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error retrieving notifications");
+            return StatusCode(500, "An error occurred while retrieving notifications");
+        }
+    }
+
+    /// <summary>
+    /// markNotificationRead - Mark one notification of the current user read (or unread again)
+    /// </summary>
+    [HttpPost("markNotificationRead/{id}", Name = "MarkNotificationRead")]
+    [ProducesResponseType(typeof(Notification), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<Notification>> MarkNotificationRead(int id, bool read = true)
+    {
+        try
+        {
+            var userId = GetCurrentUserId();
+            if (userId == null)
+            {
+                return Unauthorized();
+            }
+
+            var notification = await _context.Notifications.FirstOrDefaultAsync(n => n.Id == id && n.UserId == userId);
+            if (notification == null)
+            {
+                return NotFound($"Notification with ID {id} not found.");
+            }
+
+            if (read != (notification.ReadAt != null))
+            {
+                notification.ReadAt = read ? DateTime.UtcNow : null;
+                await _context.SaveChangesAsync();
+            }
+
+            return Ok(notification);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error marking notification with ID {Id}", id);
+            return StatusCode(500, "An error occurred while updating the notification");
+        }
+    }
+
+    /// <summary>
+    /// markAllNotificationsRead - Mark every unread notification of the current user read
+    /// </summary>
+    /// <returns>Number of notifications marked</returns>
+    [HttpPost("markAllNotificationsRead", Name = "MarkAllNotificationsRead")]
+    [ProducesResponseType(typeof(int), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status401Unauthorized)]
+    public async Task<ActionResult<int>> MarkAllNotificationsRead()
+    {
+        try
+        {
+            var userId = GetCurrentUserId();
+            if (userId == null)
+            {
+                return Unauthorized();
+            }
+
+            var now = DateTime.UtcNow;
+            var marked = await _context.Notifications
+                .Where(n => n.UserId == userId && n.ReadAt == null)
+                .ExecuteUpdateAsync(n => n.SetProperty(x => x.ReadAt, now));
+
+            return Ok(marked);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error marking all notifications read");
+            return StatusCode(500, "An error occurred while updating notifications");
+        }
+    }
+
+    /// <summary>
+    /// Id of the user account for the access token on this request
+    /// </summary>
+    private int? GetCurrentUserId()
+    {
+        var subject = User.FindFirst(JwtRegisteredClaimNames.Sub)?.Value;
+        return int.TryParse(subject, out var userId) ? userId : null;
+    }
+}
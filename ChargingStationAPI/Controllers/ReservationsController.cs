@@ -0,0 +1,535 @@
+using System.Data;
+using System.Net.Mail;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using Npgsql;
+using ChargingStationAPI.Data;
+using ChargingStationAPI.Helpers;
+using ChargingStationAPI.Models;
+
+namespace ChargingStationAPI.Controllers;
+
+[ApiController]
+[Authorize] // Every endpoint needs a signed-in user; bookings and driver details need an editor role
+[Route("api")] // Base route for all endpoints in this controller
+[Produces("application/json")] // All responses return JSON
+public class ReservationsController : ControllerBase
+{
+    private const int MaxRangeDays = 93; // Longest range one reservation query may cover
+    private static readonly TimeSpan StartGracePeriod = TimeSpan.FromMinutes(5); // A slot booked "now" may start this far in the past
+
+    private readonly ApplicationDbContext _context; // Database context for data access
+    private readonly ILogger<ReservationsController> _logger; // Logger for error tracking
+
+    public ReservationsController(ApplicationDbContext context, ILogger<ReservationsController> logger)
+    {
+        _context = context;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// getReservations - Get reservations with driver details that overlap [from, to), by start
+    /// Defaults to the next 7 days; cancelled reservations only with includeCancelled
+    /// </summary>
+    [Authorize(Roles = UserRoles.Editors)]
+    [HttpGet("getReservations", Name = "GetReservations")]
+    [ProducesResponseType(typeof(IEnumerable<Reservation>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<IEnumerable<Reservation>>> GetReservations(int? stationId, DateTime? from, DateTime? to, bool includeCancelled = false)
+    {
+        try
+        {
+            var rangeError = ResolveRange(from, to, out var rangeStart, out var rangeEnd);
+            if (rangeError != null)
+            {
+                return BadRequest(rangeError);
+            }
+
+            var query = QueryOverlapping(rangeStart, rangeEnd, stationId);
+            if (!includeCancelled)
+            {
+                query = query.Where(r => r.Status == ReservationStatuses.Booked);
+            }
+
+            var reservations = await query
+                .OrderBy(r => r.StartsAt)
+                .ThenBy(r => r.ConnectorId)
+                .ToListAsync();
+
+            return Ok(reservations);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error retrieving reservations");
+            return StatusCode(500, "An error occurred while retrieving reservations");
+        }
+    }
+
+    /// <summary>
+    /// getReservationSlots - Booked slots that overlap [from, to), without driver details, by start
+    /// Defaults to the next 7 days
+    /// </summary>
+    [HttpGet("getReservationSlots", Name = "GetReservationSlots")]
+    [ProducesResponseType(typeof(IEnumerable<ReservationSlot>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<IEnumerable<ReservationSlot>>> GetReservationSlots(int? stationId, DateTime? from, DateTime? to)
+    {
+        try
+        {
+            var rangeError = ResolveRange(from, to, out var rangeStart, out var rangeEnd);
+            if (rangeError != null)
+            {
+                return BadRequest(rangeError);
+            }
+
+            var slots = await QueryOverlapping(rangeStart, rangeEnd, stationId)
+                .Where(r => r.Status == ReservationStatuses.Booked)
+                .OrderBy(r => r.StartsAt)
+                .ThenBy(r => r.ConnectorId)
+                .Select(r => new ReservationSlot
+                {
+                    Id = r.Id,
+                    ChargingStationId = r.ChargingStationId,
+                    ConnectorId = r.ConnectorId,
+                    StartsAt = r.StartsAt,
+                    EndsAt = r.EndsAt,
+                })
+                .ToListAsync();
+
+            return Ok(slots);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error retrieving reservation slots");
+            return StatusCode(500, "An error occurred while retrieving reservation slots");
+        }
+    }
+
+    /// <summary>
+    /// addReservation - Book a connector for a driver
+    /// Returns 409 with the overlapping bookings and maintenance when the slot is taken
+    /// </summary>
+    [Authorize(Roles = UserRoles.Editors)]
+    [HttpPost("addReservation", Name = "AddReservation")]
+    [ProducesResponseType(typeof(Reservation), StatusCodes.Status201Created)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(typeof(ReservationConflict), StatusCodes.Status409Conflict)]
+    public async Task<ActionResult<Reservation>> AddReservation(Reservation reservation)
+    {
+        try
+        {
+            var station = await LoadStationAsync(reservation.ChargingStationId);
+            if (station == null)
+            {
+                return NotFound($"Charging station with ID {reservation.ChargingStationId} not found.");
+            }
+
+            NormalizeReservation(reservation);
+            var now = DateTime.UtcNow;
+            var validationError = CheckStationStatus(reservation, station, now) ?? ValidateReservation(reservation, station, now);
+            if (validationError != null)
+            {
+                return BadRequest(validationError);
+            }
+
+            reservation.Id = 0;
+            reservation.Status = ReservationStatuses.Booked;
+            reservation.CreatedAt = now;
+            reservation.CreatedBy = RequestValues.UserName(User);
+            reservation.UpdatedAt = now;
+            reservation.CancelledAt = null;
+            reservation.CancelledBy = null;
+
+            // Serializable, so two bookings of the same slot saved at once cannot both pass the check
+            await using var transaction = await _context.Database.BeginTransactionAsync(IsolationLevel.Serializable);
+            var conflict = await FindConflictAsync(reservation);
+            if (conflict != null)
+            {
+                return Conflict(conflict);
+            }
+
+            _context.Reservations.Add(reservation);
+            await _context.SaveChangesAsync();
+            await transaction.CommitAsync();
+
+            return CreatedAtAction(nameof(GetReservations), new { stationId = reservation.ChargingStationId }, reservation);
+        }
+        catch (Exception ex) when (IsSerializationFailure(ex))
+        {
+            return Conflict("Another booking was saved for this connector at the same time. Please try again.");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error creating reservation");
+            return StatusCode(500, "An error occurred while creating the reservation");
+        }
+    }
+
+    /// <summary>
+    /// updateReservationById - Update by id
+    /// Moves the slot or connector and edits the driver details of a booking that has not ended;
+    /// the station cannot be changed
+    /// </summary>
+    [Authorize(Roles = UserRoles.Editors)]
+    [HttpPut("updateReservationById/{id}", Name = "UpdateReservationById")]
+    [ProducesResponseType(typeof(Reservation), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(typeof(ReservationConflict), StatusCodes.Status409Conflict)]
+    public async Task<ActionResult<Reservation>> UpdateReservationById(int id, Reservation reservation)
+    {
+        try
+        {
+            if (id != reservation.Id)
+            {
+                return BadRequest("ID in URL does not match ID in request body.");
+            }
+
+            var existing = await _context.Reservations.FirstOrDefaultAsync(r => r.Id == id);
+            var station = existing == null ? null : await LoadStationAsync(existing.ChargingStationId);
+            if (existing == null || station == null)
+            {
+                return NotFound($"Reservation with ID {id} not found.");
+            }
+
+            if (reservation.ChargingStationId != existing.ChargingStationId)
+            {
+                return BadRequest("A reservation cannot be moved to another station; cancel it and book the other station.");
+            }
+
+            var now = DateTime.UtcNow;
+            if (existing.Status != ReservationStatuses.Booked)
+            {
+                return BadRequest("Cancelled reservations cannot be changed.");
+            }
+
+            if (existing.EndsAt <= now)
+            {
+                return BadRequest("The reservation has already ended.");
+            }
+
+            NormalizeReservation(reservation);
+
+            // Only a moved slot is checked again, so driver details stay editable when the station
+            // went out of service or maintenance was planned over it later
+            var slotMoved = reservation.ConnectorId != existing.ConnectorId
+                || reservation.StartsAt != existing.StartsAt
+                || reservation.EndsAt != existing.EndsAt;
+
+            // A running slot keeps its start; only later starts are checked against the clock
+            var validationError = (slotMoved ? CheckStationStatus(reservation, station, now) : null)
+                ?? ValidateReservation(reservation, station, reservation.StartsAt == existing.StartsAt ? null : now);
+            if (validationError != null)
+            {
+                return BadRequest(validationError);
+            }
+
+            await using var transaction = await _context.Database.BeginTransactionAsync(IsolationLevel.Serializable);
+            var conflict = slotMoved ? await FindConflictAsync(reservation) : null;
+            if (conflict != null)
+            {
+                return Conflict(conflict);
+            }
+
+            existing.ConnectorId = reservation.ConnectorId;
+            existing.StartsAt = reservation.StartsAt;
+            existing.EndsAt = reservation.EndsAt;
+            existing.DriverName = reservation.DriverName;
+            existing.DriverPhone = reservation.DriverPhone;
+            existing.DriverEmail = reservation.DriverEmail;
+            existing.Note = reservation.Note;
+            existing.UpdatedAt = now;
+
+            await _context.SaveChangesAsync();
+            await transaction.CommitAsync();
+
+            return Ok(existing);
+        }
+        catch (Exception ex) when (IsSerializationFailure(ex))
+        {
+            return Conflict("Another booking was saved for this connector at the same time. Please try again.");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error updating reservation with ID {Id}", id);
+            return StatusCode(500, "An error occurred while updating the reservation");
+        }
+    }
+
+    /// <summary>
+    /// cancelReservationById - Cancel by id, freeing the connector
+    /// Cancelled reservations are kept so the booking history stays complete
+    /// </summary>
+    [Authorize(Roles = UserRoles.Editors)]
+    [HttpPost("cancelReservationById/{id}", Name = "CancelReservationById")]
+    [ProducesResponseType(typeof(Reservation), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<Reservation>> CancelReservationById(int id)
+    {
+        try
+        {
+            var reservation = await _context.Reservations.FirstOrDefaultAsync(r => r.Id == id);
+            if (reservation == null)
+            {
+                return NotFound($"Reservation with ID {id} not found.");
+            }
+
+            if (reservation.Status == ReservationStatuses.Cancelled)
+            {
+                return BadRequest("The reservation is already cancelled.");
+            }
+
+            var now = DateTime.UtcNow;
+            reservation.Status = ReservationStatuses.Cancelled;
+            reservation.CancelledAt = now;
+            reservation.CancelledBy = RequestValues.UserName(User);
+            reservation.UpdatedAt = now;
+
+            await _context.SaveChangesAsync();
+
+            return Ok(reservation);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error cancelling reservation with ID {Id}", id);
+            return StatusCode(500, "An error occurred while cancelling the reservation");
+        }
+    }
+
+    /// <summary>
+    /// Number of connectors at a station, counted as the frontend does:
+    /// the sum of the group counts, or one for a station with only a connector type
+    /// </summary>
+    private static int CountConnectors(ChargingStation station)
+    {
+        var count = station.Connectors.Sum(c => c.Count);
+        return count == 0 && !string.IsNullOrEmpty(station.ConnectorType) ? 1 : count;
+    }
+
+    /// <summary>
+    /// Resolve the query range, defaulting to the next 7 days
+    /// </summary>
+    /// <returns>Error message, or null when the range is valid</returns>
+    private static string? ResolveRange(DateTime? from, DateTime? to, out DateTime rangeStart, out DateTime rangeEnd)
+    {
+        rangeStart = from.HasValue ? RequestValues.AsUtc(from.Value) : DateTime.UtcNow;
+        rangeEnd = to.HasValue ? RequestValues.AsUtc(to.Value) : rangeStart.AddDays(7);
+        if (rangeEnd <= rangeStart)
+        {
+            return "'to' must be after 'from'.";
+        }
+
+        if ((rangeEnd - rangeStart).TotalDays > MaxRangeDays)
+        {
+            return $"The range may cover at most {MaxRangeDays} days.";
+        }
+
+        return null;
+    }
+
+    /// <summary>
+    /// Reservations that overlap [from, to), leaving out stations in the recycle bin
+    /// </summary>
+    private IQueryable<Reservation> QueryOverlapping(DateTime from, DateTime to, int? stationId)
+    {
+        var query = _context.Reservations
+            .AsNoTracking()
+            .Where(r => r.StartsAt < to && r.EndsAt > from)
+            .Where(r => _context.ChargingStations.Any(s => s.Id == r.ChargingStationId));
+        if (stationId.HasValue)
+        {
+            query = query.Where(r => r.ChargingStationId == stationId.Value);
+        }
+
+        return query;
+    }
+
+    /// <summary>
+    /// Bookings of the same connector and maintenance at the station that overlap a reservation's slot
+    /// </summary>
+    /// <returns>The conflict, or null when the slot is free</returns>
+    private async Task<ReservationConflict?> FindConflictAsync(Reservation reservation)
+    {
+        var reservations = await _context.Reservations
+            .AsNoTracking()
+            .Where(r => r.ChargingStationId == reservation.ChargingStationId && r.ConnectorId == reservation.ConnectorId)
+            .Where(r => r.Status == ReservationStatuses.Booked && r.Id != reservation.Id)
+            .Where(r => r.StartsAt < reservation.EndsAt && r.EndsAt > reservation.StartsAt)
+            .OrderBy(r => r.StartsAt)
+            .Select(r => new ReservationSlot
+            {
+                Id = r.Id,
+                ChargingStationId = r.ChargingStationId,
+                ConnectorId = r.ConnectorId,
+                StartsAt = r.StartsAt,
+                EndsAt = r.EndsAt,
+            })
+            .ToListAsync();
+
+        // Windows covering the station that start before the slot ends and may still run inside it
+        var earliestRecurringStart = reservation.StartsAt - MaintenanceWindow.MaxDuration;
+        var windows = await _context.MaintenanceWindows
+            .AsNoTracking()
+            .Where(w => w.StationIds.Contains(reservation.ChargingStationId))
+            .Where(w => w.StartsAt < reservation.EndsAt)
+            .Where(w => (w.Recurrence == MaintenanceRecurrences.None && w.EndsAt > reservation.StartsAt)
+                || (w.Recurrence != MaintenanceRecurrences.None && (w.RecurUntil == null || w.RecurUntil >= earliestRecurringStart)))
+            .ToListAsync();
+        var maintenance = windows
+            .SelectMany(w => MaintenanceSchedule.Between(w, reservation.StartsAt, reservation.EndsAt).Select(o => new MaintenanceOccurrence
+            {
+                WindowId = w.Id,
+                Reason = w.Reason,
+                Recurrence = w.Recurrence,
+                StartsAt = o.Start,
+                EndsAt = o.End,
+                StationIds = new List<int> { reservation.ChargingStationId },
+            }))
+            .OrderBy(o => o.StartsAt)
+            .ToList();
+
+        if (reservations.Count == 0 && maintenance.Count == 0)
+        {
+            return null;
+        }
+
+        var message = reservations.Count > 0
+            ? $"Connector {reservation.ConnectorId} is already booked for part of this time."
+            : "Maintenance is planned at the station during this time.";
+        return new ReservationConflict { Message = message, Reservations = reservations, Maintenance = maintenance };
+    }
+
+    /// <summary>
+    /// Trim the text fields (blank optional ones become null) and use UTC times
+    /// </summary>
+    private static void NormalizeReservation(Reservation reservation)
+    {
+        reservation.DriverName = reservation.DriverName?.Trim() ?? string.Empty;
+        reservation.DriverPhone = string.IsNullOrWhiteSpace(reservation.DriverPhone) ? null : reservation.DriverPhone.Trim();
+        reservation.DriverEmail = string.IsNullOrWhiteSpace(reservation.DriverEmail) ? null : reservation.DriverEmail.Trim();
+        reservation.Note = string.IsNullOrWhiteSpace(reservation.Note) ? null : reservation.Note.Trim();
+        reservation.StartsAt = RequestValues.AsUtc(reservation.StartsAt);
+        reservation.EndsAt = RequestValues.AsUtc(reservation.EndsAt);
+    }
+
+    /// <summary>
+    /// Reject a slot that starts while the station is out of service
+    /// Only the current status is known, so a station in maintenance or offline refuses just the slots
+    /// starting now; later slots are checked against its planned maintenance in FindConflictAsync
+    /// </summary>
+    /// <returns>Error message, or null when the station can be booked for the slot</returns>
+    private static string? CheckStationStatus(Reservation reservation, ChargingStation station, DateTime now)
+    {
+        if (station.Status != null && !StationStatuses.IsInService(station.Status))
+        {
+            return $"The station is {station.Status} and cannot be booked.";
+        }
+
+        if (station.Status != null && !StationStatuses.IsAvailable(station.Status) && reservation.StartsAt < now + StartGracePeriod)
+        {
+            return $"The station is {station.Status}; book a slot that starts once it is back in service.";
+        }
+
+        return null;
+    }
+
+    /// <summary>
+    /// Validate a normalized reservation against its station
+    /// </summary>
+    /// <param name="now">Current time to check the start against, or null to leave the start unchecked</param>
+    /// <returns>Error message, or null when the reservation is valid</returns>
+    private static string? ValidateReservation(Reservation reservation, ChargingStation station, DateTime? now)
+    {
+        var connectorCount = CountConnectors(station);
+        if (connectorCount == 0)
+        {
+            return "The station has no connectors to book.";
+        }
+
+        if (reservation.ConnectorId < 1 || reservation.ConnectorId > connectorCount)
+        {
+            return $"ConnectorId must be between 1 and {connectorCount}.";
+        }
+
+        var duration = reservation.EndsAt - reservation.StartsAt;
+        if (duration <= TimeSpan.Zero)
+        {
+            return "EndsAt must be after StartsAt.";
+        }
+
+        if (duration < Reservation.MinDuration)
+        {
+            return $"A reservation must last at least {Reservation.MinDuration.TotalMinutes} minutes.";
+        }
+
+        if (duration > Reservation.MaxDuration)
+        {
+            return $"A reservation may last at most {Reservation.MaxDuration.TotalHours} hours.";
+        }
+
+        if (now.HasValue && reservation.StartsAt < now.Value - StartGracePeriod)
+        {
+            return "The reservation cannot start in the past.";
+        }
+
+        if (now.HasValue && reservation.StartsAt > now.Value + Reservation.MaxLeadTime)
+        {
+            return $"A reservation may start at most {Reservation.MaxLeadTime.TotalDays} days ahead.";
+        }
+
+        if (string.IsNullOrEmpty(reservation.DriverName))
+        {
+            return "Driver name is required.";
+        }
+
+        if (reservation.DriverName.Length > Reservation.MaxDriverNameLength)
+        {
+            return $"Driver name must be at most {Reservation.MaxDriverNameLength} characters.";
+        }
+
+        if (reservation.DriverPhone == null && reservation.DriverEmail == null)
+        {
+            return "Enter a phone number or an email address for the driver.";
+        }
+
+        if (reservation.DriverPhone?.Length > Reservation.MaxDriverPhoneLength)
+        {
+            return $"Phone number must be at most {Reservation.MaxDriverPhoneLength} characters.";
+        }
+
+        if (reservation.DriverEmail != null
+            && (reservation.DriverEmail.Length > Reservation.MaxDriverEmailLength || !MailAddress.TryCreate(reservation.DriverEmail, out _)))
+        {
+            return $"'{reservation.DriverEmail}' is not a valid email address.";
+        }
+
+        if (reservation.Note?.Length > Reservation.MaxNoteLength)
+        {
+            return $"Note must be at most {Reservation.MaxNoteLength} characters.";
+        }
+
+        return null;
+    }
+
+    /// <summary>
+    /// Whether saving failed because a concurrent serializable transaction touched the same rows
+    /// </summary>
+    private static bool IsSerializationFailure(Exception ex)
+    {
+        return (ex as PostgresException ?? ex.InnerException as PostgresException)?.SqlState == PostgresErrorCodes.SerializationFailure;
+    }
+
+    /// <summary>
+    /// Load a station (not in the recycle bin) with its connector groups
+    /// </summary>
+    private Task<ChargingStation?> LoadStationAsync(int stationId)
+    {
+        return _context.ChargingStations
+            .AsNoTracking()
+            .Include(s => s.Connectors)
+            .FirstOrDefaultAsync(s => s.Id == stationId);
+    }
+}
@@ -0,0 +1,99 @@
+using System.Text.Json;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http.Features;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Options;
+using ChargingStationAPI.Models;
+using ChargingStationAPI.Services;
+
+namespace ChargingStationAPI.Controllers;
+
+[ApiController]
+[Route("api")] // Base route for all endpoints
+[Authorize] // Any signed-in user can follow station changes
+public class StationEventsController : ControllerBase
+{
+    private static readonly TimeSpan HeartbeatInterval = TimeSpan.FromSeconds(20); // Keeps proxies from closing an idle stream
+
+    private readonly StationEventHub _hub; // Source of station events
+    private readonly JsonSerializerOptions _jsonOptions; // Same JSON shape as the other endpoints
+    private readonly ILogger<StationEventsController> _logger; // Logger for error tracking
+
+    public StationEventsController(
+        StationEventHub hub,
+        IOptions<JsonOptions> jsonOptions,
+        ILogger<StationEventsController> logger)
+    {
+        _hub = hub;
+        _jsonOptions = jsonOptions.Value.JsonSerializerOptions;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// stationEvents - Server-Sent Events stream of station changes
+    /// Each change is sent as "event: station" with a StationEvent as JSON data.
+    /// The stream ends when the access token expires so the client reconnects with a fresh one.
+    /// </summary>
+    [HttpGet("stationEvents", Name = "StationEvents")]
+    [Produces("text/event-stream")]
+    [ProducesResponseType(StatusCodes.Status200OK)]
+    public async Task StationEvents(CancellationToken cancellationToken)
+    {
+        using var expiry = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+        if (long.TryParse(User.FindFirst("exp")?.Value, out var exp))
+        {
+            var remaining = DateTimeOffset.FromUnixTimeSeconds(exp) - DateTimeOffset.UtcNow;
+            expiry.CancelAfter(remaining > TimeSpan.Zero ? remaining : TimeSpan.Zero);
+        }
+        var streamToken = expiry.Token;
+
+        Response.ContentType = "text/event-stream";
+        Response.Headers.CacheControl = "no-cache, no-transform"; // no-transform stops compression from buffering events
+        Response.Headers["X-Accel-Buffering"] = "no"; // Tell nginx not to buffer the stream
+        HttpContext.Features.Get<IHttpResponseBodyFeature>()?.DisableBuffering();
+
+        using var subscription = _hub.Subscribe();
+        try
+        {
+            await WriteAsync("event: ready\ndata: {}\n\n", streamToken);
+
+            while (!streamToken.IsCancellationRequested)
+            {
+                using var heartbeat = CancellationTokenSource.CreateLinkedTokenSource(streamToken);
+                heartbeat.CancelAfter(HeartbeatInterval);
+                try
+                {
+                    if (!await subscription.Reader.WaitToReadAsync(heartbeat.Token))
+                    {
+                        break;
+                    }
+                }
+                catch (OperationCanceledException) when (!streamToken.IsCancellationRequested)
+                {
+                    await WriteAsync(": ping\n\n", streamToken);
+                    continue;
+                }
+
+                while (subscription.Reader.TryRead(out var stationEvent))
+                {
+                    var data = JsonSerializer.Serialize(stationEvent, _jsonOptions);
+                    await WriteAsync($"event: station\ndata: {data}\n\n", streamToken);
+                }
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // Client disconnected or the token expired
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error streaming station events");
+        }
+    }
+
+    private async Task WriteAsync(string text, CancellationToken cancellationToken)
+    {
+        await Response.WriteAsync(text, cancellationToken);
+        await Response.Body.FlushAsync(cancellationToken);
+    }
+}
@@ -0,0 +1,331 @@
+using System.Text.RegularExpressions;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using ChargingStationAPI.Data;
+using ChargingStationAPI.Helpers;
+using ChargingStationAPI.Models;
+
+namespace ChargingStationAPI.Controllers;
+
+[ApiController]
+[Authorize] // Every signed-in user can read prices; only admins change them
+[Route("api")] // Base route for all endpoints in this controller
+[Produces("application/json")] // All responses return JSON
+public class TariffsController : ControllerBase
+{
+    private readonly ApplicationDbContext _context; // Database context for data access
+    private readonly ILogger<TariffsController> _logger; // Logger for error tracking
+
+    // ISO 4217 currency code, e.g. INR
+    private static readonly Regex CurrencyPattern = new(@"^[A-Z]{3}$", RegexOptions.Compiled);
+
+    // 24-hour time of day, e.g. 07:30
+    private static readonly Regex TimeOfDayPattern = new(@"^([01][0-9]|2[0-3]):[0-5][0-9]$", RegexOptions.Compiled);
+
+    public TariffsController(ApplicationDbContext context, ILogger<TariffsController> logger)
+    {
+        _context = context;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// getTariffs - Get all tariffs with their bands, ordered by name
+    /// </summary>
+    [HttpGet("getTariffs", Name = "GetTariffs")]
+    [ProducesResponseType(typeof(IEnumerable<Tariff>), StatusCodes.Status200OK)]
+    public async Task<ActionResult<IEnumerable<Tariff>>> GetTariffs()
+    {
+        try
+        {
+            var tariffs = await _context.Tariffs
+                .AsNoTracking()
+                .Include(t => t.Bands.OrderBy(b => b.StartTime))
+                .OrderBy(t => t.Name)
+                .ToListAsync();
+
+            return Ok(tariffs);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error retrieving tariffs");
+            return StatusCode(500, "An error occurred while retrieving tariffs");
+        }
+    }
+
+    /// <summary>
+    /// addTariff - Add new
+    /// </summary>
+    [Authorize(Roles = UserRoles.Admin)]
+    [HttpPost("addTariff", Name = "AddTariff")]
+    [ProducesResponseType(typeof(Tariff), StatusCodes.Status201Created)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<Tariff>> AddTariff(Tariff tariff)
+    {
+        try
+        {
+            NormalizeTariff(tariff);
+            var validationError = ValidateTariff(tariff) ?? await ValidateUniquenessAsync(tariff, null);
+            if (validationError != null)
+            {
+                return BadRequest(validationError);
+            }
+
+            tariff.Id = 0;
+            tariff.Bands.ForEach(b => b.Id = 0);
+            tariff.UpdatedAt = DateTime.UtcNow;
+            tariff.UpdatedBy = RequestValues.UserName(User);
+
+            _context.Tariffs.Add(tariff);
+            await _context.SaveChangesAsync();
+
+            return CreatedAtAction(nameof(GetTariffs), null, tariff);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error creating tariff");
+            return StatusCode(500, "An error occurred while creating the tariff");
+        }
+    }
+
+    /// <summary>
+    /// updateTariffById - Update by id
+    /// The submitted bands and connector types replace the saved ones
+    /// </summary>
+    [Authorize(Roles = UserRoles.Admin)]
+    [HttpPut("updateTariffById/{id}", Name = "UpdateTariffById")]
+    [ProducesResponseType(typeof(Tariff), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<Tariff>> UpdateTariffById(int id, Tariff tariff)
+    {
+        try
+        {
+            if (id != tariff.Id)
+            {
+                return BadRequest("ID in URL does not match ID in request body.");
+            }
+
+            NormalizeTariff(tariff);
+            var validationError = ValidateTariff(tariff) ?? await ValidateUniquenessAsync(tariff, id);
+            if (validationError != null)
+            {
+                return BadRequest(validationError);
+            }
+
+            var existing = await _context.Tariffs
+                .Include(t => t.Bands)
+                .FirstOrDefaultAsync(t => t.Id == id);
+            if (existing == null)
+            {
+                return NotFound($"Tariff with ID {id} not found.");
+            }
+
+            existing.Name = tariff.Name;
+            existing.Currency = tariff.Currency;
+            existing.PricePerKwh = tariff.PricePerKwh;
+            existing.PricePerMinute = tariff.PricePerMinute;
+            existing.SessionFee = tariff.SessionFee;
+            existing.IdleFeePerMinute = tariff.IdleFeePerMinute;
+            existing.IdleGraceMinutes = tariff.IdleGraceMinutes;
+            existing.ConnectorTypes = tariff.ConnectorTypes;
+            existing.UpdatedAt = DateTime.UtcNow;
+            existing.UpdatedBy = RequestValues.UserName(User);
+
+            _context.TariffBands.RemoveRange(existing.Bands);
+            tariff.Bands.ForEach(b => b.Id = 0);
+            existing.Bands = tariff.Bands;
+
+            await _context.SaveChangesAsync();
+
+            existing.Bands = existing.Bands.OrderBy(b => b.StartTime).ToList();
+            return Ok(existing);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error updating tariff with ID {Id}", id);
+            return StatusCode(500, "An error occurred while updating the tariff");
+        }
+    }
+
+    /// <summary>
+    /// deleteTariffById - Delete by id
+    /// Stations assigned to the tariff go back to connector type pricing
+    /// </summary>
+    [Authorize(Roles = UserRoles.Admin)]
+    [HttpDelete("deleteTariffById/{id}", Name = "DeleteTariffById")]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<IActionResult> DeleteTariffById(int id)
+    {
+        try
+        {
+            var tariff = await _context.Tariffs.FindAsync(id);
+            if (tariff == null)
+            {
+                return NotFound($"Tariff with ID {id} not found.");
+            }
+
+            // The database clears TariffId on stations, including ones in the recycle bin
+            _context.Tariffs.Remove(tariff);
+            await _context.SaveChangesAsync();
+
+            return NoContent();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error deleting tariff with ID {Id}", id);
+            return StatusCode(500, "An error occurred while deleting the tariff");
+        }
+    }
+
+    /// <summary>
+    /// Trim text fields, upper-case the currency, drop repeated connector types and round prices
+    /// </summary>
+    private static void NormalizeTariff(Tariff tariff)
+    {
+        tariff.Name = tariff.Name?.Trim() ?? string.Empty;
+        tariff.Currency = tariff.Currency?.Trim().ToUpperInvariant() ?? string.Empty;
+        tariff.ConnectorTypes = (tariff.ConnectorTypes ?? new List<string>())
+            .Select(c => c?.Trim() ?? string.Empty)
+            .Distinct()
+            .ToList();
+        tariff.Bands ??= new List<TariffBand>();
+
+        tariff.PricePerKwh = Math.Round(tariff.PricePerKwh, 4);
+        tariff.PricePerMinute = Math.Round(tariff.PricePerMinute, 4);
+        tariff.SessionFee = Math.Round(tariff.SessionFee, 4);
+        tariff.IdleFeePerMinute = Math.Round(tariff.IdleFeePerMinute, 4);
+        foreach (var band in tariff.Bands)
+        {
+            band.StartTime = band.StartTime?.Trim() ?? string.Empty;
+            band.EndTime = band.EndTime?.Trim() ?? string.Empty;
+            band.PricePerKwh = Math.Round(band.PricePerKwh, 4);
+            band.PricePerMinute = Math.Round(band.PricePerMinute, 4);
+        }
+    }
+
+    /// <summary>
+    /// Validate a normalized tariff's fields and bands
+    /// </summary>
+    /// <returns>Error message, or null when the tariff is valid</returns>
+    private static string? ValidateTariff(Tariff tariff)
+    {
+        if (string.IsNullOrEmpty(tariff.Name))
+        {
+            return "Name is required.";
+        }
+
+        if (tariff.Name.Length > 100)
+        {
+            return "Name must be at most 100 characters.";
+        }
+
+        if (!CurrencyPattern.IsMatch(tariff.Currency))
+        {
+            return "Currency must be a three-letter ISO 4217 code, e.g. INR.";
+        }
+
+        var prices = new (string Field, decimal Value)[]
+        {
+            (nameof(Tariff.PricePerKwh), tariff.PricePerKwh),
+            (nameof(Tariff.PricePerMinute), tariff.PricePerMinute),
+            (nameof(Tariff.SessionFee), tariff.SessionFee),
+            (nameof(Tariff.IdleFeePerMinute), tariff.IdleFeePerMinute),
+        };
+        foreach (var (field, value) in prices)
+        {
+            if (value < 0 || value > Tariff.MaxPrice)
+            {
+                return $"{field} must be between 0 and {Tariff.MaxPrice}.";
+            }
+        }
+
+        if (tariff.IdleGraceMinutes < 0 || tariff.IdleGraceMinutes > Tariff.MaxIdleGraceMinutes)
+        {
+            return $"IdleGraceMinutes must be between 0 and {Tariff.MaxIdleGraceMinutes}.";
+        }
+
+        var unknownType = tariff.ConnectorTypes.FirstOrDefault(c => !ConnectorTypes.IsKnown(c));
+        if (unknownType != null)
+        {
+            return $"ConnectorTypes must be one of: {string.Join(", ", ConnectorTypes.All)}.";
+        }
+
+        if (tariff.Bands.Count > Tariff.MaxBands)
+        {
+            return $"A tariff may have at most {Tariff.MaxBands} time-of-day bands.";
+        }
+
+        // Mark the minutes of the day each band covers to find overlaps
+        var covered = new bool[24 * 60];
+        foreach (var band in tariff.Bands)
+        {
+            if (!TimeOfDayPattern.IsMatch(band.StartTime) || !TimeOfDayPattern.IsMatch(band.EndTime))
+            {
+                return "Band StartTime and EndTime must be times of day as HH:mm.";
+            }
+
+            if (band.StartTime == band.EndTime)
+            {
+                return "A band's EndTime must differ from its StartTime.";
+            }
+
+            if (band.PricePerKwh < 0 || band.PricePerKwh > Tariff.MaxPrice ||
+                band.PricePerMinute < 0 || band.PricePerMinute > Tariff.MaxPrice)
+            {
+                return $"Band prices must be between 0 and {Tariff.MaxPrice}.";
+            }
+
+            var start = MinuteOfDay(band.StartTime);
+            var end = MinuteOfDay(band.EndTime);
+            for (var minute = start; minute != end; minute = (minute + 1) % covered.Length)
+            {
+                if (covered[minute])
+                {
+                    return $"The band {band.StartTime}-{band.EndTime} overlaps another band.";
+                }
+                covered[minute] = true;
+            }
+        }
+
+        return null;
+    }
+
+    /// <summary>
+    /// Check that the name and connector types are not taken by another tariff
+    /// </summary>
+    /// <returns>Error message, or null when both are free</returns>
+    private async Task<string?> ValidateUniquenessAsync(Tariff tariff, int? tariffId)
+    {
+        var others = await _context.Tariffs
+            .AsNoTracking()
+            .Where(t => t.Id != tariffId)
+            .Select(t => new { t.Name, t.ConnectorTypes })
+            .ToListAsync();
+
+        if (others.Any(t => string.Equals(t.Name, tariff.Name, StringComparison.OrdinalIgnoreCase)))
+        {
+            return $"A tariff named {tariff.Name} already exists.";
+        }
+
+        foreach (var connectorType in tariff.ConnectorTypes)
+        {
+            var owner = others.FirstOrDefault(t => t.ConnectorTypes.Contains(connectorType));
+            if (owner != null)
+            {
+                return $"{connectorType} connectors are already priced by {owner.Name}.";
+            }
+        }
+
+        return null;
+    }
+
+    /// <summary>
+    /// Minutes since midnight of an "HH:mm" time
+    /// </summary>
+    private static int MinuteOfDay(string time)
+    {
+        return int.Parse(time[..2]) * 60 + int.Parse(time[3..]);
+    }
+}
@@ -0,0 +1,376 @@
+using System.Text.Json;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Options;
+using ChargingStationAPI.Data;
+using ChargingStationAPI.Helpers;
+using ChargingStationAPI.Models;
+using ChargingStationAPI.Services;
+
+namespace ChargingStationAPI.Controllers;
+
+[ApiController]
+[Authorize(Roles = UserRoles.Admin)] // Webhooks are managed by admins
+[Route("api")] // Base route for all endpoints in this controller
+[Produces("application/json")] // All responses return JSON
+public class WebhooksController : ControllerBase
+{
+    private const int DefaultDeliveryLimit = 50; // Deliveries returned when no limit is given
+    private const int MaxDeliveryLimit = 200; // Most deliveries one request may return
+
+    private readonly ApplicationDbContext _context; // Database context for data access
+    private readonly WebhookSender _sender; // Posts test events
+    private readonly JsonSerializerOptions _jsonOptions; // Same JSON shape as the API responses
+    private readonly ILogger<WebhooksController> _logger; // Logger for error tracking
+
+    public WebhooksController(
+        ApplicationDbContext context,
+        WebhookSender sender,
+        IOptions<JsonOptions> jsonOptions,
+        ILogger<WebhooksController> logger)
+    {
+        _context = context;
+        _sender = sender;
+        _jsonOptions = jsonOptions.Value.JsonSerializerOptions;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// getWebhooks - Get all webhooks, by name
+    /// </summary>
+    [HttpGet("getWebhooks", Name = "GetWebhooks")]
+    [ProducesResponseType(typeof(IEnumerable<Webhook>), StatusCodes.Status200OK)]
+    public async Task<ActionResult<IEnumerable<Webhook>>> GetWebhooks()
+    {
+        try
+        {
+            var webhooks = await _context.Webhooks
+                .AsNoTracking()
+                .OrderBy(w => w.Name)
+                .ThenBy(w => w.Id)
+                .ToListAsync();
+
+            return Ok(webhooks);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error retrieving webhooks");
+            return StatusCode(500, "An error occurred while retrieving webhooks");
+        }
+    }
+
+    /// <summary>
+    /// addWebhook - Add new; the API creates its signing secret
+    /// </summary>
+    [HttpPost("addWebhook", Name = "AddWebhook")]
+    [ProducesResponseType(typeof(Webhook), StatusCodes.Status201Created)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<Webhook>> AddWebhook(Webhook webhook)
+    {
+        try
+        {
+            NormalizeWebhook(webhook);
+            var validationError = ValidateWebhook(webhook);
+            if (validationError != null)
+            {
+                return BadRequest(validationError);
+            }
+
+            var now = DateTime.UtcNow;
+            webhook.Id = 0;
+            webhook.Secret = WebhookSender.CreateSecret();
+            webhook.CreatedAt = now;
+            webhook.CreatedBy = RequestValues.UserName(User);
+            webhook.UpdatedAt = now;
+
+            _context.Webhooks.Add(webhook);
+            await _context.SaveChangesAsync();
+
+            return CreatedAtAction(nameof(GetWebhooks), null, webhook);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error creating webhook");
+            return StatusCode(500, "An error occurred while creating the webhook");
+        }
+    }
+
+    /// <summary>
+    /// updateWebhookById - Update by id
+    /// The signing secret is kept unless rotateSecret is true; receivers must then use the new one
+    /// </summary>
+    [HttpPut("updateWebhookById/{id}", Name = "UpdateWebhookById")]
+    [ProducesResponseType(typeof(Webhook), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<Webhook>> UpdateWebhookById(int id, Webhook webhook, bool rotateSecret = false)
+    {
+        try
+        {
+            if (id != webhook.Id)
+            {
+                return BadRequest("ID in URL does not match ID in request body.");
+            }
+
+            NormalizeWebhook(webhook);
+            var validationError = ValidateWebhook(webhook);
+            if (validationError != null)
+            {
+                return BadRequest(validationError);
+            }
+
+            var existing = await _context.Webhooks.FirstOrDefaultAsync(w => w.Id == id);
+            if (existing == null)
+            {
+                return NotFound($"Webhook with ID {id} not found.");
+            }
+
+            existing.Name = webhook.Name;
+            existing.Url = webhook.Url;
+            existing.EventTypes = webhook.EventTypes;
+            existing.Enabled = webhook.Enabled;
+            existing.UpdatedAt = DateTime.UtcNow;
+            if (rotateSecret)
+            {
+                existing.Secret = WebhookSender.CreateSecret();
+            }
+
+            await _context.SaveChangesAsync();
+
+            return Ok(existing);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error updating webhook with ID {Id}", id);
+            return StatusCode(500, "An error occurred while updating the webhook");
+        }
+    }
+
+    /// <summary>
+    /// deleteWebhookById - Delete by id, with its delivery log and queued deliveries
+    /// </summary>
+    [HttpDelete("deleteWebhookById/{id}", Name = "DeleteWebhookById")]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<IActionResult> DeleteWebhookById(int id)
+    {
+        try
+        {
+            var webhook = await _context.Webhooks.FindAsync(id);
+            if (webhook == null)
+            {
+                return NotFound($"Webhook with ID {id} not found.");
+            }
+
+            _context.Webhooks.Remove(webhook);
+            await _context.SaveChangesAsync();
+
+            return NoContent();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error deleting webhook with ID {Id}", id);
+            return StatusCode(500, "An error occurred while deleting the webhook");
+        }
+    }
+
+    /// <summary>
+    /// testWebhookById - Send a webhook.test event to the webhook now, once, even when it is disabled
+    /// </summary>
+    /// <returns>The delivery, with the webhook's answer</returns>
+    [HttpPost("testWebhookById/{id}", Name = "TestWebhookById")]
+    [ProducesResponseType(typeof(WebhookDelivery), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<WebhookDelivery>> TestWebhookById(int id, CancellationToken cancellationToken)
+    {
+        try
+        {
+            var webhook = await _context.Webhooks.AsNoTracking().FirstOrDefaultAsync(w => w.Id == id, cancellationToken);
+            if (webhook == null)
+            {
+                return NotFound($"Webhook with ID {id} not found.");
+            }
+
+            var now = DateTime.UtcNow;
+            var webhookEvent = new WebhookEvent
+            {
+                Id = Guid.NewGuid(),
+                Type = WebhookEventTypes.Test,
+                CreatedAt = now,
+                Data = new
+                {
+                    WebhookId = webhook.Id,
+                    Message = $"Test event for the webhook \"{webhook.Name}\", sent by {RequestValues.UserName(User)}.",
+                },
+            };
+            var delivery = new WebhookDelivery
+            {
+                WebhookId = webhook.Id,
+                EventId = webhookEvent.Id,
+                EventType = webhookEvent.Type,
+                Payload = JsonSerializer.Serialize(webhookEvent, _jsonOptions),
+                CreatedAt = now,
+            };
+
+            // Tests are not retried
+            var succeeded = await _sender.SendAsync(webhook, delivery, cancellationToken);
+            delivery.Status = succeeded ? WebhookDeliveryStatuses.Succeeded : WebhookDeliveryStatuses.Failed;
+            delivery.NextAttemptAt = null;
+
+            _context.WebhookDeliveries.Add(delivery);
+            await _context.SaveChangesAsync(cancellationToken);
+
+            return Ok(delivery);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error testing webhook with ID {Id}", id);
+            return StatusCode(500, "An error occurred while testing the webhook");
+        }
+    }
+
+    /// <summary>
+    /// getWebhookDeliveries - Delivery log, newest first, optionally of one webhook and/or one status
+    /// </summary>
+    [HttpGet("getWebhookDeliveries", Name = "GetWebhookDeliveries")]
+    [ProducesResponseType(typeof(IEnumerable<WebhookDelivery>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<ActionResult<IEnumerable<WebhookDelivery>>> GetWebhookDeliveries(
+        int? webhookId = null, string? status = null, int limit = DefaultDeliveryLimit)
+    {
+        try
+        {
+            var query = _context.WebhookDeliveries.AsNoTracking();
+            if (webhookId.HasValue)
+            {
+                query = query.Where(d => d.WebhookId == webhookId.Value);
+            }
+
+            if (!string.IsNullOrWhiteSpace(status))
+            {
+                var normalizedStatus = WebhookDeliveryStatuses.Normalize(status);
+                if (normalizedStatus == null)
+                {
+                    return BadRequest($"Status must be one of: {string.Join(", ", WebhookDeliveryStatuses.All)}.");
+                }
+                query = query.Where(d => d.Status == normalizedStatus);
+            }
+
+            var deliveries = await query
+                .OrderByDescending(d => d.CreatedAt)
+                .ThenByDescending(d => d.Id)
+                .Take(Math.Clamp(limit, 1, MaxDeliveryLimit))
+                .ToListAsync();
+
+            return Ok(deliveries);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error retrieving webhook deliveries");
+            return StatusCode(500, "An error occurred while retrieving webhook deliveries");
+        }
+    }
+
+    /// <summary>
+    /// redeliverWebhookDeliveryById - Queue a finished delivery to be sent again, with the same event id and
+    /// a fresh set of retries
+    /// </summary>
+    [HttpPost("redeliverWebhookDeliveryById/{id}", Name = "RedeliverWebhookDeliveryById")]
+    [ProducesResponseType(typeof(WebhookDelivery), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<ActionResult<WebhookDelivery>> RedeliverWebhookDeliveryById(int id)
+    {
+        try
+        {
+            var delivery = await _context.WebhookDeliveries.FirstOrDefaultAsync(d => d.Id == id);
+            if (delivery == null)
+            {
+                return NotFound($"Webhook delivery with ID {id} not found.");
+            }
+
+            if (delivery.Status == WebhookDeliveryStatuses.Pending)
+            {
+                return BadRequest("The delivery is already queued.");
+            }
+
+            var webhookEnabled = await _context.Webhooks.AnyAsync(w => w.Id == delivery.WebhookId && w.Enabled);
+            if (!webhookEnabled)
+            {
+                return BadRequest("Enable the webhook before redelivering its events.");
+            }
+
+            delivery.Status = WebhookDeliveryStatuses.Pending;
+            delivery.Attempts = 0;
+            delivery.NextAttemptAt = DateTime.UtcNow;
+            await _context.SaveChangesAsync();
+
+            return Ok(delivery);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error redelivering webhook delivery with ID {Id}", id);
+            return StatusCode(500, "An error occurred while redelivering the webhook event");
+        }
+    }
+
+    /// <summary>
+    /// Trim text and use canonical event type spellings
+    /// </summary>
+    private static void NormalizeWebhook(Webhook webhook)
+    {
+        webhook.Name = webhook.Name?.Trim() ?? string.Empty;
+        webhook.Url = webhook.Url?.Trim() ?? string.Empty;
+        webhook.EventTypes = (webhook.EventTypes ?? new List<string>())
+            .Select(t => WebhookEventTypes.Normalize(t) ?? t)
+            .Distinct()
+            .ToList();
+    }
+
+    /// <summary>
+    /// Validate a normalized webhook
+    /// </summary>
+    /// <returns>Error message, or null when the webhook is valid</returns>
+    private static string? ValidateWebhook(Webhook webhook)
+    {
+        if (string.IsNullOrEmpty(webhook.Name))
+        {
+            return "Name is required.";
+        }
+
+        if (webhook.Name.Length > Webhook.MaxNameLength)
+        {
+            return $"Name must be at most {Webhook.MaxNameLength} characters.";
+        }
+
+        if (string.IsNullOrEmpty(webhook.Url))
+        {
+            return "Url is required.";
+        }
+
+        if (webhook.Url.Length > Webhook.MaxUrlLength)
+        {
+            return $"Url must be at most {Webhook.MaxUrlLength} characters.";
+        }
+
+        if (!Uri.TryCreate(webhook.Url, UriKind.Absolute, out var uri)
+            || (uri.Scheme != Uri.UriSchemeHttp && uri.Scheme != Uri.UriSchemeHttps))
+        {
+            return "Url must be an absolute http or https URL.";
+        }
+
+        if (webhook.EventTypes.Count == 0)
+        {
+            return "Choose at least one event type.";
+        }
+
+        var unknown = webhook.EventTypes.FirstOrDefault(t => !WebhookEventTypes.All.Contains(t));
+        if (unknown != null)
+        {
+            return $"Unknown event type '{unknown}'. Event types are: {string.Join(", ", WebhookEventTypes.All)}.";
+        }
+
+        return null;
+    }
+}
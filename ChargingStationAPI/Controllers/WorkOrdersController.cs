@@ -0,0 +1,391 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using ChargingStationAPI.Data;
+using ChargingStationAPI.Helpers;
+using ChargingStationAPI.Models;
+using ChargingStationAPI.Services;
+
+namespace ChargingStationAPI.Controllers;
+
+[ApiController]
+[Authorize] // Every endpoint needs a signed-in user; writes need an editor role
+[Route("api")] // Base route for all endpoints in this controller
+[Produces("application/json")] // All responses return JSON
+public class WorkOrdersController : ControllerBase
+{
+    private const int MaxWorkOrders = 500; // Upper bound for one getWorkOrders response
+
+    private readonly ApplicationDbContext _context; // Database context for data access
+    private readonly ILogger<WorkOrdersController> _logger; // Logger for error tracking
+    private readonly StationEventHub _events; // Pushes station status changes to connected dashboards
+
+    public WorkOrdersController(ApplicationDbContext context, ILogger<WorkOrdersController> logger, StationEventHub events)
+    {
+        _context = context;
+        _logger = logger;
+        _events = events;
+    }
+
+    /// <summary>
+    /// getWorkOrders - Get work orders, newest first
+    /// Unresolved orders are always included; resolved ones only when resolved at or after resolvedSince (all when omitted)
+    /// </summary>
+    [HttpGet("getWorkOrders", Name = "GetWorkOrders")]
+    [ProducesResponseType(typeof(IEnumerable<WorkOrder>), StatusCodes.Status200OK)]
+    public async Task<ActionResult<IEnumerable<WorkOrder>>> GetWorkOrders(int? stationId, DateTime? resolvedSince)
+    {
+        try
+        {
+            // Joining the stations leaves out work orders of stations in the recycle bin
+            var workOrders = _context.WorkOrders
+                .AsNoTracking()
+                .Join(_context.ChargingStations, w => w.ChargingStationId, st => st.Id, (w, st) => new { WorkOrder = w, st.StationName, st.Status });
+
+            if (stationId.HasValue)
+            {
+                workOrders = workOrders.Where(x => x.WorkOrder.ChargingStationId == stationId.Value);
+            }
+
+            if (resolvedSince.HasValue)
+            {
+                var since = RequestValues.AsUtc(resolvedSince.Value);
+                workOrders = workOrders.Where(x => x.WorkOrder.State != WorkOrderStates.Resolved || x.WorkOrder.ResolvedAt >= since);
+            }
+
+            var rows = await workOrders
+                .OrderByDescending(x => x.WorkOrder.CreatedAt)
+                .ThenByDescending(x => x.WorkOrder.Id)
+                .Take(MaxWorkOrders)
+                .ToListAsync();
+
+            return Ok(rows.Select(x =>
+            {
+                x.WorkOrder.StationName = x.StationName;
+                x.WorkOrder.StationStatus = x.Status;
+                return x.WorkOrder;
+            }));
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error retrieving work orders");
+            return StatusCode(500, "An error occurred while retrieving work orders");
+        }
+    }
+
+    /// <summary>
+    /// getOpenWorkOrderCounts - Number of unresolved work orders per station id
+    /// Stations without unresolved orders are left out
+    /// </summary>
+    [HttpGet("getOpenWorkOrderCounts", Name = "GetOpenWorkOrderCounts")]
+    [ProducesResponseType(typeof(Dictionary<int, int>), StatusCodes.Status200OK)]
+    public async Task<ActionResult<Dictionary<int, int>>> GetOpenWorkOrderCounts()
+    {
+        try
+        {
+            var counts = await _context.WorkOrders
+                .AsNoTracking()
+                .Where(w => w.State != WorkOrderStates.Resolved)
+                .Join(_context.ChargingStations, w => w.ChargingStationId, st => st.Id, (w, st) => w.ChargingStationId)
+                .GroupBy(id => id)
+                .Select(g => new { StationId = g.Key, Count = g.Count() })
+                .ToDictionaryAsync(x => x.StationId, x => x.Count);
+
+            return Ok(counts);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error counting open work orders");
+            return StatusCode(500, "An error occurred while counting open work orders");
+        }
+    }
+
+    /// <summary>
+    /// addWorkOrder - Add new
+    /// With setStationMaintenance the station is put into Maintenance in the same save
+    /// </summary>
+    [Authorize(Roles = UserRoles.Editors)]
+    [HttpPost("addWorkOrder", Name = "AddWorkOrder")]
+    [ProducesResponseType(typeof(WorkOrder), StatusCodes.Status201Created)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(StatusCodes.Status409Conflict)]
+    public async Task<ActionResult<WorkOrder>> AddWorkOrder(WorkOrder workOrder, [FromQuery] bool setStationMaintenance = false)
+    {
+        try
+        {
+            var station = await LoadStationAsync(workOrder.ChargingStationId);
+            if (station == null)
+            {
+                return NotFound($"Charging station with ID {workOrder.ChargingStationId} not found.");
+            }
+
+            NormalizeWorkOrder(workOrder);
+            var validationError = ValidateWorkOrder(workOrder);
+            if (validationError != null)
+            {
+                return BadRequest(validationError);
+            }
+
+            var now = DateTime.UtcNow;
+            workOrder.Id = 0;
+            workOrder.CreatedAt = now;
+            workOrder.CreatedBy = RequestValues.UserName(User);
+            workOrder.UpdatedAt = now;
+            workOrder.ResolvedAt = null;
+            workOrder.ResolvedBy = null;
+            if (workOrder.State == WorkOrderStates.Resolved)
+            {
+                workOrder.ResolvedAt = now;
+                workOrder.ResolvedBy = workOrder.CreatedBy;
+            }
+
+            _context.WorkOrders.Add(workOrder);
+
+            var statusChanged = setStationMaintenance && station.Status != StationStatuses.Maintenance;
+            var previousStatus = statusChanged
+                ? StationStatusUpdate.Apply(_context, station, StationStatuses.Maintenance, RequestValues.UserName(User), $"Work order opened: {workOrder.Title}")
+                : station.Status;
+
+            await _context.SaveChangesAsync();
+
+            if (statusChanged)
+            {
+                PublishStatusChange(station, previousStatus);
+            }
+
+            workOrder.StationName = station.StationName;
+            workOrder.StationStatus = station.Status;
+            return CreatedAtAction(nameof(GetWorkOrders), new { stationId = station.Id }, workOrder);
+        }
+        catch (DbUpdateConcurrencyException)
+        {
+            return Conflict("The station was changed while the work order was being saved. Please try again.");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error creating work order");
+            return StatusCode(500, "An error occurred while creating the work order");
+        }
+    }
+
+    /// <summary>
+    /// updateWorkOrderById - Update by id
+    /// With returnStationToOperational, resolving the station's last unresolved order while the
+    /// station is in Maintenance sets it back to Operational in the same save
+    /// </summary>
+    [Authorize(Roles = UserRoles.Editors)]
+    [HttpPut("updateWorkOrderById/{id}", Name = "UpdateWorkOrderById")]
+    [ProducesResponseType(typeof(WorkOrder), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    [ProducesResponseType(StatusCodes.Status409Conflict)]
+    public async Task<ActionResult<WorkOrder>> UpdateWorkOrderById(int id, WorkOrder workOrder, [FromQuery] bool returnStationToOperational = false)
+    {
+        try
+        {
+            if (id != workOrder.Id)
+            {
+                return BadRequest("ID in URL does not match ID in request body.");
+            }
+
+            NormalizeWorkOrder(workOrder);
+            var validationError = ValidateWorkOrder(workOrder);
+            if (validationError != null)
+            {
+                return BadRequest(validationError);
+            }
+
+            var existing = await _context.WorkOrders.FirstOrDefaultAsync(w => w.Id == id);
+            var station = existing == null ? null : await LoadStationAsync(existing.ChargingStationId);
+            if (existing == null || station == null)
+            {
+                return NotFound($"Work order with ID {id} not found.");
+            }
+
+            var currentUser = RequestValues.UserName(User);
+            var wasResolved = existing.State == WorkOrderStates.Resolved;
+
+            // A work order stays with the station it was opened for
+            existing.Title = workOrder.Title;
+            existing.Description = workOrder.Description;
+            existing.Category = workOrder.Category;
+            existing.Priority = workOrder.Priority;
+            existing.Assignee = workOrder.Assignee;
+            existing.DueDate = workOrder.DueDate;
+            existing.State = workOrder.State;
+            existing.ResolutionNote = workOrder.ResolutionNote;
+            existing.UpdatedAt = DateTime.UtcNow;
+
+            if (existing.State == WorkOrderStates.Resolved && !wasResolved)
+            {
+                existing.ResolvedAt = DateTime.UtcNow;
+                existing.ResolvedBy = currentUser;
+            }
+            else if (existing.State != WorkOrderStates.Resolved)
+            {
+                existing.ResolvedAt = null;
+                existing.ResolvedBy = null;
+            }
+
+            var statusChanged = false;
+            var previousStatus = station.Status;
+            if (returnStationToOperational
+                && existing.State == WorkOrderStates.Resolved
+                && !wasResolved
+                && station.Status == StationStatuses.Maintenance)
+            {
+                var othersUnresolved = await _context.WorkOrders.AnyAsync(w =>
+                    w.ChargingStationId == station.Id && w.Id != id && w.State != WorkOrderStates.Resolved);
+                if (!othersUnresolved)
+                {
+                    StationStatusUpdate.Apply(_context, station, StationStatuses.Operational, currentUser, $"Work order resolved: {existing.Title}");
+                    statusChanged = true;
+                }
+            }
+
+            await _context.SaveChangesAsync();
+
+            if (statusChanged)
+            {
+                PublishStatusChange(station, previousStatus);
+            }
+
+            existing.StationName = station.StationName;
+            existing.StationStatus = station.Status;
+            return Ok(existing);
+        }
+        catch (DbUpdateConcurrencyException)
+        {
+            return Conflict("The station was changed while the work order was being saved. Please try again.");
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error updating work order with ID {Id}", id);
+            return StatusCode(500, "An error occurred while updating the work order");
+        }
+    }
+
+    /// <summary>
+    /// deleteWorkOrderById - Delete by id
+    /// The station's status is left as it is
+    /// </summary>
+    [Authorize(Roles = UserRoles.Admin)]
+    [HttpDelete("deleteWorkOrderById/{id}", Name = "DeleteWorkOrderById")]
+    [ProducesResponseType(StatusCodes.Status204NoContent)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<IActionResult> DeleteWorkOrderById(int id)
+    {
+        try
+        {
+            var workOrder = await _context.WorkOrders.FindAsync(id);
+            if (workOrder == null)
+            {
+                return NotFound($"Work order with ID {id} not found.");
+            }
+
+            _context.WorkOrders.Remove(workOrder);
+            await _context.SaveChangesAsync();
+
+            return NoContent();
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error deleting work order with ID {Id}", id);
+            return StatusCode(500, "An error occurred while deleting the work order");
+        }
+    }
+
+    /// <summary>
+    /// Trim text fields, blank optional ones to null and use the canonical spelling of known values
+    /// </summary>
+    private static void NormalizeWorkOrder(WorkOrder workOrder)
+    {
+        static string? Optional(string? value) => string.IsNullOrWhiteSpace(value) ? null : value.Trim();
+
+        workOrder.Title = workOrder.Title?.Trim() ?? string.Empty;
+        workOrder.Description = Optional(workOrder.Description);
+        workOrder.Assignee = Optional(workOrder.Assignee);
+        workOrder.ResolutionNote = Optional(workOrder.ResolutionNote);
+        workOrder.Category = WorkOrderCategories.Normalize(workOrder.Category) ?? workOrder.Category ?? string.Empty;
+        workOrder.Priority = WorkOrderPriorities.Normalize(workOrder.Priority) ?? workOrder.Priority ?? string.Empty;
+        workOrder.State = WorkOrderStates.Normalize(workOrder.State) ?? workOrder.State ?? string.Empty;
+    }
+
+    /// <summary>
+    /// Validate a normalized work order's fields
+    /// </summary>
+    /// <returns>Error message, or null when the work order is valid</returns>
+    private static string? ValidateWorkOrder(WorkOrder workOrder)
+    {
+        if (string.IsNullOrEmpty(workOrder.Title))
+        {
+            return "Title is required.";
+        }
+
+        if (workOrder.Title.Length > WorkOrder.MaxTitleLength)
+        {
+            return $"Title must be at most {WorkOrder.MaxTitleLength} characters.";
+        }
+
+        if (workOrder.Description?.Length > WorkOrder.MaxDescriptionLength)
+        {
+            return $"Description must be at most {WorkOrder.MaxDescriptionLength} characters.";
+        }
+
+        if (workOrder.Assignee?.Length > WorkOrder.MaxAssigneeLength)
+        {
+            return $"Assignee must be at most {WorkOrder.MaxAssigneeLength} characters.";
+        }
+
+        if (workOrder.ResolutionNote?.Length > WorkOrder.MaxResolutionNoteLength)
+        {
+            return $"ResolutionNote must be at most {WorkOrder.MaxResolutionNoteLength} characters.";
+        }
+
+        if (!WorkOrderCategories.All.Contains(workOrder.Category))
+        {
+            return $"Category must be one of: {string.Join(", ", WorkOrderCategories.All)}.";
+        }
+
+        if (!WorkOrderPriorities.All.Contains(workOrder.Priority))
+        {
+            return $"Priority must be one of: {string.Join(", ", WorkOrderPriorities.All)}.";
+        }
+
+        if (!WorkOrderStates.All.Contains(workOrder.State))
+        {
+            return $"State must be one of: {string.Join(", ", WorkOrderStates.All)}.";
+        }
+
+        return null;
+    }
+
+    /// <summary>
+    /// Push a station status change to connected dashboards
+    /// </summary>
+    private void PublishStatusChange(ChargingStation station, string? previousStatus)
+    {
+        _events.Publish(new StationEvent
+        {
+            Type = StationEventTypes.StatusChanged,
+            StationId = station.Id,
+            Station = station,
+            PreviousStatus = previousStatus,
+            Actor = RequestValues.UserName(User),
+            Timestamp = DateTime.UtcNow,
+        });
+    }
+
+    /// <summary>
+    /// Station with what a station event carries (connectors, photos and live charge point state)
+    /// </summary>
+    private Task<ChargingStation?> LoadStationAsync(int stationId)
+    {
+        return _context.ChargingStations
+            .Include(s => s.Connectors)
+            .Include(s => s.Photos.OrderBy(p => p.SortOrder))
+            .Include(s => s.ChargePointConnectors.OrderBy(c => c.ConnectorId))
+            .FirstOrDefaultAsync(s => s.Id == stationId);
+    }
+}
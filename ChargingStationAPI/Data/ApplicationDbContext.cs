@@ -6,6 +6,8 @@ namespace ChargingStationAPI.Data;
 // Database context for Entity Framework Core
 public class ApplicationDbContext : DbContext
 {
+    public const string OcppTransactionIdSequence = "OcppTransactionIds";
+
     public ApplicationDbContext(DbContextOptions<ApplicationDbContext> options)
         : base(options)
     {
@@ -14,6 +16,62 @@ public class ApplicationDbContext : DbContext
     // Database table for charging stations
     public DbSet<ChargingStation> ChargingStations { get; set; }
 
+    // Database table for station connectors
+    public DbSet<StationConnector> StationConnectors { get; set; }
+    public DbSet<StationPhoto> StationPhotos { get; set; }
+
+    // Database table for live OCPP connector state
+    public DbSet<ChargePointConnector> ChargePointConnectors { get; set; }
+
+    // Database table for station status history
+    public DbSet<StationStatusChange> StationStatusChanges { get; set; }
+
+    // Database table for charging sessions
+    public DbSet<ChargingSession> ChargingSessions { get; set; }
+
+    // Database tables for tariffs and their time-of-day bands
+    public DbSet<Tariff> Tariffs { get; set; }
+    public DbSet<TariffBand> TariffBands { get; set; }
+
+    // Database table for station maintenance work orders
+    public DbSet<WorkOrder> WorkOrders { get; set; }
+
+    // Database tables for maintenance windows and the stations the scheduler holds in Maintenance
+    public DbSet<MaintenanceWindow> MaintenanceWindows { get; set; }
+    public DbSet<MaintenanceHold> MaintenanceHolds { get; set; }
+
+    // Database tables for alert rules, the lasting conditions they alerted on, and users' notifications
+    public DbSet<AlertRule> AlertRules { get; set; }
+    public DbSet<AlertIncident> AlertIncidents { get; set; }
+    public DbSet<Notification> Notifications { get; set; }
+    public DbSet<Webhook> Webhooks { get; set; }
+    public DbSet<WebhookDelivery> WebhookDeliveries { get; set; }
+
+    // Database table for connector reservations
+    public DbSet<Reservation> Reservations { get; set; }
+
+    // Database table for the station audit log
+    public DbSet<AuditEntry> AuditEntries { get; set; }
+
+    // Database table for field changes of audit entries
+    public DbSet<AuditFieldChange> AuditFieldChanges { get; set; }
+
+    // Database table for local user accounts
+    public DbSet<AppUser> Users { get; set; }
+
+    // Database table for issued refresh tokens
+    public DbSet<RefreshToken> RefreshTokens { get; set; }
+
+    /// <summary>
+    /// Next unused OCPP transaction id
+    /// </summary>
+    public Task<int> NextOcppTransactionIdAsync()
+    {
+        return Database
+            .SqlQueryRaw<int>("SELECT CAST(nextval('\"" + OcppTransactionIdSequence + "\"') AS integer) AS \"Value\"")
+            .SingleAsync();
+    }
+
     // Configure entity properties and constraints
     protected override void OnModelCreating(ModelBuilder modelBuilder)
     {
@@ -39,6 +97,554 @@ public class ApplicationDbContext : DbContext
 
             // Create index on Status for faster queries
             entity.HasIndex(e => e.Status);
+
+            entity.Property(e => e.ThumbnailUrl)
+                .HasMaxLength(2048);
+
+            entity.Property(e => e.DeletedBy)
+                .HasMaxLength(200);
+
+            // Saving an edit fails if another edit bumped the version since the station was loaded
+            entity.Property(e => e.Version)
+                .HasDefaultValue(1)
+                .IsConcurrencyToken();
+
+            // Each OCPP charge point is linked to at most one station
+            entity.Property(e => e.ChargePointId)
+                .HasMaxLength(48);
+            entity.HasIndex(e => e.ChargePointId)
+                .IsUnique();
+
+            entity.Property(e => e.ChargePointVendor)
+                .HasMaxLength(20);
+
+            entity.Property(e => e.ChargePointModel)
+                .HasMaxLength(20);
+
+            // Stations in the recycle bin are hidden from every query unless IgnoreQueryFilters is used
+            entity.HasQueryFilter(e => e.DeletedAt == null);
+            entity.HasIndex(e => e.DeletedAt);
+
+            // Connectors belong to a station and are deleted with it
+            entity.HasMany(e => e.Connectors)
+                .WithOne()
+                .HasForeignKey(c => c.ChargingStationId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            // Photos belong to a station and are deleted with it
+            entity.HasMany(e => e.Photos)
+                .WithOne()
+                .HasForeignKey(p => p.ChargingStationId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            // Live OCPP connector state belongs to a station and is deleted with it
+            entity.HasMany(e => e.ChargePointConnectors)
+                .WithOne()
+                .HasForeignKey(c => c.ChargingStationId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            // Deleting a tariff returns its stations to connector type pricing
+            entity.HasOne<Tariff>()
+                .WithMany()
+                .HasForeignKey(e => e.TariffId)
+                .OnDelete(DeleteBehavior.SetNull);
+        });
+
+        modelBuilder.Entity<Tariff>(entity =>
+        {
+            entity.HasKey(e => e.Id); // Set Id as primary key
+
+            entity.Property(e => e.Name)
+                .IsRequired()
+                .HasMaxLength(100);
+            entity.HasIndex(e => e.Name)
+                .IsUnique();
+
+            entity.Property(e => e.Currency)
+                .IsRequired()
+                .HasMaxLength(3);
+
+            // Prices are stored exactly, to 4 decimal places
+            entity.Property(e => e.PricePerKwh).HasPrecision(10, 4);
+            entity.Property(e => e.PricePerMinute).HasPrecision(10, 4);
+            entity.Property(e => e.SessionFee).HasPrecision(10, 4);
+            entity.Property(e => e.IdleFeePerMinute).HasPrecision(10, 4);
+
+            entity.Property(e => e.UpdatedBy)
+                .IsRequired()
+                .HasMaxLength(200);
+
+            // Bands belong to a tariff and are deleted with it
+            entity.HasMany(e => e.Bands)
+                .WithOne()
+                .HasForeignKey(b => b.TariffId)
+                .OnDelete(DeleteBehavior.Cascade);
+        });
+
+        modelBuilder.Entity<TariffBand>(entity =>
+        {
+            entity.HasKey(e => e.Id); // Set Id as primary key
+
+            entity.Property(e => e.StartTime)
+                .IsRequired()
+                .HasMaxLength(5);
+
+            entity.Property(e => e.EndTime)
+                .IsRequired()
+                .HasMaxLength(5);
+
+            entity.Property(e => e.PricePerKwh).HasPrecision(10, 4);
+            entity.Property(e => e.PricePerMinute).HasPrecision(10, 4);
+        });
+
+        modelBuilder.Entity<ChargePointConnector>(entity =>
+        {
+            entity.HasKey(e => e.Id); // Set Id as primary key
+
+            entity.Property(e => e.Status)
+                .IsRequired()
+                .HasMaxLength(20);
+
+            entity.Property(e => e.ErrorCode)
+                .IsRequired()
+                .HasMaxLength(30);
+
+            entity.Property(e => e.Info)
+                .HasMaxLength(50);
+
+            entity.Property(e => e.IdTag)
+                .HasMaxLength(20);
+
+            // One row per connector of a station's charge point
+            entity.HasIndex(e => new { e.ChargingStationId, e.ConnectorId })
+                .IsUnique();
+        });
+
+        // OCPP transaction ids handed out by StartTransaction
+        modelBuilder.HasSequence<int>(OcppTransactionIdSequence);
+
+        modelBuilder.Entity<StationPhoto>(entity =>
+        {
+            entity.HasKey(e => e.Id); // Set Id as primary key
+
+            entity.Property(e => e.ImageUrl)
+                .IsRequired()
+                .HasMaxLength(2048);
+
+            entity.Property(e => e.ThumbnailUrl)
+                .HasMaxLength(2048);
+
+            entity.Property(e => e.Caption)
+                .HasMaxLength(StationPhoto.MaxCaptionLength);
+
+            // Create index for loading a station's gallery in order
+            entity.HasIndex(e => new { e.ChargingStationId, e.SortOrder });
+        });
+
+        modelBuilder.Entity<StationConnector>(entity =>
+        {
+            entity.HasKey(e => e.Id); // Set Id as primary key
+
+            entity.Property(e => e.ConnectorType)
+                .IsRequired()
+                .HasMaxLength(50);
+
+            entity.Property(e => e.PowerType)
+                .IsRequired()
+                .HasMaxLength(2);
+
+            entity.Property(e => e.Status)
+                .IsRequired()
+                .HasMaxLength(20);
+
+            // Create index on ConnectorType for connector filters
+            entity.HasIndex(e => e.ConnectorType);
+        });
+
+        modelBuilder.Entity<StationStatusChange>(entity =>
+        {
+            entity.HasKey(e => e.Id); // Set Id as primary key
+
+            entity.Property(e => e.ChangedBy)
+                .IsRequired()
+                .HasMaxLength(200);
+
+            entity.Property(e => e.Note)
+                .HasMaxLength(1000);
+
+            // History rows are removed with their station
+            entity.HasOne<ChargingStation>()
+                .WithMany()
+                .HasForeignKey(e => e.ChargingStationId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            // Create index for per-station history lookups
+            entity.HasIndex(e => new { e.ChargingStationId, e.ChangedAt });
+        });
+
+        modelBuilder.Entity<ChargingSession>(entity =>
+        {
+            entity.HasKey(e => e.Id); // Set Id as primary key
+
+            entity.Property(e => e.IdTag)
+                .HasMaxLength(20);
+
+            entity.Property(e => e.StopReason)
+                .HasMaxLength(30);
+
+            entity.Property(e => e.RecordedBy)
+                .IsRequired()
+                .HasMaxLength(200);
+
+            // Sessions are removed with their station
+            entity.HasOne<ChargingStation>()
+                .WithMany()
+                .HasForeignKey(e => e.ChargingStationId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            // Create indexes for per-station and date range lookups
+            entity.HasIndex(e => new { e.ChargingStationId, e.StartedAt });
+            entity.HasIndex(e => e.StartedAt);
+
+            // Each OCPP transaction is one session
+            entity.HasIndex(e => e.OcppTransactionId)
+                .IsUnique();
+        });
+
+        modelBuilder.Entity<WorkOrder>(entity =>
+        {
+            entity.HasKey(e => e.Id); // Set Id as primary key
+
+            entity.Property(e => e.Title)
+                .IsRequired()
+                .HasMaxLength(WorkOrder.MaxTitleLength);
+
+            entity.Property(e => e.Description)
+                .HasMaxLength(WorkOrder.MaxDescriptionLength);
+
+            entity.Property(e => e.Category)
+                .IsRequired()
+                .HasMaxLength(30);
+
+            entity.Property(e => e.Priority)
+                .IsRequired()
+                .HasMaxLength(20);
+
+            entity.Property(e => e.State)
+                .IsRequired()
+                .HasMaxLength(20);
+
+            entity.Property(e => e.Assignee)
+                .HasMaxLength(WorkOrder.MaxAssigneeLength);
+
+            entity.Property(e => e.CreatedBy)
+                .IsRequired()
+                .HasMaxLength(200);
+
+            entity.Property(e => e.ResolvedBy)
+                .HasMaxLength(200);
+
+            entity.Property(e => e.ResolutionNote)
+                .HasMaxLength(WorkOrder.MaxResolutionNoteLength);
+
+            // Work orders are removed with their station
+            entity.HasOne<ChargingStation>()
+                .WithMany()
+                .HasForeignKey(e => e.ChargingStationId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            // Create indexes for per-station lookups and the board's state columns
+            entity.HasIndex(e => new { e.ChargingStationId, e.State });
+            entity.HasIndex(e => e.State);
+        });
+
+        modelBuilder.Entity<MaintenanceWindow>(entity =>
+        {
+            entity.HasKey(e => e.Id); // Set Id as primary key
+
+            entity.Property(e => e.Reason)
+                .IsRequired()
+                .HasMaxLength(MaintenanceWindow.MaxReasonLength);
+
+            entity.Property(e => e.Recurrence)
+                .IsRequired()
+                .HasMaxLength(20);
+
+            entity.Property(e => e.CreatedBy)
+                .IsRequired()
+                .HasMaxLength(200);
+
+            // No foreign key for StationIds: ids of purged stations are ignored when read
+
+            // Create index for finding windows that may still have occurrences
+            entity.HasIndex(e => e.StartsAt);
+        });
+
+        modelBuilder.Entity<MaintenanceHold>(entity =>
+        {
+            entity.HasKey(e => e.Id); // Set Id as primary key
+
+            entity.Property(e => e.RestoreStatus)
+                .HasMaxLength(50);
+
+            // Holds are removed with their station
+            entity.HasOne<ChargingStation>()
+                .WithMany()
+                .HasForeignKey(e => e.ChargingStationId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            // Deleting a window leaves its holds for the scheduler to end
+            entity.HasOne<MaintenanceWindow>()
+                .WithMany()
+                .HasForeignKey(e => e.MaintenanceWindowId)
+                .OnDelete(DeleteBehavior.SetNull);
+
+            // A station is held by at most one window at a time
+            entity.HasIndex(e => e.ChargingStationId)
+                .IsUnique();
+        });
+
+        modelBuilder.Entity<AlertRule>(entity =>
+        {
+            entity.HasKey(e => e.Id); // Set Id as primary key
+
+            entity.Property(e => e.Name)
+                .IsRequired()
+                .HasMaxLength(AlertRule.MaxNameLength);
+
+            entity.Property(e => e.Type)
+                .IsRequired()
+                .HasMaxLength(30);
+
+            entity.Property(e => e.PinCodePrefix)
+                .HasMaxLength(AlertRule.MaxPinCodePrefixLength);
+
+            entity.Property(e => e.CreatedBy)
+                .IsRequired()
+                .HasMaxLength(200);
+        });
+
+        modelBuilder.Entity<AlertIncident>(entity =>
+        {
+            entity.HasKey(e => e.Id); // Set Id as primary key
+
+            // Incidents are removed with their rule and station
+            entity.HasOne<AlertRule>()
+                .WithMany()
+                .HasForeignKey(e => e.AlertRuleId)
+                .OnDelete(DeleteBehavior.Cascade);
+            entity.HasOne<ChargingStation>()
+                .WithMany()
+                .HasForeignKey(e => e.ChargingStationId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            entity.HasIndex(e => e.AlertRuleId);
+        });
+
+        modelBuilder.Entity<Notification>(entity =>
+        {
+            entity.HasKey(e => e.Id); // Set Id as primary key
+
+            entity.Property(e => e.Title)
+                .IsRequired()
+                .HasMaxLength(Notification.MaxTitleLength);
+
+            entity.Property(e => e.Message)
+                .IsRequired()
+                .HasMaxLength(Notification.MaxMessageLength);
+
+            // Notifications are removed with their user and keep their text when the rule or station goes
+            entity.HasOne<AppUser>()
+                .WithMany()
+                .HasForeignKey(e => e.UserId)
+                .OnDelete(DeleteBehavior.Cascade);
+            entity.HasOne<AlertRule>()
+                .WithMany()
+                .HasForeignKey(e => e.AlertRuleId)
+                .OnDelete(DeleteBehavior.SetNull);
+            entity.HasOne<ChargingStation>()
+                .WithMany()
+                .HasForeignKey(e => e.ChargingStationId)
+                .OnDelete(DeleteBehavior.SetNull);
+
+            // Create indexes for a user's newest and unread notifications, and for removing old ones
+            entity.HasIndex(e => new { e.UserId, e.CreatedAt });
+            entity.HasIndex(e => new { e.UserId, e.ReadAt });
+            entity.HasIndex(e => e.CreatedAt);
+        });
+
+        modelBuilder.Entity<Webhook>(entity =>
+        {
+            entity.HasKey(e => e.Id); // Set Id as primary key
+
+            entity.Property(e => e.Name)
+                .IsRequired()
+                .HasMaxLength(Webhook.MaxNameLength);
+
+            entity.Property(e => e.Url)
+                .IsRequired()
+                .HasMaxLength(Webhook.MaxUrlLength);
+
+            entity.Property(e => e.Secret)
+                .IsRequired()
+                .HasMaxLength(100);
+
+            entity.Property(e => e.CreatedBy)
+                .IsRequired()
+                .HasMaxLength(200);
+        });
+
+        modelBuilder.Entity<WebhookDelivery>(entity =>
+        {
+            entity.HasKey(e => e.Id); // Set Id as primary key
+
+            entity.Property(e => e.EventType)
+                .IsRequired()
+                .HasMaxLength(50);
+
+            entity.Property(e => e.Payload)
+                .IsRequired();
+
+            entity.Property(e => e.Status)
+                .IsRequired()
+                .HasMaxLength(20);
+
+            entity.Property(e => e.ResponseBody)
+                .HasMaxLength(WebhookDelivery.MaxResponseBodyLength);
+
+            entity.Property(e => e.Error)
+                .HasMaxLength(WebhookDelivery.MaxErrorLength);
+
+            // Deliveries are removed with their webhook and kept when the station is purged
+            entity.HasOne<Webhook>()
+                .WithMany()
+                .HasForeignKey(e => e.WebhookId)
+                .OnDelete(DeleteBehavior.Cascade);
+            entity.HasOne<ChargingStation>()
+                .WithMany()
+                .HasForeignKey(e => e.ChargingStationId)
+                .OnDelete(DeleteBehavior.SetNull);
+
+            entity.HasIndex(e => new { e.Status, e.NextAttemptAt }); // Due deliveries
+            entity.HasIndex(e => new { e.WebhookId, e.CreatedAt }); // Delivery log of one webhook
+            entity.HasIndex(e => e.CreatedAt); // Delivery log and retention
+        });
+
+        modelBuilder.Entity<Reservation>(entity =>
+        {
+            entity.HasKey(e => e.Id); // Set Id as primary key
+
+            entity.Property(e => e.DriverName)
+                .IsRequired()
+                .HasMaxLength(Reservation.MaxDriverNameLength);
+
+            entity.Property(e => e.DriverPhone)
+                .HasMaxLength(Reservation.MaxDriverPhoneLength);
+
+            entity.Property(e => e.DriverEmail)
+                .HasMaxLength(Reservation.MaxDriverEmailLength);
+
+            entity.Property(e => e.Note)
+                .HasMaxLength(Reservation.MaxNoteLength);
+
+            entity.Property(e => e.Status)
+                .IsRequired()
+                .HasMaxLength(20);
+
+            entity.Property(e => e.CreatedBy)
+                .IsRequired()
+                .HasMaxLength(200);
+
+            entity.Property(e => e.CancelledBy)
+                .HasMaxLength(200);
+
+            // Reservations are removed with their station
+            entity.HasOne<ChargingStation>()
+                .WithMany()
+                .HasForeignKey(e => e.ChargingStationId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            // Create indexes for per-station timelines and the dashboard's time range lookups
+            entity.HasIndex(e => new { e.ChargingStationId, e.StartsAt });
+            entity.HasIndex(e => e.StartsAt);
+        });
+
+        modelBuilder.Entity<AuditEntry>(entity =>
+        {
+            entity.HasKey(e => e.Id); // Set Id as primary key
+
+            entity.Property(e => e.StationName)
+                .IsRequired()
+                .HasMaxLength(200);
+
+            entity.Property(e => e.Action)
+                .IsRequired()
+                .HasMaxLength(20);
+
+            entity.Property(e => e.Actor)
+                .IsRequired()
+                .HasMaxLength(200);
+
+            // No foreign key to the station: entries outlive deleted stations
+
+            // Field changes belong to an entry and are deleted with it
+            entity.HasMany(e => e.Changes)
+                .WithOne()
+                .HasForeignKey(c => c.AuditEntryId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            // Create indexes for per-station and global (newest first) lookups
+            entity.HasIndex(e => new { e.ChargingStationId, e.Timestamp });
+            entity.HasIndex(e => e.Timestamp);
+        });
+
+        modelBuilder.Entity<AuditFieldChange>(entity =>
+        {
+            entity.HasKey(e => e.Id); // Set Id as primary key
+
+            entity.Property(e => e.Field)
+                .IsRequired()
+                .HasMaxLength(50);
+        });
+
+        modelBuilder.Entity<AppUser>(entity =>
+        {
+            entity.HasKey(e => e.Id); // Set Id as primary key
+
+            entity.Property(e => e.Username)
+                .IsRequired()
+                .HasMaxLength(100);
+
+            entity.Property(e => e.DisplayName)
+                .HasMaxLength(200);
+
+            entity.Property(e => e.PasswordHash)
+                .IsRequired();
+
+            entity.Property(e => e.Role)
+                .IsRequired()
+                .HasMaxLength(20);
+
+            // Usernames are unique (stored lower-case)
+            entity.HasIndex(e => e.Username).IsUnique();
+        });
+
+        modelBuilder.Entity<RefreshToken>(entity =>
+        {
+            entity.HasKey(e => e.Id); // Set Id as primary key
+
+            entity.Property(e => e.TokenHash)
+                .IsRequired()
+                .HasMaxLength(64);
+
+            // Tokens are removed with their user
+            entity.HasOne<AppUser>()
+                .WithMany()
+                .HasForeignKey(e => e.UserId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            // Create unique index for token lookups
+            entity.HasIndex(e => e.TokenHash).IsUnique();
         });
     }
 }
@@ -0,0 +1,72 @@
+using Microsoft.EntityFrameworkCore;
+using ChargingStationAPI.Services;
+
+namespace ChargingStationAPI.Data;
+
+// Moves legacy base64 imageUrl values into image storage and single images into photo galleries
+public static class ImageMigrator
+{
+    private const int BatchSize = 20; // Base64 images can be megabytes each, so load a few at a time
+
+    /// <summary>
+    /// Store every base64 data URL as a file and keep only its URL,
+    /// then give each station with an image but no photos a one-photo gallery
+    /// Images that cannot be decoded are cleared so the station can be saved again
+    /// </summary>
+    public static void MigrateStationImages(ApplicationDbContext context, ImageStorageService storage, ILogger logger)
+    {
+        var migrated = 0;
+        var lastId = 0;
+        while (true)
+        {
+            var batch = context.ChargingStations
+                .IgnoreQueryFilters()
+                .Where(s => s.Id > lastId && s.ImageUrl != null && s.ImageUrl.StartsWith("data:"))
+                .OrderBy(s => s.Id)
+                .Take(BatchSize)
+                .ToList();
+            if (batch.Count == 0)
+            {
+                break;
+            }
+
+            foreach (var station in batch)
+            {
+                try
+                {
+                    var stored = storage.SaveDataUrlAsync(station.ImageUrl!).GetAwaiter().GetResult();
+                    station.ImageUrl = stored.ImageUrl;
+                    station.ThumbnailUrl = stored.ThumbnailUrl;
+                    migrated++;
+                }
+                catch (Exception ex) when (ex is FormatException or SixLabors.ImageSharp.ImageFormatException)
+                {
+                    logger.LogWarning(ex, "Clearing unreadable base64 image of charging station {Id}", station.Id);
+                    station.ImageUrl = null;
+                    station.ThumbnailUrl = null;
+                }
+            }
+
+            context.SaveChanges();
+            context.ChangeTracker.Clear(); // Let the batch's image strings be collected
+            lastId = batch[^1].Id;
+        }
+
+        if (migrated > 0)
+        {
+            logger.LogInformation("Moved {Count} base64 station images to image storage", migrated);
+        }
+
+        // Stations saved before galleries existed get their image as the only photo
+        var galleries = context.Database.ExecuteSqlRaw(@"
+            INSERT INTO ""StationPhotos"" (""ChargingStationId"", ""ImageUrl"", ""ThumbnailUrl"", ""SortOrder"")
+            SELECT s.""Id"", s.""ImageUrl"", s.""ThumbnailUrl"", 0
+            FROM ""ChargingStations"" s
+            WHERE s.""ImageUrl"" IS NOT NULL
+              AND NOT EXISTS (SELECT 1 FROM ""StationPhotos"" p WHERE p.""ChargingStationId"" = s.""Id"")");
+        if (galleries > 0)
+        {
+            logger.LogInformation("Created photo galleries for {Count} stations", galleries);
+        }
+    }
+}
@@ -0,0 +1,388 @@
+using Microsoft.EntityFrameworkCore;
+
+namespace ChargingStationAPI.Data;
+
+// Adds schema introduced after a database was first created
+public static class SchemaUpgrader
+{
+    /// <summary>
+    /// Add missing columns, tables and sequences to an existing database
+    /// EnsureCreated only builds the schema of a new database, so each addition is repeated here
+    /// </summary>
+    public static void Upgrade(ApplicationDbContext context)
+    {
+        // Map coordinates of each station
+        context.Database.ExecuteSqlRaw(@"
+            ALTER TABLE ""ChargingStations""
+                ADD COLUMN IF NOT EXISTS ""Latitude"" double precision,
+                ADD COLUMN IF NOT EXISTS ""Longitude"" double precision;");
+
+        // Connectors of each station, seeded once from the single legacy ConnectorType
+        context.Database.ExecuteSqlRaw(@"
+            DO $$
+            BEGIN
+                IF to_regclass('""StationConnectors""') IS NULL THEN
+                    CREATE TABLE ""StationConnectors"" (
+                        ""Id"" integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+                        ""ChargingStationId"" integer NOT NULL REFERENCES ""ChargingStations"" (""Id"") ON DELETE CASCADE,
+                        ""ConnectorType"" character varying(50) NOT NULL,
+                        ""PowerType"" character varying(2) NOT NULL,
+                        ""MaxPowerKw"" double precision NOT NULL,
+                        ""Count"" integer NOT NULL,
+                        ""Status"" character varying(20) NOT NULL
+                    );
+                    CREATE INDEX ""IX_StationConnectors_ChargingStationId""
+                        ON ""StationConnectors"" (""ChargingStationId"");
+                    CREATE INDEX ""IX_StationConnectors_ConnectorType""
+                        ON ""StationConnectors"" (""ConnectorType"");
+                    INSERT INTO ""StationConnectors""
+                        (""ChargingStationId"", ""ConnectorType"", ""PowerType"", ""MaxPowerKw"", ""Count"", ""Status"")
+                    SELECT ""Id"", left(""ConnectorType"", 50),
+                        CASE WHEN upper(""ConnectorType"") LIKE '%DC%' THEN 'DC' ELSE 'AC' END,
+                        0, 1, 'Available'
+                    FROM ""ChargingStations""
+                    WHERE coalesce(""ConnectorType"", '') <> '';
+                END IF;
+            END $$;");
+
+        // Status history of each station
+        context.Database.ExecuteSqlRaw(@"
+            CREATE TABLE IF NOT EXISTS ""StationStatusChanges"" (
+                ""Id"" integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+                ""ChargingStationId"" integer NOT NULL REFERENCES ""ChargingStations"" (""Id"") ON DELETE CASCADE,
+                ""FromStatus"" text,
+                ""ToStatus"" text,
+                ""ChangedBy"" character varying(200) NOT NULL,
+                ""ChangedAt"" timestamp with time zone NOT NULL,
+                ""Note"" character varying(1000)
+            );
+            CREATE INDEX IF NOT EXISTS ""IX_StationStatusChanges_ChargingStationId_ChangedAt""
+                ON ""StationStatusChanges"" (""ChargingStationId"", ""ChangedAt"");");
+
+        // User accounts and their refresh tokens; later tables reference Users
+        context.Database.ExecuteSqlRaw(@"
+            CREATE TABLE IF NOT EXISTS ""Users"" (
+                ""Id"" integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+                ""Username"" character varying(100) NOT NULL,
+                ""DisplayName"" character varying(200),
+                ""PasswordHash"" text NOT NULL,
+                ""Role"" character varying(20) NOT NULL,
+                ""IsActive"" boolean NOT NULL,
+                ""CreatedAt"" timestamp with time zone NOT NULL
+            );
+            CREATE UNIQUE INDEX IF NOT EXISTS ""IX_Users_Username""
+                ON ""Users"" (""Username"");
+            CREATE TABLE IF NOT EXISTS ""RefreshTokens"" (
+                ""Id"" integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+                ""UserId"" integer NOT NULL REFERENCES ""Users"" (""Id"") ON DELETE CASCADE,
+                ""TokenHash"" character varying(64) NOT NULL,
+                ""ExpiresAt"" timestamp with time zone NOT NULL,
+                ""CreatedAt"" timestamp with time zone NOT NULL,
+                ""RevokedAt"" timestamp with time zone
+            );
+            CREATE UNIQUE INDEX IF NOT EXISTS ""IX_RefreshTokens_TokenHash""
+                ON ""RefreshTokens"" (""TokenHash"");
+            CREATE INDEX IF NOT EXISTS ""IX_RefreshTokens_UserId""
+                ON ""RefreshTokens"" (""UserId"");");
+
+        // Audit log of station changes; entries outlive their station
+        context.Database.ExecuteSqlRaw(@"
+            CREATE TABLE IF NOT EXISTS ""AuditEntries"" (
+                ""Id"" integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+                ""ChargingStationId"" integer NOT NULL,
+                ""StationName"" character varying(200) NOT NULL,
+                ""Action"" character varying(20) NOT NULL,
+                ""Actor"" character varying(200) NOT NULL,
+                ""Timestamp"" timestamp with time zone NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS ""IX_AuditEntries_ChargingStationId_Timestamp""
+                ON ""AuditEntries"" (""ChargingStationId"", ""Timestamp"");
+            CREATE INDEX IF NOT EXISTS ""IX_AuditEntries_Timestamp""
+                ON ""AuditEntries"" (""Timestamp"");
+            CREATE TABLE IF NOT EXISTS ""AuditFieldChanges"" (
+                ""Id"" integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+                ""AuditEntryId"" integer NOT NULL REFERENCES ""AuditEntries"" (""Id"") ON DELETE CASCADE,
+                ""Field"" character varying(50) NOT NULL,
+                ""OldValue"" text,
+                ""NewValue"" text
+            );
+            CREATE INDEX IF NOT EXISTS ""IX_AuditFieldChanges_AuditEntryId""
+                ON ""AuditFieldChanges"" (""AuditEntryId"");");
+
+        // Soft delete of stations moved to the recycle bin
+        context.Database.ExecuteSqlRaw(@"
+            ALTER TABLE ""ChargingStations""
+                ADD COLUMN IF NOT EXISTS ""DeletedAt"" timestamp with time zone,
+                ADD COLUMN IF NOT EXISTS ""DeletedBy"" character varying(200);
+            CREATE INDEX IF NOT EXISTS ""IX_ChargingStations_DeletedAt""
+                ON ""ChargingStations"" (""DeletedAt"");");
+
+        // Thumbnails of uploaded station images
+        context.Database.ExecuteSqlRaw(
+            "ALTER TABLE \"ChargingStations\" ADD COLUMN IF NOT EXISTS \"ThumbnailUrl\" character varying(2048)");
+
+        // Photo galleries of each station
+        context.Database.ExecuteSqlRaw(@"
+            CREATE TABLE IF NOT EXISTS ""StationPhotos"" (
+                ""Id"" integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+                ""ChargingStationId"" integer NOT NULL REFERENCES ""ChargingStations"" (""Id"") ON DELETE CASCADE,
+                ""ImageUrl"" character varying(2048) NOT NULL,
+                ""ThumbnailUrl"" character varying(2048),
+                ""Caption"" character varying(300),
+                ""SortOrder"" integer NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS ""IX_StationPhotos_ChargingStationId_SortOrder""
+                ON ""StationPhotos"" (""ChargingStationId"", ""SortOrder"");");
+
+        // Optimistic concurrency version of each station
+        context.Database.ExecuteSqlRaw(
+            "ALTER TABLE \"ChargingStations\" ADD COLUMN IF NOT EXISTS \"Version\" integer NOT NULL DEFAULT 1");
+
+        // OCPP charge point link and live connector state
+        context.Database.ExecuteSqlRaw(@"
+            ALTER TABLE ""ChargingStations""
+                ADD COLUMN IF NOT EXISTS ""ChargePointId"" character varying(48),
+                ADD COLUMN IF NOT EXISTS ""ChargePointConnected"" boolean NOT NULL DEFAULT FALSE,
+                ADD COLUMN IF NOT EXISTS ""ChargePointLastSeenAt"" timestamp with time zone,
+                ADD COLUMN IF NOT EXISTS ""ChargePointVendor"" character varying(20),
+                ADD COLUMN IF NOT EXISTS ""ChargePointModel"" character varying(20);
+            CREATE UNIQUE INDEX IF NOT EXISTS ""IX_ChargingStations_ChargePointId""
+                ON ""ChargingStations"" (""ChargePointId"");
+            CREATE TABLE IF NOT EXISTS ""ChargePointConnectors"" (
+                ""Id"" integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+                ""ChargingStationId"" integer NOT NULL REFERENCES ""ChargingStations"" (""Id"") ON DELETE CASCADE,
+                ""ConnectorId"" integer NOT NULL,
+                ""Status"" character varying(20) NOT NULL,
+                ""ErrorCode"" character varying(30) NOT NULL,
+                ""Info"" character varying(50),
+                ""UpdatedAt"" timestamp with time zone NOT NULL,
+                ""TransactionId"" integer,
+                ""IdTag"" character varying(20),
+                ""TransactionStartedAt"" timestamp with time zone,
+                ""MeterStartWh"" double precision,
+                ""MeterWh"" double precision,
+                ""PowerKw"" double precision
+            );
+            CREATE UNIQUE INDEX IF NOT EXISTS ""IX_ChargePointConnectors_ChargingStationId_ConnectorId""
+                ON ""ChargePointConnectors"" (""ChargingStationId"", ""ConnectorId"");
+            CREATE SEQUENCE IF NOT EXISTS ""OcppTransactionIds"" AS integer;");
+
+        // Charging sessions
+        context.Database.ExecuteSqlRaw(@"
+            CREATE TABLE IF NOT EXISTS ""ChargingSessions"" (
+                ""Id"" integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+                ""ChargingStationId"" integer NOT NULL REFERENCES ""ChargingStations"" (""Id"") ON DELETE CASCADE,
+                ""ConnectorId"" integer NOT NULL,
+                ""StartedAt"" timestamp with time zone NOT NULL,
+                ""StoppedAt"" timestamp with time zone,
+                ""EnergyKwh"" double precision,
+                ""IdTag"" character varying(20),
+                ""OcppTransactionId"" integer,
+                ""MeterStartWh"" double precision,
+                ""StopReason"" character varying(30),
+                ""RecordedBy"" character varying(200) NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS ""IX_ChargingSessions_ChargingStationId_StartedAt""
+                ON ""ChargingSessions"" (""ChargingStationId"", ""StartedAt"");
+            CREATE INDEX IF NOT EXISTS ""IX_ChargingSessions_StartedAt""
+                ON ""ChargingSessions"" (""StartedAt"");
+            CREATE UNIQUE INDEX IF NOT EXISTS ""IX_ChargingSessions_OcppTransactionId""
+                ON ""ChargingSessions"" (""OcppTransactionId"");");
+
+        // Tariffs, their time-of-day bands and the tariff assigned to each station
+        context.Database.ExecuteSqlRaw(@"
+            CREATE TABLE IF NOT EXISTS ""Tariffs"" (
+                ""Id"" integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+                ""Name"" character varying(100) NOT NULL,
+                ""Currency"" character varying(3) NOT NULL,
+                ""PricePerKwh"" numeric(10,4) NOT NULL,
+                ""PricePerMinute"" numeric(10,4) NOT NULL,
+                ""SessionFee"" numeric(10,4) NOT NULL,
+                ""IdleFeePerMinute"" numeric(10,4) NOT NULL,
+                ""IdleGraceMinutes"" integer NOT NULL,
+                ""ConnectorTypes"" text[] NOT NULL,
+                ""UpdatedAt"" timestamp with time zone NOT NULL,
+                ""UpdatedBy"" character varying(200) NOT NULL
+            );
+            CREATE UNIQUE INDEX IF NOT EXISTS ""IX_Tariffs_Name""
+                ON ""Tariffs"" (""Name"");
+            CREATE TABLE IF NOT EXISTS ""TariffBands"" (
+                ""Id"" integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+                ""TariffId"" integer NOT NULL REFERENCES ""Tariffs"" (""Id"") ON DELETE CASCADE,
+                ""StartTime"" character varying(5) NOT NULL,
+                ""EndTime"" character varying(5) NOT NULL,
+                ""PricePerKwh"" numeric(10,4) NOT NULL,
+                ""PricePerMinute"" numeric(10,4) NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS ""IX_TariffBands_TariffId""
+                ON ""TariffBands"" (""TariffId"");
+            ALTER TABLE ""ChargingStations""
+                ADD COLUMN IF NOT EXISTS ""TariffId"" integer REFERENCES ""Tariffs"" (""Id"") ON DELETE SET NULL;
+            CREATE INDEX IF NOT EXISTS ""IX_ChargingStations_TariffId""
+                ON ""ChargingStations"" (""TariffId"");");
+
+        // Maintenance work orders
+        context.Database.ExecuteSqlRaw(@"
+            CREATE TABLE IF NOT EXISTS ""WorkOrders"" (
+                ""Id"" integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+                ""ChargingStationId"" integer NOT NULL REFERENCES ""ChargingStations"" (""Id"") ON DELETE CASCADE,
+                ""Title"" character varying(200) NOT NULL,
+                ""Description"" character varying(2000),
+                ""Category"" character varying(30) NOT NULL,
+                ""Priority"" character varying(20) NOT NULL,
+                ""Assignee"" character varying(100),
+                ""DueDate"" date,
+                ""State"" character varying(20) NOT NULL,
+                ""CreatedAt"" timestamp with time zone NOT NULL,
+                ""CreatedBy"" character varying(200) NOT NULL,
+                ""UpdatedAt"" timestamp with time zone NOT NULL,
+                ""ResolvedAt"" timestamp with time zone,
+                ""ResolvedBy"" character varying(200),
+                ""ResolutionNote"" character varying(1000)
+            );
+            CREATE INDEX IF NOT EXISTS ""IX_WorkOrders_ChargingStationId_State""
+                ON ""WorkOrders"" (""ChargingStationId"", ""State"");
+            CREATE INDEX IF NOT EXISTS ""IX_WorkOrders_State""
+                ON ""WorkOrders"" (""State"");");
+
+        // Maintenance windows and the stations the scheduler holds in Maintenance
+        context.Database.ExecuteSqlRaw(@"
+            CREATE TABLE IF NOT EXISTS ""MaintenanceWindows"" (
+                ""Id"" integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+                ""Reason"" character varying(500) NOT NULL,
+                ""StartsAt"" timestamp with time zone NOT NULL,
+                ""EndsAt"" timestamp with time zone NOT NULL,
+                ""Recurrence"" character varying(20) NOT NULL,
+                ""RecurUntil"" timestamp with time zone,
+                ""StationIds"" integer[] NOT NULL,
+                ""CreatedAt"" timestamp with time zone NOT NULL,
+                ""CreatedBy"" character varying(200) NOT NULL,
+                ""UpdatedAt"" timestamp with time zone NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS ""IX_MaintenanceWindows_StartsAt""
+                ON ""MaintenanceWindows"" (""StartsAt"");
+            CREATE TABLE IF NOT EXISTS ""MaintenanceHolds"" (
+                ""Id"" integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+                ""ChargingStationId"" integer NOT NULL REFERENCES ""ChargingStations"" (""Id"") ON DELETE CASCADE,
+                ""MaintenanceWindowId"" integer REFERENCES ""MaintenanceWindows"" (""Id"") ON DELETE SET NULL,
+                ""OccurrenceStart"" timestamp with time zone NOT NULL,
+                ""OccurrenceEnd"" timestamp with time zone NOT NULL,
+                ""RestoreStatus"" character varying(50)
+            );
+            CREATE UNIQUE INDEX IF NOT EXISTS ""IX_MaintenanceHolds_ChargingStationId""
+                ON ""MaintenanceHolds"" (""ChargingStationId"");
+            CREATE INDEX IF NOT EXISTS ""IX_MaintenanceHolds_MaintenanceWindowId""
+                ON ""MaintenanceHolds"" (""MaintenanceWindowId"");");
+
+        // Alert rules, their open incidents and users' notifications
+        context.Database.ExecuteSqlRaw(@"
+            CREATE TABLE IF NOT EXISTS ""AlertRules"" (
+                ""Id"" integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+                ""Name"" character varying(100) NOT NULL,
+                ""Type"" character varying(30) NOT NULL,
+                ""Statuses"" text[] NOT NULL,
+                ""ThresholdHours"" double precision,
+                ""ThresholdPercent"" double precision,
+                ""PinCodePrefix"" character varying(20),
+                ""EmailRecipients"" text[] NOT NULL,
+                ""NotifyInApp"" boolean NOT NULL,
+                ""Enabled"" boolean NOT NULL,
+                ""CreatedAt"" timestamp with time zone NOT NULL,
+                ""CreatedBy"" character varying(200) NOT NULL,
+                ""UpdatedAt"" timestamp with time zone NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS ""AlertIncidents"" (
+                ""Id"" integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+                ""AlertRuleId"" integer NOT NULL REFERENCES ""AlertRules"" (""Id"") ON DELETE CASCADE,
+                ""ChargingStationId"" integer REFERENCES ""ChargingStations"" (""Id"") ON DELETE CASCADE,
+                ""StartedAt"" timestamp with time zone NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS ""IX_AlertIncidents_AlertRuleId""
+                ON ""AlertIncidents"" (""AlertRuleId"");
+            CREATE INDEX IF NOT EXISTS ""IX_AlertIncidents_ChargingStationId""
+                ON ""AlertIncidents"" (""ChargingStationId"");
+            CREATE TABLE IF NOT EXISTS ""Notifications"" (
+                ""Id"" integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+                ""UserId"" integer NOT NULL REFERENCES ""Users"" (""Id"") ON DELETE CASCADE,
+                ""AlertRuleId"" integer REFERENCES ""AlertRules"" (""Id"") ON DELETE SET NULL,
+                ""ChargingStationId"" integer REFERENCES ""ChargingStations"" (""Id"") ON DELETE SET NULL,
+                ""Title"" character varying(200) NOT NULL,
+                ""Message"" character varying(1000) NOT NULL,
+                ""CreatedAt"" timestamp with time zone NOT NULL,
+                ""ReadAt"" timestamp with time zone
+            );
+            CREATE INDEX IF NOT EXISTS ""IX_Notifications_UserId_CreatedAt""
+                ON ""Notifications"" (""UserId"", ""CreatedAt"");
+            CREATE INDEX IF NOT EXISTS ""IX_Notifications_UserId_ReadAt""
+                ON ""Notifications"" (""UserId"", ""ReadAt"");
+            CREATE INDEX IF NOT EXISTS ""IX_Notifications_CreatedAt""
+                ON ""Notifications"" (""CreatedAt"");
+            CREATE INDEX IF NOT EXISTS ""IX_Notifications_AlertRuleId""
+                ON ""Notifications"" (""AlertRuleId"");
+            CREATE INDEX IF NOT EXISTS ""IX_Notifications_ChargingStationId""
+                ON ""Notifications"" (""ChargingStationId"");");
+
+        // Webhook subscriptions and their delivery log
+        context.Database.ExecuteSqlRaw(@"
+            CREATE TABLE IF NOT EXISTS ""Webhooks"" (
+                ""Id"" integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+                ""Name"" character varying(100) NOT NULL,
+                ""Url"" character varying(2000) NOT NULL,
+                ""EventTypes"" text[] NOT NULL,
+                ""Enabled"" boolean NOT NULL,
+                ""Secret"" character varying(100) NOT NULL,
+                ""CreatedAt"" timestamp with time zone NOT NULL,
+                ""CreatedBy"" character varying(200) NOT NULL,
+                ""UpdatedAt"" timestamp with time zone NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS ""WebhookDeliveries"" (
+                ""Id"" integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+                ""WebhookId"" integer NOT NULL REFERENCES ""Webhooks"" (""Id"") ON DELETE CASCADE,
+                ""EventId"" uuid NOT NULL,
+                ""EventType"" character varying(50) NOT NULL,
+                ""ChargingStationId"" integer REFERENCES ""ChargingStations"" (""Id"") ON DELETE SET NULL,
+                ""Payload"" text NOT NULL,
+                ""Status"" character varying(20) NOT NULL,
+                ""Attempts"" integer NOT NULL,
+                ""NextAttemptAt"" timestamp with time zone,
+                ""LastAttemptAt"" timestamp with time zone,
+                ""ResponseStatusCode"" integer,
+                ""ResponseBody"" character varying(1000),
+                ""Error"" character varying(500),
+                ""DurationMs"" integer,
+                ""CreatedAt"" timestamp with time zone NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS ""IX_WebhookDeliveries_Status_NextAttemptAt""
+                ON ""WebhookDeliveries"" (""Status"", ""NextAttemptAt"");
+            CREATE INDEX IF NOT EXISTS ""IX_WebhookDeliveries_WebhookId_CreatedAt""
+                ON ""WebhookDeliveries"" (""WebhookId"", ""CreatedAt"");
+            CREATE INDEX IF NOT EXISTS ""IX_WebhookDeliveries_CreatedAt""
+                ON ""WebhookDeliveries"" (""CreatedAt"");
+            CREATE INDEX IF NOT EXISTS ""IX_WebhookDeliveries_ChargingStationId""
+                ON ""WebhookDeliveries"" (""ChargingStationId"");");
+
+        // Connector reservations
+        context.Database.ExecuteSqlRaw(@"
+            CREATE TABLE IF NOT EXISTS ""Reservations"" (
+                ""Id"" integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+                ""ChargingStationId"" integer NOT NULL REFERENCES ""ChargingStations"" (""Id"") ON DELETE CASCADE,
+                ""ConnectorId"" integer NOT NULL,
+                ""StartsAt"" timestamp with time zone NOT NULL,
+                ""EndsAt"" timestamp with time zone NOT NULL,
+                ""DriverName"" character varying(100) NOT NULL,
+                ""DriverPhone"" character varying(30),
+                ""DriverEmail"" character varying(254),
+                ""Note"" character varying(500),
+                ""Status"" character varying(20) NOT NULL,
+                ""CreatedAt"" timestamp with time zone NOT NULL,
+                ""CreatedBy"" character varying(200) NOT NULL,
+                ""UpdatedAt"" timestamp with time zone NOT NULL,
+                ""CancelledAt"" timestamp with time zone,
+                ""CancelledBy"" character varying(200)
+            );
+            CREATE INDEX IF NOT EXISTS ""IX_Reservations_ChargingStationId_StartsAt""
+                ON ""Reservations"" (""ChargingStationId"", ""StartsAt"");
+            CREATE INDEX IF NOT EXISTS ""IX_Reservations_StartsAt""
+                ON ""Reservations"" (""StartsAt"");");
+    }
+}
@@ -0,0 +1,43 @@
+using Microsoft.AspNetCore.Identity;
+using ChargingStationAPI.Models;
+
+namespace ChargingStationAPI.Data;
+
+// Creates the first admin account so a fresh install can be signed in to
+public static class UserSeeder
+{
+    /// <summary>
+    /// Add the admin from the "DefaultAdmin" configuration section when no users exist
+    /// </summary>
+    public static void SeedDefaultAdmin(
+        ApplicationDbContext context,
+        IConfiguration configuration,
+        IPasswordHasher<AppUser> passwordHasher,
+        ILogger logger)
+    {
+        if (context.Users.Any())
+        {
+            return;
+        }
+
+        var username = configuration["DefaultAdmin:Username"];
+        var password = configuration["DefaultAdmin:Password"];
+        if (string.IsNullOrWhiteSpace(username) || string.IsNullOrWhiteSpace(password))
+        {
+            logger.LogWarning("No users exist and DefaultAdmin is not configured; nobody can sign in");
+            return;
+        }
+
+        var admin = new AppUser
+        {
+            Username = username.Trim().ToLowerInvariant(),
+            DisplayName = configuration["DefaultAdmin:DisplayName"] ?? "Administrator",
+            Role = UserRoles.Admin,
+        };
+        admin.PasswordHash = passwordHasher.HashPassword(admin, password);
+
+        context.Users.Add(admin);
+        context.SaveChanges();
+        logger.LogWarning("Created default admin user '{Username}'; change its password after signing in", admin.Username);
+    }
+}
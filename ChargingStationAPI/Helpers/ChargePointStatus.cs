@@ -0,0 +1,98 @@
+using ChargingStationAPI.Models;
+
+namespace ChargingStationAPI.Helpers;
+
+// Turns the connector statuses a charge point reports over OCPP into station and connector group statuses
+public static class ChargePointStatus
+{
+    // Statuses an operator sets on purpose; a charge point's reports never replace them
+    private static readonly string[] OperatorHeldStatuses =
+    {
+        StationStatuses.Maintenance, StationStatuses.Planned, StationStatuses.Decommissioned,
+    };
+
+    public static bool IsOperatorHeld(string? status) => status != null && OperatorHeldStatuses.Contains(status);
+
+    /// <summary>
+    /// Connector group status (see ConnectorStatuses) for an OCPP connector status
+    /// </summary>
+    public static string ToConnectorStatus(string ocppStatus)
+    {
+        return ocppStatus switch
+        {
+            OcppConnectorStatuses.Available => ConnectorStatuses.Available,
+            OcppConnectorStatuses.Unavailable => ConnectorStatuses.Unavailable,
+            OcppConnectorStatuses.Faulted => ConnectorStatuses.Faulted,
+            _ => ConnectorStatuses.Occupied, // Preparing, Charging, Suspended*, Finishing, Reserved
+        };
+    }
+
+    /// <summary>
+    /// Station status implied by the charge point's connectors
+    /// Offline when the charge point itself (connector 0) or every connector is faulted or unavailable,
+    /// Partially Available when only some are, Operational otherwise
+    /// </summary>
+    /// <returns>The implied status, or null before any connector has reported</returns>
+    public static string? DeriveStationStatus(IEnumerable<ChargePointConnector> connectors)
+    {
+        var list = connectors.ToList();
+        var chargePoint = list.FirstOrDefault(c => c.ConnectorId == 0);
+        if (chargePoint != null && !IsUsable(chargePoint.Status))
+        {
+            return StationStatuses.Offline;
+        }
+
+        var outlets = list.Where(c => c.ConnectorId > 0).ToList();
+        if (outlets.Count == 0)
+        {
+            return chargePoint == null ? null : StationStatuses.Operational;
+        }
+
+        var usable = outlets.Count(c => IsUsable(c.Status));
+        if (usable == 0)
+        {
+            return StationStatuses.Offline;
+        }
+        return usable == outlets.Count ? StationStatuses.Operational : StationStatuses.PartiallyAvailable;
+    }
+
+    /// <summary>
+    /// Update the status of each connector group from the live connectors it covers
+    /// OCPP connectors are numbered through the groups in order: a first group with Count 2
+    /// covers connectors 1 and 2, the next group starts at 3. A group is Available when any of
+    /// its connectors is, otherwise it takes the status of its first reported connector.
+    /// </summary>
+    /// <returns>True when a group status changed</returns>
+    public static bool ApplyToConnectorGroups(IList<StationConnector> groups, IEnumerable<ChargePointConnector> connectors)
+    {
+        var byId = connectors.Where(c => c.ConnectorId > 0).ToDictionary(c => c.ConnectorId);
+        var changed = false;
+        var nextId = 1;
+
+        foreach (var group in groups)
+        {
+            var statuses = Enumerable.Range(nextId, Math.Max(group.Count, 0))
+                .Where(byId.ContainsKey)
+                .Select(id => ToConnectorStatus(byId[id].Status))
+                .ToList();
+            nextId += Math.Max(group.Count, 0);
+            if (statuses.Count == 0)
+            {
+                continue;
+            }
+
+            var status = statuses.Contains(ConnectorStatuses.Available) ? ConnectorStatuses.Available : statuses[0];
+            if (group.Status != status)
+            {
+                group.Status = status;
+                changed = true;
+            }
+        }
+
+        return changed;
+    }
+
+    // Faulted and Unavailable connectors cannot be used; every other status can (or already is)
+    private static bool IsUsable(string ocppStatus) =>
+        ocppStatus != OcppConnectorStatuses.Faulted && ocppStatus != OcppConnectorStatuses.Unavailable;
+}
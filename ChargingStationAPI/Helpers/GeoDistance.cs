@@ -0,0 +1,39 @@
+namespace ChargingStationAPI.Helpers;
+
+// Distance helpers for proximity queries
+public static class GeoDistance
+{
+    private const double EarthRadiusKm = 6371;
+    private const double KmPerDegreeLatitude = 111.32;
+
+    /// <summary>
+    /// Great-circle distance between two points using the haversine formula
+    /// </summary>
+    /// <returns>Distance in kilometers</returns>
+    public static double HaversineKm(double lat1, double lng1, double lat2, double lng2)
+    {
+        var dLat = ToRadians(lat2 - lat1);
+        var dLng = ToRadians(lng2 - lng1);
+        var a = Math.Pow(Math.Sin(dLat / 2), 2) +
+                Math.Cos(ToRadians(lat1)) * Math.Cos(ToRadians(lat2)) * Math.Pow(Math.Sin(dLng / 2), 2);
+
+        return 2 * EarthRadiusKm * Math.Atan2(Math.Sqrt(a), Math.Sqrt(1 - a));
+    }
+
+    /// <summary>
+    /// Latitude/longitude deltas of a box that fully contains the given radius
+    /// Used to narrow candidates in SQL before the exact haversine check
+    /// </summary>
+    public static (double LatDelta, double LngDelta) BoundingBox(double lat, double radiusKm)
+    {
+        var latDelta = radiusKm / KmPerDegreeLatitude;
+        var cosLat = Math.Cos(ToRadians(lat));
+
+        // Near the poles every longitude is within reach
+        var lngDelta = cosLat < 0.01 ? 180 : radiusKm / (KmPerDegreeLatitude * cosLat);
+
+        return (latDelta, Math.Min(lngDelta, 180));
+    }
+
+    private static double ToRadians(double degrees) => degrees * Math.PI / 180;
+}
@@ -0,0 +1,96 @@
+using ChargingStationAPI.Models;
+
+namespace ChargingStationAPI.Helpers;
+
+// Expands maintenance windows into their occurrences
+public static class MaintenanceSchedule
+{
+    private const int MaxOccurrencesPerQuery = 1000; // Stops runaway expansion of long ranges
+
+    public sealed record Occurrence(DateTime Start, DateTime End);
+
+    /// <summary>
+    /// Occurrences of a window that overlap [from, to), in time order
+    /// </summary>
+    public static IEnumerable<Occurrence> Between(MaintenanceWindow window, DateTime from, DateTime to)
+    {
+        var duration = window.EndsAt - window.StartsAt;
+        var count = 0;
+
+        for (var index = FirstIndexEndingAfter(window, from, duration); count < MaxOccurrencesPerQuery; index++)
+        {
+            var start = StartOf(window, index);
+            if (start == null || start.Value >= to || (window.RecurUntil.HasValue && start.Value > window.RecurUntil.Value))
+            {
+                yield break;
+            }
+
+            var end = start.Value + duration;
+            if (end > from)
+            {
+                count++;
+                yield return new Occurrence(start.Value, end);
+            }
+        }
+    }
+
+    /// <summary>
+    /// Occurrence running at a point in time
+    /// </summary>
+    /// <returns>The occurrence, or null when the window is not running then</returns>
+    public static Occurrence? At(MaintenanceWindow window, DateTime at)
+    {
+        return Between(window, at, at.AddTicks(1)).FirstOrDefault();
+    }
+
+    /// <summary>
+    /// Time between occurrence starts of a repeating window (months are counted as 28 days)
+    /// </summary>
+    /// <returns>The period, or null for a one-off window</returns>
+    public static TimeSpan? ShortestPeriod(string recurrence)
+    {
+        return recurrence switch
+        {
+            MaintenanceRecurrences.Daily => TimeSpan.FromDays(1),
+            MaintenanceRecurrences.Weekly => TimeSpan.FromDays(7),
+            MaintenanceRecurrences.Monthly => TimeSpan.FromDays(28),
+            _ => null,
+        };
+    }
+
+    /// <summary>
+    /// Start of the index-th occurrence (0 = the window's own start)
+    /// </summary>
+    /// <returns>The start, or null when a one-off window has no such occurrence</returns>
+    private static DateTime? StartOf(MaintenanceWindow window, int index)
+    {
+        return window.Recurrence switch
+        {
+            MaintenanceRecurrences.Daily => window.StartsAt.AddDays(index),
+            MaintenanceRecurrences.Weekly => window.StartsAt.AddDays(7 * index),
+            MaintenanceRecurrences.Monthly => window.StartsAt.AddMonths(index), // AddMonths clamps to the month's last day
+            _ => index == 0 ? window.StartsAt : null,
+        };
+    }
+
+    /// <summary>
+    /// Index to start scanning from: no earlier occurrence can end after from
+    /// </summary>
+    private static int FirstIndexEndingAfter(MaintenanceWindow window, DateTime from, TimeSpan duration)
+    {
+        var elapsed = from - duration - window.StartsAt;
+        if (elapsed <= TimeSpan.Zero)
+        {
+            return 0;
+        }
+
+        var index = window.Recurrence switch
+        {
+            MaintenanceRecurrences.Daily => elapsed.TotalDays,
+            MaintenanceRecurrences.Weekly => elapsed.TotalDays / 7,
+            MaintenanceRecurrences.Monthly => elapsed.TotalDays / 31,
+            _ => 0,
+        };
+        return (int)Math.Min(Math.Floor(index), int.MaxValue - MaxOccurrencesPerQuery);
+    }
+}
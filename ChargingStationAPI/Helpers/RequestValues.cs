@@ -0,0 +1,29 @@
+using System.Security.Claims;
+
+namespace ChargingStationAPI.Helpers;
+
+// Request values every controller reads the same way: the acting user and dates in UTC
+public static class RequestValues
+{
+    /// <summary>
+    /// Name of the user making the request ("Anonymous" when not signed in)
+    /// </summary>
+    public static string UserName(ClaimsPrincipal? user)
+    {
+        var name = user?.Identity?.Name;
+        return string.IsNullOrWhiteSpace(name) ? "Anonymous" : name;
+    }
+
+    /// <summary>
+    /// Treat dates without a zone as UTC
+    /// </summary>
+    public static DateTime AsUtc(DateTime value)
+    {
+        return value.Kind switch
+        {
+            DateTimeKind.Utc => value,
+            DateTimeKind.Local => value.ToUniversalTime(),
+            _ => DateTime.SpecifyKind(value, DateTimeKind.Utc),
+        };
+    }
+}
@@ -0,0 +1,126 @@
+using System.Globalization;
+using ChargingStationAPI.Models;
+
+namespace ChargingStationAPI.Helpers;
+
+// Field-level snapshots and diffs of stations for the audit log
+public static class StationAudit
+{
+    public const int MaxValueLength = 2000; // Longer values are cut so one entry stays small
+
+    /// <summary>
+    /// Audited field values of a station, in display order
+    /// Values are formatted as text so they can be compared and stored as-is
+    /// </summary>
+    public static List<KeyValuePair<string, string?>> Snapshot(ChargingStation station)
+    {
+        return new List<KeyValuePair<string, string?>>
+        {
+            new(nameof(ChargingStation.StationName), station.StationName),
+            new(nameof(ChargingStation.LocationAddress), station.LocationAddress),
+            new(nameof(ChargingStation.PinCode), station.PinCode),
+            new(nameof(ChargingStation.Status), station.Status),
+            new(nameof(ChargingStation.ConnectorType), station.ConnectorType),
+            new(nameof(ChargingStation.Connectors), FormatConnectors(station.Connectors)),
+            new(nameof(ChargingStation.Latitude), FormatNumber(station.Latitude)),
+            new(nameof(ChargingStation.Longitude), FormatNumber(station.Longitude)),
+            new(nameof(ChargingStation.LocationLink), station.LocationLink),
+            new(nameof(ChargingStation.ImageUrl), station.ImageUrl),
+            new(nameof(ChargingStation.Photos), FormatPhotos(station.Photos)),
+            new(nameof(ChargingStation.ChargePointId), station.ChargePointId),
+            new(nameof(ChargingStation.TariffId), station.TariffId?.ToString(CultureInfo.InvariantCulture)),
+        };
+    }
+
+    /// <summary>
+    /// Fields that differ between two snapshots
+    /// Pass null for before (created) or after (deleted) to list every set field
+    /// </summary>
+    public static List<AuditFieldChange> Diff(
+        List<KeyValuePair<string, string?>>? before,
+        List<KeyValuePair<string, string?>>? after)
+    {
+        var oldValues = before?.ToDictionary(f => f.Key, f => f.Value) ?? new Dictionary<string, string?>();
+        var newValues = after?.ToDictionary(f => f.Key, f => f.Value) ?? new Dictionary<string, string?>();
+        var fields = (before ?? after ?? new List<KeyValuePair<string, string?>>()).Select(f => f.Key);
+
+        var changes = new List<AuditFieldChange>();
+        foreach (var field in fields)
+        {
+            var oldValue = EmptyToNull(oldValues.GetValueOrDefault(field));
+            var newValue = EmptyToNull(newValues.GetValueOrDefault(field));
+            if (string.Equals(oldValue, newValue, StringComparison.Ordinal))
+            {
+                continue;
+            }
+
+            changes.Add(new AuditFieldChange
+            {
+                Field = field,
+                OldValue = Describe(field, oldValue),
+                NewValue = Describe(field, newValue),
+            });
+        }
+
+        return changes;
+    }
+
+    /// <summary>
+    /// Connector groups as one line, e.g. "CCS2_DC DC 60 kW x2 (Available)"
+    /// </summary>
+    private static string? FormatConnectors(List<StationConnector> connectors)
+    {
+        if (connectors.Count == 0)
+        {
+            return null;
+        }
+
+        return string.Join("; ", connectors.Select(c =>
+            $"{c.ConnectorType} {c.PowerType} {FormatNumber(c.MaxPowerKw)} kW x{c.Count} ({c.Status})"));
+    }
+
+    /// <summary>
+    /// Photos in gallery order as one line, e.g. "/uploads/stations/ab12.jpg (Entrance)"
+    /// </summary>
+    private static string? FormatPhotos(List<StationPhoto> photos)
+    {
+        if (photos.Count == 0)
+        {
+            return null;
+        }
+
+        return string.Join("; ", photos
+            .OrderBy(p => p.SortOrder)
+            .Select(p => string.IsNullOrEmpty(p.Caption) ? p.ImageUrl : $"{p.ImageUrl} ({p.Caption})"));
+    }
+
+    private static string? FormatNumber(double? value)
+    {
+        return value?.ToString("G", CultureInfo.InvariantCulture);
+    }
+
+    private static string? EmptyToNull(string? value)
+    {
+        return string.IsNullOrWhiteSpace(value) ? null : value;
+    }
+
+    /// <summary>
+    /// Stored form of a value: embedded images are summarised and long text is cut
+    /// </summary>
+    private static string? Describe(string field, string? value)
+    {
+        if (value == null)
+        {
+            return null;
+        }
+
+        if (field == nameof(ChargingStation.ImageUrl) && value.StartsWith("data:", StringComparison.OrdinalIgnoreCase))
+        {
+            // Base64 is 4 characters per 3 bytes
+            var sizeKb = Math.Max(1, value.Length * 3 / 4 / 1024);
+            return $"Embedded image ({sizeKb} KB)";
+        }
+
+        return value.Length > MaxValueLength ? value[..MaxValueLength] + "…" : value;
+    }
+}
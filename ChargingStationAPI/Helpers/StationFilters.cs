@@ -0,0 +1,99 @@
+using Microsoft.EntityFrameworkCore;
+using ChargingStationAPI.Models;
+
+namespace ChargingStationAPI.Helpers;
+
+// Dashboard station filters (search, pin code, connector type, status, proximity) shared by station and usage queries
+public static class StationFilters
+{
+    /// <summary>
+    /// Check the proximity parameters of a query
+    /// </summary>
+    /// <returns>Error message, or null when the parameters are usable</returns>
+    public static string? Validate(StationQueryParameters query)
+    {
+        if (query.Lat.HasValue != query.Lng.HasValue)
+        {
+            return "Lat and Lng must be provided together.";
+        }
+
+        var hasOrigin = query.Lat.HasValue && query.Lng.HasValue;
+        if (hasOrigin && (query.Lat is < -90 or > 90 || query.Lng is < -180 or > 180))
+        {
+            return "Lat must be between -90 and 90 and Lng between -180 and 180.";
+        }
+
+        if (query.RadiusKm.HasValue && (!hasOrigin || query.RadiusKm <= 0))
+        {
+            return "RadiusKm must be positive and requires Lat and Lng.";
+        }
+
+        return null;
+    }
+
+    /// <summary>
+    /// Apply search and field filters from the query to the station set
+    /// </summary>
+    public static IQueryable<ChargingStation> Apply(IQueryable<ChargingStation> stations, StationQueryParameters query)
+    {
+        // Search across multiple fields (case-insensitive contains)
+        if (!string.IsNullOrWhiteSpace(query.Search))
+        {
+            var pattern = $"%{EscapeLikePattern(query.Search.Trim())}%";
+            stations = stations.Where(s =>
+                EF.Functions.ILike(s.StationName, pattern) ||
+                EF.Functions.ILike(s.LocationAddress, pattern) ||
+                (s.PinCode != null && EF.Functions.ILike(s.PinCode, pattern)) ||
+                (s.ConnectorType != null && EF.Functions.ILike(s.ConnectorType.Replace("_", " "), pattern)) ||
+                s.Connectors.Any(c => EF.Functions.ILike(c.ConnectorType.Replace("_", " "), pattern)) ||
+                (s.Status != null && EF.Functions.ILike(s.Status, pattern)));
+        }
+
+        // Pin code - partial match
+        if (!string.IsNullOrWhiteSpace(query.PinCode))
+        {
+            var pattern = $"%{EscapeLikePattern(query.PinCode.Trim())}%";
+            stations = stations.Where(s => s.PinCode != null && EF.Functions.ILike(s.PinCode, pattern));
+        }
+
+        // Connector type - exact match on any connector (or the legacy single connector type)
+        if (!string.IsNullOrWhiteSpace(query.ConnectorType))
+        {
+            stations = stations.Where(s =>
+                s.ConnectorType == query.ConnectorType ||
+                s.Connectors.Any(c => c.ConnectorType == query.ConnectorType));
+        }
+
+        // Status - exact match (case-insensitive)
+        if (!string.IsNullOrWhiteSpace(query.Status))
+        {
+            var status = query.Status.Trim().ToLower();
+            stations = stations.Where(s => s.Status != null && s.Status.ToLower() == status);
+        }
+
+        // Proximity - narrow to a bounding box around the origin; exact distance is checked in memory
+        if (query.RadiusKm.HasValue && query.Lat.HasValue && query.Lng.HasValue)
+        {
+            var (latDelta, lngDelta) = GeoDistance.BoundingBox(query.Lat.Value, query.RadiusKm.Value);
+            var minLat = query.Lat.Value - latDelta;
+            var maxLat = query.Lat.Value + latDelta;
+            var minLng = query.Lng.Value - lngDelta;
+            var maxLng = query.Lng.Value + lngDelta;
+
+            stations = stations.Where(s =>
+                s.Latitude != null && s.Longitude != null &&
+                s.Latitude >= minLat && s.Latitude <= maxLat &&
+                (lngDelta >= 180 || (s.Longitude >= minLng && s.Longitude <= maxLng)));
+        }
+
+        return stations;
+    }
+
+    /// <summary>
+    /// Escape LIKE wildcards so user input is matched literally
+    /// </summary>
+    public static string EscapeLikePattern(string value)
+    {
+        return value.Replace("\\", "\\\\").Replace("%", "\\%").Replace("_", "\\_");
+    }
+}
@@ -0,0 +1,44 @@
+using ChargingStationAPI.Data;
+using ChargingStationAPI.Models;
+
+namespace ChargingStationAPI.Helpers;
+
+// Status changes the API makes on its own (charger reports, work orders, maintenance windows)
+public static class StationStatusUpdate
+{
+    /// <summary>
+    /// Change a station's status, adding the history entry and audit entry a station edit would
+    /// The caller saves the changes and publishes the StatusChanged event
+    /// </summary>
+    /// <returns>The status before the change</returns>
+    public static string? Apply(ApplicationDbContext context, ChargingStation station, string status, string actor, string? note)
+    {
+        var previousStatus = station.Status;
+
+        context.StationStatusChanges.Add(new StationStatusChange
+        {
+            ChargingStationId = station.Id,
+            FromStatus = previousStatus,
+            ToStatus = status,
+            ChangedBy = actor,
+            ChangedAt = DateTime.UtcNow,
+            Note = note == null || note.Length <= 1000 ? note : note[..1000],
+        });
+        context.AuditEntries.Add(new AuditEntry
+        {
+            ChargingStationId = station.Id,
+            StationName = station.StationName,
+            Action = AuditActions.Updated,
+            Actor = actor,
+            Timestamp = DateTime.UtcNow,
+            Changes = new List<AuditFieldChange>
+            {
+                new() { Field = nameof(ChargingStation.Status), OldValue = previousStatus, NewValue = status },
+            },
+        });
+
+        station.Status = status;
+        station.Version++; // Edits opened before this change now need a merge
+        return previousStatus;
+    }
+}
@@ -0,0 +1,87 @@
+using ChargingStationAPI.Models;
+
+namespace ChargingStationAPI.Helpers;
+
+// Rebuilds a station's status over time from its status change history
+public static class StatusTimeline
+{
+    // A station held Status from Start until the next segment starts
+    public sealed record Segment(DateTime Start, string? Status);
+
+    /// <summary>
+    /// Status segments of a station in time order
+    /// Stations created before history was recorded start with the first change's FromStatus,
+    /// or their current status when they have no history at all
+    /// </summary>
+    public static List<Segment> Build(DateTime createdAt, string? currentStatus, IEnumerable<StationStatusChange> changes)
+    {
+        var ordered = changes.OrderBy(c => c.ChangedAt).ThenBy(c => c.Id).ToList();
+        var segments = new List<Segment>();
+
+        if (ordered.Count == 0)
+        {
+            segments.Add(new Segment(createdAt, currentStatus));
+            return segments;
+        }
+
+        if (ordered[0].FromStatus != null && createdAt < ordered[0].ChangedAt)
+        {
+            segments.Add(new Segment(createdAt, ordered[0].FromStatus));
+        }
+
+        segments.AddRange(ordered.Select(c => new Segment(c.ChangedAt, c.ToStatus)));
+        return segments;
+    }
+
+    /// <summary>
+    /// Status at a point in time
+    /// </summary>
+    /// <returns>Exists is false when the station did not exist yet</returns>
+    public static (bool Exists, string? Status) StatusAt(IReadOnlyList<Segment> segments, DateTime at)
+    {
+        var current = segments.LastOrDefault(s => s.Start <= at);
+        return current == null ? (false, null) : (true, current.Status);
+    }
+
+    /// <summary>
+    /// Available and unavailable in-service time within [from, to)
+    /// Time in Planned or Decommissioned counts as neither
+    /// </summary>
+    public static (TimeSpan Up, TimeSpan Down) Uptime(IReadOnlyList<Segment> segments, DateTime from, DateTime to)
+    {
+        var up = TimeSpan.Zero;
+        var down = TimeSpan.Zero;
+
+        for (var i = 0; i < segments.Count; i++)
+        {
+            var start = segments[i].Start > from ? segments[i].Start : from;
+            var end = i + 1 < segments.Count && segments[i + 1].Start < to ? segments[i + 1].Start : to;
+            if (end <= start)
+            {
+                continue;
+            }
+
+            var status = segments[i].Status;
+            if (StationStatuses.IsAvailable(status))
+            {
+                up += end - start;
+            }
+            else if (StationStatuses.IsInService(status))
+            {
+                down += end - start;
+            }
+        }
+
+        return (up, down);
+    }
+
+    /// <summary>
+    /// Available share of in-service time, as a percentage rounded to 2 decimals
+    /// </summary>
+    /// <returns>Percentage, or null when there was no in-service time</returns>
+    public static double? AvailabilityPercent(TimeSpan up, TimeSpan down)
+    {
+        var inService = up + down;
+        return inService > TimeSpan.Zero ? Math.Round(up / inService * 100, 2) : null;
+    }
+}
@@ -0,0 +1,89 @@
+using Microsoft.AspNetCore.Mvc.ModelBinding.Validation;
+
+namespace ChargingStationAPI.Models;
+
+// A condition on station status that notifies users when it is met
+// AlertMonitor checks the enabled rules and sends in-app notifications and email
+public class AlertRule
+{
+    public const int MaxNameLength = 100;
+    public const int MaxPinCodePrefixLength = 20;
+    public const int MaxEmailRecipients = 20;
+    public const int MaxEmailLength = 254;
+
+    public int Id { get; set; } // Primary key
+    public string Name { get; set; } = string.Empty; // Required: Shown in notifications and email subjects
+    public string Type { get; set; } = AlertRuleTypes.StatusEntered; // Required: See AlertRuleTypes
+    public List<string> Statuses { get; set; } = new(); // StatusEntered and DownTooLong: Station statuses the rule watches
+    public double? ThresholdHours { get; set; } // DownTooLong: Hours a station may stay in a watched status
+    public double? ThresholdPercent { get; set; } // AvailabilityBelow: Lowest acceptable share (0-100) of available stations
+    public string? PinCodePrefix { get; set; } // Optional: Only stations whose pin code starts with this (null = all stations)
+    public List<string> EmailRecipients { get; set; } = new(); // Optional: Addresses emailed when the rule fires
+    public bool NotifyInApp { get; set; } = true; // Add a notification for every active user when the rule fires
+    public bool Enabled { get; set; } = true; // Disabled rules are not checked
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow; // Set by the API: when the rule was created (UTC)
+
+    [ValidateNever]
+    public string CreatedBy { get; set; } = string.Empty; // Set by the API: who created the rule
+
+    public DateTime UpdatedAt { get; set; } = DateTime.UtcNow; // Set by the API: last saved change (UTC)
+}
+
+// Conditions an alert rule can watch for
+public static class AlertRuleTypes
+{
+    public const string StatusEntered = "StatusEntered"; // A station changes to one of the statuses
+    public const string DownTooLong = "DownTooLong"; // A station stays in one of the statuses longer than ThresholdHours
+    public const string AvailabilityBelow = "AvailabilityBelow"; // Available share of in-service stations drops below ThresholdPercent
+
+    public static readonly string[] All = { StatusEntered, DownTooLong, AvailabilityBelow };
+
+    /// <summary>
+    /// Canonical spelling of a rule type, matched case-insensitively
+    /// </summary>
+    /// <returns>Known type, or null when it is not recognised</returns>
+    public static string? Normalize(string? type)
+    {
+        return All.FirstOrDefault(t => t.Equals(type?.Trim(), StringComparison.OrdinalIgnoreCase));
+    }
+}
+
+// A lasting condition a rule has already alerted on; removed once the condition clears so it can alert again
+public class AlertIncident
+{
+    public int Id { get; set; } // Primary key
+    public int AlertRuleId { get; set; } // Foreign key to the rule
+    public int? ChargingStationId { get; set; } // Station the incident is about (null for AvailabilityBelow)
+    public DateTime StartedAt { get; set; } = DateTime.UtcNow; // When the rule fired (UTC)
+}
+
+// An in-app notification for one user
+public class Notification
+{
+    public const int MaxTitleLength = 200;
+    public const int MaxMessageLength = 1000;
+
+    public int Id { get; set; } // Primary key
+    public int UserId { get; set; } // Foreign key to the user it is for
+    public int? AlertRuleId { get; set; } // Rule that sent it (null once the rule is deleted)
+    public int? ChargingStationId { get; set; } // Station it is about, if any (null once the station is purged)
+    public string Title { get; set; } = string.Empty; // Short summary
+    public string Message { get; set; } = string.Empty; // Details
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow; // When it was sent (UTC)
+    public DateTime? ReadAt { get; set; } // When the user read it (null = unread)
+}
+
+// Newest notifications of the current user, as returned by getNotifications
+public class NotificationPage
+{
+    public List<Notification> Items { get; set; } = new(); // Newest first
+    public int UnreadCount { get; set; } // All unread notifications of the user, not only those in Items
+}
+
+// Outcome of testAlertRuleById
+public class AlertTestResult
+{
+    public bool NotifiedInApp { get; set; } // A test notification was added for every active user
+    public List<string> EmailedTo { get; set; } = new(); // Addresses the test email was sent to
+    public List<string> EmailErrors { get; set; } = new(); // Why email could not be sent (empty on success)
+}
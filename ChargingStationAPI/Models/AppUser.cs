@@ -0,0 +1,13 @@
+namespace ChargingStationAPI.Models;
+
+// Model representing a local user account
+public class AppUser
+{
+    public int Id { get; set; } // Primary key
+    public string Username { get; set; } = string.Empty; // Required: Unique login name, stored lower-case
+    public string? DisplayName { get; set; } // Optional: Name shown in the UI and history
+    public string PasswordHash { get; set; } = string.Empty; // Required: Hashed password (never returned by the API)
+    public string Role { get; set; } = UserRoles.Viewer; // Required: See UserRoles
+    public bool IsActive { get; set; } = true; // Inactive users cannot sign in or refresh tokens
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow; // Timestamp when record was created
+}
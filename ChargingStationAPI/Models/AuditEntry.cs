@@ -0,0 +1,44 @@
+namespace ChargingStationAPI.Models;
+
+// Append-only record of a station create, update, delete, restore or purge
+public class AuditEntry
+{
+    public int Id { get; set; } // Primary key
+    public int ChargingStationId { get; set; } // Station the change applies to (kept after the station is deleted)
+    public string StationName { get; set; } = string.Empty; // Station name at the time of the change
+    public string Action { get; set; } = string.Empty; // What happened (see AuditActions)
+    public string Actor { get; set; } = string.Empty; // Who made the change
+    public DateTime Timestamp { get; set; } = DateTime.UtcNow; // When the change was made
+    public List<AuditFieldChange> Changes { get; set; } = new(); // Field-level before/after values
+}
+
+// One changed field of an audit entry
+public class AuditFieldChange
+{
+    public int Id { get; set; } // Primary key
+    public int AuditEntryId { get; set; } // Foreign key to the owning audit entry
+    public string Field { get; set; } = string.Empty; // Station field name (e.g., Status)
+    public string? OldValue { get; set; } // Value before the change (null when created or unset)
+    public string? NewValue { get; set; } // Value after the change (null when deleted or cleared)
+}
+
+// Known audit actions
+public static class AuditActions
+{
+    public const string Created = "Created";
+    public const string Updated = "Updated";
+    public const string Deleted = "Deleted"; // Moved to the recycle bin
+    public const string Restored = "Restored"; // Brought back from the recycle bin
+    public const string Purged = "Purged"; // Permanently removed from the recycle bin
+
+    public static readonly string[] All = { Created, Updated, Deleted, Restored, Purged };
+
+    /// <summary>
+    /// Canonical spelling of an action, matched case-insensitively
+    /// </summary>
+    /// <returns>The known action, or null when it is not recognised</returns>
+    public static string? Normalize(string? action)
+    {
+        return All.FirstOrDefault(a => a.Equals(action?.Trim(), StringComparison.OrdinalIgnoreCase));
+    }
+}
@@ -0,0 +1,25 @@
+namespace ChargingStationAPI.Models;
+
+// Query string parameters for paged audit log queries
+public class AuditQueryParameters
+{
+    public const int MaxPageSize = 200; // Upper bound for one page of audit entries
+
+    public int Page { get; set; } = 1; // 1-based page number
+    public int PageSize { get; set; } = 20; // Entries per page (1 to MaxPageSize)
+    public int? StationId { get; set; } // Optional: Only entries for this station
+    public string? Action { get; set; } // Optional: Created, Updated or Deleted
+    public string? Actor { get; set; } // Optional: Actor name substring
+    public DateTime? From { get; set; } // Optional: Entries at or after this time
+    public DateTime? To { get; set; } // Optional: Entries before this time
+}
+
+// One page of audit entries, newest first
+public class AuditPage
+{
+    public IEnumerable<AuditEntry> Items { get; set; } = Array.Empty<AuditEntry>(); // Entries on this page
+    public int Page { get; set; } // Current 1-based page number
+    public int PageSize { get; set; } // Entries per page
+    public int TotalCount { get; set; } // Entries matching the filters
+    public int TotalPages { get; set; } // Pages available for the filters
+}
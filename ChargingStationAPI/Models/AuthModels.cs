@@ -0,0 +1,63 @@
+namespace ChargingStationAPI.Models;
+
+// Credentials for POST api/auth/login
+public class LoginRequest
+{
+    public string Username { get; set; } = string.Empty;
+    public string Password { get; set; } = string.Empty;
+}
+
+// Refresh token for POST api/auth/refresh and api/auth/logout
+public class RefreshRequest
+{
+    public string RefreshToken { get; set; } = string.Empty;
+}
+
+// Tokens and user returned after login or refresh
+public class AuthResponse
+{
+    public string AccessToken { get; set; } = string.Empty; // JWT sent as "Authorization: Bearer ..."
+    public DateTime AccessTokenExpiresAt { get; set; } // When the access token expires (UTC)
+    public string RefreshToken { get; set; } = string.Empty; // Single-use token for api/auth/refresh
+    public DateTime RefreshTokenExpiresAt { get; set; } // When the refresh token expires (UTC)
+    public UserInfo User { get; set; } = new(); // Signed-in user
+}
+
+// User details safe to return from the API
+public class UserInfo
+{
+    public int Id { get; set; }
+    public string Username { get; set; } = string.Empty;
+    public string? DisplayName { get; set; }
+    public string Role { get; set; } = UserRoles.Viewer;
+    public bool IsActive { get; set; }
+    public DateTime CreatedAt { get; set; }
+
+    public static UserInfo From(AppUser user) => new()
+    {
+        Id = user.Id,
+        Username = user.Username,
+        DisplayName = user.DisplayName,
+        Role = user.Role,
+        IsActive = user.IsActive,
+        CreatedAt = user.CreatedAt,
+    };
+}
+
+// New account for POST api/auth/users
+public class CreateUserRequest
+{
+    public string Username { get; set; } = string.Empty;
+    public string? DisplayName { get; set; }
+    public string Password { get; set; } = string.Empty;
+    public string Role { get; set; } = UserRoles.Viewer;
+}
+
+// Account changes for PUT api/auth/users/{id}; null fields are left unchanged
+public class UpdateUserRequest
+{
+    public string? DisplayName { get; set; }
+    public string? Password { get; set; }
+    public string? Role { get; set; }
+    public bool? IsActive { get; set; }
+}
@@ -0,0 +1,38 @@
+namespace ChargingStationAPI.Models;
+
+// Live state of one OCPP connector, as last reported by the station's charge point
+public class ChargePointConnector
+{
+    public int Id { get; set; } // Primary key
+    public int ChargingStationId { get; set; } // Foreign key to the station the charge point is linked to
+    public int ConnectorId { get; set; } // OCPP connector number (1, 2, ...; 0 = the charge point as a whole)
+    public string Status { get; set; } = OcppConnectorStatuses.Available; // Last reported status (see OcppConnectorStatuses)
+    public string ErrorCode { get; set; } = "NoError"; // Last reported OCPP error code
+    public string? Info { get; set; } // Optional: Free-text detail sent with the status
+    public DateTime UpdatedAt { get; set; } = DateTime.UtcNow; // When the charge point last reported on this connector
+    public int? TransactionId { get; set; } // Charging transaction in progress (null when idle)
+    public string? IdTag { get; set; } // RFID/app token that started the transaction
+    public DateTime? TransactionStartedAt { get; set; } // When the transaction started (UTC)
+    public double? MeterStartWh { get; set; } // Energy meter reading when the transaction started
+    public double? MeterWh { get; set; } // Latest energy meter reading
+    public double? PowerKw { get; set; } // Latest charging power (null when not charging)
+}
+
+// Connector statuses defined by OCPP 1.6 (StatusNotification)
+public static class OcppConnectorStatuses
+{
+    public const string Available = "Available";
+    public const string Preparing = "Preparing";
+    public const string Charging = "Charging";
+    public const string SuspendedEV = "SuspendedEV";
+    public const string SuspendedEVSE = "SuspendedEVSE";
+    public const string Finishing = "Finishing";
+    public const string Reserved = "Reserved";
+    public const string Unavailable = "Unavailable";
+    public const string Faulted = "Faulted";
+
+    public static readonly string[] All =
+    {
+        Available, Preparing, Charging, SuspendedEV, SuspendedEVSE, Finishing, Reserved, Unavailable, Faulted,
+    };
+}
@@ -0,0 +1,29 @@
+using System.ComponentModel.DataAnnotations.Schema;
+using System.Text.Json.Serialization;
+using Microsoft.AspNetCore.Mvc.ModelBinding.Validation;
+
+namespace ChargingStationAPI.Models;
+
+// One charging session at a station, reported by its OCPP charger or recorded by an operator
+public class ChargingSession
+{
+    public const double MaxEnergyKwh = 10000; // Upper bound for one session's energy
+
+    public int Id { get; set; } // Primary key
+    public int ChargingStationId { get; set; } // Foreign key to the station
+    public int ConnectorId { get; set; } // Connector number (1, 2, ...) the vehicle was plugged into
+    public DateTime StartedAt { get; set; } // When charging started (UTC)
+    public DateTime? StoppedAt { get; set; } // When charging stopped (UTC); null while the session is running
+    public double? EnergyKwh { get; set; } // Energy delivered so far (kWh)
+    public string? IdTag { get; set; } // Optional: RFID/app token that started the session
+    public int? OcppTransactionId { get; set; } // Set by the API: OCPP transaction of a charger-reported session
+    public double? MeterStartWh { get; set; } // Set by the API: charger meter reading when the session started
+    public string? StopReason { get; set; } // Optional: Why the session stopped (OCPP reason, e.g. EVDisconnected)
+
+    [ValidateNever]
+    public string RecordedBy { get; set; } = string.Empty; // Set by the API: user or ocpp:{chargePointId}
+
+    [NotMapped]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? StationName { get; set; } // Output only: Name of the station, filled in by session queries
+}
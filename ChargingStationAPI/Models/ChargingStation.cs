@@ -1,3 +1,6 @@
+using System.ComponentModel.DataAnnotations.Schema;
+using System.Text.Json.Serialization;
+
 namespace ChargingStationAPI.Models;
 
 // Model representing a charging station entity
@@ -7,9 +10,28 @@ public class ChargingStation
     public string StationName { get; set; } = string.Empty; // Required: Name of the charging station
     public string LocationAddress { get; set; } = string.Empty; // Required: Full address of the station
     public string? PinCode { get; set; } // Optional: Postal/ZIP code
-    public string? ConnectorType { get; set; } // Optional: Type of connector (e.g., CCS, Type 2)
-    public string? Status { get; set; } // Optional: Current status (e.g., Operational, Maintenance)
-    public string? ImageUrl { get; set; } // Optional: URL or base64 string for station image
+    public string? ConnectorType { get; set; } // Optional: Primary connector type, kept in sync with the first connector
+    public string? Status { get; set; } // Optional: Current status (see StationStatuses)
+    public string? ImageUrl { get; set; } // Optional: Cover image URL, kept in sync with the first photo
+    public string? ThumbnailUrl { get; set; } // Set by the API: small version of an uploaded ImageUrl
     public string? LocationLink { get; set; } // Optional: Link to map location (e.g., Google Maps)
+    public double? Latitude { get; set; } // Optional: Latitude in degrees (-90 to 90)
+    public double? Longitude { get; set; } // Optional: Longitude in degrees (-180 to 180)
     public DateTime CreatedAt { get; set; } = DateTime.UtcNow; // Timestamp when record was created
+    public List<StationConnector> Connectors { get; set; } = new(); // Connector groups with power rating and availability
+    public List<StationPhoto> Photos { get; set; } = new(); // Photo gallery in display order (first = cover)
+    public DateTime? DeletedAt { get; set; } // Set when the station is moved to the recycle bin (null = live)
+    public string? DeletedBy { get; set; } // Who moved the station to the recycle bin
+    public int Version { get; set; } = 1; // Set by the API: incremented on every saved edit; sent as the ETag
+    public string? ChargePointId { get; set; } // Optional: OCPP identity of the charger, which connects to /ocpp/{ChargePointId}
+    public bool ChargePointConnected { get; set; } // Set by the API: the charger has an open OCPP connection
+    public DateTime? ChargePointLastSeenAt { get; set; } // Set by the API: last OCPP message from the charger (UTC)
+    public string? ChargePointVendor { get; set; } // Set by the API: from the charger's BootNotification
+    public string? ChargePointModel { get; set; } // Set by the API: from the charger's BootNotification
+    public List<ChargePointConnector> ChargePointConnectors { get; set; } = new(); // Set by the API: live connector state reported over OCPP
+    public int? TariffId { get; set; } // Optional: Tariff for every connector (null = priced by connector type)
+
+    [NotMapped]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? StatusNote { get; set; } // Input only: Reason recorded in status history when Status changes
 }
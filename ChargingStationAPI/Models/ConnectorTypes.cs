@@ -0,0 +1,26 @@
+namespace ChargingStationAPI.Models;
+
+// Known connector types, power types and connector statuses
+public static class ConnectorTypes
+{
+    public const string Type2Ac = "TYPE_2_AC";
+    public const string Ccs2Dc = "CCS2_DC";
+    public const string BharatAc001 = "BHARAT_AC_001";
+    public const string BharatDc001 = "BHARAT_DC_001";
+
+    public static readonly string[] All = { Type2Ac, Ccs2Dc, BharatAc001, BharatDc001 };
+
+    public static readonly string[] PowerTypes = { "AC", "DC" };
+
+    public static bool IsKnown(string? connectorType) => connectorType != null && All.Contains(connectorType);
+}
+
+public static class ConnectorStatuses
+{
+    public const string Available = "Available";
+    public const string Occupied = "Occupied";
+    public const string Unavailable = "Unavailable";
+    public const string Faulted = "Faulted";
+
+    public static readonly string[] All = { Available, Occupied, Unavailable, Faulted };
+}
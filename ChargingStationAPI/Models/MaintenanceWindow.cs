@@ -0,0 +1,68 @@
+using Microsoft.AspNetCore.Mvc.ModelBinding.Validation;
+
+namespace ChargingStationAPI.Models;
+
+// Planned downtime for one or more stations, once or repeating
+// MaintenanceScheduler puts the stations into Maintenance while an occurrence runs and restores them after
+public class MaintenanceWindow
+{
+    public const int MaxReasonLength = 500;
+    public const int MaxStations = 500; // Most stations one window may cover
+    public static readonly TimeSpan MaxDuration = TimeSpan.FromDays(7); // Longest single occurrence
+
+    public int Id { get; set; } // Primary key
+    public string Reason { get; set; } = string.Empty; // Required: Why the stations are down (shown on cards and in status history)
+    public DateTime StartsAt { get; set; } // Required: Start of the first occurrence (UTC)
+    public DateTime EndsAt { get; set; } // Required: End of the first occurrence (UTC)
+    public string Recurrence { get; set; } = MaintenanceRecurrences.None; // See MaintenanceRecurrences; repeats keep the same UTC time
+    public DateTime? RecurUntil { get; set; } // Optional: No occurrence of a repeating window starts after this time (UTC)
+    public List<int> StationIds { get; set; } = new(); // Required: Stations taken down by the window
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow; // Set by the API: when the window was scheduled (UTC)
+
+    [ValidateNever]
+    public string CreatedBy { get; set; } = string.Empty; // Set by the API: who scheduled the window
+
+    public DateTime UpdatedAt { get; set; } = DateTime.UtcNow; // Set by the API: last saved change (UTC)
+}
+
+// How often a maintenance window repeats
+public static class MaintenanceRecurrences
+{
+    public const string None = "None";
+    public const string Daily = "Daily";
+    public const string Weekly = "Weekly";
+    public const string Monthly = "Monthly"; // Same day of the month (the last day in shorter months)
+
+    public static readonly string[] All = { None, Daily, Weekly, Monthly };
+
+    /// <summary>
+    /// Canonical spelling of a recurrence, matched case-insensitively
+    /// </summary>
+    /// <returns>Known recurrence, or null when it is not recognised</returns>
+    public static string? Normalize(string? recurrence)
+    {
+        return All.FirstOrDefault(r => r.Equals(recurrence?.Trim(), StringComparison.OrdinalIgnoreCase));
+    }
+}
+
+// A station held in Maintenance by the scheduler, and the status to give back when the occurrence ends
+public class MaintenanceHold
+{
+    public int Id { get; set; } // Primary key
+    public int ChargingStationId { get; set; } // Foreign key to the station (one hold per station)
+    public int? MaintenanceWindowId { get; set; } // Window that started the hold (null once the window is deleted)
+    public DateTime OccurrenceStart { get; set; } // Start of the occurrence being held (UTC)
+    public DateTime OccurrenceEnd { get; set; } // When the hold ends (UTC)
+    public string? RestoreStatus { get; set; } // Status before the hold; null when the station was already in Maintenance
+}
+
+// One occurrence of a maintenance window, as listed by getMaintenanceOccurrences
+public class MaintenanceOccurrence
+{
+    public int WindowId { get; set; } // Window the occurrence belongs to
+    public string Reason { get; set; } = string.Empty; // Reason of the window
+    public string Recurrence { get; set; } = MaintenanceRecurrences.None; // Recurrence of the window
+    public DateTime StartsAt { get; set; } // Start of this occurrence (UTC)
+    public DateTime EndsAt { get; set; } // End of this occurrence (UTC)
+    public List<int> StationIds { get; set; } = new(); // Stations of the window (stations in the recycle bin left out)
+}
@@ -0,0 +1,114 @@
+using System.Text.Json;
+
+namespace ChargingStationAPI.Models;
+
+// Payloads of the OCPP 1.6J requests the central system handles (charge point to central system)
+
+public class BootNotificationRequest
+{
+    public string ChargePointVendor { get; set; } = string.Empty; // Required: Manufacturer
+    public string ChargePointModel { get; set; } = string.Empty; // Required: Model name
+    public string? ChargePointSerialNumber { get; set; } // Optional
+    public string? FirmwareVersion { get; set; } // Optional
+}
+
+public class StatusNotificationRequest
+{
+    public int ConnectorId { get; set; } // Connector number (0 = whole charge point)
+    public string ErrorCode { get; set; } = string.Empty; // Required: OCPP error code ("NoError" when fine)
+    public string Status { get; set; } = string.Empty; // Required: See OcppConnectorStatuses
+    public string? Info { get; set; } // Optional: Free-text detail
+    public DateTime? Timestamp { get; set; } // Optional: When the status was reached
+    public string? VendorErrorCode { get; set; } // Optional: Vendor-specific error code
+}
+
+public class AuthorizeRequest
+{
+    public string IdTag { get; set; } = string.Empty; // Required: Token to authorize
+}
+
+public class StartTransactionRequest
+{
+    public int ConnectorId { get; set; } // Connector the transaction runs on (1 or higher)
+    public string IdTag { get; set; } = string.Empty; // Required: Token that started it
+    public int MeterStart { get; set; } // Energy meter reading in Wh
+    public DateTime Timestamp { get; set; } // When the transaction started
+    public int? ReservationId { get; set; } // Optional: Reservation the transaction fulfils
+}
+
+public class StopTransactionRequest
+{
+    public int TransactionId { get; set; } // Transaction id returned by StartTransaction
+    public int MeterStop { get; set; } // Energy meter reading in Wh
+    public DateTime Timestamp { get; set; } // When the transaction stopped
+    public string? IdTag { get; set; } // Optional: Token that stopped it
+    public string? Reason { get; set; } // Optional: Why it stopped (e.g. Local, EVDisconnected)
+    public List<MeterValue>? TransactionData { get; set; } // Optional: Meter values taken during the transaction
+}
+
+public class MeterValuesRequest
+{
+    public int ConnectorId { get; set; } // Connector the values were measured on
+    public int? TransactionId { get; set; } // Optional: Transaction the values belong to
+    public List<MeterValue> MeterValue { get; set; } = new(); // Required: One or more timestamped samples
+}
+
+public class MeterValue
+{
+    public DateTime Timestamp { get; set; } // When the values were sampled
+    public List<SampledValue> SampledValue { get; set; } = new(); // Required: Measured values
+}
+
+public class SampledValue
+{
+    public string Value { get; set; } = string.Empty; // Required: Measured value as text
+    public string? Measurand { get; set; } // Optional: Defaults to Energy.Active.Import.Register
+    public string? Unit { get; set; } // Optional: Defaults to Wh
+    public string? Phase { get; set; } // Optional: Phase the value applies to (null = total)
+    public string? Context { get; set; } // Optional: e.g. Sample.Periodic, Transaction.Begin
+}
+
+// OCPP-J message type ids (first element of every message array)
+public static class OcppMessageTypes
+{
+    public const int Call = 2;
+    public const int CallResult = 3;
+    public const int CallError = 4;
+}
+
+// OCPP-J CALLERROR codes the central system sends
+public static class OcppErrorCodes
+{
+    public const string NotImplemented = "NotImplemented";
+    public const string FormationViolation = "FormationViolation";
+    public const string PropertyConstraintViolation = "PropertyConstraintViolation";
+    public const string GenericError = "GenericError";
+    public const string InternalError = "InternalError";
+}
+
+// idTagInfo statuses the central system answers for a driver's RFID tag
+public static class OcppAuthorizationStatuses
+{
+    public const string Accepted = "Accepted";
+    public const string Invalid = "Invalid";
+}
+
+// Request that cannot be handled; sent back to the charge point as a CALLERROR
+public class OcppCallException : Exception
+{
+    public OcppCallException(string errorCode, string message)
+        : base(message)
+    {
+        ErrorCode = errorCode;
+    }
+
+    public string ErrorCode { get; } // See OcppErrorCodes
+
+    public static OcppCallException Invalid(string message) => new(OcppErrorCodes.PropertyConstraintViolation, message);
+}
+
+// Serializer options for OCPP payloads (camelCase names, as in the OCPP 1.6J schemas)
+public static class OcppJson
+{
+    public static readonly JsonSerializerOptions Options = new(JsonSerializerDefaults.Web);
+}
@@ -0,0 +1,12 @@
+namespace ChargingStationAPI.Models;
+
+// Model representing an issued refresh token (only its hash is stored)
+public class RefreshToken
+{
+    public int Id { get; set; } // Primary key
+    public int UserId { get; set; } // Foreign key to the owning user
+    public string TokenHash { get; set; } = string.Empty; // SHA-256 hash of the token
+    public DateTime ExpiresAt { get; set; } // Token cannot be used after this time
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow; // Timestamp when the token was issued
+    public DateTime? RevokedAt { get; set; } // Set when the token is used, rotated or signed out
+}
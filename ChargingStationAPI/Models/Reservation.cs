@@ -0,0 +1,62 @@
+using Microsoft.AspNetCore.Mvc.ModelBinding.Validation;
+
+namespace ChargingStationAPI.Models;
+
+// A connector held for a driver over a time slot
+// Connectors are numbered 1..N through the station's connector groups in order (as for charging sessions)
+public class Reservation
+{
+    public const int MaxDriverNameLength = 100;
+    public const int MaxDriverPhoneLength = 30;
+    public const int MaxDriverEmailLength = 254;
+    public const int MaxNoteLength = 500;
+    public static readonly TimeSpan MinDuration = TimeSpan.FromMinutes(15); // Shortest slot that may be booked
+    public static readonly TimeSpan MaxDuration = TimeSpan.FromHours(12); // Longest slot that may be booked
+    public static readonly TimeSpan MaxLeadTime = TimeSpan.FromDays(90); // How far ahead a slot may start
+
+    public int Id { get; set; } // Primary key
+    public int ChargingStationId { get; set; } // Foreign key to the station
+    public int ConnectorId { get; set; } // Required: Connector number at the station (1-based)
+    public DateTime StartsAt { get; set; } // Required: Start of the slot (UTC)
+    public DateTime EndsAt { get; set; } // Required: End of the slot (UTC)
+    public string DriverName { get; set; } = string.Empty; // Required: Who the connector is held for
+    public string? DriverPhone { get; set; } // Optional: Phone number to reach the driver (phone or email required)
+    public string? DriverEmail { get; set; } // Optional: Email address to reach the driver
+    public string? Note { get; set; } // Optional: Vehicle, arrival details and the like
+    public string Status { get; set; } = ReservationStatuses.Booked; // Set by the API: see ReservationStatuses
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow; // Set by the API: when the slot was booked (UTC)
+
+    [ValidateNever]
+    public string CreatedBy { get; set; } = string.Empty; // Set by the API: who booked the slot
+
+    public DateTime UpdatedAt { get; set; } = DateTime.UtcNow; // Set by the API: last saved change (UTC)
+    public DateTime? CancelledAt { get; set; } // Set by the API: when the booking was cancelled (null while booked)
+    public string? CancelledBy { get; set; } // Set by the API: who cancelled the booking
+}
+
+// Whether a reservation still holds its connector
+public static class ReservationStatuses
+{
+    public const string Booked = "Booked";
+    public const string Cancelled = "Cancelled";
+
+    public static readonly string[] All = { Booked, Cancelled };
+}
+
+// A booked slot without the driver's details, as shown on availability timelines and station cards
+public class ReservationSlot
+{
+    public int Id { get; set; } // Reservation id
+    public int ChargingStationId { get; set; } // Station of the reservation
+    public int ConnectorId { get; set; } // Connector number at the station
+    public DateTime StartsAt { get; set; } // Start of the slot (UTC)
+    public DateTime EndsAt { get; set; } // End of the slot (UTC)
+}
+
+// 409 response body for a booking that overlaps another booking or planned maintenance
+public class ReservationConflict
+{
+    public string Message { get; set; } = string.Empty; // Explanation shown to the user
+    public List<ReservationSlot> Reservations { get; set; } = new(); // Bookings of the same connector that overlap the slot
+    public List<MaintenanceOccurrence> Maintenance { get; set; } = new(); // Maintenance occurrences at the station that overlap the slot
+}
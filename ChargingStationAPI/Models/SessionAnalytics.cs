@@ -0,0 +1,34 @@
+namespace ChargingStationAPI.Models;
+
+// Charging session usage over a date range, for the stations matching the dashboard filters
+public class SessionAnalytics
+{
+    public DateTime From { get; set; } // Start of the requested range (UTC)
+    public DateTime To { get; set; } // End of the requested range (UTC)
+    public int UtcOffsetMinutes { get; set; } // Offset of the viewer's time zone used for days and hours
+    public int Sessions { get; set; } // Sessions started in the range
+    public int CompletedSessions { get; set; } // Of those, sessions that have stopped
+    public double EnergyKwh { get; set; } // Energy delivered by sessions started in the range
+    public double? AverageDurationMinutes { get; set; } // Average length of completed sessions (null when none)
+    public List<SessionDay> Days { get; set; } = new(); // One entry per local day of the range
+    public List<StationSessionStats> Stations { get; set; } = new(); // Per-station totals, most energy first
+    public int[][] StartsByWeekdayHour { get; set; } = Array.Empty<int[]>(); // Session starts per local weekday (0 = Monday) and hour
+}
+
+// Sessions started on one local day
+public class SessionDay
+{
+    public DateOnly Date { get; set; } // Local date
+    public int Sessions { get; set; } // Sessions started that day
+    public double EnergyKwh { get; set; } // Energy delivered by those sessions
+}
+
+// Session totals of one station over the range
+public class StationSessionStats
+{
+    public int StationId { get; set; } // Station ID
+    public string StationName { get; set; } = string.Empty; // Station name
+    public int Sessions { get; set; } // Sessions started in the range
+    public double EnergyKwh { get; set; } // Energy delivered by those sessions
+    public double? AverageDurationMinutes { get; set; } // Average length of completed sessions (null when none)
+}
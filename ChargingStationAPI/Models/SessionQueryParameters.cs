@@ -0,0 +1,23 @@
+namespace ChargingStationAPI.Models;
+
+// Query string parameters for paged session queries
+public class SessionQueryParameters
+{
+    public const int MaxPageSize = 200; // Upper bound for one page of sessions
+
+    public int Page { get; set; } = 1; // 1-based page number
+    public int PageSize { get; set; } = 20; // Sessions per page (1 to MaxPageSize)
+    public int? StationId { get; set; } // Optional: Only sessions at this station
+    public DateTime? From { get; set; } // Optional: Sessions started at or after this time
+    public DateTime? To { get; set; } // Optional: Sessions started before this time
+}
+
+// One page of sessions, newest first
+public class ChargingSessionPage
+{
+    public IEnumerable<ChargingSession> Items { get; set; } = Array.Empty<ChargingSession>(); // Sessions on this page
+    public int Page { get; set; } // Current 1-based page number
+    public int PageSize { get; set; } // Sessions per page
+    public int TotalCount { get; set; } // Sessions matching the filters
+    public int TotalPages { get; set; } // Pages available for the filters
+}
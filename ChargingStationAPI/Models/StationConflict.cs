@@ -0,0 +1,10 @@
+namespace ChargingStationAPI.Models;
+
+// 409 response body for an edit based on an out-of-date version of a station
+public class StationConflict
+{
+    public string Message { get; set; } = string.Empty; // Explanation shown to the user
+    public ChargingStation Current { get; set; } = null!; // Station as it is now saved (its Version is the new ETag)
+    public string? ChangedBy { get; set; } // Who saved the most recent edit, when known
+    public DateTime? ChangedAt { get; set; } // When the most recent edit was saved (UTC)
+}
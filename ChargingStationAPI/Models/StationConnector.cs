@@ -0,0 +1,13 @@
+namespace ChargingStationAPI.Models;
+
+// Model representing one connector group on a charging station
+public class StationConnector
+{
+    public int Id { get; set; } // Primary key
+    public int ChargingStationId { get; set; } // Foreign key to the owning station
+    public string ConnectorType { get; set; } = string.Empty; // Required: Connector type (see ConnectorTypes)
+    public string PowerType { get; set; } = "AC"; // Required: "AC" or "DC"
+    public double MaxPowerKw { get; set; } // Required: Maximum output per connector in kW
+    public int Count { get; set; } = 1; // Number of identical connectors in this group
+    public string Status { get; set; } = ConnectorStatuses.Available; // Current availability (see ConnectorStatuses)
+}
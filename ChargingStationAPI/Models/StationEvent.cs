@@ -0,0 +1,22 @@
+namespace ChargingStationAPI.Models;
+
+// Change to a station pushed to connected dashboards (see StationEventsController)
+public class StationEvent
+{
+    public string Type { get; set; } = string.Empty; // See StationEventTypes
+    public int StationId { get; set; } // Station that changed
+    public ChargingStation? Station { get; set; } // Station after the change (null for Deleted)
+    public string? PreviousStatus { get; set; } // Status before a StatusChanged event
+    public string Actor { get; set; } = string.Empty; // Username of who made the change
+    public DateTime Timestamp { get; set; } = DateTime.UtcNow; // When the change was saved (UTC)
+}
+
+// Station event type names
+public static class StationEventTypes
+{
+    public const string Created = "Created";
+    public const string Updated = "Updated"; // Any change except the status
+    public const string StatusChanged = "StatusChanged"; // Status changed (other fields may have changed too)
+    public const string Deleted = "Deleted"; // Moved to the recycle bin
+    public const string Restored = "Restored"; // Brought back from the recycle bin
+}
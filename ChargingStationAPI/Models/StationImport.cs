@@ -0,0 +1,36 @@
+namespace ChargingStationAPI.Models;
+
+// Request body for a bulk station import
+public class StationImportRequest
+{
+    public const int MaxStations = 1000; // Upper bound for one import batch
+
+    public List<ChargingStation> Stations { get; set; } = new(); // Stations to create, in spreadsheet row order
+    public bool SkipDuplicates { get; set; } = true; // Skip stations matching an existing name and address
+}
+
+// Outcome of a bulk station import
+public class StationImportResult
+{
+    public int Created { get; set; } // Stations created
+    public int Duplicates { get; set; } // Stations skipped as duplicates
+    public int Invalid { get; set; } // Stations rejected by validation
+    public List<StationImportRowResult> Rows { get; set; } = new(); // One result per submitted station
+}
+
+// Outcome for one submitted station
+public class StationImportRowResult
+{
+    public int Index { get; set; } // 0-based position in the request's Stations list
+    public string Outcome { get; set; } = string.Empty; // Created, Duplicate or Invalid
+    public int? StationId { get; set; } // Id of the created station
+    public string? Error { get; set; } // Validation error or duplicate reason
+}
+
+// Outcomes of one imported station
+public static class StationImportOutcomes
+{
+    public const string Created = "Created";
+    public const string Duplicate = "Duplicate";
+    public const string Invalid = "Invalid";
+}
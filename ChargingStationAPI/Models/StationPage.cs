@@ -0,0 +1,13 @@
+namespace ChargingStationAPI.Models;
+
+// One page of a station query, with counts for the whole filtered set
+public class StationPage
+{
+    public IEnumerable<ChargingStation> Items { get; set; } = Array.Empty<ChargingStation>(); // Stations on this page
+    public int Page { get; set; } // Current 1-based page number
+    public int PageSize { get; set; } // Items per page
+    public int TotalCount { get; set; } // Stations matching the filters
+    public int TotalPages { get; set; } // Pages available for the filters
+    public int TotalStations { get; set; } // All stations, ignoring filters
+    public Dictionary<string, int> StatusCounts { get; set; } = new(); // Filtered stations per status
+}
@@ -0,0 +1,14 @@
+namespace ChargingStationAPI.Models;
+
+// Model representing one photo of a charging station (entrance, connectors, signage, damage...)
+public class StationPhoto
+{
+    public const int MaxCaptionLength = 300;
+
+    public int Id { get; set; } // Primary key
+    public int ChargingStationId { get; set; } // Foreign key to the owning station
+    public string ImageUrl { get; set; } = string.Empty; // Required: URL from uploadStationImage or external
+    public string? ThumbnailUrl { get; set; } // Set by the API: small version of an uploaded ImageUrl
+    public string? Caption { get; set; } // Optional: Short description shown in the gallery
+    public int SortOrder { get; set; } // Set by the API: position in the gallery (0 = cover photo)
+}
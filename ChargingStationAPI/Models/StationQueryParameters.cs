@@ -0,0 +1,18 @@
+namespace ChargingStationAPI.Models;
+
+// Query string parameters for paged station queries
+public class StationQueryParameters
+{
+    public const int MaxPageSize = 1000; // Upper bound so a single request cannot pull the whole table
+
+    public int Page { get; set; } = 1; // 1-based page number
+    public int PageSize { get; set; } = 6; // Items per page (1 to MaxPageSize)
+    public string? Search { get; set; } // Optional: Text matched against name, address, pin code, connector type and status
+    public string? PinCode { get; set; } // Optional: Pin code substring
+    public string? ConnectorType { get; set; } // Optional: Exact connector type (e.g., CCS2_DC)
+    public string? Status { get; set; } // Optional: Exact status, case-insensitive
+    public string? Sort { get; set; } // Optional: name, -name, createdAt, -createdAt, status, -status, distance
+    public double? Lat { get; set; } // Optional: Proximity origin latitude
+    public double? Lng { get; set; } // Optional: Proximity origin longitude
+    public double? RadiusKm { get; set; } // Optional: Proximity radius in kilometers (requires Lat/Lng)
+}
@@ -0,0 +1,13 @@
+namespace ChargingStationAPI.Models;
+
+// Append-only record of a station status change
+public class StationStatusChange
+{
+    public int Id { get; set; } // Primary key
+    public int ChargingStationId { get; set; } // Foreign key to the station
+    public string? FromStatus { get; set; } // Status before the change (null when the station was created)
+    public string? ToStatus { get; set; } // Status after the change
+    public string ChangedBy { get; set; } = string.Empty; // Who made the change
+    public DateTime ChangedAt { get; set; } = DateTime.UtcNow; // When the change was made
+    public string? Note { get; set; } // Optional: Reason for the change
+}
@@ -0,0 +1,41 @@
+namespace ChargingStationAPI.Models;
+
+// Station lifecycle statuses
+public static class StationStatuses
+{
+    public const string Operational = "Operational";
+    public const string PartiallyAvailable = "Partially Available";
+    public const string Maintenance = "Maintenance";
+    public const string Offline = "Offline";
+    public const string Planned = "Planned";
+    public const string Decommissioned = "Decommissioned";
+
+    public static readonly string[] All =
+    {
+        Operational, PartiallyAvailable, Maintenance, Offline, Planned, Decommissioned,
+    };
+
+    // Statuses in which a station can be used for charging
+    public static readonly string[] Available = { Operational, PartiallyAvailable };
+
+    // Statuses that are not in service, so they count neither as uptime nor as downtime
+    public static readonly string[] NotInService = { Planned, Decommissioned };
+
+    public static bool IsAvailable(string? status) => status != null && Available.Contains(status);
+
+    public static bool IsInService(string? status) => status != null && !NotInService.Contains(status);
+
+    /// <summary>
+    /// Canonical spelling of a status, matched case-insensitively
+    /// </summary>
+    /// <returns>Known status, or null when the value is not a known status</returns>
+    public static string? Normalize(string? status)
+    {
+        if (string.IsNullOrWhiteSpace(status))
+        {
+            return null;
+        }
+
+        return All.FirstOrDefault(s => s.Equals(status.Trim(), StringComparison.OrdinalIgnoreCase));
+    }
+}
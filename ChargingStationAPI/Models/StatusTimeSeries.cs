@@ -0,0 +1,36 @@
+namespace ChargingStationAPI.Models;
+
+// Station status history aggregated into time buckets
+public class StatusTimeSeries
+{
+    public DateTime From { get; set; } // Start of the requested range (UTC)
+    public DateTime To { get; set; } // End of the requested range (UTC)
+    public string Interval { get; set; } = "day"; // Bucket size: hour, day or week
+    public double? AvailabilityPercent { get; set; } // Share of in-service time spent available, over all stations
+    public double DowntimeHours { get; set; } // In-service time spent unavailable, over all stations
+    public List<StatusTimeBucket> Buckets { get; set; } = new(); // Buckets in time order
+    public List<StationAvailability> Stations { get; set; } = new(); // Per-station totals for the range
+}
+
+// One time bucket of the series
+public class StatusTimeBucket
+{
+    public DateTime Start { get; set; } // Bucket start (UTC)
+    public DateTime End { get; set; } // Bucket end (UTC, exclusive)
+    public Dictionary<string, int> StatusCounts { get; set; } = new(); // Stations per status at the end of the bucket
+    public int Available { get; set; } // Stations available at the end of the bucket
+    public int Unavailable { get; set; } // Stations in service but unavailable at the end of the bucket
+    public int Total { get; set; } // Stations existing at the end of the bucket
+    public double? AvailabilityPercent { get; set; } // Share of in-service time spent available within the bucket
+    public double DowntimeHours { get; set; } // In-service time spent unavailable within the bucket
+}
+
+// Availability of one station over the requested range
+public class StationAvailability
+{
+    public int StationId { get; set; } // Station ID
+    public string StationName { get; set; } = string.Empty; // Station name
+    public string? CurrentStatus { get; set; } // Latest status
+    public double? AvailabilityPercent { get; set; } // Share of in-service time spent available (null when never in service)
+    public double DowntimeHours { get; set; } // In-service time spent unavailable
+}
@@ -0,0 +1,8 @@
+namespace ChargingStationAPI.Models;
+
+// URLs of an uploaded station image and its thumbnail
+public class StoredImage
+{
+    public string ImageUrl { get; set; } = string.Empty; // Full-size image, relative to the API host
+    public string ThumbnailUrl { get; set; } = string.Empty; // Small version for cards and lists
+}
@@ -0,0 +1,38 @@
+using Microsoft.AspNetCore.Mvc.ModelBinding.Validation;
+
+namespace ChargingStationAPI.Models;
+
+// Prices charged for a charging session
+// A tariff applies to the stations assigned to it, and to the listed connector types at stations without one
+public class Tariff
+{
+    public const decimal MaxPrice = 100000; // Upper bound for any one price
+    public const int MaxBands = 24; // Most time-of-day bands one tariff may have
+    public const int MaxIdleGraceMinutes = 1440;
+
+    public int Id { get; set; } // Primary key
+    public string Name { get; set; } = string.Empty; // Required: Name shown to operators (e.g. "Standard DC")
+    public string Currency { get; set; } = "INR"; // Required: ISO 4217 currency code
+    public decimal PricePerKwh { get; set; } // Price per kWh delivered
+    public decimal PricePerMinute { get; set; } // Price per minute of charging
+    public decimal SessionFee { get; set; } // Flat fee per session
+    public decimal IdleFeePerMinute { get; set; } // Price per minute plugged in after charging finished, past the grace period
+    public int IdleGraceMinutes { get; set; } // Idle minutes that are free
+    public List<string> ConnectorTypes { get; set; } = new(); // Connector types priced by this tariff (see ConnectorTypes); each type belongs to at most one tariff
+    public List<TariffBand> Bands { get; set; } = new(); // Time-of-day prices that replace the energy and time prices inside their hours
+    public DateTime UpdatedAt { get; set; } = DateTime.UtcNow; // Set by the API: last saved change (UTC)
+
+    [ValidateNever]
+    public string UpdatedBy { get; set; } = string.Empty; // Set by the API: who saved the last change
+}
+
+// Energy and time prices for a part of the day, e.g. peak hours
+public class TariffBand
+{
+    public int Id { get; set; } // Primary key
+    public int TariffId { get; set; } // Foreign key to the owning tariff
+    public string StartTime { get; set; } = "00:00"; // Required: Local start time "HH:mm" (inclusive)
+    public string EndTime { get; set; } = "00:00"; // Required: Local end time "HH:mm" (exclusive); earlier than StartTime = runs past midnight
+    public decimal PricePerKwh { get; set; } // Price per kWh inside the band
+    public decimal PricePerMinute { get; set; } // Price per minute of charging inside the band
+}
@@ -0,0 +1,28 @@
+namespace ChargingStationAPI.Models;
+
+// User roles, from least to most privileged
+public static class UserRoles
+{
+    public const string Viewer = "Viewer"; // Read-only access
+    public const string Operator = "Operator"; // Can create and update stations
+    public const string Admin = "Admin"; // Full access, including deletes and user management
+
+    // Roles allowed to create and update stations (for [Authorize(Roles = ...)])
+    public const string Editors = Operator + "," + Admin;
+
+    public static readonly string[] All = { Viewer, Operator, Admin };
+
+    /// <summary>
+    /// Canonical spelling of a role, matched case-insensitively
+    /// </summary>
+    /// <returns>Known role, or null when the value is not a known role</returns>
+    public static string? Normalize(string? role)
+    {
+        if (string.IsNullOrWhiteSpace(role))
+        {
+            return null;
+        }
+
+        return All.FirstOrDefault(r => r.Equals(role.Trim(), StringComparison.OrdinalIgnoreCase));
+    }
+}
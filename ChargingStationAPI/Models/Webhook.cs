@@ -0,0 +1,125 @@
+using Microsoft.AspNetCore.Mvc.ModelBinding.Validation;
+
+namespace ChargingStationAPI.Models;
+
+// An outside system that is sent station events over HTTP
+// WebhookDispatcher queues a delivery per event and subscription and posts it, signed with the secret
+public class Webhook
+{
+    public const int MaxNameLength = 100;
+    public const int MaxUrlLength = 2000;
+
+    public int Id { get; set; } // Primary key
+    public string Name { get; set; } = string.Empty; // Required: Which system receives the events
+    public string Url { get; set; } = string.Empty; // Required: Absolute http(s) URL events are posted to
+    public List<string> EventTypes { get; set; } = new(); // Required: Events to send (see WebhookEventTypes)
+    public bool Enabled { get; set; } = true; // Disabled webhooks are sent nothing
+
+    [ValidateNever]
+    public string Secret { get; set; } = string.Empty; // Set by the API: key for the X-ChargeHub-Signature header
+
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow; // Set by the API: when the webhook was added (UTC)
+
+    [ValidateNever]
+    public string CreatedBy { get; set; } = string.Empty; // Set by the API: who added the webhook
+
+    public DateTime UpdatedAt { get; set; } = DateTime.UtcNow; // Set by the API: last saved change (UTC)
+}
+
+// Event type names sent to webhooks
+public static class WebhookEventTypes
+{
+    public const string StationCreated = "station.created"; // Also sent when a station is restored from the recycle bin
+    public const string StationUpdated = "station.updated"; // Any change except the status
+    public const string StationDeleted = "station.deleted"; // Moved to the recycle bin
+    public const string StationStatusChanged = "station.status_changed"; // Status changed (other fields may have changed too)
+    public const string Test = "webhook.test"; // Sent by testWebhookById only; cannot be subscribed to
+
+    public static readonly string[] All = { StationCreated, StationUpdated, StationDeleted, StationStatusChanged };
+
+    /// <summary>
+    /// Canonical spelling of an event type, matched case-insensitively
+    /// </summary>
+    /// <returns>Known event type, or null when it is not recognised</returns>
+    public static string? Normalize(string? eventType)
+    {
+        return All.FirstOrDefault(t => t.Equals(eventType?.Trim(), StringComparison.OrdinalIgnoreCase));
+    }
+
+    /// <summary>
+    /// Webhook event type for a station event
+    /// </summary>
+    /// <returns>Event type, or null when the station event is not sent to webhooks</returns>
+    public static string? FromStationEvent(string stationEventType)
+    {
+        return stationEventType switch
+        {
+            StationEventTypes.Created => StationCreated,
+            StationEventTypes.Restored => StationCreated,
+            StationEventTypes.Updated => StationUpdated,
+            StationEventTypes.Deleted => StationDeleted,
+            StationEventTypes.StatusChanged => StationStatusChanged,
+            _ => null,
+        };
+    }
+}
+
+// One event queued for, or sent to, one webhook
+public class WebhookDelivery
+{
+    public const int MaxResponseBodyLength = 1000;
+    public const int MaxErrorLength = 500;
+
+    public int Id { get; set; } // Primary key
+    public int WebhookId { get; set; } // Foreign key to the webhook
+    public Guid EventId { get; set; } // Id of the event; the same for every webhook it is sent to (X-ChargeHub-Delivery)
+    public string EventType { get; set; } = string.Empty; // See WebhookEventTypes
+    public int? ChargingStationId { get; set; } // Station the event is about (null for test events)
+    public string Payload { get; set; } = string.Empty; // JSON body posted to the webhook
+    public string Status { get; set; } = WebhookDeliveryStatuses.Pending; // See WebhookDeliveryStatuses
+    public int Attempts { get; set; } // Attempts made so far
+    public DateTime? NextAttemptAt { get; set; } // When a pending delivery is tried next (UTC)
+    public DateTime? LastAttemptAt { get; set; } // When it was last tried (UTC)
+    public int? ResponseStatusCode { get; set; } // HTTP status of the last attempt (null when no response came back)
+    public string? ResponseBody { get; set; } // Start of the last response body
+    public string? Error { get; set; } // Why the last attempt failed (null on success)
+    public int? DurationMs { get; set; } // How long the last attempt took
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow; // When the event was queued (UTC)
+}
+
+// States of a webhook delivery
+public static class WebhookDeliveryStatuses
+{
+    public const string Pending = "Pending"; // Waiting for its first attempt or a retry
+    public const string Succeeded = "Succeeded"; // The webhook answered with a 2xx status
+    public const string Failed = "Failed"; // Gave up after the last retry, or the webhook was disabled
+
+    public static readonly string[] All = { Pending, Succeeded, Failed };
+
+    /// <summary>
+    /// Canonical spelling of a delivery status, matched case-insensitively
+    /// </summary>
+    /// <returns>Known status, or null when it is not recognised</returns>
+    public static string? Normalize(string? status)
+    {
+        return All.FirstOrDefault(s => s.Equals(status?.Trim(), StringComparison.OrdinalIgnoreCase));
+    }
+}
+
+// JSON body posted to a webhook
+public class WebhookEvent
+{
+    public Guid Id { get; set; } // Event id; a retried or redelivered event keeps its id
+    public string Type { get; set; } = string.Empty; // See WebhookEventTypes
+    public DateTime CreatedAt { get; set; } // When the change was saved (UTC)
+    public object? Data { get; set; } // WebhookStationEventData, or a short message for test events
+}
+
+// Data of a station.* webhook event
+public class WebhookStationEventData
+{
+    public int StationId { get; set; } // Station that changed
+    public ChargingStation? Station { get; set; } // Station after the change (null for station.deleted)
+    public string? PreviousStatus { get; set; } // Status before a station.status_changed event
+    public string Actor { get; set; } = string.Empty; // Who made the change (a username, ocpp:<id> or maintenance-scheduler)
+}
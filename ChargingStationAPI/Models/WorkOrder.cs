@@ -0,0 +1,106 @@
+using System.ComponentModel.DataAnnotations.Schema;
+using System.Text.Json.Serialization;
+using Microsoft.AspNetCore.Mvc.ModelBinding.Validation;
+
+namespace ChargingStationAPI.Models;
+
+// Maintenance job at a station: what is wrong, who is on it and how far it has got
+public class WorkOrder
+{
+    public const int MaxTitleLength = 200;
+    public const int MaxDescriptionLength = 2000;
+    public const int MaxAssigneeLength = 100;
+    public const int MaxResolutionNoteLength = 1000;
+
+    public int Id { get; set; } // Primary key
+    public int ChargingStationId { get; set; } // Foreign key to the station
+    public string Title { get; set; } = string.Empty; // Required: Short summary (e.g. "Connector 2 latch broken")
+    public string? Description { get; set; } // Optional: Details of the fault and the work planned
+    public string Category { get; set; } = WorkOrderCategories.Other; // Required: Fault category (see WorkOrderCategories)
+    public string Priority { get; set; } = WorkOrderPriorities.Medium; // Required: See WorkOrderPriorities
+    public string? Assignee { get; set; } // Optional: Person or team doing the work
+    public DateOnly? DueDate { get; set; } // Optional: Date the work should be finished by
+    public string State { get; set; } = WorkOrderStates.Open; // Required: See WorkOrderStates
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow; // Set by the API: when the order was opened (UTC)
+
+    [ValidateNever]
+    public string CreatedBy { get; set; } = string.Empty; // Set by the API: who opened the order
+
+    public DateTime UpdatedAt { get; set; } = DateTime.UtcNow; // Set by the API: last saved change (UTC)
+    public DateTime? ResolvedAt { get; set; } // Set by the API: when the order was resolved (null while unresolved)
+    public string? ResolvedBy { get; set; } // Set by the API: who resolved the order
+    public string? ResolutionNote { get; set; } // Optional: What was done to fix the fault
+
+    [NotMapped]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? StationName { get; set; } // Output only: Name of the station, filled in by work order queries
+
+    [NotMapped]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? StationStatus { get; set; } // Output only: Current status of the station
+}
+
+// Fault categories of a work order
+public static class WorkOrderCategories
+{
+    public const string Electrical = "Electrical";
+    public const string Connector = "Connector";
+    public const string Network = "Network";
+    public const string Payment = "Payment";
+    public const string PhysicalDamage = "Physical damage";
+    public const string Software = "Software";
+    public const string Other = "Other";
+
+    public static readonly string[] All = { Electrical, Connector, Network, Payment, PhysicalDamage, Software, Other };
+
+    /// <summary>
+    /// Canonical spelling of a category, matched case-insensitively
+    /// </summary>
+    /// <returns>Known category, or null when it is not recognised</returns>
+    public static string? Normalize(string? category)
+    {
+        return All.FirstOrDefault(c => c.Equals(category?.Trim(), StringComparison.OrdinalIgnoreCase));
+    }
+}
+
+// Work order priorities, from least to most urgent
+public static class WorkOrderPriorities
+{
+    public const string Low = "Low";
+    public const string Medium = "Medium";
+    public const string High = "High";
+    public const string Critical = "Critical";
+
+    public static readonly string[] All = { Low, Medium, High, Critical };
+
+    /// <summary>
+    /// Canonical spelling of a priority, matched case-insensitively
+    /// </summary>
+    /// <returns>Known priority, or null when it is not recognised</returns>
+    public static string? Normalize(string? priority)
+    {
+        return All.FirstOrDefault(p => p.Equals(priority?.Trim(), StringComparison.OrdinalIgnoreCase));
+    }
+}
+
+// Work order states, in the order work moves through them
+public static class WorkOrderStates
+{
+    public const string Open = "Open";
+    public const string InProgress = "InProgress";
+    public const string Resolved = "Resolved";
+
+    public static readonly string[] All = { Open, InProgress, Resolved };
+
+    // States of orders that still need work
+    public static readonly string[] Unresolved = { Open, InProgress };
+
+    /// <summary>
+    /// Canonical spelling of a state, matched case-insensitively
+    /// </summary>
+    /// <returns>Known state, or null when it is not recognised</returns>
+    public static string? Normalize(string? state)
+    {
+        return All.FirstOrDefault(s => s.Equals(state?.Trim(), StringComparison.OrdinalIgnoreCase));
+    }
+}
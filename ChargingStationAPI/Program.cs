@@ -1,15 +1,80 @@
+using Microsoft.AspNetCore.Authentication.JwtBearer;
+using Microsoft.AspNetCore.Identity;
 using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.FileProviders;
+using Microsoft.Extensions.Options;
+using Microsoft.IdentityModel.Tokens;
 using ChargingStationAPI.Data;
+using ChargingStationAPI.Models;
+using ChargingStationAPI.Services;
 
 var builder = WebApplication.CreateBuilder(args);
 
 // Configure database connection using PostgreSQL
 builder.Services.AddDbContext<ApplicationDbContext>(options =>
-    options.UseNpgsql(builder.Configuration.GetConnectionString("DefaultConnection")));
+    options.UseNpgsql(
+        builder.Configuration.GetConnectionString("DefaultConnection"),
+        npgsql => npgsql.UseQuerySplittingBehavior(QuerySplittingBehavior.SplitQuery))); // Stations include connectors and photos
 
 // Add API controllers
 builder.Services.AddControllers();
 
+// Configure JWT authentication against the local user store
+var jwtSettings = builder.Configuration.GetSection(JwtSettings.SectionName).Get<JwtSettings>() ?? new JwtSettings();
+builder.Services.Configure<JwtSettings>(builder.Configuration.GetSection(JwtSettings.SectionName));
+builder.Services.AddSingleton<TokenService>();
+builder.Services.AddSingleton<IPasswordHasher<AppUser>, PasswordHasher<AppUser>>();
+
+builder.Services.AddAuthentication(JwtBearerDefaults.AuthenticationScheme)
+    .AddJwtBearer(options =>
+    {
+        options.MapInboundClaims = false; // Keep claim names as issued by TokenService
+        options.TokenValidationParameters = new TokenValidationParameters
+        {
+            ValidateIssuer = true,
+            ValidIssuer = jwtSettings.Issuer,
+            ValidateAudience = true,
+            ValidAudience = jwtSettings.Audience,
+            ValidateIssuerSigningKey = true,
+            IssuerSigningKey = TokenService.CreateSigningKey(jwtSettings),
+            ValidateLifetime = true,
+            ClockSkew = TimeSpan.FromSeconds(30),
+            NameClaimType = TokenService.NameClaim,
+            RoleClaimType = TokenService.RoleClaim,
+        };
+    });
+builder.Services.AddAuthorization();
+
+// Store uploaded station images (and their thumbnails) on local disk
+builder.Services.Configure<ImageStorageSettings>(builder.Configuration.GetSection(ImageStorageSettings.SectionName));
+builder.Services.AddSingleton<ImageStorageService>();
+
+// Fan out station changes to the dashboards' live event streams
+builder.Services.AddSingleton<StationEventHub>();
+
+// OCPP 1.6J central system that chargers connect to over WebSocket
+builder.Services.Configure<OcppSettings>(builder.Configuration.GetSection(OcppSettings.SectionName));
+builder.Services.AddSingleton<OcppCentralSystem>();
+builder.Services.AddScoped<OcppMessageHandler>();
+
+// Put stations into Maintenance during their scheduled maintenance windows
+builder.Services.AddHostedService<MaintenanceScheduler>();
+
+// Check alert rules and deliver alerts as notifications and email
+builder.Services.Configure<SmtpSettings>(builder.Configuration.GetSection(SmtpSettings.SectionName));
+builder.Services.AddSingleton<EmailSender>();
+builder.Services.AddScoped<AlertNotifier>();
+builder.Services.AddHostedService<AlertMonitor>();
+
+// Send station events to webhook subscribers
+builder.Services.AddHttpClient(WebhookSender.HttpClientName, client =>
+{
+    client.Timeout = WebhookSender.Timeout;
+    client.DefaultRequestHeaders.UserAgent.ParseAdd("ChargeHub-Webhooks/1.0");
+});
+builder.Services.AddSingleton<WebhookSender>();
+builder.Services.AddHostedService<WebhookDispatcher>();
+
 // Configure CORS to allow all origins, methods, and headers (for development)
 builder.Services.AddCors(options =>
 {
@@ -17,7 +82,8 @@ builder.Services.AddCors(options =>
     {
         policy.AllowAnyOrigin()
               .AllowAnyMethod()
-              .AllowAnyHeader();
+              .AllowAnyHeader()
+              .WithExposedHeaders("ETag"); // Station version for optimistic concurrency
     });
 });
 
@@ -32,6 +98,31 @@ builder.Services.AddSwaggerGen(c =>
         Description = "API for managing electric vehicle charging stations"
     });
     
+    // Allow calling protected endpoints from Swagger UI with a bearer token
+    c.AddSecurityDefinition("Bearer", new Microsoft.OpenApi.Models.OpenApiSecurityScheme
+    {
+        Name = "Authorization",
+        Type = Microsoft.OpenApi.Models.SecuritySchemeType.Http,
+        Scheme = "bearer",
+        BearerFormat = "JWT",
+        In = Microsoft.OpenApi.Models.ParameterLocation.Header,
+        Description = "Access token from POST /api/auth/login",
+    });
+    c.AddSecurityRequirement(new Microsoft.OpenApi.Models.OpenApiSecurityRequirement
+    {
+        {
+            new Microsoft.OpenApi.Models.OpenApiSecurityScheme
+            {
+                Reference = new Microsoft.OpenApi.Models.OpenApiReference
+                {
+                    Type = Microsoft.OpenApi.Models.ReferenceType.SecurityScheme,
+                    Id = "Bearer",
+                },
+            },
+            Array.Empty<string>()
+        },
+    });
+
     // Include XML comments in Swagger documentation if available
     var xmlFile = $"{System.Reflection.Assembly.GetExecutingAssembly().GetName().Name}.xml";
     var xmlPath = Path.Combine(AppContext.BaseDirectory, xmlFile);
@@ -55,6 +146,20 @@ using (var scope = app.Services.CreateScope())
         if (context.Database.CanConnect())
         {
             context.Database.EnsureCreated(); // Create database and tables if needed
+            SchemaUpgrader.Upgrade(context); // Add schema that EnsureCreated skips on existing databases
+            UserSeeder.SeedDefaultAdmin(
+                context,
+                builder.Configuration,
+                services.GetRequiredService<IPasswordHasher<AppUser>>(),
+                logger); // Create the first admin on a fresh database
+            ImageMigrator.MigrateStationImages(
+                context,
+                services.GetRequiredService<ImageStorageService>(),
+                logger); // Move legacy base64 images into image storage and photo galleries
+            context.ChargingStations
+                .IgnoreQueryFilters()
+                .Where(s => s.ChargePointConnected)
+                .ExecuteUpdate(s => s.SetProperty(x => x.ChargePointConnected, false)); // Connections did not survive the restart
             logger.LogInformation("Database initialized successfully");
         }
     }
@@ -66,6 +171,15 @@ using (var scope = app.Services.CreateScope())
 
 // Configure middleware pipeline
 app.UseCors("AllowAll"); // Enable CORS
+app.UseWebSockets(new WebSocketOptions { KeepAliveInterval = TimeSpan.FromSeconds(30) }); // OCPP charge point connections
+
+// Serve uploaded station images, e.g. /uploads/stations/{id}.jpg
+var imageStorage = app.Services.GetRequiredService<ImageStorageService>();
+app.UseStaticFiles(new StaticFileOptions
+{
+    FileProvider = new PhysicalFileProvider(imageStorage.RootDirectory),
+    RequestPath = imageStorage.Settings.RequestPath,
+});
 
 // Enable Swagger UI at /swagger endpoint
 app.UseSwagger();
@@ -77,6 +191,23 @@ app.UseSwaggerUI(c =>
 });
 
 app.UseHttpsRedirection(); // Redirect HTTP to HTTPS
+app.UseAuthentication(); // Read the bearer token on each request
+app.UseAuthorization(); // Enforce [Authorize] roles
 app.MapControllers(); // Map all controller routes
 
+// Chargers connect to ws://host/ocpp/{chargePointId}
+// Outside Development they must authenticate, so the endpoint is only mapped with a password set
+var ocppSettings = app.Services.GetRequiredService<IOptions<OcppSettings>>().Value;
+if (!string.IsNullOrEmpty(ocppSettings.Password) || app.Environment.IsDevelopment())
+{
+    app.Map(
+        $"{ocppSettings.Path.TrimEnd('/')}/{{chargePointId}}",
+        (HttpContext context, string chargePointId, OcppCentralSystem centralSystem) =>
+            centralSystem.HandleConnectionAsync(context, chargePointId));
+}
+else
+{
+    app.Logger.LogWarning("Ocpp:Password is not set; the OCPP endpoint is disabled and no charger can connect");
+}
+
 app.Run(); // Start the application
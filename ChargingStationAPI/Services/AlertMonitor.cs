@@ -0,0 +1,279 @@
+using Microsoft.EntityFrameworkCore;
+using ChargingStationAPI.Data;
+using ChargingStationAPI.Models;
+
+namespace ChargingStationAPI.Services;
+
+// Checks the enabled alert rules against station status and delivers the alerts that fire
+// Status changes are read from the status history, so changes made by users, chargers and the maintenance
+// scheduler are all seen; lasting conditions alert once until they clear (see AlertIncident)
+public class AlertMonitor : BackgroundService
+{
+    private const int MaxStatusChangesPerCheck = 1000; // Later changes are picked up by the next check
+    private static readonly TimeSpan CheckInterval = TimeSpan.FromSeconds(30); // How often rules are checked
+    private static readonly TimeSpan NotificationRetention = TimeSpan.FromDays(90); // Older notifications are removed
+
+    private readonly IServiceScopeFactory _scopeFactory; // Each check gets its own database context
+    private readonly ILogger<AlertMonitor> _logger; // Logger for error tracking
+    private int? _lastStatusChangeId; // Status changes up to this id have been checked (null until the first check)
+
+    public AlertMonitor(IServiceScopeFactory scopeFactory, ILogger<AlertMonitor> logger)
+    {
+        _scopeFactory = scopeFactory;
+        _logger = logger;
+    }
+
+    // Fields of a station that rules look at
+    private sealed record StationSnapshot(int Id, string Name, string? PinCode, string? Status, DateTime CreatedAt);
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        using var timer = new PeriodicTimer(CheckInterval);
+        do
+        {
+            try
+            {
+                await CheckRulesAsync(stoppingToken);
+            }
+            catch (Exception ex) when (!stoppingToken.IsCancellationRequested)
+            {
+                _logger.LogError(ex, "Error checking alert rules");
+            }
+        }
+        while (await WaitForNextCheckAsync(timer, stoppingToken));
+    }
+
+    /// <summary>
+    /// Check every enabled rule once and deliver the alerts that fire
+    /// </summary>
+    private async Task CheckRulesAsync(CancellationToken cancellationToken)
+    {
+        using var scope = _scopeFactory.CreateScope();
+        var context = scope.ServiceProvider.GetRequiredService<ApplicationDbContext>();
+        var notifier = scope.ServiceProvider.GetRequiredService<AlertNotifier>();
+        var now = DateTime.UtcNow;
+
+        // Changes made before the API started are history, not news
+        _lastStatusChangeId ??= await context.StationStatusChanges.MaxAsync(c => (int?)c.Id, cancellationToken) ?? 0;
+
+        var retainedSince = now - NotificationRetention;
+        await context.Notifications
+            .Where(n => n.CreatedAt < retainedSince)
+            .ExecuteDeleteAsync(cancellationToken);
+
+        var rules = await context.AlertRules
+            .AsNoTracking()
+            .Where(r => r.Enabled)
+            .ToListAsync(cancellationToken);
+
+        var changes = await context.StationStatusChanges
+            .AsNoTracking()
+            .Where(c => c.Id > _lastStatusChangeId)
+            .OrderBy(c => c.Id)
+            .Take(MaxStatusChangesPerCheck)
+            .ToListAsync(cancellationToken);
+
+        if (rules.Count == 0)
+        {
+            _lastStatusChangeId = changes.Count > 0 ? changes[^1].Id : _lastStatusChangeId;
+            return;
+        }
+
+        // Stations in the recycle bin are left out by the query filter
+        var stations = await context.ChargingStations
+            .AsNoTracking()
+            .Select(s => new StationSnapshot(s.Id, s.StationName, s.PinCode, s.Status, s.CreatedAt))
+            .ToDictionaryAsync(s => s.Id, cancellationToken);
+
+        var alerts = new List<Alert>();
+        alerts.AddRange(CheckStatusEntered(rules, changes, stations));
+
+        var incidents = await context.AlertIncidents.ToListAsync(cancellationToken);
+        alerts.AddRange(await CheckDownTooLongAsync(context, rules, incidents, stations, now, cancellationToken));
+        alerts.AddRange(CheckAvailabilityBelow(context, rules, incidents, stations, now));
+
+        await notifier.DeliverAsync(alerts, cancellationToken);
+        _lastStatusChangeId = changes.Count > 0 ? changes[^1].Id : _lastStatusChangeId;
+
+        if (alerts.Count > 0)
+        {
+            _logger.LogInformation("Alert rules fired {Count} alert(s)", alerts.Count);
+        }
+    }
+
+    /// <summary>
+    /// Alerts for stations that changed to a watched status
+    /// </summary>
+    private static IEnumerable<Alert> CheckStatusEntered(
+        List<AlertRule> rules, List<StationStatusChange> changes, Dictionary<int, StationSnapshot> stations)
+    {
+        var statusRules = rules.Where(r => r.Type == AlertRuleTypes.StatusEntered).ToList();
+        foreach (var change in changes)
+        {
+            if (change.ToStatus == null
+                || change.ToStatus == change.FromStatus
+                || !stations.TryGetValue(change.ChargingStationId, out var station))
+            {
+                continue;
+            }
+
+            foreach (var rule in statusRules.Where(r => r.Statuses.Contains(change.ToStatus) && InScope(r, station)))
+            {
+                var from = change.FromStatus == null ? string.Empty : $" from {change.FromStatus}";
+                var note = string.IsNullOrWhiteSpace(change.Note) ? string.Empty : $" Note: {change.Note}";
+                yield return new Alert(
+                    rule,
+                    station.Id,
+                    $"{station.Name} is {change.ToStatus}",
+                    $"{station.Name} changed{from} to {change.ToStatus} at {FormatTime(change.ChangedAt)} ({change.ChangedBy}).{note}");
+            }
+        }
+    }
+
+    /// <summary>
+    /// Alerts for stations in a watched status for longer than the rule allows; ends incidents of stations that left it
+    /// </summary>
+    private static async Task<List<Alert>> CheckDownTooLongAsync(
+        ApplicationDbContext context,
+        List<AlertRule> rules,
+        List<AlertIncident> incidents,
+        Dictionary<int, StationSnapshot> stations,
+        DateTime now,
+        CancellationToken cancellationToken)
+    {
+        var alerts = new List<Alert>();
+        var durationRules = rules
+            .Where(r => r.Type == AlertRuleTypes.DownTooLong && r.ThresholdHours.HasValue)
+            .ToList();
+        if (durationRules.Count == 0)
+        {
+            return alerts;
+        }
+
+        // A station has been in its status since its last status change (or since it was created)
+        var watchedStatuses = durationRules.SelectMany(r => r.Statuses).ToHashSet();
+        var candidateIds = stations.Values
+            .Where(s => s.Status != null && watchedStatuses.Contains(s.Status))
+            .Select(s => s.Id)
+            .ToList();
+        var lastChanges = await context.StationStatusChanges
+            .Where(c => candidateIds.Contains(c.ChargingStationId))
+            .GroupBy(c => c.ChargingStationId)
+            .Select(g => new { StationId = g.Key, ChangedAt = g.Max(c => c.ChangedAt) })
+            .ToDictionaryAsync(c => c.StationId, c => c.ChangedAt, cancellationToken);
+
+        foreach (var rule in durationRules)
+        {
+            var threshold = TimeSpan.FromHours(rule.ThresholdHours!.Value);
+            var firing = new Dictionary<int, DateTime>();
+            foreach (var id in candidateIds)
+            {
+                var station = stations[id];
+                var since = lastChanges.TryGetValue(id, out var changedAt) ? changedAt : station.CreatedAt;
+                if (rule.Statuses.Contains(station.Status!) && InScope(rule, station) && now - since >= threshold)
+                {
+                    firing[id] = since;
+                }
+            }
+
+            var ruleIncidents = incidents.Where(i => i.AlertRuleId == rule.Id).ToList();
+            foreach (var incident in ruleIncidents.Where(i => i.ChargingStationId == null || !firing.ContainsKey(i.ChargingStationId.Value)))
+            {
+                context.AlertIncidents.Remove(incident);
+            }
+
+            var alerted = ruleIncidents.Where(i => i.ChargingStationId.HasValue).Select(i => i.ChargingStationId!.Value).ToHashSet();
+            foreach (var (stationId, since) in firing.Where(f => !alerted.Contains(f.Key)))
+            {
+                var station = stations[stationId];
+                context.AlertIncidents.Add(new AlertIncident { AlertRuleId = rule.Id, ChargingStationId = stationId, StartedAt = now });
+                alerts.Add(new Alert(
+                    rule,
+                    stationId,
+                    $"{station.Name} has been {station.Status} for {FormatHours(now - since)}",
+                    $"{station.Name} has been {station.Status} since {FormatTime(since)}, longer than the {FormatHours(threshold)} allowed."));
+            }
+        }
+
+        return alerts;
+    }
+
+    /// <summary>
+    /// Alerts for rules whose stations' available share dropped below the threshold; ends incidents that recovered
+    /// </summary>
+    private static List<Alert> CheckAvailabilityBelow(
+        ApplicationDbContext context,
+        List<AlertRule> rules,
+        List<AlertIncident> incidents,
+        Dictionary<int, StationSnapshot> stations,
+        DateTime now)
+    {
+        var alerts = new List<Alert>();
+        foreach (var rule in rules.Where(r => r.Type == AlertRuleTypes.AvailabilityBelow && r.ThresholdPercent.HasValue))
+        {
+            var inService = stations.Values
+                .Where(s => InScope(rule, s) && StationStatuses.IsInService(s.Status))
+                .ToList();
+            var available = inService.Count(s => StationStatuses.IsAvailable(s.Status));
+            var share = inService.Count == 0 ? 100 : available * 100.0 / inService.Count;
+            var isFiring = share < rule.ThresholdPercent!.Value;
+
+            var incident = incidents.FirstOrDefault(i => i.AlertRuleId == rule.Id);
+            if (!isFiring)
+            {
+                if (incident != null)
+                {
+                    context.AlertIncidents.Remove(incident);
+                }
+                continue;
+            }
+
+            if (incident != null)
+            {
+                continue;
+            }
+
+            var area = string.IsNullOrWhiteSpace(rule.PinCodePrefix) ? "all stations" : $"pin codes {rule.PinCodePrefix}*";
+            context.AlertIncidents.Add(new AlertIncident { AlertRuleId = rule.Id, StartedAt = now });
+            alerts.Add(new Alert(
+                rule,
+                null,
+                $"Only {share:0}% of stations available in {area}",
+                $"{available} of {inService.Count} in-service stations in {area} are available ({share:0.#}%), " +
+                $"below the {rule.ThresholdPercent:0.#}% threshold, at {FormatTime(now)}."));
+        }
+
+        return alerts;
+    }
+
+    /// <summary>
+    /// Whether a station is in the rule's area (every station when the rule has no pin code prefix)
+    /// </summary>
+    private static bool InScope(AlertRule rule, StationSnapshot station)
+    {
+        return string.IsNullOrWhiteSpace(rule.PinCodePrefix)
+            || (station.PinCode != null && station.PinCode.Trim().StartsWith(rule.PinCodePrefix, StringComparison.OrdinalIgnoreCase));
+    }
+
+    private static string FormatTime(DateTime value)
+    {
+        return value.ToString("yyyy-MM-dd HH:mm") + " UTC";
+    }
+
+    private static string FormatHours(TimeSpan value)
+    {
+        return value.TotalHours >= 1 ? $"{value.TotalHours:0.#} h" : $"{value.TotalMinutes:0} min";
+    }
+
+    private static async Task<bool> WaitForNextCheckAsync(PeriodicTimer timer, CancellationToken stoppingToken)
+    {
+        try
+        {
+            return await timer.WaitForNextTickAsync(stoppingToken);
+        }
+        catch (OperationCanceledException)
+        {
+            return false;
+        }
+    }
+}
@@ -0,0 +1,92 @@
+using Microsoft.EntityFrameworkCore;
+using ChargingStationAPI.Data;
+using ChargingStationAPI.Models;
+
+namespace ChargingStationAPI.Services;
+
+// One firing of an alert rule, ready to deliver
+public sealed record Alert(AlertRule Rule, int? StationId, string Title, string Message);
+
+// Delivers fired alerts as in-app notifications and email
+public class AlertNotifier
+{
+    private readonly ApplicationDbContext _context; // Database context for notifications
+    private readonly EmailSender _email; // Outgoing mail
+    private readonly ILogger<AlertNotifier> _logger; // Logger for delivery failures
+
+    public AlertNotifier(ApplicationDbContext context, EmailSender email, ILogger<AlertNotifier> logger)
+    {
+        _context = context;
+        _email = email;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Add a notification for every active user (for rules with NotifyInApp), save all pending changes of the
+    /// context, then email each rule's recipients
+    /// Email is sent after saving so a mail server outage never loses the in-app notifications
+    /// </summary>
+    /// <returns>Email errors, one per message that could not be sent</returns>
+    public async Task<List<string>> DeliverAsync(IReadOnlyCollection<Alert> alerts, CancellationToken cancellationToken = default)
+    {
+        var inApp = alerts.Where(a => a.Rule.NotifyInApp).ToList();
+        if (inApp.Count > 0)
+        {
+            var userIds = await _context.Users
+                .Where(u => u.IsActive)
+                .Select(u => u.Id)
+                .ToListAsync(cancellationToken);
+            var now = DateTime.UtcNow;
+
+            foreach (var alert in inApp)
+            {
+                foreach (var userId in userIds)
+                {
+                    _context.Notifications.Add(new Notification
+                    {
+                        UserId = userId,
+                        AlertRuleId = alert.Rule.Id == 0 ? null : alert.Rule.Id,
+                        ChargingStationId = alert.StationId,
+                        Title = Truncate(alert.Title, Notification.MaxTitleLength),
+                        Message = Truncate(alert.Message, Notification.MaxMessageLength),
+                        CreatedAt = now,
+                    });
+                }
+            }
+        }
+
+        await _context.SaveChangesAsync(cancellationToken);
+
+        var errors = new List<string>();
+        foreach (var alert in alerts.Where(a => a.Rule.EmailRecipients.Count > 0))
+        {
+            if (!_email.IsConfigured)
+            {
+                _logger.LogWarning("Alert rule {RuleId} fired but email is not configured; set Smtp:Host", alert.Rule.Id);
+                errors.Add("Email is not configured (Smtp:Host is empty).");
+                break;
+            }
+
+            try
+            {
+                await _email.SendAsync(
+                    alert.Rule.EmailRecipients,
+                    $"[ChargeHub] {alert.Rule.Name}: {alert.Title}",
+                    $"{alert.Message}\n\nAlert rule: {alert.Rule.Name}",
+                    cancellationToken);
+            }
+            catch (Exception ex) when (ex is not OperationCanceledException)
+            {
+                _logger.LogError(ex, "Error emailing alert rule {RuleId}", alert.Rule.Id);
+                errors.Add(ex.Message);
+            }
+        }
+
+        return errors;
+    }
+
+    private static string Truncate(string value, int maxLength)
+    {
+        return value.Length <= maxLength ? value : value[..(maxLength - 1)] + "…";
+    }
+}
@@ -0,0 +1,58 @@
+using System.Net;
+using System.Net.Mail;
+using Microsoft.Extensions.Options;
+
+namespace ChargingStationAPI.Services;
+
+// Sends plain-text email through the configured SMTP server
+public class EmailSender
+{
+    private readonly SmtpSettings _settings;
+
+    public EmailSender(IOptions<SmtpSettings> settings)
+    {
+        _settings = settings.Value;
+    }
+
+    /// <summary>
+    /// Whether an SMTP host is configured
+    /// </summary>
+    public bool IsConfigured => !string.IsNullOrWhiteSpace(_settings.Host);
+
+    /// <summary>
+    /// Send one message to all recipients
+    /// </summary>
+    /// <exception cref="InvalidOperationException">No SMTP host is configured</exception>
+    /// <exception cref="SmtpException">The server refused or could not be reached</exception>
+    public async Task SendAsync(IEnumerable<string> recipients, string subject, string body, CancellationToken cancellationToken = default)
+    {
+        if (!IsConfigured)
+        {
+            throw new InvalidOperationException("Email is not configured (Smtp:Host is empty).");
+        }
+
+        using var message = new MailMessage
+        {
+            From = new MailAddress(_settings.From, _settings.FromName),
+            Subject = subject,
+            Body = body,
+            IsBodyHtml = false,
+        };
+        foreach (var recipient in recipients)
+        {
+            message.To.Add(recipient);
+        }
+
+        using var client = new SmtpClient(_settings.Host, _settings.Port)
+        {
+            EnableSsl = _settings.EnableSsl,
+            DeliveryMethod = SmtpDeliveryMethod.Network,
+        };
+        if (!string.IsNullOrEmpty(_settings.Username))
+        {
+            client.Credentials = new NetworkCredential(_settings.Username, _settings.Password);
+        }
+
+        await client.SendMailAsync(message, cancellationToken);
+    }
+}
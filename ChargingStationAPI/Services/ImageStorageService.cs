@@ -0,0 +1,146 @@
+using System.Text.RegularExpressions;
+using Microsoft.Extensions.Options;
+using SixLabors.ImageSharp;
+using SixLabors.ImageSharp.Formats.Jpeg;
+using SixLabors.ImageSharp.Processing;
+using ChargingStationAPI.Models;
+
+namespace ChargingStationAPI.Services;
+
+// Stores station images on local disk as a re-encoded JPEG plus a thumbnail
+public class ImageStorageService
+{
+    private const string StationFolder = "stations";
+    private const string ThumbnailSuffix = "_thumb";
+
+    // Stored file names are a GUID, optionally followed by the thumbnail suffix
+    private static readonly Regex StoredFileName = new(@"^[0-9a-f]{32}(_thumb)?\.jpg$", RegexOptions.Compiled);
+    private static readonly Regex DataUrlPattern = new(@"^data:image/[a-z0-9.+-]+;base64,", RegexOptions.Compiled | RegexOptions.IgnoreCase);
+
+    private readonly ImageStorageSettings _settings;
+    private readonly JpegEncoder _encoder = new() { Quality = 85 };
+
+    public ImageStorageService(IOptions<ImageStorageSettings> settings, IWebHostEnvironment environment)
+    {
+        _settings = settings.Value;
+        RootDirectory = Path.Combine(environment.ContentRootPath, _settings.RootPath);
+        Directory.CreateDirectory(Path.Combine(RootDirectory, StationFolder));
+    }
+
+    public string RootDirectory { get; } // Absolute folder served at RequestPath
+
+    public ImageStorageSettings Settings => _settings;
+
+    /// <summary>
+    /// Decode an uploaded image, scale it down, strip metadata and save it with a thumbnail
+    /// </summary>
+    /// <exception cref="ImageFormatException">The data is not a supported image</exception>
+    public async Task<StoredImage> SaveAsync(Stream input, CancellationToken cancellationToken = default)
+    {
+        using var image = await Image.LoadAsync(input, cancellationToken);
+
+        // Apply camera rotation, drop EXIF (may hold GPS data) and flatten transparency for JPEG
+        image.Mutate(x => x
+            .AutoOrient()
+            .Resize(new ResizeOptions { Size = new Size(_settings.MaxDimension, _settings.MaxDimension), Mode = ResizeMode.Max })
+            .BackgroundColor(Color.White));
+        image.Metadata.ExifProfile = null;
+
+        using var thumbnail = image.Clone(x => x.Resize(new ResizeOptions
+        {
+            Size = new Size(_settings.ThumbnailWidth, _settings.ThumbnailHeight),
+            Mode = ResizeMode.Crop,
+        }));
+
+        var name = Guid.NewGuid().ToString("N");
+        await image.SaveAsJpegAsync(FilePath($"{name}.jpg"), _encoder, cancellationToken);
+        await thumbnail.SaveAsJpegAsync(FilePath($"{name}{ThumbnailSuffix}.jpg"), _encoder, cancellationToken);
+
+        return new StoredImage
+        {
+            ImageUrl = Url($"{name}.jpg"),
+            ThumbnailUrl = Url($"{name}{ThumbnailSuffix}.jpg"),
+        };
+    }
+
+    /// <summary>
+    /// Store an image given as a base64 data URL (used to migrate legacy imageUrl values)
+    /// </summary>
+    /// <exception cref="FormatException">The value is not base64 image data</exception>
+    /// <exception cref="ImageFormatException">The data is not a supported image</exception>
+    public async Task<StoredImage> SaveDataUrlAsync(string dataUrl, CancellationToken cancellationToken = default)
+    {
+        var match = DataUrlPattern.Match(dataUrl);
+        if (!match.Success)
+        {
+            throw new FormatException("Value is not a base64 image data URL.");
+        }
+
+        var bytes = Convert.FromBase64String(dataUrl[match.Length..]);
+        using var stream = new MemoryStream(bytes);
+        return await SaveAsync(stream, cancellationToken);
+    }
+
+    /// <summary>
+    /// Whether a value is a base64 image data URL
+    /// </summary>
+    public static bool IsDataUrl(string? value) => value != null && DataUrlPattern.IsMatch(value);
+
+    /// <summary>
+    /// Whether a URL points at an image stored by this service
+    /// </summary>
+    public bool IsStoredImage(string? imageUrl) => StoredFileNameOf(imageUrl) != null;
+
+    /// <summary>
+    /// Thumbnail URL for a stored image, or null for external URLs
+    /// </summary>
+    public string? GetThumbnailUrl(string? imageUrl)
+    {
+        var fileName = StoredFileNameOf(imageUrl);
+        if (fileName == null || fileName.Contains(ThumbnailSuffix))
+        {
+            return null;
+        }
+
+        return Url(fileName.Replace(".jpg", $"{ThumbnailSuffix}.jpg"));
+    }
+
+    /// <summary>
+    /// Delete a stored image and its thumbnail; external URLs are ignored
+    /// </summary>
+    public void Delete(string? imageUrl)
+    {
+        var fileName = StoredFileNameOf(imageUrl);
+        if (fileName == null)
+        {
+            return;
+        }
+
+        File.Delete(FilePath(fileName));
+        var thumbnailUrl = GetThumbnailUrl(imageUrl);
+        if (thumbnailUrl != null)
+        {
+            File.Delete(FilePath(StoredFileNameOf(thumbnailUrl)!));
+        }
+    }
+
+    /// <summary>
+    /// File name of a stored image URL, or null when the URL is not ours
+    /// Only GUID names are accepted, so a URL can never reach outside the folder
+    /// </summary>
+    private string? StoredFileNameOf(string? imageUrl)
+    {
+        var prefix = $"{_settings.RequestPath.TrimEnd('/')}/{StationFolder}/";
+        if (imageUrl == null || !imageUrl.StartsWith(prefix, StringComparison.Ordinal))
+        {
+            return null;
+        }
+
+        var fileName = imageUrl[prefix.Length..];
+        return StoredFileName.IsMatch(fileName) ? fileName : null;
+    }
+
+    private string FilePath(string fileName) => Path.Combine(RootDirectory, StationFolder, fileName);
+
+    private string Url(string fileName) => $"{_settings.RequestPath.TrimEnd('/')}/{StationFolder}/{fileName}";
+}
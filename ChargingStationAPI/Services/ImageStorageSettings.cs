@@ -0,0 +1,14 @@
+namespace ChargingStationAPI.Services;
+
+// Image upload settings bound from the "ImageStorage" configuration section
+public class ImageStorageSettings
+{
+    public const string SectionName = "ImageStorage";
+
+    public string RootPath { get; set; } = "uploads"; // Folder for stored images, relative to the content root
+    public string RequestPath { get; set; } = "/uploads"; // URL prefix the folder is served under
+    public long MaxUploadBytes { get; set; } = 5 * 1024 * 1024; // Largest accepted upload (5 MB)
+    public int MaxDimension { get; set; } = 1600; // Stored images are scaled down to fit this width and height
+    public int ThumbnailWidth { get; set; } = 480; // Thumbnail bounding box used by station cards
+    public int ThumbnailHeight { get; set; } = 320;
+}
@@ -0,0 +1,13 @@
+namespace ChargingStationAPI.Services;
+
+// Token settings bound from the "Jwt" configuration section
+public class JwtSettings
+{
+    public const string SectionName = "Jwt";
+
+    public string Issuer { get; set; } = "ChargingStationAPI"; // Token issuer
+    public string Audience { get; set; } = "ChargingStationUI"; // Token audience
+    public string SigningKey { get; set; } = string.Empty; // HMAC key, at least 32 characters
+    public int AccessTokenMinutes { get; set; } = 15; // Access token lifetime
+    public int RefreshTokenDays { get; set; } = 7; // Refresh token lifetime
+}
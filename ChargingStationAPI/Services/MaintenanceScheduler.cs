@@ -0,0 +1,188 @@
+using Microsoft.EntityFrameworkCore;
+using ChargingStationAPI.Data;
+using ChargingStationAPI.Helpers;
+using ChargingStationAPI.Models;
+
+namespace ChargingStationAPI.Services;
+
+// Puts stations into Maintenance when one of their maintenance windows starts and restores their status when it ends
+// A station an operator moves out of Maintenance during a window is left alone until the window ends
+public class MaintenanceScheduler : BackgroundService
+{
+    public const string Actor = "maintenance-scheduler"; // Name recorded in the status history and audit log
+
+    private static readonly TimeSpan CheckInterval = TimeSpan.FromSeconds(30); // How often windows are checked
+
+    private readonly IServiceScopeFactory _scopeFactory; // Each check gets its own database context
+    private readonly StationEventHub _events; // Pushes status changes to connected dashboards
+    private readonly ILogger<MaintenanceScheduler> _logger; // Logger for error tracking
+
+    public MaintenanceScheduler(IServiceScopeFactory scopeFactory, StationEventHub events, ILogger<MaintenanceScheduler> logger)
+    {
+        _scopeFactory = scopeFactory;
+        _events = events;
+        _logger = logger;
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        using var timer = new PeriodicTimer(CheckInterval);
+        do
+        {
+            try
+            {
+                await ApplyWindowsAsync(stoppingToken);
+            }
+            catch (DbUpdateConcurrencyException)
+            {
+                // A station was edited while the check ran; the next check picks it up again
+                _logger.LogInformation("Maintenance check skipped a station changed meanwhile; retrying at the next check");
+            }
+            catch (Exception ex) when (!stoppingToken.IsCancellationRequested)
+            {
+                _logger.LogError(ex, "Error applying maintenance windows");
+            }
+        }
+        while (await WaitForNextCheckAsync(timer, stoppingToken));
+    }
+
+    /// <summary>
+    /// Start holds for stations whose window is running and end holds whose window is over
+    /// </summary>
+    private async Task ApplyWindowsAsync(CancellationToken cancellationToken)
+    {
+        using var scope = _scopeFactory.CreateScope();
+        var context = scope.ServiceProvider.GetRequiredService<ApplicationDbContext>();
+        var now = DateTime.UtcNow;
+
+        // Windows that may have an occurrence running now
+        var earliestRecurringStart = now - MaintenanceWindow.MaxDuration;
+        var windows = await context.MaintenanceWindows
+            .AsNoTracking()
+            .Where(w => w.StartsAt <= now)
+            .Where(w => (w.Recurrence == MaintenanceRecurrences.None && w.EndsAt > now)
+                || (w.Recurrence != MaintenanceRecurrences.None && (w.RecurUntil == null || w.RecurUntil >= earliestRecurringStart)))
+            .ToListAsync(cancellationToken);
+
+        // The running occurrence of each station; of overlapping windows the one ending last wins
+        var running = new Dictionary<int, (MaintenanceWindow Window, MaintenanceSchedule.Occurrence Occurrence)>();
+        foreach (var window in windows)
+        {
+            var occurrence = MaintenanceSchedule.At(window, now);
+            if (occurrence == null)
+            {
+                continue;
+            }
+
+            foreach (var stationId in window.StationIds)
+            {
+                if (!running.TryGetValue(stationId, out var current) || current.Occurrence.End < occurrence.End)
+                {
+                    running[stationId] = (window, occurrence);
+                }
+            }
+        }
+
+        var holds = await context.MaintenanceHolds.ToListAsync(cancellationToken);
+        if (running.Count == 0 && holds.Count == 0)
+        {
+            return;
+        }
+
+        var stationIds = running.Keys.Union(holds.Select(h => h.ChargingStationId)).ToList();
+        var stations = await context.ChargingStations
+            .Include(s => s.Connectors)
+            .Include(s => s.Photos.OrderBy(p => p.SortOrder))
+            .Include(s => s.ChargePointConnectors.OrderBy(c => c.ConnectorId))
+            .Where(s => stationIds.Contains(s.Id))
+            .ToDictionaryAsync(s => s.Id, cancellationToken);
+
+        var changed = new List<(ChargingStation Station, string? PreviousStatus)>();
+
+        foreach (var hold in holds)
+        {
+            // Still in a window (possibly a later or overlapping one): keep holding
+            if (running.TryGetValue(hold.ChargingStationId, out var current))
+            {
+                hold.MaintenanceWindowId = current.Window.Id;
+                hold.OccurrenceStart = current.Occurrence.Start;
+                hold.OccurrenceEnd = current.Occurrence.End;
+                continue;
+            }
+
+            // Stations in the recycle bin are not loaded; their hold just ends
+            if (stations.TryGetValue(hold.ChargingStationId, out var station)
+                && station.Status == StationStatuses.Maintenance
+                && hold.RestoreStatus != null)
+            {
+                var previousStatus = StationStatusUpdate.Apply(context, station, hold.RestoreStatus, Actor, "Maintenance window ended");
+                changed.Add((station, previousStatus));
+            }
+            context.MaintenanceHolds.Remove(hold);
+        }
+
+        var heldStationIds = holds.Select(h => h.ChargingStationId).ToHashSet();
+        foreach (var (stationId, current) in running)
+        {
+            if (heldStationIds.Contains(stationId) || !stations.TryGetValue(stationId, out var station))
+            {
+                continue;
+            }
+
+            // Stations that are not in service have no status to take down
+            if (!StationStatuses.IsInService(station.Status))
+            {
+                continue;
+            }
+
+            var alreadyInMaintenance = station.Status == StationStatuses.Maintenance;
+            context.MaintenanceHolds.Add(new MaintenanceHold
+            {
+                ChargingStationId = stationId,
+                MaintenanceWindowId = current.Window.Id,
+                OccurrenceStart = current.Occurrence.Start,
+                OccurrenceEnd = current.Occurrence.End,
+                RestoreStatus = alreadyInMaintenance ? null : station.Status,
+            });
+
+            if (!alreadyInMaintenance)
+            {
+                var previousStatus = StationStatusUpdate.Apply(
+                    context, station, StationStatuses.Maintenance, Actor, $"Maintenance window: {current.Window.Reason}");
+                changed.Add((station, previousStatus));
+            }
+        }
+
+        await context.SaveChangesAsync(cancellationToken);
+
+        foreach (var (station, previousStatus) in changed)
+        {
+            _events.Publish(new StationEvent
+            {
+                Type = StationEventTypes.StatusChanged,
+                StationId = station.Id,
+                Station = station,
+                PreviousStatus = previousStatus,
+                Actor = Actor,
+                Timestamp = DateTime.UtcNow,
+            });
+        }
+
+        if (changed.Count > 0)
+        {
+            _logger.LogInformation("Maintenance windows changed the status of {Count} station(s)", changed.Count);
+        }
+    }
+
+    private static async Task<bool> WaitForNextCheckAsync(PeriodicTimer timer, CancellationToken stoppingToken)
+    {
+        try
+        {
+            return await timer.WaitForNextTickAsync(stoppingToken);
+        }
+        catch (OperationCanceledException)
+        {
+            return false;
+        }
+    }
+}
@@ -0,0 +1,278 @@
+using System.Collections.Concurrent;
+using System.Net.WebSockets;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Options;
+using ChargingStationAPI.Data;
+using ChargingStationAPI.Models;
+
+namespace ChargingStationAPI.Services;
+
+// OCPP 1.6J central system: accepts charge point WebSocket connections and answers their requests
+public class OcppCentralSystem
+{
+    public const string SubProtocol = "ocpp1.6";
+
+    private readonly IServiceScopeFactory _scopeFactory; // Each message gets its own database context
+    private readonly OcppSettings _settings; // Password and message size limit
+    private readonly ILogger<OcppCentralSystem> _logger; // Logger for error tracking
+
+    // Open connection of each charge point id
+    private readonly ConcurrentDictionary<string, WebSocket> _connections = new();
+
+    public OcppCentralSystem(
+        IServiceScopeFactory scopeFactory,
+        IOptions<OcppSettings> settings,
+        ILogger<OcppCentralSystem> logger)
+    {
+        _scopeFactory = scopeFactory;
+        _settings = settings.Value;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Number of charge points currently connected
+    /// </summary>
+    public int ConnectionCount => _connections.Count;
+
+    /// <summary>
+    /// Serve one charge point connection at {Path}/{chargePointId} until it closes
+    /// Only charge points linked to a station (ChargePointId) are accepted
+    /// </summary>
+    public async Task HandleConnectionAsync(HttpContext context, string chargePointId)
+    {
+        if (!context.WebSockets.IsWebSocketRequest)
+        {
+            context.Response.StatusCode = StatusCodes.Status400BadRequest;
+            await context.Response.WriteAsync("OCPP charge points must connect over WebSocket.");
+            return;
+        }
+
+        if (!IsAuthorized(context.Request, chargePointId))
+        {
+            context.Response.StatusCode = StatusCodes.Status401Unauthorized;
+            context.Response.Headers.WWWAuthenticate = "Basic realm=\"OCPP\"";
+            return;
+        }
+
+        using (var scope = _scopeFactory.CreateScope())
+        {
+            var db = scope.ServiceProvider.GetRequiredService<ApplicationDbContext>();
+            if (!await db.ChargingStations.AnyAsync(s => s.ChargePointId == chargePointId))
+            {
+                _logger.LogWarning("Rejected OCPP connection from unknown charge point {ChargePointId}", chargePointId);
+                context.Response.StatusCode = StatusCodes.Status404NotFound;
+                return;
+            }
+        }
+
+        var requested = context.WebSockets.WebSocketRequestedProtocols;
+        if (requested.Count > 0 && !requested.Contains(SubProtocol))
+        {
+            context.Response.StatusCode = StatusCodes.Status400BadRequest;
+            await context.Response.WriteAsync($"Only the {SubProtocol} subprotocol is supported.");
+            return;
+        }
+
+        using var socket = await context.WebSockets.AcceptWebSocketAsync(requested.Count > 0 ? SubProtocol : null);
+
+        // A charge point that reconnects replaces its old connection
+        if (_connections.TryGetValue(chargePointId, out var previous))
+        {
+            previous.Abort();
+        }
+        _connections[chargePointId] = socket;
+        _logger.LogInformation("Charge point {ChargePointId} connected", chargePointId);
+
+        try
+        {
+            await WithHandlerAsync(handler => handler.SetConnectedAsync(chargePointId, true));
+            await ReceiveLoopAsync(socket, chargePointId, context.RequestAborted);
+        }
+        catch (Exception ex) when (ex is WebSocketException or OperationCanceledException)
+        {
+            // Connection dropped
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error serving charge point {ChargePointId}", chargePointId);
+        }
+        finally
+        {
+            // Only the latest connection of a charge point marks it disconnected
+            if (_connections.TryRemove(new KeyValuePair<string, WebSocket>(chargePointId, socket)))
+            {
+                try
+                {
+                    await WithHandlerAsync(handler => handler.SetConnectedAsync(chargePointId, false));
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error recording disconnect of charge point {ChargePointId}", chargePointId);
+                }
+            }
+            _logger.LogInformation("Charge point {ChargePointId} disconnected", chargePointId);
+        }
+    }
+
+    private async Task ReceiveLoopAsync(WebSocket socket, string chargePointId, CancellationToken cancellationToken)
+    {
+        var buffer = new byte[4096];
+        using var message = new MemoryStream();
+
+        while (socket.State == WebSocketState.Open)
+        {
+            var result = await socket.ReceiveAsync(buffer, cancellationToken);
+            if (result.MessageType == WebSocketMessageType.Close)
+            {
+                await socket.CloseOutputAsync(WebSocketCloseStatus.NormalClosure, null, cancellationToken);
+                return;
+            }
+
+            message.Write(buffer, 0, result.Count);
+            if (message.Length > _settings.MaxMessageBytes)
+            {
+                await socket.CloseAsync(WebSocketCloseStatus.MessageTooBig, "Message too large", cancellationToken);
+                return;
+            }
+            if (!result.EndOfMessage)
+            {
+                continue;
+            }
+
+            var text = Encoding.UTF8.GetString(message.GetBuffer(), 0, (int)message.Length);
+            message.SetLength(0);
+
+            var reply = await HandleMessageAsync(chargePointId, text);
+            if (reply != null)
+            {
+                await socket.SendAsync(Encoding.UTF8.GetBytes(reply), WebSocketMessageType.Text, true, cancellationToken);
+            }
+        }
+    }
+
+    /// <summary>
+    /// Answer one OCPP-J message: [2, id, action, payload] gets [3, id, result] or [4, id, code, description, {}]
+    /// </summary>
+    /// <returns>The reply, or null for messages that need none</returns>
+    private async Task<string?> HandleMessageAsync(string chargePointId, string text)
+    {
+        string messageId;
+        string action;
+        JsonElement payload;
+        try
+        {
+            using var document = JsonDocument.Parse(text);
+            var root = document.RootElement;
+            if (root.ValueKind != JsonValueKind.Array || root.GetArrayLength() < 3)
+            {
+                _logger.LogWarning("Ignoring malformed OCPP message from {ChargePointId}", chargePointId);
+                return null;
+            }
+
+            // Replies to calls from the central system (none are sent yet) need no answer
+            if (root[0].GetInt32() != OcppMessageTypes.Call)
+            {
+                return null;
+            }
+
+            messageId = root[1].GetString() ?? string.Empty;
+            if (root.GetArrayLength() < 4)
+            {
+                return CallError(messageId, OcppErrorCodes.FormationViolation, "A CALL needs an action and a payload.");
+            }
+            action = root[2].GetString() ?? string.Empty;
+            payload = root[3].Clone();
+        }
+        catch (Exception ex) when (ex is JsonException or InvalidOperationException or FormatException)
+        {
+            _logger.LogWarning("Ignoring unreadable OCPP message from {ChargePointId}", chargePointId);
+            return null;
+        }
+
+        try
+        {
+            var result = await WithHandlerAsync(handler => handler.HandleAsync(chargePointId, action, payload));
+            return JsonSerializer.Serialize(new object[] { OcppMessageTypes.CallResult, messageId, result }, OcppJson.Options);
+        }
+        catch (OcppCallException ex)
+        {
+            return CallError(messageId, ex.ErrorCode, ex.Message);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error handling OCPP {Action} from {ChargePointId}", action, chargePointId);
+            return CallError(messageId, OcppErrorCodes.InternalError, "The central system could not process the request.");
+        }
+    }
+
+    /// <summary>
+    /// Run work with a message handler in a fresh scope
+    /// Retried once when an edit of the station was saved at the same time
+    /// </summary>
+    private async Task<T> WithHandlerAsync<T>(Func<OcppMessageHandler, Task<T>> work)
+    {
+        for (var attempt = 1; ; attempt++)
+        {
+            using var scope = _scopeFactory.CreateScope();
+            try
+            {
+                return await work(scope.ServiceProvider.GetRequiredService<OcppMessageHandler>());
+            }
+            catch (DbUpdateConcurrencyException) when (attempt == 1)
+            {
+                // Reload the station and apply the message again
+            }
+        }
+    }
+
+    private Task WithHandlerAsync(Func<OcppMessageHandler, Task> work)
+    {
+        return WithHandlerAsync(async handler =>
+        {
+            await work(handler);
+            return true;
+        });
+    }
+
+    private static string CallError(string messageId, string errorCode, string description)
+    {
+        return JsonSerializer.Serialize(
+            new object[] { OcppMessageTypes.CallError, messageId, errorCode, description, new { } },
+            OcppJson.Options);
+    }
+
+    /// <summary>
+    /// HTTP Basic credentials check (OCPP security profile 1) when a password is configured
+    /// The user name must be the charge point id; without a password (Development only,
+    /// Program.cs does not map the endpoint otherwise) any linked charge point may connect
+    /// </summary>
+    private bool IsAuthorized(HttpRequest request, string chargePointId)
+    {
+        if (string.IsNullOrEmpty(_settings.Password))
+        {
+            return true;
+        }
+
+        var header = request.Headers.Authorization.ToString();
+        if (!header.StartsWith("Basic ", StringComparison.OrdinalIgnoreCase))
+        {
+            return false;
+        }
+
+        string credentials;
+        try
+        {
+            credentials = Encoding.UTF8.GetString(Convert.FromBase64String(header["Basic ".Length..].Trim()));
+        }
+        catch (FormatException)
+        {
+            return false;
+        }
+
+        var expected = Encoding.UTF8.GetBytes($"{chargePointId}:{_settings.Password}");
+        return CryptographicOperations.FixedTimeEquals(Encoding.UTF8.GetBytes(credentials), expected);
+    }
+}
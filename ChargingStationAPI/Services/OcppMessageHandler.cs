@@ -0,0 +1,412 @@
+using System.Globalization;
+using System.Text.Json;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Options;
+using ChargingStationAPI.Data;
+using ChargingStationAPI.Helpers;
+using ChargingStationAPI.Models;
+
+namespace ChargingStationAPI.Services;
+
+// Handles the OCPP 1.6J requests of one charge point message and applies them to its station
+public class OcppMessageHandler
+{
+    private const string DefaultMeasurand = "Energy.Active.Import.Register";
+    private const string PowerMeasurand = "Power.Active.Import";
+    private static readonly TimeSpan LastSeenWriteInterval = TimeSpan.FromMinutes(1); // Heartbeats and meter readings only move the last-seen time this often
+
+    private readonly ApplicationDbContext _context; // Database context for data access
+    private readonly StationEventHub _events; // Pushes changes to connected dashboards
+    private readonly OcppSettings _settings; // Heartbeat interval and accepted id tags
+    private readonly ILogger<OcppMessageHandler> _logger; // Logger for error tracking
+
+    public OcppMessageHandler(
+        ApplicationDbContext context,
+        StationEventHub events,
+        IOptions<OcppSettings> settings,
+        ILogger<OcppMessageHandler> logger)
+    {
+        _context = context;
+        _events = events;
+        _settings = settings.Value;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Handle one CALL from a charge point
+    /// </summary>
+    /// <returns>The CALLRESULT payload</returns>
+    /// <exception cref="OcppCallException">The request is unsupported or invalid</exception>
+    public async Task<object> HandleAsync(string chargePointId, string action, JsonElement payload)
+    {
+        var station = await LoadStationAsync(chargePointId)
+            ?? throw new OcppCallException(OcppErrorCodes.GenericError, "This charge point is not linked to a station.");
+
+        var previousStatus = station.Status;
+        var previousState = LiveState(station);
+        var wasConnected = station.ChargePointConnected;
+
+        object response;
+        switch (action)
+        {
+            case "BootNotification":
+                response = HandleBootNotification(station, Read<BootNotificationRequest>(payload));
+                break;
+            case "Heartbeat":
+                response = new { currentTime = DateTime.UtcNow };
+                break;
+            case "StatusNotification":
+                response = HandleStatusNotification(station, Read<StatusNotificationRequest>(payload));
+                break;
+            case "Authorize":
+                response = new { idTagInfo = new { status = IdTagStatus(Read<AuthorizeRequest>(payload).IdTag) } };
+                break;
+            case "StartTransaction":
+                response = await HandleStartTransactionAsync(station, chargePointId, Read<StartTransactionRequest>(payload));
+                break;
+            case "StopTransaction":
+                response = await HandleStopTransactionAsync(station, Read<StopTransactionRequest>(payload));
+                break;
+            case "MeterValues":
+                response = await HandleMeterValuesAsync(station, Read<MeterValuesRequest>(payload));
+                break;
+            case "DataTransfer":
+                response = new { status = "UnknownVendorId" };
+                break;
+            default:
+                throw new OcppCallException(OcppErrorCodes.NotImplemented, $"{action} is not supported by this central system.");
+        }
+
+        ApplyStationStatus(station, chargePointId);
+        station.ChargePointConnected = true;
+        var now = DateTime.UtcNow;
+        if (station.ChargePointLastSeenAt == null || now - station.ChargePointLastSeenAt.Value >= LastSeenWriteInterval)
+        {
+            station.ChargePointLastSeenAt = now;
+        }
+        await _context.SaveChangesAsync();
+
+        // Meter readings and heartbeats are not pushed to dashboards and webhooks; state changes are
+        if (!wasConnected || LiveState(station) != previousState)
+        {
+            Publish(station, chargePointId, previousStatus);
+        }
+        return response;
+    }
+
+    /// <summary>
+    /// Record that a charge point opened or closed its connection
+    /// </summary>
+    public async Task SetConnectedAsync(string chargePointId, bool connected)
+    {
+        var station = await LoadStationAsync(chargePointId);
+        if (station == null || station.ChargePointConnected == connected)
+        {
+            return;
+        }
+
+        station.ChargePointConnected = connected;
+        station.ChargePointLastSeenAt = DateTime.UtcNow;
+        await _context.SaveChangesAsync();
+        Publish(station, chargePointId, station.Status);
+    }
+
+    private object HandleBootNotification(ChargingStation station, BootNotificationRequest request)
+    {
+        if (string.IsNullOrWhiteSpace(request.ChargePointVendor) || string.IsNullOrWhiteSpace(request.ChargePointModel))
+        {
+            throw OcppCallException.Invalid("chargePointVendor and chargePointModel are required.");
+        }
+
+        station.ChargePointVendor = Truncate(request.ChargePointVendor.Trim(), 20);
+        station.ChargePointModel = Truncate(request.ChargePointModel.Trim(), 20);
+
+        return new
+        {
+            status = "Accepted",
+            currentTime = DateTime.UtcNow,
+            interval = _settings.HeartbeatIntervalSeconds,
+        };
+    }
+
+    private object HandleStatusNotification(ChargingStation station, StatusNotificationRequest request)
+    {
+        if (request.ConnectorId < 0)
+        {
+            throw OcppCallException.Invalid("connectorId must be 0 or higher.");
+        }
+
+        if (!OcppConnectorStatuses.All.Contains(request.Status))
+        {
+            throw OcppCallException.Invalid($"status must be one of: {string.Join(", ", OcppConnectorStatuses.All)}.");
+        }
+
+        var connector = GetOrAddConnector(station, request.ConnectorId);
+        connector.Status = request.Status;
+        connector.ErrorCode = string.IsNullOrWhiteSpace(request.ErrorCode) ? "NoError" : Truncate(request.ErrorCode, 30);
+        connector.Info = string.IsNullOrWhiteSpace(request.Info) ? null : Truncate(request.Info.Trim(), 50);
+        connector.UpdatedAt = ToUtc(request.Timestamp) ?? DateTime.UtcNow;
+        if (connector.TransactionId == null)
+        {
+            connector.PowerKw = null;
+        }
+
+        return new { };
+    }
+
+    private async Task<object> HandleStartTransactionAsync(ChargingStation station, string chargePointId, StartTransactionRequest request)
+    {
+        if (request.ConnectorId < 1)
+        {
+            throw OcppCallException.Invalid("connectorId must be 1 or higher.");
+        }
+
+        if (string.IsNullOrWhiteSpace(request.IdTag))
+        {
+            throw OcppCallException.Invalid("idTag is required.");
+        }
+
+        // The charger ends a transaction that is not accepted, so no session is recorded for it
+        var idTagStatus = IdTagStatus(request.IdTag);
+        if (idTagStatus != OcppAuthorizationStatuses.Accepted)
+        {
+            return new { idTagInfo = new { status = idTagStatus }, transactionId = 0 };
+        }
+
+        var connector = GetOrAddConnector(station, request.ConnectorId);
+        var startedAt = request.Timestamp == default ? DateTime.UtcNow : ToUtc(request.Timestamp)!.Value;
+
+        // A transaction the charger never stopped ends when the next one starts on the connector
+        if (connector.TransactionId != null)
+        {
+            await CloseSessionAsync(station.Id, connector.TransactionId.Value, startedAt, connector.MeterWh, "Other");
+        }
+
+        connector.TransactionId = await _context.NextOcppTransactionIdAsync();
+        connector.IdTag = Truncate(request.IdTag.Trim(), 20);
+        connector.TransactionStartedAt = startedAt;
+        connector.MeterStartWh = request.MeterStart;
+        connector.MeterWh = request.MeterStart;
+        connector.PowerKw = null;
+
+        _context.ChargingSessions.Add(new ChargingSession
+        {
+            ChargingStationId = station.Id,
+            ConnectorId = request.ConnectorId,
+            StartedAt = startedAt,
+            EnergyKwh = 0,
+            IdTag = connector.IdTag,
+            OcppTransactionId = connector.TransactionId,
+            MeterStartWh = request.MeterStart,
+            RecordedBy = ActorFor(chargePointId),
+        });
+
+        return new
+        {
+            idTagInfo = new { status = OcppAuthorizationStatuses.Accepted },
+            transactionId = connector.TransactionId,
+        };
+    }
+
+    private async Task<object> HandleStopTransactionAsync(ChargingStation station, StopTransactionRequest request)
+    {
+        var stoppedAt = request.Timestamp == default ? DateTime.UtcNow : ToUtc(request.Timestamp)!.Value;
+        var reason = string.IsNullOrWhiteSpace(request.Reason) ? "Local" : Truncate(request.Reason.Trim(), 30);
+        await CloseSessionAsync(station.Id, request.TransactionId, stoppedAt, request.MeterStop, reason);
+
+        var connector = station.ChargePointConnectors.FirstOrDefault(c => c.TransactionId == request.TransactionId);
+        if (connector == null)
+        {
+            // Charge points resend transactions they could not deliver; accept them so they are not retried forever
+            _logger.LogWarning(
+                "Charge point of station {StationId} stopped unknown transaction {TransactionId}",
+                station.Id,
+                request.TransactionId);
+        }
+        else
+        {
+            connector.TransactionId = null;
+            connector.IdTag = null;
+            connector.TransactionStartedAt = null;
+            connector.MeterStartWh = null;
+            connector.MeterWh = request.MeterStop;
+            connector.PowerKw = null;
+        }
+
+        return new { idTagInfo = new { status = OcppAuthorizationStatuses.Accepted } };
+    }
+
+    private async Task<object> HandleMeterValuesAsync(ChargingStation station, MeterValuesRequest request)
+    {
+        if (request.ConnectorId < 0)
+        {
+            throw OcppCallException.Invalid("connectorId must be 0 or higher.");
+        }
+
+        // Connector 0 meters the whole charge point; only outlet readings are shown
+        if (request.ConnectorId == 0)
+        {
+            return new { };
+        }
+
+        var connector = GetOrAddConnector(station, request.ConnectorId);
+        foreach (var sample in request.MeterValue.OrderBy(v => v.Timestamp).SelectMany(v => v.SampledValue))
+        {
+            // Totals only; per-phase values would be counted several times
+            if (sample.Phase != null || !double.TryParse(sample.Value, NumberStyles.Float, CultureInfo.InvariantCulture, out var value))
+            {
+                continue;
+            }
+
+            var measurand = sample.Measurand ?? DefaultMeasurand;
+            if (measurand == DefaultMeasurand)
+            {
+                connector.MeterWh = string.Equals(sample.Unit, "kWh", StringComparison.OrdinalIgnoreCase) ? value * 1000 : value;
+            }
+            else if (measurand == PowerMeasurand)
+            {
+                connector.PowerKw = string.Equals(sample.Unit, "kW", StringComparison.OrdinalIgnoreCase) ? value : value / 1000;
+            }
+        }
+
+        // Keep the running session's energy current so usage charts include sessions in progress
+        if (connector.TransactionId != null && connector.MeterWh != null)
+        {
+            var transactionId = connector.TransactionId.Value;
+            var session = await _context.ChargingSessions
+                .FirstOrDefaultAsync(s => s.OcppTransactionId == transactionId && s.StoppedAt == null);
+            if (session?.MeterStartWh != null)
+            {
+                session.EnergyKwh = EnergyKwh(session.MeterStartWh.Value, connector.MeterWh.Value);
+            }
+        }
+
+        return new { };
+    }
+
+    /// <summary>
+    /// Stop the session of an OCPP transaction with the final meter reading
+    /// Transactions the charger resends after a reconnect are ignored once their session has stopped
+    /// </summary>
+    private async Task CloseSessionAsync(int stationId, int transactionId, DateTime stoppedAt, double? meterStopWh, string reason)
+    {
+        var session = await _context.ChargingSessions
+            .FirstOrDefaultAsync(s => s.OcppTransactionId == transactionId && s.ChargingStationId == stationId);
+        if (session == null || session.StoppedAt != null)
+        {
+            return;
+        }
+
+        session.StoppedAt = stoppedAt > session.StartedAt ? stoppedAt : session.StartedAt;
+        session.StopReason = reason;
+        if (meterStopWh != null && session.MeterStartWh != null)
+        {
+            session.EnergyKwh = EnergyKwh(session.MeterStartWh.Value, meterStopWh.Value);
+        }
+    }
+
+    // Energy between two meter readings; a meter that was reset counts as no energy
+    private static double EnergyKwh(double meterStartWh, double meterWh) =>
+        Math.Round(Math.Max(0, meterWh - meterStartWh) / 1000, 3);
+
+    /// <summary>
+    /// Sync connector groups and the station status with the live connectors
+    /// Status changes are recorded in the status history and audit log like manual ones
+    /// </summary>
+    private void ApplyStationStatus(ChargingStation station, string chargePointId)
+    {
+        ChargePointStatus.ApplyToConnectorGroups(station.Connectors, station.ChargePointConnectors);
+
+        var status = ChargePointStatus.DeriveStationStatus(station.ChargePointConnectors);
+        if (status == null || status == station.Status || ChargePointStatus.IsOperatorHeld(station.Status))
+        {
+            return;
+        }
+
+        StationStatusUpdate.Apply(_context, station, status, ActorFor(chargePointId), "Reported by the charge point");
+    }
+
+    /// <summary>
+    /// What a station event reports about the charger: station status, charger identity,
+    /// and each connector's status and running transaction
+    /// </summary>
+    private static string LiveState(ChargingStation station)
+    {
+        var connectors = station.ChargePointConnectors
+            .OrderBy(c => c.ConnectorId)
+            .Select(c => $"{c.ConnectorId}:{c.Status}:{c.ErrorCode}:{c.Info}:{c.TransactionId}");
+        return string.Join("|", new[] { station.Status, station.ChargePointVendor, station.ChargePointModel }.Concat(connectors));
+    }
+
+    private void Publish(ChargingStation station, string chargePointId, string? previousStatus)
+    {
+        var statusChanged = !string.Equals(previousStatus, station.Status, StringComparison.Ordinal);
+        _events.Publish(new StationEvent
+        {
+            Type = statusChanged ? StationEventTypes.StatusChanged : StationEventTypes.Updated,
+            StationId = station.Id,
+            Station = station,
+            PreviousStatus = statusChanged ? previousStatus : null,
+            Actor = ActorFor(chargePointId),
+            Timestamp = DateTime.UtcNow,
+        });
+    }
+
+    private Task<ChargingStation?> LoadStationAsync(string chargePointId)
+    {
+        return _context.ChargingStations
+            .Include(s => s.Connectors)
+            .Include(s => s.Photos.OrderBy(p => p.SortOrder))
+            .Include(s => s.ChargePointConnectors.OrderBy(c => c.ConnectorId))
+            .FirstOrDefaultAsync(s => s.ChargePointId == chargePointId);
+    }
+
+    private static ChargePointConnector GetOrAddConnector(ChargingStation station, int connectorId)
+    {
+        var connector = station.ChargePointConnectors.FirstOrDefault(c => c.ConnectorId == connectorId);
+        if (connector == null)
+        {
+            connector = new ChargePointConnector { ChargingStationId = station.Id, ConnectorId = connectorId };
+            station.ChargePointConnectors.Add(connector);
+        }
+        return connector;
+    }
+
+    private static T Read<T>(JsonElement payload)
+    {
+        try
+        {
+            return payload.Deserialize<T>(OcppJson.Options)
+                ?? throw new OcppCallException(OcppErrorCodes.FormationViolation, "The payload is empty.");
+        }
+        catch (JsonException ex)
+        {
+            throw new OcppCallException(OcppErrorCodes.FormationViolation, $"The payload could not be read: {ex.Message}");
+        }
+    }
+
+    // Only the RFID tags listed in Ocpp:IdTags may charge
+    private string IdTagStatus(string? idTag)
+    {
+        return !string.IsNullOrWhiteSpace(idTag) && _settings.IdTags.Contains(idTag.Trim(), StringComparer.OrdinalIgnoreCase)
+            ? OcppAuthorizationStatuses.Accepted
+            : OcppAuthorizationStatuses.Invalid;
+    }
+
+    // Name recorded in the audit log and status history for changes a charge point reports
+    private static string ActorFor(string chargePointId) => $"ocpp:{chargePointId}";
+
+    // Timestamps with an offset are read as local time; the database stores UTC
+    private static DateTime? ToUtc(DateTime? value)
+    {
+        return value?.Kind switch
+        {
+            null => null,
+            DateTimeKind.Local => value.Value.ToUniversalTime(),
+            DateTimeKind.Unspecified => DateTime.SpecifyKind(value.Value, DateTimeKind.Utc),
+            _ => value,
+        };
+    }
+
+    private static string Truncate(string value, int maxLength) => value.Length <= maxLength ? value : value[..maxLength];
+}
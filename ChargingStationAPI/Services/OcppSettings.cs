@@ -0,0 +1,13 @@
+namespace ChargingStationAPI.Services;
+
+// OCPP central system settings bound from the "Ocpp" configuration section
+public class OcppSettings
+{
+    public const string SectionName = "Ocpp";
+
+    public string Path { get; set; } = "/ocpp"; // Charge points connect to {Path}/{chargePointId}
+    public int HeartbeatIntervalSeconds { get; set; } = 60; // Heartbeat interval sent in BootNotification responses
+    public string? Password { get; set; } // Charge points use HTTP Basic auth with their id and this password; required outside Development
+    public List<string> IdTags { get; set; } = new(); // RFID tags drivers may charge with; other tags are answered Invalid
+    public int MaxMessageBytes { get; set; } = 64 * 1024; // Larger messages close the connection
+}
@@ -0,0 +1,15 @@
+namespace ChargingStationAPI.Services;
+
+// Outgoing mail settings bound from the "Smtp" configuration section
+public class SmtpSettings
+{
+    public const string SectionName = "Smtp";
+
+    public string? Host { get; set; } // Email is not sent while this is empty
+    public int Port { get; set; } = 25;
+    public bool EnableSsl { get; set; } // Use STARTTLS
+    public string? Username { get; set; } // Leave empty for servers without authentication (e.g. a local mail catcher)
+    public string? Password { get; set; }
+    public string From { get; set; } = "alerts@chargehub.local"; // Sender address of alert email
+    public string FromName { get; set; } = "ChargeHub Alerts"; // Sender display name
+}
@@ -0,0 +1,68 @@
+using System.Collections.Concurrent;
+using System.Threading.Channels;
+using ChargingStationAPI.Models;
+
+namespace ChargingStationAPI.Services;
+
+// In-memory fan-out of station events to every connected event stream
+public class StationEventHub
+{
+    private const int SubscriberBufferSize = 256; // Events kept for a slow client before the oldest are dropped
+
+    private readonly ConcurrentDictionary<Guid, Channel<StationEvent>> _subscribers = new();
+
+    /// <summary>
+    /// Number of open event streams
+    /// </summary>
+    public int SubscriberCount => _subscribers.Count;
+
+    /// <summary>
+    /// Start receiving events; dispose the subscription to stop
+    /// </summary>
+    /// <param name="bufferSize">Events kept for the subscriber before the oldest are dropped</param>
+    public StationEventSubscription Subscribe(int bufferSize = SubscriberBufferSize)
+    {
+        var id = Guid.NewGuid();
+        var channel = Channel.CreateBounded<StationEvent>(new BoundedChannelOptions(bufferSize)
+        {
+            FullMode = BoundedChannelFullMode.DropOldest,
+            SingleReader = true,
+        });
+        _subscribers[id] = channel;
+
+        return new StationEventSubscription(channel.Reader, () =>
+        {
+            if (_subscribers.TryRemove(id, out var removed))
+            {
+                removed.Writer.TryComplete();
+            }
+        });
+    }
+
+    /// <summary>
+    /// Send an event to every subscriber without waiting for them
+    /// </summary>
+    public void Publish(StationEvent stationEvent)
+    {
+        foreach (var channel in _subscribers.Values)
+        {
+            channel.Writer.TryWrite(stationEvent);
+        }
+    }
+}
+
+// One open event stream's view of the hub
+public sealed class StationEventSubscription : IDisposable
+{
+    private readonly Action _unsubscribe;
+
+    public StationEventSubscription(ChannelReader<StationEvent> reader, Action unsubscribe)
+    {
+        Reader = reader;
+        _unsubscribe = unsubscribe;
+    }
+
+    public ChannelReader<StationEvent> Reader { get; }
+
+    public void Dispose() => _unsubscribe();
+}
@@ -0,0 +1,84 @@
+using System.IdentityModel.Tokens.Jwt;
+using System.Security.Claims;
+using System.Security.Cryptography;
+using System.Text;
+using Microsoft.Extensions.Options;
+using Microsoft.IdentityModel.Tokens;
+using ChargingStationAPI.Models;
+
+namespace ChargingStationAPI.Services;
+
+// Issues signed access tokens and random refresh tokens
+public class TokenService
+{
+    // Claim names written to access tokens (also used to read them back)
+    public const string NameClaim = "unique_name";
+    public const string RoleClaim = "role";
+    public const string DisplayNameClaim = "name";
+
+    private readonly JwtSettings _settings;
+
+    public TokenService(IOptions<JwtSettings> settings)
+    {
+        _settings = settings.Value;
+    }
+
+    /// <summary>
+    /// Key used to sign and validate access tokens
+    /// </summary>
+    public static SymmetricSecurityKey CreateSigningKey(JwtSettings settings)
+    {
+        if (string.IsNullOrEmpty(settings.SigningKey) || settings.SigningKey.Length < 32)
+        {
+            throw new InvalidOperationException("Jwt:SigningKey must be set to at least 32 characters.");
+        }
+
+        return new SymmetricSecurityKey(Encoding.UTF8.GetBytes(settings.SigningKey));
+    }
+
+    /// <summary>
+    /// Create a signed access token carrying the user's name and role
+    /// </summary>
+    public (string Token, DateTime ExpiresAt) CreateAccessToken(AppUser user)
+    {
+        var expiresAt = DateTime.UtcNow.AddMinutes(_settings.AccessTokenMinutes);
+        var claims = new List<Claim>
+        {
+            new(JwtRegisteredClaimNames.Sub, user.Id.ToString()),
+            new(NameClaim, user.Username),
+            new(RoleClaim, user.Role),
+            new(JwtRegisteredClaimNames.Jti, Guid.NewGuid().ToString()),
+        };
+
+        if (!string.IsNullOrWhiteSpace(user.DisplayName))
+        {
+            claims.Add(new(DisplayNameClaim, user.DisplayName));
+        }
+
+        var token = new JwtSecurityToken(
+            issuer: _settings.Issuer,
+            audience: _settings.Audience,
+            claims: claims,
+            expires: expiresAt,
+            signingCredentials: new SigningCredentials(CreateSigningKey(_settings), SecurityAlgorithms.HmacSha256));
+
+        return (new JwtSecurityTokenHandler().WriteToken(token), expiresAt);
+    }
+
+    /// <summary>
+    /// Create a random refresh token and the hash to store for it
+    /// </summary>
+    public (string Token, string Hash, DateTime ExpiresAt) CreateRefreshToken()
+    {
+        var token = Base64UrlEncoder.Encode(RandomNumberGenerator.GetBytes(64));
+        return (token, HashToken(token), DateTime.UtcNow.AddDays(_settings.RefreshTokenDays));
+    }
+
+    /// <summary>
+    /// SHA-256 hash of a refresh token, as stored in the database
+    /// </summary>
+    public static string HashToken(string token)
+    {
+        return Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(token)));
+    }
+}
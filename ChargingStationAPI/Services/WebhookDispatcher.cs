@@ -0,0 +1,259 @@
+using System.Text.Json;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Options;
+using ChargingStationAPI.Data;
+using ChargingStationAPI.Models;
+
+namespace ChargingStationAPI.Services;
+
+// Queues a delivery for every station event and subscribed webhook, then posts queued deliveries,
+// retrying failed ones with exponential backoff until MaxAttempts
+// Deliveries are stored before they are sent, so a restart resumes pending ones
+public class WebhookDispatcher : BackgroundService
+{
+    public const int MaxAttempts = 8; // Attempts before a delivery is given up (about an hour of retries)
+
+    private const int EventBufferSize = 10000; // Station events held while deliveries are sent (bulk imports publish many)
+    private const int MaxDeliveriesPerRound = 50; // Later due deliveries are sent in the next round
+    private static readonly TimeSpan PollInterval = TimeSpan.FromSeconds(5); // How often due retries are looked for
+    private static readonly TimeSpan FirstRetryDelay = TimeSpan.FromSeconds(30); // Doubled after every failed attempt
+    private static readonly TimeSpan DeliveryRetention = TimeSpan.FromDays(30); // Older deliveries are removed from the log
+    private static readonly TimeSpan CleanupInterval = TimeSpan.FromHours(1); // How often old deliveries are removed
+
+    private readonly IServiceScopeFactory _scopeFactory; // Each round gets its own database context
+    private readonly StationEventHub _events; // Source of station events
+    private readonly WebhookSender _sender; // Posts deliveries
+    private readonly JsonSerializerOptions _jsonOptions; // Same JSON shape as the API responses
+    private readonly ILogger<WebhookDispatcher> _logger; // Logger for error tracking
+    private DateTime _nextCleanupAt = DateTime.MinValue; // When old deliveries are removed next (UTC)
+
+    public WebhookDispatcher(
+        IServiceScopeFactory scopeFactory,
+        StationEventHub events,
+        WebhookSender sender,
+        IOptions<JsonOptions> jsonOptions,
+        ILogger<WebhookDispatcher> logger)
+    {
+        _scopeFactory = scopeFactory;
+        _events = events;
+        _sender = sender;
+        _jsonOptions = jsonOptions.Value.JsonSerializerOptions;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Delay before the next attempt after a failed one
+    /// </summary>
+    /// <param name="attempts">Attempts made so far (1 or more)</param>
+    public static TimeSpan RetryDelay(int attempts)
+    {
+        return FirstRetryDelay * Math.Pow(2, Math.Max(0, attempts - 1));
+    }
+
+    /// <summary>
+    /// Settle a delivery after an attempt: done on success, otherwise queued for a retry or given up
+    /// </summary>
+    public static void RecordAttempt(WebhookDelivery delivery, bool succeeded, DateTime now)
+    {
+        if (succeeded)
+        {
+            delivery.Status = WebhookDeliveryStatuses.Succeeded;
+            delivery.NextAttemptAt = null;
+        }
+        else if (delivery.Attempts >= MaxAttempts)
+        {
+            delivery.Status = WebhookDeliveryStatuses.Failed;
+            delivery.NextAttemptAt = null;
+        }
+        else
+        {
+            delivery.Status = WebhookDeliveryStatuses.Pending;
+            delivery.NextAttemptAt = now + RetryDelay(delivery.Attempts);
+        }
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        using var subscription = _events.Subscribe(EventBufferSize);
+        do
+        {
+            try
+            {
+                var stationEvents = new List<StationEvent>();
+                while (subscription.Reader.TryRead(out var stationEvent))
+                {
+                    stationEvents.Add(stationEvent);
+                }
+
+                await QueueDeliveriesAsync(stationEvents, stoppingToken);
+                await SendDueDeliveriesAsync(stoppingToken);
+                await RemoveOldDeliveriesAsync(stoppingToken);
+            }
+            catch (Exception ex) when (!stoppingToken.IsCancellationRequested)
+            {
+                _logger.LogError(ex, "Error dispatching webhooks");
+            }
+        }
+        while (await WaitForWorkAsync(subscription, stoppingToken));
+    }
+
+    /// <summary>
+    /// Store a delivery for each event and enabled webhook subscribed to its type
+    /// </summary>
+    private async Task QueueDeliveriesAsync(List<StationEvent> stationEvents, CancellationToken cancellationToken)
+    {
+        if (stationEvents.Count == 0)
+        {
+            return;
+        }
+
+        using var scope = _scopeFactory.CreateScope();
+        var context = scope.ServiceProvider.GetRequiredService<ApplicationDbContext>();
+        var webhooks = await context.Webhooks
+            .AsNoTracking()
+            .Where(w => w.Enabled)
+            .ToListAsync(cancellationToken);
+        if (webhooks.Count == 0)
+        {
+            return;
+        }
+
+        var now = DateTime.UtcNow;
+        foreach (var stationEvent in stationEvents)
+        {
+            var eventType = WebhookEventTypes.FromStationEvent(stationEvent.Type);
+            var subscribers = webhooks.Where(w => eventType != null && w.EventTypes.Contains(eventType)).ToList();
+            if (subscribers.Count == 0)
+            {
+                continue;
+            }
+
+            var webhookEvent = new WebhookEvent
+            {
+                Id = Guid.NewGuid(),
+                Type = eventType!,
+                CreatedAt = stationEvent.Timestamp,
+                Data = new WebhookStationEventData
+                {
+                    StationId = stationEvent.StationId,
+                    Station = stationEvent.Station,
+                    PreviousStatus = stationEvent.PreviousStatus,
+                    Actor = stationEvent.Actor,
+                },
+            };
+            var payload = JsonSerializer.Serialize(webhookEvent, _jsonOptions);
+
+            foreach (var webhook in subscribers)
+            {
+                context.WebhookDeliveries.Add(new WebhookDelivery
+                {
+                    WebhookId = webhook.Id,
+                    EventId = webhookEvent.Id,
+                    EventType = webhookEvent.Type,
+                    ChargingStationId = stationEvent.StationId,
+                    Payload = payload,
+                    NextAttemptAt = now,
+                    CreatedAt = now,
+                });
+            }
+        }
+
+        await context.SaveChangesAsync(cancellationToken);
+    }
+
+    /// <summary>
+    /// Post pending deliveries whose next attempt is due
+    /// </summary>
+    private async Task SendDueDeliveriesAsync(CancellationToken cancellationToken)
+    {
+        using var scope = _scopeFactory.CreateScope();
+        var context = scope.ServiceProvider.GetRequiredService<ApplicationDbContext>();
+
+        // Webhooks switched off stop their queued deliveries too
+        await context.WebhookDeliveries
+            .Where(d => d.Status == WebhookDeliveryStatuses.Pending)
+            .Where(d => !context.Webhooks.Any(w => w.Id == d.WebhookId && w.Enabled))
+            .ExecuteUpdateAsync(d => d
+                .SetProperty(x => x.Status, WebhookDeliveryStatuses.Failed)
+                .SetProperty(x => x.NextAttemptAt, (DateTime?)null)
+                .SetProperty(x => x.Error, "Webhook was disabled before the event was delivered"),
+                cancellationToken);
+
+        var now = DateTime.UtcNow;
+        var due = await context.WebhookDeliveries
+            .Where(d => d.Status == WebhookDeliveryStatuses.Pending && d.NextAttemptAt <= now)
+            .OrderBy(d => d.NextAttemptAt)
+            .ThenBy(d => d.Id)
+            .Take(MaxDeliveriesPerRound)
+            .ToListAsync(cancellationToken);
+        if (due.Count == 0)
+        {
+            return;
+        }
+
+        var webhookIds = due.Select(d => d.WebhookId).Distinct().ToList();
+        var webhooks = await context.Webhooks
+            .AsNoTracking()
+            .Where(w => webhookIds.Contains(w.Id))
+            .ToDictionaryAsync(w => w.Id, cancellationToken);
+
+        foreach (var delivery in due)
+        {
+            if (!webhooks.TryGetValue(delivery.WebhookId, out var webhook))
+            {
+                continue; // Removed meanwhile; its deliveries go with it
+            }
+
+            var succeeded = await _sender.SendAsync(webhook, delivery, cancellationToken);
+            RecordAttempt(delivery, succeeded, DateTime.UtcNow);
+            if (!succeeded)
+            {
+                _logger.LogWarning(
+                    "Webhook {WebhookId} delivery {DeliveryId} attempt {Attempt} failed: {Error}",
+                    webhook.Id, delivery.Id, delivery.Attempts, delivery.Error);
+            }
+
+            // Save each attempt so a restart does not send it again
+            await context.SaveChangesAsync(cancellationToken);
+        }
+    }
+
+    /// <summary>
+    /// Remove deliveries older than the retention period, at most once per CleanupInterval
+    /// </summary>
+    private async Task RemoveOldDeliveriesAsync(CancellationToken cancellationToken)
+    {
+        var now = DateTime.UtcNow;
+        if (now < _nextCleanupAt)
+        {
+            return;
+        }
+
+        using var scope = _scopeFactory.CreateScope();
+        var context = scope.ServiceProvider.GetRequiredService<ApplicationDbContext>();
+        var retainedSince = now - DeliveryRetention;
+        await context.WebhookDeliveries
+            .Where(d => d.CreatedAt < retainedSince && d.Status != WebhookDeliveryStatuses.Pending)
+            .ExecuteDeleteAsync(cancellationToken);
+        _nextCleanupAt = now + CleanupInterval;
+    }
+
+    /// <summary>
+    /// Wait until a station event arrives or the poll interval passes
+    /// </summary>
+    /// <returns>False when the service is stopping</returns>
+    private static async Task<bool> WaitForWorkAsync(StationEventSubscription subscription, CancellationToken stoppingToken)
+    {
+        using var poll = CancellationTokenSource.CreateLinkedTokenSource(stoppingToken);
+        poll.CancelAfter(PollInterval);
+        try
+        {
+            return await subscription.Reader.WaitToReadAsync(poll.Token);
+        }
+        catch (OperationCanceledException)
+        {
+            return !stoppingToken.IsCancellationRequested;
+        }
+    }
+}
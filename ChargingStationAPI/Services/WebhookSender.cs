@@ -0,0 +1,125 @@
+using System.Diagnostics;
+using System.Globalization;
+using System.Security.Cryptography;
+using System.Text;
+using ChargingStationAPI.Models;
+
+namespace ChargingStationAPI.Services;
+
+// Posts webhook deliveries, signed with the webhook's secret, and records how each attempt went
+// Receivers check a request by computing HMAC-SHA256 over "{X-ChargeHub-Timestamp}.{body}" with the secret
+// and comparing it with X-ChargeHub-Signature ("sha256=<hex>")
+public class WebhookSender
+{
+    public const string HttpClientName = "Webhooks"; // Named HttpClient registered in Program.cs
+    public const string EventHeader = "X-ChargeHub-Event"; // Event type
+    public const string DeliveryHeader = "X-ChargeHub-Delivery"; // Event id, for receivers to skip repeats
+    public const string TimestampHeader = "X-ChargeHub-Timestamp"; // Unix seconds when the attempt was signed
+    public const string SignatureHeader = "X-ChargeHub-Signature"; // "sha256=" + HMAC of timestamp and body
+    public static readonly TimeSpan Timeout = TimeSpan.FromSeconds(10); // Longest wait for a webhook to answer
+
+    private readonly IHttpClientFactory _httpClientFactory;
+
+    public WebhookSender(IHttpClientFactory httpClientFactory)
+    {
+        _httpClientFactory = httpClientFactory;
+    }
+
+    /// <summary>
+    /// New random signing secret for a webhook
+    /// </summary>
+    public static string CreateSecret()
+    {
+        return "whsec_" + Convert.ToHexString(RandomNumberGenerator.GetBytes(24)).ToLowerInvariant();
+    }
+
+    /// <summary>
+    /// Signature header value for a body sent at the given time
+    /// </summary>
+    /// <param name="timestamp">Unix seconds, as sent in X-ChargeHub-Timestamp</param>
+    public static string Sign(string secret, string timestamp, string body)
+    {
+        var hash = HMACSHA256.HashData(Encoding.UTF8.GetBytes(secret), Encoding.UTF8.GetBytes($"{timestamp}.{body}"));
+        return "sha256=" + Convert.ToHexString(hash).ToLowerInvariant();
+    }
+
+    /// <summary>
+    /// Post a delivery's payload to its webhook once and record the attempt on the delivery
+    /// (Attempts, LastAttemptAt, ResponseStatusCode, ResponseBody, Error and DurationMs); the caller saves it
+    /// </summary>
+    /// <returns>True when the webhook answered with a 2xx status</returns>
+    public async Task<bool> SendAsync(Webhook webhook, WebhookDelivery delivery, CancellationToken cancellationToken = default)
+    {
+        var timestamp = DateTimeOffset.UtcNow.ToUnixTimeSeconds().ToString(CultureInfo.InvariantCulture);
+        using var request = new HttpRequestMessage(HttpMethod.Post, webhook.Url)
+        {
+            Content = new StringContent(delivery.Payload, Encoding.UTF8, "application/json"),
+        };
+        request.Headers.Add(EventHeader, delivery.EventType);
+        request.Headers.Add(DeliveryHeader, delivery.EventId.ToString());
+        request.Headers.Add(TimestampHeader, timestamp);
+        request.Headers.Add(SignatureHeader, Sign(webhook.Secret, timestamp, delivery.Payload));
+
+        delivery.Attempts++;
+        delivery.LastAttemptAt = DateTime.UtcNow;
+        delivery.ResponseStatusCode = null;
+        delivery.ResponseBody = null;
+        delivery.Error = null;
+
+        var client = _httpClientFactory.CreateClient(HttpClientName);
+        var stopwatch = Stopwatch.StartNew();
+        try
+        {
+            using var response = await client.SendAsync(request, HttpCompletionOption.ResponseHeadersRead, cancellationToken);
+            delivery.ResponseStatusCode = (int)response.StatusCode;
+            delivery.ResponseBody = await ReadBodyStartAsync(response, cancellationToken);
+            if (!response.IsSuccessStatusCode)
+            {
+                delivery.Error = $"Webhook answered {(int)response.StatusCode} {response.ReasonPhrase}".TrimEnd();
+            }
+            return response.IsSuccessStatusCode;
+        }
+        catch (HttpRequestException ex)
+        {
+            delivery.Error = Truncate(ex.Message, WebhookDelivery.MaxErrorLength);
+            return false;
+        }
+        catch (TaskCanceledException) when (!cancellationToken.IsCancellationRequested)
+        {
+            delivery.Error = $"No answer within {Timeout.TotalSeconds:0} seconds";
+            return false;
+        }
+        finally
+        {
+            delivery.DurationMs = (int)stopwatch.ElapsedMilliseconds;
+        }
+    }
+
+    /// <summary>
+    /// First characters of a response body, for the delivery log
+    /// The client timeout ends at the response headers, so reading the body has its own
+    /// </summary>
+    private static async Task<string?> ReadBodyStartAsync(HttpResponseMessage response, CancellationToken cancellationToken)
+    {
+        using var timeout = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+        timeout.CancelAfter(Timeout);
+        try
+        {
+            await using var stream = await response.Content.ReadAsStreamAsync(timeout.Token);
+            using var reader = new StreamReader(stream, Encoding.UTF8);
+            var buffer = new char[WebhookDelivery.MaxResponseBodyLength];
+            var read = await reader.ReadBlockAsync(buffer.AsMemory(), timeout.Token);
+            return read == 0 ? null : new string(buffer, 0, read);
+        }
+        catch (Exception ex) when (ex is HttpRequestException || (ex is OperationCanceledException && !cancellationToken.IsCancellationRequested))
+        {
+            // The status code is what counts; a slow or broken body is not a failed delivery
+            return null;
+        }
+    }
+
+    private static string Truncate(string value, int maxLength)
+    {
+        return value.Length <= maxLength ? value : value[..(maxLength - 1)] + "…";
+    }
+}
@@ -1,15 +1,53 @@
+import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import Dashboard from './pages/Dashboard';
+import StationDetail from './pages/StationDetail';
+import Login from './pages/Login';
+import Webhooks from './pages/Webhooks';
+import { AuthProvider, useAuth } from './context/AuthContext';
+import { StationEventsProvider } from './context/StationEventsContext';
+import { ROLES } from './constants/roles';
 import './App.css';
 
+/**
+ * AppContent Component
+ *
+ * Routes signed-in users to the Dashboard (/) or a station's detail page
+ * (/stations/:id); admins also reach the webhooks page (/webhooks).
+ * Signed-out users see the Login page at any URL and land on the requested
+ * page after signing in.
+ */
+function AppContent() {
+  const { user, hasRole } = useAuth();
+  if (!user) {
+    return <Login />;
+  }
+
+  return (
+    <Routes>
+      <Route path="/" element={<Dashboard />} />
+      <Route path="/stations/:id" element={<StationDetail />} />
+      {hasRole(ROLES.ADMIN) && <Route path="/webhooks" element={<Webhooks />} />}
+      <Route path="*" element={<Navigate to="/" replace />} />
+    </Routes>
+  );
+}
+
 /**
  * App Component
- * 
- * Main application component that renders the Dashboard.
+ *
+ * Main application component; provides routing, the signed-in user and
+ * live station updates to the app.
  */
 function App() {
   return (
     <div className="App">
-      <Dashboard />
+      <BrowserRouter>
+        <AuthProvider>
+          <StationEventsProvider>
+            <AppContent />
+          </StationEventsProvider>
+        </AuthProvider>
+      </BrowserRouter>
     </div>
   );
 }
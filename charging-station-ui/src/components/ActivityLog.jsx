@@ -0,0 +1,194 @@
+import { useState, useEffect } from 'react';
+import Loader from './Loader';
+import Pagination from './Pagination';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import { getAuditLog, getStationAuditLog } from '../services/stationApi';
+import { AUDIT_ACTIONS, getAuditAction, getAuditFieldLabel } from '../constants/auditActions';
+import { summarizeAuditEntry, formatAuditValue } from '../utils/auditLog';
+
+const PAGE_SIZE = 20;
+
+const inputClass =
+  'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-colors bg-white text-sm';
+
+/**
+ * ActivityLog Component
+ *
+ * Audit trail of station creates, updates and deletes with field-level
+ * before/after values, newest first.
+ * With stationId it shows that station's entries; without it, a paged
+ * log of all stations filtered by action and actor.
+ */
+const ActivityLog = ({ stationId }) => {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [action, setAction] = useState('');
+  const [actor, setActor] = useState('');
+  const [page, setPage] = useState(1);
+  const [pageInfo, setPageInfo] = useState({ totalCount: 0, totalPages: 0 });
+  const debouncedActor = useDebouncedValue(actor.trim());
+  const isStationLog = stationId != null;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadEntries = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        if (isStationLog) {
+          const data = await getStationAuditLog(stationId);
+          if (!cancelled) {
+            setEntries(Array.isArray(data) ? data : []);
+          }
+        } else {
+          const data = await getAuditLog({
+            page,
+            pageSize: PAGE_SIZE,
+            action: action || undefined,
+            actor: debouncedActor || undefined,
+          });
+          if (!cancelled) {
+            setEntries(data.items || []);
+            setPageInfo({ totalCount: data.totalCount || 0, totalPages: data.totalPages || 0 });
+          }
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load activity');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadEntries();
+    return () => {
+      cancelled = true;
+    };
+  }, [isStationLog, stationId, page, action, debouncedActor]);
+
+  // Filters apply from the first page
+  const handleActionChange = (e) => {
+    setAction(e.target.value);
+    setPage(1);
+  };
+
+  const handleActorChange = (e) => {
+    setActor(e.target.value);
+    setPage(1);
+  };
+
+  const renderEntries = () => {
+    if (loading) {
+      return <Loader size="sm" text="Loading activity..." />;
+    }
+
+    if (error) {
+      return <p className="text-sm text-red-600">{error}</p>;
+    }
+
+    if (entries.length === 0) {
+      return <p className="text-sm text-gray-500">No activity recorded yet.</p>;
+    }
+
+    return (
+      <ul className="space-y-3">
+        {entries.map((entry) => (
+          <li key={entry.id} className="border border-gray-200 rounded-lg">
+            <details>
+              <summary className="px-3 py-2 cursor-pointer list-none">
+                <div className="flex flex-wrap items-center gap-2">
+                  <span
+                    className={`px-2 py-0.5 rounded-full text-xs font-medium ${getAuditAction(entry.action).badgeClass}`}
+                  >
+                    {entry.action}
+                  </span>
+                  {!isStationLog && (
+                    <span className="text-sm font-medium text-gray-900">{entry.stationName}</span>
+                  )}
+                  <span className="text-sm text-gray-700">{summarizeAuditEntry(entry)}</span>
+                </div>
+                <div className="mt-1 text-xs text-gray-500">
+                  {new Date(entry.timestamp).toLocaleString()} · {entry.actor}
+                </div>
+              </summary>
+              {entry.changes?.length > 0 && (
+                <div className="px-3 pb-3 overflow-x-auto">
+                  <table className="min-w-full text-xs">
+                    <thead>
+                      <tr className="text-left text-gray-500 border-b border-gray-200">
+                        <th className="py-1.5 pr-3 font-medium">Field</th>
+                        <th className="py-1.5 pr-3 font-medium">Before</th>
+                        <th className="py-1.5 font-medium">After</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {entry.changes.map((change) => (
+                        <tr key={change.id || change.field} className="border-b border-gray-100 align-top">
+                          <td className="py-1.5 pr-3 font-medium text-gray-700 whitespace-nowrap">
+                            {getAuditFieldLabel(change.field)}
+                          </td>
+                          <td className="py-1.5 pr-3 text-red-700 break-all">{formatAuditValue(change.oldValue)}</td>
+                          <td className="py-1.5 text-green-700 break-all">{formatAuditValue(change.newValue)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </details>
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Filters - only for the log of all stations */}
+      {!isStationLog && (
+        <div className="flex flex-wrap gap-2">
+          <select
+            value={action}
+            onChange={handleActionChange}
+            className={inputClass}
+            aria-label="Filter by action"
+          >
+            <option value="">All actions</option>
+            {AUDIT_ACTIONS.map((a) => (
+              <option key={a.value} value={a.value}>
+                {a.value}
+              </option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={actor}
+            onChange={handleActorChange}
+            placeholder="Filter by user"
+            className={`${inputClass} flex-1 min-w-[10rem]`}
+            aria-label="Filter by user"
+          />
+        </div>
+      )}
+
+      {renderEntries()}
+
+      {!isStationLog && pageInfo.totalPages > 1 && (
+        <Pagination
+          currentPage={page}
+          totalPages={pageInfo.totalPages}
+          totalItems={pageInfo.totalCount}
+          pageSize={PAGE_SIZE}
+          onPageChange={setPage}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ActivityLog;
@@ -0,0 +1,219 @@
+import { useState } from 'react';
+import {
+  ALERT_RULE_TYPES,
+  MAX_PIN_CODE_PREFIX_LENGTH,
+  MAX_RULE_NAME_LENGTH,
+  MAX_THRESHOLD_HOURS,
+  getAlertRuleType,
+} from '../constants/alerts';
+import { STATION_STATUSES } from '../constants/stationStatuses';
+import { toAlertRulePayload, validateAlertRule } from '../utils/alerts';
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-colors bg-white text-sm';
+const checkboxClass = 'rounded border-gray-300 text-blue-600 focus:ring-blue-500';
+
+/**
+ * AlertRuleForm Component
+ *
+ * Add or edit one alert rule: what it watches (a station entering a status,
+ * staying in one too long, or the available share of stations dropping), the
+ * pin code prefix it is limited to, and who hears about it - every user in
+ * the app, email addresses, or both. onSave(payload) saves and throws with a
+ * message on failure.
+ */
+const AlertRuleForm = ({ rule, onSave, onCancel }) => {
+  const isNew = rule.id == null;
+
+  const [form, setForm] = useState(() => ({
+    ...rule,
+    thresholdHours: rule.thresholdHours != null ? String(rule.thresholdHours) : '4',
+    thresholdPercent: rule.thresholdPercent != null ? String(rule.thresholdPercent) : '80',
+    pinCodePrefix: rule.pinCodePrefix || '',
+    emailRecipients: Array.isArray(rule.emailRecipients) ? rule.emailRecipients.join(', ') : rule.emailRecipients,
+  }));
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const ruleType = getAlertRuleType(form.type);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm((prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    setError(null);
+  };
+
+  const toggleStatus = (status) => {
+    setForm((prev) => ({
+      ...prev,
+      statuses: prev.statuses.includes(status)
+        ? prev.statuses.filter((s) => s !== status)
+        : [...prev.statuses, status],
+    }));
+    setError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validationError = validateAlertRule(form);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await onSave(toAlertRulePayload(form));
+    } catch (err) {
+      setError(err.message || 'Failed to save the alert rule');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="p-3 rounded-lg border border-gray-200 bg-gray-50 space-y-3">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <label className="text-xs text-gray-600">
+          Name
+          <input
+            type="text"
+            name="name"
+            maxLength={MAX_RULE_NAME_LENGTH}
+            value={form.name}
+            onChange={handleChange}
+            required
+            className={`${inputClass} mt-1`}
+            placeholder="e.g. Stations down"
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          Alert when
+          <select name="type" value={form.type} onChange={handleChange} className={`${inputClass} mt-1`}>
+            {ALERT_RULE_TYPES.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {ruleType.usesStatuses && (
+        <fieldset>
+          <legend className="text-xs text-gray-600 mb-1">Statuses</legend>
+          <div className="flex flex-wrap gap-x-4 gap-y-1">
+            {STATION_STATUSES.filter((status) => !status.available).map(({ value }) => (
+              <label key={value} className="flex items-center gap-1.5 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.statuses.includes(value)}
+                  onChange={() => toggleStatus(value)}
+                  className={checkboxClass}
+                />
+                {value}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        {form.type === 'DownTooLong' && (
+          <label className="text-xs text-gray-600">
+            For more than (hours)
+            <input
+              type="number"
+              name="thresholdHours"
+              min="0.25"
+              max={MAX_THRESHOLD_HOURS}
+              step="0.25"
+              value={form.thresholdHours}
+              onChange={handleChange}
+              required
+              className={`${inputClass} mt-1`}
+            />
+          </label>
+        )}
+        {form.type === 'AvailabilityBelow' && (
+          <label className="text-xs text-gray-600">
+            Available share below (%)
+            <input
+              type="number"
+              name="thresholdPercent"
+              min="1"
+              max="100"
+              step="1"
+              value={form.thresholdPercent}
+              onChange={handleChange}
+              required
+              className={`${inputClass} mt-1`}
+            />
+            <span className="block mt-0.5 text-gray-400">Planned and decommissioned stations are not counted</span>
+          </label>
+        )}
+        <label className="text-xs text-gray-600">
+          Pin code prefix
+          <input
+            type="text"
+            name="pinCodePrefix"
+            maxLength={MAX_PIN_CODE_PREFIX_LENGTH}
+            value={form.pinCodePrefix}
+            onChange={handleChange}
+            className={`${inputClass} mt-1`}
+            placeholder="e.g. 560"
+          />
+          <span className="block mt-0.5 text-gray-400">Leave empty to watch all stations</span>
+        </label>
+      </div>
+
+      <label className="block text-xs text-gray-600">
+        Email to
+        <textarea
+          name="emailRecipients"
+          rows={2}
+          value={form.emailRecipients}
+          onChange={handleChange}
+          className={`${inputClass} mt-1 resize-y`}
+          placeholder="ops@example.com, lead@example.com"
+        />
+      </label>
+
+      <div className="flex flex-wrap gap-x-4 gap-y-1">
+        <label className="flex items-center gap-1.5 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            name="notifyInApp"
+            checked={form.notifyInApp}
+            onChange={handleChange}
+            className={checkboxClass}
+          />
+          Notify all users in the app
+        </label>
+        <label className="flex items-center gap-1.5 text-sm text-gray-700">
+          <input type="checkbox" name="enabled" checked={form.enabled} onChange={handleChange} className={checkboxClass} />
+          Enabled
+        </label>
+      </div>
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1.5 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-3 py-1.5 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : isNew ? 'Add rule' : 'Save'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default AlertRuleForm;
@@ -0,0 +1,213 @@
+import { useState, useEffect } from 'react';
+import Loader from './Loader';
+import AlertRuleForm from './AlertRuleForm';
+import { createAlertRule, deleteAlertRule, getAlertRules, testAlertRule, updateAlertRule } from '../services/stationApi';
+import { createAlertRule as newAlertRule } from '../constants/alerts';
+import { describeAlertRule } from '../utils/alerts';
+
+/**
+ * Summary of a test delivery for the rule list
+ * @param {Object} result - { notifiedInApp, emailedTo, emailErrors }
+ * @returns {{text: string, failed: boolean}}
+ */
+const describeTestResult = ({ notifiedInApp, emailedTo, emailErrors }) => {
+  const parts = [];
+  if (notifiedInApp) parts.push('Test notification sent to all users');
+  if (emailedTo.length > 0) parts.push(`Test email sent to ${emailedTo.join(', ')}`);
+  parts.push(...emailErrors);
+  return { text: parts.join('. '), failed: emailErrors.length > 0 };
+};
+
+/**
+ * AlertRules Component
+ *
+ * Admin list of alert rules: add, edit, enable or disable, delete (with an
+ * inline confirmation) and send a test alert through a rule's channels to
+ * check that in-app notifications and email arrive.
+ */
+const AlertRules = () => {
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  const [editing, setEditing] = useState(null); // Rule in the form (new ones have no id)
+  const [deleteConfirmId, setDeleteConfirmId] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [testingId, setTestingId] = useState(null);
+  const [testResults, setTestResults] = useState({}); // Rule id -> { text, failed }
+
+  useEffect(() => {
+    const loadRules = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setRules(await getAlertRules());
+      } catch (err) {
+        setError(err.message || 'Failed to load alert rules');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadRules();
+  }, [reloadCount]);
+
+  const reload = () => setReloadCount((count) => count + 1);
+
+  const handleSave = async (payload) => {
+    if (editing.id == null) {
+      await createAlertRule(payload);
+    } else {
+      await updateAlertRule(editing.id, payload);
+    }
+    setEditing(null);
+    reload();
+  };
+
+  const handleToggleEnabled = async (rule) => {
+    try {
+      setActionError(null);
+      await updateAlertRule(rule.id, { ...rule, enabled: !rule.enabled });
+      reload();
+    } catch (err) {
+      setActionError(err.message || 'Failed to update the alert rule');
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      setActionError(null);
+      await deleteAlertRule(id);
+      setDeleteConfirmId(null);
+      reload();
+    } catch (err) {
+      setActionError(err.message || 'Failed to delete the alert rule');
+    }
+  };
+
+  const handleTest = async (id) => {
+    try {
+      setTestingId(id);
+      const result = await testAlertRule(id);
+      setTestResults((prev) => ({ ...prev, [id]: describeTestResult(result) }));
+    } catch (err) {
+      setTestResults((prev) => ({ ...prev, [id]: { text: err.message || 'Failed to send a test alert', failed: true } }));
+    } finally {
+      setTestingId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <p className="text-sm text-gray-600">Rules are checked every 30 seconds.</p>
+        {!editing && (
+          <button
+            type="button"
+            onClick={() => setEditing(newAlertRule())}
+            className="px-3 py-1.5 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700"
+          >
+            Add rule
+          </button>
+        )}
+      </div>
+
+      {editing && (
+        <AlertRuleForm key={editing.id ?? 'new'} rule={editing} onSave={handleSave} onCancel={() => setEditing(null)} />
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {actionError && <p className="text-sm text-red-600">{actionError}</p>}
+
+      {loading ? (
+        <Loader size="sm" text="Loading alert rules..." />
+      ) : rules.length === 0 ? (
+        !error && <p className="text-sm text-gray-500">No alert rules yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+          {rules.map((rule) => (
+            <li key={rule.id} className="p-3 space-y-1">
+              <div className="flex flex-wrap items-start justify-between gap-2">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className={`text-sm font-medium ${rule.enabled ? 'text-gray-900' : 'text-gray-400'}`}>
+                      {rule.name}
+                    </span>
+                    {!rule.enabled && (
+                      <span className="px-1.5 py-0.5 rounded bg-gray-100 text-gray-500 text-xs">Disabled</span>
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-600">{describeAlertRule(rule)}</p>
+                  <p className="text-xs text-gray-400 mt-0.5">
+                    {[
+                      rule.notifyInApp && 'In-app',
+                      rule.emailRecipients.length > 0 && `Email: ${rule.emailRecipients.join(', ')}`,
+                    ]
+                      .filter(Boolean)
+                      .join(' · ')}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2 text-xs">
+                  {deleteConfirmId === rule.id ? (
+                    <>
+                      <span className="text-gray-600">Delete this rule?</span>
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(rule.id)}
+                        className="px-2 py-1 bg-red-600 text-white rounded-md hover:bg-red-700"
+                      >
+                        Delete
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setDeleteConfirmId(null)}
+                        className="px-2 py-1 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+                      >
+                        Cancel
+                      </button>
+                    </>
+                  ) : (
+                    <>
+                      <button
+                        type="button"
+                        onClick={() => handleTest(rule.id)}
+                        disabled={testingId === rule.id}
+                        className="text-gray-600 hover:text-gray-800 disabled:opacity-50"
+                      >
+                        {testingId === rule.id ? 'Sending...' : 'Test'}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleToggleEnabled(rule)}
+                        className="text-gray-600 hover:text-gray-800"
+                      >
+                        {rule.enabled ? 'Disable' : 'Enable'}
+                      </button>
+                      <button type="button" onClick={() => setEditing(rule)} className="text-blue-600 hover:text-blue-800">
+                        Edit
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setDeleteConfirmId(rule.id)}
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        Delete
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+              {testResults[rule.id] && (
+                <p className={`text-xs ${testResults[rule.id].failed ? 'text-red-600' : 'text-green-700'}`}>
+                  {testResults[rule.id].text}
+                </p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AlertRules;
@@ -0,0 +1,276 @@
+import { useState, useEffect } from 'react';
+import Loader from './Loader';
+import Pagination from './Pagination';
+import { getChargingSessions, recordChargingSession } from '../services/stationApi';
+import { formatDuration, formatEnergy } from '../utils/sessionAnalytics';
+
+const PAGE_SIZE = 10;
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-colors bg-white text-sm';
+
+const emptyForm = { connectorId: '1', startedAt: '', stoppedAt: '', energyKwh: '', idTag: '' };
+
+/**
+ * Minutes between a session's start and stop, or null while it is running
+ */
+const sessionMinutes = (session) =>
+  session.stoppedAt ? (new Date(session.stoppedAt) - new Date(session.startedAt)) / 60000 : null;
+
+/**
+ * ChargingSessions Component
+ *
+ * A station's charging sessions, newest first, with the running ones marked.
+ * canRecord adds a form for recording a completed session by hand (for
+ * chargers that do not report over OCPP). reloadKey reloads the list when it
+ * changes (the detail page passes the charger's running transactions).
+ */
+const ChargingSessions = ({ stationId, canRecord, reloadKey }) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [page, setPage] = useState(1);
+  const [pageInfo, setPageInfo] = useState({ totalCount: 0, totalPages: 0 });
+  const [reloadCount, setReloadCount] = useState(0);
+
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [formError, setFormError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadSessions = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const data = await getChargingSessions({ stationId, page, pageSize: PAGE_SIZE });
+        if (!cancelled) {
+          setSessions(data.items || []);
+          setPageInfo({ totalCount: data.totalCount || 0, totalPages: data.totalPages || 0 });
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load charging sessions');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadSessions();
+    return () => {
+      cancelled = true;
+    };
+  }, [stationId, page, reloadKey, reloadCount]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+    setFormError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const startedAt = new Date(form.startedAt);
+    const stoppedAt = new Date(form.stoppedAt);
+    const energyKwh = Number(form.energyKwh);
+
+    if (Number.isNaN(startedAt.getTime()) || Number.isNaN(stoppedAt.getTime())) {
+      setFormError('Enter the start and stop time');
+      return;
+    }
+    if (stoppedAt <= startedAt) {
+      setFormError('The stop time must be after the start time');
+      return;
+    }
+    if (form.energyKwh === '' || !(energyKwh >= 0)) {
+      setFormError('Enter the energy delivered (0 or more kWh)');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await recordChargingSession({
+        chargingStationId: stationId,
+        connectorId: parseInt(form.connectorId, 10),
+        startedAt: startedAt.toISOString(),
+        stoppedAt: stoppedAt.toISOString(),
+        energyKwh,
+        idTag: form.idTag.trim() || null,
+      });
+      setForm(emptyForm);
+      setShowForm(false);
+      setPage(1);
+      setReloadCount((count) => count + 1);
+    } catch (err) {
+      setFormError(err.message || 'Failed to record the session');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      {canRecord && (
+        <div className="mb-3">
+          {showForm ? (
+            <form onSubmit={handleSubmit} className="p-3 rounded-lg border border-gray-200 bg-gray-50 space-y-3">
+              <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+                <label className="text-xs text-gray-600">
+                  Connector
+                  <input
+                    type="number"
+                    name="connectorId"
+                    min="1"
+                    value={form.connectorId}
+                    onChange={handleChange}
+                    required
+                    className={`${inputClass} mt-1`}
+                  />
+                </label>
+                <label className="text-xs text-gray-600">
+                  Started
+                  <input
+                    type="datetime-local"
+                    name="startedAt"
+                    value={form.startedAt}
+                    onChange={handleChange}
+                    required
+                    className={`${inputClass} mt-1`}
+                  />
+                </label>
+                <label className="text-xs text-gray-600">
+                  Stopped
+                  <input
+                    type="datetime-local"
+                    name="stoppedAt"
+                    value={form.stoppedAt}
+                    onChange={handleChange}
+                    required
+                    className={`${inputClass} mt-1`}
+                  />
+                </label>
+                <label className="text-xs text-gray-600">
+                  Energy (kWh)
+                  <input
+                    type="number"
+                    name="energyKwh"
+                    min="0"
+                    step="0.001"
+                    value={form.energyKwh}
+                    onChange={handleChange}
+                    required
+                    className={`${inputClass} mt-1`}
+                  />
+                </label>
+                <label className="text-xs text-gray-600">
+                  ID tag
+                  <input
+                    type="text"
+                    name="idTag"
+                    maxLength={20}
+                    value={form.idTag}
+                    onChange={handleChange}
+                    className={`${inputClass} mt-1`}
+                    placeholder="Optional"
+                  />
+                </label>
+              </div>
+              {formError && <p className="text-xs text-red-600">{formError}</p>}
+              <div className="flex justify-end gap-2">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setShowForm(false);
+                    setFormError(null);
+                  }}
+                  className="px-3 py-1.5 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-3 py-1.5 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : 'Record session'}
+                </button>
+              </div>
+            </form>
+          ) : (
+            <button
+              type="button"
+              onClick={() => setShowForm(true)}
+              className="text-sm font-medium text-blue-600 hover:text-blue-700"
+            >
+              + Record a session
+            </button>
+          )}
+        </div>
+      )}
+
+      {loading && sessions.length === 0 ? (
+        <Loader size="sm" text="Loading sessions..." />
+      ) : error ? (
+        <p className="text-sm text-red-600">{error}</p>
+      ) : sessions.length === 0 ? (
+        <p className="text-sm text-gray-500">No charging sessions recorded yet.</p>
+      ) : (
+        <>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+                  <th className="py-2 pr-3 font-medium">Started</th>
+                  <th className="py-2 pr-3 font-medium">Connector</th>
+                  <th className="py-2 pr-3 font-medium">Length</th>
+                  <th className="py-2 pr-3 font-medium text-right">Energy</th>
+                  <th className="py-2 font-medium">ID tag</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sessions.map((session) => (
+                  <tr key={session.id} className="border-b border-gray-100">
+                    <td className="py-2 pr-3 text-gray-900 whitespace-nowrap">
+                      {new Date(session.startedAt).toLocaleString()}
+                    </td>
+                    <td className="py-2 pr-3 text-gray-700">#{session.connectorId}</td>
+                    <td className="py-2 pr-3 text-gray-700 whitespace-nowrap">
+                      {session.stoppedAt ? (
+                        formatDuration(sessionMinutes(session))
+                      ) : (
+                        <span className="inline-flex items-center text-blue-700">
+                          <span className="w-1.5 h-1.5 rounded-full mr-1.5 bg-blue-600 animate-pulse" />
+                          Charging
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-2 pr-3 text-right text-gray-900">{formatEnergy(session.energyKwh)}</td>
+                    <td className="py-2 text-gray-700" title={`Recorded by ${session.recordedBy}`}>
+                      {session.idTag || '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {pageInfo.totalPages > 1 && (
+            <Pagination
+              currentPage={page}
+              totalPages={pageInfo.totalPages}
+              totalItems={pageInfo.totalCount}
+              pageSize={PAGE_SIZE}
+              onPageChange={setPage}
+            />
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ChargingSessions;
@@ -0,0 +1,171 @@
+import {
+  CONNECTOR_TYPES,
+  POWER_TYPES,
+  CONNECTOR_STATUSES,
+  getConnectorType,
+  createConnector,
+} from '../constants/connectors';
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-colors bg-white text-sm';
+
+/**
+ * ConnectorEditor Component
+ *
+ * Repeatable editor for a station's connector groups.
+ * Each row holds type, AC/DC, max kW, count and availability.
+ */
+const ConnectorEditor = ({ connectors, onChange, error }) => {
+  // Update one field of one connector row
+  const handleFieldChange = (index, field, value) => {
+    const updated = connectors.map((connector, i) => {
+      if (i !== index) return connector;
+
+      // Picking a type fills in its usual power type and rating
+      if (field === 'connectorType') {
+        const type = getConnectorType(value);
+        return {
+          ...connector,
+          connectorType: value,
+          powerType: type?.powerType || connector.powerType,
+          maxPowerKw: type?.defaultKw || connector.maxPowerKw,
+        };
+      }
+
+      return { ...connector, [field]: value };
+    });
+    onChange(updated);
+  };
+
+  const handleAdd = () => {
+    onChange([...connectors, createConnector()]);
+  };
+
+  const handleRemove = (index) => {
+    onChange(connectors.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="space-y-3">
+      {connectors.map((connector, index) => (
+        <div key={index} className="p-3 bg-gray-50 border border-gray-200 rounded-lg">
+          <div className="flex items-center justify-between mb-2">
+            <span className="text-xs font-medium text-gray-500">Connector {index + 1}</span>
+            {connectors.length > 1 && (
+              <button
+                type="button"
+                onClick={() => handleRemove(index)}
+                className="text-xs font-medium text-red-600 hover:text-red-700"
+                aria-label={`Remove connector ${index + 1}`}
+              >
+                Remove
+              </button>
+            )}
+          </div>
+          <div className="grid grid-cols-2 sm:grid-cols-5 gap-2">
+            <div className="col-span-2">
+              <label htmlFor={`connectorType-${index}`} className="block text-xs text-gray-600 mb-1">
+                Type
+              </label>
+              <select
+                id={`connectorType-${index}`}
+                value={connector.connectorType}
+                onChange={(e) => handleFieldChange(index, 'connectorType', e.target.value)}
+                required
+                className={inputClass}
+              >
+                <option value="">Select type</option>
+                {CONNECTOR_TYPES.map((type) => (
+                  <option key={type.value} value={type.value}>
+                    {type.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor={`powerType-${index}`} className="block text-xs text-gray-600 mb-1">
+                Current
+              </label>
+              <select
+                id={`powerType-${index}`}
+                value={connector.powerType}
+                onChange={(e) => handleFieldChange(index, 'powerType', e.target.value)}
+                className={inputClass}
+              >
+                {POWER_TYPES.map((powerType) => (
+                  <option key={powerType} value={powerType}>
+                    {powerType}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor={`maxPowerKw-${index}`} className="block text-xs text-gray-600 mb-1">
+                Max kW
+              </label>
+              <input
+                type="number"
+                id={`maxPowerKw-${index}`}
+                min="0.1"
+                max="1000"
+                step="any"
+                value={connector.maxPowerKw}
+                onChange={(e) => handleFieldChange(index, 'maxPowerKw', e.target.value)}
+                required
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label htmlFor={`count-${index}`} className="block text-xs text-gray-600 mb-1">
+                Count
+              </label>
+              <input
+                type="number"
+                id={`count-${index}`}
+                min="1"
+                max="100"
+                step="1"
+                value={connector.count}
+                onChange={(e) => handleFieldChange(index, 'count', e.target.value)}
+                required
+                className={inputClass}
+              />
+            </div>
+            <div className="col-span-2 sm:col-span-5">
+              <label htmlFor={`connectorStatus-${index}`} className="block text-xs text-gray-600 mb-1">
+                Availability
+              </label>
+              <select
+                id={`connectorStatus-${index}`}
+                value={connector.status}
+                onChange={(e) => handleFieldChange(index, 'status', e.target.value)}
+                className={inputClass}
+              >
+                {CONNECTOR_STATUSES.map((status) => (
+                  <option key={status.value} value={status.value}>
+                    {status.value}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+      ))}
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+
+      <button
+        type="button"
+        onClick={handleAdd}
+        className="inline-flex items-center text-sm font-medium text-blue-600 hover:text-blue-700"
+      >
+        <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+        </svg>
+        Add connector
+      </button>
+    </div>
+  );
+};
+
+export default ConnectorEditor;
@@ -0,0 +1,120 @@
+import { useState, useMemo } from 'react';
+import { estimateSessionCost, formatPrice, parseTimeOfDay } from '../utils/tariffs';
+
+const MAX_MINUTES = 7 * 24 * 60; // Sessions longer than a week are not estimated
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-colors bg-white text-sm';
+
+const padTime = (value) => String(value).padStart(2, '0');
+
+/**
+ * CostEstimator Component
+ *
+ * Works out what a charging session would cost under a tariff from the energy,
+ * charging time, idle time and start time the user enters. Recalculates as
+ * the inputs change; nothing is sent to the API.
+ */
+const CostEstimator = ({ tariff }) => {
+  const [inputs, setInputs] = useState(() => ({
+    energyKwh: '20',
+    durationMinutes: '60',
+    idleMinutes: '0',
+    startTime: `${padTime(new Date().getHours())}:00`,
+  }));
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setInputs((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const cost = useMemo(() => {
+    if (!tariff) return null;
+    const startMinute = parseTimeOfDay(inputs.startTime) ?? 0;
+    const startAt = new Date();
+    startAt.setHours(Math.floor(startMinute / 60), startMinute % 60, 0, 0);
+    return estimateSessionCost(tariff, {
+      energyKwh: Number(inputs.energyKwh),
+      durationMinutes: Math.min(Number(inputs.durationMinutes) || 0, MAX_MINUTES),
+      idleMinutes: Math.min(Number(inputs.idleMinutes) || 0, MAX_MINUTES),
+      startAt,
+    });
+  }, [tariff, inputs]);
+
+  if (!cost) return null;
+
+  const lines = [
+    { label: 'Energy', value: cost.energyCost },
+    { label: 'Charging time', value: cost.timeCost },
+    { label: 'Session fee', value: cost.sessionFee },
+    { label: 'Idle fee', value: cost.idleCost },
+  ].filter((line) => line.value > 0);
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        <label className="text-xs text-gray-600">
+          Energy (kWh)
+          <input
+            type="number"
+            name="energyKwh"
+            min="0"
+            step="0.1"
+            value={inputs.energyKwh}
+            onChange={handleChange}
+            className={`${inputClass} mt-1`}
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          Charging (min)
+          <input
+            type="number"
+            name="durationMinutes"
+            min="0"
+            max={MAX_MINUTES}
+            value={inputs.durationMinutes}
+            onChange={handleChange}
+            className={`${inputClass} mt-1`}
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          Idle after (min)
+          <input
+            type="number"
+            name="idleMinutes"
+            min="0"
+            max={MAX_MINUTES}
+            value={inputs.idleMinutes}
+            onChange={handleChange}
+            className={`${inputClass} mt-1`}
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          Starting at
+          <input
+            type="time"
+            name="startTime"
+            value={inputs.startTime}
+            onChange={handleChange}
+            className={`${inputClass} mt-1`}
+          />
+        </label>
+      </div>
+
+      <div className="rounded-lg bg-gray-50 border border-gray-200 px-4 py-3 text-sm">
+        {lines.map((line) => (
+          <div key={line.label} className="flex justify-between text-gray-600">
+            <span>{line.label}</span>
+            <span>{formatPrice(line.value, cost.currency)}</span>
+          </div>
+        ))}
+        <div className={`flex justify-between font-semibold text-gray-900 ${lines.length > 0 ? 'mt-1 pt-1 border-t border-gray-200' : ''}`}>
+          <span>Estimated cost</span>
+          <span>{formatPrice(cost.total, cost.currency)}</span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CostEstimator;
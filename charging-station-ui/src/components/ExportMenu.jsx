@@ -0,0 +1,165 @@
+import { useState, useEffect, useRef } from 'react';
+import { queryAllStations } from '../services/stationApi';
+import {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  buildExport,
+  downloadFile,
+} from '../utils/stationExport';
+
+/**
+ * ExportMenu Component
+ *
+ * Toolbar dropdown that downloads stations as CSV, JSON or GeoJSON.
+ * Exports the stations matching filterParams (the Dashboard's current
+ * filters and sort) or every station, with a choice of columns.
+ */
+const ExportMenu = ({ filterParams, filteredCount, totalCount, hasActiveFilters }) => {
+  const [open, setOpen] = useState(false);
+  const [scope, setScope] = useState('filtered'); // 'filtered' or 'all'
+  const [format, setFormat] = useState('csv');
+  const [columns, setColumns] = useState(DEFAULT_EXPORT_COLUMNS);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+  const menuRef = useRef(null);
+
+  // Close when clicking outside the menu
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const toggleColumn = (key) => {
+    // Keep the chosen columns in EXPORT_COLUMNS order
+    setColumns((prev) =>
+      prev.includes(key)
+        ? prev.filter((k) => k !== key)
+        : EXPORT_COLUMNS.map((c) => c.key).filter((k) => k === key || prev.includes(k))
+    );
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      setError(null);
+      const useFilters = scope === 'filtered' && hasActiveFilters;
+      const stations = await queryAllStations(useFilters ? filterParams : { sort: filterParams.sort });
+      const formatInfo = EXPORT_FORMATS.find((f) => f.value === format);
+      const date = new Date().toISOString().slice(0, 10);
+      const fileName = `charging-stations${useFilters ? '-filtered' : ''}-${date}.${formatInfo.extension}`;
+      downloadFile(buildExport(format, stations, columns), fileName, formatInfo.mimeType);
+      setOpen(false);
+    } catch (err) {
+      setError(err.message || 'Failed to export stations');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setOpen((prev) => !prev)}
+        className="inline-flex items-center px-3 py-2 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-lg
+                 hover:bg-gray-50 transition-colors duration-150 shadow-sm
+                 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+        title="Export stations"
+        aria-expanded={open}
+      >
+        <svg className="w-4 h-4 sm:mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+        </svg>
+        <span className="hidden sm:inline">Export</span>
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-72 bg-white border border-gray-200 rounded-lg shadow-lg z-30 p-4 space-y-4 text-sm">
+          {/* Scope */}
+          <fieldset>
+            <legend className="text-xs font-medium text-gray-500 uppercase mb-1.5">Stations</legend>
+            <label className="flex items-center gap-2 py-0.5">
+              <input
+                type="radio"
+                name="export-scope"
+                checked={scope === 'filtered'}
+                onChange={() => setScope('filtered')}
+                disabled={!hasActiveFilters}
+              />
+              <span className={hasActiveFilters ? 'text-gray-800' : 'text-gray-400'}>
+                Current filters ({hasActiveFilters ? filteredCount : 'none active'})
+              </span>
+            </label>
+            <label className="flex items-center gap-2 py-0.5">
+              <input
+                type="radio"
+                name="export-scope"
+                checked={scope === 'all' || !hasActiveFilters}
+                onChange={() => setScope('all')}
+              />
+              <span className="text-gray-800">All stations ({totalCount})</span>
+            </label>
+          </fieldset>
+
+          {/* Format */}
+          <fieldset>
+            <legend className="text-xs font-medium text-gray-500 uppercase mb-1.5">Format</legend>
+            <div className="inline-flex bg-gray-100 rounded-lg p-1">
+              {EXPORT_FORMATS.map((f) => (
+                <button
+                  key={f.value}
+                  type="button"
+                  onClick={() => setFormat(f.value)}
+                  className={`px-3 py-1 rounded-md text-xs font-medium ${
+                    format === f.value ? 'bg-white text-blue-700 shadow-sm' : 'text-gray-600'
+                  }`}
+                >
+                  {f.label}
+                </button>
+              ))}
+            </div>
+          </fieldset>
+
+          {/* Columns */}
+          <fieldset>
+            <legend className="text-xs font-medium text-gray-500 uppercase mb-1.5">Columns</legend>
+            <div className="grid grid-cols-2 gap-x-3 gap-y-1">
+              {EXPORT_COLUMNS.map((column) => (
+                <label key={column.key} className="flex items-center gap-2 text-gray-800">
+                  <input
+                    type="checkbox"
+                    checked={columns.includes(column.key)}
+                    onChange={() => toggleColumn(column.key)}
+                  />
+                  {column.label}
+                </label>
+              ))}
+            </div>
+            {columns.includes('imageUrl') && (
+              <p className="mt-1.5 text-xs text-amber-700">Embedded images can make the file very large.</p>
+            )}
+          </fieldset>
+
+          {error && <p className="text-xs text-red-600">{error}</p>}
+
+          <button
+            type="button"
+            onClick={handleExport}
+            disabled={exporting || columns.length === 0}
+            className="w-full px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            {exporting ? 'Exporting...' : 'Download'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
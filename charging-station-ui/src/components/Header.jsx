@@ -3,10 +3,42 @@
  * 
  * Clean, minimal fixed header with logo and essential info.
  * Mobile-friendly responsive design.
- * Includes admin mode toggle for demo purposes.
+ * Shows the signed-in user with a sign-out button; admins can open user management.
+ * The bell opens the user's notifications; admins can manage alert rules from it.
+ * Admins also get links to user management and the webhooks page.
+ * A dot shows whether live station updates are connected.
  */
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
 import logo from '../assets/logo.png';
-const Header = ({ stats, isAdmin, onToggleAdmin, currentTime }) => {
+import Modal from './Modal';
+import UserManagement from './UserManagement';
+import AlertRules from './AlertRules';
+import NotificationCenter from './NotificationCenter';
+import { useAuth } from '../context/AuthContext';
+import { useStationEvents } from '../context/StationEventsContext';
+import { CONNECTION_STATUS } from '../services/stationEvents';
+import { ROLES } from '../constants/roles';
+
+// Label and dot style for each live update connection status
+const LIVE_STATUS_DISPLAY = {
+  [CONNECTION_STATUS.CONNECTED]: { label: 'Live', dotClass: 'bg-green-500', title: 'Receiving live station updates' },
+  [CONNECTION_STATUS.CONNECTING]: { label: 'Connecting…', dotClass: 'bg-gray-400 animate-pulse', title: 'Connecting to live updates' },
+  [CONNECTION_STATUS.RECONNECTING]: {
+    label: 'Reconnecting…',
+    dotClass: 'bg-amber-500 animate-pulse',
+    title: 'Live updates interrupted; reconnecting',
+  },
+  [CONNECTION_STATUS.CLOSED]: { label: 'Offline', dotClass: 'bg-gray-400', title: 'Live updates are off' },
+};
+
+const Header = ({ stats, currentTime }) => {
+  const { user, logout, hasRole } = useAuth();
+  const { status: liveStatus } = useStationEvents();
+  const [showUsers, setShowUsers] = useState(false);
+  const [showAlertRules, setShowAlertRules] = useState(false);
+  const live = LIVE_STATUS_DISPLAY[liveStatus] || LIVE_STATUS_DISPLAY[CONNECTION_STATUS.CLOSED];
+
   // Format time for display - use provided currentTime or current time
   const timeToDisplay = currentTime || new Date();
   const formattedTime = timeToDisplay.toLocaleTimeString('en-US', {
@@ -17,70 +49,116 @@ const Header = ({ stats, isAdmin, onToggleAdmin, currentTime }) => {
   const formattedDate = timeToDisplay.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
 
   return (
-    <header className="fixed top-0 left-0 right-0 bg-white/95 backdrop-blur-sm z-50 border-b border-gray-100">
-      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-        <div className="flex items-center justify-between h-16">
-          {/* Logo and Title */}
-          <div className="flex items-center space-x-3">
-            <div className="w-12 h-9rounded-lg flex items-center justify-center">
-              <img src={logo} alt="Logo"  />
+    <>
+      <header className="fixed top-0 left-0 right-0 bg-white/95 backdrop-blur-sm z-50 border-b border-gray-100">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center justify-between h-16">
+            {/* Logo and Title */}
+            <div className="flex items-center space-x-3">
+              <Link to="/" className="w-12 h-9rounded-lg flex items-center justify-center" title="All stations">
+                <img src={logo} alt="Logo"  />
+              </Link>
             </div>
-          </div>
 
-          {/* Right Section */}
-          <div className="flex items-center space-x-3 sm:space-x-4">
-            {/* Admin Mode Toggle */}
-            {onToggleAdmin && (
-              <div className="flex items-center space-x-2">
-                <span className="hidden sm:inline text-xs text-gray-500">Admin</span>
-                <button
-                  onClick={onToggleAdmin}
-                  className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 ${
-                    isAdmin ? 'bg-blue-600' : 'bg-gray-300'
-                  }`}
-                  role="switch"
-                  aria-checked={isAdmin}
-                  aria-label="Toggle admin mode"
-                >
-                  <span
-                    className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
-                      isAdmin ? 'translate-x-6' : 'translate-x-1'
-                    }`}
-                  />
-                </button>
-                {isAdmin && (
-                  <span className="hidden sm:inline text-xs font-medium text-blue-600">ON</span>
-                )}
-              </div>
-            )}
+            {/* Right Section */}
+            <div className="flex items-center space-x-3 sm:space-x-4">
+              {/* Live Update Connection */}
+              {user && (
+                <div className="flex items-center text-xs text-gray-600" title={live.title} role="status">
+                  <span className={`w-2 h-2 rounded-full ${live.dotClass}`} />
+                  <span className="hidden sm:inline ml-1.5">{live.label}</span>
+                </div>
+              )}
 
-            {/* Stats - Compact */}
-            {stats && (
-              <div className="hidden sm:flex items-center space-x-4 text-sm">
-                <div className="w-px h-6 bg-gray-200"></div>
-                <div className="text-right">
-                  <div className="text-gray-500 text-xs">Total</div>
-                  <div className="font-semibold text-gray-900">{stats.total || 0}</div>
+              {/* Notifications */}
+              {user && (
+                <NotificationCenter onManageRules={hasRole(ROLES.ADMIN) ? () => setShowAlertRules(true) : undefined} />
+              )}
+
+              {/* Signed-in User */}
+              {user && (
+                <div className="flex items-center space-x-2">
+                  <div className="text-right">
+                    <div className="text-sm font-medium text-gray-900 max-w-[8rem] truncate">
+                      {user.displayName || user.username}
+                    </div>
+                    <div className="text-xs text-blue-600">{user.role}</div>
+                  </div>
+                  {hasRole(ROLES.ADMIN) && (
+                    <Link
+                      to="/webhooks"
+                      className="p-1.5 rounded-lg text-gray-500 hover:text-blue-600 hover:bg-gray-100 transition-colors"
+                      aria-label="Webhooks"
+                      title="Webhooks"
+                    >
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
+                      </svg>
+                    </Link>
+                  )}
+                  {hasRole(ROLES.ADMIN) && (
+                    <button
+                      onClick={() => setShowUsers(true)}
+                      className="p-1.5 rounded-lg text-gray-500 hover:text-blue-600 hover:bg-gray-100 transition-colors"
+                      aria-label="Manage users"
+                      title="Manage users"
+                    >
+                      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0z" />
+                      </svg>
+                    </button>
+                  )}
+                  <button
+                    onClick={logout}
+                    className="p-1.5 rounded-lg text-gray-500 hover:text-red-600 hover:bg-gray-100 transition-colors"
+                    aria-label="Sign out"
+                    title="Sign out"
+                  >
+                    <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 16l4-4m0 0l-4-4m4 4H7m6 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h4a3 3 0 013 3v1" />
+                    </svg>
+                  </button>
                 </div>
-                <div className="w-px h-6 bg-gray-200"></div>
-                <div className="text-right">
-                  <div className="text-gray-500 text-xs">Active</div>
-                  <div className="font-semibold text-green-600">{stats.operational || 0}</div>
+              )}
+
+              {/* Stats - Compact */}
+              {stats && (
+                <div className="hidden sm:flex items-center space-x-4 text-sm">
+                  <div className="w-px h-6 bg-gray-200"></div>
+                  <div className="text-right">
+                    <div className="text-gray-500 text-xs">Total</div>
+                    <div className="font-semibold text-gray-900">{stats.total || 0}</div>
+                  </div>
+                  <div className="w-px h-6 bg-gray-200"></div>
+                  <div className="text-right">
+                    <div className="text-gray-500 text-xs">Active</div>
+                    <div className="font-semibold text-green-600">{stats.active || 0}</div>
+                  </div>
                 </div>
-              </div>
-            )}
+              )}
 
-            {/* Time - Updates every second */}
-            <div className="text-right">
-              <div className="text-xs text-gray-500 hidden sm:block">
-                {formattedDate}
+              {/* Time - Updates every second */}
+              <div className="text-right">
+                <div className="text-xs text-gray-500 hidden sm:block">
+                  {formattedDate}
+                </div>
+                <div className="text-sm font-medium text-gray-700 font-mono">{formattedTime}</div>
               </div>
-              <div className="text-sm font-medium text-gray-700 font-mono">{formattedTime}</div>
             </div>
           </div>
         </div>
-      </div>
-    </header>
+      </header>
+
+      {/* User Management Modal - admins only; outside the header so its backdrop blur does not clip the modal */}
+      <Modal isOpen={showUsers} onClose={() => setShowUsers(false)} title="Users" size="md">
+        {showUsers && <UserManagement />}
+      </Modal>
+
+      {/* Alert Rules Modal - admins only */}
+      <Modal isOpen={showAlertRules} onClose={() => setShowAlertRules(false)} title="Alert Rules" size="lg">
+        {showAlertRules && <AlertRules />}
+      </Modal>
+    </>
   );
 };
 
@@ -0,0 +1,368 @@
+import { useState, useMemo } from 'react';
+import Loader from './Loader';
+import { getAllStations, importStations } from '../services/stationApi';
+import { parseCsv } from '../utils/csv';
+import { IMPORT_FIELDS, guessColumnMapping, buildImportPreview } from '../utils/stationImport';
+import { getConnectorLabel } from '../constants/connectors';
+
+// Matches StationImportRequest.MaxStations in the API
+const MAX_IMPORT_ROWS = 1000;
+
+const STEPS = [
+  { key: 'upload', label: 'Upload' },
+  { key: 'map', label: 'Map columns' },
+  { key: 'preview', label: 'Preview' },
+  { key: 'done', label: 'Report' },
+];
+
+const selectClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-colors bg-white text-sm';
+
+const primaryButtonClass =
+  'px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors';
+
+const secondaryButtonClass =
+  'px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors';
+
+/**
+ * Read a CSV or XLSX file into rows of cell strings
+ * The XLSX reader is loaded only when an Excel file is picked.
+ */
+const readSpreadsheet = async (file) => {
+  if (/\.xlsx$/i.test(file.name)) {
+    const { default: readXlsxFile } = await import('read-excel-file');
+    const rows = await readXlsxFile(file);
+    return rows
+      .map((row) => row.map((cell) => (cell == null ? '' : String(cell))))
+      .filter((row) => row.some((cell) => cell.trim() !== ''));
+  }
+  return parseCsv(await file.text());
+};
+
+/**
+ * ImportWizard Component
+ *
+ * Bulk station import from a partner spreadsheet (CSV or XLSX):
+ * upload, map columns to station fields, preview row errors and duplicates,
+ * then create the valid rows and show a per-row report.
+ * Calls onImported after stations were created.
+ */
+const ImportWizard = ({ onImported, onClose }) => {
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [existingStations, setExistingStations] = useState([]);
+  const [problemsOnly, setProblemsOnly] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [report, setReport] = useState(null);
+
+  const preview = useMemo(
+    () => (step === 'preview' || step === 'done' ? buildImportPreview(rows, mapping, existingStations) : []),
+    [step, rows, mapping, existingStations]
+  );
+  const readyRows = preview.filter((p) => p.errors.length === 0 && !p.duplicate);
+  const invalidCount = preview.filter((p) => p.errors.length > 0).length;
+  const duplicateCount = preview.filter((p) => p.errors.length === 0 && p.duplicate).length;
+  const missingRequired = IMPORT_FIELDS.filter((f) => f.required && mapping[f.key] === '');
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    try {
+      setBusy(true);
+      setError(null);
+      const allRows = await readSpreadsheet(file);
+      if (allRows.length < 2) {
+        throw new Error('The file needs a header row and at least one station row');
+      }
+      if (allRows.length - 1 > MAX_IMPORT_ROWS) {
+        throw new Error(`At most ${MAX_IMPORT_ROWS} stations can be imported at once`);
+      }
+      setFileName(file.name);
+      setHeaders(allRows[0]);
+      setRows(allRows.slice(1));
+      setMapping(guessColumnMapping(allRows[0]));
+      setStep('map');
+    } catch (err) {
+      setError(err.message || 'Could not read the file');
+    } finally {
+      setBusy(false);
+      e.target.value = '';
+    }
+  };
+
+  const handleMappingChange = (fieldKey, value) => {
+    setMapping((prev) => ({ ...prev, [fieldKey]: value === '' ? '' : Number(value) }));
+  };
+
+  // Load existing stations for the duplicate check, then show the preview
+  const handleShowPreview = async () => {
+    try {
+      setBusy(true);
+      setError(null);
+      const stations = await getAllStations();
+      setExistingStations(Array.isArray(stations) ? stations : []);
+      setStep('preview');
+    } catch (err) {
+      setError(err.message || 'Failed to load existing stations');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImport = async () => {
+    try {
+      setBusy(true);
+      setError(null);
+      const result = await importStations(readyRows.map((p) => p.station));
+      setReport({
+        ...result,
+        rows: result.rows.map((r) => ({ ...r, rowNumber: readyRows[r.index]?.rowNumber })),
+      });
+      setStep('done');
+      if (result.created > 0 && onImported) {
+        onImported();
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to import stations');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderIssues = (item) => {
+    if (item.errors.length > 0) {
+      return <span className="text-red-700">{item.errors.join('; ')}</span>;
+    }
+    if (item.duplicate === 'existing') {
+      return <span className="text-amber-700">Duplicate of an existing station (skipped)</span>;
+    }
+    if (item.duplicate === 'file') {
+      return <span className="text-amber-700">Repeats an earlier row (skipped)</span>;
+    }
+    return <span className="text-green-700">Ready</span>;
+  };
+
+  const renderStep = () => {
+    if (busy) {
+      return <Loader size="sm" text={step === 'preview' ? 'Importing stations...' : 'Working...'} />;
+    }
+
+    if (step === 'upload') {
+      return (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-600">
+            Upload a CSV or Excel (.xlsx) file with a header row and one station per row. Each row becomes a station
+            with one connector group.
+          </p>
+          <label className="flex flex-col items-center justify-center w-full h-32 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:border-blue-400 hover:bg-blue-50 transition-colors">
+            <span className="text-sm font-medium text-blue-700">Choose a file</span>
+            <span className="text-xs text-gray-500 mt-1">.csv or .xlsx, up to {MAX_IMPORT_ROWS} rows</span>
+            <input type="file" accept=".csv,.xlsx,text/csv" onChange={handleFileChange} className="hidden" />
+          </label>
+        </div>
+      );
+    }
+
+    if (step === 'map') {
+      return (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            <span className="font-medium text-gray-900">{fileName}</span> · {rows.length}{' '}
+            {rows.length === 1 ? 'row' : 'rows'}. Pick the column for each station field.
+          </p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            {IMPORT_FIELDS.map((field) => (
+              <div key={field.key}>
+                <label htmlFor={`map-${field.key}`} className="block text-xs font-medium text-gray-700 mb-1">
+                  {field.label} {field.required && <span className="text-red-500">*</span>}
+                </label>
+                <select
+                  id={`map-${field.key}`}
+                  value={mapping[field.key]}
+                  onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                  className={selectClass}
+                >
+                  <option value="">— Not imported —</option>
+                  {headers.map((header, index) => (
+                    <option key={index} value={index}>
+                      {header || `Column ${index + 1}`}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+          <div className="flex justify-between">
+            <button type="button" onClick={() => setStep('upload')} className={secondaryButtonClass}>
+              Back
+            </button>
+            <button
+              type="button"
+              onClick={handleShowPreview}
+              disabled={missingRequired.length > 0}
+              className={primaryButtonClass}
+              title={missingRequired.length > 0 ? `Map ${missingRequired.map((f) => f.label).join(', ')}` : undefined}
+            >
+              Preview
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    if (step === 'preview') {
+      const visibleRows = problemsOnly ? preview.filter((p) => p.errors.length > 0 || p.duplicate) : preview;
+      return (
+        <div className="space-y-4">
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            <span className="px-2 py-1 rounded-full bg-green-100 text-green-800 font-medium">
+              {readyRows.length} ready
+            </span>
+            <span className="px-2 py-1 rounded-full bg-red-100 text-red-800 font-medium">{invalidCount} with errors</span>
+            <span className="px-2 py-1 rounded-full bg-amber-100 text-amber-800 font-medium">
+              {duplicateCount} duplicates
+            </span>
+            <label className="ml-auto inline-flex items-center gap-1.5 text-gray-600">
+              <input type="checkbox" checked={problemsOnly} onChange={(e) => setProblemsOnly(e.target.checked)} />
+              Only rows with problems
+            </label>
+          </div>
+          <div className="overflow-auto max-h-80 border border-gray-200 rounded-lg">
+            <table className="min-w-full text-xs">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr className="text-left text-gray-500">
+                  <th className="py-2 px-2 font-medium">Row</th>
+                  <th className="py-2 px-2 font-medium">Station</th>
+                  <th className="py-2 px-2 font-medium">Pin</th>
+                  <th className="py-2 px-2 font-medium">Connector</th>
+                  <th className="py-2 px-2 font-medium">Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleRows.map((item) => (
+                  <tr key={item.rowNumber} className="border-t border-gray-100 align-top">
+                    <td className="py-1.5 px-2 text-gray-500">{item.rowNumber}</td>
+                    <td className="py-1.5 px-2">
+                      <div className="font-medium text-gray-900">{item.station.stationName || '—'}</div>
+                      <div className="text-gray-500">{item.station.locationAddress}</div>
+                    </td>
+                    <td className="py-1.5 px-2 text-gray-700">{item.station.pinCode || '—'}</td>
+                    <td className="py-1.5 px-2 text-gray-700 whitespace-nowrap">
+                      {item.station.connectors
+                        .map((c) => `${getConnectorLabel(c.connectorType)} · ${c.maxPowerKw} kW ×${c.count}`)
+                        .join(', ') || '—'}
+                    </td>
+                    <td className="py-1.5 px-2">{renderIssues(item)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="flex justify-between">
+            <button type="button" onClick={() => setStep('map')} className={secondaryButtonClass}>
+              Back
+            </button>
+            <button type="button" onClick={handleImport} disabled={readyRows.length === 0} className={primaryButtonClass}>
+              Import {readyRows.length} {readyRows.length === 1 ? 'station' : 'stations'}
+            </button>
+          </div>
+        </div>
+      );
+    }
+
+    // Report: server outcome for submitted rows, plus rows skipped in the preview
+    const skippedInPreview = preview
+      .filter((p) => p.errors.length > 0 || p.duplicate)
+      .map((p) => ({
+        rowNumber: p.rowNumber,
+        outcome: p.errors.length > 0 ? 'Invalid' : 'Duplicate',
+        error: p.errors.length > 0 ? p.errors.join('; ') : 'Matches another station by name and address',
+      }));
+    const notCreated = [...skippedInPreview, ...(report?.rows || []).filter((r) => r.outcome !== 'Created')].sort(
+      (a, b) => a.rowNumber - b.rowNumber
+    );
+    const countOutcome = (outcome) => notCreated.filter((r) => r.outcome === outcome).length;
+
+    return (
+      <div className="space-y-4">
+        <div className="grid grid-cols-3 gap-3 text-center">
+          <div className="p-3 rounded-lg bg-green-50">
+            <div className="text-2xl font-bold text-green-700">{report?.created ?? 0}</div>
+            <div className="text-xs text-gray-600">Created</div>
+          </div>
+          <div className="p-3 rounded-lg bg-amber-50">
+            <div className="text-2xl font-bold text-amber-700">{countOutcome('Duplicate')}</div>
+            <div className="text-xs text-gray-600">Duplicates skipped</div>
+          </div>
+          <div className="p-3 rounded-lg bg-red-50">
+            <div className="text-2xl font-bold text-red-700">{countOutcome('Invalid')}</div>
+            <div className="text-xs text-gray-600">Rows with errors</div>
+          </div>
+        </div>
+        {notCreated.length > 0 && (
+          <div className="overflow-auto max-h-64 border border-gray-200 rounded-lg">
+            <table className="min-w-full text-xs">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr className="text-left text-gray-500">
+                  <th className="py-2 px-2 font-medium">Row</th>
+                  <th className="py-2 px-2 font-medium">Outcome</th>
+                  <th className="py-2 px-2 font-medium">Reason</th>
+                </tr>
+              </thead>
+              <tbody>
+                {notCreated.map((r) => (
+                  <tr key={r.rowNumber} className="border-t border-gray-100 align-top">
+                    <td className="py-1.5 px-2 text-gray-500">{r.rowNumber}</td>
+                    <td className="py-1.5 px-2 font-medium text-gray-700">{r.outcome}</td>
+                    <td className="py-1.5 px-2 text-gray-600">{r.error}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <div className="flex justify-end">
+          <button type="button" onClick={onClose} className={primaryButtonClass}>
+            Done
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Step Indicator */}
+      <ol className="flex items-center gap-2 text-xs">
+        {STEPS.map((s, index) => (
+          <li
+            key={s.key}
+            className={`flex items-center gap-1.5 ${s.key === step ? 'text-blue-700 font-semibold' : 'text-gray-400'}`}
+          >
+            <span
+              className={`w-5 h-5 rounded-full flex items-center justify-center ${
+                s.key === step ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-600'
+              }`}
+            >
+              {index + 1}
+            </span>
+            {s.label}
+          </li>
+        ))}
+      </ol>
+
+      {error && (
+        <div className="px-3 py-2 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">{error}</div>
+      )}
+
+      {renderStep()}
+    </div>
+  );
+};
+
+export default ImportWizard;
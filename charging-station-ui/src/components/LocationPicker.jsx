@@ -0,0 +1,80 @@
+import { useEffect } from 'react';
+import { MapContainer, TileLayer, Marker, useMap, useMapEvents } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import { createCircleMarkerIcon } from '../utils/mapIcons';
+import { isValidCoordinate } from '../utils/geo';
+import {
+  MAP_TILE_URL,
+  MAP_TILE_ATTRIBUTION,
+  DEFAULT_MAP_CENTER,
+  DEFAULT_MAP_ZOOM,
+} from '../config/mapConfig';
+
+const PICKED_ZOOM = 15;
+const pinIcon = createCircleMarkerIcon('#2563eb', 20);
+
+/**
+ * Handles map clicks and keeps the view on the picked position
+ */
+const PickerEvents = ({ lat, lng, onPick }) => {
+  const map = useMap();
+
+  useMapEvents({
+    click: (e) => onPick(e.latlng.lat, e.latlng.lng),
+  });
+
+  // Pan to the position when it is set from outside (typed in or parsed from a link)
+  useEffect(() => {
+    if (isValidCoordinate(lat, lng)) {
+      map.setView([lat, lng], Math.max(map.getZoom(), PICKED_ZOOM));
+    }
+  }, [map, lat, lng]);
+
+  return null;
+};
+
+/**
+ * LocationPicker Component
+ *
+ * Small map for choosing a station position.
+ * Click anywhere or drag the pin to set latitude/longitude.
+ */
+const LocationPicker = ({ latitude, longitude, onChange }) => {
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+  const position = isValidCoordinate(lat, lng) ? [lat, lng] : null;
+
+  // Round to 6 decimals (~10 cm), plenty for a station location
+  const handlePick = (pickedLat, pickedLng) => {
+    onChange(Number(pickedLat.toFixed(6)), Number(pickedLng.toFixed(6)));
+  };
+
+  return (
+    <div className="relative z-0 h-56 rounded-lg overflow-hidden border border-gray-300">
+      <MapContainer
+        center={position || DEFAULT_MAP_CENTER}
+        zoom={position ? PICKED_ZOOM : DEFAULT_MAP_ZOOM}
+        scrollWheelZoom
+        className="h-full w-full"
+      >
+        <TileLayer url={MAP_TILE_URL} attribution={MAP_TILE_ATTRIBUTION} />
+        <PickerEvents lat={lat} lng={lng} onPick={handlePick} />
+        {position && (
+          <Marker
+            position={position}
+            icon={pinIcon}
+            draggable
+            eventHandlers={{
+              dragend: (e) => {
+                const { lat: draggedLat, lng: draggedLng } = e.target.getLatLng();
+                handlePick(draggedLat, draggedLng);
+              },
+            }}
+          />
+        )}
+      </MapContainer>
+    </div>
+  );
+};
+
+export default LocationPicker;
@@ -0,0 +1,361 @@
+import { useState, useEffect, useMemo } from 'react';
+import Loader from './Loader';
+import MaintenanceWindowForm from './MaintenanceWindowForm';
+import {
+  createMaintenanceWindow,
+  deleteMaintenanceWindow,
+  getMaintenanceOccurrences,
+  getMaintenanceWindows,
+  queryAllStations,
+  updateMaintenanceWindow,
+} from '../services/stationApi';
+import { createMaintenanceWindow as newMaintenanceWindow, getMaintenanceRecurrence } from '../constants/maintenance';
+import { formatMaintenanceRange, getMonthGrid, groupOccurrencesByDay, isMaintenanceRunning } from '../utils/maintenance';
+import { toDateString } from '../utils/workOrders';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MAX_CHIPS_PER_DAY = 2;
+
+const startOfMonth = (date) => new Date(date.getFullYear(), date.getMonth(), 1);
+
+/**
+ * MaintenanceCalendar Component
+ *
+ * Month calendar of scheduled maintenance, with the occurrences of each day
+ * listed under the grid when a day is picked, and all scheduled windows
+ * below. canEdit lets Operators and Admins schedule and edit windows;
+ * canDelete (Admin) lets them be deleted. onChange is called after a window
+ * is saved or deleted so the caller can reload what it shows.
+ */
+const MaintenanceCalendar = ({ canEdit, canDelete, onChange }) => {
+  const [month, setMonth] = useState(() => startOfMonth(new Date()));
+  const [selectedDay, setSelectedDay] = useState(() => toDateString(new Date()));
+  const [occurrences, setOccurrences] = useState([]);
+  const [windows, setWindows] = useState([]);
+  const [stations, setStations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  const [editing, setEditing] = useState(null); // Window in the form (new ones have no id)
+  const [deleteConfirmId, setDeleteConfirmId] = useState(null);
+  const [actionError, setActionError] = useState(null);
+
+  const weeks = useMemo(() => getMonthGrid(month.getFullYear(), month.getMonth()), [month]);
+
+  // Station names for the calendar and the station picker
+  useEffect(() => {
+    const loadStations = async () => {
+      try {
+        setStations(await queryAllStations({ sort: 'name' }));
+      } catch (err) {
+        // Windows just show station ids
+        console.error('Error loading stations for the maintenance calendar:', err);
+      }
+    };
+    loadStations();
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadCalendar = async () => {
+      const lastWeek = weeks[weeks.length - 1];
+      const to = new Date(lastWeek[6]);
+      to.setDate(to.getDate() + 1);
+
+      try {
+        setLoading(true);
+        setError(null);
+        const [occurrenceData, windowData] = await Promise.all([
+          getMaintenanceOccurrences({ from: weeks[0][0].toISOString(), to: to.toISOString() }),
+          getMaintenanceWindows(),
+        ]);
+        if (!cancelled) {
+          setOccurrences(occurrenceData);
+          setWindows(windowData);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load scheduled maintenance');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadCalendar();
+    return () => {
+      cancelled = true;
+    };
+  }, [weeks, reloadCount]);
+
+  const stationNames = useMemo(
+    () => Object.fromEntries(stations.map((station) => [station.id, station.stationName])),
+    [stations]
+  );
+  const occurrencesByDay = useMemo(() => groupOccurrencesByDay(occurrences), [occurrences]);
+  const selectedOccurrences = occurrencesByDay[selectedDay] || [];
+  const today = toDateString(new Date());
+
+  const describeStations = (stationIds) =>
+    stationIds.map((id) => stationNames[id] || `Station #${id}`).join(', ');
+
+  const changeMonth = (offset) => {
+    setMonth((prev) => new Date(prev.getFullYear(), prev.getMonth() + offset, 1));
+  };
+
+  const goToToday = () => {
+    setMonth(startOfMonth(new Date()));
+    setSelectedDay(toDateString(new Date()));
+  };
+
+  const handleSaved = () => {
+    setEditing(null);
+    setReloadCount((count) => count + 1);
+    if (onChange) onChange();
+  };
+
+  const handleSave = async (payload) => {
+    if (editing.id == null) {
+      await createMaintenanceWindow(payload);
+    } else {
+      await updateMaintenanceWindow(editing.id, payload);
+    }
+    handleSaved();
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      setActionError(null);
+      await deleteMaintenanceWindow(id);
+      setDeleteConfirmId(null);
+      handleSaved();
+    } catch (err) {
+      setActionError(err.message || 'Failed to delete the maintenance window');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-1">
+          <button
+            type="button"
+            onClick={() => changeMonth(-1)}
+            className="p-1.5 rounded-lg text-gray-600 hover:bg-gray-100"
+            aria-label="Previous month"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+          </button>
+          <h3 className="w-40 text-center text-sm font-semibold text-gray-900">
+            {month.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
+          </h3>
+          <button
+            type="button"
+            onClick={() => changeMonth(1)}
+            className="p-1.5 rounded-lg text-gray-600 hover:bg-gray-100"
+            aria-label="Next month"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+            </svg>
+          </button>
+          <button
+            type="button"
+            onClick={goToToday}
+            className="ml-1 px-2 py-1 text-xs font-medium text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            Today
+          </button>
+        </div>
+        {canEdit && !editing && (
+          <button
+            type="button"
+            onClick={() => setEditing(newMaintenanceWindow())}
+            className="px-3 py-1.5 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700"
+          >
+            Schedule maintenance
+          </button>
+        )}
+      </div>
+
+      {editing && (
+        <MaintenanceWindowForm
+          key={editing.id ?? 'new'}
+          maintenanceWindow={editing}
+          stations={stations}
+          onSave={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {actionError && <p className="text-sm text-red-600">{actionError}</p>}
+
+      {/* Month grid */}
+      <div className="relative">
+        {loading && (
+          <div className="absolute inset-0 z-10 flex items-center justify-center bg-white/60">
+            <Loader size="sm" />
+          </div>
+        )}
+        <div className="grid grid-cols-7 text-center text-xs font-medium text-gray-500 mb-1">
+          {WEEKDAYS.map((weekday) => (
+            <div key={weekday}>{weekday}</div>
+          ))}
+        </div>
+        <div className="grid grid-cols-7 gap-px bg-gray-200 border border-gray-200 rounded-lg overflow-hidden">
+          {weeks.flat().map((date) => {
+            const key = toDateString(date);
+            const dayOccurrences = occurrencesByDay[key] || [];
+            const inMonth = date.getMonth() === month.getMonth();
+            return (
+              <button
+                type="button"
+                key={key}
+                onClick={() => setSelectedDay(key)}
+                className={`min-h-[4.5rem] p-1 text-left align-top focus:outline-none focus:ring-2 focus:ring-inset focus:ring-blue-500 ${
+                  key === selectedDay ? 'bg-blue-50' : inMonth ? 'bg-white hover:bg-gray-50' : 'bg-gray-50 hover:bg-gray-100'
+                }`}
+                aria-label={`${date.toLocaleDateString()}: ${dayOccurrences.length} maintenance window${
+                  dayOccurrences.length === 1 ? '' : 's'
+                }`}
+              >
+                <span
+                  className={`inline-flex items-center justify-center w-6 h-6 text-xs rounded-full ${
+                    key === today ? 'bg-blue-600 text-white font-semibold' : inMonth ? 'text-gray-900' : 'text-gray-400'
+                  }`}
+                >
+                  {date.getDate()}
+                </span>
+                {dayOccurrences.slice(0, MAX_CHIPS_PER_DAY).map((occurrence) => (
+                  <span
+                    key={`${occurrence.windowId}-${occurrence.startsAt}`}
+                    className="block mt-0.5 px-1 rounded bg-amber-100 text-amber-800 text-[11px] leading-4 truncate"
+                    title={`${occurrence.reason} · ${formatMaintenanceRange(occurrence)}`}
+                  >
+                    {occurrence.reason}
+                  </span>
+                ))}
+                {dayOccurrences.length > MAX_CHIPS_PER_DAY && (
+                  <span className="block mt-0.5 px-1 text-[11px] text-gray-500">
+                    +{dayOccurrences.length - MAX_CHIPS_PER_DAY} more
+                  </span>
+                )}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Occurrences of the selected day */}
+      <div>
+        <h4 className="text-sm font-semibold text-gray-900 mb-2">
+          {new Date(`${selectedDay}T00:00:00`).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}
+        </h4>
+        {selectedOccurrences.length === 0 ? (
+          <p className="text-sm text-gray-500">No maintenance scheduled.</p>
+        ) : (
+          <ul className="space-y-2">
+            {selectedOccurrences.map((occurrence) => (
+              <li
+                key={`${occurrence.windowId}-${occurrence.startsAt}`}
+                className="p-2 rounded-lg border border-amber-200 bg-amber-50 text-sm"
+              >
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="font-medium text-gray-900">{occurrence.reason}</span>
+                  {isMaintenanceRunning(occurrence) && (
+                    <span className="px-1.5 py-0.5 rounded bg-amber-500 text-white text-xs font-medium">In progress</span>
+                  )}
+                </div>
+                <p className="text-xs text-gray-600">{formatMaintenanceRange(occurrence)}</p>
+                <p className="text-xs text-gray-500 mt-0.5">{describeStations(occurrence.stationIds)}</p>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* All scheduled windows */}
+      <div>
+        <h4 className="text-sm font-semibold text-gray-900 mb-2">Scheduled windows</h4>
+        {windows.length === 0 ? (
+          <p className="text-sm text-gray-500">No maintenance windows have been scheduled.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+            {windows.map((maintenanceWindow) => (
+              <li key={maintenanceWindow.id} className="p-3 flex flex-wrap items-start justify-between gap-2">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900">{maintenanceWindow.reason}</p>
+                  <p className="text-xs text-gray-600">
+                    {formatMaintenanceRange(maintenanceWindow)}
+                    {maintenanceWindow.recurrence !== 'None' &&
+                      ` · ${getMaintenanceRecurrence(maintenanceWindow.recurrence).label}`}
+                    {maintenanceWindow.recurUntil &&
+                      ` until ${new Date(maintenanceWindow.recurUntil).toLocaleDateString()}`}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-0.5 truncate" title={describeStations(maintenanceWindow.stationIds)}>
+                    {maintenanceWindow.stationIds.length} station{maintenanceWindow.stationIds.length === 1 ? '' : 's'}:{' '}
+                    {describeStations(maintenanceWindow.stationIds)}
+                  </p>
+                  <p className="text-xs text-gray-400 mt-0.5">Scheduled by {maintenanceWindow.createdBy}</p>
+                </div>
+                {(canEdit || canDelete) ? (
+                  <div className="flex items-center gap-2 text-xs">
+                    {deleteConfirmId === maintenanceWindow.id ? (
+                      <>
+                        <span className="text-gray-600">Delete this window?</span>
+                        <button
+                          type="button"
+                          onClick={() => handleDelete(maintenanceWindow.id)}
+                          className="px-2 py-1 bg-red-600 text-white rounded-md hover:bg-red-700"
+                        >
+                          Delete
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setDeleteConfirmId(null)}
+                          className="px-2 py-1 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+                        >
+                          Cancel
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        {canEdit && (
+                          <button
+                            type="button"
+                            onClick={() => setEditing(maintenanceWindow)}
+                            className="text-blue-600 hover:text-blue-800"
+                          >
+                            Edit
+                          </button>
+                        )}
+                        {canDelete && (
+                          <button
+                            type="button"
+                            onClick={() => setDeleteConfirmId(maintenanceWindow.id)}
+                            className="text-red-600 hover:text-red-800"
+                          >
+                            Delete
+                          </button>
+                        )}
+                      </>
+                    )}
+                  </div>
+                ) : null}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MaintenanceCalendar;
@@ -0,0 +1,218 @@
+import { useState, useMemo } from 'react';
+import { MAINTENANCE_RECURRENCES, MAX_REASON_LENGTH, getMaintenanceRecurrence } from '../constants/maintenance';
+import { toDateTimeInput, toMaintenanceWindowPayload, validateMaintenanceWindow } from '../utils/maintenance';
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-colors bg-white text-sm';
+
+/**
+ * MaintenanceWindowForm Component
+ *
+ * Schedule or edit one maintenance window: its reason, first start and end
+ * (in local time), how it repeats, and the stations it takes down. stations
+ * are the stations to pick from; the filter narrows the list by name or
+ * address. onSave(payload) saves and throws with a message on failure.
+ */
+const MaintenanceWindowForm = ({ maintenanceWindow, stations, onSave, onCancel }) => {
+  const isNew = maintenanceWindow.id == null;
+
+  const [form, setForm] = useState(() => ({
+    ...maintenanceWindow,
+    startsAt: toDateTimeInput(maintenanceWindow.startsAt),
+    endsAt: toDateTimeInput(maintenanceWindow.endsAt),
+    recurUntil: toDateTimeInput(maintenanceWindow.recurUntil),
+    stationIds: maintenanceWindow.stationIds || [],
+  }));
+  const [stationFilter, setStationFilter] = useState('');
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const repeats = Boolean(getMaintenanceRecurrence(form.recurrence).periodDays);
+  const selected = useMemo(() => new Set(form.stationIds), [form.stationIds]);
+
+  const shownStations = useMemo(() => {
+    const term = stationFilter.trim().toLowerCase();
+    if (!term) return stations;
+    return stations.filter((station) =>
+      `${station.stationName || ''} ${station.locationAddress || ''}`.toLowerCase().includes(term)
+    );
+  }, [stations, stationFilter]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+    setError(null);
+  };
+
+  const setStationIds = (update) => {
+    setForm((prev) => ({ ...prev, stationIds: update(prev.stationIds) }));
+    setError(null);
+  };
+
+  const toggleStation = (stationId) => {
+    setStationIds((ids) => (ids.includes(stationId) ? ids.filter((id) => id !== stationId) : [...ids, stationId]));
+  };
+
+  const selectShown = () => {
+    setStationIds((ids) => [...new Set([...ids, ...shownStations.map((station) => station.id)])]);
+  };
+
+  const clearShown = () => {
+    const shownIds = new Set(shownStations.map((station) => station.id));
+    setStationIds((ids) => ids.filter((id) => !shownIds.has(id)));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validationError = validateMaintenanceWindow(form);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await onSave(toMaintenanceWindowPayload(form));
+    } catch (err) {
+      setError(err.message || 'Failed to save the maintenance window');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="p-3 rounded-lg border border-gray-200 bg-gray-50 space-y-3">
+      <label className="block text-xs text-gray-600">
+        Reason
+        <input
+          type="text"
+          name="reason"
+          maxLength={MAX_REASON_LENGTH}
+          value={form.reason}
+          onChange={handleChange}
+          required
+          className={`${inputClass} mt-1`}
+          placeholder="e.g. Firmware upgrade"
+        />
+      </label>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <label className="text-xs text-gray-600">
+          Starts
+          <input
+            type="datetime-local"
+            name="startsAt"
+            value={form.startsAt}
+            onChange={handleChange}
+            required
+            className={`${inputClass} mt-1`}
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          Ends
+          <input
+            type="datetime-local"
+            name="endsAt"
+            value={form.endsAt}
+            onChange={handleChange}
+            required
+            className={`${inputClass} mt-1`}
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          Repeats
+          <select name="recurrence" value={form.recurrence} onChange={handleChange} className={`${inputClass} mt-1`}>
+            {MAINTENANCE_RECURRENCES.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {repeats && (
+          <label className="text-xs text-gray-600">
+            Repeat until
+            <input
+              type="datetime-local"
+              name="recurUntil"
+              value={form.recurUntil}
+              onChange={handleChange}
+              className={`${inputClass} mt-1`}
+            />
+            <span className="block mt-0.5 text-gray-400">Leave empty to repeat indefinitely</span>
+          </label>
+        )}
+      </div>
+
+      <div>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-1">
+          <span className="text-xs text-gray-600">
+            Stations <span className="text-gray-400">({form.stationIds.length} selected)</span>
+          </span>
+          <div className="flex gap-2 text-xs">
+            <button type="button" onClick={selectShown} className="text-blue-600 hover:text-blue-800">
+              Select {stationFilter.trim() ? 'matching' : 'all'}
+            </button>
+            <button type="button" onClick={clearShown} className="text-gray-500 hover:text-gray-700">
+              Clear {stationFilter.trim() ? 'matching' : 'all'}
+            </button>
+          </div>
+        </div>
+        <input
+          type="search"
+          value={stationFilter}
+          onChange={(e) => setStationFilter(e.target.value)}
+          className={inputClass}
+          placeholder="Filter by name or address"
+          aria-label="Filter stations"
+        />
+        <ul className="mt-2 max-h-48 overflow-y-auto rounded-lg border border-gray-200 bg-white divide-y divide-gray-100">
+          {shownStations.length === 0 ? (
+            <li className="px-3 py-2 text-sm text-gray-500">No stations match</li>
+          ) : (
+            shownStations.map((station) => (
+              <li key={station.id}>
+                <label className="flex items-center gap-2 px-3 py-1.5 text-sm text-gray-700 cursor-pointer hover:bg-gray-50">
+                  <input
+                    type="checkbox"
+                    checked={selected.has(station.id)}
+                    onChange={() => toggleStation(station.id)}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                  <span className="truncate">{station.stationName}</span>
+                  {station.locationAddress && (
+                    <span className="truncate text-xs text-gray-400">{station.locationAddress}</span>
+                  )}
+                </label>
+              </li>
+            ))
+          )}
+        </ul>
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Stations in service are set to Maintenance when the window starts and get their previous status back when it
+        ends, unless someone changes their status in between.
+      </p>
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1.5 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-3 py-1.5 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : isNew ? 'Schedule' : 'Save'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default MaintenanceWindowForm;
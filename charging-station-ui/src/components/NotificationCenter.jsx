@@ -0,0 +1,164 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getNotifications, markAllNotificationsRead, markNotificationRead } from '../services/stationApi';
+import { formatTimeAgo } from '../utils/alerts';
+
+const NOTIFICATION_REFRESH_MS = 30000; // 30 seconds, as often as alert rules are checked
+const NOTIFICATION_LIMIT = 30;
+
+/**
+ * NotificationCenter Component
+ *
+ * Bell in the header with the number of unread notifications, opening a list
+ * of the newest ones. Opening a notification marks it read and goes to its
+ * station; each one can also be marked read or unread, or all read at once.
+ * onManageRules, when given (admins), adds a link to the alert rules.
+ */
+const NotificationCenter = ({ onManageRules }) => {
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [error, setError] = useState(null);
+  const menuRef = useRef(null);
+
+  const loadNotifications = useCallback(async () => {
+    try {
+      const page = await getNotifications({ limit: NOTIFICATION_LIMIT });
+      setNotifications(page.items);
+      setUnreadCount(page.unreadCount);
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Failed to load notifications');
+    }
+  }, []);
+
+  // Poll for new notifications
+  useEffect(() => {
+    loadNotifications();
+    const interval = setInterval(loadNotifications, NOTIFICATION_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [loadNotifications]);
+
+  // Close when clicking outside the menu
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [open]);
+
+  const setRead = async (notification, read) => {
+    try {
+      const updated = await markNotificationRead(notification.id, read);
+      setNotifications((prev) => prev.map((n) => (n.id === updated.id ? updated : n)));
+      setUnreadCount((count) => Math.max(0, count + (read ? -1 : 1)));
+    } catch (err) {
+      setError(err.message || 'Failed to update the notification');
+    }
+  };
+
+  const handleOpenNotification = async (notification) => {
+    if (!notification.readAt) {
+      await setRead(notification, true);
+    }
+    if (notification.chargingStationId) {
+      setOpen(false);
+      navigate(`/stations/${notification.chargingStationId}`);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markAllNotificationsRead();
+      await loadNotifications();
+    } catch (err) {
+      setError(err.message || 'Failed to update notifications');
+    }
+  };
+
+  const handleManageRules = () => {
+    setOpen(false);
+    onManageRules();
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setOpen((prev) => !prev)}
+        className="relative p-1.5 rounded-lg text-gray-500 hover:text-blue-600 hover:bg-gray-100 transition-colors"
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+        title="Notifications"
+        aria-expanded={open}
+      >
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+        </svg>
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-red-600 text-white text-[10px] font-semibold leading-[1.1rem] text-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 max-w-[calc(100vw-2rem)] bg-white border border-gray-200 rounded-lg shadow-lg z-30 text-sm">
+          <div className="flex items-center justify-between px-4 py-2 border-b border-gray-100">
+            <span className="font-semibold text-gray-900">Notifications</span>
+            <div className="flex items-center gap-3 text-xs">
+              {unreadCount > 0 && (
+                <button type="button" onClick={handleMarkAllRead} className="text-blue-600 hover:text-blue-800">
+                  Mark all read
+                </button>
+              )}
+              {onManageRules && (
+                <button type="button" onClick={handleManageRules} className="text-gray-600 hover:text-gray-800">
+                  Alert rules
+                </button>
+              )}
+            </div>
+          </div>
+
+          {error && <p className="px-4 py-2 text-xs text-red-600">{error}</p>}
+
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-center text-gray-500">No notifications</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {notifications.map((notification) => (
+                <li key={notification.id} className={`flex items-start gap-2 px-4 py-2 ${notification.readAt ? '' : 'bg-blue-50/60'}`}>
+                  <button
+                    type="button"
+                    onClick={() => handleOpenNotification(notification)}
+                    className="flex-1 min-w-0 text-left"
+                  >
+                    <span className={`block truncate ${notification.readAt ? 'text-gray-700' : 'font-medium text-gray-900'}`}>
+                      {notification.title}
+                    </span>
+                    <span className="block text-xs text-gray-600 line-clamp-2">{notification.message}</span>
+                    <span className="block text-xs text-gray-400 mt-0.5">{formatTimeAgo(notification.createdAt)}</span>
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setRead(notification, !notification.readAt)}
+                    className={`mt-1.5 w-2.5 h-2.5 flex-shrink-0 rounded-full border ${
+                      notification.readAt ? 'border-gray-300 hover:bg-gray-200' : 'bg-blue-600 border-blue-600'
+                    }`}
+                    aria-label={notification.readAt ? 'Mark as unread' : 'Mark as read'}
+                    title={notification.readAt ? 'Mark as unread' : 'Mark as read'}
+                  />
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationCenter;
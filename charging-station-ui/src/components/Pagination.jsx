@@ -3,8 +3,9 @@
  * 
  * Clean, minimal pagination controls.
  * Mobile-friendly with responsive button sizes.
+ * Shows the item range when totalItems and pageSize are provided.
  */
-const Pagination = ({ currentPage, totalPages, onPageChange }) => {
+const Pagination = ({ currentPage, totalPages, onPageChange, totalItems, pageSize }) => {
   // Generate page numbers to display
   const getPageNumbers = () => {
     const pages = [];
@@ -49,8 +50,20 @@ const Pagination = ({ currentPage, totalPages, onPageChange }) => {
     <div className="flex flex-col sm:flex-row items-center justify-between gap-4 mt-8 pt-6 border-t border-gray-200">
       {/* Page Info */}
       <div className="text-sm text-gray-600">
-        Page <span className="font-medium text-gray-900">{currentPage}</span> of{' '}
-        <span className="font-medium text-gray-900">{totalPages}</span>
+        {totalItems && pageSize ? (
+          <>
+            Showing{' '}
+            <span className="font-medium text-gray-900">{(currentPage - 1) * pageSize + 1}</span>
+            -
+            <span className="font-medium text-gray-900">{Math.min(currentPage * pageSize, totalItems)}</span> of{' '}
+            <span className="font-medium text-gray-900">{totalItems}</span>
+          </>
+        ) : (
+          <>
+            Page <span className="font-medium text-gray-900">{currentPage}</span> of{' '}
+            <span className="font-medium text-gray-900">{totalPages}</span>
+          </>
+        )}
       </div>
 
       {/* Pagination Controls */}
@@ -0,0 +1,196 @@
+import { useState } from 'react';
+import { MAX_PHOTOS, MAX_CAPTION_LENGTH, movePhoto } from '../utils/stationPhotos';
+
+/**
+ * PhotoEditor Component
+ *
+ * Gallery editor for a station's photos: drop or pick several images at once,
+ * add captions, reorder by dragging (or with the arrow buttons) and remove.
+ * The first photo is the station's cover image.
+ * Uploading is left to the parent: onAddFiles receives the chosen files and
+ * uploadingCount shows placeholders for uploads still in flight.
+ */
+const PhotoEditor = ({ photos, onChange, onAddFiles, uploadingCount = 0, error }) => {
+  const [dragIndex, setDragIndex] = useState(null); // Photo being dragged to a new position
+  const [dropActive, setDropActive] = useState(false); // Files are dragged over the drop zone
+  const canAdd = photos.length + uploadingCount < MAX_PHOTOS;
+
+  const handleFiles = (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length > 0) {
+      onAddFiles(files);
+    }
+  };
+
+  const handleCaptionChange = (index, caption) => {
+    onChange(photos.map((photo, i) => (i === index ? { ...photo, caption } : photo)));
+  };
+
+  const handleRemove = (index) => {
+    onChange(photos.filter((_, i) => i !== index));
+  };
+
+  // Dropping a tile moves the dragged photo to that tile's position
+  const handleTileDrop = (e, index) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (dragIndex != null) {
+      onChange(movePhoto(photos, dragIndex, index));
+    } else {
+      handleFiles(e.dataTransfer.files);
+    }
+    setDragIndex(null);
+    setDropActive(false);
+  };
+
+  const handleZoneDragOver = (e) => {
+    e.preventDefault();
+    if (dragIndex == null) {
+      setDropActive(true);
+    }
+  };
+
+  const handleZoneDrop = (e) => {
+    e.preventDefault();
+    setDropActive(false);
+    if (dragIndex == null && canAdd) {
+      handleFiles(e.dataTransfer.files);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {(photos.length > 0 || uploadingCount > 0) && (
+        <ul className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+          {photos.map((photo, index) => (
+            <li
+              key={photo.imageUrl}
+              draggable
+              onDragStart={(e) => {
+                setDragIndex(index);
+                e.dataTransfer.effectAllowed = 'move';
+              }}
+              onDragEnd={() => setDragIndex(null)}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={(e) => handleTileDrop(e, index)}
+              className={`border rounded-lg overflow-hidden bg-white cursor-move ${
+                dragIndex === index ? 'opacity-50 border-blue-400' : 'border-gray-200'
+              }`}
+            >
+              <div className="relative h-24 bg-gray-100">
+                <img
+                  src={photo.thumbnailUrl || photo.imageUrl}
+                  alt={photo.caption || `Photo ${index + 1}`}
+                  className="w-full h-full object-cover"
+                  draggable={false}
+                />
+                {index === 0 && (
+                  <span className="absolute top-1 left-1 px-1.5 py-0.5 rounded bg-blue-600 text-white text-[10px] font-medium">
+                    Cover
+                  </span>
+                )}
+                <button
+                  type="button"
+                  onClick={() => handleRemove(index)}
+                  className="absolute top-1 right-1 bg-red-500 text-white rounded-full p-1 hover:bg-red-600 transition-colors"
+                  aria-label={`Remove photo ${index + 1}`}
+                >
+                  <svg className="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                  </svg>
+                </button>
+              </div>
+              <div className="p-1.5 space-y-1">
+                <input
+                  type="text"
+                  value={photo.caption}
+                  onChange={(e) => handleCaptionChange(index, e.target.value)}
+                  maxLength={MAX_CAPTION_LENGTH}
+                  placeholder="Caption"
+                  className="w-full px-2 py-1 border border-gray-300 rounded text-xs focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+                  aria-label={`Caption for photo ${index + 1}`}
+                />
+                <div className="flex justify-between">
+                  <button
+                    type="button"
+                    onClick={() => onChange(movePhoto(photos, index, index - 1))}
+                    disabled={index === 0}
+                    className="px-1.5 text-xs text-gray-500 hover:text-blue-600 disabled:opacity-30"
+                    aria-label={`Move photo ${index + 1} earlier`}
+                  >
+                    ←
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onChange(movePhoto(photos, index, index + 1))}
+                    disabled={index === photos.length - 1}
+                    className="px-1.5 text-xs text-gray-500 hover:text-blue-600 disabled:opacity-30"
+                    aria-label={`Move photo ${index + 1} later`}
+                  >
+                    →
+                  </button>
+                </div>
+              </div>
+            </li>
+          ))}
+          {Array.from({ length: uploadingCount }, (_, i) => (
+            <li
+              key={`uploading-${i}`}
+              className="h-24 border border-dashed border-gray-300 rounded-lg flex items-center justify-center text-xs text-gray-500 animate-pulse"
+            >
+              Uploading...
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Drop Zone / File Input */}
+      {canAdd && (
+        <div>
+          <input
+            type="file"
+            id="photoFiles"
+            accept="image/*"
+            multiple
+            onChange={(e) => {
+              handleFiles(e.target.files);
+              e.target.value = ''; // Allow picking the same file again
+            }}
+            className="hidden"
+          />
+          <label
+            htmlFor="photoFiles"
+            onDragOver={handleZoneDragOver}
+            onDragLeave={() => setDropActive(false)}
+            onDrop={handleZoneDrop}
+            className={`flex flex-col items-center justify-center w-full px-4 py-6 border-2 border-dashed rounded-lg cursor-pointer transition-colors ${
+              dropActive ? 'border-blue-400 bg-blue-50' : 'border-gray-300 bg-gray-50 hover:bg-gray-100'
+            }`}
+          >
+            <svg className="w-8 h-8 mb-2 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12"
+              />
+            </svg>
+            <p className="text-sm text-gray-600">
+              <span className="font-medium text-blue-600 hover:text-blue-700">Click to upload</span> or drag and drop
+            </p>
+            <p className="text-xs text-gray-500 mt-1">
+              PNG, JPG, GIF up to 5MB each · up to {MAX_PHOTOS} photos
+            </p>
+          </label>
+        </div>
+      )}
+
+      {photos.length > 1 && (
+        <p className="text-xs text-gray-500">Drag photos to reorder them. The first photo is shown on the station card.</p>
+      )}
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default PhotoEditor;
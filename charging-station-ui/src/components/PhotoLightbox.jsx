@@ -0,0 +1,140 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * PhotoLightbox Component
+ *
+ * Full-screen gallery of a station's photos with captions.
+ * Arrow keys or the side buttons move between photos; Escape or the
+ * backdrop closes it.
+ */
+const PhotoLightbox = ({ photos, title, initialIndex = 0, onClose }) => {
+  const [index, setIndex] = useState(initialIndex);
+  const count = photos.length;
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      } else if (e.key === 'ArrowLeft') {
+        setIndex((i) => (i - 1 + count) % count);
+      } else if (e.key === 'ArrowRight') {
+        setIndex((i) => (i + 1) % count);
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    // Prevent body scroll while the lightbox is open
+    document.body.style.overflow = 'hidden';
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      document.body.style.overflow = 'unset';
+    };
+  }, [count, onClose]);
+
+  if (count === 0) return null;
+
+  const photo = photos[Math.min(index, count - 1)];
+  const navButtonClass =
+    'absolute top-1/2 -translate-y-1/2 p-2 rounded-full bg-black/40 text-white hover:bg-black/60 focus:outline-none focus:ring-2 focus:ring-white';
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex flex-col bg-black/90"
+      role="dialog"
+      aria-modal="true"
+      aria-label={title ? `Photos - ${title}` : 'Photos'}
+      onClick={onClose}
+    >
+      {/* Top Bar */}
+      <div className="flex items-center justify-between px-4 py-3 text-white text-sm" onClick={(e) => e.stopPropagation()}>
+        <span className="font-medium truncate">{title}</span>
+        <div className="flex items-center gap-4">
+          {count > 1 && (
+            <span className="text-gray-300">
+              {index + 1} / {count}
+            </span>
+          )}
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-1 rounded hover:bg-white/10 focus:outline-none focus:ring-2 focus:ring-white"
+            aria-label="Close photos"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+      </div>
+
+      {/* Current Photo */}
+      <div className="relative flex-1 min-h-0 flex items-center justify-center px-4">
+        <img
+          src={photo.imageUrl}
+          alt={photo.caption || `${title || 'Station'} photo ${index + 1}`}
+          className="max-h-full max-w-full object-contain"
+          onClick={(e) => e.stopPropagation()}
+        />
+        {count > 1 && (
+          <>
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                setIndex((i) => (i - 1 + count) % count);
+              }}
+              className={`${navButtonClass} left-4`}
+              aria-label="Previous photo"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+            </button>
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                setIndex((i) => (i + 1) % count);
+              }}
+              className={`${navButtonClass} right-4`}
+              aria-label="Next photo"
+            >
+              <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+              </svg>
+            </button>
+          </>
+        )}
+      </div>
+
+      {/* Caption and Thumbnails */}
+      <div className="px-4 py-3 space-y-3" onClick={(e) => e.stopPropagation()}>
+        <p className="text-center text-sm text-gray-200 min-h-[1.25rem]">{photo.caption}</p>
+        {count > 1 && (
+          <div className="flex justify-center gap-2 overflow-x-auto">
+            {photos.map((p, i) => (
+              <button
+                key={p.imageUrl}
+                type="button"
+                onClick={() => setIndex(i)}
+                className={`flex-shrink-0 w-16 h-12 rounded overflow-hidden border-2 ${
+                  i === index ? 'border-white' : 'border-transparent opacity-60 hover:opacity-100'
+                }`}
+                aria-label={`Show photo ${i + 1}`}
+              >
+                <img
+                  src={p.thumbnailUrl || p.imageUrl}
+                  alt=""
+                  loading="lazy"
+                  className="w-full h-full object-cover"
+                />
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PhotoLightbox;
@@ -0,0 +1,149 @@
+import { useState } from 'react';
+import { parseCoordinateInput } from '../utils/geo';
+
+/**
+ * ProximityFilter Component
+ *
+ * "Near me" controls for the Dashboard filter panel.
+ * The origin comes from browser geolocation, a typed "lat, lng" pair,
+ * or a PIN code located through resolvePinCode (async, resolves to coordinates or null).
+ */
+const ProximityFilter = ({ origin, radiusKm, resolvePinCode, onOriginChange, onRadiusChange }) => {
+  const [locationInput, setLocationInput] = useState('');
+  const [locating, setLocating] = useState(false);
+  const [locationError, setLocationError] = useState(null);
+
+  // Use the browser's current position as origin
+  const handleUseMyLocation = () => {
+    if (!navigator.geolocation) {
+      setLocationError('Geolocation is not supported by this browser');
+      return;
+    }
+
+    setLocating(true);
+    setLocationError(null);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setLocating(false);
+        onOriginChange({
+          lat: position.coords.latitude,
+          lng: position.coords.longitude,
+          label: 'My location',
+        });
+      },
+      (err) => {
+        setLocating(false);
+        setLocationError(err.message || 'Unable to get your location');
+      },
+      { enableHighAccuracy: false, timeout: 10000 }
+    );
+  };
+
+  // Use a typed coordinate pair or PIN code as origin
+  const handleSetLocation = async (e) => {
+    e.preventDefault();
+    const input = locationInput.trim();
+    if (!input) return;
+
+    let coords = parseCoordinateInput(input);
+    if (!coords) {
+      try {
+        setLocating(true);
+        coords = await resolvePinCode(input);
+      } catch (err) {
+        coords = null;
+      } finally {
+        setLocating(false);
+      }
+    }
+
+    if (!coords) {
+      setLocationError('Enter "lat, lng" or a PIN code that has located stations');
+      return;
+    }
+
+    setLocationError(null);
+    onOriginChange({ ...coords, label: input });
+  };
+
+  // Remove the proximity filter
+  const handleClear = () => {
+    setLocationInput('');
+    setLocationError(null);
+    onOriginChange(null);
+  };
+
+  return (
+    <div>
+      <label htmlFor="proximityLocation" className="block text-xs font-medium text-gray-700 mb-1.5">
+        Near
+      </label>
+      <div className="flex flex-col sm:flex-row gap-2">
+        <button
+          type="button"
+          onClick={handleUseMyLocation}
+          disabled={locating}
+          className="inline-flex items-center justify-center px-3 py-2 text-sm font-medium rounded-lg border border-gray-300
+                   bg-white text-gray-700 hover:bg-gray-50 disabled:opacity-50 transition-colors"
+        >
+          <svg className="w-4 h-4 mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
+          </svg>
+          {locating ? 'Locating...' : 'Use my location'}
+        </button>
+        <form onSubmit={handleSetLocation} className="flex flex-1 gap-2">
+          <input
+            type="text"
+            id="proximityLocation"
+            value={locationInput}
+            onChange={(e) => setLocationInput(e.target.value)}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg
+                     focus:ring-2 focus:ring-blue-500 focus:border-blue-500
+                     outline-none transition-colors text-sm"
+            placeholder="lat, lng or PIN code"
+          />
+          <button
+            type="submit"
+            disabled={locating}
+            className="px-3 py-2 text-sm font-medium rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            Set
+          </button>
+        </form>
+      </div>
+
+      {locationError && <p className="mt-1.5 text-xs text-red-600">{locationError}</p>}
+
+      {origin && (
+        <div className="mt-3">
+          <div className="flex items-center justify-between text-xs text-gray-600 mb-1">
+            <span>
+              Within <span className="font-semibold text-gray-900">{radiusKm} km</span> of{' '}
+              <span className="font-semibold text-gray-900">{origin.label}</span>
+            </span>
+            <button
+              type="button"
+              onClick={handleClear}
+              className="text-blue-600 hover:text-blue-700 font-medium"
+            >
+              Clear
+            </button>
+          </div>
+          <input
+            type="range"
+            min="1"
+            max="200"
+            step="1"
+            value={radiusKm}
+            onChange={(e) => onRadiusChange(Number(e.target.value))}
+            className="w-full accent-blue-600"
+            aria-label="Search radius in kilometers"
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProximityFilter;
@@ -0,0 +1,148 @@
+import { useState, useEffect } from 'react';
+import Loader from './Loader';
+import StatusBadge from './StatusBadge';
+import { getDeletedStations, restoreStation, purgeStation } from '../services/stationApi';
+
+/**
+ * RecycleBin Component
+ *
+ * Admin list of deleted (archived) stations with restore and
+ * permanent purge actions. Calls onRestored after a station is restored
+ * so the dashboard can reload its list.
+ */
+const RecycleBin = ({ onRestored }) => {
+  const [stations, setStations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null); // Station with a restore/purge in flight
+  const [purgeConfirmId, setPurgeConfirmId] = useState(null); // Station awaiting purge confirmation
+
+  useEffect(() => {
+    const loadStations = async () => {
+      try {
+        setLoading(true);
+        const data = await getDeletedStations();
+        setStations(Array.isArray(data) ? data : []);
+      } catch (err) {
+        setError(err.message || 'Failed to load the recycle bin');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadStations();
+  }, []);
+
+  const removeFromList = (id) => {
+    setStations((prev) => prev.filter((s) => s.id !== id));
+  };
+
+  const handleRestore = async (station) => {
+    try {
+      setBusyId(station.id);
+      setError(null);
+      await restoreStation(station.id);
+      removeFromList(station.id);
+      if (onRestored) {
+        onRestored(station);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to restore station');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = async (station) => {
+    try {
+      setBusyId(station.id);
+      setError(null);
+      await purgeStation(station.id);
+      removeFromList(station.id);
+    } catch (err) {
+      setError(err.message || 'Failed to permanently delete station');
+    } finally {
+      setBusyId(null);
+      setPurgeConfirmId(null);
+    }
+  };
+
+  if (loading) {
+    return <Loader size="sm" text="Loading recycle bin..." />;
+  }
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <div className="px-3 py-2 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">{error}</div>
+      )}
+
+      {stations.length === 0 ? (
+        <p className="text-sm text-gray-500">The recycle bin is empty.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {stations.map((station) => {
+            const busy = busyId === station.id;
+            return (
+              <li key={station.id} className="py-3 flex flex-col sm:flex-row sm:items-center gap-3">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="text-sm font-medium text-gray-900 truncate">{station.stationName}</span>
+                    <StatusBadge status={station.status} />
+                  </div>
+                  <div className="text-xs text-gray-500 truncate">{station.locationAddress}</div>
+                  <div className="text-xs text-gray-500 mt-0.5">
+                    Deleted {new Date(station.deletedAt).toLocaleString()}
+                    {station.deletedBy ? ` · ${station.deletedBy}` : ''}
+                  </div>
+                </div>
+
+                {purgeConfirmId === station.id ? (
+                  <div className="flex items-center gap-2">
+                    <span className="text-xs text-red-700">Delete forever?</span>
+                    <button
+                      type="button"
+                      onClick={() => handlePurge(station)}
+                      disabled={busy}
+                      className="px-3 py-1.5 bg-red-600 text-white text-xs font-medium rounded-lg hover:bg-red-700 disabled:opacity-50"
+                    >
+                      {busy ? 'Deleting...' : 'Delete'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setPurgeConfirmId(null)}
+                      disabled={busy}
+                      className="px-3 py-1.5 bg-gray-100 text-gray-700 text-xs font-medium rounded-lg hover:bg-gray-200"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                ) : (
+                  <div className="flex items-center gap-2">
+                    <button
+                      type="button"
+                      onClick={() => handleRestore(station)}
+                      disabled={busy}
+                      className="px-3 py-1.5 bg-blue-600 text-white text-xs font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      {busy ? 'Restoring...' : 'Restore'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setPurgeConfirmId(station.id)}
+                      disabled={busy}
+                      className="px-3 py-1.5 bg-white border border-red-300 text-red-700 text-xs font-medium rounded-lg hover:bg-red-50 disabled:opacity-50"
+                    >
+                      Purge
+                    </button>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RecycleBin;
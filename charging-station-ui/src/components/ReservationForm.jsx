@@ -0,0 +1,195 @@
+import { useState } from 'react';
+import { getConnectorLabel } from '../constants/connectors';
+import {
+  MAX_DRIVER_EMAIL_LENGTH,
+  MAX_DRIVER_NAME_LENGTH,
+  MAX_DRIVER_PHONE_LENGTH,
+  MAX_RESERVATION_NOTE_LENGTH,
+} from '../constants/reservations';
+import { formatMaintenanceRange, toDateTimeInput } from '../utils/maintenance';
+import { toReservationPayload, validateReservation } from '../utils/reservations';
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-colors bg-white text-sm';
+
+/**
+ * ReservationForm Component
+ *
+ * Book a connector for a driver, or move a booking and edit the driver's
+ * details: connector, time slot, driver name, phone or email and a note.
+ * connectors are the station's connectors numbered by numberConnectors.
+ * onSave(payload) saves and throws with a message on failure; when the slot
+ * is taken the error's conflict lists the overlapping bookings and maintenance.
+ */
+const ReservationForm = ({ reservation, connectors, onSave, onCancel }) => {
+  const isNew = reservation.id == null;
+  // A running booking keeps its start
+  const isRunning = !isNew && new Date(reservation.startsAt) <= new Date();
+
+  const [form, setForm] = useState(() => ({
+    ...reservation,
+    startsAt: toDateTimeInput(reservation.startsAt),
+    endsAt: toDateTimeInput(reservation.endsAt),
+    driverPhone: reservation.driverPhone || '',
+    driverEmail: reservation.driverEmail || '',
+    note: reservation.note || '',
+  }));
+  const [error, setError] = useState(null);
+  const [conflict, setConflict] = useState(null); // { reservations, maintenance } from a 409
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+    setError(null);
+    setConflict(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validationError = validateReservation(form, connectors.length, isRunning ? null : new Date());
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await onSave(toReservationPayload(form));
+    } catch (err) {
+      setError(err.message || 'Failed to save the booking');
+      setConflict(err.conflict || null);
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="p-3 rounded-lg border border-gray-200 bg-gray-50 space-y-3">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <label className="text-xs text-gray-600">
+          Connector
+          <select name="connectorId" value={form.connectorId} onChange={handleChange} className={`${inputClass} mt-1`}>
+            {connectors.map((connector) => (
+              <option key={connector.connectorId} value={connector.connectorId}>
+                #{connector.connectorId} {getConnectorLabel(connector.connectorType)}
+                {connector.maxPowerKw ? ` · ${connector.maxPowerKw} kW` : ''}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600">
+          Start
+          <input
+            type="datetime-local"
+            name="startsAt"
+            value={form.startsAt}
+            onChange={handleChange}
+            disabled={isRunning}
+            required
+            className={`${inputClass} mt-1 disabled:bg-gray-100 disabled:text-gray-500`}
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          End
+          <input
+            type="datetime-local"
+            name="endsAt"
+            value={form.endsAt}
+            onChange={handleChange}
+            required
+            className={`${inputClass} mt-1`}
+          />
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <label className="text-xs text-gray-600">
+          Driver
+          <input
+            type="text"
+            name="driverName"
+            maxLength={MAX_DRIVER_NAME_LENGTH}
+            value={form.driverName}
+            onChange={handleChange}
+            required
+            className={`${inputClass} mt-1`}
+            placeholder="Full name"
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          Phone
+          <input
+            type="tel"
+            name="driverPhone"
+            maxLength={MAX_DRIVER_PHONE_LENGTH}
+            value={form.driverPhone}
+            onChange={handleChange}
+            className={`${inputClass} mt-1`}
+            placeholder="+1 555 0100"
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          Email
+          <input
+            type="email"
+            name="driverEmail"
+            maxLength={MAX_DRIVER_EMAIL_LENGTH}
+            value={form.driverEmail}
+            onChange={handleChange}
+            className={`${inputClass} mt-1`}
+            placeholder="driver@example.com"
+          />
+        </label>
+      </div>
+
+      <label className="block text-xs text-gray-600">
+        Note
+        <textarea
+          name="note"
+          rows={2}
+          maxLength={MAX_RESERVATION_NOTE_LENGTH}
+          value={form.note}
+          onChange={handleChange}
+          className={`${inputClass} mt-1`}
+          placeholder="Vehicle, arrival time..."
+        />
+      </label>
+
+      <p className="text-xs text-gray-500">A phone number or an email address is needed to reach the driver.</p>
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      {conflict && (
+        <ul className="text-xs text-red-600 list-disc pl-4">
+          {conflict.reservations.map((slot) => (
+            <li key={`reservation-${slot.id}`}>
+              Connector {slot.connectorId} booked {formatMaintenanceRange(slot)}
+            </li>
+          ))}
+          {conflict.maintenance.map((occurrence) => (
+            <li key={`maintenance-${occurrence.windowId}-${occurrence.startsAt}`}>
+              Maintenance {formatMaintenanceRange(occurrence)}: {occurrence.reason}
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1.5 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-3 py-1.5 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : isNew ? 'Book' : 'Save'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ReservationForm;
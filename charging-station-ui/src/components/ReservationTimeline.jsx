@@ -0,0 +1,164 @@
+import { CONNECTOR_STATUSES, getConnectorLabel } from '../constants/connectors';
+import { formatMaintenanceRange } from '../utils/maintenance';
+import { getTimelinePosition } from '../utils/reservations';
+
+const HOUR_MS = 60 * 60 * 1000;
+const SLOT_MINUTES = 15; // Clicks on the timeline snap to this
+
+/**
+ * Labelled grid lines between two times
+ * @returns {Array} [{ at: Date, left: percent, label }]
+ */
+const getTicks = (rangeStart, rangeEnd, hourTicks) => {
+  const ticks = [];
+  const span = rangeEnd - rangeStart;
+  for (let at = new Date(rangeStart); at < rangeEnd; at = new Date(at.getTime() + hourTicks * HOUR_MS)) {
+    ticks.push({
+      at,
+      left: ((at - rangeStart) / span) * 100,
+      label:
+        hourTicks >= 24
+          ? at.toLocaleDateString('en-US', { weekday: 'short', day: 'numeric' })
+          : at.toLocaleTimeString('en-US', { hour: 'numeric' }),
+    });
+  }
+  return ticks;
+};
+
+/**
+ * ReservationTimeline Component
+ *
+ * One row per connector between rangeStart and rangeEnd: booked slots in
+ * blue and maintenance at the station in amber, with a line at the current
+ * time. hourTicks spaces the labelled grid lines. onSlotClick(connectorId,
+ * time) (optional) is called when a free part of a row is clicked, snapped
+ * to the quarter hour; onReservationClick(slot) (optional) when a booking is.
+ */
+const ReservationTimeline = ({
+  connectors,
+  slots = [],
+  maintenance = [],
+  rangeStart,
+  rangeEnd,
+  hourTicks,
+  onSlotClick,
+  onReservationClick,
+}) => {
+  const ticks = getTicks(rangeStart, rangeEnd, hourTicks);
+  const now = new Date();
+  const nowPosition = getTimelinePosition({ startsAt: now, endsAt: new Date(now.getTime() + 1) }, rangeStart, rangeEnd);
+
+  const handleRowClick = (connectorId, e) => {
+    if (!onSlotClick) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const fraction = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+    const time = new Date(rangeStart.getTime() + fraction * (rangeEnd - rangeStart));
+    time.setMinutes(Math.floor(time.getMinutes() / SLOT_MINUTES) * SLOT_MINUTES, 0, 0);
+    onSlotClick(connectorId, time);
+  };
+
+  const renderGrid = () => (
+    <>
+      {ticks.map((tick) => (
+        <span key={tick.at.getTime()} className="absolute inset-y-0 border-l border-gray-200" style={{ left: `${tick.left}%` }} />
+      ))}
+      {maintenance.map((occurrence) => {
+        const position = getTimelinePosition(occurrence, rangeStart, rangeEnd);
+        return (
+          position && (
+            <span
+              key={`${occurrence.windowId}-${occurrence.startsAt}`}
+              className="absolute inset-y-0 bg-amber-200/80 border-x border-amber-300"
+              style={{ left: `${position.left}%`, width: `${position.width}%` }}
+              title={`Maintenance ${formatMaintenanceRange(occurrence)}: ${occurrence.reason}`}
+            />
+          )
+        );
+      })}
+      {nowPosition && (
+        <span className="absolute inset-y-0 w-px bg-red-500 z-10" style={{ left: `${nowPosition.left}%` }} />
+      )}
+    </>
+  );
+
+  if (connectors.length === 0) {
+    return <p className="text-sm text-gray-500">No connectors recorded.</p>;
+  }
+
+  return (
+    <div className="space-y-1">
+      {/* Time axis */}
+      <div className="flex">
+        <div className="w-28 flex-shrink-0" />
+        <div className="relative flex-1 h-4 text-[10px] text-gray-500">
+          {ticks.map((tick) => (
+            <span key={tick.at.getTime()} className="absolute whitespace-nowrap pl-0.5" style={{ left: `${tick.left}%` }}>
+              {tick.label}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {connectors.map((connector) => {
+        const statusDot =
+          CONNECTOR_STATUSES.find((s) => s.value === connector.status)?.dotClass || 'bg-gray-400';
+        return (
+          <div key={connector.connectorId} className="flex items-center">
+            <div className="w-28 flex-shrink-0 pr-2 text-xs text-gray-700 truncate" title={connector.status}>
+              <span className={`inline-block w-1.5 h-1.5 rounded-full mr-1.5 ${statusDot}`} />#{connector.connectorId}{' '}
+              {getConnectorLabel(connector.connectorType)}
+            </div>
+            <div
+              className={`relative flex-1 h-7 rounded bg-gray-50 border border-gray-200 overflow-hidden ${
+                onSlotClick ? 'cursor-pointer hover:bg-blue-50/50' : ''
+              }`}
+              onClick={(e) => handleRowClick(connector.connectorId, e)}
+            >
+              {renderGrid()}
+              {slots
+                .filter((slot) => slot.connectorId === connector.connectorId)
+                .map((slot) => {
+                  const position = getTimelinePosition(slot, rangeStart, rangeEnd);
+                  return (
+                    position && (
+                      <button
+                        key={slot.id}
+                        type="button"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          onReservationClick?.(slot);
+                        }}
+                        className={`absolute inset-y-1 rounded bg-blue-500 text-white text-[10px] px-1 truncate text-left ${
+                          onReservationClick ? 'hover:bg-blue-600' : 'cursor-default'
+                        }`}
+                        style={{ left: `${position.left}%`, width: `${position.width}%` }}
+                        title={`Connector ${slot.connectorId} booked ${formatMaintenanceRange(slot)}`}
+                      >
+                        {slot.driverName || 'Booked'}
+                      </button>
+                    )
+                  );
+                })}
+            </div>
+          </div>
+        );
+      })}
+
+      {/* Legend */}
+      <div className="flex flex-wrap items-center gap-3 pt-1 text-xs text-gray-500">
+        <span className="inline-flex items-center">
+          <span className="w-3 h-2 rounded-sm bg-blue-500 mr-1" /> Booked
+        </span>
+        <span className="inline-flex items-center">
+          <span className="w-3 h-2 rounded-sm bg-amber-200 border border-amber-300 mr-1" /> Maintenance
+        </span>
+        <span className="inline-flex items-center">
+          <span className="w-px h-3 bg-red-500 mr-1" /> Now
+        </span>
+        {onSlotClick && <span>Click a free time to book it.</span>}
+      </div>
+    </div>
+  );
+};
+
+export default ReservationTimeline;
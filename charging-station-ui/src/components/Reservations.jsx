@@ -0,0 +1,306 @@
+import { useState, useEffect, useMemo } from 'react';
+import Loader from './Loader';
+import ReservationForm from './ReservationForm';
+import ReservationTimeline from './ReservationTimeline';
+import {
+  cancelReservation,
+  createReservation,
+  getMaintenanceOccurrences,
+  getReservationSlots,
+  getReservations,
+  updateReservation,
+} from '../services/stationApi';
+import {
+  TIMELINE_RANGES,
+  UNBOOKABLE_STATUSES,
+  createReservation as newReservation,
+  getTimelineRange,
+} from '../constants/reservations';
+import { formatMaintenanceRange } from '../utils/maintenance';
+import { numberConnectors, overlaps } from '../utils/reservations';
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+/**
+ * Reservations Component
+ *
+ * A station's availability timeline for a day or a week: bookings per
+ * connector and planned maintenance. canEdit (Operators and Admins) adds
+ * booking a connector for a driver (from the button or by clicking a free
+ * time), moving and cancelling bookings, and the list of bookings in view
+ * with the drivers' details; everyone else sees booked slots only.
+ * onChange is called after a booking is saved or cancelled.
+ */
+const Reservations = ({ station, canEdit, onChange }) => {
+  const [rangeValue, setRangeValue] = useState('day');
+  const [rangeStart, setRangeStart] = useState(() => startOfDay(new Date()));
+  const [slots, setSlots] = useState([]); // Full reservations for editors, booked slots otherwise
+  const [maintenance, setMaintenance] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+
+  const [editing, setEditing] = useState(null); // Booking in the form (new ones have no id)
+  const [cancelConfirmId, setCancelConfirmId] = useState(null);
+  const [actionError, setActionError] = useState(null);
+
+  const stationId = station.id;
+  const range = getTimelineRange(rangeValue);
+  const rangeEnd = useMemo(() => addDays(rangeStart, range.days), [rangeStart, range.days]);
+  const connectors = useMemo(() => numberConnectors(station), [station]);
+  const bookable = !UNBOOKABLE_STATUSES.includes(station.status) && connectors.length > 0;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadTimeline = async () => {
+      const params = { stationId, from: rangeStart.toISOString(), to: rangeEnd.toISOString() };
+      try {
+        setLoading(true);
+        setError(null);
+        const [slotData, maintenanceData] = await Promise.all([
+          canEdit ? getReservations(params) : getReservationSlots(params),
+          getMaintenanceOccurrences(params),
+        ]);
+        if (!cancelled) {
+          setSlots(slotData);
+          setMaintenance(maintenanceData);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load bookings');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadTimeline();
+    return () => {
+      cancelled = true;
+    };
+  }, [stationId, canEdit, rangeStart, rangeEnd, reloadCount]);
+
+  const reload = () => setReloadCount((count) => count + 1);
+
+  const handleSave = async (payload) => {
+    if (payload.id == null) {
+      await createReservation(payload);
+    } else {
+      await updateReservation(payload.id, payload);
+    }
+    setEditing(null);
+    reload();
+    onChange?.();
+  };
+
+  const handleCancelBooking = async (id) => {
+    try {
+      setActionError(null);
+      await cancelReservation(id);
+      setCancelConfirmId(null);
+      reload();
+      onChange?.();
+    } catch (err) {
+      setActionError(err.message || 'Failed to cancel the booking');
+    }
+  };
+
+  const handleSlotClick = (connectorId, startsAt) => {
+    setEditing(newReservation(stationId, { connectorId, startsAt }));
+  };
+
+  // Bookings that have ended can no longer be changed
+  const handleReservationClick = (reservation) => {
+    if (new Date(reservation.endsAt) > new Date()) {
+      setEditing(reservation);
+    }
+  };
+
+  const now = new Date();
+  const bookingsInView = slots.filter((slot) => new Date(slot.endsAt) > now);
+
+  const renderBooking = (reservation) => {
+    const hitByMaintenance = maintenance.some((occurrence) => overlaps(occurrence, reservation));
+    return editing?.id === reservation.id ? (
+      <li key={reservation.id} className="p-2">
+        <ReservationForm
+          reservation={reservation}
+          connectors={connectors}
+          onSave={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      </li>
+    ) : (
+      <li key={reservation.id} className="p-3 flex flex-wrap items-start justify-between gap-2">
+        <div className="min-w-0 text-sm">
+          <p className="text-gray-900">
+            <span className="font-medium">{reservation.driverName}</span>
+            <span className="text-gray-500"> · connector {reservation.connectorId}</span>
+          </p>
+          <p className="text-xs text-gray-600">{formatMaintenanceRange(reservation)}</p>
+          <p className="text-xs text-gray-500">
+            {[reservation.driverPhone, reservation.driverEmail].filter(Boolean).join(' · ')}
+          </p>
+          {reservation.note && <p className="text-xs text-gray-500 italic">{reservation.note}</p>}
+          {hitByMaintenance && (
+            <p className="text-xs text-amber-700">Maintenance was planned over this booking; move or cancel it.</p>
+          )}
+        </div>
+        <div className="flex items-center gap-2 text-xs">
+          {cancelConfirmId === reservation.id ? (
+            <>
+              <span className="text-gray-600">Cancel this booking?</span>
+              <button
+                type="button"
+                onClick={() => handleCancelBooking(reservation.id)}
+                className="px-2 py-1 bg-red-600 text-white rounded-md hover:bg-red-700"
+              >
+                Cancel booking
+              </button>
+              <button
+                type="button"
+                onClick={() => setCancelConfirmId(null)}
+                className="px-2 py-1 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+              >
+                Keep
+              </button>
+            </>
+          ) : (
+            <>
+              <button type="button" onClick={() => setEditing(reservation)} className="text-blue-600 hover:text-blue-800">
+                Edit
+              </button>
+              <button
+                type="button"
+                onClick={() => setCancelConfirmId(reservation.id)}
+                className="text-red-600 hover:text-red-800"
+              >
+                Cancel
+              </button>
+            </>
+          )}
+        </div>
+      </li>
+    );
+  };
+
+  const rangeLabel =
+    range.days === 1
+      ? rangeStart.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })
+      : `${rangeStart.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} – ${addDays(rangeEnd, -1).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
+
+  return (
+    <div className="space-y-3">
+      {/* Range controls */}
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="flex items-center gap-1 text-sm">
+          <button
+            type="button"
+            onClick={() => setRangeStart((start) => addDays(start, -range.days))}
+            className="px-2 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+            aria-label="Earlier"
+          >
+            ‹
+          </button>
+          <button
+            type="button"
+            onClick={() => setRangeStart(startOfDay(new Date()))}
+            className="px-2 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+          >
+            Today
+          </button>
+          <button
+            type="button"
+            onClick={() => setRangeStart((start) => addDays(start, range.days))}
+            className="px-2 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+            aria-label="Later"
+          >
+            ›
+          </button>
+          <span className="ml-2 font-medium text-gray-900">{rangeLabel}</span>
+        </div>
+        <div className="flex items-center gap-2">
+          <div className="inline-flex rounded-md border border-gray-300 overflow-hidden text-xs">
+            {TIMELINE_RANGES.map(({ value, label }) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => setRangeValue(value)}
+                className={`px-2.5 py-1 ${rangeValue === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {canEdit && bookable && !editing && (
+            <button
+              type="button"
+              onClick={() => setEditing(newReservation(stationId))}
+              className="text-sm font-medium text-blue-600 hover:text-blue-700"
+            >
+              + Book a connector
+            </button>
+          )}
+        </div>
+      </div>
+
+      {canEdit && !bookable && (
+        <p className="text-xs text-gray-500">
+          {connectors.length === 0 ? 'The station has no connectors to book.' : `${station.status} stations cannot be booked.`}
+        </p>
+      )}
+
+      {editing && editing.id == null && (
+        <ReservationForm
+          key={`${editing.connectorId}-${editing.startsAt.getTime()}`}
+          reservation={editing}
+          connectors={connectors}
+          onSave={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {actionError && <p className="text-sm text-red-600">{actionError}</p>}
+
+      {loading && slots.length === 0 ? (
+        <Loader size="sm" text="Loading bookings..." />
+      ) : (
+        <ReservationTimeline
+          connectors={connectors}
+          slots={slots}
+          maintenance={maintenance}
+          rangeStart={rangeStart}
+          rangeEnd={rangeEnd}
+          hourTicks={range.hourTicks}
+          onSlotClick={canEdit && bookable ? handleSlotClick : undefined}
+          onReservationClick={canEdit ? handleReservationClick : undefined}
+        />
+      )}
+
+      {/* Bookings in view with the drivers' details */}
+      {canEdit && !loading && (
+        bookingsInView.length === 0 ? (
+          <p className="text-sm text-gray-500">No upcoming bookings in this view.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">{bookingsInView.map(renderBooking)}</ul>
+        )
+      )}
+    </div>
+  );
+};
+
+export default Reservations;
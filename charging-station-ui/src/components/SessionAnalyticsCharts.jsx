@@ -0,0 +1,254 @@
+import { useState, useEffect, useMemo } from 'react';
+import Loader from './Loader';
+import { getSessionAnalytics } from '../services/stationApi';
+import { TIME_RANGE_PRESETS, getPresetRange } from '../utils/timeRange';
+import {
+  WEEKDAY_LABELS,
+  HEATMAP_LEVEL_CLASSES,
+  getUtcOffsetMinutes,
+  formatDuration,
+  formatEnergy,
+  formatHourLabel,
+  getHeatmapLevel,
+  getPeakHour,
+} from '../utils/sessionAnalytics';
+
+const STATIONS_PREVIEW_COUNT = 6;
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+const inputClass =
+  'px-3 py-1.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-colors bg-white text-sm';
+const panelClass = 'rounded-lg border border-gray-200 p-4';
+const panelTitleClass = 'text-sm font-semibold text-gray-900 mb-3';
+
+/**
+ * SessionAnalyticsCharts Component
+ *
+ * Charging session usage (getSessionAnalytics) for the stations matching the
+ * Dashboard filters: sessions per day, energy delivered per station, average
+ * session length and a weekday × hour heatmap of session starts.
+ * Days and hours are in the browser's time zone.
+ */
+const SessionAnalyticsCharts = ({ filterParams }) => {
+  const [preset, setPreset] = useState('30d');
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showAllStations, setShowAllStations] = useState(false);
+
+  // Presets end at the time they were picked
+  const range = useMemo(() => getPresetRange(preset), [preset]);
+
+  // Load usage whenever the range or the Dashboard filters change
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadAnalytics = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const data = await getSessionAnalytics({
+          ...filterParams,
+          from: range.from.toISOString(),
+          to: range.to.toISOString(),
+          utcOffsetMinutes: getUtcOffsetMinutes(range.to),
+        });
+        if (!cancelled) {
+          setAnalytics(data);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load charging sessions');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadAnalytics();
+    return () => {
+      cancelled = true;
+    };
+  }, [range, filterParams]);
+
+  const days = useMemo(() => analytics?.days || [], [analytics]);
+  const stations = analytics?.stations || [];
+  const visibleStations = showAllStations ? stations : stations.slice(0, STATIONS_PREVIEW_COUNT);
+  const heatmap = analytics?.startsByWeekdayHour || [];
+  const peak = getPeakHour(heatmap);
+  const maxDaySessions = Math.max(...days.map((d) => d.sessions), 1);
+  const maxStationEnergy = Math.max(...stations.map((s) => s.energyKwh), 0.001);
+
+  // At most 6 evenly spaced date labels under the daily bars
+  const dayLabelStep = Math.max(Math.ceil(days.length / 6), 1);
+
+  return (
+    <div className="lg:col-span-2 bg-white rounded-lg border border-gray-200 p-6 shadow-sm">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Charging Sessions</h3>
+          <p className="text-xs text-gray-500">Stations matching the current filters</p>
+        </div>
+        <select
+          value={preset}
+          onChange={(e) => setPreset(e.target.value)}
+          className={inputClass}
+          aria-label="Session date range"
+        >
+          {TIME_RANGE_PRESETS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {loading && !analytics ? (
+        <div className="flex items-center justify-center h-64">
+          <Loader size="sm" text="Loading charging sessions..." />
+        </div>
+      ) : error ? (
+        <div className="flex items-center justify-center h-64 text-sm text-red-600">{error}</div>
+      ) : (
+        <div className={`transition-opacity ${loading ? 'opacity-60' : ''}`}>
+          {/* Summary */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+            <div className="rounded-lg bg-gray-50 border border-gray-200 px-4 py-3">
+              <div className="text-xs text-gray-500">Sessions</div>
+              <div className="text-xl font-semibold text-gray-900">{analytics.sessions}</div>
+            </div>
+            <div className="rounded-lg bg-gray-50 border border-gray-200 px-4 py-3">
+              <div className="text-xs text-gray-500">Energy delivered</div>
+              <div className="text-xl font-semibold text-blue-600">{formatEnergy(analytics.energyKwh)}</div>
+            </div>
+            <div className="rounded-lg bg-gray-50 border border-gray-200 px-4 py-3">
+              <div className="text-xs text-gray-500">Average session</div>
+              <div className="text-xl font-semibold text-gray-900">
+                {formatDuration(analytics.averageDurationMinutes)}
+              </div>
+            </div>
+            <div className="rounded-lg bg-gray-50 border border-gray-200 px-4 py-3">
+              <div className="text-xs text-gray-500">Peak hour</div>
+              <div className="text-xl font-semibold text-gray-900">
+                {peak ? `${WEEKDAY_LABELS[peak.weekday]} ${formatHourLabel(peak.hour)}` : '—'}
+              </div>
+            </div>
+          </div>
+
+          {analytics.sessions === 0 ? (
+            <div className="flex items-center justify-center h-32 text-gray-400 text-sm">
+              No charging sessions in this range
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+              {/* Sessions per Day */}
+              <div className={panelClass}>
+                <h4 className={panelTitleClass}>Sessions per Day</h4>
+                <div className="flex items-end gap-px h-40" role="img" aria-label="Sessions per day">
+                  {days.map((day) => (
+                    <div
+                      key={day.date}
+                      className="flex-1 bg-blue-500 hover:bg-blue-600 rounded-t-sm min-h-[2px] transition-all"
+                      style={{ height: `${(day.sessions / maxDaySessions) * 100}%` }}
+                      title={`${new Date(`${day.date}T00:00:00`).toLocaleDateString()}: ${day.sessions} session${
+                        day.sessions === 1 ? '' : 's'
+                      }, ${formatEnergy(day.energyKwh)}`}
+                    />
+                  ))}
+                </div>
+                <div className="flex gap-px mt-1 text-[10px] text-gray-400">
+                  {days.map((day, index) => (
+                    <span key={day.date} className="flex-1 text-center whitespace-nowrap overflow-visible">
+                      {index % dayLabelStep === 0
+                        ? new Date(`${day.date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+                        : ''}
+                    </span>
+                  ))}
+                </div>
+              </div>
+
+              {/* Energy per Station - most energy first */}
+              <div className={panelClass}>
+                <h4 className={panelTitleClass}>Energy by Station</h4>
+                <div className="space-y-3">
+                  {visibleStations.map((station) => (
+                    <div key={station.stationId} className="space-y-1">
+                      <div className="flex items-center justify-between gap-2 text-sm">
+                        <span className="text-gray-700 font-medium truncate">{station.stationName}</span>
+                        <span className="text-gray-900 font-semibold whitespace-nowrap">{formatEnergy(station.energyKwh)}</span>
+                      </div>
+                      <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                        <div
+                          className="h-full bg-blue-500 rounded-full transition-all duration-1000 ease-out"
+                          style={{ width: `${(station.energyKwh / maxStationEnergy) * 100}%` }}
+                        />
+                      </div>
+                      <div className="text-xs text-gray-500">
+                        {station.sessions} session{station.sessions === 1 ? '' : 's'} · average{' '}
+                        {formatDuration(station.averageDurationMinutes)}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+                {stations.length > STATIONS_PREVIEW_COUNT && (
+                  <button
+                    type="button"
+                    onClick={() => setShowAllStations(!showAllStations)}
+                    className="mt-3 text-sm font-medium text-blue-600 hover:text-blue-700"
+                  >
+                    {showAllStations ? 'Show fewer' : `Show all ${stations.length} stations`}
+                  </button>
+                )}
+              </div>
+
+              {/* Peak Hours Heatmap - session starts by weekday and hour */}
+              <div className={`${panelClass} lg:col-span-2 overflow-x-auto`}>
+                <h4 className={panelTitleClass}>Peak Hours</h4>
+                <table className="border-separate" style={{ borderSpacing: '2px' }}>
+                  <thead>
+                    <tr>
+                      <th />
+                      {HOURS.map((hour) => (
+                        <th key={hour} className="text-[10px] font-normal text-gray-400 w-5">
+                          {hour % 3 === 0 ? hour : ''}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {WEEKDAY_LABELS.map((label, weekday) => (
+                      <tr key={label}>
+                        <th className="pr-2 text-xs font-normal text-gray-500 text-left">{label}</th>
+                        {HOURS.map((hour) => {
+                          const count = heatmap[weekday]?.[hour] || 0;
+                          return (
+                            <td
+                              key={hour}
+                              className={`w-5 h-5 rounded-sm ${HEATMAP_LEVEL_CLASSES[getHeatmapLevel(count, peak?.count)]}`}
+                              title={`${label} ${formatHourLabel(hour)}: ${count} session${count === 1 ? '' : 's'} started`}
+                            />
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <div className="flex items-center gap-1 mt-3 text-xs text-gray-500">
+                  <span className="mr-1">Fewer</span>
+                  {HEATMAP_LEVEL_CLASSES.map((levelClass) => (
+                    <span key={levelClass} className={`w-3 h-3 rounded-sm ${levelClass}`} />
+                  ))}
+                  <span className="ml-1">More</span>
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SessionAnalyticsCharts;
@@ -1,25 +1,50 @@
 import StatusBadge from './StatusBadge';
+import { formatDistance } from '../utils/geo';
+import { getStationPhotos } from '../utils/stationPhotos';
+import { CONNECTOR_STATUSES, getConnectorLabel, getStationConnectors } from '../constants/connectors';
+import { getOcppConnectorStatus } from '../constants/ocpp';
+import { formatReading, getChargePointConnectors } from '../utils/chargePoint';
+import { formatTariffSummary, getStationTariffs } from '../utils/tariffs';
+import { formatMaintenanceRange, isMaintenanceRunning } from '../utils/maintenance';
+import { countReservedByGroup, numberConnectors } from '../utils/reservations';
 
 /**
  * StationCard Component
  * 
  * Clean, modern card design for displaying charging stations.
  * Optimized for space efficiency while maintaining visual appeal.
+ * onOpen (optional) is called when the card is clicked (the Dashboard opens the detail page).
+ * onEdit (optional) adds an Edit button.
+ * onShowHistory (optional) adds a button that opens the station's status history.
+ * onShowActivity (optional) adds a button that opens the station's audit log.
+ * onShowPhotos (optional) opens the photo gallery when the cover image is clicked.
+ * tariffs (optional) are all tariffs; the ones pricing this station are summarised on the card.
+ * openWorkOrders (optional) is the station's number of unresolved work orders, flagged on the image.
+ * upcomingMaintenance (optional) is the station's running or next maintenance window occurrence.
+ * reservations (optional) is { reservedNow, next }: the connector ids booked now, shown on the
+ * connector chips, and the next booking.
  */
-const StationCard = ({ station, onEdit, onDelete }) => {
+const StationCard = ({ station, tariffs = [], openWorkOrders = 0, upcomingMaintenance, reservations, onOpen, onEdit, onDelete, onShowHistory, onShowActivity, onShowPhotos }) => {
   // Extract station data - using API field names
-  const { stationName, status, locationAddress, locationLink, imageUrl, connectorType } = station;
+  const { stationName, status, locationAddress, locationLink, distanceKm } = station;
+  const connectors = getStationConnectors(station);
+  const photos = getStationPhotos(station);
+  const cover = photos[0];
+  const liveConnectors = getChargePointConnectors(station);
+  const stationTariffs = getStationTariffs(station, tariffs);
+  const reservedNow = reservations?.reservedNow || [];
+  const reservedByGroup = countReservedByGroup(station, reservedNow);
 
   return (
     <div
       className="bg-white rounded-lg border border-gray-200 overflow-hidden
                  transition-all duration-200 hover:shadow-lg hover:border-blue-300
                  cursor-pointer h-full flex flex-col group"
-      onClick={() => onEdit && onEdit(station)}
+      onClick={() => onOpen && onOpen(station)}
     >
       {/* Station Image with Delete Button */}
       <div className="relative h-36 bg-gradient-to-br from-blue-50 to-indigo-50 overflow-hidden">
-        {/* Delete Button - Only visible when onDelete is provided (admin mode) */}
+        {/* Delete Button - Only visible when onDelete is provided (Admin role) */}
         {onDelete && (
           <button
             onClick={(e) => onDelete(station, e)}
@@ -34,11 +59,26 @@ const StationCard = ({ station, onEdit, onDelete }) => {
             </svg>
           </button>
         )}
-        {imageUrl && imageUrl.trim() !== '' ? (
+        {/* Open Work Orders - maintenance still to be done */}
+        {openWorkOrders > 0 && (
+          <span
+            className="absolute top-2 left-2 z-10 inline-flex items-center px-2 py-1 rounded-md bg-amber-500 text-white text-xs font-medium shadow"
+            title={`${openWorkOrders} open work order${openWorkOrders === 1 ? '' : 's'}`}
+          >
+            <svg className="w-3.5 h-3.5 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+            </svg>
+            {openWorkOrders} open
+          </span>
+        )}
+        {cover ? (
           <>
             <img
-              src={imageUrl}
+              src={cover.thumbnailUrl || cover.imageUrl}
               alt={stationName}
+              loading="lazy"
+              decoding="async"
               className="w-full h-full object-cover group-hover:scale-105 transition-transform duration-300"
               onError={(e) => {
                 // Hide broken image and show placeholder
@@ -52,6 +92,26 @@ const StationCard = ({ station, onEdit, onDelete }) => {
                 }
               }}
             />
+            {/* Gallery Button - opens the lightbox */}
+            {onShowPhotos && (
+              <button
+                type="button"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onShowPhotos(station);
+                }}
+                className="absolute bottom-2 left-2 z-10 inline-flex items-center px-2 py-1 rounded-md bg-black/50 text-white text-xs font-medium
+                         hover:bg-black/70 focus:outline-none focus:ring-2 focus:ring-white"
+                aria-label={`View ${photos.length} photo${photos.length === 1 ? '' : 's'}`}
+                title="View photos"
+              >
+                <svg className="w-3.5 h-3.5 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 9a2 2 0 012-2h.93a2 2 0 001.664-.89l.812-1.22A2 2 0 0110.07 4h3.86a2 2 0 011.664.89l.812 1.22A2 2 0 0018.07 7H19a2 2 0 012 2v9a2 2 0 01-2 2H5a2 2 0 01-2-2V9z" />
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 13a3 3 0 11-6 0 3 3 0 016 0z" />
+                </svg>
+                {photos.length}
+              </button>
+            )}
             {/* Placeholder - hidden by default, shown on error */}
             <div className="image-placeholder hidden h-full w-full absolute inset-0 flex items-center justify-center">
               <svg className="w-10 h-10 text-blue-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -75,16 +135,185 @@ const StationCard = ({ station, onEdit, onDelete }) => {
           {stationName}
         </h3>
 
-        {/* Status and Connector Type */}
+        {/* Status */}
         <div className="flex items-center justify-between mb-3">
           <StatusBadge status={status} />
-          {connectorType && (
-            <span className="text-xs text-gray-500 bg-gray-50 px-2 py-1 rounded">
-              {connectorType.replace(/_/g, ' ')}
-            </span>
-          )}
+          <div className="flex items-center gap-3">
+            {onEdit && (
+              <button
+                type="button"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onEdit(station);
+                }}
+                className="inline-flex items-center text-xs text-gray-500 hover:text-blue-600 font-medium"
+                title="Edit station"
+              >
+                <svg className="w-3.5 h-3.5 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                </svg>
+                Edit
+              </button>
+            )}
+            {onShowHistory && (
+              <button
+                type="button"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onShowHistory(station);
+                }}
+                className="inline-flex items-center text-xs text-gray-500 hover:text-blue-600 font-medium"
+                title="View status history"
+              >
+                <svg className="w-3.5 h-3.5 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                </svg>
+                History
+              </button>
+            )}
+            {onShowActivity && (
+              <button
+                type="button"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onShowActivity(station);
+                }}
+                className="inline-flex items-center text-xs text-gray-500 hover:text-blue-600 font-medium"
+                title="View activity log"
+              >
+                <svg className="w-3.5 h-3.5 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01" />
+                </svg>
+                Activity
+              </button>
+            )}
+          </div>
         </div>
 
+        {/* Scheduled Maintenance - running now or coming up */}
+        {upcomingMaintenance && (
+          <div
+            className="flex items-start gap-1.5 mb-3 px-2 py-1.5 rounded-md bg-amber-50 border border-amber-200 text-xs text-amber-800"
+            title={upcomingMaintenance.reason}
+          >
+            <svg className="w-3.5 h-3.5 mt-0.5 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+            </svg>
+            <span className="min-w-0">
+              <span className="font-medium">
+                {isMaintenanceRunning(upcomingMaintenance) ? 'Maintenance in progress' : 'Upcoming maintenance'}:
+              </span>{' '}
+              {formatMaintenanceRange(upcomingMaintenance)}
+            </span>
+          </div>
+        )}
+
+        {/* Bookings - connectors held for drivers now, and the next booking */}
+        {(reservedNow.length > 0 || reservations?.next) && (
+          <div className="flex items-start gap-1.5 mb-3 px-2 py-1.5 rounded-md bg-blue-50 border border-blue-200 text-xs text-blue-800">
+            <svg className="w-3.5 h-3.5 mt-0.5 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+            </svg>
+            <span className="min-w-0">
+              {reservedNow.length > 0 && (
+                <span className="block">
+                  <span className="font-medium">Booked now:</span> {reservedNow.length} of {numberConnectors(station).length}{' '}
+                  connector{reservedNow.length === 1 ? '' : 's'}
+                </span>
+              )}
+              {reservations?.next && (
+                <span className="block">
+                  <span className="font-medium">Next booking:</span> {formatMaintenanceRange(reservations.next)}
+                </span>
+              )}
+            </span>
+          </div>
+        )}
+
+        {/* Connector Chips - type, rating, count and availability (booked connectors are not free) */}
+        {connectors.length > 0 && (
+          <div className="flex flex-wrap gap-1.5 mb-3">
+            {connectors.map((connector, index) => {
+              const reserved = reservedByGroup[index] || 0;
+              const fullyReserved = reserved > 0 && reserved >= (connector.count || 1);
+              const statusDot = fullyReserved
+                ? 'bg-blue-500'
+                : CONNECTOR_STATUSES.find((s) => s.value === connector.status)?.dotClass || 'bg-gray-400';
+              return (
+                <span
+                  key={connector.id || index}
+                  className="inline-flex items-center text-xs text-gray-600 bg-gray-50 border border-gray-200 px-2 py-0.5 rounded"
+                  title={fullyReserved ? 'Booked' : connector.status}
+                >
+                  <span className={`w-1.5 h-1.5 rounded-full mr-1.5 ${statusDot}`} />
+                  {getConnectorLabel(connector.connectorType)}
+                  {connector.maxPowerKw ? ` · ${connector.maxPowerKw} kW` : ''}
+                  {connector.count > 1 ? ` ×${connector.count}` : ''}
+                  {reserved > 0 && <span className="ml-1 text-blue-700">· {reserved} booked</span>}
+                </span>
+              );
+            })}
+          </div>
+        )}
+
+        {/* Live Connectors - reported by the linked OCPP charger */}
+        {station.chargePointId && (
+          <div className="flex flex-wrap items-center gap-1.5 mb-3 text-xs">
+            <span
+              className={`inline-flex items-center font-medium ${
+                station.chargePointConnected ? 'text-green-700' : 'text-gray-500'
+              }`}
+              title={`Charge point ${station.chargePointId}`}
+            >
+              <span
+                className={`w-1.5 h-1.5 rounded-full mr-1.5 ${
+                  station.chargePointConnected ? 'bg-green-500' : 'bg-gray-400'
+                }`}
+              />
+              {station.chargePointConnected ? 'Live' : 'Charger offline'}
+            </span>
+            {liveConnectors.map((connector) => {
+              const liveStatus = getOcppConnectorStatus(connector.status);
+              const power = formatReading(connector.powerKw, 'kW');
+              return (
+                <span
+                  key={connector.connectorId}
+                  className={`inline-flex items-center px-1.5 py-0.5 rounded border ${
+                    station.chargePointConnected
+                      ? 'text-gray-700 bg-white border-gray-200'
+                      : 'text-gray-400 bg-gray-50 border-gray-100'
+                  }`}
+                  title={`Connector ${connector.connectorId}: ${liveStatus.label}`}
+                >
+                  <span className={`w-1.5 h-1.5 rounded-full mr-1 ${liveStatus.dotClass}`} />
+                  #{connector.connectorId} {liveStatus.label}
+                  {power ? ` · ${power}` : ''}
+                </span>
+              );
+            })}
+          </div>
+        )}
+
+        {/* Prices - one line per tariff, labelled by connector type when several apply */}
+        {stationTariffs.length > 0 && (
+          <div className="mb-3 space-y-0.5 text-xs">
+            {stationTariffs.map(({ tariff, connectorTypes }) => (
+              <div key={tariff.id} className="flex items-start text-gray-700" title={tariff.name}>
+                <svg className="w-3.5 h-3.5 mr-1.5 mt-0.5 flex-shrink-0 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
+                </svg>
+                <span>
+                  {stationTariffs.length > 1 && (
+                    <span className="text-gray-500">{connectorTypes.map(getConnectorLabel).join(', ')}: </span>
+                  )}
+                  <span className="font-medium">{formatTariffSummary(tariff)}</span>
+                  {tariff.bands.length > 0 && <span className="text-gray-500"> · varies by time of day</span>}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* Location */}
         {locationAddress && (
           <div className="mb-3 flex-1">
@@ -98,6 +327,13 @@ const StationCard = ({ station, onEdit, onDelete }) => {
           </div>
         )}
 
+        {/* Distance - only set when a proximity filter is active */}
+        {distanceKm != null && (
+          <div className="mb-3 text-xs font-medium text-blue-700">
+            {formatDistance(distanceKm)} away
+          </div>
+        )}
+
         {/* Location Link */}
         {locationLink && (
           <a
@@ -0,0 +1,118 @@
+import { useMemo, useState } from 'react';
+import { compareStationEdits, getDefaultMergeChoices, mergeStationEdits } from '../utils/stationMerge';
+
+/**
+ * StationConflictDialog Component
+ *
+ * Shown in the edit Modal when saving failed because someone else saved the
+ * station first (409 Conflict). Lists the fields where the two edits differ,
+ * highlights the ones the other user changed, and lets the user keep their
+ * value or take the saved one for each before saving again.
+ */
+const StationConflictDialog = ({ base, mine, current, changedBy, changedAt, onSave, onDiscard }) => {
+  const differences = useMemo(() => compareStationEdits(base, mine, current), [base, mine, current]);
+  const [choices, setChoices] = useState(() => getDefaultMergeChoices(differences));
+
+  const setAll = (choice) => {
+    setChoices(Object.fromEntries(differences.map((d) => [d.key, choice])));
+  };
+
+  const handleSave = () => {
+    onSave(mergeStationEdits(mine, current, choices));
+  };
+
+  const optionClass = (selected, highlighted) =>
+    `flex items-start gap-2 p-2 rounded-lg border cursor-pointer text-sm break-words ${
+      selected ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+    } ${highlighted && !selected ? 'bg-amber-50' : ''}`;
+
+  return (
+    <div className="space-y-4">
+      <div className="px-4 py-3 rounded-lg border border-amber-200 bg-amber-50 text-sm text-amber-800">
+        <span className="font-medium">{changedBy || 'Someone else'}</span> saved changes to this station
+        {changedAt ? ` at ${new Date(changedAt).toLocaleString()}` : ''} after you started editing.
+        {differences.length > 0
+          ? ' Choose which value to keep for each field below.'
+          : ' Their changes do not touch anything you edited, so your changes can be saved as they are.'}
+      </div>
+
+      {differences.length > 0 && (
+        <>
+          <div className="flex justify-end gap-3 text-xs">
+            <button type="button" onClick={() => setAll('mine')} className="font-medium text-blue-600 hover:text-blue-700">
+              Keep all mine
+            </button>
+            <button type="button" onClick={() => setAll('theirs')} className="font-medium text-blue-600 hover:text-blue-700">
+              Take all theirs
+            </button>
+          </div>
+
+          <ul className="space-y-3">
+            {differences.map((field) => (
+              <li key={field.key}>
+                <div className="flex items-center gap-2 mb-1.5">
+                  <span className="text-sm font-medium text-gray-900">{field.label}</span>
+                  {field.theirsChanged && field.mineChanged && (
+                    <span className="px-1.5 py-0.5 rounded bg-red-100 text-red-700 text-[10px] font-medium">Both changed</span>
+                  )}
+                  {field.theirsChanged && !field.mineChanged && (
+                    <span className="px-1.5 py-0.5 rounded bg-amber-100 text-amber-800 text-[10px] font-medium">
+                      Changed by {changedBy || 'other user'}
+                    </span>
+                  )}
+                </div>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                  <label className={optionClass(choices[field.key] === 'mine', false)}>
+                    <input
+                      type="radio"
+                      name={`merge-${field.key}`}
+                      checked={choices[field.key] === 'mine'}
+                      onChange={() => setChoices((prev) => ({ ...prev, [field.key]: 'mine' }))}
+                      className="mt-0.5"
+                    />
+                    <span className="min-w-0">
+                      <span className="block text-xs text-gray-500">Yours</span>
+                      <span className="text-gray-900">{field.mine}</span>
+                    </span>
+                  </label>
+                  <label className={optionClass(choices[field.key] === 'theirs', field.theirsChanged)}>
+                    <input
+                      type="radio"
+                      name={`merge-${field.key}`}
+                      checked={choices[field.key] === 'theirs'}
+                      onChange={() => setChoices((prev) => ({ ...prev, [field.key]: 'theirs' }))}
+                      className="mt-0.5"
+                    />
+                    <span className="min-w-0">
+                      <span className="block text-xs text-gray-500">Saved</span>
+                      <span className="text-gray-900">{field.theirs}</span>
+                    </span>
+                  </label>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <div className="flex flex-col-reverse sm:flex-row sm:justify-end gap-2 pt-2 border-t border-gray-100">
+        <button
+          type="button"
+          onClick={onDiscard}
+          className="px-4 py-2 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50"
+        >
+          Discard my changes
+        </button>
+        <button
+          type="button"
+          onClick={handleSave}
+          className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700"
+        >
+          Save merged station
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default StationConflictDialog;
@@ -1,61 +1,102 @@
 import { useState, useEffect } from "react";
+import LocationPicker from "./LocationPicker";
+import ConnectorEditor from "./ConnectorEditor";
+import { createConnector, getStationConnectors, getConnectorType } from "../constants/connectors";
+import { STATION_STATUSES, UNKNOWN_STATUS, getStationStatus } from "../constants/stationStatuses";
+import { parseCoordinatesFromLink } from "../utils/geo";
+import { isValidChargePointId, isValidPinCode } from "../utils/stationValidation";
+import { getStationPhotos, getPhotoFileError, MAX_PHOTOS } from "../utils/stationPhotos";
+import { uploadStationImage } from "../services/stationApi";
+import PhotoEditor from "./PhotoEditor";
+
+/**
+ * Canonical spelling of a station status, defaulting to Operational when unknown
+ */
+const getKnownStatus = (status) => {
+  const { value } = getStationStatus(status);
+  return value === UNKNOWN_STATUS.value ? "Operational" : value;
+};
 
 /**
  * StationForm Component
  *
  * Clean, simple form for creating and updating charging stations.
  * Minimal design with clear field labels and spacing.
+ * tariffs lists the tariffs a station can be assigned.
  */
-const StationForm = ({ station, onSubmit, onCancel }) => {
+const StationForm = ({ station, tariffs = [], onSubmit, onCancel }) => {
   // Form state initialization - matching API field names
   const [formData, setFormData] = useState({
     stationName: "",
     locationAddress: "",
     pinCode: "",
-    connectorType: "",
+    connectors: [createConnector()],
     status: "Operational",
-    imageUrl: "",
+    statusNote: "",
+    photos: [],
     locationLink: "",
+    latitude: "",
+    longitude: "",
+    chargePointId: "",
+    tariffId: "",
   });
 
-  // State for image preview
-  const [imagePreview, setImagePreview] = useState(null);
-  const [imageFile, setImageFile] = useState(null);
+  // Validation errors keyed by field name
+  const [errors, setErrors] = useState({});
+  const [showMapPicker, setShowMapPicker] = useState(false);
+  const [coordinatesFromLink, setCoordinatesFromLink] = useState(false);
+
+  // Photo uploads still in flight, and the last upload problem
+  const [uploadingCount, setUploadingCount] = useState(0);
+  const [photoError, setPhotoError] = useState(null);
 
   // Pre-fill form when editing (when station prop changes)
   useEffect(() => {
     if (station) {
+      // Fill in a default rating for legacy stations that only had a connector type
+      const existingConnectors = getStationConnectors(station).map((connector) => ({
+        ...connector,
+        maxPowerKw: connector.maxPowerKw ?? getConnectorType(connector.connectorType)?.defaultKw ?? "",
+      }));
       setFormData({
         stationName: station.stationName || "",
         locationAddress: station.locationAddress || "",
         pinCode: station.pinCode || "",
-        connectorType: station.connectorType || "",
-        status: station.status || "Operational",
-        imageUrl: station.imageUrl || "",
+        connectors: existingConnectors.length > 0 ? existingConnectors : [createConnector()],
+        status: getKnownStatus(station.status),
+        statusNote: "",
+        photos: getStationPhotos(station),
         locationLink: station.locationLink || "",
+        latitude: station.latitude ?? "",
+        longitude: station.longitude ?? "",
+        chargePointId: station.chargePointId || "",
+        tariffId: station.tariffId == null ? "" : String(station.tariffId),
       });
-      // Set preview if existing image
-      if (station.imageUrl) {
-        setImagePreview(station.imageUrl);
-      } else {
-        setImagePreview(null);
-      }
     } else {
       // Reset form for new station
       setFormData({
         stationName: "",
         locationAddress: "",
         pinCode: "",
-        connectorType: "",
+        connectors: [createConnector()],
         status: "Operational",
-        imageUrl: "",
+        statusNote: "",
+        photos: [],
         locationLink: "",
+        latitude: "",
+        longitude: "",
+        chargePointId: "",
+        tariffId: "",
       });
-      setImagePreview(null);
-      setImageFile(null);
     }
+    setErrors({});
+    setPhotoError(null);
+    setCoordinatesFromLink(false);
   }, [station]);
 
+  // A new station's first status, or an edit that changes the status, goes into the status history
+  const statusChanged = !station || formData.status !== getKnownStatus(station.status);
+
   // Handle input changes
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -63,59 +104,150 @@ const StationForm = ({ station, onSubmit, onCancel }) => {
       ...prev,
       [name]: value,
     }));
+    // Clear field error once the user edits it
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: undefined }));
+    }
   };
 
-  // Handle image file selection
-  const handleImageChange = (e) => {
-    const file = e.target.files[0];
-    if (file) {
-      // Validate file type
-      if (!file.type.startsWith('image/')) {
-        alert('Please select a valid image file');
-        return;
-      }
+  // Handle location link changes - fill coordinates when the link contains them
+  const handleLocationLinkChange = (e) => {
+    handleChange(e);
+    const coords = parseCoordinatesFromLink(e.target.value);
+    if (coords) {
+      setCoordinatesFromLink(true);
+      setFormData((prev) => ({
+        ...prev,
+        latitude: coords.lat,
+        longitude: coords.lng,
+      }));
+      setErrors((prev) => ({ ...prev, latitude: undefined, longitude: undefined }));
+    } else {
+      setCoordinatesFromLink(false);
+    }
+  };
 
-      // Validate file size (max 5MB)
-      if (file.size > 5 * 1024 * 1024) {
-        alert('Image size should be less than 5MB');
-        return;
-      }
+  // Handle position picked on the map
+  const handleMapPick = (lat, lng) => {
+    setCoordinatesFromLink(false);
+    setFormData((prev) => ({
+      ...prev,
+      latitude: lat,
+      longitude: lng,
+    }));
+    setErrors((prev) => ({ ...prev, latitude: undefined, longitude: undefined }));
+  };
+
+  // Handle connector list changes
+  const handleConnectorsChange = (connectors) => {
+    setFormData((prev) => ({ ...prev, connectors }));
+    if (errors.connectors) {
+      setErrors((prev) => ({ ...prev, connectors: undefined }));
+    }
+  };
+
+  // Validate pin code, charge point ID, coordinates (both or neither, and within range) and connectors
+  const validate = () => {
+    const newErrors = {};
+    if (!isValidPinCode(formData.pinCode)) {
+      newErrors.pinCode = "Pin code must be 6 digits and not start with 0";
+    }
+    if (!isValidChargePointId(formData.chargePointId)) {
+      newErrors.chargePointId = "Use 1-48 letters, digits, dots, dashes or underscores";
+    }
+    const hasLatitude = formData.latitude !== "" && formData.latitude !== null;
+    const hasLongitude = formData.longitude !== "" && formData.longitude !== null;
+    const lat = Number(formData.latitude);
+    const lng = Number(formData.longitude);
+
+    if (hasLatitude && (!Number.isFinite(lat) || lat < -90 || lat > 90)) {
+      newErrors.latitude = "Latitude must be between -90 and 90";
+    }
+    if (hasLongitude && (!Number.isFinite(lng) || lng < -180 || lng > 180)) {
+      newErrors.longitude = "Longitude must be between -180 and 180";
+    }
+    if (hasLatitude && !hasLongitude) {
+      newErrors.longitude = "Longitude is required when latitude is set";
+    }
+    if (hasLongitude && !hasLatitude) {
+      newErrors.latitude = "Latitude is required when longitude is set";
+    }
+    if (formData.connectors.length === 0) {
+      newErrors.connectors = "Add at least one connector";
+    } else if (formData.connectors.some((c) => !(Number(c.maxPowerKw) > 0) || !(Number(c.count) >= 1))) {
+      newErrors.connectors = "Each connector needs a power rating and a count of at least 1";
+    }
 
-      setImageFile(file);
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  // Upload dropped or picked photos one at a time, adding each to the gallery when stored
+  const handleAddPhotos = async (files) => {
+    const room = MAX_PHOTOS - formData.photos.length - uploadingCount;
+    const problems = [];
+    const accepted = [];
+    files.forEach((file) => {
+      const fileError = getPhotoFileError(file);
+      if (fileError) {
+        problems.push(fileError);
+      } else if (accepted.length < room) {
+        accepted.push(file);
+      } else {
+        problems.push(`${file.name} skipped: a station can have at most ${MAX_PHOTOS} photos`);
+      }
+    });
 
-      // Create preview
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        const base64String = reader.result;
-        setImagePreview(base64String);
+    setPhotoError(problems.length > 0 ? problems.join("; ") : null);
+    setUploadingCount((count) => count + accepted.length);
+    for (const file of accepted) {
+      try {
+        const stored = await uploadStationImage(file);
         setFormData((prev) => ({
           ...prev,
-          imageUrl: base64String, // Store base64 string
+          photos: [...prev.photos, { imageUrl: stored.imageUrl, thumbnailUrl: stored.thumbnailUrl, caption: "" }],
         }));
-      };
-      reader.readAsDataURL(file);
+      } catch (err) {
+        problems.push(`${file.name}: ${err.message || "upload failed"}`);
+        setPhotoError(problems.join("; "));
+      } finally {
+        setUploadingCount((count) => count - 1);
+      }
     }
   };
 
-  // Handle image removal
-  const handleRemoveImage = () => {
-    setImageFile(null);
-    setImagePreview(null);
-    setFormData((prev) => ({
-      ...prev,
-      imageUrl: "",
-    }));
-    // Reset file input
-    const fileInput = document.getElementById('imageFile');
-    if (fileInput) {
-      fileInput.value = '';
-    }
+  const handlePhotosChange = (photos) => {
+    setFormData((prev) => ({ ...prev, photos }));
   };
 
   // Handle form submission
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSubmit(formData);
+    if (uploadingCount > 0 || !validate()) {
+      return;
+    }
+    // Send coordinates as numbers, or null when not set
+    onSubmit({
+      ...formData,
+      statusNote: statusChanged && formData.statusNote.trim() ? formData.statusNote.trim() : null,
+      latitude: formData.latitude === "" ? null : Number(formData.latitude),
+      longitude: formData.longitude === "" ? null : Number(formData.longitude),
+      chargePointId: formData.chargePointId.trim() || null,
+      tariffId: formData.tariffId === "" ? null : Number(formData.tariffId),
+      // The first photo is the cover image
+      imageUrl: formData.photos[0]?.imageUrl || null,
+      photos: formData.photos.map((photo) => ({
+        imageUrl: photo.imageUrl,
+        caption: photo.caption.trim() || null,
+      })),
+      connectors: formData.connectors.map((connector) => ({
+        connectorType: connector.connectorType,
+        powerType: connector.powerType,
+        maxPowerKw: Number(connector.maxPowerKw),
+        count: parseInt(connector.count, 10),
+        status: connector.status,
+      })),
+    });
   };
 
   return (
@@ -180,37 +312,30 @@ const StationForm = ({ station, onSubmit, onCancel }) => {
             value={formData.pinCode}
             onChange={handleChange}
             required
-            className="w-full px-4 py-2.5 border border-gray-300 rounded-lg 
+            inputMode="numeric"
+            maxLength={6}
+            className={`w-full px-4 py-2.5 border rounded-lg 
                      focus:ring-2 focus:ring-blue-500 focus:border-blue-500 
-                     outline-none transition-colors text-sm"
-            placeholder="Enter pin code"
+                     outline-none transition-colors text-sm ${
+                       errors.pinCode ? "border-red-500" : "border-gray-300"
+                     }`}
+            placeholder="Enter 6-digit pin code"
           />
+          {errors.pinCode && (
+            <p className="mt-1 text-xs text-red-600">{errors.pinCode}</p>
+          )}
         </div>
 
-        {/* Connector Type */}
+        {/* Connectors */}
         <div>
-          <label
-            htmlFor="connectorType"
-            className="block text-sm font-medium text-gray-700 mb-1.5"
-          >
-            Connector Type <span className="text-red-500">*</span>
-          </label>
-          <select
-            id="connectorType"
-            name="connectorType"
-            value={formData.connectorType}
-            onChange={handleChange}
-            required
-            className="w-full px-4 py-2.5 border border-gray-300 rounded-lg 
-                     focus:ring-2 focus:ring-blue-500 focus:border-blue-500 
-                     outline-none transition-colors bg-white text-sm"
-          >
-            <option value="">Select connector type</option>
-            <option value="TYPE_2_AC">Type 2 (AC)</option>
-            <option value="CCS2_DC">CCS2 (DC Fast)</option>
-            <option value="BHARAT_AC_001">Bharat AC-001</option>
-            <option value="BHARAT_DC_001">Bharat DC-001</option>
-          </select>
+          <span className="block text-sm font-medium text-gray-700 mb-1.5">
+            Connectors <span className="text-red-500">*</span>
+          </span>
+          <ConnectorEditor
+            connectors={formData.connectors}
+            onChange={handleConnectorsChange}
+            error={errors.connectors}
+          />
         </div>
 
         {/* Status */}
@@ -231,83 +356,50 @@ const StationForm = ({ station, onSubmit, onCancel }) => {
                      focus:ring-2 focus:ring-blue-500 focus:border-blue-500 
                      outline-none transition-colors bg-white text-sm"
           >
-            <option value="Operational">Operational</option>
-            <option value="Maintenance">Maintenance</option>
+            {STATION_STATUSES.map((status) => (
+              <option key={status.value} value={status.value}>
+                {status.value}
+              </option>
+            ))}
           </select>
         </div>
 
-        {/* Image Upload */}
-        <div>
-          <label
-            htmlFor="imageFile"
-            className="block text-sm font-medium text-gray-700 mb-1.5"
-          >
-            Station Image
-          </label>
-          
-          {/* Image Preview */}
-          {imagePreview && (
-            <div className="mb-3 relative">
-              <div className="relative w-full h-48 bg-gray-100 rounded-lg overflow-hidden border border-gray-200">
-                <img
-                  src={imagePreview}
-                  alt="Preview"
-                  className="w-full h-full object-cover"
-                />
-                <button
-                  type="button"
-                  onClick={handleRemoveImage}
-                  className="absolute top-2 right-2 bg-red-500 text-white rounded-full p-1.5 hover:bg-red-600 transition-colors"
-                  aria-label="Remove image"
-                >
-                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                  </svg>
-                </button>
-              </div>
-            </div>
-          )}
-
-          {/* File Input */}
-          <div className="relative">
-            <input
-              type="file"
-              id="imageFile"
-              name="imageFile"
-              accept="image/*"
-              onChange={handleImageChange}
-              className="hidden"
-            />
+        {/* Status Change Note - saved with the status history entry */}
+        {statusChanged && (
+          <div>
             <label
-              htmlFor="imageFile"
-              className="flex flex-col items-center justify-center w-full px-4 py-6 border-2 border-gray-300 border-dashed rounded-lg cursor-pointer bg-gray-50 hover:bg-gray-100 transition-colors"
+              htmlFor="statusNote"
+              className="block text-sm font-medium text-gray-700 mb-1.5"
             >
-              <div className="flex flex-col items-center justify-center">
-                <svg
-                  className="w-8 h-8 mb-2 text-gray-400"
-                  fill="none"
-                  stroke="currentColor"
-                  viewBox="0 0 24 24"
-                >
-                  <path
-                    strokeLinecap="round"
-                    strokeLinejoin="round"
-                    strokeWidth={2}
-                    d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12"
-                  />
-                </svg>
-                <p className="text-sm text-gray-600">
-                  <span className="font-medium text-blue-600 hover:text-blue-700">
-                    Click to upload
-                  </span>{" "}
-                  or drag and drop
-                </p>
-                <p className="text-xs text-gray-500 mt-1">
-                  PNG, JPG, GIF up to 5MB
-                </p>
-              </div>
+              {station ? "Reason for status change" : "Status note"}
             </label>
+            <textarea
+              id="statusNote"
+              name="statusNote"
+              value={formData.statusNote}
+              onChange={handleChange}
+              rows={2}
+              maxLength={1000}
+              className="w-full px-4 py-2.5 border border-gray-300 rounded-lg 
+                       focus:ring-2 focus:ring-blue-500 focus:border-blue-500 
+                       outline-none transition-colors text-sm"
+              placeholder={station ? "e.g. Charger replaced, awaiting inspection" : "Optional"}
+            />
           </div>
+        )}
+
+        {/* Photos */}
+        <div>
+          <span className="block text-sm font-medium text-gray-700 mb-1.5">
+            Photos
+          </span>
+          <PhotoEditor
+            photos={formData.photos}
+            onChange={handlePhotosChange}
+            onAddFiles={handleAddPhotos}
+            uploadingCount={uploadingCount}
+            error={photoError}
+          />
         </div>
 
         {/* Location Link */}
@@ -323,23 +415,164 @@ const StationForm = ({ station, onSubmit, onCancel }) => {
             id="locationLink"
             name="locationLink"
             value={formData.locationLink}
-            onChange={handleChange}
+            onChange={handleLocationLinkChange}
             className="w-full px-4 py-2.5 border border-gray-300 rounded-lg 
                      focus:ring-2 focus:ring-blue-500 focus:border-blue-500 
                      outline-none transition-colors text-sm"
             placeholder="https://maps.google.com/..."
           />
+          {coordinatesFromLink && (
+            <p className="mt-1.5 text-xs text-green-600">
+              Coordinates detected from link
+            </p>
+          )}
+        </div>
+
+        {/* Coordinates */}
+        <div>
+          <div className="flex items-center justify-between mb-1.5">
+            <span className="block text-sm font-medium text-gray-700">
+              Coordinates
+            </span>
+            <button
+              type="button"
+              onClick={() => setShowMapPicker((prev) => !prev)}
+              className="text-xs font-medium text-blue-600 hover:text-blue-700"
+            >
+              {showMapPicker ? "Hide map" : "Pick on map"}
+            </button>
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label htmlFor="latitude" className="sr-only">
+                Latitude
+              </label>
+              <input
+                type="number"
+                step="any"
+                id="latitude"
+                name="latitude"
+                value={formData.latitude}
+                onChange={handleChange}
+                className={`w-full px-4 py-2.5 border rounded-lg 
+                         focus:ring-2 focus:ring-blue-500 focus:border-blue-500 
+                         outline-none transition-colors text-sm ${
+                           errors.latitude ? "border-red-500" : "border-gray-300"
+                         }`}
+                placeholder="Latitude"
+              />
+              {errors.latitude && (
+                <p className="mt-1 text-xs text-red-600">{errors.latitude}</p>
+              )}
+            </div>
+            <div>
+              <label htmlFor="longitude" className="sr-only">
+                Longitude
+              </label>
+              <input
+                type="number"
+                step="any"
+                id="longitude"
+                name="longitude"
+                value={formData.longitude}
+                onChange={handleChange}
+                className={`w-full px-4 py-2.5 border rounded-lg 
+                         focus:ring-2 focus:ring-blue-500 focus:border-blue-500 
+                         outline-none transition-colors text-sm ${
+                           errors.longitude ? "border-red-500" : "border-gray-300"
+                         }`}
+                placeholder="Longitude"
+              />
+              {errors.longitude && (
+                <p className="mt-1 text-xs text-red-600">{errors.longitude}</p>
+              )}
+            </div>
+          </div>
+          {showMapPicker && (
+            <div className="mt-3">
+              <LocationPicker
+                latitude={formData.latitude}
+                longitude={formData.longitude}
+                onChange={handleMapPick}
+              />
+              <p className="mt-1.5 text-xs text-gray-500">
+                Click the map or drag the pin to set the station position
+              </p>
+            </div>
+          )}
+        </div>
+
+        {/* OCPP Charge Point - links a charger's WebSocket connection to this station */}
+        <div>
+          <label
+            htmlFor="chargePointId"
+            className="block text-sm font-medium text-gray-700 mb-1.5"
+          >
+            OCPP Charge Point ID
+          </label>
+          <input
+            type="text"
+            id="chargePointId"
+            name="chargePointId"
+            value={formData.chargePointId}
+            onChange={handleChange}
+            maxLength={48}
+            autoComplete="off"
+            className={`w-full px-4 py-2.5 border rounded-lg
+                     focus:ring-2 focus:ring-blue-500 focus:border-blue-500
+                     outline-none transition-colors text-sm ${
+                       errors.chargePointId ? "border-red-500" : "border-gray-300"
+                     }`}
+            placeholder="e.g. CP-BLR-001"
+          />
+          {errors.chargePointId ? (
+            <p className="mt-1 text-xs text-red-600">{errors.chargePointId}</p>
+          ) : (
+            <p className="mt-1.5 text-xs text-gray-500">
+              The charger connects to /ocpp/&lt;this ID&gt; and then reports its connector status live
+            </p>
+          )}
+        </div>
+
+        {/* Tariff - a station's own tariff prices all its connectors */}
+        <div>
+          <label
+            htmlFor="tariffId"
+            className="block text-sm font-medium text-gray-700 mb-1.5"
+          >
+            Tariff
+          </label>
+          <select
+            id="tariffId"
+            name="tariffId"
+            value={formData.tariffId}
+            onChange={handleChange}
+            className="w-full px-4 py-2.5 border border-gray-300 rounded-lg
+                     focus:ring-2 focus:ring-blue-500 focus:border-blue-500
+                     outline-none transition-colors text-sm bg-white"
+          >
+            <option value="">By connector type</option>
+            {tariffs.map((tariff) => (
+              <option key={tariff.id} value={String(tariff.id)}>
+                {tariff.name}
+              </option>
+            ))}
+          </select>
+          <p className="mt-1.5 text-xs text-gray-500">
+            By connector type uses the tariff set as the default for each connector type
+          </p>
         </div>
 
         {/* Form Actions */}
         <div className="flex flex-col sm:flex-row gap-3 pt-4 border-t border-gray-200">
           <button
             type="submit"
+            disabled={uploadingCount > 0}
             className="flex-1 px-5 py-2.5 bg-blue-600 text-white rounded-lg 
-                     text-sm font-medium hover:bg-blue-700 active:bg-blue-800
+                     text-sm font-medium hover:bg-blue-700 active:bg-blue-800 disabled:opacity-50
                      transition-colors duration-150 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
           >
-            {station ? "Update Station" : "Create Station"}
+            {uploadingCount > 0 ? "Uploading photos..." : station ? "Update Station" : "Create Station"}
           </button>
           {onCancel && (
             <button
@@ -0,0 +1,122 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { MapContainer, TileLayer, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import 'leaflet.markercluster';
+import 'leaflet/dist/leaflet.css';
+import 'leaflet.markercluster/dist/MarkerCluster.css';
+import 'leaflet.markercluster/dist/MarkerCluster.Default.css';
+import { getStationCoordinates } from '../utils/geo';
+import { createCircleMarkerIcon } from '../utils/mapIcons';
+import { STATION_STATUSES, getStationStatus } from '../constants/stationStatuses';
+import {
+  MAP_TILE_URL,
+  MAP_TILE_ATTRIBUTION,
+  DEFAULT_MAP_CENTER,
+  DEFAULT_MAP_ZOOM,
+} from '../config/mapConfig';
+
+/**
+ * ClusteredMarkers Component
+ *
+ * Adds one marker per station to a marker cluster layer on the parent map
+ * and fits the map to the plotted stations whenever they change.
+ */
+const ClusteredMarkers = ({ points, onStationSelect }) => {
+  const map = useMap();
+
+  // Keep latest click handler without rebuilding the cluster layer
+  const onSelectRef = useRef(onStationSelect);
+  useEffect(() => {
+    onSelectRef.current = onStationSelect;
+  }, [onStationSelect]);
+
+  useEffect(() => {
+    const clusterGroup = L.markerClusterGroup({
+      showCoverageOnHover: false,
+      maxClusterRadius: 50,
+    });
+
+    points.forEach(({ station, coords }) => {
+      const marker = L.marker([coords.lat, coords.lng], {
+        icon: createCircleMarkerIcon(getStationStatus(station.status).color),
+        title: station.stationName,
+      });
+      marker.on('click', () => onSelectRef.current && onSelectRef.current(station));
+      clusterGroup.addLayer(marker);
+    });
+
+    map.addLayer(clusterGroup);
+
+    // Fit the view to the plotted stations
+    if (points.length > 0) {
+      const bounds = L.latLngBounds(points.map(({ coords }) => [coords.lat, coords.lng]));
+      map.fitBounds(bounds, { padding: [40, 40], maxZoom: 15 });
+    }
+
+    return () => {
+      map.removeLayer(clusterGroup);
+    };
+  }, [map, points]);
+
+  return null;
+};
+
+/**
+ * StationMap Component
+ *
+ * Interactive map plotting stations as status-colored markers (colors from constants/stationStatuses).
+ * Dense areas are clustered; clicking a marker calls onStationSelect.
+ * Tiles are pluggable through the tileUrl/tileAttribution props or mapConfig.
+ * height sets the map height in pixels (e.g. smaller for a single station).
+ */
+const StationMap = ({
+  stations,
+  onStationSelect,
+  tileUrl = MAP_TILE_URL,
+  tileAttribution = MAP_TILE_ATTRIBUTION,
+  height = 500,
+}) => {
+  // Resolve coordinates once per stations change
+  const points = useMemo(() => {
+    return stations
+      .map((station) => ({ station, coords: getStationCoordinates(station) }))
+      .filter(({ coords }) => coords !== null);
+  }, [stations]);
+
+  const unplottedCount = stations.length - points.length;
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 shadow-sm overflow-hidden">
+      <div className="relative z-0" style={{ height: `${height}px` }}>
+        <MapContainer
+          center={DEFAULT_MAP_CENTER}
+          zoom={DEFAULT_MAP_ZOOM}
+          scrollWheelZoom
+          className="h-full w-full"
+        >
+          <TileLayer url={tileUrl} attribution={tileAttribution} />
+          <ClusteredMarkers points={points} onStationSelect={onStationSelect} />
+        </MapContainer>
+      </div>
+
+      {/* Legend */}
+      <div className="flex flex-wrap items-center justify-between gap-3 px-4 py-3 border-t border-gray-200 text-sm">
+        <div className="flex flex-wrap items-center gap-4">
+          {STATION_STATUSES.map((status) => (
+            <div key={status.value} className="flex items-center gap-2">
+              <span className="w-3 h-3 rounded-full" style={{ backgroundColor: status.color }}></span>
+              <span className="text-gray-700">{status.value}</span>
+            </div>
+          ))}
+        </div>
+        {unplottedCount > 0 && (
+          <div className="text-xs text-gray-500">
+            {unplottedCount} {unplottedCount === 1 ? 'station has' : 'stations have'} no map location
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StationMap;
@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import CostEstimator from './CostEstimator';
+import { getConnectorLabel } from '../constants/connectors';
+import { formatPrice, getStationTariffs } from '../utils/tariffs';
+
+/**
+ * StationPricing Component
+ *
+ * Prices at a station: each tariff that applies, the connector types it
+ * covers, its time-of-day bands, and a cost estimator for the tariff picked.
+ */
+const StationPricing = ({ station, tariffs }) => {
+  const stationTariffs = getStationTariffs(station, tariffs);
+  const [selectedId, setSelectedId] = useState(null); // Tariff used by the estimator (default: the first)
+
+  if (stationTariffs.length === 0) {
+    return <p className="text-sm text-gray-500">No tariff applies to this station's connectors.</p>;
+  }
+
+  const selected =
+    stationTariffs.find(({ tariff }) => tariff.id === selectedId)?.tariff || stationTariffs[0].tariff;
+
+  return (
+    <div className="space-y-4">
+      {stationTariffs.map(({ tariff, connectorTypes }) => {
+        const price = (amount) => formatPrice(amount, tariff.currency);
+        const rows = [
+          { label: 'Energy', value: `${price(tariff.pricePerKwh)} per kWh` },
+          { label: 'Charging time', value: `${price(tariff.pricePerMinute)} per minute` },
+          { label: 'Session fee', value: price(tariff.sessionFee) },
+          {
+            label: 'Idle fee',
+            value:
+              tariff.idleFeePerMinute > 0
+                ? `${price(tariff.idleFeePerMinute)} per minute after ${tariff.idleGraceMinutes} min`
+                : price(0),
+          },
+        ];
+
+        return (
+          <div key={tariff.id} className="rounded-lg border border-gray-200 p-3">
+            <div className="flex flex-wrap items-baseline justify-between gap-2 mb-2">
+              <span className="text-sm font-medium text-gray-900">{tariff.name}</span>
+              <span className="text-xs text-gray-500">{connectorTypes.map(getConnectorLabel).join(', ')}</span>
+            </div>
+            <dl className="grid grid-cols-2 gap-x-4 gap-y-1 text-sm">
+              {rows.map((row) => (
+                <div key={row.label} className="contents">
+                  <dt className="text-gray-500">{row.label}</dt>
+                  <dd className="text-gray-900">{row.value}</dd>
+                </div>
+              ))}
+            </dl>
+            {tariff.bands.length > 0 && (
+              <div className="mt-2 pt-2 border-t border-gray-100 text-xs text-gray-600 space-y-0.5">
+                {tariff.bands.map((band) => (
+                  <div key={`${band.startTime}-${band.endTime}`}>
+                    {band.startTime}–{band.endTime}: {price(band.pricePerKwh)} per kWh
+                    {band.pricePerMinute > 0 ? `, ${price(band.pricePerMinute)} per minute` : ''}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      {/* Cost Estimator */}
+      <div>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+          <h3 className="text-sm font-medium text-gray-900">Estimate a session</h3>
+          {stationTariffs.length > 1 && (
+            <select
+              value={selected.id}
+              onChange={(e) => setSelectedId(Number(e.target.value))}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none bg-white text-sm"
+              aria-label="Tariff to estimate with"
+            >
+              {stationTariffs.map(({ tariff, connectorTypes }) => (
+                <option key={tariff.id} value={tariff.id}>
+                  {connectorTypes.map(getConnectorLabel).join(', ')} ({tariff.name})
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+        <CostEstimator tariff={selected} />
+      </div>
+    </div>
+  );
+};
+
+export default StationPricing;
@@ -0,0 +1,85 @@
+import { useState, useEffect } from 'react';
+import StatusBadge from './StatusBadge';
+import Loader from './Loader';
+import { getStationStatusHistory } from '../services/stationApi';
+
+/**
+ * StatusHistory Component
+ *
+ * Timeline of a station's status changes (who, when and why), newest first.
+ * Loads the history for stationId on mount.
+ */
+const StatusHistory = ({ stationId }) => {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadHistory = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const data = await getStationStatusHistory(stationId);
+        if (!cancelled) {
+          setHistory(Array.isArray(data) ? data : []);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load status history');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [stationId]);
+
+  if (loading) {
+    return <Loader size="sm" text="Loading history..." />;
+  }
+
+  if (error) {
+    return <p className="text-sm text-red-600">{error}</p>;
+  }
+
+  if (history.length === 0) {
+    return <p className="text-sm text-gray-500">No status changes recorded yet.</p>;
+  }
+
+  return (
+    <ol className="relative border-l border-gray-200 ml-2 space-y-5">
+      {history.map((change) => (
+        <li key={change.id} className="ml-4">
+          <span className="absolute -left-1.5 w-3 h-3 rounded-full bg-white border-2 border-blue-500" />
+          <div className="flex flex-wrap items-center gap-2">
+            {change.fromStatus ? (
+              <>
+                <StatusBadge status={change.fromStatus} />
+                <svg className="w-4 h-4 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14 5l7 7m0 0l-7 7m7-7H3" />
+                </svg>
+              </>
+            ) : (
+              <span className="text-xs text-gray-500">Created as</span>
+            )}
+            <StatusBadge status={change.toStatus} />
+          </div>
+          <div className="mt-1 text-xs text-gray-500">
+            {new Date(change.changedAt).toLocaleString()} · {change.changedBy}
+          </div>
+          {change.note && <p className="mt-1 text-sm text-gray-700">{change.note}</p>}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default StatusHistory;
@@ -0,0 +1,369 @@
+import { useState, useEffect, useMemo } from 'react';
+import Loader from './Loader';
+import StatusBadge from './StatusBadge';
+import { getStatusTimeSeries } from '../services/stationApi';
+import {
+  TIME_RANGE_PRESETS,
+  TIME_SERIES_INTERVALS,
+  getPresetRange,
+  getCustomRange,
+  formatBucketLabel,
+  formatHours,
+} from '../utils/timeRange';
+
+const CHART_WIDTH = 1000;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = 40;
+const STATIONS_PREVIEW_COUNT = 5;
+
+const inputClass =
+  'px-3 py-1.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-colors bg-white text-sm';
+
+/**
+ * Format an availability percentage, or a dash when there was no in-service time
+ */
+const formatPercent = (value) => (value == null ? '—' : `${Number(value.toFixed(1))}%`);
+
+/**
+ * StatusTrendChart Component
+ *
+ * Station status over time from the recorded status history (getStatusTimeSeries).
+ * Offers preset or custom date ranges and hour/day/week buckets, and shows
+ * availability percentage and downtime for the fleet and for each station.
+ */
+const StatusTrendChart = () => {
+  const [preset, setPreset] = useState('7d');
+  const [customFrom, setCustomFrom] = useState('');
+  const [customTo, setCustomTo] = useState('');
+  const [bucketInterval, setBucketInterval] = useState('day');
+  const [series, setSeries] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showAllStations, setShowAllStations] = useState(false);
+
+  // Resolve the selected range; presets end at the time they were picked
+  const range = useMemo(() => {
+    if (preset === 'custom') {
+      return getCustomRange(customFrom, customTo);
+    }
+    return getPresetRange(preset);
+  }, [preset, customFrom, customTo]);
+
+  // Load the series whenever the range or bucket size changes
+  useEffect(() => {
+    if (!range) return undefined;
+    let cancelled = false;
+
+    const loadSeries = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const data = await getStatusTimeSeries({
+          from: range.from.toISOString(),
+          to: range.to.toISOString(),
+          interval: bucketInterval,
+        });
+        if (!cancelled) {
+          setSeries(data);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load status history');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadSeries();
+    return () => {
+      cancelled = true;
+    };
+  }, [range, bucketInterval]);
+
+  // Picking a preset also picks its usual bucket size
+  const handlePresetChange = (value) => {
+    setPreset(value);
+    const option = TIME_RANGE_PRESETS.find((p) => p.value === value);
+    if (option) {
+      setBucketInterval(option.interval);
+    }
+  };
+
+  const buckets = useMemo(() => series?.buckets || [], [series]);
+  const stations = series?.stations || [];
+  const visibleStations = showAllStations ? stations : stations.slice(0, STATIONS_PREVIEW_COUNT);
+
+  // Line paths for available, unavailable and total station counts
+  const chart = useMemo(() => {
+    if (buckets.length < 2) return null;
+
+    const maxValue = Math.max(...buckets.map((b) => b.total), 1);
+    const chartMax = Math.ceil(maxValue * 1.2);
+    const chartWidth = CHART_WIDTH - CHART_PADDING * 2;
+    const chartHeight = CHART_HEIGHT - CHART_PADDING;
+
+    const getX = (index) => CHART_PADDING + (chartWidth / (buckets.length - 1)) * index;
+    const getY = (value) => CHART_PADDING + chartHeight - (value / chartMax) * chartHeight;
+    const linePath = (key) =>
+      buckets.map((b, i) => `${i === 0 ? 'M' : 'L'} ${getX(i)} ${getY(b[key])}`).join(' ');
+    const areaPath = (key) =>
+      `${linePath(key)} L ${getX(buckets.length - 1)} ${getY(0)} L ${getX(0)} ${getY(0)} Z`;
+
+    // At most 6 evenly spaced time labels
+    const labelStep = Math.max(Math.ceil(buckets.length / 6), 1);
+
+    return {
+      chartMax,
+      getX,
+      getY,
+      availablePath: linePath('available'),
+      unavailablePath: linePath('unavailable'),
+      totalPath: linePath('total'),
+      availableAreaPath: areaPath('available'),
+      unavailableAreaPath: areaPath('unavailable'),
+      labelIndexes: buckets.map((_, i) => i).filter((i) => i % labelStep === 0 || i === buckets.length - 1),
+    };
+  }, [buckets]);
+
+  return (
+    <div className="lg:col-span-2 bg-white rounded-lg border border-gray-200 p-6 shadow-sm">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Station Status Over Time</h3>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={preset}
+            onChange={(e) => handlePresetChange(e.target.value)}
+            className={inputClass}
+            aria-label="Date range"
+          >
+            {TIME_RANGE_PRESETS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+            <option value="custom">Custom range</option>
+          </select>
+          {preset === 'custom' && (
+            <>
+              <input
+                type="date"
+                value={customFrom}
+                onChange={(e) => setCustomFrom(e.target.value)}
+                className={inputClass}
+                aria-label="From date"
+              />
+              <span className="text-sm text-gray-500">to</span>
+              <input
+                type="date"
+                value={customTo}
+                onChange={(e) => setCustomTo(e.target.value)}
+                className={inputClass}
+                aria-label="To date"
+              />
+            </>
+          )}
+          <select
+            value={bucketInterval}
+            onChange={(e) => setBucketInterval(e.target.value)}
+            className={inputClass}
+            aria-label="Bucket size"
+          >
+            {TIME_SERIES_INTERVALS.map((value) => (
+              <option key={value} value={value}>
+                By {value}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {!range ? (
+        <div className="flex items-center justify-center h-64 text-gray-400 text-sm">
+          Pick a start and end date to see the trend
+        </div>
+      ) : loading && !series ? (
+        <div className="flex items-center justify-center h-64">
+          <Loader size="sm" text="Loading status history..." />
+        </div>
+      ) : error ? (
+        <div className="flex items-center justify-center h-64 text-sm text-red-600">{error}</div>
+      ) : (
+        <div className={`relative transition-opacity ${loading ? 'opacity-60' : ''}`}>
+          {/* Fleet Summary */}
+          <div className="grid grid-cols-2 gap-3 mb-4">
+            <div className="rounded-lg bg-gray-50 border border-gray-200 px-4 py-3">
+              <div className="text-xs text-gray-500">Availability</div>
+              <div className="text-xl font-semibold text-green-600">
+                {formatPercent(series.availabilityPercent)}
+              </div>
+            </div>
+            <div className="rounded-lg bg-gray-50 border border-gray-200 px-4 py-3">
+              <div className="text-xs text-gray-500">Total downtime</div>
+              <div className="text-xl font-semibold text-red-600">{formatHours(series.downtimeHours)}</div>
+            </div>
+          </div>
+
+          {/* Line Chart */}
+          {chart ? (
+            <div className="relative" style={{ height: '250px' }}>
+              <svg
+                width="100%"
+                height="250"
+                viewBox={`0 0 ${CHART_WIDTH} 250`}
+                preserveAspectRatio="none"
+                className="overflow-visible"
+              >
+                <defs>
+                  <linearGradient id="availableGradient" x1="0%" y1="0%" x2="0%" y2="100%">
+                    <stop offset="0%" stopColor="#10b981" stopOpacity="0.3" />
+                    <stop offset="100%" stopColor="#10b981" stopOpacity="0" />
+                  </linearGradient>
+                  <linearGradient id="unavailableGradient" x1="0%" y1="0%" x2="0%" y2="100%">
+                    <stop offset="0%" stopColor="#ef4444" stopOpacity="0.3" />
+                    <stop offset="100%" stopColor="#ef4444" stopOpacity="0" />
+                  </linearGradient>
+                </defs>
+
+                {/* Y-axis labels */}
+                {Array.from({ length: 5 }).map((_, i) => {
+                  const value = chart.chartMax - (chart.chartMax / 4) * i;
+                  return (
+                    <text
+                      key={`y-${i}`}
+                      x="10"
+                      y={chart.getY(value) + 4}
+                      className="text-xs fill-gray-400"
+                      textAnchor="start"
+                    >
+                      {Math.round(value)}
+                    </text>
+                  );
+                })}
+
+                {/* X-axis time labels */}
+                {chart.labelIndexes.map((index) => (
+                  <text
+                    key={`x-${index}`}
+                    x={chart.getX(index)}
+                    y={CHART_HEIGHT - 5}
+                    className="text-xs fill-gray-400"
+                    textAnchor="middle"
+                  >
+                    {formatBucketLabel(buckets[index].start, series.interval)}
+                  </text>
+                ))}
+
+                <path d={chart.availableAreaPath} fill="url(#availableGradient)" />
+                <path d={chart.unavailableAreaPath} fill="url(#unavailableGradient)" />
+                <path
+                  d={chart.availablePath}
+                  fill="none"
+                  stroke="#10b981"
+                  strokeWidth="3"
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                />
+                <path
+                  d={chart.unavailablePath}
+                  fill="none"
+                  stroke="#ef4444"
+                  strokeWidth="3"
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                />
+                <path
+                  d={chart.totalPath}
+                  fill="none"
+                  stroke="#3b82f6"
+                  strokeWidth="2"
+                  strokeDasharray="5,5"
+                  strokeLinecap="round"
+                />
+
+                {/* Bucket markers with a hover summary */}
+                {buckets.map((bucket, i) => (
+                  <g key={bucket.start}>
+                    <title>
+                      {`${new Date(bucket.start).toLocaleString()}\n`}
+                      {`Available: ${bucket.available}, Unavailable: ${bucket.unavailable}, Total: ${bucket.total}\n`}
+                      {`Availability: ${formatPercent(bucket.availabilityPercent)}, Downtime: ${formatHours(bucket.downtimeHours)}`}
+                    </title>
+                    <circle cx={chart.getX(i)} cy={chart.getY(bucket.available)} r="4" fill="#10b981" />
+                    <circle cx={chart.getX(i)} cy={chart.getY(bucket.unavailable)} r="4" fill="#ef4444" />
+                  </g>
+                ))}
+              </svg>
+            </div>
+          ) : (
+            <div className="flex items-center justify-center h-32 text-gray-400 text-sm">
+              Not enough data for this range; try a smaller bucket size
+            </div>
+          )}
+
+          {/* Legend */}
+          <div className="flex items-center justify-center gap-6 mt-4 pt-4 border-t border-gray-200">
+            <div className="flex items-center gap-2">
+              <div className="w-4 h-0.5 bg-green-500"></div>
+              <span className="text-sm text-gray-700">Available</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <div className="w-4 h-0.5 bg-red-500"></div>
+              <span className="text-sm text-gray-700">Unavailable</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <div className="w-4 h-0.5 bg-blue-500 border-dashed border-t-2"></div>
+              <span className="text-sm text-gray-700">Total</span>
+            </div>
+          </div>
+
+          {/* Per-Station Availability - least available first */}
+          {stations.length > 0 && (
+            <div className="mt-6">
+              <h4 className="text-sm font-semibold text-gray-900 mb-2">Availability by Station</h4>
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+                      <th className="py-2 pr-4 font-medium">Station</th>
+                      <th className="py-2 pr-4 font-medium">Status</th>
+                      <th className="py-2 pr-4 font-medium text-right">Availability</th>
+                      <th className="py-2 font-medium text-right">Downtime</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {visibleStations.map((station) => (
+                      <tr key={station.stationId} className="border-b border-gray-100">
+                        <td className="py-2 pr-4 text-gray-900">{station.stationName}</td>
+                        <td className="py-2 pr-4">
+                          <StatusBadge status={station.currentStatus} />
+                        </td>
+                        <td className="py-2 pr-4 text-right font-medium text-gray-900">
+                          {formatPercent(station.availabilityPercent)}
+                        </td>
+                        <td className="py-2 text-right text-gray-700">{formatHours(station.downtimeHours)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {stations.length > STATIONS_PREVIEW_COUNT && (
+                <button
+                  type="button"
+                  onClick={() => setShowAllStations(!showAllStations)}
+                  className="mt-2 text-sm font-medium text-blue-600 hover:text-blue-700"
+                >
+                  {showAllStations ? 'Show fewer' : `Show all ${stations.length} stations`}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StatusTrendChart;
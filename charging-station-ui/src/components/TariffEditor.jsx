@@ -0,0 +1,424 @@
+import { useState } from 'react';
+import CostEstimator from './CostEstimator';
+import { createTariff, updateTariff, deleteTariff } from '../services/stationApi';
+import { CONNECTOR_TYPES, getConnectorLabel } from '../constants/connectors';
+import {
+  CURRENCIES,
+  MAX_TARIFF_BANDS,
+  MAX_IDLE_GRACE_MINUTES,
+  createTariff as createEmptyTariff,
+  createTariffBand,
+} from '../constants/tariffs';
+import { formatTariffSummary } from '../utils/tariffs';
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-colors bg-white text-sm';
+const labelClass = 'block text-xs text-gray-600 mb-1';
+
+const PRICE_FIELDS = [
+  { name: 'pricePerKwh', label: 'Per kWh' },
+  { name: 'pricePerMinute', label: 'Per minute charging' },
+  { name: 'sessionFee', label: 'Session fee' },
+  { name: 'idleFeePerMinute', label: 'Idle fee per minute' },
+];
+
+/**
+ * Tariff as the API expects it, with form text turned back into numbers
+ */
+const toTariffPayload = (draft) => ({
+  ...draft,
+  name: draft.name.trim(),
+  pricePerKwh: Number(draft.pricePerKwh) || 0,
+  pricePerMinute: Number(draft.pricePerMinute) || 0,
+  sessionFee: Number(draft.sessionFee) || 0,
+  idleFeePerMinute: Number(draft.idleFeePerMinute) || 0,
+  idleGraceMinutes: parseInt(draft.idleGraceMinutes, 10) || 0,
+  bands: draft.bands.map((band) => ({
+    startTime: band.startTime,
+    endTime: band.endTime,
+    pricePerKwh: Number(band.pricePerKwh) || 0,
+    pricePerMinute: Number(band.pricePerMinute) || 0,
+  })),
+});
+
+/**
+ * TariffEditor Component
+ *
+ * Admin panel for tariffs: energy, time, session and idle prices with
+ * time-of-day bands, and the connector types each tariff prices. Stations
+ * are assigned a tariff of their own in the station form. A cost estimate
+ * under the tariff being edited updates as prices change.
+ */
+const TariffEditor = ({ tariffs, onTariffsChange }) => {
+  const [draft, setDraft] = useState(null); // Tariff being created or edited (null = list)
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [deleteConfirmId, setDeleteConfirmId] = useState(null); // Tariff awaiting delete confirmation
+
+  // Connector types priced by tariffs other than the one being edited
+  const takenTypes = new Map(
+    tariffs
+      .filter((tariff) => tariff.id !== draft?.id)
+      .flatMap((tariff) => tariff.connectorTypes.map((type) => [type, tariff.name]))
+  );
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setDraft((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const toggleConnectorType = (type) => {
+    setDraft((prev) => ({
+      ...prev,
+      connectorTypes: prev.connectorTypes.includes(type)
+        ? prev.connectorTypes.filter((t) => t !== type)
+        : [...prev.connectorTypes, type],
+    }));
+  };
+
+  const handleBandChange = (index, field, value) => {
+    setDraft((prev) => ({
+      ...prev,
+      bands: prev.bands.map((band, i) => (i === index ? { ...band, [field]: value } : band)),
+    }));
+  };
+
+  const handleAddBand = () => {
+    setDraft((prev) => ({ ...prev, bands: [...prev.bands, createTariffBand(prev)] }));
+  };
+
+  const handleRemoveBand = (index) => {
+    setDraft((prev) => ({ ...prev, bands: prev.bands.filter((_, i) => i !== index) }));
+  };
+
+  const openDraft = (tariff) => {
+    setError(null);
+    setDeleteConfirmId(null);
+    setDraft(tariff ? { ...tariff, bands: tariff.bands.map((band) => ({ ...band })) } : createEmptyTariff());
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError(null);
+      const payload = toTariffPayload(draft);
+      const saved = draft.id ? await updateTariff(draft.id, payload) : await createTariff(payload);
+      const others = tariffs.filter((tariff) => tariff.id !== saved.id);
+      onTariffsChange([...others, saved].sort((a, b) => a.name.localeCompare(b.name)));
+      setDraft(null);
+    } catch (err) {
+      setError(err.message || 'Failed to save tariff');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (tariff) => {
+    try {
+      setSaving(true);
+      setError(null);
+      await deleteTariff(tariff.id);
+      onTariffsChange(tariffs.filter((t) => t.id !== tariff.id));
+    } catch (err) {
+      setError(err.message || 'Failed to delete tariff');
+    } finally {
+      setSaving(false);
+      setDeleteConfirmId(null);
+    }
+  };
+
+  const errorBanner = error && (
+    <div className="px-3 py-2 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">{error}</div>
+  );
+
+  if (!draft) {
+    return (
+      <div className="space-y-4">
+        {errorBanner}
+
+        {tariffs.length === 0 ? (
+          <p className="text-sm text-gray-500">No tariffs yet. Stations show no prices until one applies to them.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {tariffs.map((tariff) => (
+              <li key={tariff.id} className="py-3 flex flex-col sm:flex-row sm:items-center gap-3">
+                <div className="flex-1 min-w-0">
+                  <div className="text-sm font-medium text-gray-900 truncate">{tariff.name}</div>
+                  <div className="text-xs text-gray-600">
+                    {formatTariffSummary(tariff)}
+                    {tariff.bands.length > 0 &&
+                      ` · ${tariff.bands.length} time-of-day band${tariff.bands.length === 1 ? '' : 's'}`}
+                  </div>
+                  <div className="text-xs text-gray-500 mt-0.5">
+                    {tariff.connectorTypes.length > 0
+                      ? `Default for ${tariff.connectorTypes.map(getConnectorLabel).join(', ')}`
+                      : 'Only for stations assigned to it'}
+                  </div>
+                </div>
+
+                {deleteConfirmId === tariff.id ? (
+                  <div className="flex items-center gap-2">
+                    <span className="text-xs text-red-700">Delete tariff?</span>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(tariff)}
+                      disabled={saving}
+                      className="px-3 py-1.5 bg-red-600 text-white text-xs font-medium rounded-lg hover:bg-red-700 disabled:opacity-50"
+                    >
+                      {saving ? 'Deleting...' : 'Delete'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setDeleteConfirmId(null)}
+                      disabled={saving}
+                      className="px-3 py-1.5 bg-gray-100 text-gray-700 text-xs font-medium rounded-lg hover:bg-gray-200"
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                ) : (
+                  <div className="flex items-center gap-2">
+                    <button
+                      type="button"
+                      onClick={() => openDraft(tariff)}
+                      className="px-3 py-1.5 bg-blue-600 text-white text-xs font-medium rounded-lg hover:bg-blue-700"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setDeleteConfirmId(tariff.id)}
+                      className="px-3 py-1.5 bg-white border border-red-300 text-red-700 text-xs font-medium rounded-lg hover:bg-red-50"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <button
+          type="button"
+          onClick={() => openDraft(null)}
+          className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors"
+        >
+          Add tariff
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSave} className="space-y-5">
+      {errorBanner}
+
+      {/* Name and Currency */}
+      <div className="grid grid-cols-3 gap-3">
+        <div className="col-span-2">
+          <label htmlFor="tariffName" className={labelClass}>
+            Name
+          </label>
+          <input
+            id="tariffName"
+            name="name"
+            value={draft.name}
+            onChange={handleChange}
+            maxLength={100}
+            required
+            className={inputClass}
+            placeholder="e.g. Standard DC"
+          />
+        </div>
+        <div>
+          <label htmlFor="tariffCurrency" className={labelClass}>
+            Currency
+          </label>
+          <select id="tariffCurrency" name="currency" value={draft.currency} onChange={handleChange} className={inputClass}>
+            {/* Keep a saved currency that is not in the list */}
+            {[...new Set([...CURRENCIES, draft.currency])].map((currency) => (
+              <option key={currency} value={currency}>
+                {currency}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Prices */}
+      <div className="grid grid-cols-2 sm:grid-cols-5 gap-3">
+        {PRICE_FIELDS.map((field) => (
+          <div key={field.name}>
+            <label htmlFor={`tariff-${field.name}`} className={labelClass}>
+              {field.label}
+            </label>
+            <input
+              type="number"
+              id={`tariff-${field.name}`}
+              name={field.name}
+              min="0"
+              step="0.01"
+              value={draft[field.name]}
+              onChange={handleChange}
+              required
+              className={inputClass}
+            />
+          </div>
+        ))}
+        <div>
+          <label htmlFor="tariffIdleGrace" className={labelClass}>
+            Idle grace (min)
+          </label>
+          <input
+            type="number"
+            id="tariffIdleGrace"
+            name="idleGraceMinutes"
+            min="0"
+            max={MAX_IDLE_GRACE_MINUTES}
+            step="1"
+            value={draft.idleGraceMinutes}
+            onChange={handleChange}
+            required
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      {/* Time-of-day Bands - replace the energy and time prices inside their hours */}
+      <div>
+        <div className="text-sm font-medium text-gray-900">Time-of-day prices</div>
+        <p className="text-xs text-gray-500 mb-2">
+          Inside a band its prices replace the per kWh and per minute prices. A band ending before it starts runs past
+          midnight.
+        </p>
+        <div className="space-y-2">
+          {draft.bands.map((band, index) => (
+            <div key={index} className="grid grid-cols-2 sm:grid-cols-5 gap-2 items-end p-2 bg-gray-50 border border-gray-200 rounded-lg">
+              <label className="text-xs text-gray-600">
+                From
+                <input
+                  type="time"
+                  value={band.startTime}
+                  onChange={(e) => handleBandChange(index, 'startTime', e.target.value)}
+                  required
+                  className={`${inputClass} mt-1`}
+                />
+              </label>
+              <label className="text-xs text-gray-600">
+                Until
+                <input
+                  type="time"
+                  value={band.endTime}
+                  onChange={(e) => handleBandChange(index, 'endTime', e.target.value)}
+                  required
+                  className={`${inputClass} mt-1`}
+                />
+              </label>
+              <label className="text-xs text-gray-600">
+                Per kWh
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={band.pricePerKwh}
+                  onChange={(e) => handleBandChange(index, 'pricePerKwh', e.target.value)}
+                  required
+                  className={`${inputClass} mt-1`}
+                />
+              </label>
+              <label className="text-xs text-gray-600">
+                Per minute
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={band.pricePerMinute}
+                  onChange={(e) => handleBandChange(index, 'pricePerMinute', e.target.value)}
+                  required
+                  className={`${inputClass} mt-1`}
+                />
+              </label>
+              <button
+                type="button"
+                onClick={() => handleRemoveBand(index)}
+                className="py-2 text-xs font-medium text-red-600 hover:text-red-700"
+                aria-label={`Remove band ${index + 1}`}
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+        {draft.bands.length < MAX_TARIFF_BANDS && (
+          <button
+            type="button"
+            onClick={handleAddBand}
+            className="mt-2 text-sm font-medium text-blue-600 hover:text-blue-700"
+          >
+            + Add band
+          </button>
+        )}
+      </div>
+
+      {/* Connector Types - stations without a tariff of their own use these */}
+      <div>
+        <div className="text-sm font-medium text-gray-900">Default for connector types</div>
+        <p className="text-xs text-gray-500 mb-2">
+          Prices these connectors at every station that has no tariff of its own.
+        </p>
+        <div className="flex flex-wrap gap-x-4 gap-y-2">
+          {CONNECTOR_TYPES.map((type) => {
+            const owner = takenTypes.get(type.value);
+            return (
+              <label
+                key={type.value}
+                className={`inline-flex items-center text-sm ${owner ? 'text-gray-400' : 'text-gray-700'}`}
+                title={owner ? `Priced by ${owner}` : undefined}
+              >
+                <input
+                  type="checkbox"
+                  checked={draft.connectorTypes.includes(type.value)}
+                  onChange={() => toggleConnectorType(type.value)}
+                  disabled={!!owner}
+                  className="mr-1.5 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                {type.label}
+                {owner && <span className="ml-1 text-xs">({owner})</span>}
+              </label>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Cost Estimate under the prices being edited */}
+      <div>
+        <div className="text-sm font-medium text-gray-900 mb-2">Estimate a session</div>
+        <CostEstimator tariff={toTariffPayload(draft)} />
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-3 pt-4 border-t border-gray-200">
+        <button
+          type="submit"
+          disabled={saving}
+          className="flex-1 px-5 py-2.5 bg-blue-600 text-white rounded-lg text-sm font-medium hover:bg-blue-700 disabled:opacity-50 transition-colors"
+        >
+          {saving ? 'Saving...' : draft.id ? 'Update Tariff' : 'Create Tariff'}
+        </button>
+        <button
+          type="button"
+          onClick={() => {
+            setDraft(null);
+            setError(null);
+          }}
+          className="flex-1 px-5 py-2.5 bg-gray-100 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-200 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TariffEditor;
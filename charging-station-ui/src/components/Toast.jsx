@@ -0,0 +1,46 @@
+import { useEffect } from 'react';
+
+/**
+ * Toast Component
+ *
+ * Small notification pinned to the bottom of the screen with an optional
+ * action button (e.g. Undo). Dismisses itself after `duration` ms.
+ */
+const Toast = ({ message, actionLabel, onAction, onDismiss, duration = 8000 }) => {
+  useEffect(() => {
+    if (!onDismiss || !duration) return undefined;
+    const timeoutId = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timeoutId);
+  }, [message, onDismiss, duration]);
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 px-4 w-full max-w-md" role="status" aria-live="polite">
+      <div className="flex items-center gap-3 bg-gray-900 text-white text-sm rounded-lg shadow-lg px-4 py-3">
+        <span className="flex-1">{message}</span>
+        {onAction && (
+          <button
+            type="button"
+            onClick={onAction}
+            className="font-semibold text-blue-300 hover:text-blue-200 focus:outline-none focus:underline"
+          >
+            {actionLabel}
+          </button>
+        )}
+        {onDismiss && (
+          <button
+            type="button"
+            onClick={onDismiss}
+            className="text-gray-400 hover:text-white"
+            aria-label="Dismiss"
+          >
+            <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+            </svg>
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Toast;
@@ -0,0 +1,185 @@
+import { useState, useEffect } from 'react';
+import Loader from './Loader';
+import { getUsers, createUser, updateUser } from '../services/authApi';
+import { ROLES, ROLE_OPTIONS } from '../constants/roles';
+import { useAuth } from '../context/AuthContext';
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-colors bg-white text-sm';
+
+const emptyNewUser = { username: '', displayName: '', password: '', role: ROLES.VIEWER };
+
+/**
+ * UserManagement Component
+ *
+ * Admin panel for local user accounts: create users,
+ * change roles and activate or deactivate accounts.
+ */
+const UserManagement = () => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [newUser, setNewUser] = useState(emptyNewUser);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadUsers = async () => {
+      try {
+        setLoading(true);
+        setUsers(await getUsers());
+      } catch (err) {
+        setError(err.message || 'Failed to load users');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadUsers();
+  }, []);
+
+  // Replace one user in the list with the API's updated copy
+  const applyUpdate = async (id, changes) => {
+    try {
+      setError(null);
+      const updated = await updateUser(id, changes);
+      setUsers((prev) => prev.map((u) => (u.id === id ? updated : u)));
+    } catch (err) {
+      setError(err.message || 'Failed to update user');
+    }
+  };
+
+  const handleNewUserChange = (e) => {
+    const { name, value } = e.target;
+    setNewUser((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError(null);
+      const created = await createUser(newUser);
+      setUsers((prev) => [...prev, created].sort((a, b) => a.username.localeCompare(b.username)));
+      setNewUser(emptyNewUser);
+    } catch (err) {
+      setError(err.message || 'Failed to create user');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <Loader size="sm" text="Loading users..." />;
+  }
+
+  return (
+    <div className="space-y-5">
+      {error && (
+        <div className="px-3 py-2 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">{error}</div>
+      )}
+
+      {/* User List */}
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+              <th className="py-2 pr-3 font-medium">User</th>
+              <th className="py-2 pr-3 font-medium">Role</th>
+              <th className="py-2 font-medium text-right">Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.map((u) => {
+              const isSelf = u.id === currentUser?.id;
+              return (
+                <tr key={u.id} className="border-b border-gray-100">
+                  <td className="py-2 pr-3">
+                    <div className="font-medium text-gray-900">{u.displayName || u.username}</div>
+                    <div className="text-xs text-gray-500">{u.username}</div>
+                  </td>
+                  <td className="py-2 pr-3">
+                    <select
+                      value={u.role}
+                      onChange={(e) => applyUpdate(u.id, { role: e.target.value })}
+                      disabled={isSelf}
+                      className={inputClass}
+                      aria-label={`Role for ${u.username}`}
+                    >
+                      {ROLE_OPTIONS.map((role) => (
+                        <option key={role} value={role}>
+                          {role}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="py-2 text-right">
+                    <button
+                      type="button"
+                      onClick={() => applyUpdate(u.id, { isActive: !u.isActive })}
+                      disabled={isSelf}
+                      className={`px-2.5 py-1 rounded-full text-xs font-medium disabled:opacity-50 ${
+                        u.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-600'
+                      }`}
+                      title={isSelf ? 'You cannot deactivate yourself' : u.isActive ? 'Deactivate' : 'Activate'}
+                    >
+                      {u.isActive ? 'Active' : 'Inactive'}
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {/* New User Form */}
+      <form onSubmit={handleCreate} className="p-3 bg-gray-50 border border-gray-200 rounded-lg space-y-2">
+        <div className="text-sm font-medium text-gray-900">Add user</div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+          <input
+            name="username"
+            value={newUser.username}
+            onChange={handleNewUserChange}
+            placeholder="Username"
+            required
+            className={inputClass}
+          />
+          <input
+            name="displayName"
+            value={newUser.displayName}
+            onChange={handleNewUserChange}
+            placeholder="Display name (optional)"
+            className={inputClass}
+          />
+          <input
+            type="password"
+            name="password"
+            value={newUser.password}
+            onChange={handleNewUserChange}
+            placeholder="Password (min 8 characters)"
+            minLength={8}
+            autoComplete="new-password"
+            required
+            className={inputClass}
+          />
+          <select name="role" value={newUser.role} onChange={handleNewUserChange} className={inputClass}>
+            {ROLE_OPTIONS.map((role) => (
+              <option key={role} value={role}>
+                {role}
+              </option>
+            ))}
+          </select>
+        </div>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50 transition-colors"
+        >
+          {saving ? 'Adding...' : 'Add user'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default UserManagement;
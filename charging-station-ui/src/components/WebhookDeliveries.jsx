@@ -0,0 +1,224 @@
+import { useState, useEffect, useCallback } from 'react';
+import Loader from './Loader';
+import { getWebhookDeliveries, redeliverWebhookDelivery } from '../services/stationApi';
+import { MAX_DELIVERY_ATTEMPTS, WEBHOOK_DELIVERY_STATUSES, getDeliveryStatus } from '../constants/webhooks';
+import { describeDeliveryAttempt, shortEventId } from '../utils/webhooks';
+
+const DELIVERY_REFRESH_MS = 15000; // 15 seconds
+const DELIVERY_LIMIT = 100;
+
+const selectClass =
+  'px-2 py-1.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none bg-white text-sm';
+
+const formatTime = (value) =>
+  value
+    ? new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' })
+    : '—';
+
+/**
+ * WebhookDeliveries Component
+ *
+ * Delivery log of webhook events, newest first, filtered by webhook and
+ * status: the response code or error of the last attempt, the attempt count
+ * and when a retry is due. A row opens to show the payload; finished
+ * deliveries can be sent again. webhooks names the webhooks in the log;
+ * reloadKey reloads the log when it changes (after a test event).
+ */
+const WebhookDeliveries = ({ webhooks, reloadKey }) => {
+  const [deliveries, setDeliveries] = useState([]);
+  const [webhookFilter, setWebhookFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+
+  const loadDeliveries = useCallback(async () => {
+    try {
+      setError(null);
+      const data = await getWebhookDeliveries({
+        webhookId: webhookFilter || undefined,
+        status: statusFilter || undefined,
+        limit: DELIVERY_LIMIT,
+      });
+      setDeliveries(data);
+    } catch (err) {
+      setError(err.message || 'Failed to load the delivery log');
+    } finally {
+      setLoading(false);
+    }
+  }, [webhookFilter, statusFilter]);
+
+  // Reload on filter changes and tests, and poll for retries
+  useEffect(() => {
+    setLoading(true);
+    loadDeliveries();
+    const interval = setInterval(loadDeliveries, DELIVERY_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [loadDeliveries, reloadKey]);
+
+  const webhookNames = Object.fromEntries(webhooks.map((webhook) => [webhook.id, webhook.name]));
+
+  const handleRedeliver = async (id) => {
+    try {
+      setActionError(null);
+      const updated = await redeliverWebhookDelivery(id);
+      setDeliveries((prev) => prev.map((d) => (d.id === updated.id ? updated : d)));
+    } catch (err) {
+      setActionError(err.message || 'Failed to redeliver the event');
+    }
+  };
+
+  const formatPayload = (payload) => {
+    try {
+      return JSON.stringify(JSON.parse(payload), null, 2);
+    } catch {
+      return payload;
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={webhookFilter}
+          onChange={(e) => setWebhookFilter(e.target.value)}
+          className={selectClass}
+          aria-label="Filter by webhook"
+        >
+          <option value="">All webhooks</option>
+          {webhooks.map((webhook) => (
+            <option key={webhook.id} value={webhook.id}>
+              {webhook.name}
+            </option>
+          ))}
+        </select>
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className={selectClass}
+          aria-label="Filter by status"
+        >
+          <option value="">All statuses</option>
+          {WEBHOOK_DELIVERY_STATUSES.map(({ value }) => (
+            <option key={value} value={value}>
+              {value}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={loadDeliveries}
+          className="px-3 py-1.5 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50"
+        >
+          Refresh
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {actionError && <p className="text-sm text-red-600">{actionError}</p>}
+
+      {loading ? (
+        <Loader size="sm" text="Loading deliveries..." />
+      ) : deliveries.length === 0 ? (
+        !error && <p className="text-sm text-gray-500">No deliveries yet.</p>
+      ) : (
+        <div className="overflow-x-auto border border-gray-200 rounded-lg">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-xs text-gray-500 uppercase">
+              <tr>
+                <th className="px-3 py-2 text-left font-medium">Queued</th>
+                <th className="px-3 py-2 text-left font-medium">Webhook</th>
+                <th className="px-3 py-2 text-left font-medium">Event</th>
+                <th className="px-3 py-2 text-left font-medium">Status</th>
+                <th className="px-3 py-2 text-left font-medium">Last attempt</th>
+                <th className="px-3 py-2 text-right font-medium">
+                  <span className="sr-only">Actions</span>
+                </th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {deliveries.map((delivery) => {
+                const expanded = expandedId === delivery.id;
+                return [
+                  <tr key={delivery.id} className="align-top">
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-600">{formatTime(delivery.createdAt)}</td>
+                    <td className="px-3 py-2 text-gray-900">
+                      {webhookNames[delivery.webhookId] || `Webhook #${delivery.webhookId}`}
+                    </td>
+                    <td className="px-3 py-2">
+                      <code className="text-xs text-gray-800">{delivery.eventType}</code>
+                      <span className="block text-xs text-gray-400 font-mono" title={delivery.eventId}>
+                        {shortEventId(delivery.eventId)}
+                        {delivery.chargingStationId && ` · station #${delivery.chargingStationId}`}
+                      </span>
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap">
+                      <span className={`px-1.5 py-0.5 rounded text-xs font-medium ${getDeliveryStatus(delivery.status).badgeClass}`}>
+                        {delivery.status}
+                      </span>
+                      <span className="block text-xs text-gray-500 mt-0.5">
+                        {delivery.status === 'Pending'
+                          ? `${delivery.attempts} of ${MAX_DELIVERY_ATTEMPTS} attempts`
+                          : `${delivery.attempts} attempt${delivery.attempts === 1 ? '' : 's'}`}
+                      </span>
+                    </td>
+                    <td className="px-3 py-2 text-xs">
+                      <span className={delivery.error ? 'text-red-600' : 'text-gray-700'}>
+                        {describeDeliveryAttempt(delivery)}
+                      </span>
+                      {delivery.lastAttemptAt && (
+                        <span className="block text-gray-400">{formatTime(delivery.lastAttemptAt)}</span>
+                      )}
+                      {delivery.status === 'Pending' && delivery.nextAttemptAt && (
+                        <span className="block text-amber-700">Next try {formatTime(delivery.nextAttemptAt)}</span>
+                      )}
+                    </td>
+                    <td className="px-3 py-2 text-right whitespace-nowrap text-xs space-x-2">
+                      <button
+                        type="button"
+                        onClick={() => setExpandedId(expanded ? null : delivery.id)}
+                        className="text-gray-600 hover:text-gray-800"
+                        aria-expanded={expanded}
+                      >
+                        {expanded ? 'Hide' : 'Payload'}
+                      </button>
+                      {delivery.status !== 'Pending' && (
+                        <button
+                          type="button"
+                          onClick={() => handleRedeliver(delivery.id)}
+                          className="text-blue-600 hover:text-blue-800"
+                        >
+                          Redeliver
+                        </button>
+                      )}
+                    </td>
+                  </tr>,
+                  expanded && (
+                    <tr key={`${delivery.id}-payload`}>
+                      <td colSpan={6} className="px-3 pb-3">
+                        <pre className="max-h-64 overflow-auto p-2 rounded bg-gray-900 text-gray-100 text-xs">
+                          {formatPayload(delivery.payload)}
+                        </pre>
+                        {delivery.responseBody && (
+                          <>
+                            <p className="mt-2 text-xs text-gray-500">Response body</p>
+                            <pre className="max-h-32 overflow-auto p-2 rounded bg-gray-100 text-gray-800 text-xs whitespace-pre-wrap">
+                              {delivery.responseBody}
+                            </pre>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  ),
+                ];
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WebhookDeliveries;
@@ -0,0 +1,137 @@
+import { useState } from 'react';
+import { MAX_WEBHOOK_NAME_LENGTH, MAX_WEBHOOK_URL_LENGTH, WEBHOOK_EVENT_TYPES } from '../constants/webhooks';
+import { toWebhookPayload, validateWebhook } from '../utils/webhooks';
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-colors bg-white text-sm';
+const checkboxClass = 'rounded border-gray-300 text-blue-600 focus:ring-blue-500';
+
+/**
+ * WebhookForm Component
+ *
+ * Add or edit one webhook: a name for the receiving system, the URL events
+ * are posted to and the station events it gets. onSave(payload) saves and
+ * throws with a message on failure.
+ */
+const WebhookForm = ({ webhook, onSave, onCancel }) => {
+  const isNew = webhook.id == null;
+
+  const [form, setForm] = useState(() => ({ ...webhook, eventTypes: webhook.eventTypes || [] }));
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm((prev) => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    setError(null);
+  };
+
+  const toggleEventType = (eventType) => {
+    setForm((prev) => ({
+      ...prev,
+      eventTypes: prev.eventTypes.includes(eventType)
+        ? prev.eventTypes.filter((t) => t !== eventType)
+        : [...prev.eventTypes, eventType],
+    }));
+    setError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validationError = validateWebhook(form);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await onSave(toWebhookPayload(form));
+    } catch (err) {
+      setError(err.message || 'Failed to save the webhook');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="p-3 rounded-lg border border-gray-200 bg-gray-50 space-y-3">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <label className="text-xs text-gray-600">
+          Name
+          <input
+            type="text"
+            name="name"
+            maxLength={MAX_WEBHOOK_NAME_LENGTH}
+            value={form.name}
+            onChange={handleChange}
+            required
+            className={`${inputClass} mt-1`}
+            placeholder="e.g. Ticketing"
+          />
+        </label>
+        <label className="text-xs text-gray-600 sm:col-span-2">
+          URL
+          <input
+            type="url"
+            name="url"
+            maxLength={MAX_WEBHOOK_URL_LENGTH}
+            value={form.url}
+            onChange={handleChange}
+            required
+            className={`${inputClass} mt-1 font-mono`}
+            placeholder="https://example.com/hooks/stations"
+          />
+        </label>
+      </div>
+
+      <fieldset>
+        <legend className="text-xs text-gray-600 mb-1">Events</legend>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-1">
+          {WEBHOOK_EVENT_TYPES.map(({ value, label, description }) => (
+            <label key={value} className="flex items-start gap-1.5 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.eventTypes.includes(value)}
+                onChange={() => toggleEventType(value)}
+                className={`${checkboxClass} mt-0.5`}
+              />
+              <span>
+                {label} <code className="text-xs text-gray-500">{value}</code>
+                <span className="block text-xs text-gray-400">{description}</span>
+              </span>
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <label className="flex items-center gap-1.5 text-sm text-gray-700">
+        <input type="checkbox" name="enabled" checked={form.enabled} onChange={handleChange} className={checkboxClass} />
+        Enabled
+      </label>
+
+      {isNew && (
+        <p className="text-xs text-gray-500">A signing secret is created when the webhook is added.</p>
+      )}
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1.5 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-3 py-1.5 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : isNew ? 'Add webhook' : 'Save'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default WebhookForm;
@@ -0,0 +1,162 @@
+import { useState, useEffect, useMemo } from 'react';
+import Loader from './Loader';
+import WorkOrderCard from './WorkOrderCard';
+import WorkOrderForm from './WorkOrderForm';
+import { getWorkOrders, updateWorkOrder } from '../services/stationApi';
+import { RESOLVED_STATE, WORK_ORDER_STATES } from '../constants/workOrders';
+import { groupWorkOrdersByState, isLastUnresolved, toWorkOrderPayload } from '../utils/workOrders';
+
+const RESOLVED_WINDOW_DAYS = 30; // The Resolved column shows orders resolved this recently
+
+/**
+ * WorkOrderBoard Component
+ *
+ * Work orders of the given stations in Open, In Progress and Resolved
+ * columns. canEdit adds moving an order to In Progress and resolving or
+ * editing it (see WorkOrderForm for returning the station to Operational).
+ * onWorkOrdersChange is called after every save.
+ */
+const WorkOrderBoard = ({ stations, canEdit, onWorkOrdersChange }) => {
+  const [workOrders, setWorkOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null); // { id, resolve } of the work order in the form
+  const [reloadCount, setReloadCount] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadWorkOrders = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const resolvedSince = new Date(Date.now() - RESOLVED_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+        const data = await getWorkOrders({ resolvedSince: resolvedSince.toISOString() });
+        if (!cancelled) {
+          setWorkOrders(data);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load work orders');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadWorkOrders();
+    return () => {
+      cancelled = true;
+    };
+  }, [reloadCount]);
+
+  // Only orders of the stations matching the Dashboard filters
+  const columns = useMemo(() => {
+    const stationIds = new Set(stations.map((station) => station.id));
+    return groupWorkOrdersByState(workOrders.filter((w) => stationIds.has(w.chargingStationId)));
+  }, [stations, workOrders]);
+
+  const handleSaved = () => {
+    setEditing(null);
+    setReloadCount((count) => count + 1);
+    onWorkOrdersChange?.();
+  };
+
+  const handleSave = async (payload, options) => {
+    await updateWorkOrder(payload.id, payload, options);
+    handleSaved();
+  };
+
+  const handleStart = async (workOrder) => {
+    try {
+      setError(null);
+      await updateWorkOrder(workOrder.id, toWorkOrderPayload({ ...workOrder, state: 'InProgress' }));
+      handleSaved();
+    } catch (err) {
+      setError(err.message || 'Failed to update the work order');
+    }
+  };
+
+  if (loading && workOrders.length === 0) {
+    return <Loader size="md" text="Loading work orders..." />;
+  }
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <div className="px-3 py-2 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">{error}</div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        {WORK_ORDER_STATES.map(({ value, label }) => (
+          <div key={value} className="bg-gray-100 rounded-lg p-3">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-sm font-semibold text-gray-900">{label}</h3>
+              <span className="text-xs font-medium text-gray-500">{columns[value].length}</span>
+            </div>
+            <div className="space-y-3">
+              {columns[value].length === 0 && (
+                <p className="text-xs text-gray-500 py-4 text-center">
+                  {value === RESOLVED_STATE
+                    ? `Nothing resolved in the last ${RESOLVED_WINDOW_DAYS} days`
+                    : 'No work orders'}
+                </p>
+              )}
+              {columns[value].map((workOrder) =>
+                editing?.id === workOrder.id ? (
+                  <WorkOrderForm
+                    key={workOrder.id}
+                    workOrder={workOrder}
+                    resolve={editing.resolve}
+                    stationStatus={workOrder.stationStatus}
+                    canReturnToOperational={
+                      workOrder.stationStatus === 'Maintenance' && isLastUnresolved(workOrder, workOrders)
+                    }
+                    onSave={handleSave}
+                    onCancel={() => setEditing(null)}
+                  />
+                ) : (
+                  <WorkOrderCard key={workOrder.id} workOrder={workOrder} showStation>
+                    {canEdit && !editing ? (
+                      <>
+                        {value === 'Open' && (
+                          <button
+                            type="button"
+                            onClick={() => handleStart(workOrder)}
+                            className="text-xs font-medium text-blue-600 hover:text-blue-700"
+                          >
+                            Start work
+                          </button>
+                        )}
+                        {value !== RESOLVED_STATE && (
+                          <button
+                            type="button"
+                            onClick={() => setEditing({ id: workOrder.id, resolve: true })}
+                            className="text-xs font-medium text-green-700 hover:text-green-800"
+                          >
+                            Resolve
+                          </button>
+                        )}
+                        <button
+                          type="button"
+                          onClick={() => setEditing({ id: workOrder.id, resolve: false })}
+                          className="text-xs font-medium text-gray-600 hover:text-gray-700"
+                        >
+                          Edit
+                        </button>
+                      </>
+                    ) : null}
+                  </WorkOrderCard>
+                )
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default WorkOrderBoard;
@@ -0,0 +1,73 @@
+import { Link } from 'react-router-dom';
+import StatusBadge from './StatusBadge';
+import { getWorkOrderPriority, getWorkOrderStateLabel, RESOLVED_STATE } from '../constants/workOrders';
+import { isOverdue } from '../utils/workOrders';
+
+/**
+ * WorkOrderCard Component
+ *
+ * One work order: title, priority, category, assignee, due date (red when
+ * overdue) and, once resolved, who resolved it and how. showStation adds a
+ * link to the station with its current status (used by the board). Buttons
+ * passed as children are shown along the bottom.
+ */
+const WorkOrderCard = ({ workOrder, showStation = false, children }) => {
+  const priority = getWorkOrderPriority(workOrder.priority);
+  const overdue = isOverdue(workOrder);
+  const resolved = workOrder.state === RESOLVED_STATE;
+
+  return (
+    <div className={`rounded-lg border bg-white p-3 ${overdue ? 'border-red-200' : 'border-gray-200'}`}>
+      <div className="flex items-start justify-between gap-2">
+        <p className={`text-sm font-medium ${resolved ? 'text-gray-500' : 'text-gray-900'}`}>{workOrder.title}</p>
+        <span className={`shrink-0 inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${priority.badgeClass}`}>
+          {priority.value}
+        </span>
+      </div>
+
+      {showStation && (
+        <div className="mt-1 flex flex-wrap items-center gap-2">
+          <Link
+            to={`/stations/${workOrder.chargingStationId}`}
+            className="text-xs font-medium text-blue-600 hover:text-blue-700"
+          >
+            {workOrder.stationName || `Station ${workOrder.chargingStationId}`}
+          </Link>
+          {workOrder.stationStatus && <StatusBadge status={workOrder.stationStatus} />}
+        </div>
+      )}
+
+      <p className="mt-1 text-xs text-gray-500">
+        {workOrder.category}
+        {!showStation && ` · ${getWorkOrderStateLabel(workOrder.state)}`}
+        {workOrder.assignee && ` · ${workOrder.assignee}`}
+        {workOrder.dueDate && (
+          <span className={overdue ? 'text-red-600 font-medium' : ''}>
+            {' · '}
+            {overdue ? 'Overdue' : 'Due'} {new Date(`${workOrder.dueDate}T00:00:00`).toLocaleDateString()}
+          </span>
+        )}
+      </p>
+
+      {workOrder.description && (
+        <p className="mt-1 text-xs text-gray-600 whitespace-pre-line">{workOrder.description}</p>
+      )}
+
+      {resolved ? (
+        <p className="mt-1 text-xs text-gray-500">
+          Resolved by {workOrder.resolvedBy || 'unknown'}
+          {workOrder.resolvedAt && ` on ${new Date(workOrder.resolvedAt).toLocaleString()}`}
+          {workOrder.resolutionNote && `: ${workOrder.resolutionNote}`}
+        </p>
+      ) : (
+        <p className="mt-1 text-xs text-gray-400">
+          Opened by {workOrder.createdBy} on {new Date(workOrder.createdAt).toLocaleString()}
+        </p>
+      )}
+
+      {children && <div className="mt-2 flex flex-wrap gap-3">{children}</div>}
+    </div>
+  );
+};
+
+export default WorkOrderCard;
@@ -0,0 +1,208 @@
+import { useState } from 'react';
+import {
+  MAX_ASSIGNEE_LENGTH,
+  MAX_DESCRIPTION_LENGTH,
+  MAX_RESOLUTION_NOTE_LENGTH,
+  MAX_TITLE_LENGTH,
+  RESOLVED_STATE,
+  WORK_ORDER_CATEGORIES,
+  WORK_ORDER_PRIORITIES,
+  WORK_ORDER_STATES,
+} from '../constants/workOrders';
+import { toWorkOrderPayload } from '../utils/workOrders';
+
+const inputClass =
+  'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-colors bg-white text-sm';
+
+/**
+ * WorkOrderForm Component
+ *
+ * Create or edit one work order. A new order can also put the station into
+ * Maintenance; resolving the station's last unresolved order while it is in
+ * Maintenance (canReturnToOperational) offers to set it back to Operational.
+ * resolve opens an existing order with its state already set to Resolved.
+ * onSave(payload, options) saves and throws with a message on failure.
+ */
+const WorkOrderForm = ({ workOrder, stationStatus, canReturnToOperational, resolve = false, onSave, onCancel }) => {
+  const isNew = workOrder.id == null;
+  const wasResolved = workOrder.state === RESOLVED_STATE;
+
+  const [form, setForm] = useState(() => ({
+    ...workOrder,
+    state: resolve ? RESOLVED_STATE : workOrder.state,
+    description: workOrder.description || '',
+    assignee: workOrder.assignee || '',
+    dueDate: workOrder.dueDate || '',
+    resolutionNote: workOrder.resolutionNote || '',
+  }));
+  const [setStationMaintenance, setSetStationMaintenance] = useState(false);
+  const [returnToOperational, setReturnToOperational] = useState(true);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const resolving = form.state === RESOLVED_STATE && !wasResolved;
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+    setError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.title.trim()) {
+      setError('Enter a title');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await onSave(toWorkOrderPayload(form), {
+        setStationMaintenance: isNew && stationStatus !== 'Maintenance' && setStationMaintenance,
+        returnStationToOperational: resolving && canReturnToOperational && returnToOperational,
+      });
+    } catch (err) {
+      setError(err.message || 'Failed to save the work order');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="p-3 rounded-lg border border-gray-200 bg-gray-50 space-y-3">
+      <label className="block text-xs text-gray-600">
+        Title
+        <input
+          type="text"
+          name="title"
+          maxLength={MAX_TITLE_LENGTH}
+          value={form.title}
+          onChange={handleChange}
+          required
+          className={`${inputClass} mt-1`}
+          placeholder="e.g. Connector 2 latch broken"
+        />
+      </label>
+
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+        <label className="text-xs text-gray-600">
+          Fault category
+          <select name="category" value={form.category} onChange={handleChange} className={`${inputClass} mt-1`}>
+            {WORK_ORDER_CATEGORIES.map((category) => (
+              <option key={category} value={category}>
+                {category}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600">
+          Priority
+          <select name="priority" value={form.priority} onChange={handleChange} className={`${inputClass} mt-1`}>
+            {WORK_ORDER_PRIORITIES.map(({ value }) => (
+              <option key={value} value={value}>
+                {value}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600">
+          State
+          <select name="state" value={form.state} onChange={handleChange} className={`${inputClass} mt-1`}>
+            {WORK_ORDER_STATES.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs text-gray-600">
+          Assignee
+          <input
+            type="text"
+            name="assignee"
+            maxLength={MAX_ASSIGNEE_LENGTH}
+            value={form.assignee}
+            onChange={handleChange}
+            className={`${inputClass} mt-1`}
+            placeholder="Optional"
+          />
+        </label>
+        <label className="text-xs text-gray-600">
+          Due date
+          <input type="date" name="dueDate" value={form.dueDate} onChange={handleChange} className={`${inputClass} mt-1`} />
+        </label>
+      </div>
+
+      <label className="block text-xs text-gray-600">
+        Description
+        <textarea
+          name="description"
+          rows={3}
+          maxLength={MAX_DESCRIPTION_LENGTH}
+          value={form.description}
+          onChange={handleChange}
+          className={`${inputClass} mt-1`}
+          placeholder="Optional: what is wrong and what needs doing"
+        />
+      </label>
+
+      {form.state === RESOLVED_STATE && (
+        <label className="block text-xs text-gray-600">
+          Resolution
+          <textarea
+            name="resolutionNote"
+            rows={2}
+            maxLength={MAX_RESOLUTION_NOTE_LENGTH}
+            value={form.resolutionNote}
+            onChange={handleChange}
+            className={`${inputClass} mt-1`}
+            placeholder="Optional: what was done"
+          />
+        </label>
+      )}
+
+      {isNew && stationStatus !== 'Maintenance' && (
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={setStationMaintenance}
+            onChange={(e) => setSetStationMaintenance(e.target.checked)}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          Set the station to Maintenance
+        </label>
+      )}
+
+      {resolving && canReturnToOperational && (
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={returnToOperational}
+            onChange={(e) => setReturnToOperational(e.target.checked)}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+          />
+          This is the last open work order: return the station to Operational
+        </label>
+      )}
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-1.5 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-3 py-1.5 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : isNew ? 'Open work order' : 'Save'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default WorkOrderForm;
@@ -0,0 +1,173 @@
+import { useState, useEffect } from 'react';
+import Loader from './Loader';
+import WorkOrderCard from './WorkOrderCard';
+import WorkOrderForm from './WorkOrderForm';
+import { createWorkOrder, deleteWorkOrder, getWorkOrders, updateWorkOrder } from '../services/stationApi';
+import { createWorkOrder as newWorkOrder } from '../constants/workOrders';
+import { isLastUnresolved, isUnresolved, sortWorkOrders } from '../utils/workOrders';
+
+/**
+ * WorkOrders Component
+ *
+ * A station's work orders, unresolved ones first by urgency. canEdit adds
+ * opening and editing orders (see WorkOrderForm for the station status
+ * options), canDelete adds deleting them. onStationChange is called after a
+ * save that changed the station's status.
+ */
+const WorkOrders = ({ station, canEdit, canDelete, onStationChange }) => {
+  const [workOrders, setWorkOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null); // Work order in the form (new ones have no id)
+  const [deleteConfirmId, setDeleteConfirmId] = useState(null); // Work order awaiting delete confirmation
+  const [reloadCount, setReloadCount] = useState(0);
+
+  const stationId = station.id;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadWorkOrders = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const data = await getWorkOrders({ stationId });
+        if (!cancelled) {
+          setWorkOrders(sortWorkOrders(data));
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load work orders');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadWorkOrders();
+    return () => {
+      cancelled = true;
+    };
+  }, [stationId, reloadCount]);
+
+  const handleSave = async (payload, options) => {
+    const saved = payload.id == null
+      ? await createWorkOrder(payload, options)
+      : await updateWorkOrder(payload.id, payload, options);
+    setEditing(null);
+    setReloadCount((count) => count + 1);
+    if (saved.stationStatus && saved.stationStatus !== station.status) {
+      onStationChange?.();
+    }
+  };
+
+  const handleDelete = async (workOrder) => {
+    try {
+      setError(null);
+      await deleteWorkOrder(workOrder.id);
+      setWorkOrders((prev) => prev.filter((w) => w.id !== workOrder.id));
+    } catch (err) {
+      setError(err.message || 'Failed to delete the work order');
+    } finally {
+      setDeleteConfirmId(null);
+    }
+  };
+
+  const openCount = workOrders.filter(isUnresolved).length;
+
+  return (
+    <div className="space-y-3">
+      {canEdit && !editing && (
+        <button
+          type="button"
+          onClick={() => setEditing(newWorkOrder(stationId))}
+          className="text-sm font-medium text-blue-600 hover:text-blue-700"
+        >
+          + Open a work order
+        </button>
+      )}
+
+      {editing && editing.id == null && (
+        <WorkOrderForm
+          workOrder={editing}
+          stationStatus={station.status}
+          onSave={handleSave}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {loading && workOrders.length === 0 ? (
+        <Loader size="sm" text="Loading work orders..." />
+      ) : workOrders.length === 0 ? (
+        <p className="text-sm text-gray-500">No work orders for this station.</p>
+      ) : (
+        <>
+          <p className="text-xs text-gray-500">
+            {openCount === 0 ? 'No open work orders' : `${openCount} open work order${openCount === 1 ? '' : 's'}`}
+          </p>
+          {workOrders.map((workOrder) =>
+            editing?.id === workOrder.id ? (
+              <WorkOrderForm
+                key={workOrder.id}
+                workOrder={workOrder}
+                stationStatus={station.status}
+                canReturnToOperational={station.status === 'Maintenance' && isLastUnresolved(workOrder, workOrders)}
+                onSave={handleSave}
+                onCancel={() => setEditing(null)}
+              />
+            ) : (
+              <WorkOrderCard key={workOrder.id} workOrder={workOrder}>
+                {deleteConfirmId === workOrder.id ? (
+                  <>
+                    <span className="text-xs text-red-700">Delete work order?</span>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(workOrder)}
+                      className="text-xs font-medium text-red-600 hover:text-red-700"
+                    >
+                      Delete
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setDeleteConfirmId(null)}
+                      className="text-xs font-medium text-gray-600 hover:text-gray-700"
+                    >
+                      Cancel
+                    </button>
+                  </>
+                ) : (canEdit || canDelete) ? (
+                  <>
+                    {canEdit && !editing && (
+                      <button
+                        type="button"
+                        onClick={() => setEditing(workOrder)}
+                        className="text-xs font-medium text-blue-600 hover:text-blue-700"
+                      >
+                        Edit
+                      </button>
+                    )}
+                    {canDelete && (
+                      <button
+                        type="button"
+                        onClick={() => setDeleteConfirmId(workOrder.id)}
+                        className="text-xs font-medium text-red-600 hover:text-red-700"
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </>
+                ) : null}
+              </WorkOrderCard>
+            )
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default WorkOrders;
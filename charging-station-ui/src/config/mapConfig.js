@@ -0,0 +1,16 @@
+/**
+ * Map Configuration
+ *
+ * Shared settings for every Leaflet map in the app.
+ * Tiles are pluggable - set REACT_APP_MAP_TILE_URL to point at an offline/local tile server.
+ */
+export const MAP_TILE_URL =
+  process.env.REACT_APP_MAP_TILE_URL || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+
+export const MAP_TILE_ATTRIBUTION =
+  process.env.REACT_APP_MAP_TILE_ATTRIBUTION ||
+  '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+// Initial view when there is nothing to focus on (centered on India)
+export const DEFAULT_MAP_CENTER = [20.5937, 78.9629];
+export const DEFAULT_MAP_ZOOM = 5;
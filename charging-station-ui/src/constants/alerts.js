@@ -0,0 +1,52 @@
+/**
+ * Alert Rule Constants
+ *
+ * Conditions alert rules can watch and their limits, and the shape of a new
+ * rule. Keep in sync with AlertRule.cs.
+ */
+
+export const ALERT_RULE_TYPES = [
+  {
+    value: 'StatusEntered',
+    label: 'Station enters a status',
+    usesStatuses: true,
+  },
+  {
+    value: 'DownTooLong',
+    label: 'Station stays in a status too long',
+    usesStatuses: true,
+  },
+  {
+    value: 'AvailabilityBelow',
+    label: 'Available share of stations drops',
+    usesStatuses: false,
+  },
+];
+
+export const MAX_RULE_NAME_LENGTH = 100;
+export const MAX_PIN_CODE_PREFIX_LENGTH = 20;
+export const MAX_EMAIL_RECIPIENTS = 20;
+export const MAX_THRESHOLD_HOURS = 24 * 30;
+
+/**
+ * Look up a rule type definition
+ * @param {string} type - Rule type value
+ * @returns {Object} Type definition (StatusEntered when unrecognised)
+ */
+export const getAlertRuleType = (type) => ALERT_RULE_TYPES.find((t) => t.value === type) || ALERT_RULE_TYPES[0];
+
+/**
+ * New rule for the alert rule form: alert in the app when a station goes down
+ * @returns {Object} Rule with form-friendly empty values
+ */
+export const createAlertRule = () => ({
+  name: '',
+  type: 'StatusEntered',
+  statuses: ['Maintenance', 'Offline'],
+  thresholdHours: '4',
+  thresholdPercent: '80',
+  pinCodePrefix: '',
+  emailRecipients: '',
+  notifyInApp: true,
+  enabled: true,
+});
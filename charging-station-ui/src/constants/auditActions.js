@@ -0,0 +1,45 @@
+/**
+ * Audit Log Constants
+ *
+ * Audit actions and labels for the station fields the API audits.
+ * Keep in sync with AuditActions and StationAudit.Snapshot in the API.
+ */
+
+export const AUDIT_ACTIONS = [
+  { value: 'Created', badgeClass: 'bg-green-100 text-green-800' },
+  { value: 'Updated', badgeClass: 'bg-blue-100 text-blue-800' },
+  { value: 'Deleted', badgeClass: 'bg-orange-100 text-orange-800' },
+  { value: 'Restored', badgeClass: 'bg-teal-100 text-teal-800' },
+  { value: 'Purged', badgeClass: 'bg-red-100 text-red-800' },
+];
+
+export const AUDIT_FIELD_LABELS = {
+  StationName: 'Name',
+  LocationAddress: 'Address',
+  PinCode: 'Pin code',
+  Status: 'Status',
+  ConnectorType: 'Primary connector',
+  Connectors: 'Connectors',
+  Latitude: 'Latitude',
+  Longitude: 'Longitude',
+  LocationLink: 'Location link',
+  ImageUrl: 'Cover image',
+  Photos: 'Photos',
+  ChargePointId: 'Charge point ID',
+  TariffId: 'Tariff ID',
+};
+
+/**
+ * Look up an audit action definition, with a neutral badge for unknown actions
+ * @param {string} value - Action name (e.g. Updated)
+ * @returns {Object} Action definition
+ */
+export const getAuditAction = (value) =>
+  AUDIT_ACTIONS.find((action) => action.value === value) || { value, badgeClass: 'bg-gray-100 text-gray-700' };
+
+/**
+ * Display label for an audited field, falling back to the raw field name
+ * @param {string} field - API field name (e.g. LocationAddress)
+ * @returns {string} Human readable label
+ */
+export const getAuditFieldLabel = (field) => AUDIT_FIELD_LABELS[field] || field;
@@ -0,0 +1,71 @@
+/**
+ * Connector Constants
+ *
+ * Connector types, power types and per-connector statuses shared by the
+ * station form, filters, cards and charts. Keep in sync with ConnectorTypes.cs.
+ */
+
+export const CONNECTOR_TYPES = [
+  { value: 'TYPE_2_AC', label: 'Type 2 (AC)', powerType: 'AC', defaultKw: 22, color: '#3b82f6' },
+  { value: 'CCS2_DC', label: 'CCS2 (DC Fast)', powerType: 'DC', defaultKw: 60, color: '#8b5cf6' },
+  { value: 'BHARAT_AC_001', label: 'Bharat AC-001', powerType: 'AC', defaultKw: 3.3, color: '#f59e0b' },
+  { value: 'BHARAT_DC_001', label: 'Bharat DC-001', powerType: 'DC', defaultKw: 15, color: '#ec4899' },
+];
+
+export const POWER_TYPES = ['AC', 'DC'];
+
+export const CONNECTOR_STATUSES = [
+  { value: 'Available', dotClass: 'bg-green-500' },
+  { value: 'Occupied', dotClass: 'bg-blue-500' },
+  { value: 'Unavailable', dotClass: 'bg-gray-400' },
+  { value: 'Faulted', dotClass: 'bg-red-500' },
+];
+
+/**
+ * Look up a connector type definition
+ * @param {string} value - Connector type value (e.g. CCS2_DC)
+ * @returns {Object|undefined} Connector type definition
+ */
+export const getConnectorType = (value) => CONNECTOR_TYPES.find((type) => type.value === value);
+
+/**
+ * Display label for a connector type, falling back to the raw value
+ * @param {string} value - Connector type value
+ * @returns {string} Human readable label
+ */
+export const getConnectorLabel = (value) => {
+  if (!value) return 'Unknown';
+  return getConnectorType(value)?.label || value.replace(/_/g, ' ');
+};
+
+/**
+ * New connector group with defaults for the given type
+ * @param {string} connectorType - Connector type value
+ * @returns {Object} Connector object ready for the station form
+ */
+export const createConnector = (connectorType = '') => {
+  const type = getConnectorType(connectorType);
+  return {
+    connectorType,
+    powerType: type?.powerType || 'AC',
+    maxPowerKw: type?.defaultKw || '',
+    count: 1,
+    status: 'Available',
+  };
+};
+
+/**
+ * Connectors of a station
+ * Older stations only have the single connectorType field; they count as one connector.
+ * @param {Object} station - Station object from the API
+ * @returns {Array} Connector groups
+ */
+export const getStationConnectors = (station) => {
+  if (Array.isArray(station?.connectors) && station.connectors.length > 0) {
+    return station.connectors;
+  }
+  if (station?.connectorType) {
+    return [{ ...createConnector(station.connectorType), maxPowerKw: null }];
+  }
+  return [];
+};
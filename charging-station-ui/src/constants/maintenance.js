@@ -0,0 +1,40 @@
+/**
+ * Maintenance Window Constants
+ *
+ * Recurrences and limits of scheduled maintenance windows, and the shape of
+ * a new window. Keep in sync with MaintenanceWindow.cs.
+ */
+
+export const MAINTENANCE_RECURRENCES = [
+  { value: 'None', label: 'Does not repeat', periodDays: null },
+  { value: 'Daily', label: 'Daily', periodDays: 1 },
+  { value: 'Weekly', label: 'Weekly', periodDays: 7 },
+  // Same day each month; the API counts a month as 28 days when checking the length
+  { value: 'Monthly', label: 'Monthly', periodDays: 28 },
+];
+
+export const MAX_REASON_LENGTH = 500;
+export const MAX_WINDOW_DAYS = 7;
+export const MAX_WINDOW_STATIONS = 500;
+
+/**
+ * Look up a recurrence definition
+ * @param {string} recurrence - Recurrence value
+ * @returns {Object} Recurrence definition ("Does not repeat" when unrecognised)
+ */
+export const getMaintenanceRecurrence = (recurrence) =>
+  MAINTENANCE_RECURRENCES.find((r) => r.value === recurrence) || MAINTENANCE_RECURRENCES[0];
+
+/**
+ * New one-off window for the maintenance form
+ * @param {Array<number>} [stationIds=[]] - Stations to preselect
+ * @returns {Object} Window with empty times
+ */
+export const createMaintenanceWindow = (stationIds = []) => ({
+  reason: '',
+  startsAt: '',
+  endsAt: '',
+  recurrence: 'None',
+  recurUntil: '',
+  stationIds,
+});
@@ -0,0 +1,31 @@
+/**
+ * OCPP Constants
+ *
+ * Connector statuses a charger reports over OCPP 1.6 StatusNotification,
+ * with the dot colours used for live connector state on cards and the
+ * detail page. Keep in sync with OcppConnectorStatuses in the API.
+ */
+
+export const OCPP_CONNECTOR_STATUSES = [
+  { value: 'Available', dotClass: 'bg-green-500' },
+  { value: 'Preparing', dotClass: 'bg-sky-400' },
+  { value: 'Charging', dotClass: 'bg-blue-600 animate-pulse' },
+  { value: 'SuspendedEVSE', label: 'Suspended (charger)', dotClass: 'bg-amber-500' },
+  { value: 'SuspendedEV', label: 'Suspended (vehicle)', dotClass: 'bg-amber-400' },
+  { value: 'Finishing', dotClass: 'bg-indigo-400' },
+  { value: 'Reserved', dotClass: 'bg-purple-500' },
+  { value: 'Unavailable', dotClass: 'bg-gray-400' },
+  { value: 'Faulted', dotClass: 'bg-red-500' },
+];
+
+/**
+ * Look up an OCPP connector status, with a neutral dot for unknown values
+ * @param {string} value - Status reported by the charger (e.g. Charging)
+ * @returns {{value: string, label: string, dotClass: string}} Status definition
+ */
+export const getOcppConnectorStatus = (value) => {
+  const status = OCPP_CONNECTOR_STATUSES.find((s) => s.value === value);
+  return status
+    ? { ...status, label: status.label || status.value }
+    : { value, label: value || 'Unknown', dotClass: 'bg-gray-300' };
+};
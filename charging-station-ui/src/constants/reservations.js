@@ -0,0 +1,55 @@
+/**
+ * Reservation Constants
+ *
+ * Limits of connector reservations, the ranges of the availability
+ * timeline, and the shape of a new booking. Keep in sync with Reservation.cs.
+ */
+
+export const MAX_DRIVER_NAME_LENGTH = 100;
+export const MAX_DRIVER_PHONE_LENGTH = 30;
+export const MAX_DRIVER_EMAIL_LENGTH = 254;
+export const MAX_RESERVATION_NOTE_LENGTH = 500;
+export const MIN_RESERVATION_MINUTES = 15;
+export const MAX_RESERVATION_HOURS = 12;
+export const MAX_RESERVATION_LEAD_DAYS = 90; // How far ahead a booking may start
+
+export const DEFAULT_RESERVATION_MINUTES = 60;
+
+// Stations not in service cannot be booked
+export const UNBOOKABLE_STATUSES = ['Planned', 'Decommissioned'];
+
+// Ranges of the availability timeline; hourTicks is the spacing of the labelled grid lines
+export const TIMELINE_RANGES = [
+  { value: 'day', label: 'Day', days: 1, hourTicks: 3 },
+  { value: 'week', label: 'Week', days: 7, hourTicks: 24 },
+];
+
+/**
+ * Look up a timeline range
+ * @param {string} range - Range value
+ * @returns {Object} Range definition (Day when unrecognised)
+ */
+export const getTimelineRange = (range) => TIMELINE_RANGES.find((r) => r.value === range) || TIMELINE_RANGES[0];
+
+/**
+ * New booking for the reservation form
+ * @param {number} stationId - Station to book
+ * @param {Object} [slot] - { connectorId, startsAt } to preselect (startsAt as a Date)
+ * @returns {Object} Reservation starting at the given time, or the next quarter hour
+ */
+export const createReservation = (stationId, { connectorId = 1, startsAt } = {}) => {
+  const start = startsAt ? new Date(startsAt) : new Date();
+  if (!startsAt) {
+    start.setMinutes(Math.ceil(start.getMinutes() / 15) * 15, 0, 0);
+  }
+  return {
+    chargingStationId: stationId,
+    connectorId,
+    startsAt: start,
+    endsAt: new Date(start.getTime() + DEFAULT_RESERVATION_MINUTES * 60 * 1000),
+    driverName: '',
+    driverPhone: '',
+    driverEmail: '',
+    note: '',
+  };
+};
@@ -0,0 +1,17 @@
+/**
+ * User Roles
+ *
+ * Roles issued by the API, from least to most privileged.
+ * Keep in sync with UserRoles.cs.
+ */
+
+export const ROLES = {
+  VIEWER: 'Viewer', // Read-only access
+  OPERATOR: 'Operator', // Can create and update stations
+  ADMIN: 'Admin', // Full access, including deletes and user management
+};
+
+export const ROLE_OPTIONS = [ROLES.VIEWER, ROLES.OPERATOR, ROLES.ADMIN];
+
+// Roles allowed to create and update stations
+export const EDITOR_ROLES = [ROLES.OPERATOR, ROLES.ADMIN];
@@ -0,0 +1,86 @@
+/**
+ * Station Status Constants
+ *
+ * Lifecycle statuses shared by the badge, form, filters, map and charts.
+ * Keep in sync with StationStatuses.cs.
+ * "available" statuses count as active stations in the Dashboard stats.
+ */
+
+export const STATION_STATUSES = [
+  {
+    value: 'Operational',
+    color: '#10b981',
+    badgeClass: 'bg-green-100 text-green-800',
+    dotClass: 'bg-green-500',
+    available: true,
+  },
+  {
+    value: 'Partially Available',
+    color: '#84cc16',
+    badgeClass: 'bg-lime-100 text-lime-800',
+    dotClass: 'bg-lime-500',
+    available: true,
+  },
+  {
+    value: 'Maintenance',
+    color: '#f59e0b',
+    badgeClass: 'bg-amber-100 text-amber-800',
+    dotClass: 'bg-amber-500',
+    available: false,
+  },
+  {
+    value: 'Offline',
+    color: '#ef4444',
+    badgeClass: 'bg-red-100 text-red-800',
+    dotClass: 'bg-red-500',
+    available: false,
+  },
+  {
+    value: 'Planned',
+    color: '#3b82f6',
+    badgeClass: 'bg-blue-100 text-blue-800',
+    dotClass: 'bg-blue-500',
+    available: false,
+  },
+  {
+    value: 'Decommissioned',
+    color: '#6b7280',
+    badgeClass: 'bg-gray-200 text-gray-700',
+    dotClass: 'bg-gray-500',
+    available: false,
+  },
+];
+
+// Styling for missing or unrecognised statuses
+export const UNKNOWN_STATUS = {
+  value: 'Unknown',
+  color: '#9ca3af',
+  badgeClass: 'bg-gray-100 text-gray-600',
+  dotClass: 'bg-gray-400',
+  available: false,
+};
+
+/**
+ * Look up a status definition (case-insensitive)
+ * @param {string} status - Station status
+ * @returns {Object} Status definition, or UNKNOWN_STATUS
+ */
+export const getStationStatus = (status) => {
+  const normalized = status?.toLowerCase();
+  return STATION_STATUSES.find((s) => s.value.toLowerCase() === normalized) || UNKNOWN_STATUS;
+};
+
+/**
+ * Count stations per status from the API's statusCounts map
+ * Keys are matched case-insensitively; unrecognised keys are grouped under Unknown.
+ * @param {Object<string, number>} statusCounts - Counts keyed by status
+ * @returns {Object<string, number>} Counts keyed by canonical status value
+ */
+export const groupStatusCounts = (statusCounts = {}) => {
+  const counts = {};
+  Object.entries(statusCounts).forEach(([status, count]) => {
+    const key = getStationStatus(status).value;
+    counts[key] = (counts[key] || 0) + count;
+  });
+  return counts;
+};
@@ -0,0 +1,42 @@
+/**
+ * Tariff Constants
+ *
+ * Currencies offered by the tariff editor and the shape of a new tariff.
+ * The API accepts any ISO 4217 code; keep limits in sync with Tariff.cs.
+ */
+
+export const DEFAULT_CURRENCY = 'INR';
+
+export const CURRENCIES = ['INR', 'USD', 'EUR', 'GBP', 'AED', 'SGD'];
+
+export const MAX_TARIFF_BANDS = 24;
+
+export const MAX_IDLE_GRACE_MINUTES = 1440;
+
+/**
+ * New tariff with no prices
+ * @returns {Object} Tariff ready for the tariff editor
+ */
+export const createTariff = () => ({
+  name: '',
+  currency: DEFAULT_CURRENCY,
+  pricePerKwh: 0,
+  pricePerMinute: 0,
+  sessionFee: 0,
+  idleFeePerMinute: 0,
+  idleGraceMinutes: 0,
+  connectorTypes: [],
+  bands: [],
+});
+
+/**
+ * New time-of-day band, starting with the tariff's own prices
+ * @param {Object} tariff - Tariff the band is added to
+ * @returns {Object} Band ready for the tariff editor
+ */
+export const createTariffBand = (tariff) => ({
+  startTime: '18:00',
+  endTime: '22:00',
+  pricePerKwh: tariff?.pricePerKwh ?? 0,
+  pricePerMinute: tariff?.pricePerMinute ?? 0,
+});
@@ -0,0 +1,42 @@
+/**
+ * Webhook Constants
+ *
+ * Station events webhooks can subscribe to, delivery states and limits, and
+ * the shape of a new webhook. Keep in sync with Webhook.cs.
+ */
+
+export const WEBHOOK_EVENT_TYPES = [
+  { value: 'station.created', label: 'Station created', description: 'Also sent when a station is restored' },
+  { value: 'station.updated', label: 'Station updated', description: 'Any change except the status' },
+  { value: 'station.status_changed', label: 'Status changed', description: 'Includes the previous status' },
+  { value: 'station.deleted', label: 'Station deleted', description: 'Moved to the recycle bin' },
+];
+
+export const WEBHOOK_DELIVERY_STATUSES = [
+  { value: 'Pending', badgeClass: 'bg-amber-100 text-amber-800' },
+  { value: 'Succeeded', badgeClass: 'bg-green-100 text-green-800' },
+  { value: 'Failed', badgeClass: 'bg-red-100 text-red-800' },
+];
+
+export const MAX_WEBHOOK_NAME_LENGTH = 100;
+export const MAX_WEBHOOK_URL_LENGTH = 2000;
+export const MAX_DELIVERY_ATTEMPTS = 8;
+
+/**
+ * Look up a delivery status definition
+ * @param {string} status - Delivery status value
+ * @returns {Object} Status definition (Pending when unrecognised)
+ */
+export const getDeliveryStatus = (status) =>
+  WEBHOOK_DELIVERY_STATUSES.find((s) => s.value === status) || WEBHOOK_DELIVERY_STATUSES[0];
+
+/**
+ * New webhook for the webhook form, subscribed to every event
+ * @returns {Object} Webhook with empty name and URL
+ */
+export const createWebhook = () => ({
+  name: '',
+  url: '',
+  eventTypes: WEBHOOK_EVENT_TYPES.map((t) => t.value),
+  enabled: true,
+});
@@ -0,0 +1,71 @@
+/**
+ * Work Order Constants
+ *
+ * Fault categories, priorities and states of station work orders, and the
+ * shape of a new order. Keep in sync with WorkOrder.cs.
+ */
+
+export const WORK_ORDER_CATEGORIES = [
+  'Electrical',
+  'Connector',
+  'Network',
+  'Payment',
+  'Physical damage',
+  'Software',
+  'Other',
+];
+
+// From least to most urgent
+export const WORK_ORDER_PRIORITIES = [
+  { value: 'Low', badgeClass: 'bg-gray-100 text-gray-700' },
+  { value: 'Medium', badgeClass: 'bg-blue-100 text-blue-800' },
+  { value: 'High', badgeClass: 'bg-amber-100 text-amber-800' },
+  { value: 'Critical', badgeClass: 'bg-red-100 text-red-800' },
+];
+
+// In the order work moves through them (also the board's columns)
+export const WORK_ORDER_STATES = [
+  { value: 'Open', label: 'Open' },
+  { value: 'InProgress', label: 'In Progress' },
+  { value: 'Resolved', label: 'Resolved' },
+];
+
+export const RESOLVED_STATE = 'Resolved';
+
+export const MAX_TITLE_LENGTH = 200;
+export const MAX_DESCRIPTION_LENGTH = 2000;
+export const MAX_ASSIGNEE_LENGTH = 100;
+export const MAX_RESOLUTION_NOTE_LENGTH = 1000;
+
+/**
+ * Look up a priority definition
+ * @param {string} priority - Priority value
+ * @returns {Object} Priority definition (Medium when unrecognised)
+ */
+export const getWorkOrderPriority = (priority) =>
+  WORK_ORDER_PRIORITIES.find((p) => p.value === priority) || WORK_ORDER_PRIORITIES[1];
+
+/**
+ * Display label of a state
+ * @param {string} state - State value
+ * @returns {string} Label, e.g. "In Progress"
+ */
+export const getWorkOrderStateLabel = (state) =>
+  WORK_ORDER_STATES.find((s) => s.value === state)?.label || state;
+
+/**
+ * New open work order for a station
+ * @param {number} stationId - Station ID
+ * @returns {Object} Work order ready for the work order form
+ */
+export const createWorkOrder = (stationId) => ({
+  chargingStationId: stationId,
+  title: '',
+  description: '',
+  category: 'Other',
+  priority: 'Medium',
+  assignee: '',
+  dueDate: '',
+  state: 'Open',
+  resolutionNote: '',
+});
@@ -0,0 +1,80 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import * as authApi from '../services/authApi';
+import { getSession, saveSession, saveSessionUser, clearSession } from '../services/authStorage';
+import { setSessionExpiredHandler } from '../services/stationApi';
+
+const AuthContext = createContext(null);
+
+/**
+ * AuthProvider Component
+ *
+ * Holds the signed-in user for the whole app.
+ * Restores the saved session on load, and signs out when the API
+ * reports that the session can no longer be refreshed.
+ */
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(() => getSession()?.user || null);
+  const [sessionMessage, setSessionMessage] = useState(null); // Shown on the login page
+
+  // Sign out locally when a refresh fails
+  useEffect(() => {
+    setSessionExpiredHandler(() => {
+      setUser(null);
+      setSessionMessage('Your session has expired. Please sign in again.');
+    });
+    return () => setSessionExpiredHandler(null);
+  }, []);
+
+  // Pick up role or name changes for a restored session
+  useEffect(() => {
+    if (!getSession()) return;
+    authApi
+      .getCurrentUser()
+      .then((currentUser) => {
+        saveSessionUser(currentUser);
+        setUser(currentUser);
+      })
+      .catch(() => {
+        // An expired session is handled by the interceptor; keep the saved user otherwise
+      });
+  }, []);
+
+  const login = useCallback(async (username, password) => {
+    const session = await authApi.login(username, password);
+    saveSession(session);
+    setSessionMessage(null);
+    setUser(session.user);
+  }, []);
+
+  const logout = useCallback(async () => {
+    try {
+      await authApi.logout();
+    } catch (err) {
+      // Sign out locally even if the server could not be reached
+    }
+    clearSession();
+    setUser(null);
+  }, []);
+
+  // True when the signed-in user has any of the given roles
+  const hasRole = useCallback((...roles) => !!user && roles.includes(user.role), [user]);
+
+  const value = useMemo(
+    () => ({ user, sessionMessage, login, logout, hasRole }),
+    [user, sessionMessage, login, logout, hasRole]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+/**
+ * Access the signed-in user and auth actions
+ * @returns {{user: Object|null, sessionMessage: string|null, login: Function, logout: Function, hasRole: Function}}
+ */
+export const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used inside AuthProvider');
+  }
+  return context;
+};
@@ -0,0 +1,68 @@
+import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { connectStationEvents, CONNECTION_STATUS } from '../services/stationEvents';
+import { useAuth } from './AuthContext';
+
+const StationEventsContext = createContext(null);
+
+/**
+ * StationEventsProvider Component
+ *
+ * Keeps one live connection to the API's station event stream while a
+ * user is signed in, and passes each event to the subscribed pages.
+ * Must be rendered inside AuthProvider.
+ */
+export const StationEventsProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [status, setStatus] = useState(CONNECTION_STATUS.CLOSED);
+  const listenersRef = useRef(new Set());
+  const signedIn = !!user;
+
+  useEffect(() => {
+    if (!signedIn) {
+      setStatus(CONNECTION_STATUS.CLOSED);
+      return undefined;
+    }
+
+    const close = connectStationEvents({
+      onEvent: (event) => listenersRef.current.forEach((listener) => listener(event)),
+      onStatusChange: setStatus,
+    });
+    return close;
+  }, [signedIn]);
+
+  const subscribe = useCallback((listener) => {
+    listenersRef.current.add(listener);
+    return () => listenersRef.current.delete(listener);
+  }, []);
+
+  const value = useMemo(() => ({ status, subscribe }), [status, subscribe]);
+
+  return <StationEventsContext.Provider value={value}>{children}</StationEventsContext.Provider>;
+};
+
+/**
+ * Access the live connection status and subscribe to station events
+ * @returns {{status: string, subscribe: Function}}
+ */
+export const useStationEvents = () => {
+  const context = useContext(StationEventsContext);
+  if (!context) {
+    throw new Error('useStationEvents must be used inside StationEventsProvider');
+  }
+  return context;
+};
+
+/**
+ * Call listener with every live station event while the component is mounted
+ * @param {Function} listener - Receives each StationEvent; may change between renders
+ */
+export const useStationEventListener = (listener) => {
+  const { subscribe } = useStationEvents();
+  const listenerRef = useRef(listener);
+
+  useEffect(() => {
+    listenerRef.current = listener;
+  }, [listener]);
+
+  useEffect(() => subscribe((event) => listenerRef.current(event)), [subscribe]);
+};
@@ -0,0 +1,23 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * useDebouncedValue Hook
+ *
+ * Returns the value once it has stopped changing for the given delay.
+ * Used to avoid sending a server query on every keystroke.
+ * @param {*} value - Value to debounce
+ * @param {number} delay - Delay in milliseconds
+ * @returns {*} Debounced value
+ */
+const useDebouncedValue = (value, delay = 300) => {
+  const [debouncedValue, setDebouncedValue] = useState(value);
+
+  useEffect(() => {
+    const timeoutId = setTimeout(() => setDebouncedValue(value), delay);
+    return () => clearTimeout(timeoutId);
+  }, [value, delay]);
+
+  return debouncedValue;
+};
+
+export default useDebouncedValue;
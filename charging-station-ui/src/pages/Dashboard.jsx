@@ -1,12 +1,55 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
 import StationCard from '../components/StationCard';
 import StationForm from '../components/StationForm';
+import StationConflictDialog from '../components/StationConflictDialog';
 import Header from '../components/Header';
 import Pagination from '../components/Pagination';
 import Modal from '../components/Modal';
+import StatusHistory from '../components/StatusHistory';
+import ActivityLog from '../components/ActivityLog';
+import RecycleBin from '../components/RecycleBin';
+import ImportWizard from '../components/ImportWizard';
+import ExportMenu from '../components/ExportMenu';
+import Toast from '../components/Toast';
+import PhotoLightbox from '../components/PhotoLightbox';
 import Loader from '../components/Loader';
 import StationCharts from '../components/StationCharts';
-import { getAllStations, createStation, updateStation, deleteStation } from '../services/stationApi';
+import StationMap from '../components/StationMap';
+import ProximityFilter from '../components/ProximityFilter';
+import TariffEditor from '../components/TariffEditor';
+import WorkOrderBoard from '../components/WorkOrderBoard';
+import MaintenanceCalendar from '../components/MaintenanceCalendar';
+import {
+  queryStations,
+  createStation,
+  updateStation,
+  deleteStation,
+  restoreStation,
+  getTariffs,
+  getOpenWorkOrderCounts,
+  getMaintenanceOccurrences,
+  getReservationSlots,
+  MAX_PAGE_SIZE,
+} from '../services/stationApi';
+import { getStationCoordinates, haversineDistanceKm, resolvePinCodeCoordinates } from '../utils/geo';
+import { getStationPhotos } from '../utils/stationPhotos';
+import {
+  parseDashboardState,
+  buildDashboardSearch,
+  createEmptyFilters,
+  DEFAULT_SORT,
+} from '../utils/dashboardUrlState';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import { CONNECTOR_TYPES } from '../constants/connectors';
+import { STATION_STATUSES, UNKNOWN_STATUS, groupStatusCounts } from '../constants/stationStatuses';
+import { ROLES, EDITOR_ROLES } from '../constants/roles';
+import { useAuth } from '../context/AuthContext';
+import { useStationEvents, useStationEventListener } from '../context/StationEventsContext';
+import { CONNECTION_STATUS } from '../services/stationEvents';
+import { applyStationEvent } from '../utils/liveUpdates';
+import { getNextMaintenanceByStation } from '../utils/maintenance';
+import { getReservationsByStation } from '../utils/reservations';
 
 /**
  * Dashboard Component
@@ -14,171 +57,341 @@ import { getAllStations, createStation, updateStation, deleteStation } from '../
  * Main dashboard page that displays all charging stations.
  * Features:
  * - Fetches and displays stations in card layout
- * - Live refresh of dashboard stats every 1 second
- * - Admin form for creating/updating stations
+ * - Server-side paging, filtering and sorting
+ * - Filters, page and view kept in the URL so a filtered page can be shared
+ * - Station form for Operators and Admins; deletes for Admins only
  * - Loading and error state handling
  * - Pagination for station list
- * - Compact filtering system
+ * - Map view with clustered station markers
+ * - Compact filtering system with "near me" distance search
+ * - Live updates when other users change stations
  */
 const Dashboard = () => {
-  // Admin mode state - can be toggled for demo purposes
-  const [isAdmin, setIsAdmin] = useState(() => {
-    // Check localStorage for saved admin state, default to true for demo
-    const saved = localStorage.getItem('adminMode');
-    return saved !== null ? saved === 'true' : true;
-  });
+  // What the signed-in user may do (the API enforces the same roles)
+  const { hasRole } = useAuth();
+  const canEdit = hasRole(...EDITOR_ROLES);
+  const canDelete = hasRole(ROLES.ADMIN);
 
   // Pagination settings - increased for better UX
   const ITEMS_PER_PAGE = 6;
 
+  // Wait this long after a live event before reloading the list
+  const LIVE_REFRESH_DELAY_MS = 750;
+
+  // Station cards flag maintenance this far ahead; reloaded this often so notices follow the clock
+  const MAINTENANCE_LOOKAHEAD_DAYS = 7;
+  const MAINTENANCE_REFRESH_MS = 300000; // 5 minutes
+
+  // Station cards show bookings running now and the next one this far ahead; reloaded often as bookings start and end
+  const RESERVATION_LOOKAHEAD_HOURS = 24;
+  const RESERVATION_REFRESH_MS = 60000; // 1 minute
+
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  // Initial view, page, filters and sort come from the URL
+  const [initialState] = useState(() => parseDashboardState(location.search));
+
   // State management
-  const [stations, setStations] = useState([]);
+  const [stations, setStations] = useState([]); // Current page (list) or filtered set (graph/map)
+  const [pageInfo, setPageInfo] = useState({
+    totalCount: 0,
+    totalPages: 0,
+    totalStations: 0,
+    statusCounts: {},
+  });
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
   const [error, setError] = useState(null);
   const [showForm, setShowForm] = useState(false);
   const [editingStation, setEditingStation] = useState(null);
-  const [currentPage, setCurrentPage] = useState(1);
+  const [editConflict, setEditConflict] = useState(null); // Rejected edit and the saved station, for the merge dialog
+  const [currentPage, setCurrentPage] = useState(initialState.page);
   const [showFilters, setShowFilters] = useState(false);
   const [deleteConfirm, setDeleteConfirm] = useState(null);
   const [deleting, setDeleting] = useState(false);
-  const [viewMode, setViewMode] = useState('graph'); // 'graph' or 'list'
-  const [stats, setStats] = useState({
-    total: 0,
-    operational: 0,
-    maintenance: 0,
-  });
+  const [viewMode, setViewMode] = useState(initialState.viewMode); // 'graph', 'list', 'map' or 'board'
+  const [selectedStation, setSelectedStation] = useState(null); // Station opened from the map
+  const [historyStation, setHistoryStation] = useState(null); // Station whose status history is open
+  const [activityStation, setActivityStation] = useState(null); // Station whose audit log is open
+  const [galleryStation, setGalleryStation] = useState(null); // Station whose photo gallery is open
+  const [showAllActivity, setShowAllActivity] = useState(false); // Audit log of all stations is open
+  const [showRecycleBin, setShowRecycleBin] = useState(false); // Admin recycle bin is open
+  const [showImport, setShowImport] = useState(false); // Spreadsheet import wizard is open
+  const [showTariffs, setShowTariffs] = useState(false); // Admin tariff editor is open
+  const [tariffs, setTariffs] = useState([]); // All tariffs, for price summaries and the station form
+  const [openWorkOrderCounts, setOpenWorkOrderCounts] = useState({}); // Unresolved work orders by station id
+  const [showMaintenance, setShowMaintenance] = useState(false); // Maintenance calendar is open
+  const [upcomingMaintenance, setUpcomingMaintenance] = useState({}); // Running or next maintenance by station id
+  const [stationReservations, setStationReservations] = useState({}); // Connectors booked now and the next booking by station id
+  const [undoStation, setUndoStation] = useState(null); // Just-deleted station offered for undo
+  const [currentTime, setCurrentTime] = useState(new Date());
 
-  // Filter state
-  const [filters, setFilters] = useState({
-    search: '',
-    pinCode: '',
-    connectorType: '',
-    status: '',
-  });
+  // Filter state - near is the proximity origin ({ lat, lng, label }) or null
+  const [filters, setFilters] = useState(initialState.filters);
+  const [sortBy, setSortBy] = useState(initialState.sortBy); // See dashboardUrlState for options
+
+  // Debounce typed filters so each keystroke does not hit the server
+  const debouncedSearch = useDebouncedValue(filters.search);
+  const debouncedPinCode = useDebouncedValue(filters.pinCode);
+  const debouncedRadiusKm = useDebouncedValue(filters.radiusKm);
+
+  // Track the latest request so slow, stale responses are ignored
+  const latestRequestRef = useRef(0);
+
+  // List view loads one page; graph, map and board views need the whole filtered set
+  const isPagedView = viewMode === 'list';
+
+  /**
+   * Query parameters for the current view, filters, sort and page
+   */
+  const queryParams = useMemo(() => ({
+    page: isPagedView ? currentPage : 1,
+    pageSize: isPagedView ? ITEMS_PER_PAGE : MAX_PAGE_SIZE,
+    search: debouncedSearch.trim(),
+    pinCode: debouncedPinCode.trim(),
+    connectorType: filters.connectorType,
+    status: filters.status,
+    sort: sortBy,
+    lat: filters.near?.lat,
+    lng: filters.near?.lng,
+    radiusKm: filters.near ? debouncedRadiusKm : undefined,
+  }), [
+    isPagedView,
+    currentPage,
+    debouncedSearch,
+    debouncedPinCode,
+    debouncedRadiusKm,
+    filters.connectorType,
+    filters.status,
+    filters.near,
+    sortBy,
+  ]);
 
   /**
-   * Fetch stations from API
-   * Wrapped in useCallback to prevent unnecessary re-renders
+   * Current filters and sort without paging, for exports of the whole filtered set
+   * and the session charts
+   */
+  const exportFilterParams = useMemo(() => {
+    const { page, pageSize, ...params } = queryParams;
+    return params;
+  }, [queryParams]);
+
+  /**
+   * Fetch the current page of stations from API
+   * Wrapped in useCallback so it re-runs only when the query changes
    */
   const fetchStations = useCallback(async () => {
+    const requestId = ++latestRequestRef.current;
     try {
       setError(null);
-      const data = await getAllStations();
-      setStations(Array.isArray(data) ? data : []);
-      // Reset to first page if current page is out of bounds
-      setCurrentPage((prev) => {
-        const totalPages = Math.ceil((Array.isArray(data) ? data.length : 0) / ITEMS_PER_PAGE);
-        return prev > totalPages && totalPages > 0 ? 1 : prev;
+      const data = await queryStations(queryParams);
+      if (requestId !== latestRequestRef.current) return;
+
+      setStations(Array.isArray(data.items) ? data.items : []);
+      setPageInfo({
+        totalCount: data.totalCount || 0,
+        totalPages: data.totalPages || 0,
+        totalStations: data.totalStations || 0,
+        statusCounts: data.statusCounts || {},
       });
+      // Move back to the last page if current page is out of bounds (e.g. after a delete)
+      if (isPagedView && data.totalPages > 0 && queryParams.page > data.totalPages) {
+        setCurrentPage(data.totalPages);
+      }
     } catch (err) {
+      if (requestId !== latestRequestRef.current) return;
       console.error('Failed to fetch stations:', err);
       // Extract error message from the error object
       const errorMessage = err.message || 'Failed to load charging stations. Please try again later.';
       setError(errorMessage);
     } finally {
-      setLoading(false);
+      if (requestId === latestRequestRef.current) {
+        setLoading(false);
+      }
     }
-  }, []);
+  }, [queryParams, isPagedView]);
 
-  /**
-   * Filter stations based on current filter criteria including search
-   */
-  const getFilteredStations = useCallback(() => {
-    return stations.filter((station) => {
-      // Search filter - searches across multiple fields
-      if (filters.search) {
-        const searchTerm = filters.search.toLowerCase().trim();
-        const searchableFields = [
-          station.stationName || '',
-          station.locationAddress || '',
-          station.pinCode ? station.pinCode.toString() : '',
-          station.connectorType ? station.connectorType.replace(/_/g, ' ') : '',
-          station.status || '',
-        ].join(' ').toLowerCase();
-        
-        if (!searchableFields.includes(searchTerm)) {
-          return false;
-        }
-      }
-      
-      // Filter by pin code - partial match (contains)
-      if (filters.pinCode && station.pinCode) {
-        const stationPinCode = station.pinCode.toString().toLowerCase();
-        const filterPinCode = filters.pinCode.toLowerCase().trim();
-        if (!stationPinCode.includes(filterPinCode)) {
-          return false;
-        }
-      } else if (filters.pinCode && !station.pinCode) {
-        // If filter has value but station doesn't have pin code, exclude it
-        return false;
-      }
-      
-      // Filter by connector type - exact match
-      if (filters.connectorType && station.connectorType !== filters.connectorType) {
-        return false;
+  // Fetch whenever the query changes
+  useEffect(() => {
+    fetchStations();
+  }, [fetchStations]);
+
+  // Tariffs change rarely; load them once (the tariff editor keeps the list current)
+  useEffect(() => {
+    const loadTariffs = async () => {
+      try {
+        setTariffs(await getTariffs());
+      } catch (err) {
+        // Cards just show no prices
+        console.error('Error loading tariffs:', err);
       }
-      
-      // Filter by status - exact match (case-insensitive)
-      if (filters.status && station.status?.toLowerCase() !== filters.status.toLowerCase()) {
-        return false;
+    };
+    loadTariffs();
+  }, []);
+
+  // Open work order counts for the station cards; reloaded after the board saves a change
+  const loadWorkOrderCounts = useCallback(async () => {
+    try {
+      setOpenWorkOrderCounts(await getOpenWorkOrderCounts());
+    } catch (err) {
+      // Cards just show no work order flag
+      console.error('Error loading work order counts:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadWorkOrderCounts();
+  }, [loadWorkOrderCounts]);
+
+  // Running and upcoming maintenance for the station cards; reloaded after the calendar saves a change
+  const loadUpcomingMaintenance = useCallback(async () => {
+    const now = new Date();
+    const to = new Date(now.getTime() + MAINTENANCE_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000);
+    try {
+      const occurrences = await getMaintenanceOccurrences({ from: now.toISOString(), to: to.toISOString() });
+      setUpcomingMaintenance(getNextMaintenanceByStation(occurrences, now));
+    } catch (err) {
+      // Cards just show no maintenance notice
+      console.error('Error loading upcoming maintenance:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUpcomingMaintenance();
+    const intervalId = setInterval(loadUpcomingMaintenance, MAINTENANCE_REFRESH_MS);
+    return () => clearInterval(intervalId);
+  }, [loadUpcomingMaintenance]);
+
+  // Bookings for the station cards
+  const loadStationReservations = useCallback(async () => {
+    const now = new Date();
+    const to = new Date(now.getTime() + RESERVATION_LOOKAHEAD_HOURS * 60 * 60 * 1000);
+    try {
+      const slots = await getReservationSlots({ from: now.toISOString(), to: to.toISOString() });
+      setStationReservations(getReservationsByStation(slots, now));
+    } catch (err) {
+      // Cards just show no bookings
+      console.error('Error loading reservations:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStationReservations();
+    const intervalId = setInterval(loadStationReservations, RESERVATION_REFRESH_MS);
+    return () => clearInterval(intervalId);
+  }, [loadStationReservations]);
+
+  // Reload at most once per burst of live events (e.g. a bulk import)
+  const liveRefreshTimerRef = useRef(null);
+  const scheduleLiveRefresh = useCallback(() => {
+    clearTimeout(liveRefreshTimerRef.current);
+    liveRefreshTimerRef.current = setTimeout(fetchStations, LIVE_REFRESH_DELAY_MS);
+  }, [fetchStations]);
+
+  useEffect(() => () => clearTimeout(liveRefreshTimerRef.current), []);
+
+  // Patch stations changed elsewhere as their events arrive
+  useStationEventListener((event) => {
+    setStations((prev) => {
+      const result = applyStationEvent(prev, event, queryParams);
+      // Scheduling only restarts the timer, so a repeated updater call is harmless
+      if (result.needsRefresh) {
+        scheduleLiveRefresh();
       }
-      
-      return true;
+      return result.stations;
     });
-  }, [stations, filters]);
+  });
 
-  /**
-   * Calculate dashboard statistics based on filtered stations
-   * Updates total, operational, and maintenance station counts
-   */
-  const calculateStats = useCallback(() => {
-    const filteredStations = getFilteredStations();
-    const total = filteredStations.length;
-    const operational = filteredStations.filter(
-      (station) => station.status?.toLowerCase() === 'operational'
-    ).length;
-    const maintenance = filteredStations.filter(
-      (station) => station.status?.toLowerCase() === 'maintenance'
-    ).length;
-    setStats({ total, operational, maintenance });
-  }, [getFilteredStations]);
-
-  // Initial fetch on component mount
+  // Events may have been missed while the connection was down
+  const { status: liveStatus } = useStationEvents();
+  const previousLiveStatusRef = useRef(liveStatus);
   useEffect(() => {
-    fetchStations();
-  }, [fetchStations]);
+    if (liveStatus === CONNECTION_STATUS.CONNECTED && previousLiveStatusRef.current === CONNECTION_STATUS.RECONNECTING) {
+      scheduleLiveRefresh();
+    }
+    previousLiveStatusRef.current = liveStatus;
+  }, [liveStatus, scheduleLiveRefresh]);
 
-  // Calculate stats whenever stations change
+  // Keep the URL in sync so the current view can be shared
+  const dashboardSearch = buildDashboardSearch({ viewMode, page: currentPage, filters, sortBy });
   useEffect(() => {
-    calculateStats();
-  }, [calculateStats]);
+    if (dashboardSearch !== location.search) {
+      navigate({ search: dashboardSearch }, { replace: true });
+    }
+  }, [dashboardSearch, location.search, navigate]);
+
+  // The detail page's Edit button comes back here with the station to edit
+  useEffect(() => {
+    const stationToEdit = location.state?.editStation;
+    if (stationToEdit) {
+      if (canEdit) {
+        setEditingStation(stationToEdit);
+        setShowForm(true);
+      }
+      navigate({ search: location.search }, { replace: true, state: null });
+    }
+  }, [location.state, location.search, canEdit, navigate]);
 
   /**
-   * Live refresh interval for dashboard stats
-   * Refreshes every 1 second and properly cleans up on unmount
+   * Live clock for the header
+   * Ticks every 1 second and properly cleans up on unmount
    */
   useEffect(() => {
-    const intervalId = setInterval(() => {
-      // Recalculate stats from current stations state
-      calculateStats();
-    }, 1000);
+    const intervalId = setInterval(() => setCurrentTime(new Date()), 1000);
 
     // Cleanup interval on component unmount to prevent memory leaks
     return () => clearInterval(intervalId);
-  }, [calculateStats]);
+  }, []);
+
+  /**
+   * Stations with distance from the proximity origin attached for display
+   */
+  const filteredStations = useMemo(() => {
+    if (!filters.near) return stations;
+    return stations.map((station) => {
+      const coords = getStationCoordinates(station);
+      return { ...station, distanceKm: coords ? haversineDistanceKm(filters.near, coords) : null };
+    });
+  }, [stations, filters.near]);
+
+  /**
+   * Dashboard statistics for the whole filtered set (from the server counts)
+   */
+  const stats = useMemo(() => {
+    const byStatus = groupStatusCounts(pageInfo.statusCounts);
+    return {
+      total: pageInfo.totalCount,
+      active: STATION_STATUSES
+        .filter((status) => status.available)
+        .reduce((sum, status) => sum + (byStatus[status.value] || 0), 0),
+      byStatus,
+    };
+  }, [pageInfo]);
+
+  /**
+   * Locate a PIN code for the proximity filter from the stations that share it
+   */
+  const resolvePinCode = useCallback(async (pinCode) => {
+    const data = await queryStations({ pinCode, pageSize: MAX_PAGE_SIZE });
+    return resolvePinCodeCoordinates(pinCode, data.items || []);
+  }, []);
 
   /**
    * Handle form submission for both create and update
+   * An update is saved against the version it was edited from; when someone
+   * else saved the station first, the merge dialog opens instead
+   * @param {Object} formData - Station data from the form or the merge dialog
+   * @param {Object} base - Station the edit started from
    */
-  const handleFormSubmit = async (formData) => {
+  const handleFormSubmit = async (formData, base = editingStation) => {
     try {
       setError(null);
       setSubmitting(true);
       if (editingStation) {
         // Update existing station
         const stationId = editingStation.id || editingStation._id;
-        await updateStation(stationId, formData);
+        await updateStation(stationId, { version: base.version, ...formData });
       } else {
         // Create new station
         await createStation(formData);
@@ -188,7 +401,12 @@ const Dashboard = () => {
       // Reset form state
       setShowForm(false);
       setEditingStation(null);
+      setEditConflict(null);
     } catch (err) {
+      if (err.conflict) {
+        setEditConflict({ base, mine: formData, ...err.conflict });
+        return;
+      }
       console.error('Failed to save station:', err);
       // Extract error message from the error object
       const errorMessage = err.message || (
@@ -211,6 +429,14 @@ const Dashboard = () => {
     setShowForm(true);
   };
 
+  /**
+   * Open a station's detail page
+   * Remembers the current view so its back link returns to the same filters and page
+   */
+  const handleOpenStation = (station) => {
+    navigate(`/stations/${station.id || station._id}`, { state: { fromSearch: dashboardSearch } });
+  };
+
   /**
    * Handle create new station
    * Opens modal with empty form
@@ -227,18 +453,68 @@ const Dashboard = () => {
   const handleCancelForm = () => {
     setShowForm(false);
     setEditingStation(null);
+    setEditConflict(null);
+  };
+
+  /**
+   * Drop the user's edit after a conflict and show the saved station
+   */
+  const handleDiscardConflict = () => {
+    handleCancelForm();
+    fetchStations();
+  };
+
+  /**
+   * Handle map marker click
+   * Opens the station details modal
+   */
+  const handleMapStationSelect = useCallback((station) => {
+    setSelectedStation(station);
+  }, []);
+
+  /**
+   * Handle edit from the map details modal
+   * Closes details and opens the edit form
+   */
+  const handleEditFromMap = (station) => {
+    setSelectedStation(null);
+    handleEdit(station);
+  };
+
+  /**
+   * Handle delete from the map details modal
+   * Closes details and opens the delete confirmation
+   */
+  const handleDeleteFromMap = (station, e) => {
+    setSelectedStation(null);
+    handleDeleteClick(station, e);
+  };
+
+  /**
+   * Handle status history from the map details modal
+   * Closes details and opens the history
+   */
+  const handleHistoryFromMap = (station) => {
+    setSelectedStation(null);
+    setHistoryStation(station);
   };
 
   /**
-   * Toggle admin mode
-   * Saves to localStorage for persistence
+   * Handle activity log from the map details modal
+   * Closes details and opens the station's audit log
    */
-  const toggleAdminMode = () => {
-    const newAdminState = !isAdmin;
-    setIsAdmin(newAdminState);
-    localStorage.setItem('adminMode', newAdminState.toString());
+  const handleActivityFromMap = (station) => {
+    setSelectedStation(null);
+    setActivityStation(station);
+  };
+
+  const handlePhotosFromMap = (station) => {
+    setSelectedStation(null);
+    setGalleryStation(station);
   };
 
+  const closeGallery = useCallback(() => setGalleryStation(null), []);
+
   /**
    * Handle page change for pagination
    */
@@ -260,16 +536,38 @@ const Dashboard = () => {
     setCurrentPage(1);
   };
 
+  /**
+   * Handle proximity origin change
+   * Sorts nearest first when an origin is set
+   */
+  const handleNearChange = (origin) => {
+    handleFilterChange('near', origin);
+    setSortBy(origin ? 'distance' : DEFAULT_SORT);
+  };
+
+  /**
+   * Handle sort change
+   */
+  const handleSortChange = (value) => {
+    setSortBy(value);
+    setCurrentPage(1);
+  };
+
+  /**
+   * Handle view mode change
+   * Page only applies to the list view, so start over at page 1
+   */
+  const handleViewModeChange = (mode) => {
+    setViewMode(mode);
+    setCurrentPage(1);
+  };
+
   /**
    * Clear all filters
    */
   const handleClearFilters = () => {
-    setFilters({
-      search: '',
-      pinCode: '',
-      connectorType: '',
-      status: '',
-    });
+    setFilters((prev) => createEmptyFilters(prev.radiusKm));
+    setSortBy(DEFAULT_SORT);
     setCurrentPage(1);
   };
 
@@ -295,6 +593,7 @@ const Dashboard = () => {
       await deleteStation(stationId);
       // Refresh stations list after successful deletion
       await fetchStations();
+      setUndoStation(deleteConfirm);
       setDeleteConfirm(null);
     } catch (err) {
       console.error('Failed to delete station:', err);
@@ -305,6 +604,27 @@ const Dashboard = () => {
     }
   };
 
+  /**
+   * Handle undo from the toast shown after a delete
+   * Restores the station from the recycle bin
+   */
+  const handleUndoDelete = async () => {
+    if (!undoStation) return;
+
+    const station = undoStation;
+    setUndoStation(null);
+    try {
+      setError(null);
+      await restoreStation(station.id || station._id);
+      await fetchStations();
+    } catch (err) {
+      console.error('Failed to restore station:', err);
+      setError(err.message || 'Failed to restore station. Please try again.');
+    }
+  };
+
+  const dismissUndo = useCallback(() => setUndoStation(null), []);
+
   /**
    * Handle delete cancel
    */
@@ -312,23 +632,17 @@ const Dashboard = () => {
     setDeleteConfirm(null);
   };
 
-  // Get filtered stations
-  const filteredStations = getFilteredStations();
-
-  // Calculate pagination based on filtered stations
-  const totalPages = Math.ceil(filteredStations.length / ITEMS_PER_PAGE);
-  const startIndex = (currentPage - 1) * ITEMS_PER_PAGE;
-  const endIndex = startIndex + ITEMS_PER_PAGE;
-  const currentStations = filteredStations.slice(startIndex, endIndex);
+  // Graph, map and board views are capped at MAX_PAGE_SIZE stations
+  const isTruncated = !isPagedView && pageInfo.totalCount > filteredStations.length;
 
   // Check if any filters are active
-  const hasActiveFilters = filters.search || filters.pinCode || filters.connectorType || filters.status;
+  const hasActiveFilters = filters.search || filters.pinCode || filters.connectorType || filters.status || filters.near;
 
   // Loading state
   if (loading) {
     return (
       <>
-        <Header stats={stats} isAdmin={isAdmin} onToggleAdmin={toggleAdminMode} />
+        <Header stats={stats} currentTime={currentTime} />
         <div className="min-h-screen bg-gray-50 pt-16 flex items-center justify-center px-4">
           <Loader size="lg" text="Loading stations..." />
         </div>
@@ -338,7 +652,7 @@ const Dashboard = () => {
 
   return (
     <>
-      <Header stats={stats} isAdmin={isAdmin} onToggleAdmin={toggleAdminMode} />
+      <Header stats={stats} currentTime={currentTime} />
       <div className="min-h-screen bg-gray-50 pt-16 pb-8">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
           {/* Compact Header Bar with Stats, Filters and Actions */}
@@ -351,11 +665,11 @@ const Dashboard = () => {
                   <p className="text-xs text-gray-500 mt-0.5">
                     {hasActiveFilters ? (
                       <>
-                        Showing <span className="font-semibold text-gray-700">{filteredStations.length}</span> of{' '}
-                        <span className="font-semibold text-gray-700">{stations.length}</span> stations
+                        Showing <span className="font-semibold text-gray-700">{pageInfo.totalCount}</span> of{' '}
+                        <span className="font-semibold text-gray-700">{pageInfo.totalStations}</span> stations
                       </>
                     ) : (
-                      <>{stations.length} {stations.length === 1 ? 'station' : 'stations'} available</>
+                      <>{pageInfo.totalStations} {pageInfo.totalStations === 1 ? 'station' : 'stations'} available</>
                     )}
                   </p>
                 </div>
@@ -363,7 +677,7 @@ const Dashboard = () => {
                   {/* View Toggle */}
                   <div className="inline-flex items-center bg-white border border-gray-300 rounded-lg p-1 shadow-sm">
                     <button
-                      onClick={() => setViewMode('graph')}
+                      onClick={() => handleViewModeChange('graph')}
                       className={`px-3 py-1.5 text-sm font-medium rounded-md transition-all duration-200 flex items-center gap-1.5 ${
                         viewMode === 'graph'
                           ? 'bg-blue-600 text-white shadow-sm'
@@ -377,7 +691,7 @@ const Dashboard = () => {
                       <span className="hidden sm:inline">Graph</span>
                     </button>
                     <button
-                      onClick={() => setViewMode('list')}
+                      onClick={() => handleViewModeChange('list')}
                       className={`px-3 py-1.5 text-sm font-medium rounded-md transition-all duration-200 flex items-center gap-1.5 ${
                         viewMode === 'list'
                           ? 'bg-blue-600 text-white shadow-sm'
@@ -390,8 +704,108 @@ const Dashboard = () => {
                       </svg>
                       <span className="hidden sm:inline">List</span>
                     </button>
+                    <button
+                      onClick={() => handleViewModeChange('map')}
+                      className={`px-3 py-1.5 text-sm font-medium rounded-md transition-all duration-200 flex items-center gap-1.5 ${
+                        viewMode === 'map'
+                          ? 'bg-blue-600 text-white shadow-sm'
+                          : 'text-gray-700 hover:bg-gray-50'
+                      }`}
+                      title="Map View"
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 20l-5.447-2.724A1 1 0 013 16.382V5.618a1 1 0 011.447-.894L9 7m0 13l6-3m-6 3V7m6 10l4.553 2.276A1 1 0 0021 18.382V7.618a1 1 0 00-.553-.894L15 4m0 13V4m0 0L9 7" />
+                      </svg>
+                      <span className="hidden sm:inline">Map</span>
+                    </button>
+                    <button
+                      onClick={() => handleViewModeChange('board')}
+                      className={`px-3 py-1.5 text-sm font-medium rounded-md transition-all duration-200 flex items-center gap-1.5 ${
+                        viewMode === 'board'
+                          ? 'bg-blue-600 text-white shadow-sm'
+                          : 'text-gray-700 hover:bg-gray-50'
+                      }`}
+                      title="Work Order Board"
+                    >
+                      <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 17V7m0 10a2 2 0 01-2 2H5a2 2 0 01-2-2V7a2 2 0 012-2h2a2 2 0 012 2m0 10a2 2 0 002 2h2a2 2 0 002-2M9 7a2 2 0 012-2h2a2 2 0 012 2m0 10V7m0 10a2 2 0 002 2h2a2 2 0 002-2V7a2 2 0 00-2-2h-2a2 2 0 00-2 2" />
+                      </svg>
+                      <span className="hidden sm:inline">Board</span>
+                    </button>
                   </div>
-                  {isAdmin && (
+                  <ExportMenu
+                    filterParams={exportFilterParams}
+                    filteredCount={pageInfo.totalCount}
+                    totalCount={pageInfo.totalStations}
+                    hasActiveFilters={!!hasActiveFilters}
+                  />
+                  <button
+                    onClick={() => setShowAllActivity(true)}
+                    className="inline-flex items-center px-3 py-2 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-lg
+                             hover:bg-gray-50 transition-colors duration-150 shadow-sm
+                             focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+                    title="Activity log of all stations"
+                  >
+                    <svg className="w-4 h-4 sm:mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-3 7h3m-3 4h3m-6-4h.01M9 16h.01" />
+                    </svg>
+                    <span className="hidden sm:inline">Activity</span>
+                  </button>
+                  <button
+                    onClick={() => setShowMaintenance(true)}
+                    className="inline-flex items-center px-3 py-2 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-lg
+                             hover:bg-gray-50 transition-colors duration-150 shadow-sm
+                             focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+                    title="Scheduled maintenance windows"
+                  >
+                    <svg className="w-4 h-4 sm:mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+                    </svg>
+                    <span className="hidden sm:inline">Maintenance</span>
+                  </button>
+                  {canDelete && (
+                    <button
+                      onClick={() => setShowRecycleBin(true)}
+                      className="inline-flex items-center px-3 py-2 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-lg
+                               hover:bg-gray-50 transition-colors duration-150 shadow-sm
+                               focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+                      title="Deleted stations"
+                    >
+                      <svg className="w-4 h-4 sm:mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                      </svg>
+                      <span className="hidden sm:inline">Recycle Bin</span>
+                    </button>
+                  )}
+                  {canDelete && (
+                    <button
+                      onClick={() => setShowTariffs(true)}
+                      className="inline-flex items-center px-3 py-2 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-lg
+                               hover:bg-gray-50 transition-colors duration-150 shadow-sm
+                               focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+                      title="Prices charged at stations"
+                    >
+                      <svg className="w-4 h-4 sm:mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
+                      </svg>
+                      <span className="hidden sm:inline">Tariffs</span>
+                    </button>
+                  )}
+                  {canEdit && (
+                    <button
+                      onClick={() => setShowImport(true)}
+                      className="inline-flex items-center px-3 py-2 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-lg
+                               hover:bg-gray-50 transition-colors duration-150 shadow-sm
+                               focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+                      title="Import stations from CSV or Excel"
+                    >
+                      <svg className="w-4 h-4 sm:mr-1.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+                      </svg>
+                      <span className="hidden sm:inline">Import</span>
+                    </button>
+                  )}
+                  {canEdit && (
                     <button
                       onClick={handleCreateNew}
                       className="inline-flex items-center px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg 
@@ -414,14 +828,19 @@ const Dashboard = () => {
                   <div className="text-xs text-gray-500">Total:</div>
                   <div className="text-sm font-semibold text-gray-900">{stats.total}</div>
                 </div>
-                <div className="flex items-center gap-2 bg-white rounded-lg border border-gray-200 px-3 py-2">
-                  <div className="text-xs text-gray-500">Operational:</div>
-                  <div className="text-sm font-semibold text-green-600">{stats.operational}</div>
-                </div>
-                <div className="flex items-center gap-2 bg-white rounded-lg border border-gray-200 px-3 py-2">
-                  <div className="text-xs text-gray-500">Maintenance:</div>
-                  <div className="text-sm font-semibold text-red-600">{stats.maintenance}</div>
-                </div>
+                {/* One card per status that has stations */}
+                {[...STATION_STATUSES, UNKNOWN_STATUS]
+                  .filter((status) => stats.byStatus[status.value] > 0)
+                  .map((status) => (
+                    <div
+                      key={status.value}
+                      className="flex items-center gap-2 bg-white rounded-lg border border-gray-200 px-3 py-2"
+                    >
+                      <span className={`w-2 h-2 rounded-full ${status.dotClass}`}></span>
+                      <div className="text-xs text-gray-500">{status.value}:</div>
+                      <div className="text-sm font-semibold text-gray-900">{stats.byStatus[status.value]}</div>
+                    </div>
+                  ))}
 
                 {/* Divider */}
                 <div className="hidden sm:block w-px h-6 bg-gray-300"></div>
@@ -441,10 +860,29 @@ const Dashboard = () => {
                   Filters
                   {hasActiveFilters && (
                     <span className="ml-2 px-1.5 py-0.5 text-xs bg-blue-600 text-white rounded-full">
-                      {[filters.search, filters.pinCode, filters.connectorType, filters.status].filter(Boolean).length}
+                      {[filters.search, filters.pinCode, filters.connectorType, filters.status, filters.near].filter(Boolean).length}
                     </span>
                   )}
                 </button>
+
+                {/* Sort */}
+                <div className="flex items-center gap-2">
+                  <label htmlFor="sortBy" className="text-xs text-gray-500">Sort:</label>
+                  <select
+                    id="sortBy"
+                    value={sortBy}
+                    onChange={(e) => handleSortChange(e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg bg-white text-sm
+                             focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none"
+                  >
+                    <option value="name">Name (A-Z)</option>
+                    <option value="-name">Name (Z-A)</option>
+                    <option value="-createdAt">Newest</option>
+                    <option value="createdAt">Oldest</option>
+                    <option value="status">Status</option>
+                    <option value="distance" disabled={!filters.near}>Distance</option>
+                  </select>
+                </div>
               </div>
 
               {/* Collapsible Filters Panel */}
@@ -520,10 +958,9 @@ const Dashboard = () => {
                                  outline-none transition-colors bg-white text-sm"
                       >
                         <option value="">All Types</option>
-                        <option value="TYPE_2_AC">Type 2 (AC)</option>
-                        <option value="CCS2_DC">CCS2 (DC Fast)</option>
-                        <option value="BHARAT_AC_001">Bharat AC-001</option>
-                        <option value="BHARAT_DC_001">Bharat DC-001</option>
+                        {CONNECTOR_TYPES.map((type) => (
+                          <option key={type.value} value={type.value}>{type.label}</option>
+                        ))}
                       </select>
                     </div>
 
@@ -541,12 +978,26 @@ const Dashboard = () => {
                                  outline-none transition-colors bg-white text-sm"
                       >
                         <option value="">All Status</option>
-                        <option value="Operational">Operational</option>
-                        <option value="Maintenance">Maintenance</option>
+                        {STATION_STATUSES.map((status) => (
+                          <option key={status.value} value={status.value}>
+                            {status.value}
+                          </option>
+                        ))}
                       </select>
                     </div>
                   </div>
 
+                  {/* Proximity Filter */}
+                  <div className="mt-4 pt-4 border-t border-gray-200">
+                    <ProximityFilter
+                      origin={filters.near}
+                      radiusKm={filters.radiusKm}
+                      resolvePinCode={resolvePinCode}
+                      onOriginChange={handleNearChange}
+                      onRadiusChange={(value) => handleFilterChange('radiusKm', value)}
+                    />
+                  </div>
+
                   {/* Clear Filters Button */}
                   {hasActiveFilters && (
                     <div className="mt-3 pt-3 border-t border-gray-200">
@@ -600,7 +1051,7 @@ const Dashboard = () => {
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 4a1 1 0 011-1h16a1 1 0 011 1v2.586a1 1 0 01-.293.707l-6.414 6.414a1 1 0 00-.293.707V17l-4 4v-6.586a1 1 0 00-.293-.707L3.293 7.293A1 1 0 013 6.586V4z" />
                       </svg>
                       <span className="text-sm font-medium text-blue-900">
-                        Showing filtered data: <span className="font-semibold">{filteredStations.length}</span> of <span className="font-semibold">{stations.length}</span> stations
+                        Showing filtered data: <span className="font-semibold">{pageInfo.totalCount}</span> of <span className="font-semibold">{pageInfo.totalStations}</span> stations
                       </span>
                     </div>
                     <button
@@ -611,7 +1062,12 @@ const Dashboard = () => {
                     </button>
                   </div>
                 )}
-                <StationCharts stations={filteredStations} />
+                {isTruncated && (
+                  <p className="mb-4 text-xs text-gray-500">
+                    Charts include the first {filteredStations.length} of {pageInfo.totalCount} matching stations.
+                  </p>
+                )}
+                <StationCharts stations={filteredStations} filterParams={exportFilterParams} />
               </div>
             ) : (
               <div className="bg-white rounded-lg border border-gray-200 p-12 text-center">
@@ -637,6 +1093,56 @@ const Dashboard = () => {
                 )}
               </div>
             )
+          ) : viewMode === 'map' ? (
+            /* Map View - Clustered Station Markers */
+            <div className="animate-fadeIn">
+              {hasActiveFilters && (
+                <div className="mb-4 bg-blue-50 border border-blue-200 rounded-lg px-4 py-3 flex items-center justify-between">
+                  <span className="text-sm font-medium text-blue-900">
+                    Showing filtered data: <span className="font-semibold">{pageInfo.totalCount}</span> of <span className="font-semibold">{pageInfo.totalStations}</span> stations
+                  </span>
+                  <button
+                    onClick={handleClearFilters}
+                    className="text-sm text-blue-600 hover:text-blue-700 font-medium underline"
+                  >
+                    Clear filters
+                  </button>
+                </div>
+              )}
+              {isTruncated && (
+                <p className="mb-4 text-xs text-gray-500">
+                  Map shows the first {filteredStations.length} of {pageInfo.totalCount} matching stations.
+                </p>
+              )}
+              <StationMap stations={filteredStations} onStationSelect={handleMapStationSelect} />
+            </div>
+          ) : viewMode === 'board' ? (
+            /* Board View - Work Orders of the Filtered Stations by State */
+            <div className="animate-fadeIn">
+              {hasActiveFilters && (
+                <div className="mb-4 bg-blue-50 border border-blue-200 rounded-lg px-4 py-3 flex items-center justify-between">
+                  <span className="text-sm font-medium text-blue-900">
+                    Showing work orders of <span className="font-semibold">{pageInfo.totalCount}</span> of <span className="font-semibold">{pageInfo.totalStations}</span> stations
+                  </span>
+                  <button
+                    onClick={handleClearFilters}
+                    className="text-sm text-blue-600 hover:text-blue-700 font-medium underline"
+                  >
+                    Clear filters
+                  </button>
+                </div>
+              )}
+              {isTruncated && (
+                <p className="mb-4 text-xs text-gray-500">
+                  Board shows work orders of the first {filteredStations.length} of {pageInfo.totalCount} matching stations.
+                </p>
+              )}
+              <WorkOrderBoard
+                stations={filteredStations}
+                canEdit={canEdit}
+                onWorkOrdersChange={loadWorkOrderCounts}
+              />
+            </div>
           ) : (
             /* List View - Station Cards Grid */
             <div className="animate-fadeIn">
@@ -651,7 +1157,7 @@ const Dashboard = () => {
                   <p className="text-gray-400 text-sm">
                     {hasActiveFilters 
                       ? 'Try adjusting your filters or clear them to see all stations'
-                      : isAdmin 
+                      : canEdit 
                         ? 'Create your first charging station to get started' 
                         : 'Stations will appear here once added'}
                   </p>
@@ -668,21 +1174,31 @@ const Dashboard = () => {
               ) : (
                 <>
                   <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
-                    {currentStations.map((station) => (
+                    {filteredStations.map((station) => (
                       <StationCard
                         key={station.id || station._id || Math.random()}
                         station={station}
-                        onEdit={isAdmin ? handleEdit : null}
-                        onDelete={isAdmin ? handleDeleteClick : null}
+                        tariffs={tariffs}
+                        openWorkOrders={openWorkOrderCounts[station.id] || 0}
+                        upcomingMaintenance={upcomingMaintenance[station.id]}
+                        reservations={stationReservations[station.id]}
+                        onOpen={handleOpenStation}
+                        onEdit={canEdit ? handleEdit : null}
+                        onDelete={canDelete ? handleDeleteClick : null}
+                        onShowHistory={setHistoryStation}
+                        onShowActivity={setActivityStation}
+                        onShowPhotos={setGalleryStation}
                       />
                     ))}
                   </div>
 
                   {/* Pagination */}
-                  {totalPages > 1 && (
+                  {pageInfo.totalPages > 1 && (
                     <Pagination
                       currentPage={currentPage}
-                      totalPages={totalPages}
+                      totalPages={pageInfo.totalPages}
+                      totalItems={pageInfo.totalCount}
+                      pageSize={ITEMS_PER_PAGE}
                       onPageChange={handlePageChange}
                     />
                   )}
@@ -693,24 +1209,108 @@ const Dashboard = () => {
 
           {/* Station Form Modal */}
           <Modal
-            isOpen={isAdmin && showForm}
+            isOpen={canEdit && showForm}
             onClose={submitting ? undefined : handleCancelForm}
-            title={editingStation ? 'Edit Station' : 'Create New Station'}
+            title={editConflict ? 'Resolve Conflicting Edits' : editingStation ? 'Edit Station' : 'Create New Station'}
             size="md"
           >
             {submitting ? (
               <div className="py-12">
                 <Loader size="md" text={editingStation ? 'Updating station...' : 'Creating station...'} />
               </div>
+            ) : editConflict ? (
+              <StationConflictDialog
+                key={editConflict.current.version}
+                base={editConflict.base}
+                mine={editConflict.mine}
+                current={editConflict.current}
+                changedBy={editConflict.changedBy}
+                changedAt={editConflict.changedAt}
+                onSave={(merged) => handleFormSubmit(merged, editConflict.current)}
+                onDiscard={handleDiscardConflict}
+              />
             ) : (
               <StationForm
                 station={editingStation}
+                tariffs={tariffs}
                 onSubmit={handleFormSubmit}
                 onCancel={handleCancelForm}
               />
             )}
           </Modal>
 
+          {/* Map Station Details Modal */}
+          <Modal
+            isOpen={!!selectedStation}
+            onClose={() => setSelectedStation(null)}
+            title="Station Details"
+            size="sm"
+          >
+            {selectedStation && (
+              <StationCard
+                station={selectedStation}
+                tariffs={tariffs}
+                openWorkOrders={openWorkOrderCounts[selectedStation.id] || 0}
+                upcomingMaintenance={upcomingMaintenance[selectedStation.id]}
+                reservations={stationReservations[selectedStation.id]}
+                onOpen={handleOpenStation}
+                onEdit={canEdit ? handleEditFromMap : null}
+                onDelete={canDelete ? handleDeleteFromMap : null}
+                onShowHistory={handleHistoryFromMap}
+                onShowActivity={handleActivityFromMap}
+                onShowPhotos={handlePhotosFromMap}
+              />
+            )}
+          </Modal>
+
+          {/* Status History Modal */}
+          <Modal
+            isOpen={!!historyStation}
+            onClose={() => setHistoryStation(null)}
+            title={historyStation ? `Status History - ${historyStation.stationName}` : 'Status History'}
+            size="md"
+          >
+            {historyStation && <StatusHistory stationId={historyStation.id || historyStation._id} />}
+          </Modal>
+
+          {/* Activity Log Modal - one station, or all stations from the toolbar */}
+          <Modal
+            isOpen={!!activityStation || showAllActivity}
+            onClose={() => {
+              setActivityStation(null);
+              setShowAllActivity(false);
+            }}
+            title={activityStation ? `Activity - ${activityStation.stationName}` : 'Activity'}
+            size="lg"
+          >
+            {activityStation ? (
+              <ActivityLog stationId={activityStation.id || activityStation._id} />
+            ) : (
+              showAllActivity && <ActivityLog />
+            )}
+          </Modal>
+
+          {/* Maintenance Calendar Modal - everyone can look; Operators and Admins schedule */}
+          <Modal
+            isOpen={showMaintenance}
+            onClose={() => setShowMaintenance(false)}
+            title="Scheduled Maintenance"
+            size="lg"
+          >
+            {showMaintenance && (
+              <MaintenanceCalendar canEdit={canEdit} canDelete={canDelete} onChange={loadUpcomingMaintenance} />
+            )}
+          </Modal>
+
+          {/* Photo Gallery */}
+          {galleryStation && (
+            <PhotoLightbox
+              photos={getStationPhotos(galleryStation)}
+              title={galleryStation.stationName}
+              onClose={closeGallery}
+            />
+          )}
+
           {/* Delete Confirmation Modal */}
           <Modal
             isOpen={!!deleteConfirm}
@@ -738,7 +1338,7 @@ const Dashboard = () => {
                       <span className="font-medium text-gray-900">{deleteConfirm?.stationName}</span>
                     </p>
                     <p className="text-sm text-gray-500">
-                      This action cannot be undone.
+                      The station moves to the recycle bin, where an admin can restore it.
                     </p>
                   </div>
                 </div>
@@ -765,6 +1365,46 @@ const Dashboard = () => {
               </div>
             )}
           </Modal>
+
+          {/* Recycle Bin Modal (Admin role) */}
+          <Modal
+            isOpen={canDelete && showRecycleBin}
+            onClose={() => setShowRecycleBin(false)}
+            title="Recycle Bin"
+            size="md"
+          >
+            {showRecycleBin && <RecycleBin onRestored={fetchStations} />}
+          </Modal>
+
+          {/* Tariff Editor Modal (Admin role) */}
+          <Modal
+            isOpen={canDelete && showTariffs}
+            onClose={() => setShowTariffs(false)}
+            title="Tariffs"
+            size="lg"
+          >
+            {showTariffs && <TariffEditor tariffs={tariffs} onTariffsChange={setTariffs} />}
+          </Modal>
+
+          {/* Import Wizard Modal (Operator and Admin roles) */}
+          <Modal
+            isOpen={canEdit && showImport}
+            onClose={() => setShowImport(false)}
+            title="Import Stations"
+            size="lg"
+          >
+            {showImport && <ImportWizard onImported={fetchStations} onClose={() => setShowImport(false)} />}
+          </Modal>
+
+          {/* Undo Toast - shown right after a delete */}
+          {undoStation && (
+            <Toast
+              message={`"${undoStation.stationName}" moved to the recycle bin`}
+              actionLabel="Undo"
+              onAction={handleUndoDelete}
+              onDismiss={dismissUndo}
+            />
+          )}
         </div>
       </div>
     </>
@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import logo from '../assets/logo.png';
+import { useAuth } from '../context/AuthContext';
+
+const inputClass =
+  'w-full px-4 py-2.5 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none transition-colors text-sm';
+
+/**
+ * Login Component
+ *
+ * Sign-in page shown until a user is signed in.
+ * Accounts are local to the API, so sign-in works without internet access.
+ */
+const Login = () => {
+  const { login, sessionMessage } = useAuth();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      setError(null);
+      await login(username.trim(), password);
+    } catch (err) {
+      setError(err.message || 'Failed to sign in');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <div className="w-full max-w-sm bg-white rounded-lg border border-gray-200 shadow-sm p-6">
+        <div className="flex justify-center mb-4">
+          <img src={logo} alt="Logo" className="h-10" />
+        </div>
+        <h1 className="text-xl font-bold text-gray-900 text-center mb-1">Sign in</h1>
+        <p className="text-xs text-gray-500 text-center mb-6">Charging Station Management</p>
+
+        {(error || sessionMessage) && (
+          <div className="mb-4 px-3 py-2 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+            {error || sessionMessage}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="username" className="block text-sm font-medium text-gray-700 mb-1.5">
+              Username
+            </label>
+            <input
+              type="text"
+              id="username"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              autoComplete="username"
+              autoFocus
+              required
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1.5">
+              Password
+            </label>
+            <input
+              type="password"
+              id="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete="current-password"
+              required
+              className={inputClass}
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={submitting}
+            className="w-full px-4 py-2.5 bg-blue-600 text-white text-sm font-medium rounded-lg
+                     hover:bg-blue-700 active:bg-blue-800 disabled:opacity-50 transition-colors
+                     focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+          >
+            {submitting ? 'Signing in...' : 'Sign in'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Login;
@@ -0,0 +1,464 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useLocation, useNavigate, useParams } from 'react-router-dom';
+import Header from '../components/Header';
+import Loader from '../components/Loader';
+import StatusBadge from '../components/StatusBadge';
+import StationMap from '../components/StationMap';
+import StatusHistory from '../components/StatusHistory';
+import ActivityLog from '../components/ActivityLog';
+import ChargingSessions from '../components/ChargingSessions';
+import StationPricing from '../components/StationPricing';
+import WorkOrders from '../components/WorkOrders';
+import Reservations from '../components/Reservations';
+import PhotoLightbox from '../components/PhotoLightbox';
+import { getStationById, getTariffs } from '../services/stationApi';
+import { CONNECTOR_STATUSES, getConnectorLabel, getStationConnectors } from '../constants/connectors';
+import { getOcppConnectorStatus } from '../constants/ocpp';
+import { formatReading, getChargePointConnectors, getSessionEnergyKwh } from '../utils/chargePoint';
+import { getStationCoordinates } from '../utils/geo';
+import { getStationPhotos } from '../utils/stationPhotos';
+import { useAuth } from '../context/AuthContext';
+import { useStationEventListener } from '../context/StationEventsContext';
+import { STATION_EVENT_TYPES } from '../utils/liveUpdates';
+import { EDITOR_ROLES, ROLES } from '../constants/roles';
+
+const sectionClass = 'bg-white rounded-lg border border-gray-200 shadow-sm p-4 sm:p-5';
+const sectionTitleClass = 'text-sm font-semibold text-gray-900 mb-3';
+
+/**
+ * StationDetail Page
+ *
+ * Read-only page for one station at /stations/:id with its photos,
+ * connectors, bookings, work orders, prices, live charge point state,
+ * charging sessions, location, status history and audit entries.
+ * The back link returns to the dashboard view (filters, page) it was opened from.
+ */
+const StationDetail = () => {
+  const { id } = useParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { hasRole } = useAuth();
+  const canEdit = hasRole(...EDITOR_ROLES);
+  const canDelete = hasRole(ROLES.ADMIN);
+
+  const [station, setStation] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [lightboxIndex, setLightboxIndex] = useState(null); // Photo open in the lightbox
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [deletedBy, setDeletedBy] = useState(null); // Set when the station is deleted while open
+  const [tariffs, setTariffs] = useState([]); // All tariffs; the station's are picked out for Pricing
+  const closeLightbox = useCallback(() => setLightboxIndex(null), []);
+
+  // Dashboard query string this page was opened from (set by the Dashboard when navigating here)
+  const dashboardSearch = location.state?.fromSearch || '';
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadStation = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setDeletedBy(null);
+        const data = await getStationById(id);
+        if (!cancelled) {
+          setStation(data);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message || 'Failed to load station');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadStation();
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  useEffect(() => {
+    const loadTariffs = async () => {
+      try {
+        setTariffs(await getTariffs());
+      } catch (err) {
+        // Pricing just shows that no tariff applies
+        console.error('Error loading tariffs:', err);
+      }
+    };
+    loadTariffs();
+  }, []);
+
+  // Show changes made elsewhere while the page is open
+  useStationEventListener((event) => {
+    if (!station || event.stationId !== station.id) return;
+    if (event.type === STATION_EVENT_TYPES.DELETED) {
+      setDeletedBy(event.actor || 'another user');
+    } else if (event.station) {
+      setStation(event.station);
+      setDeletedBy(null);
+    }
+  });
+
+  // A work order changed the station's status; pick up the saved station
+  const handleStationChange = async () => {
+    try {
+      setStation(await getStationById(id));
+    } catch (err) {
+      console.error('Error reloading station:', err);
+    }
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch {
+      // Clipboard access denied; the address bar still has the link
+    }
+  };
+
+  // Editing happens in the Dashboard's station form
+  const handleEdit = () => {
+    navigate({ pathname: '/', search: dashboardSearch }, { state: { editStation: station } });
+  };
+
+  const renderContent = () => {
+    if (loading) {
+      return <Loader size="lg" text="Loading station..." />;
+    }
+
+    if (error || !station) {
+      return (
+        <div className={`${sectionClass} text-center py-12`}>
+          <p className="text-sm text-red-600 mb-4">{error || `Station ${id} not found`}</p>
+          <Link to="/" className="text-sm font-medium text-blue-600 hover:text-blue-700">
+            Go to all stations
+          </Link>
+        </div>
+      );
+    }
+
+    const photos = getStationPhotos(station);
+    const connectors = getStationConnectors(station);
+    const coords = getStationCoordinates(station);
+    const liveConnectors = getChargePointConnectors(station);
+
+    return (
+      <>
+        {deletedBy && (
+          <div className="mb-4 px-4 py-3 rounded-lg border border-amber-200 bg-amber-50 text-sm text-amber-800">
+            This station was deleted by {deletedBy}. An admin can restore it from the recycle bin.
+          </div>
+        )}
+
+        {/* Title Row */}
+        <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3 mb-5">
+          <div className="min-w-0">
+            <div className="flex flex-wrap items-center gap-2">
+              <h1 className="text-xl sm:text-2xl font-bold text-gray-900">{station.stationName}</h1>
+              <StatusBadge status={station.status} />
+            </div>
+            <p className="text-sm text-gray-600 mt-1">{station.locationAddress}</p>
+          </div>
+          <div className="flex items-center gap-2 flex-shrink-0">
+            <button
+              type="button"
+              onClick={handleCopyLink}
+              className="px-3 py-2 bg-white border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50 shadow-sm"
+            >
+              {linkCopied ? 'Link copied' : 'Copy link'}
+            </button>
+            {canEdit && !deletedBy && (
+              <button
+                type="button"
+                onClick={handleEdit}
+                className="px-3 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 shadow-sm"
+              >
+                Edit
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-5">
+          <div className="lg:col-span-2 space-y-5">
+            {/* Photos */}
+            <section className={sectionClass}>
+              <h2 className={sectionTitleClass}>Photos</h2>
+              {photos.length === 0 ? (
+                <p className="text-sm text-gray-500">No photos yet.</p>
+              ) : (
+                <ul className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+                  {photos.map((photo, index) => (
+                    <li key={photo.imageUrl}>
+                      <button
+                        type="button"
+                        onClick={() => setLightboxIndex(index)}
+                        className="block w-full text-left focus:outline-none focus:ring-2 focus:ring-blue-500 rounded-lg"
+                      >
+                        <img
+                          src={photo.thumbnailUrl || photo.imageUrl}
+                          alt={photo.caption || `${station.stationName} photo ${index + 1}`}
+                          loading="lazy"
+                          decoding="async"
+                          className="w-full h-28 object-cover rounded-lg border border-gray-200"
+                        />
+                        {photo.caption && <span className="block mt-1 text-xs text-gray-600 truncate">{photo.caption}</span>}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+
+            {/* Connectors */}
+            <section className={sectionClass}>
+              <h2 className={sectionTitleClass}>Connectors</h2>
+              {connectors.length === 0 ? (
+                <p className="text-sm text-gray-500">No connectors recorded.</p>
+              ) : (
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+                      <th className="py-2 pr-3 font-medium">Type</th>
+                      <th className="py-2 pr-3 font-medium">Power</th>
+                      <th className="py-2 pr-3 font-medium">Count</th>
+                      <th className="py-2 font-medium">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {connectors.map((connector, index) => (
+                      <tr key={connector.id || index} className="border-b border-gray-100">
+                        <td className="py-2 pr-3 text-gray-900">{getConnectorLabel(connector.connectorType)}</td>
+                        <td className="py-2 pr-3 text-gray-700">
+                          {connector.powerType}
+                          {connector.maxPowerKw ? ` · ${connector.maxPowerKw} kW` : ''}
+                        </td>
+                        <td className="py-2 pr-3 text-gray-700">{connector.count}</td>
+                        <td className="py-2 text-gray-700">
+                          <span className="inline-flex items-center">
+                            <span
+                              className={`w-1.5 h-1.5 rounded-full mr-1.5 ${
+                                CONNECTOR_STATUSES.find((s) => s.value === connector.status)?.dotClass || 'bg-gray-400'
+                              }`}
+                            />
+                            {connector.status}
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </section>
+
+            {/* Bookings - availability timeline of the connectors; Operators and Admins book them for drivers */}
+            <section className={sectionClass}>
+              <h2 className={sectionTitleClass}>Bookings</h2>
+              <Reservations station={station} canEdit={canEdit && !deletedBy} />
+            </section>
+
+            {/* Work Orders - maintenance jobs, which can put the station into and out of Maintenance */}
+            <section className={sectionClass}>
+              <h2 className={sectionTitleClass}>Work Orders</h2>
+              <WorkOrders
+                station={station}
+                canEdit={canEdit && !deletedBy}
+                canDelete={canDelete && !deletedBy}
+                onStationChange={handleStationChange}
+              />
+            </section>
+
+            {/* Pricing - tariffs of the station's connectors and a cost estimator */}
+            <section className={sectionClass}>
+              <h2 className={sectionTitleClass}>Pricing</h2>
+              <StationPricing station={station} tariffs={tariffs} />
+            </section>
+
+            {/* Charge Point - live connector state reported over OCPP */}
+            {station.chargePointId && (
+              <section className={sectionClass}>
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                  <h2 className="text-sm font-semibold text-gray-900">Charge Point</h2>
+                  <span
+                    className={`inline-flex items-center text-xs font-medium ${
+                      station.chargePointConnected ? 'text-green-700' : 'text-gray-500'
+                    }`}
+                  >
+                    <span
+                      className={`w-1.5 h-1.5 rounded-full mr-1.5 ${
+                        station.chargePointConnected ? 'bg-green-500' : 'bg-gray-400'
+                      }`}
+                    />
+                    {station.chargePointConnected ? 'Connected' : 'Not connected'}
+                    {station.chargePointLastSeenAt &&
+                      ` · last message ${new Date(station.chargePointLastSeenAt).toLocaleString()}`}
+                  </span>
+                </div>
+                <p className="text-xs text-gray-500 mb-3">
+                  ID <span className="font-mono text-gray-700">{station.chargePointId}</span>
+                  {station.chargePointVendor &&
+                    ` · ${station.chargePointVendor}${station.chargePointModel ? ` ${station.chargePointModel}` : ''}`}
+                </p>
+                {liveConnectors.length === 0 ? (
+                  <p className="text-sm text-gray-500">The charger has not reported any connectors yet.</p>
+                ) : (
+                  <table className="min-w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+                        <th className="py-2 pr-3 font-medium">Connector</th>
+                        <th className="py-2 pr-3 font-medium">Status</th>
+                        <th className="py-2 pr-3 font-medium">Power</th>
+                        <th className="py-2 font-medium">Session</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {liveConnectors.map((connector) => {
+                        const liveStatus = getOcppConnectorStatus(connector.status);
+                        const energy = getSessionEnergyKwh(connector);
+                        return (
+                          <tr key={connector.connectorId} className="border-b border-gray-100 align-top">
+                            <td className="py-2 pr-3 text-gray-900">#{connector.connectorId}</td>
+                            <td className="py-2 pr-3 text-gray-700">
+                              <span className="inline-flex items-center">
+                                <span className={`w-1.5 h-1.5 rounded-full mr-1.5 ${liveStatus.dotClass}`} />
+                                {liveStatus.label}
+                              </span>
+                              {connector.errorCode && connector.errorCode !== 'NoError' && (
+                                <span className="block text-xs text-red-600">
+                                  {connector.errorCode}
+                                  {connector.info ? ` — ${connector.info}` : ''}
+                                </span>
+                              )}
+                            </td>
+                            <td className="py-2 pr-3 text-gray-700">{formatReading(connector.powerKw, 'kW') || '—'}</td>
+                            <td className="py-2 text-gray-700">
+                              {connector.transactionId == null ? (
+                                '—'
+                              ) : (
+                                <>
+                                  {formatReading(energy, 'kWh') || '0 kWh'}
+                                  <span className="block text-xs text-gray-500">
+                                    #{connector.transactionId}
+                                    {connector.idTag ? ` · ${connector.idTag}` : ''}
+                                    {connector.transactionStartedAt &&
+                                      ` · since ${new Date(connector.transactionStartedAt).toLocaleTimeString()}`}
+                                  </span>
+                                </>
+                              )}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                )}
+              </section>
+            )}
+
+            {/* Charging Sessions - reloaded when the charger starts or stops a transaction */}
+            <section className={sectionClass}>
+              <h2 className={sectionTitleClass}>Charging Sessions</h2>
+              <ChargingSessions
+                stationId={station.id}
+                canRecord={canEdit && !deletedBy}
+                reloadKey={liveConnectors.map((connector) => connector.transactionId ?? '').join(',')}
+              />
+            </section>
+
+            {/* Status History */}
+            <section className={sectionClass}>
+              <h2 className={sectionTitleClass}>Status History</h2>
+              <StatusHistory stationId={station.id} />
+            </section>
+
+            {/* Audit Entries */}
+            <section className={sectionClass}>
+              <h2 className={sectionTitleClass}>Activity</h2>
+              <ActivityLog stationId={station.id} />
+            </section>
+          </div>
+
+          <div className="space-y-5">
+            {/* Details */}
+            <section className={sectionClass}>
+              <h2 className={sectionTitleClass}>Details</h2>
+              <dl className="text-sm space-y-2">
+                <div>
+                  <dt className="text-xs text-gray-500">Pin code</dt>
+                  <dd className="text-gray-900">{station.pinCode || '—'}</dd>
+                </div>
+                <div>
+                  <dt className="text-xs text-gray-500">Coordinates</dt>
+                  <dd className="text-gray-900">{coords ? `${coords.lat}, ${coords.lng}` : '—'}</dd>
+                </div>
+                <div>
+                  <dt className="text-xs text-gray-500">Created</dt>
+                  <dd className="text-gray-900">{new Date(station.createdAt).toLocaleString()}</dd>
+                </div>
+                {station.locationLink && (
+                  <div>
+                    <dt className="text-xs text-gray-500">Location link</dt>
+                    <dd>
+                      <a
+                        href={station.locationLink}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-blue-600 hover:text-blue-700 break-all"
+                      >
+                        View on Map
+                      </a>
+                    </dd>
+                  </div>
+                )}
+              </dl>
+            </section>
+
+            {/* Map */}
+            {coords && <StationMap stations={[station]} height={280} />}
+          </div>
+        </div>
+
+        {lightboxIndex != null && (
+          <PhotoLightbox
+            photos={photos}
+            title={station.stationName}
+            initialIndex={lightboxIndex}
+            onClose={closeLightbox}
+          />
+        )}
+      </>
+    );
+  };
+
+  return (
+    <>
+      <Header />
+      <div className="min-h-screen bg-gray-50 pt-16 pb-8">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="py-4">
+            <Link
+              to={{ pathname: '/', search: dashboardSearch }}
+              className="inline-flex items-center text-sm font-medium text-gray-600 hover:text-blue-600"
+            >
+              <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+              All stations
+            </Link>
+          </div>
+          {renderContent()}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default StationDetail;
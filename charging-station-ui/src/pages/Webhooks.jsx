@@ -0,0 +1,312 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import Header from '../components/Header';
+import Loader from '../components/Loader';
+import WebhookForm from '../components/WebhookForm';
+import WebhookDeliveries from '../components/WebhookDeliveries';
+import { createWebhook, deleteWebhook, getWebhooks, testWebhook, updateWebhook } from '../services/stationApi';
+import { createWebhook as newWebhook } from '../constants/webhooks';
+import { describeDeliveryAttempt } from '../utils/webhooks';
+
+const sectionClass = 'bg-white rounded-lg border border-gray-200 shadow-sm p-4 sm:p-5';
+const sectionTitleClass = 'text-sm font-semibold text-gray-900 mb-3';
+
+/**
+ * Webhooks Page
+ *
+ * Admin page at /webhooks for the outside systems that receive station
+ * events: add, edit, enable or disable and delete webhooks, show, copy and
+ * rotate their signing secrets, send a test event, and follow every
+ * delivery in the log below.
+ */
+const Webhooks = () => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadCount, setReloadCount] = useState(0);
+  const [deliveryReloadCount, setDeliveryReloadCount] = useState(0);
+
+  const [editing, setEditing] = useState(null); // Webhook in the form (new ones have no id)
+  const [deleteConfirmId, setDeleteConfirmId] = useState(null);
+  const [rotateConfirmId, setRotateConfirmId] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [shownSecretId, setShownSecretId] = useState(null);
+  const [copiedSecretId, setCopiedSecretId] = useState(null);
+  const [testingId, setTestingId] = useState(null);
+  const [testResults, setTestResults] = useState({}); // Webhook id -> { text, failed }
+
+  useEffect(() => {
+    const loadWebhooks = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setWebhooks(await getWebhooks());
+      } catch (err) {
+        setError(err.message || 'Failed to load webhooks');
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadWebhooks();
+  }, [reloadCount]);
+
+  const reload = () => setReloadCount((count) => count + 1);
+
+  const handleSave = async (payload) => {
+    if (editing.id == null) {
+      const created = await createWebhook(payload);
+      setShownSecretId(created.id); // The receiver needs the new secret
+    } else {
+      await updateWebhook(editing.id, payload);
+    }
+    setEditing(null);
+    reload();
+  };
+
+  const runAction = async (action, fallbackMessage) => {
+    try {
+      setActionError(null);
+      await action();
+      reload();
+    } catch (err) {
+      setActionError(err.message || fallbackMessage);
+    }
+  };
+
+  const handleToggleEnabled = (webhook) =>
+    runAction(() => updateWebhook(webhook.id, { ...webhook, enabled: !webhook.enabled }), 'Failed to update the webhook');
+
+  const handleRotateSecret = (webhook) =>
+    runAction(async () => {
+      await updateWebhook(webhook.id, webhook, { rotateSecret: true });
+      setRotateConfirmId(null);
+      setShownSecretId(webhook.id);
+    }, 'Failed to rotate the secret');
+
+  const handleDelete = (id) =>
+    runAction(async () => {
+      await deleteWebhook(id);
+      setDeleteConfirmId(null);
+      setDeliveryReloadCount((count) => count + 1);
+    }, 'Failed to delete the webhook');
+
+  const handleCopySecret = async (webhook) => {
+    try {
+      await navigator.clipboard.writeText(webhook.secret);
+      setCopiedSecretId(webhook.id);
+      setTimeout(() => setCopiedSecretId(null), 2000);
+    } catch {
+      // Clipboard access denied; the secret can be shown and copied by hand
+      setShownSecretId(webhook.id);
+    }
+  };
+
+  const handleTest = async (id) => {
+    try {
+      setTestingId(id);
+      const delivery = await testWebhook(id);
+      const failed = delivery.status !== 'Succeeded';
+      setTestResults((prev) => ({
+        ...prev,
+        [id]: { text: `${failed ? 'Test failed' : 'Test delivered'}: ${describeDeliveryAttempt(delivery)}`, failed },
+      }));
+    } catch (err) {
+      setTestResults((prev) => ({ ...prev, [id]: { text: err.message || 'Failed to send a test event', failed: true } }));
+    } finally {
+      setTestingId(null);
+      setDeliveryReloadCount((count) => count + 1);
+    }
+  };
+
+  const renderWebhook = (webhook) => (
+    <li key={webhook.id} className="p-3 space-y-1.5">
+      <div className="flex flex-wrap items-start justify-between gap-2">
+        <div className="min-w-0">
+          <div className="flex items-center gap-2">
+            <span className={`text-sm font-medium ${webhook.enabled ? 'text-gray-900' : 'text-gray-400'}`}>
+              {webhook.name}
+            </span>
+            {!webhook.enabled && <span className="px-1.5 py-0.5 rounded bg-gray-100 text-gray-500 text-xs">Disabled</span>}
+          </div>
+          <p className="text-xs text-gray-600 font-mono break-all">{webhook.url}</p>
+          <p className="text-xs text-gray-500 mt-0.5">{webhook.eventTypes.join(', ')}</p>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          {deleteConfirmId === webhook.id ? (
+            <>
+              <span className="text-gray-600">Delete this webhook and its delivery log?</span>
+              <button
+                type="button"
+                onClick={() => handleDelete(webhook.id)}
+                className="px-2 py-1 bg-red-600 text-white rounded-md hover:bg-red-700"
+              >
+                Delete
+              </button>
+              <button
+                type="button"
+                onClick={() => setDeleteConfirmId(null)}
+                className="px-2 py-1 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+            </>
+          ) : (
+            <>
+              <button
+                type="button"
+                onClick={() => handleTest(webhook.id)}
+                disabled={testingId === webhook.id}
+                className="text-gray-600 hover:text-gray-800 disabled:opacity-50"
+              >
+                {testingId === webhook.id ? 'Sending...' : 'Send test event'}
+              </button>
+              <button type="button" onClick={() => handleToggleEnabled(webhook)} className="text-gray-600 hover:text-gray-800">
+                {webhook.enabled ? 'Disable' : 'Enable'}
+              </button>
+              <button type="button" onClick={() => setEditing(webhook)} className="text-blue-600 hover:text-blue-800">
+                Edit
+              </button>
+              <button
+                type="button"
+                onClick={() => setDeleteConfirmId(webhook.id)}
+                className="text-red-600 hover:text-red-800"
+              >
+                Delete
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* Signing secret */}
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <span className="text-gray-500">Secret</span>
+        <code className="px-1.5 py-0.5 rounded bg-gray-100 text-gray-800 break-all">
+          {shownSecretId === webhook.id ? webhook.secret : '••••••••••••'}
+        </code>
+        <button
+          type="button"
+          onClick={() => setShownSecretId(shownSecretId === webhook.id ? null : webhook.id)}
+          className="text-gray-600 hover:text-gray-800"
+        >
+          {shownSecretId === webhook.id ? 'Hide' : 'Show'}
+        </button>
+        <button type="button" onClick={() => handleCopySecret(webhook)} className="text-gray-600 hover:text-gray-800">
+          {copiedSecretId === webhook.id ? 'Copied' : 'Copy'}
+        </button>
+        {rotateConfirmId === webhook.id ? (
+          <>
+            <span className="text-gray-600">The receiver must switch to the new secret.</span>
+            <button
+              type="button"
+              onClick={() => handleRotateSecret(webhook)}
+              className="px-2 py-0.5 bg-amber-600 text-white rounded-md hover:bg-amber-700"
+            >
+              Rotate
+            </button>
+            <button
+              type="button"
+              onClick={() => setRotateConfirmId(null)}
+              className="px-2 py-0.5 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </>
+        ) : (
+          <button type="button" onClick={() => setRotateConfirmId(webhook.id)} className="text-amber-700 hover:text-amber-800">
+            Rotate
+          </button>
+        )}
+      </div>
+
+      {testResults[webhook.id] && (
+        <p className={`text-xs ${testResults[webhook.id].failed ? 'text-red-600' : 'text-green-700'}`}>
+          {testResults[webhook.id].text}
+        </p>
+      )}
+    </li>
+  );
+
+  return (
+    <>
+      <Header />
+      <div className="min-h-screen bg-gray-50 pt-16 pb-8">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="py-4">
+            <Link to="/" className="inline-flex items-center text-sm font-medium text-gray-600 hover:text-blue-600">
+              <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+              </svg>
+              All stations
+            </Link>
+          </div>
+
+          <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3 mb-5">
+            <div>
+              <h1 className="text-xl sm:text-2xl font-bold text-gray-900">Webhooks</h1>
+              <p className="text-sm text-gray-600 mt-1">
+                Station changes are posted as JSON to each webhook subscribed to the event. Failed deliveries are retried
+                with increasing delays for about an hour.
+              </p>
+            </div>
+            {!editing && (
+              <button
+                type="button"
+                onClick={() => setEditing(newWebhook())}
+                className="px-3 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 shadow-sm flex-shrink-0"
+              >
+                Add webhook
+              </button>
+            )}
+          </div>
+
+          <div className="space-y-5">
+            <section className={sectionClass}>
+              <h2 className={sectionTitleClass}>Subscriptions</h2>
+              <div className="space-y-4">
+                {editing && (
+                  <WebhookForm
+                    key={editing.id ?? 'new'}
+                    webhook={editing}
+                    onSave={handleSave}
+                    onCancel={() => setEditing(null)}
+                  />
+                )}
+
+                {error && <p className="text-sm text-red-600">{error}</p>}
+                {actionError && <p className="text-sm text-red-600">{actionError}</p>}
+
+                {loading ? (
+                  <Loader size="sm" text="Loading webhooks..." />
+                ) : webhooks.length === 0 ? (
+                  !error && <p className="text-sm text-gray-500">No webhooks yet.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">{webhooks.map(renderWebhook)}</ul>
+                )}
+              </div>
+            </section>
+
+            <section className={sectionClass}>
+              <h2 className={sectionTitleClass}>Verifying requests</h2>
+              <p className="text-sm text-gray-600">
+                Each request carries <code className="text-xs">X-ChargeHub-Event</code>,{' '}
+                <code className="text-xs">X-ChargeHub-Delivery</code> (the event id; the same on retries) and{' '}
+                <code className="text-xs">X-ChargeHub-Timestamp</code> headers. Compute an HMAC-SHA256 of{' '}
+                <code className="text-xs">{'{timestamp}.{body}'}</code> with the webhook's secret and compare it with{' '}
+                <code className="text-xs">X-ChargeHub-Signature</code> (<code className="text-xs">sha256=&lt;hex&gt;</code>).
+                Answer with a 2xx status within 10 seconds.
+              </p>
+            </section>
+
+            <section className={sectionClass}>
+              <h2 className={sectionTitleClass}>Delivery log</h2>
+              <WebhookDeliveries webhooks={webhooks} reloadKey={deliveryReloadCount} />
+            </section>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default Webhooks;
@@ -0,0 +1,107 @@
+import { apiClient, extractErrorMessage } from './stationApi';
+import { getSession } from './authStorage';
+
+/**
+ * Auth API
+ *
+ * Sign-in, sign-out and user management calls.
+ * Tokens are attached and refreshed by the apiClient interceptors in stationApi.js.
+ */
+
+/**
+ * Sign in with username and password
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {Promise} Promise that resolves to { accessToken, accessTokenExpiresAt, refreshToken,
+ *                    refreshTokenExpiresAt, user }
+ */
+export const login = async (username, password) => {
+  try {
+    const response = await apiClient.post('/auth/login', { username, password });
+    return response.data;
+  } catch (error) {
+    console.error('Error signing in:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Revoke the saved refresh token
+ * @returns {Promise} Promise that resolves when the server has revoked the token
+ */
+export const logout = async () => {
+  const refreshToken = getSession()?.refreshToken;
+  if (!refreshToken) return;
+
+  try {
+    await apiClient.post('/auth/logout', { refreshToken });
+  } catch (error) {
+    console.error('Error signing out:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Fetch the signed-in user
+ * @returns {Promise} Promise that resolves to { id, username, displayName, role, isActive, createdAt }
+ */
+export const getCurrentUser = async () => {
+  try {
+    const response = await apiClient.get('/auth/me');
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Fetch all user accounts (Admin only)
+ * @returns {Promise} Promise that resolves to the users array
+ */
+export const getUsers = async () => {
+  try {
+    const response = await apiClient.get('/auth/users');
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Create a user account (Admin only)
+ * @param {Object} userData - { username, displayName, password, role }
+ * @returns {Promise} Promise that resolves to the created user
+ */
+export const createUser = async (userData) => {
+  try {
+    const response = await apiClient.post('/auth/users', userData);
+    return response.data;
+  } catch (error) {
+    console.error('Error creating user:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Update a user account (Admin only)
+ * @param {string|number} id - User ID
+ * @param {Object} changes - Any of { displayName, password, role, isActive }
+ * @returns {Promise} Promise that resolves to the updated user
+ */
+export const updateUser = async (id, changes) => {
+  try {
+    const response = await apiClient.put(`/auth/users/${id}`, changes);
+    return response.data;
+  } catch (error) {
+    console.error('Error updating user:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
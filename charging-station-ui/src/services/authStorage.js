@@ -0,0 +1,47 @@
+/**
+ * Auth Storage
+ *
+ * Keeps the signed-in session (tokens and user) in localStorage
+ * so it survives page reloads.
+ */
+
+const STORAGE_KEY = 'authSession';
+
+/**
+ * Read the saved session
+ * @returns {Object|null} { accessToken, accessTokenExpiresAt, refreshToken, refreshTokenExpiresAt, user } or null
+ */
+export const getSession = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Save a session returned by login or refresh
+ * @param {Object} session - Auth response from the API
+ */
+export const saveSession = (session) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+};
+
+/**
+ * Update the saved user without touching the tokens
+ * @param {Object} user - User from the API
+ */
+export const saveSessionUser = (user) => {
+  const session = getSession();
+  if (session) {
+    saveSession({ ...session, user });
+  }
+};
+
+/**
+ * Forget the saved session
+ */
+export const clearSession = () => {
+  localStorage.removeItem(STORAGE_KEY);
+};
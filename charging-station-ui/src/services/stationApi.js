@@ -1,22 +1,86 @@
 import axios from 'axios';
+import { getSession, saveSession, clearSession } from './authStorage';
+import { createRefreshRetryHandler, createSharedRefresh } from '../utils/authRefresh';
 
 // Base URL for the API
 // Using relative URL - Create React App proxy will forward to http://localhost:5000
-const API_BASE_URL = '/api';
+export const API_BASE_URL = '/api';
 
 // Create axios instance with default config
-const apiClient = axios.create({
+export const apiClient = axios.create({
   baseURL: API_BASE_URL,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+// Auth endpoints that must not trigger a token refresh on 401
+const AUTH_PATHS = ['/auth/login', '/auth/refresh', '/auth/logout'];
+
+// Called when the session cannot be refreshed (set by AuthProvider)
+let sessionExpiredHandler = null;
+
+/**
+ * Register a callback for when the session expires and the user must sign in again
+ * @param {Function|null} handler - Callback, or null to remove it
+ */
+export const setSessionExpiredHandler = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+/**
+ * Exchange the saved refresh token for new tokens
+ * Uses plain axios so the 401 interceptor does not loop
+ * @returns {Promise<string>} New access token
+ */
+const refreshSession = async () => {
+  const session = getSession();
+  if (!session?.refreshToken) {
+    throw new Error('Not signed in');
+  }
+
+  const response = await axios.post(`${API_BASE_URL}/auth/refresh`, {
+    refreshToken: session.refreshToken,
+  });
+  saveSession(response.data);
+  return response.data.accessToken;
+};
+
+/**
+ * Refresh the session, sharing one refresh between concurrent callers
+ * Signs the user out (session expired handler) when the refresh token is no longer valid
+ * Also used by the station event stream, which does not go through axios
+ * @returns {Promise<string>} New access token
+ */
+export const refreshAccessToken = createSharedRefresh(refreshSession, () => {
+  clearSession();
+  sessionExpiredHandler?.();
+});
+
+// Attach the access token to every request
+apiClient.interceptors.request.use((config) => {
+  const session = getSession();
+  if (session?.accessToken) {
+    config.headers.Authorization = `Bearer ${session.accessToken}`;
+  }
+  return config;
+});
+
+// On 401, refresh the session once and retry; sign out when that fails
+apiClient.interceptors.response.use(
+  (response) => response,
+  createRefreshRetryHandler({
+    refresh: refreshAccessToken,
+    retry: (config) => apiClient(config),
+    authPaths: AUTH_PATHS,
+  })
+);
+
 /**
  * Extract error message from API response
  * Handles both response body errors and standard error messages
  */
-const extractErrorMessage = (error) => {
+export const extractErrorMessage = (error) => {
   if (error.response) {
     // Server responded with error status
     const errorData = error.response.data;
@@ -62,6 +126,51 @@ export const getAllStations = async () => {
   }
 };
 
+// Largest page the query endpoint serves (used by chart and map views)
+export const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Query a filtered, sorted page of charging stations
+ * @param {Object} params - Query options: page, pageSize, search, pinCode, connectorType,
+ *                          status, sort, lat, lng, radiusKm
+ * @returns {Promise} Promise that resolves to { items, page, pageSize, totalCount, totalPages,
+ *                    totalStations, statusCounts }
+ */
+export const queryStations = async (params = {}) => {
+  try {
+    // Drop empty values so they are not sent as blank query parameters
+    const queryParams = Object.fromEntries(
+      Object.entries(params).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+    );
+    const response = await apiClient.get('/queryChargingStations', { params: queryParams });
+    return response.data;
+  } catch (error) {
+    console.error('Error querying stations:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Fetch every station matching the filters, page by page (used by exports)
+ * @param {Object} params - Filter and sort options as for queryStations (page and pageSize are ignored)
+ * @returns {Promise} Promise that resolves to the stations array
+ */
+export const queryAllStations = async (params = {}) => {
+  const stations = [];
+  let page = 1;
+  let totalPages = 1;
+
+  while (page <= totalPages) {
+    const data = await queryStations({ ...params, page, pageSize: MAX_PAGE_SIZE });
+    stations.push(...(data.items || []));
+    totalPages = data.totalPages || 0;
+    page += 1;
+  }
+
+  return stations;
+};
+
 /**
  * Fetch a single station by ID
  * @param {string|number} id - Station ID
@@ -78,9 +187,133 @@ export const getStationById = async (id) => {
   }
 };
 
+/**
+ * Fetch the status change history of a station, newest first
+ * @param {string|number} id - Station ID
+ * @returns {Promise} Promise that resolves to an array of
+ *                    { fromStatus, toStatus, changedBy, changedAt, note }
+ */
+export const getStationStatusHistory = async (id) => {
+  try {
+    const response = await apiClient.get(`/getStationStatusHistory/${id}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching status history:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Fetch the audit log of a station (create, update and delete), newest first
+ * Works for deleted stations too
+ * @param {string|number} id - Station ID
+ * @returns {Promise} Promise that resolves to an array of
+ *                    { id, chargingStationId, stationName, action, actor, timestamp,
+ *                    changes: [{ field, oldValue, newValue }] }
+ */
+export const getStationAuditLog = async (id) => {
+  try {
+    const response = await apiClient.get(`/getStationAuditLog/${id}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching station audit log:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Query a page of the audit log for all stations, newest first
+ * @param {Object} params - Query options: page, pageSize, stationId, action, actor, from, to
+ * @returns {Promise} Promise that resolves to { items, page, pageSize, totalCount, totalPages }
+ */
+export const getAuditLog = async (params = {}) => {
+  try {
+    const response = await apiClient.get('/getAuditLog', { params });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Fetch station status history aggregated into time buckets
+ * @param {Object} params - Query options: from, to (ISO strings), interval ('hour' | 'day' | 'week'), stationId
+ * @returns {Promise} Promise that resolves to { from, to, interval, availabilityPercent, downtimeHours,
+ *                    buckets: [{ start, end, statusCounts, available, unavailable, total,
+ *                    availabilityPercent, downtimeHours }],
+ *                    stations: [{ stationId, stationName, currentStatus, availabilityPercent, downtimeHours }] }
+ */
+export const getStatusTimeSeries = async (params = {}) => {
+  try {
+    const response = await apiClient.get('/getStatusTimeSeries', { params });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching status time series:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Fetch a page of charging sessions, newest first
+ * @param {Object} params - Query options: page, pageSize, stationId, from, to (ISO strings)
+ * @returns {Promise} Promise that resolves to { items, page, pageSize, totalCount, totalPages }
+ */
+export const getChargingSessions = async (params = {}) => {
+  try {
+    const response = await apiClient.get('/getChargingSessions', { params });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching charging sessions:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Record a completed charging session that the charger did not report
+ * @param {Object} session - { chargingStationId, connectorId, startedAt, stoppedAt (ISO strings), energyKwh, idTag }
+ * @returns {Promise} Promise that resolves to the recorded session
+ */
+export const recordChargingSession = async (session) => {
+  try {
+    const response = await apiClient.post('/recordChargingSession', session);
+    return response.data;
+  } catch (error) {
+    console.error('Error recording charging session:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Fetch session usage for the stations matching the dashboard filters
+ * @param {Object} params - Dashboard filters (search, pinCode, connectorType, status, lat, lng, radiusKm)
+ *                          plus from, to (ISO strings) and utcOffsetMinutes for local days and hours
+ * @returns {Promise} Promise that resolves to { sessions, completedSessions, energyKwh, averageDurationMinutes,
+ *                    days: [{ date, sessions, energyKwh }],
+ *                    stations: [{ stationId, stationName, sessions, energyKwh, averageDurationMinutes }],
+ *                    startsByWeekdayHour: number[7][24] (Monday first) }
+ */
+export const getSessionAnalytics = async (params = {}) => {
+  try {
+    const response = await apiClient.get('/getSessionAnalytics', { params });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching session analytics:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
 /**
  * Create a new charging station
- * @param {Object} stationData - Station data object
+ * @param {Object} stationData - Station data object (latitude/longitude as numbers or null,
+ *                               optional statusNote for the status history)
  * @returns {Promise} Promise that resolves to the created station
  */
 export const createStation = async (stationData) => {
@@ -94,10 +327,54 @@ export const createStation = async (stationData) => {
   }
 };
 
+/**
+ * Create many stations at once (import wizard)
+ * Invalid rows and duplicates (same name and address) are reported, not created
+ * @param {Array<Object>} stations - Station payloads in spreadsheet row order
+ * @returns {Promise} Promise that resolves to { created, duplicates, invalid,
+ *                    rows: [{ index, outcome: 'Created' | 'Duplicate' | 'Invalid', stationId, error }] }
+ */
+export const importStations = async (stations) => {
+  try {
+    const response = await apiClient.post('/importChargingStations', { stations, skipDuplicates: true });
+    return response.data;
+  } catch (error) {
+    console.error('Error importing stations:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Upload a station image; the API stores a resized copy and a thumbnail
+ * @param {File} file - Image file from a file input
+ * @returns {Promise} Promise that resolves to { imageUrl, thumbnailUrl } for the station's imageUrl
+ */
+export const uploadStationImage = async (file) => {
+  try {
+    const formData = new FormData();
+    formData.append('file', file);
+    // Override the JSON default; the browser adds the multipart boundary
+    const response = await apiClient.post('/uploadStationImage', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error uploading station image:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
 /**
  * Update an existing charging station
+ * Sends stationData.version as If-Match so an edit of an out-of-date copy is rejected
+ * (the API requires it and answers 428 Precondition Required without it).
+ * On 409 Conflict the thrown error has conflict = { current, changedBy, changedAt }
+ * with the station as it is now saved.
  * @param {string|number} id - Station ID
- * @param {Object} stationData - Updated station data (should include id matching URL)
+ * @param {Object} stationData - Updated station data (should include id matching URL, latitude/longitude as numbers or null,
+ *                               and the version the edit started from)
  * @returns {Promise} Promise that resolves to the updated station
  */
 export const updateStation = async (id, stationData) => {
@@ -107,17 +384,23 @@ export const updateStation = async (id, stationData) => {
       ...stationData,
       id: parseInt(id), // Ensure id is a number
     };
-    const response = await apiClient.put(`/updateChargingStationById/${id}`, dataWithId);
+    const headers = stationData.version != null ? { 'If-Match': `"${stationData.version}"` } : {};
+    const response = await apiClient.put(`/updateChargingStationById/${id}`, dataWithId, { headers });
     return response.data;
   } catch (error) {
     console.error('Error updating station:', error);
     const errorMessage = extractErrorMessage(error);
-    throw new Error(errorMessage);
+    const updateError = new Error(errorMessage);
+    if (error.response?.status === 409 && error.response.data?.current) {
+      const { current, changedBy, changedAt } = error.response.data;
+      updateError.conflict = { current, changedBy, changedAt };
+    }
+    throw updateError;
   }
 };
 
 /**
- * Delete a charging station
+ * Delete a charging station (moves it to the recycle bin; see restoreStation and purgeStation)
  * @param {string|number} id - Station ID
  * @returns {Promise} Promise that resolves when deletion is complete
  */
@@ -131,3 +414,630 @@ export const deleteStation = async (id) => {
     throw new Error(errorMessage);
   }
 };
+
+/**
+ * Fetch the stations in the recycle bin, most recently deleted first
+ * @returns {Promise} Promise that resolves to an array of stations with deletedAt and deletedBy
+ */
+export const getDeletedStations = async () => {
+  try {
+    const response = await apiClient.get('/getDeletedChargingStations');
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching deleted stations:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Restore a station from the recycle bin
+ * @param {string|number} id - Station ID
+ * @returns {Promise} Promise that resolves to the restored station
+ */
+export const restoreStation = async (id) => {
+  try {
+    const response = await apiClient.post(`/restoreChargingStationById/${id}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error restoring station:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Permanently delete a station that is in the recycle bin
+ * @param {string|number} id - Station ID
+ * @returns {Promise} Promise that resolves when the station is purged
+ */
+export const purgeStation = async (id) => {
+  try {
+    const response = await apiClient.delete(`/purgeChargingStationById/${id}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error purging station:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Fetch all tariffs with their time-of-day bands, ordered by name
+ * @returns {Promise} Promise that resolves to [{ id, name, currency, pricePerKwh, pricePerMinute, sessionFee,
+ *                    idleFeePerMinute, idleGraceMinutes, connectorTypes, bands: [{ startTime, endTime,
+ *                    pricePerKwh, pricePerMinute }], updatedAt, updatedBy }]
+ */
+export const getTariffs = async () => {
+  try {
+    const response = await apiClient.get('/getTariffs');
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching tariffs:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Create a tariff (Admin role)
+ * @param {Object} tariff - Tariff without id
+ * @returns {Promise} Promise that resolves to the created tariff
+ */
+export const createTariff = async (tariff) => {
+  try {
+    const response = await apiClient.post('/addTariff', tariff);
+    return response.data;
+  } catch (error) {
+    console.error('Error creating tariff:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Update a tariff (Admin role); the sent bands and connector types replace the saved ones
+ * @param {string|number} id - Tariff ID
+ * @param {Object} tariff - Complete tariff
+ * @returns {Promise} Promise that resolves to the saved tariff
+ */
+export const updateTariff = async (id, tariff) => {
+  try {
+    const response = await apiClient.put(`/updateTariffById/${id}`, tariff);
+    return response.data;
+  } catch (error) {
+    console.error('Error updating tariff:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Delete a tariff (Admin role); its stations go back to connector type pricing
+ * @param {string|number} id - Tariff ID
+ * @returns {Promise} Promise that resolves when the tariff is deleted
+ */
+export const deleteTariff = async (id) => {
+  try {
+    const response = await apiClient.delete(`/deleteTariffById/${id}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error deleting tariff:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Fetch work orders, newest first
+ * Unresolved orders are always included; resolved ones only when resolved at or after resolvedSince
+ * @param {Object} [params]
+ * @param {string|number} [params.stationId] - Only orders of this station
+ * @param {string} [params.resolvedSince] - ISO time; omit to include every resolved order
+ * @returns {Promise} Promise that resolves to [{ id, chargingStationId, stationName, stationStatus, title,
+ *                    description, category, priority, assignee, dueDate, state, createdAt, createdBy,
+ *                    updatedAt, resolvedAt, resolvedBy, resolutionNote }]
+ */
+export const getWorkOrders = async (params = {}) => {
+  try {
+    const response = await apiClient.get('/getWorkOrders', { params });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching work orders:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Fetch the number of unresolved work orders per station
+ * @returns {Promise} Promise that resolves to { [stationId]: count }; stations without any are left out
+ */
+export const getOpenWorkOrderCounts = async () => {
+  try {
+    const response = await apiClient.get('/getOpenWorkOrderCounts');
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching open work order counts:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Create a work order (editor roles)
+ * @param {Object} workOrder - Work order without id
+ * @param {Object} [options]
+ * @param {boolean} [options.setStationMaintenance=false] - Also put the station into Maintenance
+ * @returns {Promise} Promise that resolves to the created work order (with the station's new status)
+ */
+export const createWorkOrder = async (workOrder, { setStationMaintenance = false } = {}) => {
+  try {
+    const response = await apiClient.post('/addWorkOrder', workOrder, {
+      params: { setStationMaintenance },
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error creating work order:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Update a work order (editor roles)
+ * @param {string|number} id - Work order ID
+ * @param {Object} workOrder - Complete work order
+ * @param {Object} [options]
+ * @param {boolean} [options.returnStationToOperational=false] - When this resolves the station's last
+ *                  unresolved order and the station is in Maintenance, set it back to Operational
+ * @returns {Promise} Promise that resolves to the saved work order (with the station's new status)
+ */
+export const updateWorkOrder = async (id, workOrder, { returnStationToOperational = false } = {}) => {
+  try {
+    const response = await apiClient.put(`/updateWorkOrderById/${id}`, workOrder, {
+      params: { returnStationToOperational },
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error updating work order:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Delete a work order (Admin role); the station's status is left as it is
+ * @param {string|number} id - Work order ID
+ * @returns {Promise} Promise that resolves when the work order is deleted
+ */
+export const deleteWorkOrder = async (id) => {
+  try {
+    const response = await apiClient.delete(`/deleteWorkOrderById/${id}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error deleting work order:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Get maintenance windows, by first start
+ * @param {Object} [params] - Optional filter: { stationId }
+ * @returns {Promise<Array>} Maintenance windows
+ */
+export const getMaintenanceWindows = async (params = {}) => {
+  try {
+    const response = await apiClient.get('/getMaintenanceWindows', { params });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching maintenance windows:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Get the occurrences of all maintenance windows in a time range, in time order
+ * @param {Object} [params] - { from, to, stationId } (ISO times; defaults to the next 7 days, at most 93 days)
+ * @returns {Promise<Array>} Occurrences: { windowId, reason, recurrence, startsAt, endsAt, stationIds }
+ */
+export const getMaintenanceOccurrences = async (params = {}) => {
+  try {
+    const response = await apiClient.get('/getMaintenanceOccurrences', { params });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching maintenance occurrences:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Schedule a maintenance window
+ * @param {Object} window - Window: { reason, startsAt, endsAt, recurrence, recurUntil, stationIds }
+ * @returns {Promise<Object>} Created window
+ */
+export const createMaintenanceWindow = async (window) => {
+  try {
+    const response = await apiClient.post('/addMaintenanceWindow', window);
+    return response.data;
+  } catch (error) {
+    console.error('Error creating maintenance window:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Update a maintenance window
+ * @param {number} id - Window ID
+ * @param {Object} window - Full window including id
+ * @returns {Promise<Object>} Updated window
+ */
+export const updateMaintenanceWindow = async (id, window) => {
+  try {
+    const response = await apiClient.put(`/updateMaintenanceWindowById/${id}`, window);
+    return response.data;
+  } catch (error) {
+    console.error('Error updating maintenance window:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Delete a maintenance window (Admin only); stations it holds get their status back shortly after
+ * @param {number} id - Window ID
+ * @returns {Promise<void>}
+ */
+export const deleteMaintenanceWindow = async (id) => {
+  try {
+    const response = await apiClient.delete(`/deleteMaintenanceWindowById/${id}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error deleting maintenance window:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Get all alert rules, by name (Admin only)
+ * @returns {Promise<Array>} Alert rules
+ */
+export const getAlertRules = async () => {
+  try {
+    const response = await apiClient.get('/getAlertRules');
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching alert rules:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Create an alert rule (Admin only)
+ * @param {Object} rule - Rule: { name, type, statuses, thresholdHours, thresholdPercent, pinCodePrefix,
+ *                        emailRecipients, notifyInApp, enabled }
+ * @returns {Promise<Object>} Created rule
+ */
+export const createAlertRule = async (rule) => {
+  try {
+    const response = await apiClient.post('/addAlertRule', rule);
+    return response.data;
+  } catch (error) {
+    console.error('Error creating alert rule:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Update an alert rule (Admin only)
+ * @param {number} id - Rule ID
+ * @param {Object} rule - Full rule including id
+ * @returns {Promise<Object>} Updated rule
+ */
+export const updateAlertRule = async (id, rule) => {
+  try {
+    const response = await apiClient.put(`/updateAlertRuleById/${id}`, rule);
+    return response.data;
+  } catch (error) {
+    console.error('Error updating alert rule:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Delete an alert rule (Admin only); notifications it sent are kept
+ * @param {number} id - Rule ID
+ * @returns {Promise<void>}
+ */
+export const deleteAlertRule = async (id) => {
+  try {
+    const response = await apiClient.delete(`/deleteAlertRuleById/${id}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error deleting alert rule:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Send a test alert through a rule's notification and email channels (Admin only)
+ * @param {number} id - Rule ID
+ * @returns {Promise<Object>} { notifiedInApp, emailedTo, emailErrors }
+ */
+export const testAlertRule = async (id) => {
+  try {
+    const response = await apiClient.post(`/testAlertRuleById/${id}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error testing alert rule:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Get the current user's newest notifications
+ * @param {Object} [params] - { unreadOnly, limit } (limit defaults to 50, at most 200)
+ * @returns {Promise<Object>} { items, unreadCount }; items are newest first
+ */
+export const getNotifications = async (params = {}) => {
+  try {
+    const response = await apiClient.get('/getNotifications', { params });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Mark one of the current user's notifications read or unread
+ * @param {number} id - Notification ID
+ * @param {boolean} [read=true] - False marks it unread again
+ * @returns {Promise<Object>} Updated notification
+ */
+export const markNotificationRead = async (id, read = true) => {
+  try {
+    const response = await apiClient.post(`/markNotificationRead/${id}`, null, { params: { read } });
+    return response.data;
+  } catch (error) {
+    console.error('Error updating notification:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Mark all of the current user's notifications read
+ * @returns {Promise<number>} Number of notifications marked
+ */
+export const markAllNotificationsRead = async () => {
+  try {
+    const response = await apiClient.post('/markAllNotificationsRead');
+    return response.data;
+  } catch (error) {
+    console.error('Error updating notifications:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Get all webhooks, by name, with their signing secrets (Admin only)
+ * @returns {Promise<Array>} Webhooks
+ */
+export const getWebhooks = async () => {
+  try {
+    const response = await apiClient.get('/getWebhooks');
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Create a webhook (Admin only); the API creates its signing secret
+ * @param {Object} webhook - { name, url, eventTypes, enabled }
+ * @returns {Promise<Object>} Created webhook with its secret
+ */
+export const createWebhook = async (webhook) => {
+  try {
+    const response = await apiClient.post('/addWebhook', webhook);
+    return response.data;
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Update a webhook (Admin only)
+ * @param {number} id - Webhook ID
+ * @param {Object} webhook - Full webhook including id
+ * @param {Object} [options] - { rotateSecret: true } replaces the signing secret
+ * @returns {Promise<Object>} Updated webhook
+ */
+export const updateWebhook = async (id, webhook, { rotateSecret = false } = {}) => {
+  try {
+    const response = await apiClient.put(`/updateWebhookById/${id}`, webhook, {
+      params: rotateSecret ? { rotateSecret } : undefined,
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Delete a webhook with its delivery log (Admin only)
+ * @param {number} id - Webhook ID
+ * @returns {Promise<void>}
+ */
+export const deleteWebhook = async (id) => {
+  try {
+    const response = await apiClient.delete(`/deleteWebhookById/${id}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Send a webhook.test event to a webhook now (Admin only)
+ * @param {number} id - Webhook ID
+ * @returns {Promise<Object>} The delivery, with the webhook's response code or error
+ */
+export const testWebhook = async (id) => {
+  try {
+    const response = await apiClient.post(`/testWebhookById/${id}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error testing webhook:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Get the webhook delivery log, newest first (Admin only)
+ * @param {Object} [params] - { webhookId, status, limit } (limit defaults to 50, at most 200)
+ * @returns {Promise<Array>} Deliveries
+ */
+export const getWebhookDeliveries = async (params = {}) => {
+  try {
+    const response = await apiClient.get('/getWebhookDeliveries', { params });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Queue a succeeded or failed webhook delivery to be sent again (Admin only)
+ * @param {number} id - Delivery ID
+ * @returns {Promise<Object>} The delivery, pending again
+ */
+export const redeliverWebhookDelivery = async (id) => {
+  try {
+    const response = await apiClient.post(`/redeliverWebhookDeliveryById/${id}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error redelivering webhook event:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Get reservations with driver details that overlap a time range, by start (editor roles)
+ * @param {Object} [params] - { stationId, from, to, includeCancelled } (ISO times; defaults to the next 7 days, at most 93 days)
+ * @returns {Promise<Array>} Reservations: { id, chargingStationId, connectorId, startsAt, endsAt, driverName,
+ *                           driverPhone, driverEmail, note, status, createdAt, createdBy, cancelledAt, cancelledBy }
+ */
+export const getReservations = async (params = {}) => {
+  try {
+    const response = await apiClient.get('/getReservations', { params });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching reservations:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Get booked slots that overlap a time range, without driver details, by start
+ * @param {Object} [params] - { stationId, from, to } (ISO times; defaults to the next 7 days, at most 93 days)
+ * @returns {Promise<Array>} Slots: { id, chargingStationId, connectorId, startsAt, endsAt }
+ */
+export const getReservationSlots = async (params = {}) => {
+  try {
+    const response = await apiClient.get('/getReservationSlots', { params });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching reservation slots:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
+
+/**
+ * Error for a reservation request, with conflict = { reservations, maintenance } on 409 Conflict
+ * when the slot overlaps another booking of the connector or maintenance at the station
+ */
+const toReservationError = (error) => {
+  const reservationError = new Error(extractErrorMessage(error));
+  if (error.response?.status === 409 && error.response.data?.message) {
+    const { reservations = [], maintenance = [] } = error.response.data;
+    reservationError.conflict = { reservations, maintenance };
+  }
+  return reservationError;
+};
+
+/**
+ * Book a connector for a driver (editor roles)
+ * On 409 Conflict the thrown error has conflict = { reservations, maintenance }.
+ * @param {Object} reservation - { chargingStationId, connectorId, startsAt, endsAt, driverName, driverPhone, driverEmail, note }
+ * @returns {Promise<Object>} Created reservation
+ */
+export const createReservation = async (reservation) => {
+  try {
+    const response = await apiClient.post('/addReservation', reservation);
+    return response.data;
+  } catch (error) {
+    console.error('Error creating reservation:', error);
+    throw toReservationError(error);
+  }
+};
+
+/**
+ * Move a booking or edit its driver details (editor roles)
+ * On 409 Conflict the thrown error has conflict = { reservations, maintenance }.
+ * @param {number} id - Reservation ID
+ * @param {Object} reservation - Full reservation including id
+ * @returns {Promise<Object>} Updated reservation
+ */
+export const updateReservation = async (id, reservation) => {
+  try {
+    const response = await apiClient.put(`/updateReservationById/${id}`, reservation);
+    return response.data;
+  } catch (error) {
+    console.error('Error updating reservation:', error);
+    throw toReservationError(error);
+  }
+};
+
+/**
+ * Cancel a booking, freeing the connector (editor roles)
+ * @param {number} id - Reservation ID
+ * @returns {Promise<Object>} The cancelled reservation
+ */
+export const cancelReservation = async (id) => {
+  try {
+    const response = await apiClient.post(`/cancelReservationById/${id}`);
+    return response.data;
+  } catch (error) {
+    console.error('Error cancelling reservation:', error);
+    const errorMessage = extractErrorMessage(error);
+    throw new Error(errorMessage);
+  }
+};
@@ -0,0 +1,116 @@
+import { API_BASE_URL, refreshAccessToken } from './stationApi';
+import { getSession } from './authStorage';
+import { createSseParser } from '../utils/sse';
+
+// Wait before each reconnect attempt; the last delay repeats
+const RECONNECT_DELAYS_MS = [1000, 2000, 5000, 10000, 30000];
+
+/**
+ * Connection states reported to onStatusChange
+ */
+export const CONNECTION_STATUS = {
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
+  CLOSED: 'closed', // Stopped by the caller, or signed out
+};
+
+/**
+ * Follow live station changes from the API's Server-Sent Events stream
+ * Uses fetch rather than EventSource so the access token can be sent as a header.
+ * Reconnects with backoff when the stream drops or the token expires.
+ * @param {Object} handlers
+ * @param {Function} handlers.onEvent - Called with each StationEvent
+ *                   ({ type, stationId, station, previousStatus, actor, timestamp })
+ * @param {Function} handlers.onStatusChange - Called with a CONNECTION_STATUS value
+ * @returns {Function} Stop following and close the stream
+ */
+export const connectStationEvents = ({ onEvent, onStatusChange }) => {
+  let stopped = false;
+  let controller = null;
+  let retryTimer = null;
+  let attempt = 0;
+
+  const setStatus = (status) => {
+    if (!stopped && onStatusChange) {
+      onStatusChange(status);
+    }
+  };
+
+  const scheduleReconnect = () => {
+    if (stopped) return;
+    setStatus(CONNECTION_STATUS.RECONNECTING);
+    const delay = RECONNECT_DELAYS_MS[Math.min(attempt, RECONNECT_DELAYS_MS.length - 1)];
+    attempt += 1;
+    retryTimer = setTimeout(connect, delay);
+  };
+
+  const handleMessage = ({ event, data }) => {
+    if (event === 'ready') {
+      attempt = 0;
+      setStatus(CONNECTION_STATUS.CONNECTED);
+    } else if (event === 'station' && onEvent) {
+      try {
+        onEvent(JSON.parse(data));
+      } catch (err) {
+        console.error('Ignoring malformed station event:', err);
+      }
+    }
+  };
+
+  async function connect() {
+    if (stopped) return;
+    controller = new AbortController();
+    try {
+      const session = getSession();
+      if (!session?.accessToken) {
+        setStatus(CONNECTION_STATUS.CLOSED);
+        return;
+      }
+
+      const response = await fetch(`${API_BASE_URL}/stationEvents`, {
+        headers: { Accept: 'text/event-stream', Authorization: `Bearer ${session.accessToken}` },
+        signal: controller.signal,
+      });
+
+      // Expired access token: refresh (signs out when that fails) and try again
+      if (response.status === 401) {
+        await refreshAccessToken();
+        scheduleReconnect();
+        return;
+      }
+      if (!response.ok || !response.body) {
+        throw new Error(`Event stream failed: ${response.status}`);
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      const feed = createSseParser(handleMessage);
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        feed(decoder.decode(value, { stream: true }));
+      }
+      // The server ends the stream when the access token expires
+      scheduleReconnect();
+    } catch (err) {
+      if (stopped) return;
+      if (!getSession()) {
+        setStatus(CONNECTION_STATUS.CLOSED); // Refresh failed and the user was signed out
+        return;
+      }
+      scheduleReconnect();
+    }
+  }
+
+  setStatus(CONNECTION_STATUS.CONNECTING);
+  connect();
+
+  return () => {
+    stopped = true;
+    clearTimeout(retryTimer);
+    if (controller) {
+      controller.abort();
+    }
+  };
+};
@@ -0,0 +1,129 @@
+/**
+ * Alert Utilities
+ *
+ * Client-side checks and the API payload for the alert rule form, a one-line
+ * summary of a rule, and relative times for the notification center.
+ */
+import {
+  MAX_EMAIL_RECIPIENTS,
+  MAX_PIN_CODE_PREFIX_LENGTH,
+  MAX_RULE_NAME_LENGTH,
+  MAX_THRESHOLD_HOURS,
+  getAlertRuleType,
+} from '../constants/alerts';
+
+// Loose check; the API has the final say
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+/**
+ * Addresses typed into the recipients box
+ * @param {string|Array} value - Addresses separated by commas, semicolons, spaces or new lines (or an array)
+ * @returns {Array<string>} Trimmed, de-duplicated addresses
+ */
+export const parseEmailList = (value) => {
+  const parts = Array.isArray(value) ? value : String(value || '').split(/[\s,;]+/);
+  const seen = new Set();
+  return parts
+    .map((part) => part.trim())
+    .filter((part) => {
+      const key = part.toLowerCase();
+      if (!part || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Check an alert rule form before it is sent
+ * @param {Object} rule - Form values (thresholds as strings, recipients as text)
+ * @returns {string|null} Error message, or null when the rule can be saved
+ */
+export const validateAlertRule = (rule) => {
+  const name = (rule.name || '').trim();
+  if (!name) return 'Name is required';
+  if (name.length > MAX_RULE_NAME_LENGTH) return `Name must be at most ${MAX_RULE_NAME_LENGTH} characters`;
+
+  if (getAlertRuleType(rule.type).usesStatuses && !rule.statuses?.length) return 'Choose at least one status';
+
+  if (rule.type === 'DownTooLong') {
+    const hours = Number(rule.thresholdHours);
+    if (!(hours > 0 && hours <= MAX_THRESHOLD_HOURS)) {
+      return `Hours must be more than 0 and at most ${MAX_THRESHOLD_HOURS}`;
+    }
+  }
+
+  if (rule.type === 'AvailabilityBelow') {
+    const percent = Number(rule.thresholdPercent);
+    if (!(percent > 0 && percent <= 100)) return 'Percentage must be more than 0 and at most 100';
+  }
+
+  if ((rule.pinCodePrefix || '').trim().length > MAX_PIN_CODE_PREFIX_LENGTH) {
+    return `Pin code prefix must be at most ${MAX_PIN_CODE_PREFIX_LENGTH} characters`;
+  }
+
+  const recipients = parseEmailList(rule.emailRecipients);
+  if (recipients.length > MAX_EMAIL_RECIPIENTS) return `At most ${MAX_EMAIL_RECIPIENTS} email addresses`;
+  const invalid = recipients.find((address) => !EMAIL_PATTERN.test(address));
+  if (invalid) return `"${invalid}" is not a valid email address`;
+  if (!rule.notifyInApp && recipients.length === 0) return 'Notify in the app, by email, or both';
+
+  return null;
+};
+
+/**
+ * Alert rule as the API expects it
+ * @param {Object} rule - Form values
+ * @returns {Object} Payload with only the fields the rule type uses
+ */
+export const toAlertRulePayload = (rule) => {
+  const pinCodePrefix = (rule.pinCodePrefix || '').trim();
+  return {
+    ...(rule.id != null && { id: rule.id }),
+    name: (rule.name || '').trim(),
+    type: rule.type,
+    statuses: getAlertRuleType(rule.type).usesStatuses ? rule.statuses : [],
+    thresholdHours: rule.type === 'DownTooLong' ? Number(rule.thresholdHours) : null,
+    thresholdPercent: rule.type === 'AvailabilityBelow' ? Number(rule.thresholdPercent) : null,
+    pinCodePrefix: pinCodePrefix || null,
+    emailRecipients: parseEmailList(rule.emailRecipients),
+    notifyInApp: Boolean(rule.notifyInApp),
+    enabled: Boolean(rule.enabled),
+  };
+};
+
+/**
+ * One-line description of what a rule watches
+ * @param {Object} rule - Rule from the API
+ * @returns {string} e.g. "Maintenance or Offline for more than 4 h · pin codes 560*"
+ */
+export const describeAlertRule = (rule) => {
+  const statuses = (rule.statuses || []).join(' or ');
+  let condition;
+  if (rule.type === 'DownTooLong') {
+    condition = `${statuses} for more than ${rule.thresholdHours} h`;
+  } else if (rule.type === 'AvailabilityBelow') {
+    condition = `Less than ${rule.thresholdPercent}% of in-service stations available`;
+  } else {
+    condition = `Enters ${statuses}`;
+  }
+  const area = rule.pinCodePrefix ? `pin codes ${rule.pinCodePrefix}*` : 'all stations';
+  return `${condition} · ${area}`;
+};
+
+/**
+ * Short relative time for a notification
+ * @param {string} value - Time from the API
+ * @param {Date} [now=new Date()]
+ * @returns {string} "just now", "5 min ago", "3 h ago", "2 d ago", or the date after a week
+ */
+export const formatTimeAgo = (value, now = new Date()) => {
+  const date = new Date(value);
+  const minutes = Math.floor((now - date) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  const days = Math.floor(hours / 24);
+  if (days < 7) return `${days} d ago`;
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
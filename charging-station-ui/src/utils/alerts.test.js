@@ -0,0 +1,69 @@
+import { describeAlertRule, formatTimeAgo, parseEmailList, toAlertRulePayload, validateAlertRule } from './alerts';
+import { createAlertRule } from '../constants/alerts';
+
+const rule = (overrides) => ({ ...createAlertRule(), name: 'Stations down', ...overrides });
+
+describe('parseEmailList', () => {
+  test('splits on commas, semicolons and whitespace and drops repeats', () => {
+    expect(parseEmailList('ops@example.com, Ops@example.com;\nlead@example.com ')).toEqual([
+      'ops@example.com',
+      'lead@example.com',
+    ]);
+    expect(parseEmailList('')).toEqual([]);
+  });
+});
+
+describe('validateAlertRule', () => {
+  test('accepts the default rule once named', () => {
+    expect(validateAlertRule(rule())).toBeNull();
+    expect(validateAlertRule(rule({ name: ' ' }))).toMatch(/Name/);
+  });
+
+  test('checks the fields of each rule type', () => {
+    expect(validateAlertRule(rule({ statuses: [] }))).toMatch(/status/);
+    expect(validateAlertRule(rule({ type: 'DownTooLong', thresholdHours: '0' }))).toMatch(/Hours/);
+    expect(validateAlertRule(rule({ type: 'AvailabilityBelow', statuses: [], thresholdPercent: '120' }))).toMatch(
+      /Percentage/
+    );
+  });
+
+  test('needs a valid delivery channel', () => {
+    expect(validateAlertRule(rule({ emailRecipients: 'not-an-address' }))).toMatch(/valid email/);
+    expect(validateAlertRule(rule({ notifyInApp: false }))).toMatch(/email, or both/);
+    expect(validateAlertRule(rule({ notifyInApp: false, emailRecipients: 'ops@example.com' }))).toBeNull();
+  });
+});
+
+describe('toAlertRulePayload', () => {
+  test('sends only the fields the rule type uses', () => {
+    const payload = toAlertRulePayload(
+      rule({ type: 'AvailabilityBelow', pinCodePrefix: ' 560 ', emailRecipients: 'ops@example.com' })
+    );
+    expect(payload).toMatchObject({
+      type: 'AvailabilityBelow',
+      statuses: [],
+      thresholdHours: null,
+      thresholdPercent: 80,
+      pinCodePrefix: '560',
+      emailRecipients: ['ops@example.com'],
+    });
+  });
+});
+
+describe('describeAlertRule', () => {
+  test('summarises the condition and area', () => {
+    expect(
+      describeAlertRule({ type: 'DownTooLong', statuses: ['Maintenance'], thresholdHours: 4, pinCodePrefix: '560' })
+    ).toBe('Maintenance for more than 4 h · pin codes 560*');
+  });
+});
+
+describe('formatTimeAgo', () => {
+  test('uses minutes, hours and days', () => {
+    const now = new Date('2024-03-10T12:00:00Z');
+    expect(formatTimeAgo('2024-03-10T11:59:30Z', now)).toBe('just now');
+    expect(formatTimeAgo('2024-03-10T11:55:00Z', now)).toBe('5 min ago');
+    expect(formatTimeAgo('2024-03-10T09:00:00Z', now)).toBe('3 h ago');
+    expect(formatTimeAgo('2024-03-08T12:00:00Z', now)).toBe('2 d ago');
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Audit Log Utilities
+ *
+ * Text helpers for showing audit entries in the Activity panel.
+ */
+
+import { getAuditFieldLabel } from '../constants/auditActions';
+
+/**
+ * One-line summary of an audit entry
+ * @param {Object} entry - Audit entry ({ action, changes })
+ * @returns {string} e.g. "Changed Status and Address" or "Created with 6 fields"
+ */
+export const summarizeAuditEntry = (entry) => {
+  const changes = entry?.changes || [];
+
+  if (entry?.action === 'Created') {
+    return `Created with ${changes.length} ${changes.length === 1 ? 'field' : 'fields'}`;
+  }
+
+  if (entry?.action === 'Deleted') {
+    return 'Moved to the recycle bin';
+  }
+
+  if (entry?.action === 'Restored') {
+    return 'Restored from the recycle bin';
+  }
+
+  if (entry?.action === 'Purged') {
+    return 'Permanently deleted';
+  }
+
+  if (changes.length === 0) {
+    return 'No field changes';
+  }
+
+  const labels = changes.map((change) => getAuditFieldLabel(change.field));
+  if (labels.length <= 2) {
+    return `Changed ${labels.join(' and ')}`;
+  }
+  return `Changed ${labels.slice(0, 2).join(', ')} and ${labels.length - 2} more`;
+};
+
+/**
+ * Display text for a before/after value
+ * @param {string|null} value - Stored audit value
+ * @returns {string} The value, or an em dash when it was empty
+ */
+export const formatAuditValue = (value) => (value == null || value === '' ? '—' : value);
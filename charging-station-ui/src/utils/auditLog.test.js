@@ -0,0 +1,38 @@
+import { summarizeAuditEntry, formatAuditValue } from './auditLog';
+
+describe('summarizeAuditEntry', () => {
+  test('names up to two changed fields', () => {
+    const entry = {
+      action: 'Updated',
+      changes: [{ field: 'Status' }, { field: 'LocationAddress' }],
+    };
+    expect(summarizeAuditEntry(entry)).toBe('Changed Status and Address');
+  });
+
+  test('counts the rest of a long change list', () => {
+    const entry = {
+      action: 'Updated',
+      changes: [{ field: 'StationName' }, { field: 'PinCode' }, { field: 'Latitude' }, { field: 'Longitude' }],
+    };
+    expect(summarizeAuditEntry(entry)).toBe('Changed Name, Pin code and 2 more');
+  });
+
+  test('describes creates, deletes, restores and purges', () => {
+    expect(summarizeAuditEntry({ action: 'Created', changes: [{ field: 'StationName' }] })).toBe(
+      'Created with 1 field'
+    );
+    expect(summarizeAuditEntry({ action: 'Deleted', changes: [] })).toBe('Moved to the recycle bin');
+    expect(summarizeAuditEntry({ action: 'Restored', changes: [] })).toBe('Restored from the recycle bin');
+    expect(summarizeAuditEntry({ action: 'Purged', changes: [{ field: 'StationName' }] })).toBe(
+      'Permanently deleted'
+    );
+  });
+});
+
+describe('formatAuditValue', () => {
+  test('shows a dash for empty values', () => {
+    expect(formatAuditValue(null)).toBe('—');
+    expect(formatAuditValue('')).toBe('—');
+    expect(formatAuditValue('Offline')).toBe('Offline');
+  });
+});
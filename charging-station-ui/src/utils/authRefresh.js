@@ -0,0 +1,62 @@
+/**
+ * Auth Refresh Helpers
+ *
+ * Token refresh shared by concurrent requests, and the axios response error
+ * handler that refreshes the session once after a 401 and retries the request.
+ * Wired up in stationApi; kept free of axios and session storage.
+ */
+
+/**
+ * Share one refresh between concurrent callers
+ * @param {Function} refresh - Starts a refresh, resolving to the new access token
+ * @param {Function} [onFailure] - Called once per failed refresh (e.g. to sign out)
+ * @returns {Function} () => Promise<string> joining the refresh in progress or starting one
+ */
+export const createSharedRefresh = (refresh, onFailure) => {
+  let pending = null;
+
+  return () => {
+    if (!pending) {
+      pending = Promise.resolve()
+        .then(refresh)
+        .catch((error) => {
+          onFailure?.(error);
+          throw error;
+        })
+        .finally(() => {
+          pending = null;
+        });
+    }
+    return pending;
+  };
+};
+
+/**
+ * Build the response error handler that refreshes the session and retries once
+ * Other errors, requests already retried and requests to authPaths are rejected
+ * unchanged; when the refresh fails the original 401 is rejected
+ * @param {Object} options
+ * @param {Function} options.refresh - Shared refresh resolving to the new access token
+ * @param {Function} options.retry - Sends a request config again (the axios instance)
+ * @param {Array} [options.authPaths] - URL prefixes that never trigger a refresh
+ * @returns {Function} async (error) => response of the retried request
+ */
+export const createRefreshRetryHandler = ({ refresh, retry, authPaths = [] }) => async (error) => {
+  const original = error.config;
+  const isAuthRequest = authPaths.some((path) => original?.url?.startsWith(path));
+
+  if (error.response?.status !== 401 || !original || original._retried || isAuthRequest) {
+    throw error;
+  }
+
+  original._retried = true;
+  let accessToken;
+  try {
+    accessToken = await refresh();
+  } catch (refreshError) {
+    throw error;
+  }
+
+  original.headers.Authorization = `Bearer ${accessToken}`;
+  return retry(original);
+};
@@ -0,0 +1,108 @@
+import { createRefreshRetryHandler, createSharedRefresh } from './authRefresh';
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+const unauthorized = (url = '/chargingstations') => ({
+  config: { url, headers: {} },
+  response: { status: 401 },
+});
+
+describe('createSharedRefresh', () => {
+  test('shares one refresh between concurrent callers', async () => {
+    const pending = deferred();
+    const refresh = jest.fn(() => pending.promise);
+    const shared = createSharedRefresh(refresh);
+
+    const first = shared();
+    const second = shared();
+    pending.resolve('token-1');
+
+    await expect(Promise.all([first, second])).resolves.toEqual(['token-1', 'token-1']);
+    expect(refresh).toHaveBeenCalledTimes(1);
+  });
+
+  test('starts a new refresh once the previous one has settled', async () => {
+    const refresh = jest.fn().mockResolvedValueOnce('token-1').mockResolvedValueOnce('token-2');
+    const shared = createSharedRefresh(refresh);
+
+    await expect(shared()).resolves.toBe('token-1');
+    await expect(shared()).resolves.toBe('token-2');
+    expect(refresh).toHaveBeenCalledTimes(2);
+  });
+
+  test('calls onFailure once for a failed refresh shared by several callers', async () => {
+    const onFailure = jest.fn();
+    const shared = createSharedRefresh(() => Promise.reject(new Error('Invalid refresh token')), onFailure);
+
+    const results = await Promise.allSettled([shared(), shared()]);
+    expect(results.map((result) => result.status)).toEqual(['rejected', 'rejected']);
+    expect(onFailure).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('createRefreshRetryHandler', () => {
+  test('refreshes once for concurrent 401s and retries each request with the new token', async () => {
+    const refresh = jest.fn(() => Promise.resolve('new-token'));
+    const retry = jest.fn((config) => Promise.resolve({ status: 200, config }));
+    const handle = createRefreshRetryHandler({ refresh: createSharedRefresh(refresh), retry });
+
+    const responses = await Promise.all([handle(unauthorized('/a')), handle(unauthorized('/b'))]);
+
+    expect(refresh).toHaveBeenCalledTimes(1);
+    expect(retry).toHaveBeenCalledTimes(2);
+    expect(responses.map((response) => response.config.headers.Authorization)).toEqual([
+      'Bearer new-token',
+      'Bearer new-token',
+    ]);
+  });
+
+  test('retries a request only once', async () => {
+    const refresh = jest.fn(() => Promise.resolve('new-token'));
+    const retry = jest.fn();
+    const handle = createRefreshRetryHandler({ refresh, retry });
+    const error = unauthorized();
+    error.config._retried = true;
+
+    await expect(handle(error)).rejects.toBe(error);
+    expect(refresh).not.toHaveBeenCalled();
+    expect(retry).not.toHaveBeenCalled();
+  });
+
+  test('passes through other errors and 401s from auth endpoints', async () => {
+    const refresh = jest.fn();
+    const handle = createRefreshRetryHandler({ refresh, retry: jest.fn(), authPaths: ['/auth/login'] });
+    const serverError = { config: { url: '/chargingstations', headers: {} }, response: { status: 500 } };
+    const loginError = unauthorized('/auth/login');
+
+    await expect(handle(serverError)).rejects.toBe(serverError);
+    await expect(handle(loginError)).rejects.toBe(loginError);
+    expect(refresh).not.toHaveBeenCalled();
+  });
+
+  test('rejects with the original 401 when the refresh fails', async () => {
+    const retry = jest.fn();
+    const handle = createRefreshRetryHandler({ refresh: () => Promise.reject(new Error('Not signed in')), retry });
+    const error = unauthorized();
+
+    await expect(handle(error)).rejects.toBe(error);
+    expect(retry).not.toHaveBeenCalled();
+  });
+
+  test('rejects with the error of the retried request when it fails', async () => {
+    const retryError = { response: { status: 403 } };
+    const handle = createRefreshRetryHandler({
+      refresh: () => Promise.resolve('new-token'),
+      retry: () => Promise.reject(retryError),
+    });
+
+    await expect(handle(unauthorized())).rejects.toBe(retryError);
+  });
+});
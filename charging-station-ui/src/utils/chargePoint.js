@@ -0,0 +1,40 @@
+/**
+ * Charge Point Utilities
+ *
+ * Live connector state a station's OCPP charger reports, in the shape the
+ * cards and the detail page show it.
+ */
+
+/**
+ * Outlets the linked charger has reported, by connector number
+ * Connector 0 is the charger itself and is left out.
+ * @param {Object} station - Station object from the API
+ * @returns {Array} Charge point connectors
+ */
+export const getChargePointConnectors = (station) =>
+  (station?.chargePointConnectors || [])
+    .filter((connector) => connector.connectorId > 0)
+    .sort((a, b) => a.connectorId - b.connectorId);
+
+/**
+ * Energy delivered in the connector's running transaction
+ * @param {Object} connector - Charge point connector
+ * @returns {number|null} kWh, or null when no transaction is running
+ */
+export const getSessionEnergyKwh = (connector) => {
+  if (connector?.transactionId == null || connector.meterStartWh == null || connector.meterWh == null) {
+    return null;
+  }
+  return Math.max(0, connector.meterWh - connector.meterStartWh) / 1000;
+};
+
+/**
+ * Short text for a power or energy reading
+ * @param {number|null} value - Reading
+ * @param {string} unit - Unit label (kW, kWh)
+ * @returns {string} e.g. "7.2 kW", or '' when there is no reading
+ */
+export const formatReading = (value, unit) => {
+  if (value == null || !Number.isFinite(value)) return '';
+  return `${value >= 100 ? Math.round(value) : Math.round(value * 10) / 10} ${unit}`;
+};
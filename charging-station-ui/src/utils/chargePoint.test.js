@@ -0,0 +1,39 @@
+import { formatReading, getChargePointConnectors, getSessionEnergyKwh } from './chargePoint';
+
+describe('getChargePointConnectors', () => {
+  test('leaves out connector 0 and sorts by connector number', () => {
+    const station = {
+      chargePointConnectors: [
+        { connectorId: 2, status: 'Available' },
+        { connectorId: 0, status: 'Available' },
+        { connectorId: 1, status: 'Charging' },
+      ],
+    };
+    expect(getChargePointConnectors(station).map((c) => c.connectorId)).toEqual([1, 2]);
+  });
+
+  test('handles stations without a charger', () => {
+    expect(getChargePointConnectors({})).toEqual([]);
+  });
+});
+
+describe('getSessionEnergyKwh', () => {
+  test('returns energy since the transaction started', () => {
+    expect(getSessionEnergyKwh({ transactionId: 7, meterStartWh: 1000, meterWh: 13500 })).toBe(12.5);
+  });
+
+  test('returns null without a running transaction', () => {
+    expect(getSessionEnergyKwh({ transactionId: null, meterStartWh: null, meterWh: 13500 })).toBeNull();
+  });
+});
+
+describe('formatReading', () => {
+  test('rounds to one decimal below 100', () => {
+    expect(formatReading(7.26, 'kW')).toBe('7.3 kW');
+    expect(formatReading(150.4, 'kW')).toBe('150 kW');
+  });
+
+  test('returns empty text without a reading', () => {
+    expect(formatReading(null, 'kWh')).toBe('');
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * CSV Utilities
+ *
+ * Minimal RFC 4180 parser for spreadsheet exports: quoted fields, escaped
+ * quotes ("") and line breaks inside quotes, CRLF or LF line endings.
+ */
+
+/**
+ * Parse CSV text into rows of cells
+ * Blank lines are dropped and a leading byte order mark is ignored.
+ * @param {string} text - CSV file contents
+ * @param {string} delimiter - Field separator (default comma)
+ * @returns {Array<Array<string>>} Rows of cell strings
+ */
+export const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.startsWith('\uFEFF') ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.some((value) => value.trim() !== '')) {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
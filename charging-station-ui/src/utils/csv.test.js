@@ -0,0 +1,22 @@
+import { parseCsv } from './csv';
+
+describe('parseCsv', () => {
+  test('splits rows and cells with CRLF or LF endings', () => {
+    expect(parseCsv('a,b\r\n1,2\n3,4')).toEqual([
+      ['a', 'b'],
+      ['1', '2'],
+      ['3', '4'],
+    ]);
+  });
+
+  test('handles quoted commas, quotes and line breaks', () => {
+    expect(parseCsv('name,address\n"Hub ""A""","12, MG Road\nBengaluru"\n')).toEqual([
+      ['name', 'address'],
+      ['Hub "A"', '12, MG Road\nBengaluru'],
+    ]);
+  });
+
+  test('drops blank lines and a byte order mark', () => {
+    expect(parseCsv('\uFEFFname\n\n,\nHub\n')).toEqual([['name'], ['Hub']]);
+  });
+});
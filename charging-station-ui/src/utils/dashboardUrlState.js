@@ -0,0 +1,92 @@
+import { parseCoordinateInput } from './geo';
+
+/**
+ * Dashboard URL State
+ *
+ * Converts Dashboard view, page, filters and sort to and from the URL query string,
+ * so a filtered page can be shared as a link.
+ */
+
+export const DEFAULT_VIEW_MODE = 'graph';
+export const DEFAULT_SORT = 'name';
+export const DEFAULT_RADIUS_KM = 25;
+
+const VIEW_MODES = ['graph', 'list', 'map', 'board'];
+const SORT_OPTIONS = ['name', '-name', 'createdAt', '-createdAt', 'status', '-status', 'distance'];
+
+/**
+ * Empty filter set
+ */
+export const createEmptyFilters = (radiusKm = DEFAULT_RADIUS_KM) => ({
+  search: '',
+  pinCode: '',
+  connectorType: '',
+  status: '',
+  near: null,
+  radiusKm,
+});
+
+/**
+ * Read Dashboard state from a query string
+ * Unknown or invalid values fall back to defaults
+ * @param {string} search - Query string such as window.location.search
+ * @returns {{viewMode: string, page: number, filters: Object, sortBy: string}}
+ */
+export const parseDashboardState = (search) => {
+  const params = new URLSearchParams(search);
+
+  const viewMode = VIEW_MODES.includes(params.get('view')) ? params.get('view') : DEFAULT_VIEW_MODE;
+  const page = Math.max(parseInt(params.get('page'), 10) || 1, 1);
+  const radiusKm = parseInt(params.get('radius'), 10);
+
+  const nearCoords = parseCoordinateInput(params.get('near'));
+  const near = nearCoords
+    ? { ...nearCoords, label: params.get('nearLabel') || `${nearCoords.lat}, ${nearCoords.lng}` }
+    : null;
+
+  // Distance sort only makes sense with an origin
+  let sortBy = SORT_OPTIONS.includes(params.get('sort')) ? params.get('sort') : DEFAULT_SORT;
+  if (sortBy === 'distance' && !near) {
+    sortBy = DEFAULT_SORT;
+  }
+
+  return {
+    viewMode,
+    page,
+    sortBy,
+    filters: {
+      search: params.get('q') || '',
+      pinCode: params.get('pin') || '',
+      connectorType: params.get('connector') || '',
+      status: params.get('status') || '',
+      near,
+      radiusKm: radiusKm > 0 ? radiusKm : DEFAULT_RADIUS_KM,
+    },
+  };
+};
+
+/**
+ * Build a query string for Dashboard state
+ * Default values are left out to keep links short
+ * @param {{viewMode: string, page: number, filters: Object, sortBy: string}} state
+ * @returns {string} Query string including the leading "?", or "" when everything is default
+ */
+export const buildDashboardSearch = ({ viewMode, page, filters, sortBy }) => {
+  const params = new URLSearchParams();
+
+  if (viewMode && viewMode !== DEFAULT_VIEW_MODE) params.set('view', viewMode);
+  if (page > 1) params.set('page', page.toString());
+  if (filters.search) params.set('q', filters.search);
+  if (filters.pinCode) params.set('pin', filters.pinCode);
+  if (filters.connectorType) params.set('connector', filters.connectorType);
+  if (filters.status) params.set('status', filters.status);
+  if (filters.near) {
+    params.set('near', `${filters.near.lat},${filters.near.lng}`);
+    if (filters.near.label) params.set('nearLabel', filters.near.label);
+    if (filters.radiusKm !== DEFAULT_RADIUS_KM) params.set('radius', filters.radiusKm.toString());
+  }
+  if (sortBy && sortBy !== DEFAULT_SORT) params.set('sort', sortBy);
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
@@ -0,0 +1,43 @@
+import { parseDashboardState, buildDashboardSearch, createEmptyFilters } from './dashboardUrlState';
+
+describe('dashboard URL state', () => {
+  test('uses defaults for an empty query string', () => {
+    expect(parseDashboardState('')).toEqual({
+      viewMode: 'graph',
+      page: 1,
+      sortBy: 'name',
+      filters: createEmptyFilters(),
+    });
+    expect(buildDashboardSearch(parseDashboardState(''))).toBe('');
+  });
+
+  test('round-trips filters, page, view and sort', () => {
+    const state = {
+      viewMode: 'list',
+      page: 3,
+      sortBy: 'distance',
+      filters: {
+        search: 'mall',
+        pinCode: '5600',
+        connectorType: 'CCS2_DC',
+        status: 'Operational',
+        near: { lat: 12.97, lng: 77.59, label: 'Office' },
+        radiusKm: 10,
+      },
+    };
+
+    expect(parseDashboardState(buildDashboardSearch(state))).toEqual(state);
+  });
+
+  test('accepts the work order board view', () => {
+    expect(parseDashboardState('?view=board').viewMode).toBe('board');
+  });
+
+  test('ignores invalid values', () => {
+    const state = parseDashboardState('?view=table&page=-2&sort=distance&near=abc');
+    expect(state.viewMode).toBe('graph');
+    expect(state.page).toBe(1);
+    expect(state.sortBy).toBe('name');
+    expect(state.filters.near).toBeNull();
+  });
+});
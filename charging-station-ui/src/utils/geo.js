@@ -0,0 +1,143 @@
+/**
+ * Geo Utilities
+ *
+ * Helpers for working out where a station is on the map.
+ * Coordinates come from the station's latitude/longitude fields when present,
+ * otherwise they are parsed out of the station's locationLink.
+ */
+
+// Patterns for the map links operators usually paste into locationLink
+const LINK_COORDINATE_PATTERNS = [
+  /@(-?\d+(?:\.\d+)?),\s*(-?\d+(?:\.\d+)?)/, // Google Maps: /@12.97,77.59,15z
+  /!3d(-?\d+(?:\.\d+)?)!4d(-?\d+(?:\.\d+)?)/, // Google Maps place data: !3d12.97!4d77.59
+  /[?&](?:q|query|ll|destination|center)=(-?\d+(?:\.\d+)?)(?:,|%2C)\s*(-?\d+(?:\.\d+)?)/i, // ?q=12.97,77.59
+  /[?&]mlat=(-?\d+(?:\.\d+)?)&mlon=(-?\d+(?:\.\d+)?)/i, // OpenStreetMap marker: ?mlat=12.97&mlon=77.59
+  /#map=\d+\/(-?\d+(?:\.\d+)?)\/(-?\d+(?:\.\d+)?)/, // OpenStreetMap view: #map=15/12.97/77.59
+];
+
+/**
+ * Check that a latitude/longitude pair is a real position on the globe
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lng - Longitude in degrees
+ * @returns {boolean} True when both values are finite and in range
+ */
+export const isValidCoordinate = (lat, lng) => {
+  return (
+    Number.isFinite(lat) &&
+    Number.isFinite(lng) &&
+    lat >= -90 &&
+    lat <= 90 &&
+    lng >= -180 &&
+    lng <= 180
+  );
+};
+
+/**
+ * Extract coordinates from a Google Maps or OpenStreetMap link
+ * @param {string} link - Map URL
+ * @returns {{lat: number, lng: number}|null} Coordinates or null if none found
+ */
+export const parseCoordinatesFromLink = (link) => {
+  if (!link || typeof link !== 'string') return null;
+
+  for (const pattern of LINK_COORDINATE_PATTERNS) {
+    const match = link.match(pattern);
+    if (match) {
+      const lat = parseFloat(match[1]);
+      const lng = parseFloat(match[2]);
+      if (isValidCoordinate(lat, lng)) {
+        return { lat, lng };
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Resolve the map position of a station
+ * @param {Object} station - Station object from the API
+ * @returns {{lat: number, lng: number}|null} Coordinates or null if unknown
+ */
+export const getStationCoordinates = (station) => {
+  if (!station) return null;
+
+  const lat = parseFloat(station.latitude);
+  const lng = parseFloat(station.longitude);
+  if (isValidCoordinate(lat, lng)) {
+    return { lat, lng };
+  }
+
+  return parseCoordinatesFromLink(station.locationLink);
+};
+
+/**
+ * Great-circle distance between two points using the haversine formula
+ * @param {{lat: number, lng: number}} from - Start point
+ * @param {{lat: number, lng: number}} to - End point
+ * @returns {number} Distance in kilometers
+ */
+export const haversineDistanceKm = (from, to) => {
+  const EARTH_RADIUS_KM = 6371;
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Parse a typed "lat, lng" pair
+ * @param {string} text - User input such as "12.97, 77.59"
+ * @returns {{lat: number, lng: number}|null} Coordinates or null if not a valid pair
+ */
+export const parseCoordinateInput = (text) => {
+  if (!text || typeof text !== 'string') return null;
+
+  const match = text.trim().match(/^(-?\d+(?:\.\d+)?)\s*[,\s]\s*(-?\d+(?:\.\d+)?)$/);
+  if (!match) return null;
+
+  const lat = parseFloat(match[1]);
+  const lng = parseFloat(match[2]);
+  return isValidCoordinate(lat, lng) ? { lat, lng } : null;
+};
+
+/**
+ * Approximate the position of a PIN code from the stations that share it
+ * There is no geocoding service, so this averages known station positions.
+ * @param {string} pinCode - Postal/PIN code
+ * @param {Array} stations - Stations to look up
+ * @returns {{lat: number, lng: number}|null} Center of matching stations or null if none are located
+ */
+export const resolvePinCodeCoordinates = (pinCode, stations) => {
+  const target = pinCode?.toString().trim();
+  if (!target) return null;
+
+  const located = stations
+    .filter((station) => station.pinCode?.toString().trim() === target)
+    .map(getStationCoordinates)
+    .filter(Boolean);
+
+  if (located.length === 0) return null;
+
+  return {
+    lat: located.reduce((sum, coords) => sum + coords.lat, 0) / located.length,
+    lng: located.reduce((sum, coords) => sum + coords.lng, 0) / located.length,
+  };
+};
+
+/**
+ * Format a distance for display
+ * @param {number} distanceKm - Distance in kilometers
+ * @returns {string} e.g. "850 m" or "12.4 km"
+ */
+export const formatDistance = (distanceKm) => {
+  if (distanceKm < 1) {
+    return `${Math.round(distanceKm * 1000)} m`;
+  }
+  return `${distanceKm < 10 ? distanceKm.toFixed(1) : Math.round(distanceKm)} km`;
+};
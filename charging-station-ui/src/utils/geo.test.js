@@ -0,0 +1,126 @@
+import {
+  parseCoordinatesFromLink,
+  getStationCoordinates,
+  isValidCoordinate,
+  haversineDistanceKm,
+  parseCoordinateInput,
+  resolvePinCodeCoordinates,
+  formatDistance,
+} from './geo';
+
+describe('parseCoordinatesFromLink', () => {
+  test('reads the @lat,lng segment of a Google Maps link', () => {
+    expect(
+      parseCoordinatesFromLink('https://www.google.com/maps/place/Hub/@12.9716,77.5946,15z')
+    ).toEqual({ lat: 12.9716, lng: 77.5946 });
+  });
+
+  test('reads a Google Maps query link', () => {
+    expect(parseCoordinatesFromLink('https://maps.google.com/?q=19.076,72.8777')).toEqual({
+      lat: 19.076,
+      lng: 72.8777,
+    });
+  });
+
+  test('reads an OpenStreetMap marker link', () => {
+    expect(
+      parseCoordinatesFromLink('https://www.openstreetmap.org/?mlat=28.6139&mlon=77.209#map=16/28.6139/77.2090')
+    ).toEqual({ lat: 28.6139, lng: 77.209 });
+  });
+
+  test('reads an OpenStreetMap view link', () => {
+    expect(parseCoordinatesFromLink('https://www.openstreetmap.org/#map=15/-33.8688/151.2093')).toEqual({
+      lat: -33.8688,
+      lng: 151.2093,
+    });
+  });
+
+  test('returns null for links without coordinates', () => {
+    expect(parseCoordinatesFromLink('https://maps.app.goo.gl/abc123')).toBeNull();
+    expect(parseCoordinatesFromLink('')).toBeNull();
+    expect(parseCoordinatesFromLink(undefined)).toBeNull();
+  });
+
+  test('ignores out-of-range values', () => {
+    expect(parseCoordinatesFromLink('https://maps.google.com/?q=123.4,77.5')).toBeNull();
+  });
+});
+
+describe('getStationCoordinates', () => {
+  test('prefers explicit latitude/longitude', () => {
+    const station = {
+      latitude: 10.5,
+      longitude: 76.2,
+      locationLink: 'https://maps.google.com/?q=19.076,72.8777',
+    };
+    expect(getStationCoordinates(station)).toEqual({ lat: 10.5, lng: 76.2 });
+  });
+
+  test('falls back to the location link', () => {
+    const station = { locationLink: 'https://maps.google.com/?q=19.076,72.8777' };
+    expect(getStationCoordinates(station)).toEqual({ lat: 19.076, lng: 72.8777 });
+  });
+
+  test('returns null when the station has no location', () => {
+    expect(getStationCoordinates({ stationName: 'No location' })).toBeNull();
+  });
+});
+
+describe('isValidCoordinate', () => {
+  test('checks latitude and longitude ranges', () => {
+    expect(isValidCoordinate(0, 0)).toBe(true);
+    expect(isValidCoordinate(90, 180)).toBe(true);
+    expect(isValidCoordinate(-91, 0)).toBe(false);
+    expect(isValidCoordinate(0, 181)).toBe(false);
+    expect(isValidCoordinate(NaN, 0)).toBe(false);
+  });
+});
+
+describe('haversineDistanceKm', () => {
+  test('is zero for the same point', () => {
+    expect(haversineDistanceKm({ lat: 12.97, lng: 77.59 }, { lat: 12.97, lng: 77.59 })).toBe(0);
+  });
+
+  test('matches the known Mumbai to Delhi distance', () => {
+    const distance = haversineDistanceKm({ lat: 19.076, lng: 72.8777 }, { lat: 28.6139, lng: 77.209 });
+    expect(distance).toBeGreaterThan(1140);
+    expect(distance).toBeLessThan(1160);
+  });
+});
+
+describe('parseCoordinateInput', () => {
+  test('accepts comma or space separated pairs', () => {
+    expect(parseCoordinateInput('12.97, 77.59')).toEqual({ lat: 12.97, lng: 77.59 });
+    expect(parseCoordinateInput('12.97 77.59')).toEqual({ lat: 12.97, lng: 77.59 });
+  });
+
+  test('rejects other input', () => {
+    expect(parseCoordinateInput('560001')).toBeNull();
+    expect(parseCoordinateInput('95, 10')).toBeNull();
+  });
+});
+
+describe('resolvePinCodeCoordinates', () => {
+  const stations = [
+    { pinCode: '560001', latitude: 12, longitude: 77 },
+    { pinCode: '560001', latitude: 13, longitude: 78 },
+    { pinCode: '560001' },
+    { pinCode: '400001', latitude: 19, longitude: 72 },
+  ];
+
+  test('averages located stations with the same PIN code', () => {
+    expect(resolvePinCodeCoordinates('560001', stations)).toEqual({ lat: 12.5, lng: 77.5 });
+  });
+
+  test('returns null for unknown PIN codes', () => {
+    expect(resolvePinCodeCoordinates('110001', stations)).toBeNull();
+  });
+});
+
+describe('formatDistance', () => {
+  test('uses meters below one kilometer', () => {
+    expect(formatDistance(0.4)).toBe('400 m');
+    expect(formatDistance(3.26)).toBe('3.3 km');
+    expect(formatDistance(42.4)).toBe('42 km');
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Live Update Utilities
+ *
+ * Applies station events from the API's event stream to a loaded list
+ * of stations, so only the changed station re-renders.
+ */
+
+// Keep in sync with StationEventTypes in the API
+export const STATION_EVENT_TYPES = {
+  CREATED: 'Created',
+  UPDATED: 'Updated',
+  STATUS_CHANGED: 'StatusChanged',
+  DELETED: 'Deleted',
+  RESTORED: 'Restored',
+};
+
+// Station fields each query parameter is matched against on the server (StationFilters)
+const FILTER_FIELDS = {
+  search: ['stationName', 'locationAddress', 'pinCode', 'connectorType', 'connectors', 'status'],
+  pinCode: ['pinCode'],
+  connectorType: ['connectorType', 'connectors'],
+  status: ['status'],
+  radiusKm: ['latitude', 'longitude'],
+};
+
+// Station fields each sort orders by
+const SORT_FIELDS = {
+  name: ['stationName'],
+  '-name': ['stationName'],
+  status: ['status', 'stationName'],
+  '-status': ['status', 'stationName'],
+  distance: ['latitude', 'longitude', 'stationName'],
+};
+
+/**
+ * Check whether an edit can move a station out of the current results or page
+ * @param {Object} before - Station as shown
+ * @param {Object} after - Station after the edit
+ * @param {Object} query - Current query parameters (search, filters and sort)
+ * @returns {boolean} True when a field the query filters or sorts on changed
+ */
+const affectsQuery = (before, after, query) => {
+  const fields = [
+    ...Object.keys(FILTER_FIELDS).filter((key) => query[key]).flatMap((key) => FILTER_FIELDS[key]),
+    ...(SORT_FIELDS[query.sort] || []),
+  ];
+  return fields.some((field) => field in after && JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+};
+
+/**
+ * Apply one station event to a list of stations
+ * Changes that can move a station in or out of the current filters or page,
+ * or change the server's counts, also ask for the list to be reloaded.
+ * @param {Array<Object>} stations - Stations currently shown
+ * @param {Object} event - StationEvent from the API
+ * @param {Object} [query] - Query parameters the stations were loaded with
+ * @returns {{stations: Array<Object>, needsRefresh: boolean}} Updated list (same array when unchanged)
+ */
+export const applyStationEvent = (stations, event, query = {}) => {
+  const index = stations.findIndex((s) => s.id === event.stationId);
+
+  switch (event.type) {
+    case STATION_EVENT_TYPES.UPDATED:
+    case STATION_EVENT_TYPES.STATUS_CHANGED: {
+      const statusChanged = event.type === STATION_EVENT_TYPES.STATUS_CHANGED;
+      if (index === -1 || !event.station) {
+        // The change may bring the station into the current filters
+        return { stations, needsRefresh: true };
+      }
+      const next = [...stations];
+      next[index] = { ...stations[index], ...event.station };
+      return {
+        stations: next,
+        needsRefresh: statusChanged || affectsQuery(stations[index], event.station, query),
+      };
+    }
+    case STATION_EVENT_TYPES.DELETED:
+      return {
+        stations: index === -1 ? stations : stations.filter((s) => s.id !== event.stationId),
+        needsRefresh: true,
+      };
+    case STATION_EVENT_TYPES.CREATED:
+    case STATION_EVENT_TYPES.RESTORED:
+      return { stations, needsRefresh: true };
+    default:
+      return { stations, needsRefresh: false };
+  }
+};
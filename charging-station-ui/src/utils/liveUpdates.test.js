@@ -0,0 +1,60 @@
+import { applyStationEvent, STATION_EVENT_TYPES } from './liveUpdates';
+
+const stations = [
+  { id: 1, stationName: 'Alpha', status: 'Available', distanceKm: 2 },
+  { id: 2, stationName: 'Beta', status: 'Offline' },
+];
+
+describe('applyStationEvent', () => {
+  test('patches an updated station in place', () => {
+    const event = {
+      type: STATION_EVENT_TYPES.UPDATED,
+      stationId: 1,
+      station: { id: 1, stationName: 'Alpha Plaza', status: 'Available' },
+    };
+    const result = applyStationEvent(stations, event);
+    expect(result.needsRefresh).toBe(false);
+    expect(result.stations[0]).toEqual({ id: 1, stationName: 'Alpha Plaza', status: 'Available', distanceKm: 2 });
+    expect(result.stations[1]).toBe(stations[1]);
+  });
+
+  test('patches and reloads when the status changes', () => {
+    const event = {
+      type: STATION_EVENT_TYPES.STATUS_CHANGED,
+      stationId: 2,
+      station: { id: 2, stationName: 'Beta', status: 'Available' },
+      previousStatus: 'Offline',
+    };
+    const result = applyStationEvent(stations, event);
+    expect(result.needsRefresh).toBe(true);
+    expect(result.stations[1].status).toBe('Available');
+  });
+
+  test('reloads when an edit may move the station out of the current query', () => {
+    const event = {
+      type: STATION_EVENT_TYPES.UPDATED,
+      stationId: 1,
+      station: { id: 1, stationName: 'Gamma', status: 'Available' },
+    };
+    expect(applyStationEvent(stations, event, { search: 'alp' }).needsRefresh).toBe(true);
+    expect(applyStationEvent(stations, event, { sort: 'name' }).needsRefresh).toBe(true);
+    expect(applyStationEvent(stations, event, { status: 'Available', sort: 'createdAt' }).needsRefresh).toBe(false);
+    expect(applyStationEvent(stations, event, { pinCode: '560' }).needsRefresh).toBe(false);
+  });
+
+  test('reloads for changes to stations that are not shown', () => {
+    const event = { type: STATION_EVENT_TYPES.UPDATED, stationId: 9, station: { id: 9 } };
+    expect(applyStationEvent(stations, event)).toEqual({ stations, needsRefresh: true });
+    expect(applyStationEvent(stations, { type: STATION_EVENT_TYPES.CREATED, stationId: 9 }).needsRefresh).toBe(true);
+  });
+
+  test('removes a deleted station', () => {
+    const result = applyStationEvent(stations, { type: STATION_EVENT_TYPES.DELETED, stationId: 1 });
+    expect(result.stations.map((s) => s.id)).toEqual([2]);
+    expect(result.needsRefresh).toBe(true);
+  });
+
+  test('ignores unknown event types', () => {
+    expect(applyStationEvent(stations, { type: 'Renamed', stationId: 1 })).toEqual({ stations, needsRefresh: false });
+  });
+});
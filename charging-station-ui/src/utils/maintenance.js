@@ -0,0 +1,161 @@
+/**
+ * Maintenance Window Utilities
+ *
+ * Client-side checks and the API payload for the maintenance window form,
+ * the month grid of the maintenance calendar, and picking each station's
+ * next maintenance for the station cards.
+ */
+import { MAX_REASON_LENGTH, MAX_WINDOW_DAYS, getMaintenanceRecurrence } from '../constants/maintenance';
+import { toDateString } from './workOrders';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Value for a datetime-local input
+ * @param {string|Date} value - Time from the API (UTC) or a Date
+ * @returns {string} Local "YYYY-MM-DDTHH:mm", or '' when empty or invalid
+ */
+export const toDateTimeInput = (value) => {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return '';
+  const pad = (part) => String(part).padStart(2, '0');
+  return `${toDateString(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+/**
+ * Check a maintenance window form before it is sent
+ * The API repeats these checks and also rejects unknown stations.
+ * @param {Object} maintenanceWindow - Form values (times as datetime-local strings)
+ * @returns {string|null} Error message, or null when the window can be saved
+ */
+export const validateMaintenanceWindow = (maintenanceWindow) => {
+  const reason = (maintenanceWindow.reason || '').trim();
+  if (!reason) return 'Reason is required';
+  if (reason.length > MAX_REASON_LENGTH) return `Reason must be at most ${MAX_REASON_LENGTH} characters`;
+
+  const startsAt = new Date(maintenanceWindow.startsAt);
+  const endsAt = new Date(maintenanceWindow.endsAt);
+  if (!maintenanceWindow.startsAt || Number.isNaN(startsAt.getTime())) return 'Start is required';
+  if (!maintenanceWindow.endsAt || Number.isNaN(endsAt.getTime())) return 'End is required';
+  if (endsAt <= startsAt) return 'End must be after the start';
+
+  const durationDays = (endsAt - startsAt) / DAY_MS;
+  if (durationDays > MAX_WINDOW_DAYS) return `A window may last at most ${MAX_WINDOW_DAYS} days`;
+
+  const { periodDays, label } = getMaintenanceRecurrence(maintenanceWindow.recurrence);
+  if (periodDays && durationDays >= periodDays) {
+    return `A ${label.toLowerCase()} window must be shorter than ${periodDays} day${periodDays === 1 ? '' : 's'}`;
+  }
+  if (periodDays && maintenanceWindow.recurUntil && new Date(maintenanceWindow.recurUntil) < startsAt) {
+    return 'Repeat until must not be before the start';
+  }
+
+  if (!maintenanceWindow.stationIds?.length) return 'Choose at least one station';
+  return null;
+};
+
+/**
+ * Maintenance window as the API expects it
+ * @param {Object} maintenanceWindow - Form values (times as datetime-local strings)
+ * @returns {Object} Payload with UTC ISO times
+ */
+export const toMaintenanceWindowPayload = (maintenanceWindow) => {
+  const repeats = Boolean(getMaintenanceRecurrence(maintenanceWindow.recurrence).periodDays);
+  return {
+    ...(maintenanceWindow.id != null && { id: maintenanceWindow.id }),
+    reason: (maintenanceWindow.reason || '').trim(),
+    startsAt: new Date(maintenanceWindow.startsAt).toISOString(),
+    endsAt: new Date(maintenanceWindow.endsAt).toISOString(),
+    recurrence: maintenanceWindow.recurrence || 'None',
+    recurUntil: repeats && maintenanceWindow.recurUntil ? new Date(maintenanceWindow.recurUntil).toISOString() : null,
+    stationIds: [...new Set(maintenanceWindow.stationIds || [])],
+  };
+};
+
+/**
+ * Days shown for a month in the calendar: whole weeks, Sunday first
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0 = January)
+ * @returns {Array<Array<Date>>} Weeks of seven local midnights, including days of the adjacent months
+ */
+export const getMonthGrid = (year, month) => {
+  const first = new Date(year, month, 1);
+  const start = new Date(year, month, 1 - first.getDay());
+  const weeks = [];
+  const cursor = new Date(start);
+  do {
+    const week = [];
+    for (let day = 0; day < 7; day += 1) {
+      week.push(new Date(cursor));
+      cursor.setDate(cursor.getDate() + 1);
+    }
+    weeks.push(week);
+  } while (cursor.getMonth() === month);
+  return weeks;
+};
+
+/**
+ * Occurrences grouped by the local days they cover
+ * An occurrence running over midnight is listed on every day it touches.
+ * @param {Array} occurrences - Occurrences from the API
+ * @returns {Object} Map of "YYYY-MM-DD" to occurrences, in start order
+ */
+export const groupOccurrencesByDay = (occurrences = []) => {
+  const byDay = {};
+  [...occurrences]
+    .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt))
+    .forEach((occurrence) => {
+      const end = new Date(occurrence.endsAt);
+      const day = new Date(occurrence.startsAt);
+      day.setHours(0, 0, 0, 0);
+      while (day < end) {
+        const key = toDateString(day);
+        (byDay[key] = byDay[key] || []).push(occurrence);
+        day.setDate(day.getDate() + 1);
+      }
+    });
+  return byDay;
+};
+
+/**
+ * Each station's running or next maintenance
+ * @param {Array} occurrences - Occurrences from the API
+ * @param {Date} [now=new Date()] - Current time; occurrences that have ended are ignored
+ * @returns {Object} Map of station ID to its earliest unfinished occurrence
+ */
+export const getNextMaintenanceByStation = (occurrences = [], now = new Date()) => {
+  const next = {};
+  occurrences.forEach((occurrence) => {
+    if (new Date(occurrence.endsAt) <= now) return;
+    (occurrence.stationIds || []).forEach((stationId) => {
+      const current = next[stationId];
+      if (!current || new Date(occurrence.startsAt) < new Date(current.startsAt)) {
+        next[stationId] = occurrence;
+      }
+    });
+  });
+  return next;
+};
+
+/**
+ * Whether an occurrence is running
+ * @param {Object} occurrence - Occurrence from the API
+ * @param {Date} [now=new Date()]
+ * @returns {boolean}
+ */
+export const isMaintenanceRunning = (occurrence, now = new Date()) =>
+  new Date(occurrence.startsAt) <= now && now < new Date(occurrence.endsAt);
+
+/**
+ * Short description of when an occurrence runs, in local time
+ * @param {Object} occurrence - Occurrence or window with startsAt/endsAt
+ * @returns {string} e.g. "Mar 3, 10:00 PM – 11:30 PM" or "Mar 3, 10:00 PM – Mar 4, 2:00 AM"
+ */
+export const formatMaintenanceRange = (occurrence) => {
+  const start = new Date(occurrence.startsAt);
+  const end = new Date(occurrence.endsAt);
+  const day = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  const time = (date) => date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+  const endText = toDateString(start) === toDateString(end) ? time(end) : `${day(end)}, ${time(end)}`;
+  return `${day(start)}, ${time(start)} – ${endText}`;
+};
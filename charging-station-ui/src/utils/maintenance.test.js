@@ -0,0 +1,88 @@
+import {
+  getMonthGrid,
+  getNextMaintenanceByStation,
+  groupOccurrencesByDay,
+  toMaintenanceWindowPayload,
+  validateMaintenanceWindow,
+} from './maintenance';
+
+const form = (overrides) => ({
+  reason: 'Firmware upgrade',
+  startsAt: '2024-03-10T22:00',
+  endsAt: '2024-03-11T02:00',
+  recurrence: 'None',
+  recurUntil: '',
+  stationIds: [1, 2],
+  ...overrides,
+});
+
+const occurrence = (overrides) => ({
+  windowId: 1,
+  reason: 'Firmware upgrade',
+  recurrence: 'None',
+  startsAt: new Date(2024, 2, 10, 22, 0).toISOString(),
+  endsAt: new Date(2024, 2, 11, 2, 0).toISOString(),
+  stationIds: [1],
+  ...overrides,
+});
+
+describe('validateMaintenanceWindow', () => {
+  test('accepts a complete window', () => {
+    expect(validateMaintenanceWindow(form())).toBeNull();
+  });
+
+  test('rejects missing fields and an end before the start', () => {
+    expect(validateMaintenanceWindow(form({ reason: '  ' }))).toMatch(/Reason/);
+    expect(validateMaintenanceWindow(form({ endsAt: '2024-03-10T21:00' }))).toMatch(/after the start/);
+    expect(validateMaintenanceWindow(form({ stationIds: [] }))).toMatch(/station/);
+  });
+
+  test('keeps repeating windows shorter than their period', () => {
+    expect(validateMaintenanceWindow(form({ recurrence: 'Daily' }))).toBeNull();
+    expect(validateMaintenanceWindow(form({ recurrence: 'Daily', endsAt: '2024-03-11T22:00' }))).toMatch(/shorter/);
+    expect(validateMaintenanceWindow(form({ endsAt: '2024-03-18T22:00' }))).toMatch(/at most 7 days/);
+  });
+});
+
+describe('toMaintenanceWindowPayload', () => {
+  test('sends UTC times and drops recurUntil for one-off windows', () => {
+    const payload = toMaintenanceWindowPayload(form({ recurUntil: '2024-04-01T00:00', stationIds: [1, 1, 2] }));
+    expect(payload.startsAt).toBe(new Date('2024-03-10T22:00').toISOString());
+    expect(payload.recurUntil).toBeNull();
+    expect(payload.stationIds).toEqual([1, 2]);
+  });
+});
+
+describe('getMonthGrid', () => {
+  test('covers the month in whole weeks starting on Sunday', () => {
+    const weeks = getMonthGrid(2024, 2); // March 2024 starts on a Friday
+    expect(weeks).toHaveLength(6);
+    expect(weeks[0][0]).toEqual(new Date(2024, 1, 25));
+    expect(weeks[5][6]).toEqual(new Date(2024, 3, 6));
+  });
+});
+
+describe('groupOccurrencesByDay', () => {
+  test('lists an occurrence over midnight on both days', () => {
+    const byDay = groupOccurrencesByDay([occurrence()]);
+    expect(Object.keys(byDay)).toEqual(['2024-03-10', '2024-03-11']);
+  });
+});
+
+describe('getNextMaintenanceByStation', () => {
+  test('picks the earliest unfinished occurrence of each station', () => {
+    const now = new Date(2024, 2, 11, 1, 0);
+    const running = occurrence({ windowId: 1, stationIds: [1] });
+    const later = occurrence({
+      windowId: 2,
+      startsAt: new Date(2024, 2, 12, 8, 0).toISOString(),
+      endsAt: new Date(2024, 2, 12, 9, 0).toISOString(),
+      stationIds: [1, 2],
+    });
+    const ended = occurrence({ windowId: 3, endsAt: new Date(2024, 2, 10, 23, 0).toISOString(), stationIds: [2] });
+
+    const next = getNextMaintenanceByStation([later, ended, running], now);
+    expect(next[1].windowId).toBe(1);
+    expect(next[2].windowId).toBe(2);
+  });
+});
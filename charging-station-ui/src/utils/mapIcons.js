@@ -0,0 +1,17 @@
+import L from 'leaflet';
+
+/**
+ * Build a round, colored marker icon
+ * Uses a divIcon so no marker image assets are needed
+ * @param {string} color - CSS color for the marker fill
+ * @param {number} size - Marker diameter in pixels
+ * @returns {L.DivIcon} Leaflet icon
+ */
+export const createCircleMarkerIcon = (color, size = 18) => {
+  return L.divIcon({
+    className: '',
+    html: `<span style="display:block;width:${size}px;height:${size}px;border-radius:9999px;border:3px solid #fff;box-shadow:0 1px 4px rgba(0,0,0,0.4);background:${color}"></span>`,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
+  });
+};
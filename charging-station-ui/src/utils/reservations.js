@@ -0,0 +1,171 @@
+/**
+ * Reservation Utilities
+ *
+ * Connector numbering, client-side checks and the API payload for the
+ * booking form, placing bookings and maintenance on the availability
+ * timeline, and each station's reservations for the station cards.
+ */
+import {
+  MAX_DRIVER_EMAIL_LENGTH,
+  MAX_DRIVER_NAME_LENGTH,
+  MAX_DRIVER_PHONE_LENGTH,
+  MAX_RESERVATION_HOURS,
+  MAX_RESERVATION_LEAD_DAYS,
+  MAX_RESERVATION_NOTE_LENGTH,
+  MIN_RESERVATION_MINUTES,
+} from '../constants/reservations';
+import { getStationConnectors } from '../constants/connectors';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const START_GRACE_MS = 5 * MINUTE_MS; // The API accepts a booking "now" that starts this far in the past
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * A station's connectors one by one, numbered 1..N through the connector groups in order
+ * (the numbering bookings and charging sessions use)
+ * @param {Object} station - Station object from the API
+ * @returns {Array} [{ connectorId, groupIndex, connectorType, powerType, maxPowerKw, status }]
+ */
+export const numberConnectors = (station) => {
+  const numbered = [];
+  getStationConnectors(station).forEach((group, groupIndex) => {
+    const count = Math.max(1, group.count || 1);
+    for (let i = 0; i < count; i += 1) {
+      numbered.push({
+        connectorId: numbered.length + 1,
+        groupIndex,
+        connectorType: group.connectorType,
+        powerType: group.powerType,
+        maxPowerKw: group.maxPowerKw,
+        status: group.status,
+      });
+    }
+  });
+  return numbered;
+};
+
+/**
+ * Whether two time spans overlap (touching ends do not)
+ * @param {Object} a - { startsAt, endsAt }
+ * @param {Object} b - { startsAt, endsAt }
+ * @returns {boolean}
+ */
+export const overlaps = (a, b) =>
+  new Date(a.startsAt) < new Date(b.endsAt) && new Date(b.startsAt) < new Date(a.endsAt);
+
+/**
+ * Check a booking form before it is sent
+ * The API repeats these checks and also rejects slots taken by other bookings or maintenance.
+ * @param {Object} reservation - Form values (times as datetime-local strings)
+ * @param {number} connectorCount - Connectors at the station
+ * @param {Date} [now=new Date()] - Current time; pass null to leave the start unchecked (a running booking)
+ * @returns {string|null} Error message, or null when the booking can be saved
+ */
+export const validateReservation = (reservation, connectorCount, now = new Date()) => {
+  const connectorId = Number(reservation.connectorId);
+  if (!connectorCount) return 'The station has no connectors to book';
+  if (!Number.isInteger(connectorId) || connectorId < 1 || connectorId > connectorCount) return 'Choose a connector';
+
+  const startsAt = new Date(reservation.startsAt);
+  const endsAt = new Date(reservation.endsAt);
+  if (!reservation.startsAt || Number.isNaN(startsAt.getTime())) return 'Start is required';
+  if (!reservation.endsAt || Number.isNaN(endsAt.getTime())) return 'End is required';
+  if (endsAt <= startsAt) return 'End must be after the start';
+
+  const minutes = (endsAt - startsAt) / MINUTE_MS;
+  if (minutes < MIN_RESERVATION_MINUTES) return `A booking must last at least ${MIN_RESERVATION_MINUTES} minutes`;
+  if (minutes > MAX_RESERVATION_HOURS * 60) return `A booking may last at most ${MAX_RESERVATION_HOURS} hours`;
+  if (now && startsAt < now.getTime() - START_GRACE_MS) return 'The booking cannot start in the past';
+  if (now && startsAt - now > MAX_RESERVATION_LEAD_DAYS * DAY_MS) {
+    return `A booking may start at most ${MAX_RESERVATION_LEAD_DAYS} days ahead`;
+  }
+
+  const driverName = (reservation.driverName || '').trim();
+  const driverPhone = (reservation.driverPhone || '').trim();
+  const driverEmail = (reservation.driverEmail || '').trim();
+  if (!driverName) return 'Driver name is required';
+  if (driverName.length > MAX_DRIVER_NAME_LENGTH) return `Driver name must be at most ${MAX_DRIVER_NAME_LENGTH} characters`;
+  if (!driverPhone && !driverEmail) return 'Enter a phone number or an email address for the driver';
+  if (driverPhone.length > MAX_DRIVER_PHONE_LENGTH) return `Phone number must be at most ${MAX_DRIVER_PHONE_LENGTH} characters`;
+  if (driverEmail && (driverEmail.length > MAX_DRIVER_EMAIL_LENGTH || !EMAIL_PATTERN.test(driverEmail))) {
+    return `'${driverEmail}' is not a valid email address`;
+  }
+  if ((reservation.note || '').trim().length > MAX_RESERVATION_NOTE_LENGTH) {
+    return `Note must be at most ${MAX_RESERVATION_NOTE_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Booking as the API expects it
+ * @param {Object} reservation - Form values (times as datetime-local strings)
+ * @returns {Object} Payload with UTC ISO times; blank contact fields and note are sent as null
+ */
+export const toReservationPayload = (reservation) => {
+  const optional = (value) => (value || '').trim() || null;
+  return {
+    ...(reservation.id != null && { id: reservation.id }),
+    chargingStationId: reservation.chargingStationId,
+    connectorId: Number(reservation.connectorId),
+    startsAt: new Date(reservation.startsAt).toISOString(),
+    endsAt: new Date(reservation.endsAt).toISOString(),
+    driverName: (reservation.driverName || '').trim(),
+    driverPhone: optional(reservation.driverPhone),
+    driverEmail: optional(reservation.driverEmail),
+    note: optional(reservation.note),
+  };
+};
+
+/**
+ * Where a booking or maintenance occurrence sits on the timeline
+ * @param {Object} item - { startsAt, endsAt }
+ * @param {Date} rangeStart - Start of the timeline
+ * @param {Date} rangeEnd - End of the timeline
+ * @returns {Object|null} { left, width } in percent of the timeline, clipped to it; null when outside it
+ */
+export const getTimelinePosition = (item, rangeStart, rangeEnd) => {
+  const span = rangeEnd - rangeStart;
+  const start = Math.max(new Date(item.startsAt).getTime(), rangeStart.getTime());
+  const end = Math.min(new Date(item.endsAt).getTime(), rangeEnd.getTime());
+  if (span <= 0 || end <= start) return null;
+  return {
+    left: ((start - rangeStart) / span) * 100,
+    width: ((end - start) / span) * 100,
+  };
+};
+
+/**
+ * Each station's bookings for the station cards
+ * @param {Array} slots - Booked slots from the API
+ * @param {Date} [now=new Date()] - Current time; slots that have ended are ignored
+ * @returns {Object} Map of station ID to { reservedNow: [connector ids booked now], next: earliest slot still to start }
+ */
+export const getReservationsByStation = (slots = [], now = new Date()) => {
+  const byStation = {};
+  slots.forEach((slot) => {
+    const startsAt = new Date(slot.startsAt);
+    if (new Date(slot.endsAt) <= now) return;
+    const entry = (byStation[slot.chargingStationId] = byStation[slot.chargingStationId] || { reservedNow: [], next: null });
+    if (startsAt <= now) {
+      if (!entry.reservedNow.includes(slot.connectorId)) entry.reservedNow.push(slot.connectorId);
+    } else if (!entry.next || startsAt < new Date(entry.next.startsAt)) {
+      entry.next = slot;
+    }
+  });
+  return byStation;
+};
+
+/**
+ * Number of connectors of each connector group booked now, for the card's connector chips
+ * @param {Object} station - Station object from the API
+ * @param {Array<number>} [reservedNow=[]] - Connector ids booked now
+ * @returns {Array<number>} Booked connectors per group, in group order
+ */
+export const countReservedByGroup = (station, reservedNow = []) => {
+  const counts = getStationConnectors(station).map(() => 0);
+  numberConnectors(station).forEach(({ connectorId, groupIndex }) => {
+    if (reservedNow.includes(connectorId)) counts[groupIndex] += 1;
+  });
+  return counts;
+};
@@ -0,0 +1,126 @@
+import {
+  countReservedByGroup,
+  getReservationsByStation,
+  getTimelinePosition,
+  numberConnectors,
+  overlaps,
+  toReservationPayload,
+  validateReservation,
+} from './reservations';
+
+const NOW = new Date(2024, 2, 10, 12, 0);
+
+const station = {
+  id: 7,
+  connectors: [
+    { connectorType: 'CCS2', powerType: 'DC', maxPowerKw: 150, count: 2, status: 'Available' },
+    { connectorType: 'Type2', powerType: 'AC', maxPowerKw: 22, count: 1, status: 'Available' },
+  ],
+};
+
+const form = (overrides) => ({
+  chargingStationId: 7,
+  connectorId: '2',
+  startsAt: '2024-03-10T14:00',
+  endsAt: '2024-03-10T15:00',
+  driverName: 'Ana Novak',
+  driverPhone: '',
+  driverEmail: 'ana@example.com',
+  note: '',
+  ...overrides,
+});
+
+const slot = (overrides) => ({
+  id: 1,
+  chargingStationId: 7,
+  connectorId: 1,
+  startsAt: new Date(2024, 2, 10, 11, 0).toISOString(),
+  endsAt: new Date(2024, 2, 10, 13, 0).toISOString(),
+  ...overrides,
+});
+
+describe('numberConnectors', () => {
+  test('numbers connectors 1..N through the groups in order', () => {
+    expect(numberConnectors(station).map(({ connectorId, groupIndex, connectorType }) => [connectorId, groupIndex, connectorType]))
+      .toEqual([[1, 0, 'CCS2'], [2, 0, 'CCS2'], [3, 1, 'Type2']]);
+    expect(numberConnectors({ connectorType: 'CHAdeMO' })).toHaveLength(1);
+    expect(numberConnectors({})).toEqual([]);
+  });
+});
+
+describe('overlaps', () => {
+  test('treats touching spans as free', () => {
+    const a = { startsAt: '2024-03-10T10:00:00Z', endsAt: '2024-03-10T11:00:00Z' };
+    expect(overlaps(a, { startsAt: '2024-03-10T10:30:00Z', endsAt: '2024-03-10T12:00:00Z' })).toBe(true);
+    expect(overlaps(a, { startsAt: '2024-03-10T11:00:00Z', endsAt: '2024-03-10T12:00:00Z' })).toBe(false);
+  });
+});
+
+describe('validateReservation', () => {
+  test('accepts a complete booking', () => {
+    expect(validateReservation(form(), 3, NOW)).toBeNull();
+  });
+
+  test('rejects unknown connectors, bad times and missing contact details', () => {
+    expect(validateReservation(form({ connectorId: '4' }), 3, NOW)).toMatch(/connector/);
+    expect(validateReservation(form(), 0, NOW)).toMatch(/no connectors/);
+    expect(validateReservation(form({ endsAt: '2024-03-10T14:10' }), 3, NOW)).toMatch(/at least 15 minutes/);
+    expect(validateReservation(form({ endsAt: '2024-03-11T03:00' }), 3, NOW)).toMatch(/at most 12 hours/);
+    expect(validateReservation(form({ startsAt: '2024-03-10T09:00' }), 3, NOW)).toMatch(/past/);
+    expect(validateReservation(form({ driverEmail: '' }), 3, NOW)).toMatch(/phone number or an email/);
+    expect(validateReservation(form({ driverEmail: 'ana@' }), 3, NOW)).toMatch(/not a valid email/);
+  });
+
+  test('leaves the start of a running booking unchecked', () => {
+    expect(validateReservation(form({ startsAt: '2024-03-10T11:00' }), 3, null)).toBeNull();
+  });
+});
+
+describe('toReservationPayload', () => {
+  test('sends UTC times, a numeric connector and null for blank optional fields', () => {
+    const payload = toReservationPayload(form({ id: 5, driverName: ' Ana Novak ', driverPhone: '  ' }));
+    expect(payload).toEqual({
+      id: 5,
+      chargingStationId: 7,
+      connectorId: 2,
+      startsAt: new Date('2024-03-10T14:00').toISOString(),
+      endsAt: new Date('2024-03-10T15:00').toISOString(),
+      driverName: 'Ana Novak',
+      driverPhone: null,
+      driverEmail: 'ana@example.com',
+      note: null,
+    });
+  });
+});
+
+describe('getTimelinePosition', () => {
+  test('clips spans to the timeline and skips spans outside it', () => {
+    const rangeStart = new Date(2024, 2, 10, 0, 0);
+    const rangeEnd = new Date(2024, 2, 11, 0, 0);
+    expect(getTimelinePosition(slot({ startsAt: new Date(2024, 2, 10, 6, 0), endsAt: new Date(2024, 2, 10, 12, 0) }), rangeStart, rangeEnd))
+      .toEqual({ left: 25, width: 25 });
+    expect(getTimelinePosition(slot({ startsAt: new Date(2024, 2, 9, 18, 0), endsAt: new Date(2024, 2, 10, 6, 0) }), rangeStart, rangeEnd))
+      .toEqual({ left: 0, width: 25 });
+    expect(getTimelinePosition(slot({ startsAt: new Date(2024, 2, 11, 1, 0), endsAt: new Date(2024, 2, 11, 2, 0) }), rangeStart, rangeEnd))
+      .toBeNull();
+  });
+});
+
+describe('getReservationsByStation', () => {
+  test('collects connectors booked now and the next booking per station', () => {
+    const later = slot({ id: 2, connectorId: 3, startsAt: new Date(2024, 2, 10, 16, 0).toISOString(), endsAt: new Date(2024, 2, 10, 17, 0).toISOString() });
+    const sooner = slot({ id: 3, connectorId: 2, startsAt: new Date(2024, 2, 10, 13, 0).toISOString(), endsAt: new Date(2024, 2, 10, 14, 0).toISOString() });
+    const ended = slot({ id: 4, chargingStationId: 8, endsAt: new Date(2024, 2, 10, 11, 30).toISOString() });
+    const result = getReservationsByStation([slot(), later, sooner, ended], NOW);
+    expect(result[7].reservedNow).toEqual([1]);
+    expect(result[7].next.id).toBe(3);
+    expect(result[8]).toBeUndefined();
+  });
+});
+
+describe('countReservedByGroup', () => {
+  test('counts booked connectors per connector group', () => {
+    expect(countReservedByGroup(station, [2, 3])).toEqual([1, 1]);
+    expect(countReservedByGroup(station)).toEqual([0, 0]);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Session Analytics Utilities
+ *
+ * Formatting and summaries for the charging session charts and lists.
+ */
+
+// Row labels of the peak-hour heatmap; the API sends Monday first
+export const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Heatmap cell colours from no sessions to the busiest hour
+export const HEATMAP_LEVEL_CLASSES = ['bg-gray-100', 'bg-blue-100', 'bg-blue-300', 'bg-blue-500', 'bg-blue-700'];
+
+/**
+ * Offset of the browser's time zone from UTC, for local days and hours in analytics
+ * @param {Date} date - Date the offset applies to (differs across daylight saving changes)
+ * @returns {number} Minutes ahead of UTC (e.g. 330 for India)
+ */
+export const getUtcOffsetMinutes = (date = new Date()) => -date.getTimezoneOffset();
+
+/**
+ * Human readable session length
+ * @param {number|null} minutes - Length in minutes
+ * @returns {string} "45 min", "1 h 20 min", or '—' when unknown
+ */
+export const formatDuration = (minutes) => {
+  if (minutes == null || !Number.isFinite(minutes)) return '—';
+  const rounded = Math.round(minutes);
+  if (rounded < 60) return `${rounded} min`;
+  const hours = Math.floor(rounded / 60);
+  const rest = rounded % 60;
+  return rest === 0 ? `${hours} h` : `${hours} h ${rest} min`;
+};
+
+/**
+ * Human readable energy
+ * @param {number|null} kwh - Energy in kWh
+ * @returns {string} "12.5 kWh" or "1.25 MWh" from 1000 kWh
+ */
+export const formatEnergy = (kwh) => {
+  if (kwh == null || !Number.isFinite(kwh)) return '—';
+  if (kwh >= 1000) return `${Number((kwh / 1000).toFixed(2))} MWh`;
+  return `${Number(kwh.toFixed(1))} kWh`;
+};
+
+/**
+ * Busiest weekday and hour of the heatmap
+ * @param {Array<Array<number>>} startsByWeekdayHour - Session starts per weekday (Monday first) and hour
+ * @returns {{weekday: number, hour: number, count: number}|null} Peak cell, or null when there are no sessions
+ */
+export const getPeakHour = (startsByWeekdayHour) => {
+  let peak = null;
+  (startsByWeekdayHour || []).forEach((hours, weekday) => {
+    hours.forEach((count, hour) => {
+      if (count > 0 && (!peak || count > peak.count)) {
+        peak = { weekday, hour, count };
+      }
+    });
+  });
+  return peak;
+};
+
+/**
+ * Colour level of a heatmap cell relative to the busiest cell
+ * @param {number} count - Session starts in the cell
+ * @param {number} max - Session starts in the busiest cell
+ * @returns {number} 0 (none) to HEATMAP_LEVEL_CLASSES.length - 1
+ */
+export const getHeatmapLevel = (count, max) => {
+  if (!count || !max) return 0;
+  const levels = HEATMAP_LEVEL_CLASSES.length - 1;
+  return Math.max(1, Math.ceil((count / max) * levels));
+};
+
+/**
+ * Label for an hour of the day
+ * @param {number} hour - 0 to 23
+ * @returns {string} "00:00" to "23:00"
+ */
+export const formatHourLabel = (hour) => `${String(hour).padStart(2, '0')}:00`;
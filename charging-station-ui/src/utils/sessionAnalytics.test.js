@@ -0,0 +1,48 @@
+import { formatDuration, formatEnergy, formatHourLabel, getHeatmapLevel, getPeakHour } from './sessionAnalytics';
+
+describe('formatDuration', () => {
+  test('shows minutes under an hour and hours with minutes above', () => {
+    expect(formatDuration(44.6)).toBe('45 min');
+    expect(formatDuration(80)).toBe('1 h 20 min');
+    expect(formatDuration(120)).toBe('2 h');
+  });
+
+  test('shows a dash without a value', () => {
+    expect(formatDuration(null)).toBe('—');
+  });
+});
+
+describe('formatEnergy', () => {
+  test('switches to MWh from 1000 kWh', () => {
+    expect(formatEnergy(12.46)).toBe('12.5 kWh');
+    expect(formatEnergy(1250)).toBe('1.25 MWh');
+  });
+});
+
+describe('getPeakHour', () => {
+  test('finds the busiest weekday and hour', () => {
+    const grid = Array.from({ length: 7 }, () => new Array(24).fill(0));
+    grid[2][18] = 5;
+    grid[4][9] = 3;
+    expect(getPeakHour(grid)).toEqual({ weekday: 2, hour: 18, count: 5 });
+  });
+
+  test('returns null when there are no sessions', () => {
+    expect(getPeakHour([new Array(24).fill(0)])).toBeNull();
+    expect(getPeakHour(undefined)).toBeNull();
+  });
+});
+
+describe('getHeatmapLevel', () => {
+  test('scales counts to levels with any session at least level 1', () => {
+    expect(getHeatmapLevel(0, 10)).toBe(0);
+    expect(getHeatmapLevel(1, 10)).toBe(1);
+    expect(getHeatmapLevel(10, 10)).toBe(4);
+  });
+});
+
+describe('formatHourLabel', () => {
+  test('pads the hour', () => {
+    expect(formatHourLabel(7)).toBe('07:00');
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Server-Sent Events Parser
+ *
+ * Incremental parser for a text/event-stream body read in chunks
+ * (fetch streams can split lines and events anywhere).
+ * Only the event and data fields are used; comments (": ping") are skipped.
+ */
+
+/**
+ * Create a parser that calls onMessage for each complete event
+ * @param {Function} onMessage - Called with { event, data } (event defaults to "message")
+ * @returns {Function} feed(chunk) - Pass each decoded text chunk in order
+ */
+export const createSseParser = (onMessage) => {
+  let buffer = '';
+  let eventName = '';
+  let dataLines = [];
+
+  const dispatch = () => {
+    if (dataLines.length > 0) {
+      onMessage({ event: eventName || 'message', data: dataLines.join('\n') });
+    }
+    eventName = '';
+    dataLines = [];
+  };
+
+  const processLine = (line) => {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(':')) {
+      return;
+    }
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) {
+      value = value.slice(1);
+    }
+
+    if (field === 'event') {
+      eventName = value;
+    } else if (field === 'data') {
+      dataLines.push(value);
+    }
+  };
+
+  return (chunk) => {
+    buffer += chunk;
+    // A trailing \r may be the first half of \r\n, so wait for the next chunk
+    const heldBack = buffer.endsWith('\r') ? '\r' : '';
+    const lines = buffer.slice(0, buffer.length - heldBack.length).split(/\r\n|\r|\n/);
+    // The last piece may be an incomplete line
+    buffer = lines.pop() + heldBack;
+    lines.forEach(processLine);
+  };
+};
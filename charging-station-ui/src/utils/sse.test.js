@@ -0,0 +1,39 @@
+import { createSseParser } from './sse';
+
+describe('createSseParser', () => {
+  test('parses named events and skips comments', () => {
+    const messages = [];
+    const feed = createSseParser((message) => messages.push(message));
+    feed('event: ready\ndata: {}\n\n: ping\n\nevent: station\ndata: {"type":"Created"}\n\n');
+    expect(messages).toEqual([
+      { event: 'ready', data: '{}' },
+      { event: 'station', data: '{"type":"Created"}' },
+    ]);
+  });
+
+  test('joins events split across chunks', () => {
+    const messages = [];
+    const feed = createSseParser((message) => messages.push(message));
+    feed('event: sta');
+    feed('tion\r\ndata: {"stationId"');
+    feed(':4}\r\n');
+    expect(messages).toEqual([]);
+    feed('\r\n');
+    expect(messages).toEqual([{ event: 'station', data: '{"stationId":4}' }]);
+  });
+
+  test('does not treat a \\r\\n split across chunks as two line breaks', () => {
+    const messages = [];
+    const feed = createSseParser((message) => messages.push(message));
+    feed('data: x\r');
+    feed('\ndata: y\r\n\r\n');
+    expect(messages).toEqual([{ event: 'message', data: 'x\ny' }]);
+  });
+
+  test('defaults the event name and joins data lines', () => {
+    const messages = [];
+    const feed = createSseParser((message) => messages.push(message));
+    feed('data: a\ndata: b\n\n');
+    expect(messages).toEqual([{ event: 'message', data: 'a\nb' }]);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Station Export Utilities
+ *
+ * Builds CSV, JSON and GeoJSON downloads of stations with a chosen set of
+ * columns. imageUrl is left out by default because base64 images can be
+ * megabytes per station.
+ */
+
+import { getStationCoordinates } from './geo';
+
+export const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  { value: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  { value: 'geojson', label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+];
+
+// Exportable columns; coordinates fall back to the location link like the map does
+export const EXPORT_COLUMNS = [
+  { key: 'id', label: 'ID', get: (s) => s.id ?? null },
+  { key: 'stationName', label: 'Station Name', get: (s) => s.stationName ?? null },
+  { key: 'locationAddress', label: 'Location Address', get: (s) => s.locationAddress ?? null },
+  { key: 'pinCode', label: 'Pin Code', get: (s) => s.pinCode || null },
+  { key: 'status', label: 'Status', get: (s) => s.status || null },
+  { key: 'connectorType', label: 'Primary Connector', get: (s) => s.connectorType || null },
+  {
+    key: 'connectors',
+    label: 'Connectors',
+    get: (s) =>
+      (s.connectors || []).map(({ connectorType, powerType, maxPowerKw, count, status }) => ({
+        connectorType,
+        powerType,
+        maxPowerKw,
+        count,
+        status,
+      })),
+  },
+  { key: 'latitude', label: 'Latitude', get: (s) => getStationCoordinates(s)?.lat ?? null },
+  { key: 'longitude', label: 'Longitude', get: (s) => getStationCoordinates(s)?.lng ?? null },
+  { key: 'locationLink', label: 'Location Link', get: (s) => s.locationLink || null },
+  { key: 'createdAt', label: 'Created At', get: (s) => s.createdAt || null },
+  { key: 'imageUrl', label: 'Image', get: (s) => s.imageUrl || null },
+];
+
+export const DEFAULT_EXPORT_COLUMNS = EXPORT_COLUMNS.map((c) => c.key).filter((key) => key !== 'imageUrl');
+
+const pickColumns = (columnKeys) => EXPORT_COLUMNS.filter((c) => columnKeys.includes(c.key));
+
+/**
+ * Station as a plain object with only the chosen columns
+ * @param {Object} station - Station from the API
+ * @param {Array<string>} columnKeys - Column keys to keep
+ * @returns {Object} Exported record
+ */
+export const toExportRecord = (station, columnKeys) =>
+  pickColumns(columnKeys).reduce((record, column) => {
+    record[column.key] = column.get(station);
+    return record;
+  }, {});
+
+// Connector groups as one cell, e.g. "CCS2_DC DC 60 kW x2 (Available)"
+const formatConnectorsCell = (connectors) =>
+  connectors.map((c) => `${c.connectorType} ${c.powerType} ${c.maxPowerKw} kW x${c.count} (${c.status})`).join('; ');
+
+/**
+ * Quote a CSV cell when needed
+ * Text starting with =, +, - or @ is prefixed with ' so spreadsheets do not run it as a formula.
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell text
+ */
+export const escapeCsvCell = (value) => {
+  if (value == null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Stations as CSV with a header row
+ * @param {Array<Object>} stations - Stations from the API
+ * @param {Array<string>} columnKeys - Column keys to include
+ * @returns {string} CSV text
+ */
+export const stationsToCsv = (stations, columnKeys) => {
+  const columns = pickColumns(columnKeys);
+  const lines = [columns.map((c) => escapeCsvCell(c.label)).join(',')];
+  stations.forEach((station) => {
+    const cells = columns.map((column) => {
+      const value = column.get(station);
+      return escapeCsvCell(Array.isArray(value) ? formatConnectorsCell(value) : value);
+    });
+    lines.push(cells.join(','));
+  });
+  return lines.join('\r\n');
+};
+
+/**
+ * Stations as a JSON array
+ * @param {Array<Object>} stations - Stations from the API
+ * @param {Array<string>} columnKeys - Column keys to include
+ * @returns {string} JSON text
+ */
+export const stationsToJson = (stations, columnKeys) =>
+  JSON.stringify(stations.map((station) => toExportRecord(station, columnKeys)), null, 2);
+
+/**
+ * Stations as a GeoJSON FeatureCollection of points
+ * Stations without a known position keep a null geometry, as RFC 7946 allows.
+ * @param {Array<Object>} stations - Stations from the API
+ * @param {Array<string>} columnKeys - Column keys to include as feature properties
+ * @returns {string} GeoJSON text
+ */
+export const stationsToGeoJson = (stations, columnKeys) =>
+  JSON.stringify(
+    {
+      type: 'FeatureCollection',
+      features: stations.map((station) => {
+        const coords = getStationCoordinates(station);
+        return {
+          type: 'Feature',
+          id: station.id,
+          geometry: coords ? { type: 'Point', coordinates: [coords.lng, coords.lat] } : null,
+          properties: toExportRecord(station, columnKeys),
+        };
+      }),
+    },
+    null,
+    2
+  );
+
+/**
+ * Build the file contents for an export format
+ * @param {string} format - 'csv', 'json' or 'geojson'
+ * @param {Array<Object>} stations - Stations from the API
+ * @param {Array<string>} columnKeys - Column keys to include
+ * @returns {string} File contents
+ */
+export const buildExport = (format, stations, columnKeys) => {
+  if (format === 'json') return stationsToJson(stations, columnKeys);
+  if (format === 'geojson') return stationsToGeoJson(stations, columnKeys);
+  return stationsToCsv(stations, columnKeys);
+};
+
+/**
+ * Let the browser download text as a file
+ * @param {string} content - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - MIME type of the file
+ */
+export const downloadFile = (content, fileName, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
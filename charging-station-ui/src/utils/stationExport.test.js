@@ -0,0 +1,42 @@
+import { DEFAULT_EXPORT_COLUMNS, escapeCsvCell, stationsToCsv, stationsToGeoJson } from './stationExport';
+
+const station = {
+  id: 7,
+  stationName: 'Hub, "North"',
+  locationAddress: 'MG Road',
+  status: 'Operational',
+  latitude: 12.97,
+  longitude: 77.59,
+  imageUrl: 'data:image/png;base64,AAAA',
+  connectors: [{ id: 1, connectorType: 'CCS2_DC', powerType: 'DC', maxPowerKw: 60, count: 2, status: 'Available' }],
+};
+
+describe('escapeCsvCell', () => {
+  test('quotes separators and guards formulas', () => {
+    expect(escapeCsvCell('a,b')).toBe('"a,b"');
+    expect(escapeCsvCell('=SUM(A1)')).toBe("'=SUM(A1)");
+    expect(escapeCsvCell(-12.5)).toBe('-12.5');
+    expect(escapeCsvCell(null)).toBe('');
+  });
+});
+
+describe('stationsToCsv', () => {
+  test('writes the chosen columns with connectors in one cell', () => {
+    const csv = stationsToCsv([station], ['stationName', 'connectors']);
+    expect(csv).toBe('Station Name,Connectors\r\n"Hub, ""North""",CCS2_DC DC 60 kW x2 (Available)');
+  });
+
+  test('leaves images out by default', () => {
+    expect(DEFAULT_EXPORT_COLUMNS).not.toContain('imageUrl');
+    expect(stationsToCsv([station], DEFAULT_EXPORT_COLUMNS)).not.toContain('base64');
+  });
+});
+
+describe('stationsToGeoJson', () => {
+  test('uses lng/lat order and null geometry when the position is unknown', () => {
+    const geo = JSON.parse(stationsToGeoJson([station, { id: 8, stationName: 'Nowhere' }], ['stationName']));
+    expect(geo.features[0].geometry).toEqual({ type: 'Point', coordinates: [77.59, 12.97] });
+    expect(geo.features[0].properties).toEqual({ stationName: 'Hub, "North"' });
+    expect(geo.features[1].geometry).toBeNull();
+  });
+});
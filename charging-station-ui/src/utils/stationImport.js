@@ -0,0 +1,162 @@
+/**
+ * Station Import Utilities
+ *
+ * Turns spreadsheet rows into station payloads for the import wizard:
+ * guesses which column holds which field, builds one station (with one
+ * connector group) per row, validates it and flags duplicates.
+ */
+
+import { CONNECTOR_TYPES, getConnectorType } from '../constants/connectors';
+import { STATION_STATUSES } from '../constants/stationStatuses';
+import { parseCoordinatesFromLink } from './geo';
+import { validateStation } from './stationValidation';
+
+// Station fields a column can be mapped to; aliases are matched against header names
+export const IMPORT_FIELDS = [
+  { key: 'stationName', label: 'Station Name', required: true, aliases: ['name', 'station', 'station name'] },
+  { key: 'locationAddress', label: 'Location Address', required: true, aliases: ['address', 'location'] },
+  { key: 'pinCode', label: 'Pin Code', aliases: ['pin', 'pincode', 'postal code', 'zip'] },
+  { key: 'status', label: 'Status', aliases: ['state'] },
+  { key: 'connectorType', label: 'Connector Type', aliases: ['connector', 'type', 'plug'] },
+  { key: 'maxPowerKw', label: 'Max Power (kW)', aliases: ['power', 'kw', 'max power', 'power kw'] },
+  { key: 'connectorCount', label: 'Connector Count', aliases: ['count', 'connectors', 'number of connectors'] },
+  { key: 'latitude', label: 'Latitude', aliases: ['lat'] },
+  { key: 'longitude', label: 'Longitude', aliases: ['lng', 'lon', 'long'] },
+  { key: 'locationLink', label: 'Location Link', aliases: ['link', 'map link', 'url', 'map url'] },
+];
+
+// Lower-case letters and digits only, so "Pin-Code" and "pin code" compare equal
+const simplify = (text) => String(text ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const cellText = (row, index) => (index === '' || index == null ? '' : String(row[index] ?? '').trim());
+
+const toNumber = (text) => (text === '' ? null : Number(text));
+
+/**
+ * Guess the column for each import field from the header row
+ * @param {Array<string>} headers - Header cells
+ * @returns {Object} Map of field key to column index, or '' when no column matches
+ */
+export const guessColumnMapping = (headers) => {
+  const simplified = headers.map(simplify);
+  const used = new Set();
+
+  return IMPORT_FIELDS.reduce((mapping, field) => {
+    const candidates = [field.key, field.label, ...field.aliases].map(simplify);
+    const index = simplified.findIndex((header, i) => !used.has(i) && candidates.includes(header));
+    if (index >= 0) {
+      used.add(index);
+    }
+    mapping[field.key] = index >= 0 ? index : '';
+    return mapping;
+  }, {});
+};
+
+/**
+ * Match a connector type cell by value or label (e.g. "CCS2_DC", "CCS2 (DC Fast)", "Type 2")
+ * @param {string} text - Cell text
+ * @returns {string} Known connector type value, or the text itself when nothing matches
+ */
+export const matchConnectorType = (text) => {
+  const wanted = simplify(text);
+  if (!wanted) return '';
+  const match = CONNECTOR_TYPES.find(
+    (type) =>
+      simplify(type.value) === wanted ||
+      simplify(type.label) === wanted ||
+      simplify(type.value.replace(/_(AC|DC)$/, '')) === wanted
+  );
+  return match ? match.value : text;
+};
+
+/**
+ * Build a station payload from one spreadsheet row
+ * @param {Array} row - Row cells
+ * @param {Object} mapping - Field key to column index (see guessColumnMapping)
+ * @returns {Object} Station payload for the import endpoint
+ */
+export const rowToStation = (row, mapping) => {
+  const get = (key) => cellText(row, mapping[key]);
+
+  const statusText = get('status');
+  const status =
+    STATION_STATUSES.find((s) => s.value.toLowerCase() === statusText.toLowerCase())?.value || statusText || null;
+
+  const connectorType = matchConnectorType(get('connectorType'));
+  const type = getConnectorType(connectorType);
+  const connectors = connectorType
+    ? [
+        {
+          connectorType,
+          powerType: type?.powerType || 'AC',
+          maxPowerKw: get('maxPowerKw') === '' ? type?.defaultKw ?? null : Number(get('maxPowerKw')),
+          count: get('connectorCount') === '' ? 1 : Number(get('connectorCount')),
+          status: 'Available',
+        },
+      ]
+    : [];
+
+  // Fall back to coordinates in the map link, like the station form does
+  let latitude = toNumber(get('latitude'));
+  let longitude = toNumber(get('longitude'));
+  const locationLink = get('locationLink');
+  if (latitude == null && longitude == null && locationLink) {
+    const coords = parseCoordinatesFromLink(locationLink);
+    if (coords) {
+      latitude = coords.lat;
+      longitude = coords.lng;
+    }
+  }
+
+  return {
+    stationName: get('stationName'),
+    locationAddress: get('locationAddress'),
+    pinCode: get('pinCode'),
+    status,
+    connectorType: connectorType || null,
+    connectors,
+    latitude,
+    longitude,
+    locationLink,
+  };
+};
+
+/**
+ * Key used to spot duplicate stations: name and address, case- and spacing-insensitive
+ * Matches the API's duplicate check.
+ * @param {Object} station - Station with stationName and locationAddress
+ * @returns {string} Duplicate key
+ */
+export const stationDuplicateKey = (station) => {
+  const clean = (text) => String(text ?? '').trim().split(/\s+/).join(' ').toLowerCase();
+  return `${clean(station.stationName)}|${clean(station.locationAddress)}`;
+};
+
+/**
+ * Build the preview for the import wizard
+ * @param {Array<Array>} rows - Data rows (without the header row)
+ * @param {Object} mapping - Field key to column index
+ * @param {Array<Object>} existingStations - Stations already in the system
+ * @param {number} firstRowNumber - Spreadsheet row number of rows[0] (default 2, after the header)
+ * @returns {Array<Object>} { rowNumber, station, errors, duplicate } per row;
+ *                          duplicate is 'existing', 'file' or null
+ */
+export const buildImportPreview = (rows, mapping, existingStations = [], firstRowNumber = 2) => {
+  const existingKeys = new Set(existingStations.map(stationDuplicateKey));
+  const seenKeys = new Set();
+
+  return rows.map((row, index) => {
+    const station = rowToStation(row, mapping);
+    const errors = validateStation(station);
+    const key = stationDuplicateKey(station);
+    let duplicate = null;
+    if (existingKeys.has(key)) {
+      duplicate = 'existing';
+    } else if (seenKeys.has(key)) {
+      duplicate = 'file';
+    }
+    seenKeys.add(key);
+
+    return { rowNumber: firstRowNumber + index, station, errors, duplicate };
+  });
+};
@@ -0,0 +1,52 @@
+import { guessColumnMapping, matchConnectorType, rowToStation, buildImportPreview } from './stationImport';
+
+const headers = ['Name', 'Address', 'PIN', 'Connector', 'Power kW', 'Lat', 'Lng'];
+
+describe('guessColumnMapping', () => {
+  test('matches headers by field name or alias', () => {
+    const mapping = guessColumnMapping(headers);
+    expect(mapping.stationName).toBe(0);
+    expect(mapping.pinCode).toBe(2);
+    expect(mapping.maxPowerKw).toBe(4);
+    expect(mapping.longitude).toBe(6);
+    expect(mapping.status).toBe('');
+  });
+});
+
+describe('matchConnectorType', () => {
+  test('accepts values, labels and short names', () => {
+    expect(matchConnectorType('ccs2_dc')).toBe('CCS2_DC');
+    expect(matchConnectorType('Bharat AC-001')).toBe('BHARAT_AC_001');
+    expect(matchConnectorType('Type 2')).toBe('TYPE_2_AC');
+    expect(matchConnectorType('CHAdeMO')).toBe('CHAdeMO');
+  });
+});
+
+describe('rowToStation', () => {
+  test('builds one connector group with type defaults', () => {
+    const station = rowToStation(['Hub', 'MG Road', '560001', 'CCS2', '', '12.9', '77.6'], guessColumnMapping(headers));
+    expect(station.connectors).toEqual([
+      { connectorType: 'CCS2_DC', powerType: 'DC', maxPowerKw: 60, count: 1, status: 'Available' },
+    ]);
+    expect(station.latitude).toBe(12.9);
+    expect(station.status).toBeNull();
+  });
+});
+
+describe('buildImportPreview', () => {
+  test('flags invalid rows and duplicates', () => {
+    const mapping = guessColumnMapping(headers);
+    const rows = [
+      ['Hub', 'MG Road', '560001', 'CCS2', '50', '', ''],
+      ['hub ', 'MG  Road', '560001', 'CCS2', '50', '', ''],
+      ['Depot', 'Ring Road', '0123', 'CCS2', '50', '', ''],
+      ['Old Hub', 'Old Road', '', '', '', '', ''],
+    ];
+    const preview = buildImportPreview(rows, mapping, [{ stationName: 'Old Hub', locationAddress: 'old road' }]);
+    expect(preview.map((p) => p.rowNumber)).toEqual([2, 3, 4, 5]);
+    expect(preview[0]).toMatchObject({ errors: [], duplicate: null });
+    expect(preview[1].duplicate).toBe('file');
+    expect(preview[2].errors).toEqual(['Pin code must be 6 digits and not start with 0']);
+    expect(preview[3].duplicate).toBe('existing');
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Station Merge Utilities
+ *
+ * Compare an edit that the API rejected as out of date (409 Conflict) with
+ * the station as it is now saved, and combine the two field by field.
+ */
+import { getConnectorLabel, getStationConnectors } from '../constants/connectors';
+import { getStationPhotos } from './stationPhotos';
+
+// Fields offered in the merge dialog, in form order
+export const MERGE_FIELDS = [
+  { key: 'stationName', label: 'Name' },
+  { key: 'locationAddress', label: 'Address' },
+  { key: 'pinCode', label: 'Pin code' },
+  { key: 'status', label: 'Status' },
+  { key: 'connectors', label: 'Connectors' },
+  { key: 'coordinates', label: 'Coordinates' },
+  { key: 'locationLink', label: 'Location link' },
+  { key: 'photos', label: 'Photos' },
+  { key: 'chargePointId', label: 'Charge point ID' },
+  { key: 'tariffId', label: 'Tariff' },
+];
+
+// Update payload properties that belong to each merge field (default: the field key)
+const FIELD_PROPERTIES = {
+  status: ['status', 'statusNote'],
+  coordinates: ['latitude', 'longitude'],
+  photos: ['photos', 'imageUrl'],
+};
+
+/**
+ * Station from the API in the shape StationForm submits for an update
+ * @param {Object} station - Station object from the API
+ * @returns {Object} Update payload
+ */
+export const toUpdatePayload = (station) => {
+  const photos = getStationPhotos(station).map((photo) => ({
+    imageUrl: photo.imageUrl,
+    caption: photo.caption.trim() || null,
+  }));
+  return {
+    stationName: station.stationName || '',
+    locationAddress: station.locationAddress || '',
+    pinCode: station.pinCode || '',
+    status: station.status || '',
+    statusNote: null,
+    locationLink: station.locationLink || '',
+    latitude: station.latitude ?? null,
+    longitude: station.longitude ?? null,
+    imageUrl: photos[0]?.imageUrl || null,
+    photos,
+    chargePointId: station.chargePointId || '',
+    tariffId: station.tariffId ?? null,
+    connectors: getStationConnectors(station).map((connector) => ({
+      connectorType: connector.connectorType,
+      powerType: connector.powerType,
+      maxPowerKw: connector.maxPowerKw == null ? null : Number(connector.maxPowerKw),
+      count: Number(connector.count),
+      status: connector.status,
+    })),
+  };
+};
+
+/**
+ * Comparable value of one merge field of an update payload
+ */
+const fieldKey = (payload, key) => {
+  switch (key) {
+    case 'coordinates':
+      return `${payload.latitude ?? ''},${payload.longitude ?? ''}`;
+    case 'connectors':
+      return JSON.stringify(
+        (payload.connectors || []).map((c) => [c.connectorType, c.powerType, c.maxPowerKw ?? null, Number(c.count), c.status])
+      );
+    case 'photos':
+      return JSON.stringify((payload.photos || []).map((p) => [p.imageUrl, p.caption || null]));
+    default:
+      return String(payload[key] ?? '').trim();
+  }
+};
+
+/**
+ * Display text of one merge field of an update payload
+ * @param {Object} payload - Update payload
+ * @param {string} key - Merge field key
+ * @returns {string} Text for the merge dialog ('—' when empty)
+ */
+export const formatMergeValue = (payload, key) => {
+  switch (key) {
+    case 'coordinates':
+      return payload.latitude == null || payload.longitude == null ? '—' : `${payload.latitude}, ${payload.longitude}`;
+    case 'connectors': {
+      const connectors = payload.connectors || [];
+      if (connectors.length === 0) return '—';
+      return connectors
+        .map((c) => `${c.count}× ${getConnectorLabel(c.connectorType)} ${c.powerType}${c.maxPowerKw ? ` ${c.maxPowerKw} kW` : ''} (${c.status})`)
+        .join('; ');
+    }
+    case 'photos': {
+      const photos = payload.photos || [];
+      if (photos.length === 0) return '—';
+      const captions = photos.map((p) => p.caption).filter(Boolean);
+      return `${photos.length} photo${photos.length === 1 ? '' : 's'}${captions.length ? `: ${captions.join(', ')}` : ''}`;
+    }
+    case 'tariffId':
+      return payload.tariffId == null ? 'By connector type' : `Tariff #${payload.tariffId}`;
+    default:
+      return fieldKey(payload, key) || '—';
+  }
+};
+
+/**
+ * Fields where the user's edit and the saved station disagree
+ * @param {Object} base - Station the user started editing (from the API)
+ * @param {Object} mine - Update payload the API rejected
+ * @param {Object} theirs - Station as it is now saved (from the 409 response)
+ * @returns {Array<{key: string, label: string, mineChanged: boolean, theirsChanged: boolean,
+ *                  mine: string, theirs: string}>} Differing fields in form order
+ */
+export const compareStationEdits = (base, mine, theirs) => {
+  const basePayload = toUpdatePayload(base);
+  const theirsPayload = toUpdatePayload(theirs);
+
+  return MERGE_FIELDS.filter(({ key }) => fieldKey(mine, key) !== fieldKey(theirsPayload, key)).map(({ key, label }) => ({
+    key,
+    label,
+    mineChanged: fieldKey(mine, key) !== fieldKey(basePayload, key),
+    theirsChanged: fieldKey(theirsPayload, key) !== fieldKey(basePayload, key),
+    mine: formatMergeValue(mine, key),
+    theirs: formatMergeValue(theirsPayload, key),
+  }));
+};
+
+/**
+ * Starting choice for each differing field: the other user's value when only
+ * they changed it, otherwise the user's own
+ * @param {Array} differences - Result of compareStationEdits
+ * @returns {Object} Map of field key to 'mine' or 'theirs'
+ */
+export const getDefaultMergeChoices = (differences) =>
+  Object.fromEntries(differences.map((d) => [d.key, d.theirsChanged && !d.mineChanged ? 'theirs' : 'mine']));
+
+/**
+ * Update payload that keeps the user's value or takes the saved one per field
+ * Carries the saved station's version so the merged edit can be saved.
+ * @param {Object} mine - Update payload the API rejected
+ * @param {Object} theirs - Station as it is now saved
+ * @param {Object} choices - Map of field key to 'mine' or 'theirs'
+ * @returns {Object} Merged update payload
+ */
+export const mergeStationEdits = (mine, theirs, choices) => {
+  const theirsPayload = toUpdatePayload(theirs);
+  const merged = { ...mine, version: theirs.version };
+
+  Object.entries(choices)
+    .filter(([, choice]) => choice === 'theirs')
+    .forEach(([key]) => {
+      (FIELD_PROPERTIES[key] || [key]).forEach((property) => {
+        merged[property] = theirsPayload[property];
+      });
+    });
+
+  return merged;
+};
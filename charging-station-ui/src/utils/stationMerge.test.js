@@ -0,0 +1,49 @@
+import { compareStationEdits, getDefaultMergeChoices, mergeStationEdits, toUpdatePayload } from './stationMerge';
+
+const base = {
+  id: 7,
+  version: 3,
+  stationName: 'Central Plaza',
+  locationAddress: '1 MG Road',
+  pinCode: '560001',
+  status: 'Operational',
+  latitude: 12.97,
+  longitude: 77.59,
+  locationLink: null,
+  connectors: [{ id: 1, connectorType: 'CCS2', powerType: 'DC', maxPowerKw: 60, count: 2, status: 'Available' }],
+  photos: [],
+};
+
+describe('compareStationEdits', () => {
+  test('lists only fields where the edits disagree, with who changed them', () => {
+    const mine = { ...toUpdatePayload(base), stationName: 'Central Plaza North', statusNote: null };
+    const theirs = { ...base, version: 4, status: 'Maintenance', stationName: 'Central Plaza' };
+
+    const differences = compareStationEdits(base, mine, theirs);
+    expect(differences.map((d) => d.key)).toEqual(['stationName', 'status']);
+    expect(differences[0]).toMatchObject({ mineChanged: true, theirsChanged: false, mine: 'Central Plaza North', theirs: 'Central Plaza' });
+    expect(differences[1]).toMatchObject({ mineChanged: false, theirsChanged: true, theirs: 'Maintenance' });
+    expect(getDefaultMergeChoices(differences)).toEqual({ stationName: 'mine', status: 'theirs' });
+  });
+
+  test('treats an empty pin code and null as the same value', () => {
+    const mine = toUpdatePayload({ ...base, pinCode: '' });
+    expect(compareStationEdits({ ...base, pinCode: null }, mine, { ...base, pinCode: null })).toEqual([]);
+  });
+});
+
+describe('mergeStationEdits', () => {
+  test('takes the chosen fields from the saved station and its version', () => {
+    const mine = { ...toUpdatePayload(base), latitude: 13, longitude: 78, status: 'Offline', statusNote: 'Power cut' };
+    const theirs = { ...base, version: 5, latitude: 12.5, longitude: 77.5, status: 'Maintenance' };
+
+    const merged = mergeStationEdits(mine, theirs, { coordinates: 'theirs', status: 'mine' });
+    expect(merged).toMatchObject({
+      version: 5,
+      latitude: 12.5,
+      longitude: 77.5,
+      status: 'Offline',
+      statusNote: 'Power cut',
+    });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Station Photo Utilities
+ *
+ * Helpers for a station's photo gallery. The first photo is the cover
+ * image; the API keeps imageUrl in sync with it.
+ */
+
+export const MAX_PHOTOS = 30; // Keep in sync with MaxPhotos in the API
+export const MAX_CAPTION_LENGTH = 300; // Keep in sync with StationPhoto.MaxCaptionLength
+export const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Photos of a station in gallery order
+ * Stations saved before galleries existed only have imageUrl; it counts as one photo.
+ * @param {Object} station - Station object from the API
+ * @returns {Array<{imageUrl: string, thumbnailUrl: string|null, caption: string}>} Photos
+ */
+export const getStationPhotos = (station) => {
+  if (Array.isArray(station?.photos) && station.photos.length > 0) {
+    return [...station.photos]
+      .sort((a, b) => (a.sortOrder ?? 0) - (b.sortOrder ?? 0))
+      .map((photo) => ({
+        imageUrl: photo.imageUrl,
+        thumbnailUrl: photo.thumbnailUrl || null,
+        caption: photo.caption || '',
+      }));
+  }
+  if (station?.imageUrl && station.imageUrl.trim() !== '') {
+    return [{ imageUrl: station.imageUrl, thumbnailUrl: station.thumbnailUrl || null, caption: '' }];
+  }
+  return [];
+};
+
+/**
+ * Move one item of a list to another position
+ * @param {Array} photos - Photos in order
+ * @param {number} from - Current index
+ * @param {number} to - New index (clamped to the list)
+ * @returns {Array} New array; the input is not changed
+ */
+export const movePhoto = (photos, from, to) => {
+  const target = Math.max(0, Math.min(photos.length - 1, to));
+  if (from === target || from < 0 || from >= photos.length) {
+    return photos;
+  }
+  const moved = [...photos];
+  const [photo] = moved.splice(from, 1);
+  moved.splice(target, 0, photo);
+  return moved;
+};
+
+/**
+ * Reason a file cannot be added as a photo, or null when it can
+ * @param {File} file - Selected or dropped file
+ * @returns {string|null} Error message
+ */
+export const getPhotoFileError = (file) => {
+  if (!file.type || !file.type.startsWith('image/')) {
+    return `${file.name} is not an image`;
+  }
+  if (file.size > MAX_PHOTO_BYTES) {
+    return `${file.name} is larger than 5MB`;
+  }
+  return null;
+};
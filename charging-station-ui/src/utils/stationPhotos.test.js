@@ -0,0 +1,51 @@
+import { getStationPhotos, movePhoto, getPhotoFileError } from './stationPhotos';
+
+describe('getStationPhotos', () => {
+  test('orders photos by sortOrder', () => {
+    const station = {
+      imageUrl: '/uploads/stations/a.jpg',
+      photos: [
+        { imageUrl: '/uploads/stations/b.jpg', caption: 'Connectors', sortOrder: 1 },
+        { imageUrl: '/uploads/stations/a.jpg', thumbnailUrl: '/uploads/stations/a_thumb.jpg', caption: null, sortOrder: 0 },
+      ],
+    };
+    expect(getStationPhotos(station)).toEqual([
+      { imageUrl: '/uploads/stations/a.jpg', thumbnailUrl: '/uploads/stations/a_thumb.jpg', caption: '' },
+      { imageUrl: '/uploads/stations/b.jpg', thumbnailUrl: null, caption: 'Connectors' },
+    ]);
+  });
+
+  test('treats a legacy imageUrl as a single photo', () => {
+    expect(getStationPhotos({ imageUrl: 'https://example.com/a.png', photos: [] })).toEqual([
+      { imageUrl: 'https://example.com/a.png', thumbnailUrl: null, caption: '' },
+    ]);
+    expect(getStationPhotos({ imageUrl: '' })).toEqual([]);
+    expect(getStationPhotos(null)).toEqual([]);
+  });
+});
+
+describe('movePhoto', () => {
+  test('moves an item and leaves the input unchanged', () => {
+    const photos = ['a', 'b', 'c'];
+    expect(movePhoto(photos, 2, 0)).toEqual(['c', 'a', 'b']);
+    expect(movePhoto(photos, 0, 1)).toEqual(['b', 'a', 'c']);
+    expect(photos).toEqual(['a', 'b', 'c']);
+  });
+
+  test('clamps the target and ignores no-op moves', () => {
+    const photos = ['a', 'b'];
+    expect(movePhoto(photos, 0, 5)).toEqual(['b', 'a']);
+    expect(movePhoto(photos, 1, 1)).toBe(photos);
+  });
+});
+
+describe('getPhotoFileError', () => {
+  test('accepts images up to 5MB', () => {
+    expect(getPhotoFileError({ name: 'a.jpg', type: 'image/jpeg', size: 1024 })).toBeNull();
+  });
+
+  test('rejects other files and large images', () => {
+    expect(getPhotoFileError({ name: 'a.pdf', type: 'application/pdf', size: 1024 })).toMatch(/not an image/);
+    expect(getPhotoFileError({ name: 'a.jpg', type: 'image/jpeg', size: 6 * 1024 * 1024 })).toMatch(/5MB/);
+  });
+});
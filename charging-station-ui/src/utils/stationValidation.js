@@ -0,0 +1,90 @@
+/**
+ * Station Validation
+ *
+ * Client-side copy of the API's ValidateStation rules, shared by the station
+ * form and the import wizard so rows are rejected before they are sent.
+ * Keep in sync with ChargingStationsController.ValidateStation.
+ */
+
+import { STATION_STATUSES } from '../constants/stationStatuses';
+import { CONNECTOR_TYPES, CONNECTOR_STATUSES, POWER_TYPES } from '../constants/connectors';
+
+// Indian postal PIN: six digits, the first one non-zero
+export const PIN_CODE_PATTERN = /^[1-9][0-9]{5}$/;
+
+// OCPP charge point identity: the last segment of the charger's WebSocket URL
+export const CHARGE_POINT_ID_PATTERN = /^[A-Za-z0-9._-]{1,48}$/;
+
+const isBlank = (value) => value == null || String(value).trim() === '';
+
+/**
+ * Check a pin code; empty pin codes are allowed
+ * @param {string} pinCode - Pin code text
+ * @returns {boolean} True when empty or a valid 6-digit PIN
+ */
+export const isValidPinCode = (pinCode) => isBlank(pinCode) || PIN_CODE_PATTERN.test(String(pinCode).trim());
+
+/**
+ * Check an OCPP charge point id; empty ids (no charger linked) are allowed
+ * @param {string} chargePointId - Charge point id text
+ * @returns {boolean} True when empty or made of 1-48 letters, digits, dots, dashes or underscores
+ */
+export const isValidChargePointId = (chargePointId) =>
+  isBlank(chargePointId) || CHARGE_POINT_ID_PATTERN.test(String(chargePointId).trim());
+
+/**
+ * Validate a station payload
+ * @param {Object} station - Station as sent to the API (numbers for coordinates and connector values)
+ * @returns {Array<string>} Error messages; empty when the station is valid
+ */
+export const validateStation = (station) => {
+  const errors = [];
+
+  if (isBlank(station.stationName)) {
+    errors.push('Station name is required');
+  }
+  if (isBlank(station.locationAddress)) {
+    errors.push('Location address is required');
+  }
+  if (!isValidPinCode(station.pinCode)) {
+    errors.push('Pin code must be 6 digits and not start with 0');
+  }
+  if (!isValidChargePointId(station.chargePointId)) {
+    errors.push('Charge point ID must be 1-48 letters, digits, dots, dashes or underscores');
+  }
+  if (!isBlank(station.status) && !STATION_STATUSES.some((s) => s.value.toLowerCase() === station.status.toLowerCase())) {
+    errors.push(`Status must be one of: ${STATION_STATUSES.map((s) => s.value).join(', ')}`);
+  }
+
+  const hasLatitude = station.latitude != null;
+  const hasLongitude = station.longitude != null;
+  if (hasLatitude !== hasLongitude) {
+    errors.push('Latitude and longitude must be provided together');
+  }
+  if (hasLatitude && !(station.latitude >= -90 && station.latitude <= 90)) {
+    errors.push('Latitude must be between -90 and 90');
+  }
+  if (hasLongitude && !(station.longitude >= -180 && station.longitude <= 180)) {
+    errors.push('Longitude must be between -180 and 180');
+  }
+
+  (station.connectors || []).forEach((connector) => {
+    if (!CONNECTOR_TYPES.some((type) => type.value === connector.connectorType)) {
+      errors.push(`Connector type must be one of: ${CONNECTOR_TYPES.map((type) => type.value).join(', ')}`);
+    }
+    if (!POWER_TYPES.includes(String(connector.powerType || '').toUpperCase())) {
+      errors.push('Connector power type must be AC or DC');
+    }
+    if (!(connector.maxPowerKw > 0 && connector.maxPowerKw <= 1000)) {
+      errors.push('Connector power must be greater than 0 and at most 1000 kW');
+    }
+    if (!(Number.isInteger(connector.count) && connector.count >= 1 && connector.count <= 100)) {
+      errors.push('Connector count must be between 1 and 100');
+    }
+    if (!CONNECTOR_STATUSES.some((s) => s.value === connector.status)) {
+      errors.push(`Connector status must be one of: ${CONNECTOR_STATUSES.map((s) => s.value).join(', ')}`);
+    }
+  });
+
+  return errors;
+};
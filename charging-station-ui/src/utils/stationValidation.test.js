@@ -0,0 +1,58 @@
+import { isValidChargePointId, isValidPinCode, validateStation } from './stationValidation';
+
+const validStation = {
+  stationName: 'Koramangala Hub',
+  locationAddress: '80 Feet Road, Bengaluru',
+  pinCode: '560034',
+  status: 'Operational',
+  latitude: 12.93,
+  longitude: 77.62,
+  connectors: [{ connectorType: 'CCS2_DC', powerType: 'DC', maxPowerKw: 60, count: 2, status: 'Available' }],
+};
+
+describe('isValidPinCode', () => {
+  test('accepts empty and 6-digit PINs', () => {
+    expect(isValidPinCode('')).toBe(true);
+    expect(isValidPinCode(' 560034 ')).toBe(true);
+  });
+
+  test('rejects short PINs and a leading zero', () => {
+    expect(isValidPinCode('5600')).toBe(false);
+    expect(isValidPinCode('060034')).toBe(false);
+  });
+});
+
+describe('isValidChargePointId', () => {
+  test('accepts empty ids and OCPP identity characters', () => {
+    expect(isValidChargePointId('')).toBe(true);
+    expect(isValidChargePointId(' CP-001_blr.2 ')).toBe(true);
+  });
+
+  test('rejects spaces, slashes and ids over 48 characters', () => {
+    expect(isValidChargePointId('CP 001')).toBe(false);
+    expect(isValidChargePointId('CP/001')).toBe(false);
+    expect(isValidChargePointId('C'.repeat(49))).toBe(false);
+  });
+});
+
+describe('validateStation', () => {
+  test('passes a complete station', () => {
+    expect(validateStation(validStation)).toEqual([]);
+  });
+
+  test('requires name and address', () => {
+    const errors = validateStation({ ...validStation, stationName: ' ', locationAddress: '' });
+    expect(errors).toEqual(['Station name is required', 'Location address is required']);
+  });
+
+  test('rejects unknown connector types and half coordinates', () => {
+    const errors = validateStation({
+      ...validStation,
+      longitude: null,
+      connectors: [{ ...validStation.connectors[0], connectorType: 'CHADEMO' }],
+    });
+    expect(errors).toHaveLength(2);
+    expect(errors[0]).toMatch(/provided together/);
+    expect(errors[1]).toMatch(/Connector type/);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Tariff Utilities
+ *
+ * Which tariff prices a station's connectors, how a tariff reads on a card,
+ * and what a charging session would cost under it.
+ */
+import { getStationConnectors } from '../constants/connectors';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Minutes since midnight of an "HH:mm" time
+ * @param {string} time - Time of day, e.g. "07:30"
+ * @returns {number|null} Minutes, or null when the text is not a time of day
+ */
+export const parseTimeOfDay = (time) => {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(time || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+/**
+ * Time-of-day band in effect at a minute of the day
+ * A band whose end is earlier than its start runs past midnight.
+ * @param {Object} tariff - Tariff with bands
+ * @param {number} minuteOfDay - Minutes since midnight (0-1439)
+ * @returns {Object|null} Band, or null when the tariff's own prices apply
+ */
+export const getBandAt = (tariff, minuteOfDay) =>
+  (tariff?.bands || []).find((band) => {
+    const start = parseTimeOfDay(band.startTime);
+    const end = parseTimeOfDay(band.endTime);
+    if (start == null || end == null || start === end) return false;
+    return start < end
+      ? minuteOfDay >= start && minuteOfDay < end
+      : minuteOfDay >= start || minuteOfDay < end;
+  }) || null;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Cost of one charging session under a tariff
+ * Energy is spread evenly over the charging time, so each minute is priced
+ * at the band in effect at that local time of day. Idle minutes (plugged in
+ * after charging finished) are charged past the tariff's grace period.
+ * @param {Object} tariff - Tariff from the API
+ * @param {Object} session
+ * @param {number} session.energyKwh - Energy delivered
+ * @param {number} session.durationMinutes - Charging time
+ * @param {number} [session.idleMinutes=0] - Time left plugged in after charging
+ * @param {Date} [session.startAt=new Date()] - Start of charging (its local time selects the bands)
+ * @returns {Object} { energyCost, timeCost, sessionFee, idleCost, total, currency }
+ */
+export const estimateSessionCost = (
+  tariff,
+  { energyKwh, durationMinutes, idleMinutes = 0, startAt = new Date() }
+) => {
+  const energy = Math.max(0, Number(energyKwh) || 0);
+  const duration = Math.max(0, Number(durationMinutes) || 0);
+  const idle = Math.max(0, Number(idleMinutes) || 0);
+  const startMinute = startAt.getHours() * 60 + startAt.getMinutes();
+
+  const ratesAt = (minuteOfDay) => getBandAt(tariff, minuteOfDay) || tariff;
+
+  let energyCost = 0;
+  let timeCost = 0;
+  if (duration === 0) {
+    energyCost = energy * ratesAt(startMinute).pricePerKwh;
+  } else {
+    const energyPerMinute = energy / duration;
+    for (let minute = 0; minute < duration; minute++) {
+      const length = Math.min(1, duration - minute);
+      const rates = ratesAt((startMinute + minute) % MINUTES_PER_DAY);
+      energyCost += energyPerMinute * length * rates.pricePerKwh;
+      timeCost += length * rates.pricePerMinute;
+    }
+  }
+
+  const idleCost = Math.max(0, idle - (tariff.idleGraceMinutes || 0)) * (tariff.idleFeePerMinute || 0);
+  const sessionFee = tariff.sessionFee || 0;
+
+  return {
+    energyCost: roundMoney(energyCost),
+    timeCost: roundMoney(timeCost),
+    sessionFee: roundMoney(sessionFee),
+    idleCost: roundMoney(idleCost),
+    total: roundMoney(energyCost + timeCost + sessionFee + idleCost),
+    currency: tariff.currency,
+  };
+};
+
+/**
+ * Tariff that prices a connector type at a station
+ * A tariff assigned to the station wins over the tariff for the connector type.
+ * @param {Object} station - Station object from the API
+ * @param {string} connectorType - Connector type value
+ * @param {Array} tariffs - All tariffs
+ * @returns {Object|null} Tariff, or null when the connector has no price
+ */
+export const getConnectorTariff = (station, connectorType, tariffs = []) => {
+  if (station?.tariffId != null) {
+    const assigned = tariffs.find((tariff) => tariff.id === station.tariffId);
+    if (assigned) return assigned;
+  }
+  return tariffs.find((tariff) => (tariff.connectorTypes || []).includes(connectorType)) || null;
+};
+
+/**
+ * Tariffs in use at a station, each with the connector types it prices
+ * @param {Object} station - Station object from the API
+ * @param {Array} tariffs - All tariffs
+ * @returns {Array} [{ tariff, connectorTypes }] in connector order
+ */
+export const getStationTariffs = (station, tariffs = []) => {
+  const byTariff = new Map();
+  getStationConnectors(station).forEach(({ connectorType }) => {
+    const tariff = getConnectorTariff(station, connectorType, tariffs);
+    if (!tariff) return;
+    if (!byTariff.has(tariff.id)) {
+      byTariff.set(tariff.id, { tariff, connectorTypes: [] });
+    }
+    const entry = byTariff.get(tariff.id);
+    if (!entry.connectorTypes.includes(connectorType)) {
+      entry.connectorTypes.push(connectorType);
+    }
+  });
+  return [...byTariff.values()];
+};
+
+/**
+ * Money amount in a currency, without decimals when it is a whole amount
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO 4217 code
+ * @returns {string} e.g. "₹18" or "₹2.50"
+ */
+export const formatPrice = (amount, currency) => {
+  const value = Number(amount) || 0;
+  const fractionDigits = Number.isInteger(value) ? 0 : 2;
+  try {
+    return new Intl.NumberFormat('en', {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: 2,
+    }).format(value);
+  } catch {
+    return `${value.toFixed(fractionDigits)} ${currency}`;
+  }
+};
+
+/**
+ * One-line price summary of a tariff for station cards
+ * @param {Object} tariff - Tariff from the API
+ * @returns {string} e.g. "₹18/kWh · ₹2/min · ₹10/session", or "Free"
+ */
+export const formatTariffSummary = (tariff) => {
+  if (!tariff) return '';
+  const parts = [];
+  if (tariff.pricePerKwh > 0) parts.push(`${formatPrice(tariff.pricePerKwh, tariff.currency)}/kWh`);
+  if (tariff.pricePerMinute > 0) parts.push(`${formatPrice(tariff.pricePerMinute, tariff.currency)}/min`);
+  if (tariff.sessionFee > 0) parts.push(`${formatPrice(tariff.sessionFee, tariff.currency)}/session`);
+  if (parts.length === 0 && !(tariff.bands || []).length) return 'Free';
+  return parts.join(' · ') || 'Time-of-day prices';
+};
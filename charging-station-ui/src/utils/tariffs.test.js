@@ -0,0 +1,152 @@
+import {
+  estimateSessionCost,
+  formatPrice,
+  formatTariffSummary,
+  getBandAt,
+  getConnectorTariff,
+  getStationTariffs,
+  parseTimeOfDay,
+} from './tariffs';
+
+const baseTariff = {
+  id: 1,
+  name: 'Standard AC',
+  currency: 'INR',
+  pricePerKwh: 10,
+  pricePerMinute: 0,
+  sessionFee: 0,
+  idleFeePerMinute: 0,
+  idleGraceMinutes: 0,
+  connectorTypes: ['TYPE_2_AC'],
+  bands: [],
+};
+
+describe('parseTimeOfDay', () => {
+  test('returns minutes since midnight', () => {
+    expect(parseTimeOfDay('07:30')).toBe(450);
+    expect(parseTimeOfDay('00:00')).toBe(0);
+  });
+
+  test('rejects text that is not a time of day', () => {
+    expect(parseTimeOfDay('24:00')).toBeNull();
+    expect(parseTimeOfDay('7:30')).toBeNull();
+    expect(parseTimeOfDay(undefined)).toBeNull();
+  });
+});
+
+describe('getBandAt', () => {
+  const tariff = {
+    ...baseTariff,
+    bands: [
+      { startTime: '18:00', endTime: '22:00', pricePerKwh: 15, pricePerMinute: 0 },
+      { startTime: '23:00', endTime: '06:00', pricePerKwh: 6, pricePerMinute: 0 },
+    ],
+  };
+
+  test('finds the band including its start and excluding its end', () => {
+    expect(getBandAt(tariff, 18 * 60).pricePerKwh).toBe(15);
+    expect(getBandAt(tariff, 22 * 60)).toBeNull();
+  });
+
+  test('handles bands that run past midnight', () => {
+    expect(getBandAt(tariff, 23 * 60 + 30).pricePerKwh).toBe(6);
+    expect(getBandAt(tariff, 5 * 60).pricePerKwh).toBe(6);
+    expect(getBandAt(tariff, 12 * 60)).toBeNull();
+  });
+});
+
+describe('estimateSessionCost', () => {
+  test('adds energy, time, session and idle charges', () => {
+    const tariff = { ...baseTariff, pricePerMinute: 1, sessionFee: 20, idleFeePerMinute: 2, idleGraceMinutes: 10 };
+    const cost = estimateSessionCost(tariff, {
+      energyKwh: 30,
+      durationMinutes: 60,
+      idleMinutes: 25,
+      startAt: new Date(2024, 0, 1, 10, 0),
+    });
+    expect(cost).toEqual({
+      energyCost: 300,
+      timeCost: 60,
+      sessionFee: 20,
+      idleCost: 30,
+      total: 410,
+      currency: 'INR',
+    });
+  });
+
+  test('prices each part of the session at the band in effect', () => {
+    const tariff = {
+      ...baseTariff,
+      bands: [{ startTime: '18:00', endTime: '22:00', pricePerKwh: 20, pricePerMinute: 0 }],
+    };
+    // Half the energy before 18:00, half after
+    const cost = estimateSessionCost(tariff, {
+      energyKwh: 10,
+      durationMinutes: 60,
+      startAt: new Date(2024, 0, 1, 17, 30),
+    });
+    expect(cost.energyCost).toBe(150);
+  });
+
+  test('charges nothing for idle time within the grace period', () => {
+    const tariff = { ...baseTariff, idleFeePerMinute: 5, idleGraceMinutes: 15 };
+    expect(estimateSessionCost(tariff, { energyKwh: 0, durationMinutes: 30, idleMinutes: 15 }).idleCost).toBe(0);
+  });
+
+  test('prices energy at the start rate when no duration is given', () => {
+    expect(estimateSessionCost(baseTariff, { energyKwh: 5, durationMinutes: 0 }).total).toBe(50);
+  });
+});
+
+describe('getConnectorTariff', () => {
+  const dcTariff = { ...baseTariff, id: 2, name: 'Fast DC', connectorTypes: ['CCS2_DC'] };
+  const fleetTariff = { ...baseTariff, id: 3, name: 'Fleet', connectorTypes: [] };
+  const tariffs = [baseTariff, dcTariff, fleetTariff];
+
+  test('uses the tariff for the connector type', () => {
+    expect(getConnectorTariff({ tariffId: null }, 'CCS2_DC', tariffs)).toBe(dcTariff);
+  });
+
+  test('prefers the tariff assigned to the station', () => {
+    expect(getConnectorTariff({ tariffId: 3 }, 'CCS2_DC', tariffs)).toBe(fleetTariff);
+  });
+
+  test('returns null for connector types without a tariff', () => {
+    expect(getConnectorTariff({}, 'BHARAT_DC_001', tariffs)).toBeNull();
+  });
+});
+
+describe('getStationTariffs', () => {
+  test('groups connector types by tariff and leaves out unpriced ones', () => {
+    const dcTariff = { ...baseTariff, id: 2, connectorTypes: ['CCS2_DC'] };
+    const station = {
+      connectors: [
+        { connectorType: 'CCS2_DC' },
+        { connectorType: 'TYPE_2_AC' },
+        { connectorType: 'BHARAT_AC_001' },
+        { connectorType: 'CCS2_DC' },
+      ],
+    };
+    expect(getStationTariffs(station, [baseTariff, dcTariff])).toEqual([
+      { tariff: dcTariff, connectorTypes: ['CCS2_DC'] },
+      { tariff: baseTariff, connectorTypes: ['TYPE_2_AC'] },
+    ]);
+  });
+});
+
+describe('formatPrice', () => {
+  test('drops decimals only for whole amounts', () => {
+    expect(formatPrice(18, 'INR')).toBe('₹18');
+    expect(formatPrice(2.5, 'INR')).toBe('₹2.50');
+  });
+});
+
+describe('formatTariffSummary', () => {
+  test('lists the prices that are set', () => {
+    expect(formatTariffSummary({ ...baseTariff, pricePerKwh: 18, sessionFee: 10 })).toBe('₹18/kWh · ₹10/session');
+  });
+
+  test('shows tariffs without any price as free', () => {
+    expect(formatTariffSummary({ ...baseTariff, pricePerKwh: 0 })).toBe('Free');
+  });
+});
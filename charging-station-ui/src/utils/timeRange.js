@@ -0,0 +1,75 @@
+/**
+ * Time Range Utilities
+ *
+ * Date range presets and formatting for the status trend chart.
+ */
+
+export const TIME_SERIES_INTERVALS = ['hour', 'day', 'week'];
+
+// Preset ranges with the bucket size that suits them
+export const TIME_RANGE_PRESETS = [
+  { value: '24h', label: 'Last 24 hours', hours: 24, interval: 'hour' },
+  { value: '7d', label: 'Last 7 days', hours: 24 * 7, interval: 'day' },
+  { value: '30d', label: 'Last 30 days', hours: 24 * 30, interval: 'day' },
+  { value: '90d', label: 'Last 90 days', hours: 24 * 90, interval: 'week' },
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Date range for a preset ending now
+ * @param {string} preset - Preset value (e.g. '7d')
+ * @param {Date} now - End of the range
+ * @returns {{from: Date, to: Date, interval: string}|null} Range, or null for an unknown preset
+ */
+export const getPresetRange = (preset, now = new Date()) => {
+  const option = TIME_RANGE_PRESETS.find((p) => p.value === preset);
+  if (!option) return null;
+  return {
+    from: new Date(now.getTime() - option.hours * HOUR_MS),
+    to: now,
+    interval: option.interval,
+  };
+};
+
+/**
+ * Date range for a custom pair of date inputs (yyyy-mm-dd, local time)
+ * The end date is inclusive, so the range runs to midnight after it.
+ * @param {string} fromDate - Start date
+ * @param {string} toDate - End date
+ * @returns {{from: Date, to: Date}|null} Range, or null when a date is missing or the order is wrong
+ */
+export const getCustomRange = (fromDate, toDate) => {
+  if (!fromDate || !toDate) return null;
+  const from = new Date(`${fromDate}T00:00:00`);
+  const to = new Date(`${toDate}T00:00:00`);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) return null;
+  to.setDate(to.getDate() + 1);
+  return from < to ? { from, to } : null;
+};
+
+/**
+ * Short axis label for a bucket start
+ * @param {string|Date} start - Bucket start
+ * @param {string} interval - 'hour', 'day' or 'week'
+ * @returns {string} Label such as "14:00" or "Mar 4"
+ */
+export const formatBucketLabel = (start, interval) => {
+  const date = new Date(start);
+  if (interval === 'hour') {
+    return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+/**
+ * Human readable duration for a number of hours
+ * @param {number} hours - Duration in hours
+ * @returns {string} "45 min", "5.5 h" or "3.2 days"
+ */
+export const formatHours = (hours) => {
+  if (!hours) return '0 h';
+  if (hours < 1) return `${Math.round(hours * 60)} min`;
+  if (hours < 48) return `${Number(hours.toFixed(1))} h`;
+  return `${Number((hours / 24).toFixed(1))} days`;
+};
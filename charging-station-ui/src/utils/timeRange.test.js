@@ -0,0 +1,36 @@
+import { getPresetRange, getCustomRange, formatHours } from './timeRange';
+
+describe('getPresetRange', () => {
+  test('ends now and uses the preset interval', () => {
+    const now = new Date('2024-03-10T12:00:00Z');
+    const range = getPresetRange('7d', now);
+    expect(range.to).toBe(now);
+    expect(range.from.toISOString()).toBe('2024-03-03T12:00:00.000Z');
+    expect(range.interval).toBe('day');
+  });
+
+  test('returns null for unknown presets', () => {
+    expect(getPresetRange('1y')).toBeNull();
+  });
+});
+
+describe('getCustomRange', () => {
+  test('includes the whole end date', () => {
+    const range = getCustomRange('2024-03-01', '2024-03-01');
+    expect(range.to.getTime() - range.from.getTime()).toBe(24 * 60 * 60 * 1000);
+  });
+
+  test('rejects missing or reversed dates', () => {
+    expect(getCustomRange('', '2024-03-01')).toBeNull();
+    expect(getCustomRange('2024-03-05', '2024-03-01')).toBeNull();
+  });
+});
+
+describe('formatHours', () => {
+  test('picks a readable unit', () => {
+    expect(formatHours(0)).toBe('0 h');
+    expect(formatHours(0.5)).toBe('30 min');
+    expect(formatHours(5.25)).toBe('5.3 h');
+    expect(formatHours(72)).toBe('3 days');
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Webhook Utilities
+ *
+ * Client-side checks and the API payload for the webhook form, and short
+ * descriptions of delivery attempts for the delivery log.
+ */
+import { MAX_WEBHOOK_NAME_LENGTH, MAX_WEBHOOK_URL_LENGTH, WEBHOOK_EVENT_TYPES } from '../constants/webhooks';
+
+/**
+ * Check a webhook form before it is sent
+ * @param {Object} webhook - Form values
+ * @returns {string|null} Error message, or null when the webhook can be saved
+ */
+export const validateWebhook = (webhook) => {
+  const name = (webhook.name || '').trim();
+  if (!name) return 'Name is required';
+  if (name.length > MAX_WEBHOOK_NAME_LENGTH) return `Name must be at most ${MAX_WEBHOOK_NAME_LENGTH} characters`;
+
+  const url = (webhook.url || '').trim();
+  if (!url) return 'URL is required';
+  if (url.length > MAX_WEBHOOK_URL_LENGTH) return `URL must be at most ${MAX_WEBHOOK_URL_LENGTH} characters`;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'URL must be a full http or https address';
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return 'URL must be a full http or https address';
+
+  if (!webhook.eventTypes?.length) return 'Choose at least one event';
+  return null;
+};
+
+/**
+ * Webhook as the API expects it
+ * @param {Object} webhook - Form values
+ * @returns {Object} Payload with trimmed text and events in list order
+ */
+export const toWebhookPayload = (webhook) => ({
+  ...(webhook.id != null && { id: webhook.id }),
+  name: (webhook.name || '').trim(),
+  url: (webhook.url || '').trim(),
+  eventTypes: WEBHOOK_EVENT_TYPES.map((t) => t.value).filter((value) => webhook.eventTypes.includes(value)),
+  enabled: Boolean(webhook.enabled),
+});
+
+/**
+ * Outcome of a delivery's last attempt for the delivery log
+ * @param {Object} delivery - Delivery from the API
+ * @returns {string} e.g. "200 in 85 ms", "Webhook answered 500 Internal Server Error", or "Not sent yet"
+ */
+export const describeDeliveryAttempt = (delivery) => {
+  if (!delivery.attempts) return 'Not sent yet';
+  if (delivery.error) return delivery.error;
+  const duration = delivery.durationMs != null ? ` in ${delivery.durationMs} ms` : '';
+  return `${delivery.responseStatusCode}${duration}`;
+};
+
+/**
+ * Short form of an event id for the delivery log
+ * @param {string} eventId - Event GUID
+ * @returns {string} First 8 characters
+ */
+export const shortEventId = (eventId) => String(eventId || '').slice(0, 8);
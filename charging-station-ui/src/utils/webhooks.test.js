@@ -0,0 +1,49 @@
+import { describeDeliveryAttempt, shortEventId, toWebhookPayload, validateWebhook } from './webhooks';
+import { createWebhook } from '../constants/webhooks';
+
+const webhook = (overrides) => ({
+  ...createWebhook(),
+  name: 'Ticketing',
+  url: 'https://tickets.example.com/hooks/stations',
+  ...overrides,
+});
+
+describe('validateWebhook', () => {
+  test('accepts a named webhook with an http(s) URL', () => {
+    expect(validateWebhook(webhook())).toBeNull();
+    expect(validateWebhook(webhook({ url: 'http://localhost:4000/hook' }))).toBeNull();
+  });
+
+  test('rejects missing fields, relative and non-http URLs', () => {
+    expect(validateWebhook(webhook({ name: ' ' }))).toMatch(/Name/);
+    expect(validateWebhook(webhook({ url: '/hooks' }))).toMatch(/http or https/);
+    expect(validateWebhook(webhook({ url: 'ftp://example.com/hook' }))).toMatch(/http or https/);
+    expect(validateWebhook(webhook({ eventTypes: [] }))).toMatch(/event/);
+  });
+});
+
+describe('toWebhookPayload', () => {
+  test('trims text and keeps events in list order', () => {
+    const payload = toWebhookPayload(
+      webhook({ id: 3, name: ' CRM ', eventTypes: ['station.deleted', 'station.created'] })
+    );
+    expect(payload).toEqual({
+      id: 3,
+      name: 'CRM',
+      url: 'https://tickets.example.com/hooks/stations',
+      eventTypes: ['station.created', 'station.deleted'],
+      enabled: true,
+    });
+  });
+});
+
+describe('describeDeliveryAttempt', () => {
+  test('shows the response code, the error, or that nothing was sent', () => {
+    expect(describeDeliveryAttempt({ attempts: 1, responseStatusCode: 200, durationMs: 85 })).toBe('200 in 85 ms');
+    expect(describeDeliveryAttempt({ attempts: 2, responseStatusCode: 500, error: 'Webhook answered 500' })).toBe(
+      'Webhook answered 500'
+    );
+    expect(describeDeliveryAttempt({ attempts: 0 })).toBe('Not sent yet');
+    expect(shortEventId('0f8fad5b-d9cb-469f-a165-70867728950e')).toBe('0f8fad5b');
+  });
+});
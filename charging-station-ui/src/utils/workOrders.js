@@ -0,0 +1,109 @@
+/**
+ * Work Order Utilities
+ *
+ * Ordering and grouping of work orders for the station list and the board,
+ * overdue checks, and the payload sent to the API.
+ */
+import { RESOLVED_STATE, WORK_ORDER_PRIORITIES, WORK_ORDER_STATES } from '../constants/workOrders';
+
+const priorityRank = (priority) => {
+  const index = WORK_ORDER_PRIORITIES.findIndex((p) => p.value === priority);
+  return index === -1 ? 1 : index;
+};
+
+/**
+ * Whether a work order still needs work
+ * @param {Object} workOrder - Work order from the API
+ * @returns {boolean}
+ */
+export const isUnresolved = (workOrder) => workOrder?.state !== RESOLVED_STATE;
+
+/**
+ * Local calendar date as the API writes due dates
+ * @param {Date} date
+ * @returns {string} "YYYY-MM-DD"
+ */
+export const toDateString = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Whether an unresolved work order is past its due date
+ * @param {Object} workOrder - Work order from the API
+ * @param {Date} [now=new Date()] - Current time (its local date is "today")
+ * @returns {boolean} False for resolved orders and orders without a due date
+ */
+export const isOverdue = (workOrder, now = new Date()) =>
+  Boolean(workOrder?.dueDate) && isUnresolved(workOrder) && workOrder.dueDate < toDateString(now);
+
+/**
+ * Work orders in the order they should be worked on
+ * Unresolved before resolved, then most urgent first, then earliest due date
+ * (orders without one last), then oldest first. Resolved orders are listed
+ * most recently resolved first.
+ * @param {Array} workOrders - Work orders from the API
+ * @returns {Array} New sorted array
+ */
+export const sortWorkOrders = (workOrders = []) =>
+  [...workOrders].sort((a, b) => {
+    const aOpen = isUnresolved(a);
+    const bOpen = isUnresolved(b);
+    if (aOpen !== bOpen) return aOpen ? -1 : 1;
+    if (!aOpen) return String(b.resolvedAt || '').localeCompare(String(a.resolvedAt || ''));
+    if (a.priority !== b.priority) return priorityRank(b.priority) - priorityRank(a.priority);
+    if ((a.dueDate || '') !== (b.dueDate || '')) {
+      if (!a.dueDate) return 1;
+      if (!b.dueDate) return -1;
+      return a.dueDate.localeCompare(b.dueDate);
+    }
+    return String(a.createdAt || '').localeCompare(String(b.createdAt || ''));
+  });
+
+/**
+ * Work orders grouped into the board's state columns, each sorted
+ * @param {Array} workOrders - Work orders from the API
+ * @returns {Object} { Open: [...], InProgress: [...], Resolved: [...] }
+ */
+export const groupWorkOrdersByState = (workOrders = []) => {
+  const groups = Object.fromEntries(WORK_ORDER_STATES.map(({ value }) => [value, []]));
+  sortWorkOrders(workOrders).forEach((workOrder) => {
+    (groups[workOrder.state] || groups.Open).push(workOrder);
+  });
+  return groups;
+};
+
+/**
+ * Whether resolving a work order would leave its station with no unresolved orders
+ * @param {Object} workOrder - Work order about to be resolved
+ * @param {Array} workOrders - Known work orders of the same station (and possibly others)
+ * @returns {boolean}
+ */
+export const isLastUnresolved = (workOrder, workOrders = []) =>
+  !workOrders.some(
+    (other) =>
+      other.id !== workOrder.id &&
+      other.chargingStationId === workOrder.chargingStationId &&
+      isUnresolved(other)
+  );
+
+/**
+ * Work order as the API expects it: trimmed text, blank optional fields as null
+ * @param {Object} workOrder - Work order from the form
+ * @returns {Object} Payload for createWorkOrder / updateWorkOrder
+ */
+export const toWorkOrderPayload = (workOrder) => {
+  const optional = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+  return {
+    ...(workOrder.id != null && { id: workOrder.id }),
+    chargingStationId: workOrder.chargingStationId,
+    title: (workOrder.title || '').trim(),
+    description: optional(workOrder.description),
+    category: workOrder.category,
+    priority: workOrder.priority,
+    assignee: optional(workOrder.assignee),
+    dueDate: optional(workOrder.dueDate),
+    state: workOrder.state,
+    resolutionNote: optional(workOrder.resolutionNote),
+  };
+};
@@ -0,0 +1,97 @@
+import {
+  groupWorkOrdersByState,
+  isLastUnresolved,
+  isOverdue,
+  sortWorkOrders,
+  toWorkOrderPayload,
+} from './workOrders';
+
+const order = (overrides) => ({
+  id: 1,
+  chargingStationId: 10,
+  title: 'Replace latch',
+  category: 'Connector',
+  priority: 'Medium',
+  dueDate: null,
+  state: 'Open',
+  createdAt: '2024-03-01T10:00:00Z',
+  resolvedAt: null,
+  ...overrides,
+});
+
+describe('isOverdue', () => {
+  const now = new Date(2024, 2, 10, 9, 0);
+
+  test('is true only for unresolved orders due before today', () => {
+    expect(isOverdue(order({ dueDate: '2024-03-09' }), now)).toBe(true);
+    expect(isOverdue(order({ dueDate: '2024-03-10' }), now)).toBe(false);
+    expect(isOverdue(order({ dueDate: '2024-03-09', state: 'Resolved' }), now)).toBe(false);
+  });
+
+  test('is false without a due date', () => {
+    expect(isOverdue(order(), now)).toBe(false);
+  });
+});
+
+describe('sortWorkOrders', () => {
+  test('puts urgent, then earlier due, orders first and resolved ones last', () => {
+    const sorted = sortWorkOrders([
+      order({ id: 1, state: 'Resolved', priority: 'Critical', resolvedAt: '2024-03-02T00:00:00Z' }),
+      order({ id: 2, priority: 'Low' }),
+      order({ id: 3, priority: 'High' }),
+      order({ id: 4, priority: 'High', dueDate: '2024-03-05' }),
+      order({ id: 5, state: 'Resolved', resolvedAt: '2024-03-04T00:00:00Z' }),
+    ]);
+    expect(sorted.map((w) => w.id)).toEqual([4, 3, 2, 5, 1]);
+  });
+});
+
+describe('groupWorkOrdersByState', () => {
+  test('returns a column for every state', () => {
+    const groups = groupWorkOrdersByState([order({ id: 1 }), order({ id: 2, state: 'InProgress' })]);
+    expect(Object.keys(groups)).toEqual(['Open', 'InProgress', 'Resolved']);
+    expect(groups.InProgress.map((w) => w.id)).toEqual([2]);
+    expect(groups.Resolved).toEqual([]);
+  });
+});
+
+describe('isLastUnresolved', () => {
+  test('ignores resolved orders and orders of other stations', () => {
+    const target = order({ id: 1 });
+    const others = [
+      target,
+      order({ id: 2, state: 'Resolved' }),
+      order({ id: 3, chargingStationId: 11 }),
+    ];
+    expect(isLastUnresolved(target, others)).toBe(true);
+    expect(isLastUnresolved(target, [...others, order({ id: 4, state: 'InProgress' })])).toBe(false);
+  });
+});
+
+describe('toWorkOrderPayload', () => {
+  test('trims text and sends blank optional fields as null', () => {
+    expect(
+      toWorkOrderPayload({
+        chargingStationId: 10,
+        title: '  Replace latch ',
+        description: ' ',
+        category: 'Connector',
+        priority: 'High',
+        assignee: ' Field team ',
+        dueDate: '',
+        state: 'Open',
+        resolutionNote: '',
+      })
+    ).toEqual({
+      chargingStationId: 10,
+      title: 'Replace latch',
+      description: null,
+      category: 'Connector',
+      priority: 'High',
+      assignee: 'Field team',
+      dueDate: null,
+      state: 'Open',
+      resolutionNote: null,
+    });
+  });
+});
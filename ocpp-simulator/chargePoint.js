@@ -0,0 +1,343 @@
+/**
+ * Simulated OCPP 1.6J Charge Point
+ *
+ * Connects to a central system over WebSocket and sends the messages a real
+ * charger would: BootNotification, Heartbeat, StatusNotification,
+ * Authorize, StartTransaction, MeterValues and StopTransaction.
+ */
+import { randomUUID } from 'node:crypto';
+import WebSocket from 'ws';
+
+const CALL = 2;
+const CALL_RESULT = 3;
+const CALL_ERROR = 4;
+
+const CALL_TIMEOUT_MS = 30000;
+const RECONNECT_DELAY_MS = 5000;
+
+export class ChargePoint {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Central system URL without the charge point id (e.g. ws://localhost:5000/ocpp)
+   * @param {string} options.id - Charge point id (the station's OCPP Charge Point ID)
+   * @param {number} [options.connectors=2] - Number of connectors
+   * @param {string} [options.password] - Basic auth password when the API sets Ocpp:Password
+   * @param {number} [options.powerKw=7.4] - Charging power reported while a transaction runs
+   * @param {number} [options.meterIntervalSeconds=10] - How often MeterValues are sent while charging
+   * @param {string} [options.vendor='Simulator'] - Vendor sent in BootNotification
+   * @param {string} [options.model='SIM-1'] - Model sent in BootNotification
+   * @param {Function} [options.log=console.log] - Log function
+   */
+  constructor({
+    url,
+    id,
+    connectors = 2,
+    password,
+    powerKw = 7.4,
+    meterIntervalSeconds = 10,
+    vendor = 'Simulator',
+    model = 'SIM-1',
+    log = console.log,
+  }) {
+    this.url = `${url.replace(/\/+$/, '')}/${encodeURIComponent(id)}`;
+    this.id = id;
+    this.password = password;
+    this.powerKw = powerKw;
+    this.meterIntervalSeconds = meterIntervalSeconds;
+    this.vendor = vendor;
+    this.model = model;
+    this.log = log;
+
+    this.socket = null;
+    this.closing = false;
+    this.heartbeatTimer = null;
+    this.pending = new Map(); // Outstanding CALLs by message id
+
+    // Connector 1..n state; the energy register keeps counting across transactions like a real meter
+    this.connectors = Array.from({ length: connectors }, (_, index) => ({
+      connectorId: index + 1,
+      status: 'Available',
+      transactionId: null,
+      meterWh: 0,
+      meterTimer: null,
+    }));
+  }
+
+  /**
+   * Open the connection, boot, and report every connector
+   * Reconnects after a dropped connection until close() is called.
+   * @returns {Promise<void>} Resolves once the boot sequence has been sent
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const headers = {};
+      if (this.password) {
+        headers.Authorization = `Basic ${Buffer.from(`${this.id}:${this.password}`).toString('base64')}`;
+      }
+
+      const socket = new WebSocket(this.url, 'ocpp1.6', { headers });
+      this.socket = socket;
+      let opened = false;
+
+      socket.on('open', async () => {
+        opened = true;
+        this.log(`Connected to ${this.url}`);
+        try {
+          await this.boot();
+          resolve();
+        } catch (err) {
+          reject(err);
+        }
+      });
+
+      socket.on('message', (data) => this.handleMessage(data.toString()));
+
+      socket.on('unexpected-response', (request, response) => {
+        reject(new Error(`Central system answered ${response.statusCode} ${response.statusMessage || ''}`.trim()));
+        socket.terminate();
+      });
+
+      socket.on('error', (err) => {
+        if (!opened) {
+          reject(err);
+        } else {
+          this.log(`Connection error: ${err.message}`);
+        }
+      });
+
+      socket.on('close', () => {
+        this.stopTimers();
+        this.rejectPending(new Error('Connection closed'));
+        if (opened && !this.closing) {
+          this.log(`Disconnected; reconnecting in ${RECONNECT_DELAY_MS / 1000}s`);
+          setTimeout(() => {
+            this.connect().catch((err) => this.log(`Reconnect failed: ${err.message}`));
+          }, RECONNECT_DELAY_MS);
+        }
+      });
+    });
+  }
+
+  /**
+   * Stop running transactions and close the connection
+   */
+  async close() {
+    this.closing = true;
+    for (const connector of this.connectors) {
+      if (connector.transactionId != null) {
+        await this.stopTransaction(connector.connectorId, 'Local').catch(() => {});
+      }
+    }
+    this.stopTimers();
+    this.socket?.close();
+  }
+
+  async boot() {
+    const result = await this.call('BootNotification', {
+      chargePointVendor: this.vendor,
+      chargePointModel: this.model,
+      firmwareVersion: '1.0.0',
+    });
+    this.log(`BootNotification ${result.status}; heartbeat every ${result.interval}s`);
+
+    clearInterval(this.heartbeatTimer);
+    if (result.interval > 0) {
+      this.heartbeatTimer = setInterval(() => {
+        this.call('Heartbeat', {}).catch((err) => this.log(`Heartbeat failed: ${err.message}`));
+      }, result.interval * 1000);
+    }
+
+    await this.sendStatus(0, 'Available');
+    for (const connector of this.connectors) {
+      // A reconnect after a drop resumes the transaction that was running
+      if (connector.transactionId != null) {
+        this.startMetering(connector);
+      }
+      await this.sendStatus(connector.connectorId, connector.status);
+    }
+  }
+
+  /**
+   * Plug in and start charging on a connector
+   * @param {number} connectorId - Connector number
+   * @param {string} [idTag='SIMTAG01'] - RFID token presented by the driver
+   */
+  async startTransaction(connectorId, idTag = 'SIMTAG01') {
+    const connector = this.getConnector(connectorId);
+    if (connector.transactionId != null) {
+      throw new Error(`Connector ${connectorId} is already charging`);
+    }
+    if (connector.status === 'Faulted' || connector.status === 'Unavailable') {
+      throw new Error(`Connector ${connectorId} is ${connector.status}`);
+    }
+
+    await this.sendStatus(connectorId, 'Preparing');
+    const authorized = await this.call('Authorize', { idTag });
+    if (authorized.idTagInfo?.status !== 'Accepted') {
+      await this.sendStatus(connectorId, 'Available');
+      throw new Error(`idTag ${idTag} was ${authorized.idTagInfo?.status}`);
+    }
+
+    const result = await this.call('StartTransaction', {
+      connectorId,
+      idTag,
+      meterStart: Math.round(connector.meterWh),
+      timestamp: new Date().toISOString(),
+    });
+    connector.transactionId = result.transactionId;
+    this.log(`Connector ${connectorId}: transaction ${result.transactionId} started`);
+
+    await this.sendStatus(connectorId, 'Charging');
+    this.startMetering(connector);
+  }
+
+  /**
+   * Stop charging on a connector and unplug
+   * @param {number} connectorId - Connector number
+   * @param {string} [reason='Local'] - OCPP stop reason
+   */
+  async stopTransaction(connectorId, reason = 'Local') {
+    const connector = this.getConnector(connectorId);
+    if (connector.transactionId == null) {
+      throw new Error(`Connector ${connectorId} is not charging`);
+    }
+
+    clearInterval(connector.meterTimer);
+    connector.meterTimer = null;
+    const transactionId = connector.transactionId;
+    await this.call('StopTransaction', {
+      transactionId,
+      meterStop: Math.round(connector.meterWh),
+      timestamp: new Date().toISOString(),
+      reason,
+    });
+    connector.transactionId = null;
+    this.log(`Connector ${connectorId}: transaction ${transactionId} stopped`);
+
+    await this.sendStatus(connectorId, 'Finishing');
+    await this.sendStatus(connectorId, 'Available');
+  }
+
+  /**
+   * Report a status on a connector (0 = the whole charge point)
+   * @param {number} connectorId - Connector number
+   * @param {string} status - OCPP connector status
+   * @param {string} [errorCode='NoError'] - OCPP error code
+   */
+  async sendStatus(connectorId, status, errorCode = 'NoError') {
+    if (connectorId > 0) {
+      this.getConnector(connectorId).status = status;
+    }
+    await this.call('StatusNotification', {
+      connectorId,
+      status,
+      errorCode,
+      timestamp: new Date().toISOString(),
+    });
+    this.log(`Connector ${connectorId}: ${status}${errorCode !== 'NoError' ? ` (${errorCode})` : ''}`);
+  }
+
+  /**
+   * Send a CALL and wait for its CALLRESULT
+   * @param {string} action - OCPP action
+   * @param {Object} payload - Request payload
+   * @returns {Promise<Object>} Response payload; rejects on CALLERROR or timeout
+   */
+  call(action, payload) {
+    if (this.socket?.readyState !== WebSocket.OPEN) {
+      return Promise.reject(new Error('Not connected'));
+    }
+
+    const messageId = randomUUID();
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(messageId);
+        reject(new Error(`${action} timed out`));
+      }, CALL_TIMEOUT_MS);
+      this.pending.set(messageId, { action, resolve, reject, timer });
+      this.socket.send(JSON.stringify([CALL, messageId, action, payload]));
+    });
+  }
+
+  handleMessage(text) {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch {
+      this.log(`Ignoring unreadable message: ${text}`);
+      return;
+    }
+
+    const [type, messageId] = message;
+    if (type === CALL) {
+      // Remote commands (RemoteStartTransaction, Reset, ...) are not simulated
+      this.socket.send(
+        JSON.stringify([CALL_ERROR, messageId, 'NotImplemented', `${message[2]} is not supported by the simulator`, {}])
+      );
+      return;
+    }
+
+    const pending = this.pending.get(messageId);
+    if (!pending) return;
+    this.pending.delete(messageId);
+    clearTimeout(pending.timer);
+
+    if (type === CALL_RESULT) {
+      pending.resolve(message[2]);
+    } else if (type === CALL_ERROR) {
+      pending.reject(new Error(`${pending.action} failed: ${message[2]} ${message[3] || ''}`.trim()));
+    }
+  }
+
+  // Send the energy register and power of a charging connector at a fixed interval
+  startMetering(connector) {
+    clearInterval(connector.meterTimer);
+    let lastReading = Date.now();
+    connector.meterTimer = setInterval(() => {
+      const now = Date.now();
+      // Vary the power a little, as a real vehicle would
+      const powerKw = this.powerKw * (0.95 + Math.random() * 0.05);
+      connector.meterWh += (powerKw * 1000 * (now - lastReading)) / 3600000;
+      lastReading = now;
+
+      this.call('MeterValues', {
+        connectorId: connector.connectorId,
+        transactionId: connector.transactionId,
+        meterValue: [
+          {
+            timestamp: new Date(now).toISOString(),
+            sampledValue: [
+              { value: connector.meterWh.toFixed(0), measurand: 'Energy.Active.Import.Register', unit: 'Wh' },
+              { value: powerKw.toFixed(2), measurand: 'Power.Active.Import', unit: 'kW' },
+            ],
+          },
+        ],
+      }).catch((err) => this.log(`MeterValues failed: ${err.message}`));
+    }, this.meterIntervalSeconds * 1000);
+  }
+
+  getConnector(connectorId) {
+    const connector = this.connectors.find((c) => c.connectorId === connectorId);
+    if (!connector) {
+      throw new Error(`Connector ${connectorId} does not exist (1-${this.connectors.length})`);
+    }
+    return connector;
+  }
+
+  stopTimers() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    this.connectors.forEach((connector) => {
+      clearInterval(connector.meterTimer);
+      connector.meterTimer = null;
+    });
+  }
+
+  rejectPending(error) {
+    this.pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    this.pending.clear();
+  }
+}
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/**
+ * OCPP Charge Point Simulator
+ *
+ * Command line front end for ChargePoint. Connects one simulated charger to
+ * the API's OCPP endpoint, then takes commands on stdin (or, with --auto,
+ * starts and stops charging sessions by itself).
+ *
+ *   node index.js --id CP-BLR-001 --connectors 2
+ */
+import { createInterface } from 'node:readline';
+import { parseArgs } from 'node:util';
+import { ChargePoint } from './chargePoint.js';
+
+const HELP = `Usage: node index.js --id <charge point id> [options]
+
+Options:
+  --url <url>              OCPP endpoint without the id (default ws://localhost:5000/ocpp)
+  --id <id>                Charge point id set on the station (required)
+  --connectors <n>         Number of connectors (default 2)
+  --password <password>    Basic auth password (when the API sets Ocpp:Password)
+  --power <kW>             Charging power while a session runs (default 7.4)
+  --meter-interval <s>     Seconds between MeterValues while charging (default 10)
+  --auto                   Start and stop sessions at random instead of reading commands
+  --help                   Show this help
+
+Commands:
+  start <connector> [idTag]    Plug in and start charging
+  stop <connector>             Stop charging and unplug
+  fault <connector>            Report a fault (connector 0 = whole charger)
+  unavailable <connector>      Take a connector out of service
+  available <connector>        Put a connector back in service
+  status                       Show connector state
+  quit                         Stop sessions and disconnect`;
+
+const AUTO_TICK_MS = 15000;
+const CONNECTOR_COMMANDS = ['start', 'stop', 'fault', 'unavailable', 'available'];
+
+const { values: args } = parseArgs({
+  options: {
+    url: { type: 'string', default: 'ws://localhost:5000/ocpp' },
+    id: { type: 'string' },
+    connectors: { type: 'string', default: '2' },
+    password: { type: 'string' },
+    power: { type: 'string', default: '7.4' },
+    'meter-interval': { type: 'string', default: '10' },
+    auto: { type: 'boolean', default: false },
+    help: { type: 'boolean', default: false },
+  },
+});
+
+if (args.help || !args.id) {
+  console.log(HELP);
+  process.exit(args.help ? 0 : 1);
+}
+
+const chargePoint = new ChargePoint({
+  url: args.url,
+  id: args.id,
+  connectors: Math.max(1, parseInt(args.connectors, 10) || 1),
+  password: args.password,
+  powerKw: Number(args.power) > 0 ? Number(args.power) : 7.4,
+  meterIntervalSeconds: Math.max(1, Number(args['meter-interval']) || 10),
+  log: (message) => console.log(`[${new Date().toLocaleTimeString()}] ${message}`),
+});
+
+const printStatus = () => {
+  chargePoint.connectors.forEach((connector) => {
+    const session =
+      connector.transactionId != null ? `, transaction ${connector.transactionId}` : '';
+    console.log(
+      `  #${connector.connectorId} ${connector.status}${session}, meter ${(connector.meterWh / 1000).toFixed(2)} kWh`
+    );
+  });
+};
+
+const runCommand = async (line) => {
+  const [command, connectorArg, idTag] = line.trim().split(/\s+/);
+  const connectorId = Number(connectorArg);
+  if (CONNECTOR_COMMANDS.includes(command) && !Number.isInteger(connectorId)) {
+    console.log(`Usage: ${command} <connector>`);
+    return;
+  }
+
+  switch (command) {
+    case undefined:
+    case '':
+      return;
+    case 'start':
+      return chargePoint.startTransaction(connectorId, idTag);
+    case 'stop':
+      return chargePoint.stopTransaction(connectorId);
+    case 'fault':
+      return chargePoint.sendStatus(connectorId, 'Faulted', 'OtherError');
+    case 'unavailable':
+      return chargePoint.sendStatus(connectorId, 'Unavailable');
+    case 'available':
+      return chargePoint.sendStatus(connectorId, 'Available');
+    case 'status':
+      return printStatus();
+    case 'help':
+      return console.log(HELP);
+    case 'quit':
+    case 'exit':
+      await chargePoint.close();
+      return process.exit(0);
+    default:
+      console.log(`Unknown command "${command}". Type help for the list.`);
+  }
+};
+
+// Each tick, start a session on an idle connector or stop a running one
+const runAuto = () => {
+  setInterval(() => {
+    const connector = chargePoint.connectors[Math.floor(Math.random() * chargePoint.connectors.length)];
+    const action =
+      connector.transactionId != null
+        ? chargePoint.stopTransaction(connector.connectorId)
+        : connector.status === 'Available'
+          ? chargePoint.startTransaction(connector.connectorId, `AUTO${connector.connectorId}`)
+          : Promise.resolve();
+    action.catch((err) => console.log(err.message));
+  }, AUTO_TICK_MS);
+};
+
+process.on('SIGINT', async () => {
+  await chargePoint.close();
+  process.exit(0);
+});
+
+try {
+  await chargePoint.connect();
+} catch (err) {
+  console.error(`Could not connect: ${err.message}`);
+  console.error('Check that the API is running and a station has this charge point id.');
+  process.exit(1);
+}
+
+if (args.auto) {
+  console.log(`Auto mode: a session starts or stops every ${AUTO_TICK_MS / 1000}s. Press Ctrl+C to stop.`);
+  runAuto();
+} else {
+  console.log('Type help for commands.');
+  const input = createInterface({ input: process.stdin, prompt: '> ' });
+  input.prompt();
+  input.on('line', async (line) => {
+    try {
+      await runCommand(line);
+    } catch (err) {
+      console.log(err.message);
+    }
+    input.prompt();
+  });
+  input.on('close', async () => {
+    await chargePoint.close();
+    process.exit(0);
+  });
+}